@@ -3,6 +3,11 @@
 /**
  * Demonstração da interface de chat do Nexus
  * Este script simula a interface de chat e processa comandos como /agentes
+ *
+ * Use: node scripts/chat-interface.js [--sessao=nome]
+ * A conversa é gravada na sessão indicada (padrão CHAT_DEFAULT_SESSION ou
+ * "padrao") e retomada na próxima execução; as mensagens anteriores são
+ * enviadas ao AIAssistantAgent como contexto multi-turno.
  */
 
 import * as readline from 'readline';
@@ -19,6 +24,20 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const rootDir = resolve(__dirname, '..');
 
+// Sessão indicada na linha de comando (--sessao=nome ou --sessao nome)
+function getSessionName(argv) {
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index].startsWith('--sessao=')) {
+      return argv[index].slice('--sessao='.length);
+    }
+    if (argv[index] === '--sessao' && argv[index + 1]) {
+      return argv[index + 1];
+    }
+  }
+  
+  return process.env.CHAT_DEFAULT_SESSION || 'padrao';
+}
+
 // Carregamento de variáveis de ambiente
 function loadEnv() {
   const envPath = resolve(rootDir, '.env');
@@ -81,9 +100,7 @@ class ChatInterface {
     this.logger = createLogger('ChatInterface');
     this.userId = 'user_' + Math.floor(Math.random() * 1000);
     this.context = {
-      userId: this.userId,
-      sessionId: 'session_' + Math.floor(Math.random() * 1000),
-      projectId: 'nexus_demo'
+      userId: this.userId
     };
     
     this.rl = readline.createInterface({
@@ -121,10 +138,18 @@ class ChatInterface {
         console.log(`${colors.yellow}Continuando em modo limitado...${colors.reset}\n`);
       }
       
+      // Abrir (ou retomar) a sessão de chat
+      const session = await chatCommands.openSession(getSessionName(process.argv.slice(2)), this.context, {
+        projectId: 'nexus_demo'
+      });
+      const sessionInfo = session.created
+        ? `Sessão ${session.name} criada.`
+        : `Sessão ${session.name} retomada (${session.messages.length} mensagens).`;
+      
       // Exibir mensagem de boas-vindas
       this.printMessage({
         type: 'system',
-        message: `Bem-vindo à interface de chat do Sistema Nexus! 
+        message: `Bem-vindo à interface de chat do Sistema Nexus! ${sessionInfo}
 Digite /ajuda para ver a lista de comandos disponíveis ou faça uma pergunta diretamente.`,
         sender: 'Sistema'
       });
@@ -172,6 +197,15 @@ Digite /ajuda para ver a lista de comandos disponíveis ou faça uma pergunta di
         const result = await chatCommands.processCommand(input, this.context);
         
         if (result) {
+          // Comandos ficam no histórico da sessão, fora do contexto da conversa
+          await chatCommands.recordMessage(this.context, { role: 'user', content: input, command: true });
+          await chatCommands.recordMessage(this.context, {
+            role: 'system',
+            content: result.message,
+            agent: result.agent,
+            command: true
+          });
+          
           this.printMessage({
             type: result.type || 'system',
             message: result.message,
@@ -187,16 +221,23 @@ Digite /ajuda para ver a lista de comandos disponíveis ou faça uma pergunta di
         console.log(`${colors.yellow}Processando sua mensagem...${colors.reset}`);
         
         try {
+          // Turnos anteriores da sessão (contexto multi-turno)
+          const conversation = await chatCommands.getConversation(this.context);
+          await chatCommands.recordMessage(this.context, { role: 'user', content: input });
+          
           const response = await this.aiAssistant.askQuestion(
             this.userId,
             input,
-            this.context
+            { ...this.context, conversation }
           );
           
+          const sender = this.context.agent || 'AIAssistant';
+          await chatCommands.recordMessage(this.context, { role: 'assistant', content: response.answer, agent: sender });
+          
           this.printMessage({
             type: 'assistant',
             message: response.answer,
-            sender: 'AIAssistant'
+            sender
           });
         } catch (error) {
           this.printMessage({
@@ -3,6 +3,10 @@
 /**
  * Demonstração simplificada da interface de chat do Nexus
  * Este script simula a interface de chat e processa comandos como /agentes
+ *
+ * Use: node scripts/chat-simples.js [--sessao=nome]
+ * Os comandos e respostas são gravados na sessão indicada (padrão
+ * CHAT_DEFAULT_SESSION ou "padrao"), que pode ser retomada depois.
  */
 
 import * as readline from 'readline';
@@ -40,13 +44,17 @@ const rl = readline.createInterface({
   output: process.stdout
 });
 
-// Contexto do usuário
+// Contexto do usuário (sessionId, agent e projectId vêm da sessão aberta)
 const context = {
-  userId: 'user_demo',
-  sessionId: 'session_demo',
-  projectId: 'nexus_demo'
+  userId: 'user_demo'
 };
 
+// Sessão indicada na linha de comando (--sessao=nome ou --sessao nome)
+const sessionArg = process.argv.slice(2).find(arg => arg.startsWith('--sessao'));
+const sessionName = sessionArg === '--sessao'
+  ? process.argv[process.argv.indexOf('--sessao') + 1]
+  : sessionArg?.slice('--sessao='.length);
+
 // Função para imprimir mensagem formatada
 function printMessage(type, message, sender) {
   let prefix = '';
@@ -76,6 +84,14 @@ async function processInput(input) {
       const result = await chatCommands.processCommand(input, context);
       
       if (result) {
+        await chatCommands.recordMessage(context, { role: 'user', content: input, command: true });
+        await chatCommands.recordMessage(context, {
+          role: 'system',
+          content: result.message,
+          agent: result.agent,
+          command: true
+        });
+        
         printMessage(
           result.type || 'system', 
           result.message, 
@@ -115,7 +131,11 @@ function promptUser() {
 async function main() {
   console.log(`\n${colors.cyan}${colors.bright}=== Sistema Nexus - Chat Simplificado ====${colors.reset}\n`);
   
-  printMessage('system', `Bem-vindo à interface de chat do Sistema Nexus! 
+  const session = await chatCommands.openSession(sessionName || process.env.CHAT_DEFAULT_SESSION || 'padrao', context, {
+    projectId: 'nexus_demo'
+  });
+  
+  printMessage('system', `Bem-vindo à interface de chat do Sistema Nexus! Sessão: ${session.name}.
 Digite /ajuda para ver a lista de comandos disponíveis, /agentes para ver a lista de agentes, 
 ou digite 'sair' para encerrar.`, 'Sistema');
   
@@ -0,0 +1,36 @@
+// scripts/helpers/isolated-env.js
+
+/**
+ * Ambiente isolado para os testes: diretório temporário próprio, TaskMaster
+ * e sincronização apontando para ele e armazenamento em memória.
+ * Deve ser criado antes de carregar os agentes (import dinâmico), pois eles
+ * leem as variáveis de ambiente ao serem carregados.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Cria o diretório temporário e configura as variáveis de ambiente
+ * @param {string} name - Sufixo do diretório temporário (nexus-<name>-)
+ * @param {Object} [env] - Variáveis adicionais ou que substituem as padrão
+ * @returns {{workDir: string, cleanup: Function}} Diretório e remoção do ambiente
+ */
+export function createIsolatedEnv(name, env = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `nexus-${name}-`));
+
+  Object.assign(process.env, {
+    TASKMASTER_PATH: workDir,
+    TASK_SYNC_DIR: path.join(workDir, 'sync'),
+    SUPABASE_DRIVER: 'memory',
+    LOG_LEVEL: process.env.LOG_LEVEL || 'error'
+  }, env);
+
+  return {
+    workDir,
+    cleanup() {
+      fs.rmSync(workDir, { recursive: true, force: true });
+    }
+  };
+}
@@ -0,0 +1,23 @@
+#!/usr/bin/env node
+
+/**
+ * Servidor MCP do Nexus via stdio
+ * Use o comando: node scripts/mcp-server.js
+ *
+ * Exemplo de configuração em um editor compatível com MCP:
+ *   { "command": "node", "args": ["scripts/mcp-server.js"], "env": { "NEXUS_MCP_USER_ID": "..." } }
+ *
+ * A saída padrão é reservada ao protocolo; logs e mensagens de console
+ * são redirecionados para stderr.
+ */
+
+import { setLogSinks } from '../src/utils/logger.js';
+
+setLogSinks([{ write: (entry, line) => process.stderr.write(`${line}\n`) }]);
+console.log = console.error;
+console.info = console.error;
+console.debug = console.error;
+
+const { default: mcpServer } = await import('../src/services/mcp_server.js');
+
+await mcpServer.startStdio();
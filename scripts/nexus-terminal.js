@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Terminal do Nexus em modo não interativo
+ * Use o comando: node scripts/nexus-terminal.js [--json] [--continue-on-error] <roteiro|->
+ *            ou: node scripts/nexus-terminal.js [--json] -c "tm-list pending | tm-status done"
+ *
+ *   <roteiro>             Arquivo com um comando por linha (`-` lê da entrada padrão)
+ *   -c "comando"          Executa uma única linha de comando
+ *   --json                Imprime os dados de cada comando em JSON
+ *   --continue-on-error   Continua o roteiro após uma falha
+ *
+ * O processo termina com código 1 se algum comando falhar, o que permite
+ * usar o terminal em scripts de shell e pipelines de CI.
+ */
+
+import dotenv from 'dotenv';
+
+// Carregar variáveis de ambiente antes da configuração
+dotenv.config();
+// Logs informativos iriam para a mesma saída dos comandos (e quebrariam o --json)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+/**
+ * Interpreta os argumentos da linha de comando
+ */
+function parseArgs(argv) {
+  const options = { json: false, continueOnError: false, command: null, file: null };
+
+  for (let index = 0; index < argv.length; index++) {
+    const arg = argv[index];
+
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--continue-on-error') {
+      options.continueOnError = true;
+    } else if (arg === '-c') {
+      options.command = argv[++index];
+      if (options.command === undefined) {
+        throw new Error('-c exige um comando');
+      }
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Opção desconhecida: ${arg}`);
+    } else if (options.file === null) {
+      options.file = arg;
+    } else {
+      throw new Error(`Argumento inesperado: ${arg}`);
+    }
+  }
+
+  if ((options.command === null) === (options.file === null)) {
+    throw new Error('Informe um roteiro ou -c "comando"');
+  }
+
+  return options;
+}
+
+const options = (() => {
+  try {
+    return parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(2);
+  }
+})();
+
+/**
+ * Lê a entrada padrão inteira
+ */
+async function readStdin() {
+  let content = '';
+  for await (const chunk of process.stdin) {
+    content += chunk;
+  }
+  return content;
+}
+
+/**
+ * Imprime o resultado de um comando (falhas vão para stderr)
+ */
+function printResult(result) {
+  if (!result.ok) {
+    const location = result.line ? `linha ${result.line}: ` : '';
+    console.error(options.json ? result.text : `❌ ${location}${result.text}`);
+    return;
+  }
+
+  if (result.text) {
+    console.log(result.text);
+  }
+}
+
+async function main() {
+  const { default: commandRegistry } = await import('../src/commands/command_registry.js');
+
+  if (options.command !== null) {
+    const result = await commandRegistry.run(options.command, { json: options.json });
+    printResult(result);
+    return result.exitCode;
+  }
+
+  const script = options.file === '-' ? await readStdin() : null;
+  const runOptions = { json: options.json, continueOnError: options.continueOnError, onResult: printResult };
+  const result = script !== null
+    ? await commandRegistry.runScript(script, runOptions)
+    : await commandRegistry.runScriptFile(options.file, runOptions);
+
+  return result.exitCode;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
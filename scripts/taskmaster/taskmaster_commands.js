@@ -210,17 +210,15 @@ ${details}${subtasksSection}
  * @returns {Promise<Object>} - Resultado do comando
  */
 async function handleTaskNext() {
-  const result = await getNextTask();
+  const task = await getNextTask();
   
-  if (!result || !result.nextTask) {
+  if (!task) {
     return {
       type: 'info',
       message: 'Não há tarefas pendentes para trabalhar no momento.'
     };
   }
   
-  const task = result.nextTask;
-  
   return {
     type: 'success',
     message: `
@@ -12,10 +12,19 @@ import {
   updateTaskStatus,
   TASKMASTER_ENABLED 
 } from './taskmaster_util.js';
+import eventStream, { TASK_EVENT_TYPES, BOARD_EVENT_TYPES } from '../../src/services/event_stream.js';
 
 // Criar emissor de eventos global
 const taskMasterEvents = new EventEmitter();
 
+/**
+ * Emissor de eventos do gerenciador de ferramentas (o ToolManager é um EventEmitter)
+ * @private
+ */
+function eventEmitterOf(toolManager) {
+  return toolManager.eventEmitter || toolManager;
+}
+
 /**
  * Inicializa o sistema de eventos do TaskMaster
  * @param {Object} toolManager - Gerenciador de ferramentas do Nexus
@@ -27,8 +36,13 @@ function initializeTaskMasterEvents(toolManager) {
     return taskMasterEvents;
   }
   
+  const emitter = eventEmitterOf(toolManager);
+  
+  // Publicar eventos de tarefas e quadros no fluxo SSE (/api/events)
+  eventStream.attach(emitter, [...TASK_EVENT_TYPES, ...BOARD_EVENT_TYPES]);
+  
   // Registrar evento para atualização de status de tarefa
-  toolManager.eventEmitter.on('taskmaster:status:updated', async (data) => {
+  emitter.on('taskmaster:status:updated', async (data) => {
     try {
       const { taskId, status, userId } = data;
       
@@ -39,7 +53,7 @@ function initializeTaskMasterEvents(toolManager) {
       const updatedTask = await getTask(taskId);
       
       // Emitir evento para notificar outros componentes
-      toolManager.eventEmitter.emit('taskmaster:task:updated', updatedTask);
+      emitter.emit('taskmaster:task:updated', updatedTask);
       
       console.log(`Status da tarefa ${taskId} atualizado para ${status} por ${userId}`);
     } catch (error) {
@@ -48,7 +62,7 @@ function initializeTaskMasterEvents(toolManager) {
   });
   
   // Registrar evento para movimentação de cartão no Kanban
-  toolManager.eventEmitter.on('card:moved', async (data) => {
+  emitter.on('card:moved', async (data) => {
     try {
       const { cardId, columnId, boardId, metadata } = data;
       
@@ -79,7 +93,7 @@ function initializeTaskMasterEvents(toolManager) {
           
           // Emitir evento para notificar outros componentes
           const updatedTask = await getTask(metadata.taskId);
-          toolManager.eventEmitter.emit('taskmaster:task:updated', updatedTask);
+          emitter.emit('taskmaster:task:updated', updatedTask);
           
           console.log(`Status da tarefa ${metadata.taskId} atualizado para ${newStatus} via Kanban`);
         }
@@ -96,7 +110,7 @@ function initializeTaskMasterEvents(toolManager) {
       const updatedTask = await getTask(taskId);
       
       // Emitir evento para notificar os agentes do Nexus
-      toolManager.eventEmitter.emit('taskmaster:task:updated', updatedTask);
+      emitter.emit('taskmaster:task:updated', updatedTask);
       
       console.log(`Tarefa ${taskId} atualizada externamente foi sincronizada com o Nexus`);
     } catch (error) {
@@ -118,6 +132,9 @@ function setupTaskFileWatcher(toolManager) {
     return () => {};
   }
   
+  const emitter = eventEmitterOf(toolManager);
+  eventStream.attach(emitter, TASK_EVENT_TYPES);
+  
   let isWatching = true;
   let previousTasks = {};
   
@@ -144,11 +161,11 @@ function setupTaskFileWatcher(toolManager) {
         
         if (previousTasks[task.id] && previousTasks[task.id] !== currentTasksMap[task.id]) {
           // Tarefa foi atualizada
-          toolManager.eventEmitter.emit('taskmaster:task:updated', task);
+          emitter.emit('taskmaster:task:updated', task);
           console.log(`Tarefa ${task.id} foi atualizada externamente e sincronizada`);
         } else if (!previousTasks[task.id]) {
           // Nova tarefa criada
-          toolManager.eventEmitter.emit('taskmaster:task:created', task);
+          emitter.emit('taskmaster:task:created', task);
           console.log(`Nova tarefa ${task.id} foi criada externamente e sincronizada`);
         }
       });
@@ -157,7 +174,7 @@ function setupTaskFileWatcher(toolManager) {
       Object.keys(previousTasks).forEach(taskId => {
         if (!currentTasksMap[taskId]) {
           // Tarefa foi removida
-          toolManager.eventEmitter.emit('taskmaster:task:deleted', { id: taskId });
+          emitter.emit('taskmaster:task:deleted', { id: taskId });
           console.log(`Tarefa ${taskId} foi removida externamente e sincronizada`);
         }
       });
@@ -3,12 +3,15 @@
  * 
  * Este arquivo contém funções utilitárias para facilitar a integração
  * entre o sistema Nexus e o TaskMaster para gerenciamento de tarefas.
+ * As operações leem e gravam tasks/tasks.json diretamente (TaskStore);
+ * o CLI task-master é usado apenas na expansão de tarefas.
  */
 
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promises as fs } from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
+import { TaskStore } from '../../src/utils/task_store.js';
 
 // Carregar variáveis de ambiente
 dotenv.config();
@@ -19,22 +22,32 @@ const TASKMASTER_ENABLED = process.env.TASKMASTER_ENABLED === 'true';
 const TASKMASTER_DEFAULT_STATUS = process.env.TASKMASTER_DEFAULT_STATUS || 'pending';
 const TASKMASTER_DEFAULT_PRIORITY = process.env.TASKMASTER_DEFAULT_PRIORITY || 'medium';
 
+const taskStore = new TaskStore({ projectRoot: TASKMASTER_PATH });
+
 /**
- * Executa um comando do TaskMaster e retorna o resultado
- * @param {string} command - Comando a ser executado (sem o prefixo 'npx task-master')
- * @param {Object} options - Opções adicionais
- * @returns {Promise<Object|string>} - Resultado do comando
+ * Garante que o TaskMaster está habilitado
+ * @private
  */
-async function executeTaskMasterCommand(command, options = {}) {
+function assertEnabled() {
   if (!TASKMASTER_ENABLED) {
     throw new Error('TaskMaster não está habilitado. Configure TASKMASTER_ENABLED=true no arquivo .env');
   }
+}
+
+/**
+ * Executa um comando do CLI task-master (sem shell) e retorna o resultado
+ * @param {string} command - Comando a ser executado (ex.: 'expand')
+ * @param {Array<string>} args - Argumentos (ex.: ['--id=3'])
+ * @param {Object} options - Opções adicionais
+ * @returns {Promise<Object|string>} - Resultado do comando
+ */
+async function executeTaskMasterCommand(command, args = [], options = {}) {
+  assertEnabled();
 
-  const fullCommand = `npx task-master ${command}`;
   const cwd = options.cwd || TASKMASTER_PATH;
   
   return new Promise((resolve, reject) => {
-    exec(fullCommand, { cwd }, (error, stdout, stderr) => {
+    execFile('npx', ['task-master', command, ...args], { cwd, maxBuffer: 10 * 1024 * 1024 }, (error, stdout, stderr) => {
       if (error) {
         console.error(`Erro ao executar comando TaskMaster: ${error.message}`);
         console.error(`stderr: ${stderr}`);
@@ -63,27 +76,18 @@ async function executeTaskMasterCommand(command, options = {}) {
  * @returns {Promise<Array>} - Lista de tarefas
  */
 async function listTasks(filters = {}) {
-  const { status, withSubtasks } = filters;
-  let command = 'get-tasks --json';
-  
-  if (status) {
-    command += ` --status="${status}"`;
-  }
-  
-  if (withSubtasks) {
-    command += ' --withSubtasks';
-  }
-  
-  return executeTaskMasterCommand(command);
+  assertEnabled();
+  return taskStore.listTasks(filters);
 }
 
 /**
  * Obtém detalhes de uma tarefa específica
- * @param {string} taskId - ID da tarefa
+ * @param {string} taskId - ID da tarefa ("3" ou "3.2")
  * @returns {Promise<Object>} - Detalhes da tarefa
  */
 async function getTask(taskId) {
-  return executeTaskMasterCommand(`get-task --id=${taskId} --json`);
+  assertEnabled();
+  return taskStore.getTask(taskId);
 }
 
 /**
@@ -92,16 +96,23 @@ async function getTask(taskId) {
  * @returns {Promise<Object>} - Tarefa criada
  */
 async function createTask(taskData) {
-  const { title, description, priority, details, dependencies } = taskData;
-  
-  // Preparar comando
-  const depStr = dependencies && dependencies.length > 0 ? 
-    `--dependencies="${dependencies.join(',')}"` : '';
-  const priorityStr = priority ? `--priority="${priority}"` : '';
-  
-  const command = `add-task --title="${title}" --description="${description}" ${priorityStr} --details="${details}" ${depStr}`;
-  
-  return executeTaskMasterCommand(command);
+  assertEnabled();
+  return taskStore.addTask({
+    priority: TASKMASTER_DEFAULT_PRIORITY,
+    status: TASKMASTER_DEFAULT_STATUS,
+    ...taskData
+  });
+}
+
+/**
+ * Adiciona uma subtarefa a uma tarefa
+ * @param {string} parentId - ID da tarefa pai
+ * @param {Object} subtaskData - Dados da subtarefa
+ * @returns {Promise<Object>} - Subtarefa criada
+ */
+async function createSubtask(parentId, subtaskData) {
+  assertEnabled();
+  return taskStore.addSubtask(parentId, subtaskData);
 }
 
 /**
@@ -111,31 +122,56 @@ async function createTask(taskData) {
  * @returns {Promise<Object>} - Resultado da atualização
  */
 async function updateTaskStatus(taskId, status) {
-  return executeTaskMasterCommand(`set-status --id=${taskId} --status="${status}"`);
+  assertEnabled();
+  return taskStore.setStatus(taskId, status);
+}
+
+/**
+ * Adiciona uma dependência entre tarefas
+ * @param {string} taskId - ID da tarefa dependente
+ * @param {string} dependsOn - ID da tarefa da qual depende
+ * @returns {Promise<Object>} - Tarefa atualizada
+ */
+async function addDependency(taskId, dependsOn) {
+  assertEnabled();
+  return taskStore.addDependency(taskId, dependsOn);
+}
+
+/**
+ * Remove uma dependência entre tarefas
+ * @param {string} taskId - ID da tarefa dependente
+ * @param {string} dependsOn - ID da dependência
+ * @returns {Promise<Object>} - Tarefa atualizada
+ */
+async function removeDependency(taskId, dependsOn) {
+  assertEnabled();
+  return taskStore.removeDependency(taskId, dependsOn);
 }
 
 /**
- * Expande uma tarefa em subtarefas
+ * Expande uma tarefa em subtarefas (requer o CLI task-master)
  * @param {string} taskId - ID da tarefa
  * @param {number} subtasks - Número de subtarefas (opcional)
  * @returns {Promise<Object>} - Resultado da expansão
  */
 async function expandTask(taskId, subtasks) {
-  let command = `expand --id=${taskId}`;
+  const task = await getTask(taskId);
+  const args = [`--id=${task.id}`];
   
   if (subtasks) {
-    command += ` --subtasks=${subtasks}`;
+    args.push(`--subtasks=${parseInt(subtasks, 10)}`);
   }
   
-  return executeTaskMasterCommand(command);
+  return executeTaskMasterCommand('expand', args);
 }
 
 /**
  * Obtém a próxima tarefa a ser trabalhada
- * @returns {Promise<Object>} - Próxima tarefa
+ * @returns {Promise<Object|null>} - Próxima tarefa
  */
 async function getNextTask() {
-  return executeTaskMasterCommand('next-task');
+  assertEnabled();
+  return taskStore.nextTask();
 }
 
 /**
@@ -196,7 +232,10 @@ export {
   listTasks,
   getTask,
   createTask,
+  createSubtask,
   updateTaskStatus,
+  addDependency,
+  removeDependency,
   expandTask,
   getNextTask,
   checkTaskMasterSetup,
@@ -0,0 +1,180 @@
+// scripts/test-access-policy.js
+
+/**
+ * Testes do motor de políticas de acesso (RBAC) com a política padrão e da
+ * invalidação do cache de decisões pelas gravações do ProjectManagerAgent
+ * (armazenamento em memória)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('access-policy');
+
+const { AccessPolicyEngine, DEFAULT_ACCESS_POLICY_FILE, loadAccessPolicy, validateAccessPolicy } = await import('../src/utils/access_policy.js');
+const { default: SecurityAgent, SYSTEM_USER_ID, runAsSystem } = await import('../src/agents/security_agent.js');
+const { default: ProjectManagerAgent } = await import('../src/agents/project_manager_agent.js');
+
+after(() => {
+  cleanup();
+});
+
+/**
+ * Motor com a política padrão sobre tabelas em memória (filtros de igualdade)
+ */
+function createEngine(tables, options = {}) {
+  const queries = [];
+  const engine = new AccessPolicyEngine({
+    policy: loadAccessPolicy(DEFAULT_ACCESS_POLICY_FILE),
+    query: async (table, filters) => {
+      queries.push(table);
+      return (tables[table] || []).filter(row =>
+        Object.entries(filters).every(([field, value]) => String(row[field]) === String(value)));
+    },
+    ...options
+  });
+  return { engine, queries };
+}
+
+const sampleTables = () => ({
+  projects: [{ id: 'p1', owner_id: 'alice', status: 'active' }],
+  project_members: [
+    { id: 'm1', project_id: 'p1', user_id: 'bob', role: 'member', permissions: { can_delete: true }, status: 'active' },
+    { id: 'm2', project_id: 'p1', user_id: 'carol', role: 'viewer', status: 'removed' }
+  ],
+  kanban_boards: [{ id: 'b1', project_id: 'p1', created_by: 'alice' }],
+  kanban_cards: [{ id: 'c1', board_id: 'b1', created_by: 'bob' }]
+});
+
+test('dono, membro e não membro do projeto recebem decisões explicadas', async () => {
+  const { engine } = createEngine(sampleTables());
+
+  const owner = await engine.decide({ userId: 'alice', resourceType: 'kanban_card', resourceId: 'c1', action: 'delete' });
+  assert.equal(owner.allowed, true);
+  assert.equal(owner.projectId, 'p1');
+  assert.match(owner.reason, /owner \(proprietário de kanban_board:b1 \(herdado\)\)/);
+
+  const member = await engine.decide({ userId: 'bob', resourceType: 'kanban_board', resourceId: 'b1', action: 'update' });
+  assert.equal(member.allowed, true);
+  assert.equal(member.rule.role, 'project:member');
+
+  // A permissão can_delete do membro libera a exclusão que o papel não concede
+  const grant = await engine.decide({ userId: 'bob', resourceType: 'kanban_board', resourceId: 'b1', action: 'delete' });
+  assert.equal(grant.allowed, true);
+  assert.match(grant.reason, /permissão can_delete do membro do projeto p1/);
+
+  // Membro removido não tem papel no projeto
+  const removed = await engine.decide({ userId: 'carol', resourceType: 'kanban_card', resourceId: 'c1', action: 'read' });
+  assert.equal(removed.allowed, false);
+  assert.match(removed.reason, /Nenhuma regra permite "read" em kanban_card aos papéis do usuário \(user\)/);
+
+  const unknown = await engine.decide({ userId: 'alice', resourceType: 'planilha', resourceId: 'x', action: 'read' });
+  assert.equal(unknown.allowed, false);
+  assert.match(unknown.reason, /Tipo de recurso desconhecido/);
+});
+
+test('projetos arquivados e seus quadros e cartões são somente leitura, exceto para o sistema', async () => {
+  const tables = sampleTables();
+  tables.projects[0].status = 'archived';
+  const { engine } = createEngine(tables);
+
+  for (const [resourceType, resourceId, userId] of [['project', 'p1', 'alice'], ['kanban_board', 'b1', 'alice'], ['kanban_card', 'c1', 'bob']]) {
+    const update = await engine.decide({ userId, resourceType, resourceId, action: 'update' });
+    assert.equal(update.allowed, false, `${resourceType}:${resourceId}`);
+    assert.match(update.reason, /Negado pela política: Projetos arquivados e seus recursos/);
+    assert.equal(update.projectId, 'p1');
+
+    assert.equal((await engine.decide({ userId, resourceType, resourceId, action: 'read' })).allowed, true);
+  }
+
+  const system = await engine.decide({ userId: 'system', resourceType: 'kanban_card', resourceId: 'c1', action: 'update', system: true });
+  assert.equal(system.allowed, true);
+  assert.equal(system.rule.role, 'system');
+});
+
+test('a identidade de sistema só recebe o papel em pedidos internos', async () => {
+  const { engine } = createEngine(sampleTables());
+
+  const forged = await engine.decide({ userId: 'system', resourceType: 'project', resourceId: 'p1', action: 'delete' });
+  assert.equal(forged.allowed, false);
+  assert.match(forged.reason, /reservada aos processos internos/);
+
+  // A decisão interna não reaproveita a negação em cache (e vice-versa)
+  assert.equal((await engine.decide({ userId: 'system', resourceType: 'project', resourceId: 'p1', action: 'delete', system: true })).allowed, true);
+  assert.equal((await engine.decide({ userId: 'system', resourceType: 'project', resourceId: 'p1', action: 'delete' })).allowed, false);
+
+  // Outros usuários não ganham o papel de sistema em pedidos internos
+  assert.equal((await engine.decide({ userId: 'dave', resourceType: 'project', resourceId: 'p1', action: 'delete', system: true })).allowed, false);
+
+  const securityAgent = new SecurityAgent();
+  assert.equal(await securityAgent.authorizeAccess(SYSTEM_USER_ID, 'kanban_board', null, 'create'), false);
+  assert.equal(await runAsSystem(() => securityAgent.authorizeAccess(SYSTEM_USER_ID, 'kanban_board', null, 'create')), true);
+});
+
+test('a política não pode atribuir papéis à identidade de sistema por subjects', () => {
+  const policy = loadAccessPolicy(DEFAULT_ACCESS_POLICY_FILE);
+  assert.throws(
+    () => validateAccessPolicy({ ...policy, subjects: { system: ['admin'] } }),
+    error => error.code === 'POLICY_INVALID' && /apenas por system.role/.test(error.message)
+  );
+});
+
+test('decisões ficam em cache até expirar ou serem invalidadas pelo projeto', async () => {
+  const tables = sampleTables();
+  let clock = 0;
+  const { engine, queries } = createEngine(tables, { now: () => clock });
+  const request = { userId: 'dave', resourceType: 'kanban_card', resourceId: 'c1', action: 'read' };
+
+  assert.equal((await engine.decide(request)).allowed, false);
+  const queried = queries.length;
+
+  const cached = await engine.decide(request);
+  assert.equal(cached.cached, true);
+  assert.equal(cached.allowed, false);
+  assert.equal(queries.length, queried);
+
+  // Um novo membro só é visto depois da invalidação (ou do fim do TTL)
+  tables.project_members.push({ id: 'm3', project_id: 'p1', user_id: 'dave', role: 'viewer', status: 'active' });
+  await engine.decide({ userId: 'alice', resourceType: 'metrics', resourceId: 'system', action: 'read' });
+
+  assert.equal(engine.invalidate({ userId: 'dave', projectId: 'p2' }), 0);
+  assert.equal(engine.invalidate({ userId: 'dave', projectId: 'p1' }), 1);
+  assert.equal(engine.describe().cache.entries, 1);
+
+  const fresh = await engine.decide(request);
+  assert.equal(fresh.cached, false);
+  assert.equal(fresh.allowed, true);
+
+  tables.project_members.pop();
+  clock += 60 * 1000;
+  assert.equal((await engine.decide(request)).allowed, false);
+});
+
+test('gravações de membros e de status do projeto invalidam o cache de todos os SecurityAgents', async () => {
+  const projectManager = new ProjectManagerAgent();
+  const securityAgent = new SecurityAgent();
+  const projectId = await projectManager.createProject({ name: 'Projeto RBAC', owner: 'alice' });
+
+  assert.equal(await securityAgent.authorizeAccess('bob', 'project', projectId, 'read'), false);
+
+  const member = await projectManager.addProjectMember(projectId, { userId: 'bob', role: 'viewer' }, 'alice');
+  assert.equal(member.status, 'active');
+  assert.equal(await securityAgent.authorizeAccess('bob', 'project', projectId, 'read'), true);
+  assert.equal(await securityAgent.authorizeAccess('bob', 'project', projectId, 'update'), false);
+
+  // Readicionar atualiza o vínculo existente em vez de duplicá-lo
+  await projectManager.addProjectMember(projectId, { userId: 'bob', role: 'admin' }, 'alice');
+  assert.equal((await projectManager.getProjectMembers(projectId)).length, 1);
+  assert.equal(await securityAgent.authorizeAccess('bob', 'project', projectId, 'update'), true);
+
+  assert.equal(await projectManager.removeProjectMember(projectId, 'bob', 'alice'), true);
+  assert.equal(await securityAgent.authorizeAccess('bob', 'project', projectId, 'read'), false);
+
+  assert.equal(await securityAgent.authorizeAccess('alice', 'project', projectId, 'update'), true);
+  await projectManager.updateProject(projectId, { status: 'archived' }, 'alice');
+
+  const decision = await securityAgent.explainAccess('alice', 'project', projectId, 'update');
+  assert.equal(decision.cached, false);
+  assert.equal(decision.allowed, false);
+});
@@ -0,0 +1,106 @@
+// scripts/test-ai-providers.js
+
+/**
+ * Testes da seleção do provedor de IA e dos provedores sem rede
+ * (local por regras e fixture por gravação e reprodução)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-ai-providers-'));
+
+const {
+  AIProviderError,
+  createAIProvider,
+  completeJSON,
+  fixtureKey,
+  parseProviderSpec
+} = await import('../src/utils/ai_providers/index.js');
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('sem provedor explícito o padrão é local, mesmo com chaves de API no ambiente', () => {
+  const previous = { anthropic: process.env.ANTHROPIC_API_KEY, openai: process.env.OPENAI_API_KEY };
+  process.env.ANTHROPIC_API_KEY = 'sk-ant-teste';
+  process.env.OPENAI_API_KEY = 'sk-teste';
+
+  try {
+    for (const spec of [undefined, '', 'auto', 'claude-task-master']) {
+      assert.deepEqual(parseProviderSpec(spec), { provider: 'local', target: null }, String(spec));
+      assert.equal(createAIProvider(spec).name, 'local');
+    }
+  } finally {
+    for (const [name, value] of [['ANTHROPIC_API_KEY', previous.anthropic], ['OPENAI_API_KEY', previous.openai]]) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+
+  assert.deepEqual(parseProviderSpec('anthropic:claude-3-5-sonnet-latest'), { provider: 'anthropic', target: 'claude-3-5-sonnet-latest' });
+  assert.deepEqual(parseProviderSpec('gpt-4o'), { provider: 'openai', target: 'gpt-4o' });
+  assert.throws(
+    () => parseProviderSpec('gemini'),
+    error => error instanceof AIProviderError && error.code === 'AI_PROVIDER_INVALID'
+  );
+});
+
+test('o provedor local responde de forma determinística a partir do input', async () => {
+  const provider = createAIProvider('local');
+  const request = { task: 'analyze', input: { content: 'O checkout processa pagamentos. O checkout valida cartões.' } };
+
+  const first = await completeJSON(provider, request);
+  const second = await completeJSON(provider, request);
+  assert.deepEqual(first.data, second.data);
+  assert.equal(first.response.provider, 'local');
+  assert.equal(first.data.statistics.sentences, 2);
+  assert.ok(first.data.topics.includes('checkout'));
+
+  const answer = await provider.complete({ task: 'ask', input: { question: 'Como movo um cartão no kanban?' } });
+  assert.match(answer.text, /card move/);
+
+  const echo = await provider.complete({ task: 'desconhecida', messages: [{ role: 'user', content: 'Resuma o roadmap' }] });
+  assert.match(echo.text, /Sem um modelo de linguagem configurado/);
+});
+
+test('fixtures distinguem requisições pelo input e reproduzem o que foi gravado', async () => {
+  const file = path.join(workDir, 'fixtures.json');
+  const checkout = { task: 'analyze', system: 'Analise', input: { content: 'Checkout com cartão.' } };
+  const catalog = { ...checkout, input: { content: 'Catálogo de produtos com busca.' } };
+
+  assert.notEqual(fixtureKey(checkout), fixtureKey(catalog));
+  assert.equal(fixtureKey(checkout), fixtureKey({ ...checkout, temperature: 0.2 }));
+
+  // Gravação pelo provedor local
+  const recorder = createAIProvider(`fixture:${file}`, { fixtures: { record: 'local' } });
+  const recorded = await recorder.complete(checkout);
+  await recorder.complete(catalog);
+  assert.equal(recorded.provider, 'local');
+
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(Object.keys(saved.fixtures).length, 2);
+  assert.deepEqual(saved.fixtures[fixtureKey(catalog)].request.input, catalog.input);
+
+  // Reprodução sem gravador
+  const replay = createAIProvider(`fixture:${file}`, { fixtures: { record: '' } });
+  const replayed = await replay.complete(catalog);
+  assert.equal(replayed.provider, 'fixture');
+  assert.equal(replayed.fixture, fixtureKey(catalog));
+  assert.equal(JSON.parse(replayed.text).statistics.words, 5);
+  assert.equal((await replay.complete(checkout)).text, recorded.text);
+
+  await assert.rejects(
+    replay.complete({ ...checkout, input: { content: 'Outro texto.' } }),
+    error => error.code === 'AI_FIXTURE_MISSING'
+  );
+
+  assert.throws(
+    () => createAIProvider(`fixture:${file}`, { fixtures: { record: 'fixture' } }),
+    error => error.code === 'AI_PROVIDER_INVALID'
+  );
+});
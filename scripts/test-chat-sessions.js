@@ -0,0 +1,179 @@
+// scripts/test-chat-sessions.js
+
+/**
+ * Testes das sessões de chat persistidas: gravação entre execuções,
+ * contexto multi-turno enviado ao assistente, comandos de sessão e
+ * contexto do chat, busca no histórico e exportação de transcrições
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('chat-sessions');
+process.env.CHAT_SESSIONS_DIR = path.join(workDir, 'sessions');
+
+const { ChatSessionStore, normalizeSessionName } = await import('../src/utils/chat_session_store.js');
+const { default: chatCommands } = await import('../src/commands/chat_commands.js');
+const { default: AIAssistantAgent } = await import('../src/agents/ai_assistant_agent.js');
+
+after(() => {
+  cleanup();
+});
+
+const sessionsDir = path.join(workDir, 'sessions-store');
+
+// Mensagens em milissegundos distintos, para que a ordem por data seja estável
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('nomes de sessão viram nomes de arquivo seguros', () => {
+  assert.equal(normalizeSessionName('  Sprint-12 '), 'sprint-12');
+  for (const name of ['', '..', '../x', 'a b', 'x'.repeat(65), null]) {
+    assert.throws(() => normalizeSessionName(name), error => error.code === 'CHAT_SESSION_INVALID', String(name));
+  }
+});
+
+test('mensagens gravadas em sequência sobrevivem a uma nova instância', async () => {
+  const store = new ChatSessionStore({ directory: sessionsDir, contextTurns: 3 });
+
+  const opened = await store.openSession('Sprint-12', { agent: 'KanbanAgent' });
+  assert.equal(opened.created, true);
+  assert.equal((await store.openSession('sprint-12', { agent: 'outro' })).created, undefined);
+
+  // Gravações concorrentes não se sobrescrevem
+  await Promise.all([
+    store.appendMessage('sprint-12', { role: 'user', content: 'Quais cartões estão atrasados?' }),
+    store.appendMessage('sprint-12', { role: 'assistant', content: 'Dois cartões: Login e Checkout.', agent: 'KanbanAgent' }),
+    store.appendMessage('sprint-12', { role: 'user', content: '/agentes', command: true }),
+    store.appendMessage('sprint-12', { role: 'system', content: 'Lista de agentes', command: true }),
+    store.appendMessage('sprint-12', { role: 'user', content: 'E o checkout?' })
+  ]);
+  await assert.rejects(store.appendMessage('sprint-12', { role: 'bot', content: 'x' }), /Papel de mensagem inválido/);
+  await assert.rejects(store.appendMessage('nada', { role: 'user', content: 'x' }), error => error.code === 'CHAT_SESSION_NOT_FOUND');
+
+  const reopened = new ChatSessionStore({ directory: sessionsDir, contextTurns: 3 });
+  const session = await reopened.getSession('SPRINT-12');
+  assert.deepEqual(session.messages.map(message => message.id), [1, 2, 3, 4, 5]);
+  assert.deepEqual(session.context, { agent: 'KanbanAgent' });
+  assert.equal(session.updatedAt, session.messages[4].timestamp);
+  assert.deepEqual(fs.readdirSync(sessionsDir), ['sprint-12.json']);
+
+  // Comandos e mensagens de sistema ficam fora do contexto multi-turno
+  assert.deepEqual(await reopened.getConversation('sprint-12'), [
+    { role: 'user', content: 'Quais cartões estão atrasados?' },
+    { role: 'assistant', content: 'Dois cartões: Login e Checkout.' },
+    { role: 'user', content: 'E o checkout?' }
+  ]);
+  assert.deepEqual((await reopened.getConversation('sprint-12', 1)).map(turn => turn.content), ['E o checkout?']);
+
+  assert.deepEqual(await reopened.updateContext('sprint-12', { agent: null, projectId: 'loja' }), { projectId: 'loja' });
+  await reopened.deleteSession('sprint-12');
+  await assert.rejects(reopened.deleteSession('sprint-12'), error => error.code === 'CHAT_SESSION_NOT_FOUND');
+  assert.deepEqual(await reopened.listSessions(), []);
+});
+
+test('a busca percorre todas as sessões e a transcrição inclui o contexto', async () => {
+  const store = new ChatSessionStore({ directory: path.join(workDir, 'search') });
+  await store.openSession('loja', { projectId: 'loja' });
+  await store.openSession('blog');
+
+  await store.appendMessage('loja', { role: 'user', content: 'Prazo do CHECKOUT' });
+  await tick();
+  await store.appendMessage('blog', { role: 'user', content: 'Checkout do blog?' });
+  await tick();
+  await store.appendMessage('loja', { role: 'assistant', content: 'Sexta-feira', agent: 'TaskMasterAgent' });
+
+  const everywhere = await store.searchHistory('checkout');
+  assert.deepEqual(everywhere.map(result => [result.session, result.message.id]), [['loja', 1], ['blog', 1]]);
+  assert.deepEqual((await store.searchHistory('checkout', { session: 'blog' })).map(result => result.session), ['blog']);
+  assert.deepEqual((await store.searchHistory('checkout', { limit: 1 })).map(result => result.session), ['blog']);
+  assert.deepEqual((await store.listSessions()).map(session => [session.name, session.messageCount]), [['loja', 2], ['blog', 1]]);
+
+  const markdown = await store.exportTranscript('loja');
+  assert.ok(markdown.startsWith('# Sessão loja\n'));
+  assert.ok(markdown.includes('- **projectId:** loja'));
+  assert.match(markdown, /### Você \([^)]+\)\n\nPrazo do CHECKOUT\n/);
+  assert.match(markdown, /### TaskMasterAgent \([^)]+\)\n\nSexta-feira\n/);
+
+  const json = JSON.parse(await store.exportTranscript('loja', 'json'));
+  assert.equal(json.messages.length, 2);
+  await assert.rejects(store.exportTranscript('loja', 'pdf'), error => error.code === 'CHAT_SESSION_INVALID');
+});
+
+test('os comandos do chat trocam de sessão e guardam agente e projeto nela', async () => {
+  const context = { userId: 'alice' };
+  const run = message => chatCommands.processCommand(message, context);
+
+  assert.equal((await run('/historico')).type, 'error');
+  assert.match((await run('/sessao  Planejamento')).message, /\*\*planejamento\*\* criada \(0 mensagens\)/);
+  assert.equal(context.sessionId, 'planejamento');
+  assert.ok(fs.existsSync(path.join(workDir, 'sessions', 'planejamento.json')));
+
+  assert.equal((await run('/usar 999')).type, 'error');
+  await run('/usar documentagent');
+  await run('/projeto loja');
+  assert.deepEqual({ agent: context.agent, projectId: context.projectId }, { agent: 'DocumentAgent', projectId: 'loja' });
+
+  await chatCommands.recordMessage(context, { role: 'user', content: 'Resumo da sprint' });
+  await chatCommands.recordMessage(context, { role: 'assistant', content: 'Três cartões concluídos', agent: 'DocumentAgent' });
+  assert.equal((await chatCommands.getConversation(context)).length, 2);
+
+  // Outra sessão começa sem o contexto da anterior; voltar restaura agente e projeto
+  await run('/sessao outra');
+  assert.deepEqual(context, { userId: 'alice', sessionId: 'outra' });
+  assert.deepEqual(await chatCommands.getConversation(context), []);
+  assert.equal((await run('/apagar-sessao outra')).type, 'error');
+
+  assert.match((await run('/sessao planejamento')).message, /retomada \(2 mensagens\)/);
+  assert.equal(context.agent, 'DocumentAgent');
+  assert.equal(context.projectId, 'loja');
+  assert.match((await run('/contexto')).message, /\*\*Projeto:\*\* loja/);
+
+  await run('/projeto nenhum');
+  assert.equal('projectId' in context, false);
+  assert.equal((await chatCommands.sessions.getSession('planejamento')).context.projectId, undefined);
+
+  assert.match((await run('/historico sprint --todas')).message, /\[planejamento\] \*\*#1 Você\*\*/);
+  assert.match((await run('/historico inexistente')).message, /Nenhuma mensagem encontrada/);
+  assert.match((await run('/historico')).message, /\*\*#2 DocumentAgent\*\*/);
+
+  const target = path.join(workDir, 'exports', 'planejamento.json');
+  assert.match((await run(`/exportar JSON ${target}`)).message, /exportada para/);
+  assert.equal(JSON.parse(fs.readFileSync(target, 'utf8')).messages.length, 2);
+  assert.equal((await run('/exportar pdf')).type, 'error');
+
+  assert.match((await run('/apagar-sessao outra')).message, /Sessão outra apagada/);
+  assert.deepEqual((await chatCommands.sessions.listSessions()).map(session => session.name), ['planejamento']);
+});
+
+test('o assistente recebe os turnos anteriores como mensagens da conversa', () => {
+  const agent = { historySize: 3, maxTokens: 2, temperature: 0.2, buildSystemPrompt: () => 'sistema' };
+  const normalize = conversation => AIAssistantAgent.prototype.normalizeConversation.call(agent, conversation);
+
+  assert.deepEqual(normalize(undefined), []);
+  const conversation = normalize([
+    { role: 'user', content: 'primeira pergunta' },
+    { role: 'system', content: 'ignorada' },
+    { role: 'assistant', content: 'resposta' },
+    { role: 'user', content: 42 },
+    null,
+    { role: 'user', content: 'segunda' },
+    { role: 'assistant', content: 'ok' }
+  ]);
+  // historySize limita os turnos e maxTokens * 4 o tamanho de cada um
+  assert.deepEqual(conversation, [
+    { role: 'assistant', content: 'resposta' },
+    { role: 'user', content: 'segunda' },
+    { role: 'assistant', content: 'ok' }
+  ]);
+
+  // A conversa enviada ao provedor começa por uma mensagem do usuário
+  const request = AIAssistantAgent.prototype.buildRequest.call(agent, 'ask', 'Responda', { question: 'E agora?' }, { conversation });
+  assert.deepEqual(request.messages, [
+    { role: 'user', content: 'segunda' },
+    { role: 'assistant', content: 'ok' },
+    { role: 'user', content: 'Responda\n\n## question\nE agora?' }
+  ]);
+});
@@ -0,0 +1,227 @@
+// scripts/test-command-registry.js
+
+/**
+ * Testes do terminal de comandos: análise de aspas, pipes e roteiros,
+ * saída em JSON, aliases do usuário e execução em lote (que para na
+ * primeira falha e define o código de saída)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('command-registry');
+
+const {
+  CommandSyntaxError,
+  parseCommandLine,
+  parseOptions,
+  parseScript,
+  splitPipeline,
+  tokenize
+} = await import('../src/commands/command_parser.js');
+const { CommandError, CommandOutput, idsFromInput } = await import('../src/commands/command_result.js');
+const { default: commandRegistry } = await import('../src/commands/command_registry.js');
+
+const TERMINAL = path.join(path.dirname(fileURLToPath(import.meta.url)), 'nexus-terminal.js');
+
+after(() => {
+  cleanup();
+});
+
+// Comandos de teste: uma lista, um consumidor de IDs pelo pipe e um que falha
+commandRegistry.registerCommand('test-list', {
+  description: 'Lista itens de teste',
+  usage: 'test-list [quantidade]',
+  args: [{ name: 'quantidade', values: ['1', '2', '3'] }],
+  options: [{ name: 'status', values: () => ['pending', 'done'] }],
+  action: args => {
+    const items = Array.from({ length: Number(args[0] || 2) }, (_, index) => ({ id: index + 1 }));
+    return new CommandOutput(items.map(item => `#${item.id}`).join('\n'), items);
+  }
+});
+
+commandRegistry.registerCommand('test-ids', {
+  description: 'Mostra os IDs recebidos',
+  usage: 'test-ids [ids...]',
+  acceptsInput: true,
+  action: (args, { input }) => {
+    const ids = [...idsFromInput(input), ...args];
+    if (ids.length === 0) {
+      throw new CommandError('Nenhum ID informado', 'COMMAND_INVALID_ARGS');
+    }
+    return new CommandOutput(`IDs: ${ids.join(', ')}`, ids);
+  }
+});
+
+commandRegistry.registerCommand('test-crash', {
+  description: 'Falha com um erro inesperado',
+  usage: 'test-crash',
+  action: () => {
+    throw new Error('disco cheio');
+  }
+});
+
+test('aspas, escapes e pipes entre aspas são respeitados', () => {
+  assert.deepEqual(tokenize(`tm-create --title="Nova tarefa" 'a b' c\\ d ""`), [
+    'tm-create', '--title=Nova tarefa', 'a b', 'c d', ''
+  ]);
+  // Aspas simples não interpretam escapes
+  assert.deepEqual(tokenize(`echo 'a\\b' "a\\"b"`), ['echo', 'a\\b', 'a"b']);
+
+  assert.deepEqual(splitPipeline('echo "a | b" | test-ids x\\|y'), ['echo "a | b"', 'test-ids x\\|y']);
+  assert.deepEqual(parseCommandLine('Echo "a | b" | test-ids x\\|y').map(stage => [stage.name, stage.args]), [
+    ['echo', ['a | b']],
+    ['test-ids', ['x|y']]
+  ]);
+  assert.deepEqual(parseCommandLine('   '), []);
+
+  assert.throws(() => splitPipeline('test-list | | test-ids'), error => error instanceof CommandSyntaxError && error.message === 'Etapa vazia no pipeline');
+  assert.throws(() => splitPipeline('test-list |'), /Etapa vazia/);
+  assert.throws(() => tokenize('echo "sem fim'), error => error.code === 'COMMAND_SYNTAX' && error.message === 'Aspas não fechadas (")');
+
+  assert.deepEqual(parseOptions(['a', '--status=done', '--force', '--title=x=y']), {
+    positional: ['a'],
+    options: { status: 'done', force: true, title: 'x=y' }
+  });
+});
+
+test('roteiros ignoram comentários e juntam linhas continuadas', () => {
+  const script = [
+    '# Preparação',
+    '',
+    'test-list 3 \\',
+    '  | test-ids',
+    '   echo fim   ',
+    'echo barra\\\\',
+    'echo último \\'
+  ].join('\r\n');
+
+  assert.deepEqual(parseScript(script), [
+    { line: 3, input: 'test-list 3  | test-ids' },
+    { line: 5, input: 'echo fim' },
+    { line: 6, input: 'echo barra\\\\' },
+    { line: 7, input: 'echo último' }
+  ]);
+});
+
+test('pipes passam os dados adiante e --json vale para a linha inteira', async () => {
+  const piped = await commandRegistry.run('test-list 3 | test-ids 9');
+  assert.equal(piped.ok, true);
+  assert.equal(piped.exitCode, 0);
+  assert.equal(piped.command, 'test-ids');
+  assert.equal(piped.text, 'IDs: 1, 2, 3, 9');
+  assert.deepEqual(piped.data, ['1', '2', '3', '9']);
+
+  // echo sem argumentos repassa a entrada
+  const json = await commandRegistry.run('test-list --json | echo | test-ids');
+  assert.equal(json.text, JSON.stringify(['1', '2'], null, 2));
+  assert.deepEqual(await commandRegistry.run('test-list 1', { json: true }).then(result => JSON.parse(result.text)), [{ id: 1 }]);
+
+  // Objetos retornados sem texto seguem como estão para o terminal
+  assert.deepEqual((await commandRegistry.run('cls')).raw, { clear: true });
+  assert.deepEqual(await commandRegistry.run(''), { ok: true, exitCode: 0, text: '', data: null, command: null });
+});
+
+test('falhas informam o código e, com --json, saem como objeto', async () => {
+  const notAccepted = await commandRegistry.run('echo 1 | test-list');
+  assert.deepEqual(
+    [notAccepted.ok, notAccepted.exitCode, notAccepted.code, notAccepted.text],
+    [false, 1, 'COMMAND_INVALID_ARGS', 'test-list não aceita entrada pelo pipe']
+  );
+
+  const notFound = await commandRegistry.run('test-list | nada');
+  assert.equal(notFound.code, 'COMMAND_NOT_FOUND');
+  assert.equal(notFound.command, 'nada');
+
+  const syntax = await commandRegistry.run('echo "aberto');
+  assert.equal(syntax.code, 'COMMAND_SYNTAX');
+  assert.equal(syntax.command, null);
+
+  const crash = await commandRegistry.run('test-crash');
+  assert.equal(crash.code, 'COMMAND_FAILED');
+  assert.equal(crash.text, 'Erro ao executar test-crash: disco cheio');
+
+  const json = await commandRegistry.run('test-ids --json');
+  assert.deepEqual(JSON.parse(json.text), { error: 'Nenhum ID informado', code: 'COMMAND_INVALID_ARGS' });
+  assert.equal(json.data, null);
+});
+
+test('aliases do usuário podem conter pipes e recebem argumentos na última etapa', async () => {
+  const defined = await commandRegistry.run('alias ids="test-list 2 | test-ids"');
+  assert.equal(defined.ok, true);
+  assert.deepEqual(defined.data, { name: 'ids', expansion: 'test-list 2 | test-ids' });
+
+  assert.deepEqual((await commandRegistry.run('IDS 7 | echo')).data, ['1', '2', '7']);
+  assert.deepEqual((await commandRegistry.run('alias')).data, [{ name: 'ids', expansion: 'test-list 2 | test-ids' }]);
+
+  assert.equal((await commandRegistry.run('alias echo="test-list"')).code, 'COMMAND_INVALID_ARGS');
+  assert.equal((await commandRegistry.run('alias cls="test-list"')).code, 'COMMAND_INVALID_ARGS');
+  assert.equal((await commandRegistry.run('alias x="nada | echo"')).code, 'COMMAND_NOT_FOUND');
+
+  assert.equal((await commandRegistry.run('unalias ids')).text, 'Alias removido: ids');
+  assert.equal((await commandRegistry.run('ids')).code, 'COMMAND_NOT_FOUND');
+  assert.equal((await commandRegistry.run('unalias ids')).code, 'COMMAND_NOT_FOUND');
+});
+
+test('runScript para na primeira falha, a menos que continueOnError seja usado', async () => {
+  const script = 'test-list 1 | test-ids\n# comentário\ntest-ids\necho depois\n';
+  const seen = [];
+
+  const stopped = await commandRegistry.runScript(script, { onResult: result => seen.push(result.line) });
+  assert.equal(stopped.ok, false);
+  assert.equal(stopped.exitCode, 1);
+  assert.deepEqual(stopped.results.map(result => [result.line, result.ok]), [[1, true], [3, false]]);
+  assert.deepEqual(seen, [1, 3]);
+
+  const all = await commandRegistry.runScript(script, { continueOnError: true, json: true });
+  assert.deepEqual(all.results.map(result => result.ok), [true, false, true]);
+  assert.equal(all.exitCode, 1);
+  assert.equal(all.results[2].text, '"depois"');
+
+  const file = path.join(workDir, 'ok.nexus');
+  fs.writeFileSync(file, 'echo a\necho b\n');
+  assert.deepEqual(await commandRegistry.runScriptFile(file).then(result => [result.exitCode, result.results.length]), [0, 2]);
+});
+
+test('o terminal em lote usa o código de saída do roteiro', () => {
+  const runTerminal = (args, input) => spawnSync(process.execPath, [TERMINAL, ...args], {
+    input,
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  const ok = runTerminal(['-c', 'echo "um | dois" | echo']);
+  assert.equal(ok.status, 0, ok.stderr);
+  assert.equal(ok.stdout, 'um | dois\n');
+
+  const failed = runTerminal(['-'], 'echo antes\nnada\necho depois\n');
+  assert.equal(failed.status, 1);
+  assert.equal(failed.stdout, 'antes\n');
+  assert.match(failed.stderr, /linha 2: Comando não encontrado: nada/);
+
+  const continued = runTerminal(['--continue-on-error', '--json', '-'], 'nada\necho depois\n');
+  assert.equal(continued.status, 1);
+  assert.equal(continued.stdout, '"depois"\n');
+  assert.equal(JSON.parse(continued.stderr).code, 'COMMAND_NOT_FOUND');
+
+  assert.equal(runTerminal(['--json']).status, 2);
+});
+
+test('o autocompletar sugere comandos, aliases, argumentos e valores de opções', async () => {
+  assert.deepEqual(await commandRegistry.getCompletions('test-'), {
+    prefix: 'test-',
+    candidates: ['test-crash', 'test-ids', 'test-list']
+  });
+  assert.deepEqual((await commandRegistry.getCompletions('test-list ')).candidates, ['1', '2', '3']);
+  assert.deepEqual((await commandRegistry.getCompletions('test-list 2 --')).candidates, ['--json', '--status=']);
+  assert.deepEqual(await commandRegistry.getCompletions('echo x | test-list --status=d'), {
+    prefix: '--status=d',
+    candidates: ['--status=done']
+  });
+  assert.deepEqual(await commandRegistry.getCompletions('echo "aberto'), { prefix: '', candidates: [] });
+});
@@ -0,0 +1,150 @@
+// scripts/test-event-stream.js
+
+/**
+ * Testes do fluxo de eventos (SSE): retomada com Last-Event-ID, evento
+ * `reset` quando o ID não pode ser retomado, filtro por tipo e
+ * republicação dos eventos de emissores conectados
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import { EventEmitter } from 'events';
+import express from 'express';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { EventStream } = await import('../src/services/event_stream.js');
+
+const stream = new EventStream({ bufferSize: 3, heartbeatMs: 60000 });
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use('/api/events', stream.getRouter());
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/events`;
+});
+
+after(async () => {
+  stream.closeAll();
+  await new Promise(resolve => server.close(resolve));
+});
+
+/**
+ * Abre uma conexão SSE; take(n) lê os próximos n eventos
+ */
+async function connect(query = '', headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}${query}`, { headers, signal: controller.signal });
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  const pending = [];
+  let text = '';
+
+  const take = async count => {
+    while (pending.length < count) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      text += value;
+
+      let end;
+      while ((end = text.indexOf('\n\n')) !== -1) {
+        const fields = Object.fromEntries(text.slice(0, end).split('\n')
+          .filter(line => !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        text = text.slice(end + 2);
+
+        if (fields.event) {
+          pending.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data).data });
+        }
+      }
+    }
+    return pending.splice(0, count);
+  };
+
+  return { response, take, close: () => controller.abort() };
+}
+
+test('eventsSince retoma apenas IDs desta execução ainda no buffer', () => {
+  const local = new EventStream({ bufferSize: 2 });
+  const [first, second, third] = ['a', 'b', 'c'].map(name => local.publish('card:created', { name }));
+
+  assert.deepEqual(local.eventsSince(second.id).map(event => event.id), [third.id]);
+  assert.deepEqual(local.eventsSince(third.id), []);
+  // O buffer guarda b e c: a retomada a partir de a ainda é completa
+  assert.deepEqual(local.eventsSince(first.id).map(event => event.data.name), ['b', 'c']);
+  assert.equal(local.eventsSince(`${local.epoch}-0`), null);
+
+  assert.equal(local.eventsSince(`outra-${third.sequence}`), null);
+  assert.equal(local.eventsSince(`${local.epoch}-99`), null);
+  assert.equal(local.eventsSince('lixo'), null);
+});
+
+test('a reconexão com Last-Event-ID recebe os eventos perdidos e os novos', async () => {
+  const seen = stream.publish('card:created', { cardId: 'c1' });
+  stream.publish('card:moved', { cardId: 'c1', to: 'doing' });
+  stream.publish('taskmaster:task:updated', { taskId: 1 });
+
+  const connection = await connect('?types=card:*', { 'Last-Event-ID': seen.id });
+  assert.equal(connection.response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+
+  const [missed] = await connection.take(1);
+  assert.equal(missed.type, 'card:moved');
+  assert.deepEqual(missed.data, { cardId: 'c1', to: 'doing' });
+
+  // Eventos de outros tipos não chegam; os do filtro chegam ao vivo
+  stream.publish('taskmaster:task:deleted', { taskId: 1 });
+  const live = stream.publish('card:deleted', { cardId: 'c1' });
+  const [received] = await connection.take(1);
+  assert.equal(received.id, live.id);
+  assert.equal(received.type, 'card:deleted');
+
+  connection.close();
+});
+
+test('um ID que saiu do buffer ou é de outra execução recebe reset', async () => {
+  const old = stream.publish('board:created', { boardId: 'b1' });
+  for (let index = 0; index < 4; index++) {
+    stream.publish('board:updated', { boardId: 'b1', index });
+  }
+
+  for (const lastEventId of [old.id, 'a1b2c3d4-1']) {
+    const connection = await connect(`?lastEventId=${encodeURIComponent(lastEventId)}`);
+    const [reset] = await connection.take(1);
+    assert.equal(reset.type, 'reset');
+    assert.equal(reset.id, `${stream.epoch}-${stream.sequence}`);
+    connection.close();
+  }
+
+  // Retomar a partir do reset não repete eventos
+  const resumeFrom = `${stream.epoch}-${stream.sequence}`;
+  const connection = await connect('', { 'Last-Event-ID': resumeFrom });
+  const live = stream.publish('column:created', { columnId: 'k1' });
+  assert.deepEqual((await connection.take(1)).map(event => event.id), [live.id]);
+  connection.close();
+});
+
+test('emissores conectados são republicados uma vez e podem ser desconectados', () => {
+  const local = new EventStream();
+  const emitter = new EventEmitter();
+  const received = [];
+
+  const unsubscribe = local.subscribe('taskmaster:*', event => received.push(event.type));
+  const detach = local.attach(emitter, ['taskmaster:task:created', 'card:moved']);
+  local.attach(emitter, ['taskmaster:task:created']);
+
+  emitter.emit('taskmaster:task:created', { taskId: 1 });
+  emitter.emit('card:moved', { cardId: 'c1' });
+  assert.deepEqual(received, ['taskmaster:task:created']);
+  assert.equal(local.sequence, 2);
+
+  detach();
+  emitter.emit('taskmaster:task:created', { taskId: 2 });
+  assert.equal(local.sequence, 2);
+
+  unsubscribe();
+  local.publish('taskmaster:task:updated', { taskId: 1 });
+  assert.equal(received.length, 1);
+});
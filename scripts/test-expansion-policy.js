@@ -0,0 +1,194 @@
+// scripts/test-expansion-policy.js
+
+/**
+ * Testes da política de expansão automática: subtarefas sugeridas a partir
+ * do prompt de expansão, diff das subtarefas a acrescentar, visão do
+ * relatório de complexidade e aplicação das propostas (provedor local)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('expansion-policy');
+
+const { expansionDiff, promptItems, selectSubtasks, suggestSubtasks } = await import('../src/utils/task_expansion.js');
+const { describeComplexityReport, writeComplexityReport } = await import('../src/utils/complexity_report.js');
+const { ExpansionPolicy } = await import('../src/services/expansion_policy.js');
+const { LocalRuleProvider } = await import('../src/utils/ai_providers/local_provider.js');
+const { TaskStore } = await import('../src/utils/task_store.js');
+
+after(() => {
+  cleanup();
+});
+
+const CHECKOUT = {
+  id: 7,
+  title: 'Checkout',
+  details: '- Validar estoque\n- Calcular frete.',
+  subtasks: [{ id: 1, title: 'Carrinho', status: 'done' }, { id: 3, title: 'Cálculo de frete', status: 'pending' }]
+};
+
+/**
+ * Projeto com tasks/tasks.json e relatório de complexidade próprios
+ */
+async function createProject(name, analyses) {
+  const projectRoot = path.join(workDir, name);
+  const store = new TaskStore({ projectRoot });
+  await writeComplexityReport(path.join(projectRoot, 'scripts', 'task-complexity-report.json'), {
+    meta: { thresholdScore: 6 },
+    complexityAnalysis: analyses
+  });
+  return { projectRoot, store };
+}
+
+test('itens do prompt e dos detalhes viram subtarefas sem repetir as atuais', () => {
+  assert.deepEqual(promptItems('Divida cobrindo: 1) gateway de pagamento, 2) cálculo de frete, and 3) e-mails.'), [
+    'gateway de pagamento',
+    'cálculo de frete',
+    'e-mails'
+  ]);
+  assert.deepEqual(promptItems('Divida "X" a partir dos requisitos: Login; Cadastro; inclua testes.'), ['Login', 'Cadastro']);
+  assert.deepEqual(promptItems('Sem itens enumerados'), []);
+
+  const suggested = suggestSubtasks(CHECKOUT, { expansionPrompt: 'Cobrir: 1) Cálculo de FRETE, 2) gateway', count: 4 });
+  assert.deepEqual(suggested.map(subtask => subtask.title), [
+    'Gateway',
+    'Validar estoque',
+    'Calcular frete',
+    'Modelagem: Checkout'
+  ]);
+  assert.equal(suggested[0].description, 'Parte de "Checkout": gateway.');
+
+  // Candidatos sem título, repetidos ou além do limite são ignorados
+  assert.deepEqual(selectSubtasks(CHECKOUT, [{ title: ' ' }, 'carrinho', { title: 'Pix', details: 7 }, 'PIX', 'Boleto'], 1), [
+    { title: 'Pix', description: '', details: '' }
+  ]);
+
+  assert.deepEqual(expansionDiff(CHECKOUT, [{ title: 'Pix' }, { title: 'Boleto' }]), [
+    '  7.1 Carrinho [done]',
+    '  7.3 Cálculo de frete [pending]',
+    '+ 7.4 Pix',
+    '+ 7.5 Boleto'
+  ]);
+});
+
+test('a visão do relatório marca análises expansíveis, desatualizadas e de tarefas removidas', () => {
+  const report = {
+    meta: { thresholdScore: 6 },
+    complexityAnalysis: [
+      { taskId: 1, taskTitle: 'API', complexityScore: 8, recommendedSubtasks: 3 },
+      { taskId: 2, taskTitle: 'Título antigo', complexityScore: 9, recommendedSubtasks: 4 },
+      { taskId: 3, taskTitle: 'Docs', complexityScore: 3, recommendedSubtasks: 2 },
+      { taskId: 4, taskTitle: 'Deploy', complexityScore: 7, recommendedSubtasks: 2 },
+      { taskId: 9, taskTitle: 'Removida', complexityScore: 6, recommendedSubtasks: 2 }
+    ]
+  };
+  const tasks = [
+    { id: 1, title: 'API', status: 'pending', subtasks: [{ id: 1 }] },
+    { id: 2, title: 'Título novo', status: 'pending' },
+    { id: 3, title: 'Docs', status: 'pending' },
+    { id: 4, title: 'Deploy', status: 'done' }
+  ];
+
+  const { threshold, entries, summary } = describeComplexityReport(report, tasks);
+  const flags = entries.map(entry => [entry.taskId, entry.expandable, entry.stale, entry.missing, entry.missingSubtasks]);
+
+  assert.equal(threshold, 6);
+  assert.deepEqual(flags, [
+    [1, true, false, false, 2],
+    [2, false, true, false, 4],
+    [3, false, false, false, 2],
+    [4, false, false, false, 2],
+    [9, false, false, true, 2]
+  ]);
+  assert.deepEqual(summary, { analyzed: 5, aboveThreshold: 4, expandable: 1, missing: 1, stale: 1, averageScore: 6.6 });
+  assert.equal(describeComplexityReport(report, tasks, { threshold: 9 }).summary.expandable, 0);
+});
+
+test('a prévia mostra o diff e a aplicação recusa subtarefas alteradas desde então', async () => {
+  const { projectRoot, store } = await createProject('preview', [
+    { taskId: 1, taskTitle: 'Checkout', complexityScore: 8, recommendedSubtasks: 3, expansionPrompt: 'Cobrir: 1) pagamento, 2) frete, 3) e-mails' },
+    { taskId: 2, taskTitle: 'Rodapé', complexityScore: 2, recommendedSubtasks: 2 }
+  ]);
+  const policy = new ExpansionPolicy({ projectRoot, expansionsDir: path.join(projectRoot, 'expansions'), provider: new LocalRuleProvider() });
+
+  const task = await store.addTask({ title: 'Checkout', description: 'Fluxo de compra' });
+  await store.addTask({ title: 'Rodapé', description: 'Links' });
+  await store.addSubtask(task.id, { title: 'Frete', description: 'Correios' });
+
+  const proposal = await policy.preview(task.id);
+  assert.equal(proposal.status, 'pending');
+  assert.equal(proposal.provider, 'local');
+  assert.deepEqual(proposal.existing, [1]);
+  assert.equal(proposal.complexity.source, 'report');
+  assert.deepEqual(proposal.diff, ['  1.1 Frete [pending]', '+ 1.2 Pagamento', '+ 1.3 E-mails']);
+  assert.ok(fs.existsSync(path.join(projectRoot, 'expansions', 'task-1.json')));
+
+  await assert.rejects(policy.preview(2), error => error.code === 'EXPANSION_NOT_NEEDED' && /abaixo do limiar \(6\)/.test(error.message));
+  await assert.rejects(policy.preview('1.1'), error => error.code === 'EXPANSION_INVALID');
+  await assert.rejects(policy.getProposal(2), error => error.code === 'EXPANSION_NOT_FOUND');
+
+  // Uma subtarefa criada depois da prévia torna a proposta obsoleta
+  await store.addSubtask(task.id, { title: 'Cupom', description: 'Descontos' });
+  await assert.rejects(policy.apply(task.id), error => error.code === 'EXPANSION_STALE');
+  assert.equal((await store.getTask(task.id)).subtasks.length, 2);
+
+  await policy.discard(task.id);
+  await assert.rejects(policy.apply(task.id), error => error.code === 'EXPANSION_APPLIED');
+
+  // Com force a prévia ignora o limiar; a aplicação usa os IDs mostrados no diff
+  const forced = await policy.preview(2, { force: true });
+  assert.deepEqual(forced.diff, ['+ 2.1 Modelagem: Rodapé', '+ 2.2 Implementação: Rodapé']);
+  const applied = await policy.apply(2);
+  assert.equal(applied.status, 'applied');
+  assert.deepEqual(applied.createdSubtasks.map(subtask => `${subtask.parentTaskId}.${subtask.id} ${subtask.title}`), [
+    '2.1 Modelagem: Rodapé',
+    '2.2 Implementação: Rodapé'
+  ]);
+  assert.equal((await policy.getProposal(2)).status, 'applied');
+  await assert.rejects(policy.preview(2, { force: true }), /já tem 2 subtarefas/);
+});
+
+test('a mudança para in-progress expande conforme o modo e provedores sem novidade caem nas regras locais', async () => {
+  const { projectRoot, store } = await createProject('status', [
+    { taskId: 1, taskTitle: 'Busca', complexityScore: 7, recommendedSubtasks: 2, expansionPrompt: 'Cobrir: 1) índice, 2) ranking' },
+    { taskId: 2, taskTitle: 'Relatórios', complexityScore: 9, recommendedSubtasks: 1 }
+  ]);
+  await store.addTask({ title: 'Busca', description: 'Busca textual' });
+  await store.addTask({ title: 'Relatórios', description: 'Exportação' });
+
+  // Sem subtarefas novas do provedor, a proposta vem das regras locais
+  const repeating = {
+    name: 'repetidor',
+    complete: async () => ({ text: JSON.stringify({ subtasks: [] }), provider: 'repetidor', model: 'x' })
+  };
+  const options = { projectRoot, store, expansionsDir: path.join(projectRoot, 'expansions'), provider: repeating };
+
+  const off = new ExpansionPolicy({ ...options, mode: 'off' });
+  assert.equal(await off.onStatusChange({ taskId: 1, status: 'in-progress', previousStatus: 'pending' }), null);
+
+  const preview = new ExpansionPolicy({ ...options, mode: 'preview' });
+  assert.equal(await preview.onStatusChange({ taskId: 1, status: 'done', previousStatus: 'pending' }), null);
+  assert.equal(await preview.onStatusChange({ taskId: 1, status: 'in-progress', previousStatus: 'in-progress' }), null);
+
+  const pending = await preview.onStatusChange({ taskId: 1, status: 'in-progress', previousStatus: 'pending' });
+  assert.equal(pending.trigger, 'status');
+  assert.equal(pending.provider, 'local');
+  assert.deepEqual(pending.diff, ['+ 1.1 Índice', '+ 1.2 Ranking']);
+  assert.equal((await store.getTask(1)).subtasks.length, 0);
+
+  const auto = new ExpansionPolicy({ ...options, mode: 'auto', threshold: 8 });
+  assert.equal(await auto.onStatusChange({ taskId: 1, status: 'in-progress', previousStatus: 'pending' }), null);
+  const applied = await auto.onStatusChange({ taskId: 2, status: 'in-progress', previousStatus: 'pending' });
+  assert.equal(applied.status, 'applied');
+  assert.deepEqual((await store.getTask(2)).subtasks.map(subtask => subtask.title), ['Modelagem: Relatórios']);
+
+  // Falhas não interrompem a mudança de status
+  const failing = new ExpansionPolicy({ ...options, mode: 'auto', provider: { name: 'quebrado', complete: async () => { throw new Error('sem rede'); } } });
+  assert.deepEqual(await failing.onStatusChange({ taskId: 1, status: 'in-progress' }), { taskId: 1, error: 'sem rede' });
+
+  assert.equal(new ExpansionPolicy({ ...options, mode: 'sempre' }).mode, 'off');
+});
@@ -0,0 +1,210 @@
+// scripts/test-flow-engine.js
+
+/**
+ * Testes do FlowEngine e da retomada de fluxos pelo OrchestratorAgent:
+ * tempo limite aborta a etapa (e só é repetido quando a etapa permite, depois
+ * de a tentativa abortada terminar) e execuções interrompidas são retomadas na
+ * inicialização, respeitando a concessão de outro processo
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { FlowEngine, FlowStateStore } = await import('../src/utils/flow_engine.js');
+const { SpanStore } = await import('../src/utils/tracing.js');
+const { default: OrchestratorAgent } = await import('../src/agents/orchestrator_agent.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-flow-engine-'));
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('o tempo limite aborta o sinal da etapa, que não grava depois dele', async () => {
+  const engine = new FlowEngine({
+    stateStore: new FlowStateStore({ directory: path.join(workDir, 'timeout') }),
+    logger: silentLogger
+  });
+  const writes = [];
+  let abortReason;
+
+  const definition = {
+    name: 'lento',
+    steps: [{
+      id: 'gravar',
+      timeoutMs: 20,
+      run: async ({ signal }) => {
+        signal.addEventListener('abort', () => { abortReason = signal.reason.message; });
+        await delay(60);
+        signal.throwIfAborted();
+        writes.push('gravado');
+      }
+    }]
+  };
+
+  const state = engine.createRunState('lento');
+  await assert.rejects(engine.run(definition, state), /Tempo limite de 20ms excedido na etapa gravar/);
+
+  await delay(80);
+  assert.deepEqual(writes, []);
+  assert.match(abortReason, /Tempo limite/);
+  assert.equal(state.status, 'failed');
+});
+
+test('tempo limite só é repetido com retry.onTimeout, depois que a tentativa abortada termina', async () => {
+  const engine = new FlowEngine({
+    stateStore: new FlowStateStore({ directory: path.join(workDir, 'timeout-retry') }),
+    logger: silentLogger
+  });
+  const events = [];
+  let attempt = 0;
+
+  const slowStep = retry => ({
+    id: 'lenta',
+    timeoutMs: 20,
+    retry,
+    run: async () => {
+      const current = ++attempt;
+      events.push(`início ${current}`);
+      // Ignora o sinal: a chamada segue em andamento depois do tempo limite
+      await delay(current === 1 ? 60 : 0);
+      events.push(`fim ${current}`);
+      return current;
+    }
+  });
+
+  const failed = engine.createRunState('sem-repeticao');
+  await assert.rejects(engine.run({ name: 'sem-repeticao', steps: [slowStep({ attempts: 3 })] }, failed), /Tempo limite/);
+  assert.equal(failed.steps.lenta.attempts, 1);
+
+  await delay(80);
+  events.length = 0;
+  attempt = 0;
+
+  const output = await engine.run(
+    { name: 'com-repeticao', steps: [slowStep({ attempts: 2, onTimeout: true })] },
+    engine.createRunState('com-repeticao')
+  );
+  assert.deepEqual(output, { lenta: 2 });
+  assert.deepEqual(events, ['início 1', 'fim 1', 'início 2', 'fim 2']);
+});
+
+test('etapas de agente recebem o sinal pela referência $signal', async () => {
+  let received;
+  const agent = {
+    async formatar(text, { signal }) {
+      received = signal;
+      return text.toUpperCase();
+    }
+  };
+  const engine = new FlowEngine({
+    orchestrator: { getAgent: () => agent },
+    stateStore: new FlowStateStore({ directory: path.join(workDir, 'signal') }),
+    logger: silentLogger
+  });
+
+  const output = await engine.run({
+    name: 'formatar',
+    steps: [{ id: 'texto', agent: 'Formatador', method: 'formatar', inputs: ['$params.text', { signal: '$signal' }], timeoutMs: 1000 }]
+  }, engine.createRunState('formatar', { text: 'nexus' }));
+
+  assert.deepEqual(output, { texto: 'NEXUS' });
+  assert.ok(received instanceof AbortSignal);
+  assert.equal(received.aborted, false);
+});
+
+test('initializeSystem retoma as execuções que estavam em andamento', async () => {
+  const flowsDir = path.join(workDir, 'flows');
+  fs.mkdirSync(flowsDir);
+  fs.writeFileSync(path.join(flowsDir, 'retomado_flow.js'), `
+    export default {
+      steps: [
+        { id: 'primeira', run: () => { throw new Error('não deveria repetir'); } },
+        { id: 'segunda', run: ({ steps }) => steps.primeira + 1 }
+      ]
+    };
+  `);
+
+  const configPath = path.join(workDir, 'config.js');
+  fs.writeFileSync(configPath, 'export default { agents: {}, notifications: { channels: [], defaultPriorities: {} } };');
+
+  const stateStore = new FlowStateStore({ directory: path.join(workDir, 'runs') });
+  await stateStore.save({
+    runId: 'retomado-1',
+    flowType: 'retomado',
+    status: 'running',
+    params: {},
+    steps: { primeira: { status: 'completed', result: 41 } },
+    currentStep: 'segunda',
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  const orchestrator = new OrchestratorAgent({
+    flowsDir,
+    flowStateStore: stateStore,
+    spanStore: new SpanStore({ directory: path.join(workDir, 'traces') })
+  });
+  orchestrator.agents = {
+    SecurityAgent: { verifySecurityConfig: async () => ({ valid: true }) },
+    NotificationAgent: { configureChannels: async () => {} }
+  };
+
+  await orchestrator.initializeSystem({ configPath });
+  const results = await orchestrator.interruptedFlowsResumed;
+
+  assert.deepEqual(results.map(result => [result.runId, result.success]), [['retomado-1', true]]);
+  const state = await orchestrator.getFlowRun('retomado-1');
+  assert.equal(state.status, 'completed');
+  assert.deepEqual(state.output, { primeira: 41, segunda: 42 });
+  assert.equal(state.lease.owner, orchestrator.flowEngine.ownerId);
+  assert.ok(Date.parse(state.lease.expiresAt) <= Date.now());
+});
+
+test('execuções com concessão válida não são retomadas e só um processo assume uma concessão expirada', async () => {
+  const flowsDir = path.join(workDir, 'flows-lease');
+  fs.mkdirSync(flowsDir);
+  fs.writeFileSync(path.join(flowsDir, 'disputado_flow.js'), 'export default { steps: [{ id: \'unica\', run: () => 1 }] };');
+
+  const stateStore = new FlowStateStore({ directory: path.join(workDir, 'runs-lease') });
+  const running = (runId, expiresAt) => ({
+    runId,
+    flowType: 'disputado',
+    status: 'running',
+    params: {},
+    steps: {},
+    lease: { owner: 'outro-host:123:abcd', generation: 0, expiresAt },
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+
+  await stateStore.save(running('ativo-1', new Date(Date.now() + 60000).toISOString()));
+  await stateStore.save(running('expirado-1', new Date(Date.now() - 1000).toISOString()));
+
+  const orchestrator = new OrchestratorAgent({
+    flowsDir,
+    flowStateStore: stateStore,
+    spanStore: new SpanStore({ directory: path.join(workDir, 'traces-lease') })
+  });
+
+  const results = await orchestrator.resumeInterruptedFlows();
+  assert.deepEqual(results.map(result => [result.runId, result.success]), [['expirado-1', true]]);
+  assert.equal((await stateStore.load('ativo-1')).status, 'running');
+  await assert.rejects(orchestrator.resumeFlow('ativo-1'), error => error.code === 'FLOW_RUN_LEASED');
+
+  // Dois processos disputando a mesma execução expirada
+  await stateStore.save(running('expirado-2', new Date(Date.now() - 1000).toISOString()));
+  const engines = [1, 2].map(index => new FlowEngine({ stateStore, logger: silentLogger, ownerId: `processo-${index}` }));
+  const claims = await Promise.allSettled(engines.map(engine => engine.claim('expirado-2')));
+
+  assert.equal(claims.filter(claim => claim.status === 'fulfilled').length, 1);
+  assert.equal(claims.find(claim => claim.status === 'rejected').reason.code, 'FLOW_RUN_LEASED');
+  assert.equal((await stateStore.load('expirado-2')).lease.generation, 1);
+});
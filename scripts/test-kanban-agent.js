@@ -0,0 +1,191 @@
+// scripts/test-kanban-agent.js
+
+/**
+ * Testes do KanbanAgent: carregamento do módulo, criação de quadros e
+ * automações e avaliação de condições (armazenamento em memória)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('kanban', {
+  KANBAN_AUTOMATION_ENABLED: 'true',
+  // Gravações fora de src/config/database/schema.sql falham
+  SUPABASE_STRICT_SCHEMA: 'true'
+});
+
+const { KanbanAgent } = await import('../src/agents/kanban_agent.js');
+
+const agent = new KanbanAgent();
+
+after(() => {
+  agent.stopAutomationScheduler();
+  cleanup();
+});
+
+test('o módulo ESM do KanbanAgent carrega e instancia o agente', () => {
+  assert.equal(typeof KanbanAgent, 'function');
+  assert.equal(typeof agent.createAutomation, 'function');
+});
+
+test('createAutomation grava a automação de um quadro do usuário', async () => {
+  const boardId = await agent.createBoard({ name: 'Quadro de testes' }, 'alice');
+  assert.ok(boardId);
+
+  const automationId = await agent.createAutomation(boardId, {
+    name: 'Rotular urgentes',
+    trigger: { event: 'card:created', condition: "card.priority == 'high'" },
+    action: { type: 'add_label', labels: ['urgente'] }
+  }, 'alice');
+
+  const automation = await agent.toolManager.callTool('supabase:query', { table: 'kanban_automations', id: automationId });
+  assert.equal(automation.board_id, boardId);
+  assert.deepEqual(automation.actions, [{ type: 'add_label', labels: ['urgente'] }]);
+});
+
+test('createAutomation rejeita condições inválidas e usuários sem acesso ao quadro', async () => {
+  const boardId = await agent.createBoard({ name: 'Outro quadro' }, 'alice');
+  const automation = {
+    name: 'Inválida',
+    trigger: { event: 'card:created', condition: 'card.priority ==' },
+    action: { type: 'add_label', labels: ['x'] }
+  };
+
+  await assert.rejects(agent.createAutomation(boardId, automation, 'alice'), /Condição de automação inválida/);
+  await assert.rejects(
+    agent.createAutomation(boardId, { ...automation, trigger: { event: 'card:created' } }, 'mallory'),
+    /não tem permissão/
+  );
+});
+
+test('createAutomation exige hoursBefore positivo no gatilho deadline:approaching', async () => {
+  const boardId = await agent.createBoard({ name: 'Quadro de prazos' }, 'alice');
+  const automation = {
+    name: 'Prazo próximo',
+    trigger: { event: 'deadline:approaching' },
+    action: { type: 'notify', recipients: ['alice'], message: 'Prazo se aproximando' }
+  };
+
+  for (const trigger of [automation.trigger, { ...automation.trigger, hoursBefore: 0 }]) {
+    await assert.rejects(
+      agent.createAutomation(boardId, { ...automation, trigger }, 'alice'),
+      /Gatilho deadline:approaching requer hoursBefore maior que zero/
+    );
+  }
+
+  const automationId = await agent.createAutomation(boardId, { ...automation, trigger: { ...automation.trigger, hoursBefore: 12 } }, 'alice');
+  const stored = await agent.toolManager.callTool('supabase:query', { table: 'kanban_automations', id: automationId });
+  assert.deepEqual(stored.trigger, { event: 'deadline:approaching', hoursBefore: 12 });
+});
+
+test('execuções de automações são registradas e consultadas pelo histórico', async () => {
+  const boardId = await agent.createBoard({ name: 'Quadro de execuções' }, 'alice');
+  const [column] = await agent.toolManager.callTool('supabase:query', { table: 'kanban_columns', filters: { board_id: boardId } });
+
+  const automationId = await agent.createAutomation(boardId, {
+    name: 'Rotular bugs',
+    trigger: { event: 'card:created', condition: "includes(card.labels, 'bug')" },
+    action: { type: 'add_label', labels: ['triagem'] }
+  }, 'alice');
+
+  const cardId = await agent.createCard(column.id, { title: 'Falha no login', labels: ['bug'] }, 'alice');
+  await agent.createCard(column.id, { title: 'Nova tela', labels: ['feature'] }, 'alice');
+
+  const runs = await agent.getAutomationRuns(automationId, {}, 'alice');
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].card_id, cardId);
+  assert.equal(runs[0].status, 'success');
+  assert.deepEqual(runs[0].steps.map(step => step.type), ['add_label']);
+
+  const stored = await agent.getCard(cardId);
+  assert.deepEqual(stored.labels, ['bug', 'triagem']);
+});
+
+test('runScheduledAutomations dispara gatilhos de tempo uma vez por ocorrência', async () => {
+  const boardId = await agent.createBoard({ name: 'Quadro agendado' }, 'alice');
+  const [column] = await agent.toolManager.callTool('supabase:query', { table: 'kanban_columns', filters: { board_id: boardId } });
+
+  const automationId = await agent.createAutomation(boardId, {
+    name: 'Cartões parados',
+    trigger: { event: 'card:idle', idleHours: 1 },
+    action: { type: 'notify', recipients: ['alice'], message: 'Cartão parado' }
+  }, 'alice');
+  const cardId = await agent.createCard(column.id, { title: 'Esquecido' }, 'alice');
+
+  const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+  const runs = await agent.runScheduledAutomations(later);
+  assert.deepEqual(runs.filter(run => run.automation_id === automationId).map(run => run.card_id), [cardId]);
+
+  // Sem nova atividade no cartão, a mesma inatividade não dispara de novo
+  const repeated = await agent.runScheduledAutomations(later);
+  assert.equal(repeated.filter(run => run.automation_id === automationId).length, 0);
+  assert.equal((await agent.getAutomationRuns(automationId, {}, 'alice')).length, 1);
+});
+
+test('simulateAutomation reproduz o histórico sem gravar nada', async () => {
+  const boardId = await agent.createBoard({ name: 'Quadro simulado' }, 'alice');
+  const columns = await agent.toolManager.callTool('supabase:query', {
+    table: 'kanban_columns',
+    filters: { board_id: boardId },
+    order: { order: 'asc' }
+  });
+
+  const cardId = await agent.createCard(columns[0].id, { title: 'Checkout', priority: 'high' }, 'alice');
+  await agent.moveCard(cardId, columns[1].id, 0, 'alice');
+  await agent.updateCard(cardId, { title: 'Checkout v2' }, 'alice');
+
+  const writes = [];
+  const executeTool = agent.toolManager.executeTool;
+  agent.toolManager.executeTool = function (toolName, params) {
+    if (/^supabase:(insert|update|delete)$/.test(toolName)) writes.push(toolName);
+    return executeTool.call(this, toolName, params);
+  };
+
+  let report;
+  try {
+    report = await agent.simulateAutomation(boardId, {
+      name: 'Mover urgentes',
+      trigger: { event: 'card:moved', condition: "card.priority == 'high'" },
+      action: { type: 'move_card', targetColumn: columns[2].id }
+    }, {}, 'alice');
+  } finally {
+    agent.toolManager.executeTool = executeTool;
+  }
+
+  assert.deepEqual(writes, []);
+  assert.equal(report.simulated, true);
+  assert.equal(report.eventsAnalyzed, 2);
+  assert.deepEqual(report.matchedCards, [cardId]);
+  assert.equal(report.matches[0].event, 'card:moved');
+
+  const card = await agent.getCard(cardId);
+  assert.equal(card.column_id, columns[1].id);
+});
+
+test('evaluateCondition avalia a expressão sem executar código', () => {
+  const scope = { card: { priority: 'high', labels: ['bug'] } };
+
+  assert.equal(agent.evaluateCondition("card.priority == 'high'", scope), true);
+  assert.equal(agent.evaluateCondition("card.priority == 'low'", scope), false);
+  assert.equal(agent.evaluateCondition("includes(card.labels, 'bug')", scope), true);
+  assert.equal(agent.evaluateCondition("constructor.constructor('return process')()", scope), false);
+});
+
+test('o cache de condições compiladas é limitado às mais recentes', () => {
+  const limit = agent.compiledConditionsLimit;
+  agent.compiledConditionsLimit = 3;
+
+  try {
+    agent.compiledConditions.clear();
+    for (const points of [1, 2, 3]) {
+      agent.evaluateCondition(`card.points > ${points}`, { card: { points: 5 } });
+    }
+    agent.evaluateCondition('card.points > 1', { card: { points: 5 } });
+    agent.evaluateCondition('card.points > 4', { card: { points: 5 } });
+
+    assert.deepEqual([...agent.compiledConditions.keys()], ['card.points > 3', 'card.points > 1', 'card.points > 4']);
+  } finally {
+    agent.compiledConditionsLimit = limit;
+  }
+});
@@ -0,0 +1,102 @@
+// scripts/test-kanban-commands.js
+
+/**
+ * Testes dos comandos de terminal board, column, card, project e report
+ * contra os agentes reais (armazenamento em memória)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('kanban-commands', {
+  NEXUS_TERMINAL_USER_ID: 'alice'
+});
+
+const { default: commands } = await import('../src/commands/kanban_terminal_commands.js');
+const { loadAgent } = await import('../src/services/mcp_tools.js');
+
+const run = (...args) => commands.commands.get(args[0]).action(args.slice(1), {});
+
+after(async () => {
+  (await loadAgent('KanbanAgent')).stopAutomationScheduler();
+  cleanup();
+});
+
+let project;
+let board;
+let columns;
+let card;
+
+test('project create e project list', async () => {
+  project = (await run('project', 'create', 'Loja', '--description=Loja virtual', '--start=2026-01-01', '--end=2026-12-31')).data;
+  assert.ok(project.id);
+
+  const projects = (await run('project', 'list')).data;
+  assert.deepEqual(projects.map(item => item.id), [project.id]);
+  assert.equal(projects[0].owner_id, 'alice');
+  assert.equal(projects[0].end_date, '2026-12-31');
+});
+
+test('board create, board list e column create/list', async () => {
+  board = (await run('board', 'create', 'Sprint', `--project=${project.id}`, '--template=basic')).data;
+  assert.ok(board.id);
+
+  const boards = (await run('board', 'list', `--project=${project.id}`)).data;
+  assert.deepEqual(boards.map(item => item.id), [board.id]);
+
+  await run('column', 'create', board.id, 'QA', '--wip=2');
+  columns = (await run('column', 'list', board.id)).data;
+  assert.deepEqual(columns.map(column => column.name), ['A Fazer', 'Em Progresso', 'Concluído', 'QA']);
+  assert.equal(columns[3].wip_limit, 2);
+});
+
+test('card create, move, assign e list', async () => {
+  card = (await run('card', 'create', columns[0].id, 'Login', '--priority=high', '--labels=auth,web', '--due=2026-12-01')).data;
+  assert.ok(card.id);
+
+  await run('card', 'move', card.id, columns[1].id);
+  await run('card', 'assign', card.id, 'bob');
+
+  const cards = (await run('card', 'list', board.id, '--assignee=bob')).data;
+  assert.equal(cards.length, 1);
+  assert.equal(cards[0].column_id, columns[1].id);
+  assert.deepEqual(cards[0].labels, ['auth', 'web']);
+});
+
+test('board show, metrics e export', async () => {
+  const shown = await run('board', 'show', board.id);
+  assert.match(shown.text, /Em Progresso \(1\/\d+\)/);
+
+  for (const metricType of ['distribution', 'time', 'flow']) {
+    const metrics = (await run('board', 'metrics', board.id, metricType)).data;
+    assert.equal(metrics.boardId, board.id, metricType);
+  }
+
+  const output = path.join(workDir, 'board.json');
+  await run('board', 'export', board.id, `--output=${output}`);
+  assert.equal(JSON.parse(fs.readFileSync(output, 'utf8')).cards.length, 1);
+});
+
+test('project progress, project assign e report generate/export', async () => {
+  const projectManager = await loadAgent('ProjectManagerAgent');
+  const taskId = await projectManager.createTask(project.id, { title: 'Checkout', description: 'Pagamento' }, 'alice');
+
+  const progress = (await run('project', 'progress', project.id)).data;
+  assert.equal(progress.taskCounts.total, 1);
+
+  await assert.rejects(run('project', 'assign', taskId, 'mallory'), /não é membro/);
+  const task = (await run('project', 'assign', taskId, 'alice')).data;
+  assert.equal(task.assigned_to, 'alice');
+
+  for (const reportType of ['progress', 'resources', 'deadlines']) {
+    const report = (await run('report', 'generate', project.id, reportType)).data;
+    assert.equal(report.projectId, project.id, reportType);
+  }
+
+  const output = path.join(workDir, 'report.json');
+  await run('report', 'export', project.id, 'progress', `--output=${output}`);
+  assert.equal(JSON.parse(fs.readFileSync(output, 'utf8')).projectId, project.id);
+});
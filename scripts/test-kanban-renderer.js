@@ -0,0 +1,153 @@
+// scripts/test-kanban-renderer.js
+
+/**
+ * Testes do renderizador do quadro Kanban: escape do conteúdo dos cartões
+ * e da configuração do cliente, indicadores de WIP das colunas, raias e
+ * modo somente leitura
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+const { SWIMLANE_MODES, escapeHtml, renderKanbanBoard } = await import('../src/components/kanban_board_renderer.js');
+const { getWipStatus } = await import('../src/utils/wip_limits.js');
+
+const XSS = '<img src=x onerror="alert(\'x\')">';
+
+/**
+ * Quadro com uma coluna por item de `columns` ({ id, wipLimit, cards })
+ */
+function createBoard(columns, title = 'Quadro') {
+  return {
+    title,
+    columns: columns.map(column => ({
+      title: column.id,
+      status: column.id,
+      color: '#4caf50',
+      ...column,
+      cards: column.cards || []
+    }))
+  };
+}
+
+/**
+ * Cartões mínimos para preencher uma coluna
+ */
+const cardsOf = (count, fields = {}) => Array.from({ length: count }, (_, index) => ({
+  id: `task-${index + 1}`,
+  taskId: index + 1,
+  title: `Tarefa ${index + 1}`,
+  ...fields
+}));
+
+/**
+ * Classe, limite de WIP e contador do cabeçalho de uma coluna
+ */
+function headerOf(html, columnId) {
+  const match = html.match(new RegExp(`<div class="(column-header[^"]*)" data-column-id="${columnId}" data-wip-limit="([^"]*)"[^>]*>\\s*<span>[^<]*</span>\\s*<span class="column-count"[^>]*>([^<]*)</span>`));
+  return match && { className: match[1], wipLimit: match[2], counter: match[3] };
+}
+
+/**
+ * Desfaz escapeHtml (para ler atributos da página)
+ */
+const unescapeHtml = text => text
+  .replace(/&#39;/g, '\'')
+  .replace(/&quot;/g, '"')
+  .replace(/&gt;/g, '>')
+  .replace(/&lt;/g, '<')
+  .replace(/&amp;/g, '&');
+
+test('escapeHtml cobre conteúdo e atributos', () => {
+  assert.equal(escapeHtml(`<a href="x" title='y'>&amp;</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;amp;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(undefined), '');
+  assert.equal(escapeHtml(0), '0');
+});
+
+test('textos dos cartões, colunas e quadro nunca viram HTML', () => {
+  const board = createBoard([{
+    id: 'todo',
+    title: `A fazer ${XSS}`,
+    cards: [{
+      id: 'task-1" onclick="x',
+      taskId: '1"><b>',
+      title: `Título ${XSS}`,
+      description: '</div><script>alert(1)</script>',
+      tags: [XSS],
+      assignee: `ana ${XSS}`,
+      priority: 'high"><i>'
+    }]
+  }], `Roadmap </title><script>alert(1)</script>`);
+
+  for (const options of [{}, { apiBase: '/api/kanban', eventsUrl: '/api/events?token="x"</script>' }]) {
+    const html = renderKanbanBoard(board, { ...options, swimlane: 'assignee' });
+
+    assert.ok(!html.includes('<img'), 'imagem injetada');
+    assert.ok(!html.includes('<b>') && !html.includes('<i>'), 'tags injetadas');
+    assert.ok(!html.includes('onclick="x'), 'atributo injetado');
+    assert.equal(html.match(/<script\b/g).length, 1);
+    assert.equal(html.match(/<\/script>/g).length, 1);
+    assert.ok(html.includes('<title>Roadmap &lt;/title&gt;&lt;script&gt;alert(1)&lt;/script&gt;</title>'));
+    assert.ok(html.includes(`<h2 class="lane-title" data-lane="ana ${escapeHtml(XSS)}">`));
+
+    // A configuração do cliente sai íntegra do atributo
+    const config = JSON.parse(unescapeHtml(html.match(/data-kanban-config="([^"]*)"/)[1]));
+    assert.equal(config.eventsUrl, options.eventsUrl || null);
+    assert.equal(config.editable, Boolean(options.apiBase));
+    assert.deepEqual(config.statusColumns, { todo: 'todo' });
+  }
+});
+
+test('os cabeçalhos indicam colunas no limite e acima do limite de WIP', () => {
+  assert.deepEqual(getWipStatus(3, 3), { count: 3, limit: 3, exceeded: false, atLimit: true });
+  assert.deepEqual(getWipStatus(4, '3'), { count: 4, limit: 3, exceeded: true, atLimit: false });
+  for (const limit of [null, undefined, 0, -1, 'sem limite']) {
+    assert.deepEqual(getWipStatus(9, limit), { count: 9, limit: null, exceeded: false, atLimit: false }, String(limit));
+  }
+
+  const html = renderKanbanBoard(createBoard([
+    { id: 'todo', wipLimit: 0, cards: cardsOf(5) },
+    { id: 'doing', wipLimit: 2, cards: cardsOf(1) },
+    { id: 'review', wipLimit: 2, cards: cardsOf(2) },
+    { id: 'done', wipLimit: 2, cards: cardsOf(3) }
+  ]));
+
+  assert.deepEqual(headerOf(html, 'todo'), { className: 'column-header', wipLimit: '', counter: '5' });
+  assert.deepEqual(headerOf(html, 'doing'), { className: 'column-header', wipLimit: '2', counter: '1/2' });
+  assert.deepEqual(headerOf(html, 'review'), { className: 'column-header wip-at-limit', wipLimit: '2', counter: '2/2' });
+  assert.deepEqual(headerOf(html, 'done'), { className: 'column-header wip-exceeded', wipLimit: '2', counter: '3/2' });
+  assert.ok(html.includes('title="Limite de WIP: 2"'));
+});
+
+test('raias agrupam por prioridade ou responsável e o quadro sem apiBase é somente leitura', () => {
+  const board = createBoard([{
+    id: 'todo',
+    cards: [
+      ...cardsOf(1, { assignee: 'bruno', priority: 'low' }),
+      { id: 'task-9', taskId: 9, title: 'Sem dono' },
+      { id: 'task-8', taskId: 8, title: 'Ana', assignee: 'ana', priority: 'high' }
+    ]
+  }]);
+
+  const byAssignee = renderKanbanBoard(board, { swimlane: 'assignee' });
+  const lanes = [...byAssignee.matchAll(/<h2 class="lane-title" data-lane="([^"]*)">([^<]*)<\/h2>/g)].map(match => match[2]);
+  assert.deepEqual(lanes, ['ana (1)', 'bruno (1)', 'Sem responsável (1)']);
+
+  const byPriority = renderKanbanBoard(board, { swimlane: 'priority' });
+  assert.ok(byPriority.includes('Prioridade média (1)'));
+
+  // Modo desconhecido volta para "sem raias"
+  const plain = renderKanbanBoard(board, { swimlane: 'status' });
+  assert.ok(plain.includes('data-swimlane="none"'));
+  assert.ok(!plain.includes('<h2 class="lane-title"'));
+  assert.ok(plain.includes('Somente leitura'));
+  assert.ok(!plain.includes(' draggable="true">'));
+  assert.ok(!plain.includes(' contenteditable="true" '));
+
+  const editable = renderKanbanBoard(board, { apiBase: '/api/kanban', scriptUrl: '/kanban/board.js' });
+  assert.equal(editable.match(/ draggable="true">/g).length, 3);
+  assert.ok(editable.includes('<script src="/kanban/board.js"></script>'));
+  assert.ok(!editable.includes('Somente leitura'));
+  assert.deepEqual(SWIMLANE_MODES.map(mode => editable.includes(`href="/api/kanban?swimlane=${mode}"`)), [true, true, true]);
+});
@@ -0,0 +1,88 @@
+// scripts/test-logger.js
+
+/**
+ * Testes do logger estruturado: campos principais protegidos dos metadados,
+ * mascaramento de chaves sensíveis e sink de arquivo com gravação em lotes
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-logger-'));
+
+const { REDACTED, createLogger, createRotatingFileSink, isSensitiveKey, redact } = await import('../src/utils/logger.js');
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Logger que guarda os registros em memória
+ */
+function memoryLogger(context, options = {}) {
+  const entries = [];
+  const logger = createLogger(context, { level: 'debug', sinks: [{ write: entry => entries.push(entry) }], ...options });
+  return { logger, entries };
+}
+
+test('metadados e campos fixos não sobrescrevem os campos principais', () => {
+  const { logger, entries } = memoryLogger('TaskStore', { bindings: { requestId: 'r1', context: 'Falso' } });
+
+  logger.warn('Tarefa bloqueada', { level: 'debug', message: 'outra', timestamp: 'ontem', taskId: 7 });
+
+  const [entry] = entries;
+  assert.equal(entry.level, 'warn');
+  assert.equal(entry.message, 'Tarefa bloqueada');
+  assert.equal(entry.context, 'TaskStore');
+  assert.notEqual(entry.timestamp, 'ontem');
+  assert.equal(entry.requestId, 'r1');
+  assert.equal(entry.taskId, 7);
+  assert.deepEqual(Object.keys(entry).slice(0, 4), ['timestamp', 'level', 'context', 'message']);
+});
+
+test('somente chaves que são palavras sensíveis são mascaradas', () => {
+  for (const key of ['password', 'passwd', 'db_password', 'accessToken', 'refresh_token', 'apiKey', 'x-api-key',
+    'clientSecret', 'Authorization', 'cookies', 'credentials', 'private_key']) {
+    assert.equal(isSensitiveKey(key), true, key);
+  }
+
+  for (const key of ['passed', 'bypass', 'passengers', 'compass', 'testsPassed', 'secretary', 'tokenizer', 'author']) {
+    assert.equal(isSensitiveKey(key), false, key);
+  }
+
+  assert.deepEqual(
+    redact({ testsPassed: 'todos', bypass: 'cache', password: 'hunter2', nested: { apiKey: 'sk-123' } }),
+    { testsPassed: 'todos', bypass: 'cache', password: REDACTED, nested: { apiKey: REDACTED } }
+  );
+});
+
+test('o sink de arquivo grava em lotes e rotaciona por tamanho', async () => {
+  const filePath = path.join(workDir, 'logs', 'nexus.log');
+  const sink = createRotatingFileSink({ filePath, maxSize: 200, maxFiles: 1, flushIntervalMs: 20 });
+  const { logger } = memoryLogger('Lotes', { sinks: [sink] });
+
+  logger.info('primeira');
+  logger.info('segunda');
+  assert.equal(fs.existsSync(filePath), false);
+
+  // Gravação pelo temporizador
+  await new Promise(resolve => setTimeout(resolve, 60));
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(lines.map(line => line.message), ['primeira', 'segunda']);
+
+  // O lote que passaria de maxSize vai para um arquivo novo
+  logger.info('terceira', { detalhes: 'x'.repeat(120) });
+  sink.flush();
+  assert.match(fs.readFileSync(`${filePath}.1`, 'utf8'), /segunda/);
+  assert.match(fs.readFileSync(filePath, 'utf8'), /terceira/);
+  assert.doesNotMatch(fs.readFileSync(filePath, 'utf8'), /primeira/);
+
+  // Lotes grandes são gravados sem esperar o temporizador
+  const eager = createRotatingFileSink({ filePath: path.join(workDir, 'eager.log'), bufferSize: 100, flushIntervalMs: 60000 });
+  const { logger: eagerLogger } = memoryLogger('Lotes', { sinks: [eager] });
+  eagerLogger.info('x'.repeat(120));
+  assert.ok(fs.existsSync(path.join(workDir, 'eager.log')));
+});
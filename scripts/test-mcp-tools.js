@@ -0,0 +1,161 @@
+// scripts/test-mcp-tools.js
+
+/**
+ * Testes das ferramentas MCP kanban_* e project_* chamadas pelo servidor
+ * (tools/call) contra os agentes reais (armazenamento em memória) e do
+ * transporte HTTP (token obrigatório e ciclo de vida das sessões)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import express from 'express';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('mcp-tools');
+
+const { NexusMcpServer } = await import('../src/services/mcp_server.js');
+const { loadAgent } = await import('../src/services/mcp_tools.js');
+
+const server = new NexusMcpServer({ userId: 'alice' });
+let nextId = 1;
+
+/**
+ * Chama uma ferramenta via JSON-RPC e devolve o resultado, falhando se isError
+ */
+async function callTool(name, args) {
+  const response = await server.handleMessage({
+    jsonrpc: '2.0',
+    id: nextId++,
+    method: 'tools/call',
+    params: { name, arguments: args }
+  });
+
+  assert.equal(response.error, undefined, `${name}: ${response.error?.message}`);
+  assert.equal(response.result.isError, false, `${name}: ${response.result.content[0].text}`);
+
+  // Strings (IDs) chegam como texto puro; os demais valores, em JSON
+  const [{ text }] = response.result.content;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+after(async () => {
+  (await loadAgent('KanbanAgent')).stopAutomationScheduler();
+  cleanup();
+});
+
+test('tools/list publica as ferramentas kanban_* e project_*', async () => {
+  const response = await server.handleMessage({ jsonrpc: '2.0', id: nextId++, method: 'tools/list' });
+  const names = response.result.tools.map(tool => tool.name);
+
+  for (const name of ['kanban_create_board', 'kanban_move_card', 'project_create_task', 'project_get_progress']) {
+    assert.ok(names.includes(name), name);
+  }
+});
+
+test('ferramentas kanban_* operam quadros, colunas e cartões', async () => {
+  const boardId = await callTool('kanban_create_board', { name: 'MCP', template: 'basic' });
+  await callTool('kanban_update_board', { boardId, changes: { description: 'Quadro criado via MCP' } });
+
+  const columnId = await callTool('kanban_create_column', { boardId, name: 'Bloqueado', wipLimit: 1 });
+  const cardId = await callTool('kanban_create_card', { columnId, title: 'Integração', priority: 'high' });
+  await callTool('kanban_update_card', { cardId, changes: { labels: ['mcp'] } });
+
+  const kanban = await loadAgent('KanbanAgent');
+  const [todo] = await kanban.toolManager.callTool('supabase:query', {
+    table: 'kanban_columns',
+    filters: { board_id: boardId, name: 'A Fazer' }
+  });
+  const moved = await callTool('kanban_move_card', { cardId, targetColumnId: todo.id });
+  assert.equal(moved.column_id, todo.id);
+  assert.deepEqual(moved.labels, ['mcp']);
+
+  const metrics = await callTool('kanban_get_board_metrics', { boardId });
+  assert.equal(metrics.totalCards, 1);
+});
+
+test('ferramentas project_* operam tarefas de um projeto do usuário', async () => {
+  const projectManager = await loadAgent('ProjectManagerAgent');
+  const projectId = await projectManager.createProject({ name: 'Projeto MCP', owner: 'alice' });
+
+  const taskId = await callTool('project_create_task', { projectId, title: 'Documentar API', priority: 'high' });
+  await callTool('project_update_task', { taskId, changes: { status: 'in_progress' } });
+  const assigned = await callTool('project_assign_task', { taskId, assigneeId: 'alice' });
+  assert.equal(assigned.assigned_to, 'alice');
+
+  const progress = await callTool('project_get_progress', { projectId });
+  assert.equal(progress.taskCounts.total, 1);
+  assert.equal(progress.taskCounts.inProgress, 1);
+});
+
+/**
+ * Sobe o transporte HTTP de um servidor MCP em uma porta livre de 127.0.0.1
+ */
+async function listenHttp(mcpServer) {
+  const app = express();
+  app.use(express.json());
+  app.use('/mcp', mcpServer.getRouter());
+
+  const httpServer = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => httpServer.once('listening', resolve));
+
+  const post = (body, headers = {}) => fetch(`http://127.0.0.1:${httpServer.address().port}/mcp`, {
+    method: body === undefined ? 'DELETE' : 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  return { post, close: () => new Promise(resolve => httpServer.close(resolve)) };
+}
+
+const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-06-18', capabilities: {} } };
+
+test('sem NEXUS_MCP_TOKEN o transporte HTTP recusa todas as requisições', async () => {
+  const open = new NexusMcpServer({ userId: 'alice' });
+  assert.equal(open.isHttpEnabled(), false);
+
+  const http = await listenHttp(open);
+  try {
+    const response = await http.post(initialize);
+    assert.equal(response.status, 401);
+    assert.equal(open.sessions.size, 0);
+  } finally {
+    await http.close();
+  }
+});
+
+test('sessões HTTP exigem o token, têm limite e são removidas no DELETE', async () => {
+  const guarded = new NexusMcpServer({ userId: 'alice', authToken: 'segredo', maxSessions: 2 });
+  const auth = { Authorization: 'Bearer segredo' };
+  const http = await listenHttp(guarded);
+
+  try {
+    assert.equal((await http.post(initialize, { Authorization: 'Bearer errado' })).status, 401);
+
+    const ids = [];
+    for (let index = 0; index < 3; index++) {
+      const response = await http.post(initialize, auth);
+      assert.equal(response.status, 200);
+      ids.push(response.headers.get('mcp-session-id'));
+    }
+
+    // Acima de maxSessions a sessão usada há mais tempo é descartada
+    assert.deepEqual([...guarded.sessions.keys()], ids.slice(1));
+    const list = { jsonrpc: '2.0', id: 2, method: 'tools/list' };
+    assert.equal((await http.post(list, { ...auth, 'Mcp-Session-Id': ids[0] })).status, 404);
+    assert.equal((await http.post(list, { ...auth, 'Mcp-Session-Id': ids[2] })).status, 200);
+
+    assert.equal((await http.post(undefined, { ...auth, 'Mcp-Session-Id': ids[2] })).status, 204);
+    assert.deepEqual([...guarded.sessions.keys()], [ids[1]]);
+
+    // Sessões inativas além do TTL expiram na próxima requisição
+    guarded.sessions.get(ids[1]).lastSeenAt = Date.now() - guarded.sessionTtlMs - 1;
+    assert.equal((await http.post(list, { ...auth, 'Mcp-Session-Id': ids[1] })).status, 404);
+    assert.equal(guarded.sessions.size, 0);
+  } finally {
+    await http.close();
+  }
+});
@@ -0,0 +1,83 @@
+// scripts/test-memory-storage.js
+
+/**
+ * Testes da persistência do driver de armazenamento embutido (driver file):
+ * arquivo corrompido, gravação assíncrona agrupada e propagação de falhas
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-memory-storage-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { MemoryStorageDriver, StorageError } = await import('../src/mcps/storage/memory_storage_driver.js');
+const { createStorageClient } = await import('../src/mcps/storage/query_builder.js');
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('arquivo de dados corrompido impede a carga e não é sobrescrito', () => {
+  const filePath = path.join(workDir, 'corrompido.json');
+  fs.writeFileSync(filePath, '{"tables": {"tasks": [');
+
+  assert.throws(
+    () => new MemoryStorageDriver({ filePath }),
+    error => error instanceof StorageError && error.code === 'XX001' && /Falha ao carregar dados/.test(error.message)
+  );
+  assert.equal(fs.readFileSync(filePath, 'utf8'), '{"tables": {"tasks": [');
+
+  fs.writeFileSync(filePath, '[]');
+  assert.throws(() => new MemoryStorageDriver({ filePath }), /Arquivo de dados inválido/);
+});
+
+test('alterações próximas são gravadas juntas, sem escrita síncrona', async () => {
+  const filePath = path.join(workDir, 'dados', 'nexus-db.json');
+  const driver = new MemoryStorageDriver({ filePath });
+
+  driver.insert('tasks', [{ id: 't1', title: 'Checkout' }]);
+  driver.insert('tasks', [{ id: 't2', title: 'Catálogo' }]);
+  driver.update('tasks', { title: 'Checkout v2' }, { filters: [{ column: 'id', value: 't1' }] });
+
+  // Nada foi gravado ainda: a escrita acontece depois da operação
+  assert.equal(fs.existsSync(filePath), false);
+
+  await driver.flush();
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepEqual(saved.tables.tasks.map(task => task.title), ['Checkout v2', 'Catálogo']);
+  assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+
+  // A escrita pelo cliente só resolve depois de persistida
+  const client = createStorageClient(driver);
+  const { error } = await client.from('tasks').delete().eq('id', 't2');
+  assert.equal(error, null);
+
+  const reloaded = new MemoryStorageDriver({ filePath });
+  assert.deepEqual(reloaded.select('tasks').map(task => task.id), ['t1']);
+});
+
+test('falhas de gravação chegam a quem fez a alteração', async () => {
+  // Um arquivo no lugar do diretório de dados faz a gravação falhar
+  const blocker = path.join(workDir, 'bloqueio');
+  fs.writeFileSync(blocker, '');
+  const driver = new MemoryStorageDriver({ filePath: path.join(blocker, 'nexus-db.json') });
+  const client = createStorageClient(driver);
+
+  const { data, error } = await client.from('tasks').insert({ id: 't1', title: 'Checkout' });
+  assert.equal(data, null);
+  assert.match(error.code, /^E(NOTDIR|EXIST)$/);
+
+  await assert.rejects(driver.flush());
+
+  // Os dados continuam em memória e são gravados quando o destino volta
+  fs.rmSync(blocker);
+  driver.insert('tasks', [{ id: 't2', title: 'Catálogo' }]);
+  await driver.flush();
+
+  const reloaded = new MemoryStorageDriver({ filePath: path.join(blocker, 'nexus-db.json') });
+  assert.deepEqual(reloaded.select('tasks').map(task => task.id), ['t1', 't2']);
+});
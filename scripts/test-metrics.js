@@ -0,0 +1,128 @@
+// scripts/test-metrics.js
+
+/**
+ * Testes do registro de métricas (união de rótulos, conflitos de tipo),
+ * da exposição no formato do Prometheus e da autorização das rotas HTTP
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import express from 'express';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('metrics');
+
+const { MetricsRegistry, createMetrics } = await import('../src/utils/metrics.js');
+const { MetricsAPI } = await import('../src/api/metrics_api.js');
+
+const servers = [];
+
+after(async () => {
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  cleanup();
+});
+
+/**
+ * Sobe as duas rotas de métricas como no servidor e devolve a URL base
+ */
+async function listenMetrics(options) {
+  const metricsAPI = new MetricsAPI(options);
+  const app = express();
+  app.get('/metrics', metricsAPI.authorize, metricsAPI.getPrometheus);
+  app.use('/api/metrics', metricsAPI.getRouter());
+
+  const server = app.listen(0, '127.0.0.1');
+  servers.push(server);
+  await new Promise(resolve => server.once('listening', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('rótulos novos de uma métrica são unidos aos já declarados', () => {
+  const registry = new MetricsRegistry();
+  const metrics = createMetrics('DatabaseAgent', { registry });
+
+  metrics.increment('query.count');
+  metrics.increment('query.count', 2, { table: 'tasks' });
+  metrics.increment('query.count', 1, { table: 'tasks', operation: 'select' });
+  metrics.increment('query.count');
+
+  const counter = registry.getMetric('nexus_query_count_total');
+  assert.deepEqual(counter.labelNames, ['component', 'table', 'operation']);
+  assert.equal(counter.get({ component: 'DatabaseAgent' }), 2);
+  assert.equal(counter.get({ component: 'DatabaseAgent', table: 'tasks' }), 2);
+  assert.equal(counter.get({ component: 'DatabaseAgent', table: 'tasks', operation: 'select' }), 1);
+
+  // Tipos diferentes com o mesmo nome continuam recusados (sem derrubar o agente)
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = message => warnings.push(message);
+  try {
+    metrics.record('query.count_total', 5);
+  } finally {
+    console.warn = warn;
+  }
+  assert.match(warnings[0], /já registrada como counter/);
+
+  assert.throws(() => registry.histogram('latencia_ms', { labelNames: ['le'] }), /reservado/);
+  registry.histogram('latencia_ms', { labelNames: ['component'] });
+  assert.throws(() => registry.histogram('latencia_ms', { labelNames: ['le'] }), /reservado/);
+});
+
+test('a exposição do Prometheus tem HELP, TYPE, buckets cumulativos e rótulos escapados', () => {
+  const registry = new MetricsRegistry();
+  const metrics = createMetrics('Server', { registry });
+
+  metrics.increment('http.requests', 1, { route: '/api/"tarefas"' });
+  metrics.timing('http.request.duration', 30, { route: '/api' });
+  metrics.timing('http.request.duration', 700, { route: '/api' });
+
+  const lines = registry.toPrometheus().trim().split('\n');
+
+  assert.deepEqual(lines.slice(0, 3), [
+    '# HELP nexus_http_requests_total http.requests',
+    '# TYPE nexus_http_requests_total counter',
+    'nexus_http_requests_total{component="Server",route="/api/\\"tarefas\\""} 1'
+  ]);
+  assert.ok(lines.includes('# TYPE nexus_http_request_duration_ms histogram'));
+  assert.ok(lines.includes('nexus_http_request_duration_ms_bucket{component="Server",route="/api",le="25"} 0'));
+  assert.ok(lines.includes('nexus_http_request_duration_ms_bucket{component="Server",route="/api",le="50"} 1'));
+  assert.ok(lines.includes('nexus_http_request_duration_ms_bucket{component="Server",route="/api",le="1000"} 2'));
+  assert.ok(lines.includes('nexus_http_request_duration_ms_bucket{component="Server",route="/api",le="+Inf"} 2'));
+  assert.ok(lines.includes('nexus_http_request_duration_ms_sum{component="Server",route="/api"} 730'));
+  assert.ok(lines.includes('nexus_http_request_duration_ms_count{component="Server",route="/api"} 2'));
+
+  // Métricas sem séries não aparecem
+  registry.gauge('fila', { help: 'Itens na fila' });
+  assert.ok(!registry.toPrometheus().includes('nexus_fila'));
+});
+
+test('/metrics e /api/metrics exigem o token e a permissão de leitura', async () => {
+  const closed = await listenMetrics({ authToken: null });
+  assert.equal((await fetch(`${closed}/metrics`)).status, 401);
+  assert.equal((await fetch(`${closed}/api/metrics`)).status, 401);
+
+  const baseUrl = await listenMetrics({ authToken: 'segredo-metricas' });
+  const auth = { headers: { Authorization: 'Bearer segredo-metricas' } };
+
+  for (const route of ['/metrics', '/api/metrics']) {
+    const anonymous = await fetch(`${baseUrl}${route}`);
+    assert.equal(anonymous.status, 401, route);
+    assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+    assert.equal((await fetch(`${baseUrl}${route}`, { headers: { Authorization: 'Bearer outro' } })).status, 401, route);
+    assert.equal((await fetch(`${baseUrl}${route}`, auth)).status, 200, route);
+  }
+
+  assert.match((await fetch(`${baseUrl}/metrics`, auth)).headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+  assert.ok(Array.isArray((await (await fetch(`${baseUrl}/api/metrics`, auth)).json()).metrics));
+
+  // A política de acesso decide depois do token
+  const checks = [];
+  const denied = await listenMetrics({
+    authToken: 'segredo-metricas',
+    userId: 'convidado',
+    securityAgent: { authorizeAccess: async (...args) => { checks.push(args); return false; } }
+  });
+  assert.equal((await fetch(`${denied}/metrics`, auth)).status, 403);
+  assert.equal((await fetch(`${denied}/api/metrics`, auth)).status, 403);
+  assert.deepEqual(checks[0], ['convidado', 'metrics', 'system', 'read']);
+});
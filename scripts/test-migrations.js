@@ -0,0 +1,143 @@
+// scripts/test-migrations.js
+
+/**
+ * Testes do executor de migrações versionadas: ordem de aplicação, checksums
+ * dos arquivos aplicados, reversão e lock contra execuções concorrentes
+ * (armazenamento em memória)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('migrations');
+
+const { MigrationRunner, computeChecksum } = await import('../src/utils/migration_runner.js');
+const { SupabaseAdapter } = await import('../src/mcps/supabase_adapter.js');
+
+after(() => {
+  cleanup();
+});
+
+/**
+ * Diretório de migrações com os arquivos informados (nome -> SQL)
+ */
+function createMigrations(name, files) {
+  const directory = path.join(workDir, name);
+  fs.mkdirSync(directory, { recursive: true });
+
+  for (const [file, sql] of Object.entries(files)) {
+    fs.writeFileSync(path.join(directory, file), sql);
+  }
+
+  return directory;
+}
+
+const BASE_MIGRATIONS = {
+  '0001_notes.up.sql': 'CREATE TABLE notes (id TEXT PRIMARY KEY, title TEXT NOT NULL);',
+  '0001_notes.down.sql': 'DROP TABLE notes;',
+  '0002_note_tags.up.sql': 'ALTER TABLE notes\n  ADD COLUMN tags TEXT;\n',
+  '0002_note_tags.down.sql': 'ALTER TABLE notes DROP COLUMN tags;'
+};
+
+test('up aplica as pendentes em ordem e recusa arquivos alterados depois de aplicados', async () => {
+  const directory = createMigrations('checksums', BASE_MIGRATIONS);
+  const adapter = new SupabaseAdapter({ driver: 'memory' });
+  const runner = new MigrationRunner({ adapter, directory });
+
+  assert.deepEqual((await runner.status()).migrations.map(entry => entry.status), ['pending', 'pending']);
+
+  const first = await runner.up({ step: 1 });
+  assert.deepEqual(first.migrations.map(entry => entry.version), ['0001']);
+  assert.deepEqual((await runner.up()).migrations.map(entry => entry.version), ['0002']);
+  assert.deepEqual((await runner.up()).migrations, []);
+
+  const [history] = await adapter.selectRows('schema_migrations', { filters: { version: '0001' } });
+  assert.equal(history.checksum, computeChecksum(BASE_MIGRATIONS['0001_notes.up.sql']));
+  assert.ok(adapter.embeddedStorage.listTables().includes('notes'));
+
+  // Trocar LF por CRLF não altera o checksum
+  const tagsFile = path.join(directory, '0002_note_tags.up.sql');
+  fs.writeFileSync(tagsFile, BASE_MIGRATIONS['0002_note_tags.up.sql'].replace(/\n/g, '\r\n'));
+  assert.deepEqual((await runner.status()).issues, []);
+
+  const upFile = path.join(directory, '0001_notes.up.sql');
+  fs.writeFileSync(upFile, 'CREATE TABLE notes (id TEXT PRIMARY KEY, title TEXT);');
+  const status = await runner.status();
+  assert.deepEqual(status.issues.map(entry => [entry.version, entry.status]), [['0001', 'modified']]);
+
+  await assert.rejects(
+    runner.up(),
+    error => error.code === 'MIGRATION_CHECKSUM_MISMATCH' && error.details.version === '0001'
+  );
+  await assert.rejects(runner.down(), error => error.code === 'MIGRATION_CHECKSUM_MISMATCH');
+
+  // Arquivo de migração aplicada removido
+  fs.writeFileSync(upFile, BASE_MIGRATIONS['0001_notes.up.sql']);
+  fs.rmSync(path.join(directory, '0002_note_tags.up.sql'));
+  fs.rmSync(path.join(directory, '0002_note_tags.down.sql'));
+  assert.deepEqual((await runner.status()).issues.map(entry => entry.status), ['missing']);
+  await assert.rejects(runner.up(), error => error.code === 'MIGRATION_MISSING');
+});
+
+test('down e redo revertem da mais recente para a mais antiga', async () => {
+  const directory = createMigrations('rollback', {
+    ...BASE_MIGRATIONS,
+    '0003_archive.up.sql': 'CREATE TABLE archive (id TEXT PRIMARY KEY);'
+  });
+  const adapter = new SupabaseAdapter({ driver: 'memory' });
+  const runner = new MigrationRunner({ adapter, directory });
+
+  await runner.up({ to: '0002' });
+  assert.equal((await runner.status()).pending, 1);
+
+  const redo = await runner.redo();
+  assert.deepEqual(redo.migrations.map(entry => `${entry.version}:${entry.direction}`), ['0002:down', '0002:up']);
+
+  await runner.up();
+  await assert.rejects(runner.down(), error => error.code === 'MIGRATION_IRREVERSIBLE');
+
+  fs.writeFileSync(path.join(directory, '0003_archive.down.sql'), 'DROP TABLE archive;');
+  const down = await runner.down({ to: '0001' });
+  assert.deepEqual(down.migrations.map(entry => entry.version), ['0003', '0002']);
+  assert.deepEqual((await runner.status()).migrations.map(entry => entry.status), ['applied', 'pending', 'pending']);
+
+  await assert.rejects(runner.up({ to: '0009' }), error => error.code === 'MIGRATION_INVALID');
+});
+
+test('o lock impede execuções concorrentes e é liberado após falhas', async () => {
+  const directory = createMigrations('locking', {
+    ...BASE_MIGRATIONS,
+    '0003_invalid.up.sql': "INSERT INTO notes (id, title) VALUES ('n1', 'Checkout');"
+  });
+  const adapter = new SupabaseAdapter({ driver: 'memory' });
+  const first = new MigrationRunner({ adapter, directory, owner: 'deploy-a' });
+  const second = new MigrationRunner({ adapter, directory, owner: 'deploy-b' });
+
+  const results = await Promise.allSettled([first.up({ step: 1 }), second.up({ step: 1 })]);
+  assert.equal(results[0].status, 'fulfilled');
+  assert.equal(results[1].status, 'rejected');
+  assert.equal(results[1].reason.code, 'MIGRATION_LOCKED');
+  assert.equal(results[1].reason.details.owner, 'deploy-a');
+
+  // Falha no SQL libera o lock e não registra a migração
+  await assert.rejects(second.up(), error => error.code === 'MIGRATION_FAILED' && error.details.version === '0003');
+  assert.deepEqual(await adapter.selectRows('schema_migrations_lock'), []);
+  assert.deepEqual((await first.status()).migrations.map(entry => entry.status), ['applied', 'applied', 'pending']);
+
+  // Lock de outro processo ainda válido é respeitado; o expirado é removido
+  const now = Date.now();
+  await adapter.insertRows('schema_migrations_lock', {
+    id: 'migrations',
+    owner: 'deploy-c',
+    acquired_at: new Date(now).toISOString(),
+    expires_at: new Date(now + 60000).toISOString()
+  });
+  await assert.rejects(first.down(), error => error.code === 'MIGRATION_LOCKED' && error.details.owner === 'deploy-c');
+
+  await adapter.updateRows('schema_migrations_lock', { id: 'migrations' }, { expires_at: new Date(now - 1000).toISOString() });
+  assert.deepEqual((await first.down()).migrations.map(entry => entry.version), ['0002']);
+  assert.deepEqual(await adapter.selectRows('schema_migrations_lock'), []);
+});
@@ -0,0 +1,112 @@
+// scripts/test-prd-planner.js
+
+/**
+ * Testes da aplicação de planos de PRD: etapas que falham deixam o plano
+ * parcial e uma nova aplicação refaz apenas o que faltou (armazenamento em memória),
+ * e locais aceitos para a leitura de PRDs
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('prd-planner');
+
+const { PrdPlanner } = await import('../src/services/prd_planner.js');
+const { LocalRuleProvider } = await import('../src/utils/ai_providers/local_provider.js');
+const { TaskStore } = await import('../src/utils/task_store.js');
+const { loadAgent } = await import('../src/services/mcp_tools.js');
+
+const PRD = [
+  '# Loja',
+  '',
+  '## Requisitos',
+  '',
+  '### Catálogo',
+  '- Listar produtos',
+  '- Buscar produtos',
+  '',
+  '### Checkout',
+  '- Pagamento com cartão'
+].join('\n');
+
+// Um arquivo no lugar do diretório do relatório faz a gravação do relatório falhar
+const blocker = path.join(workDir, 'reports');
+let agentsDown = false;
+
+const store = new TaskStore({ projectRoot: workDir });
+const planner = new PrdPlanner({
+  projectRoot: workDir,
+  plansDir: path.join(workDir, 'plans'),
+  reportFile: 'reports/complexity.json',
+  store,
+  provider: new LocalRuleProvider(),
+  getAgent: name => (agentsDown ? Promise.reject(new Error('Supabase indisponível')) : loadAgent(name))
+});
+
+after(async () => {
+  (await loadAgent('KanbanAgent')).stopAutomationScheduler();
+  cleanup();
+});
+
+test('falha no relatório de complexidade mantém as tarefas e a nova aplicação não as duplica', async () => {
+  const plan = await planner.createPlan(PRD, { name: 'Loja' });
+  fs.writeFileSync(blocker, '');
+
+  await assert.rejects(planner.applyPlan(plan.id, { board: false }), /relatório de complexidade/);
+
+  const partial = await planner.getPlan(plan.id);
+  assert.equal(partial.status, 'partial');
+  assert.deepEqual(partial.applied.tasks.map(task => task.ref), ['T1', 'T2']);
+  assert.equal(partial.applied.reportFile, undefined);
+
+  fs.rmSync(blocker);
+  const applied = await planner.applyPlan(plan.id, { board: false });
+
+  assert.equal(applied.status, 'applied');
+  assert.deepEqual(applied.createdTasks, []);
+  assert.equal(applied.applied.reportFile, path.join('reports', 'complexity.json'));
+  assert.equal((await store.listTasks()).length, 2);
+});
+
+test('quadro que não pôde ser semeado deixa o plano parcial até uma nova aplicação', async () => {
+  const plan = await planner.createPlan(PRD, { name: 'Loja com quadro' });
+  agentsDown = true;
+
+  const partial = await planner.applyPlan(plan.id, { template: 'basic' });
+
+  assert.equal(partial.status, 'partial');
+  assert.equal(partial.applied.board.error, 'Supabase indisponível');
+  assert.equal(partial.createdTasks.length, 2);
+  assert.equal(partial.applied.at, undefined);
+
+  agentsDown = false;
+  const applied = await planner.applyPlan(plan.id, { template: 'basic' });
+
+  assert.equal(applied.status, 'applied');
+  assert.deepEqual(applied.createdTasks, []);
+  assert.equal(applied.applied.board.linked, 2);
+  assert.deepEqual(applied.applied.tasks, partial.applied.tasks);
+  assert.equal((await store.listTasks()).length, 4);
+
+  await assert.rejects(planner.applyPlan(plan.id), error => error.code === 'PRD_PLAN_APPLIED');
+});
+
+test('somente PRDs .txt ou .md em .taskmaster/docs ou scripts podem ser lidos', async () => {
+  fs.mkdirSync(path.join(workDir, '.taskmaster/docs/produto'), { recursive: true });
+  fs.mkdirSync(path.join(workDir, 'scripts/.privado'), { recursive: true });
+  fs.writeFileSync(path.join(workDir, '.taskmaster/docs/produto/prd.md'), PRD);
+  fs.writeFileSync(path.join(workDir, 'scripts/prd.txt'), PRD);
+  fs.writeFileSync(path.join(workDir, '.env'), 'SUPABASE_SERVICE_ROLE_KEY=segredo');
+  fs.writeFileSync(path.join(workDir, 'scripts/.privado/notas.txt'), 'segredo');
+  fs.symlinkSync(path.join(workDir, '.env'), path.join(workDir, 'scripts/env.txt'));
+
+  assert.equal((await planner.readPrd('scripts/prd.txt')).source, path.join('scripts', 'prd.txt'));
+  assert.equal((await planner.readPrd('.taskmaster/docs/produto/prd.md')).text, PRD);
+
+  for (const file of ['.env', 'scripts/../.env', 'src/config/default.js', 'scripts/.privado/notas.txt', 'scripts/env.txt', '../prd.txt']) {
+    await assert.rejects(planner.readPrd(file), error => error.code === 'PRD_INVALID', file);
+  }
+});
@@ -0,0 +1,71 @@
+// scripts/test-rule-expression.js
+
+/**
+ * Testes da linguagem de expressões das regras de automação
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileExpression, ExpressionSyntaxError, parseExpression } from '../src/utils/rule_expression.js';
+
+const evaluate = (source, scope) => compileExpression(source).evaluate(scope);
+
+test('avalia comparações, lógica, aritmética e precedência', () => {
+  const card = { priority: 'high', points: 3, labels: ['bug', 'api'] };
+
+  assert.equal(evaluate("card.priority === 'high' && card.points > 2", { card }), true);
+  assert.equal(evaluate("card.priority == 'low' || !(card.points >= 3)", { card }), false);
+  assert.equal(evaluate('1 + 2 * 3 - 4 % 3', {}), 6);
+  assert.equal(evaluate('card.labels[1]', { card }), 'api');
+  assert.equal(evaluate('[1, 2, 3]', {}).length, 3);
+});
+
+test('funções e métodos equivalentes', () => {
+  const card = { title: 'API: login', labels: ['bug'], due_date: new Date(Date.now() + 36 * 3600 * 1000).toISOString() };
+
+  assert.equal(evaluate("includes(card.labels, 'bug')", { card }), true);
+  assert.equal(evaluate("card.labels.includes('feature')", { card }), false);
+  assert.equal(evaluate("card.title.match('^api', 'i')", { card }), true);
+  assert.equal(evaluate('lower(card.title)', { card }), 'api: login');
+  assert.equal(evaluate('length(card.labels)', { card }), 1);
+  assert.equal(evaluate('daysUntil(card.due_date) > 1 && daysUntil(card.due_date) < 2', { card }), true);
+  assert.equal(evaluate('date(card.due_date) - now() < days(2)', { card }), true);
+});
+
+test('campos ausentes resultam em undefined, sem erro', () => {
+  assert.equal(evaluate('card.assignee.name', { card: {} }), undefined);
+  assert.equal(evaluate("card.assignee == null", { card: {} }), true);
+});
+
+test('rejeita sintaxe inválida com a posição do erro', () => {
+  assert.throws(() => parseExpression('card.priority =='), ExpressionSyntaxError);
+  assert.throws(() => parseExpression("card.title + 'x"), /posição/);
+  assert.throws(() => parseExpression('unknown.field'), /Identificador desconhecido/);
+  assert.throws(() => parseExpression('eval(card)'), /Função desconhecida/);
+  assert.throws(() => parseExpression('match(card.title)'), ExpressionSyntaxError);
+});
+
+test('não permite acesso ao protótipo nem execução de código', () => {
+  assert.throws(() => parseExpression('card.constructor'), /não permitido/);
+  assert.throws(() => parseExpression("card['__proto__']"), /não permitido/);
+  assert.throws(() => parseExpression("card.title.toString()"), ExpressionSyntaxError);
+  assert.equal(evaluate('card.toString', { card: {} }), undefined);
+});
+
+test('rejeita padrões de expressão regular sujeitos a backtracking catastrófico', () => {
+  for (const pattern of ['^(a+)+$', '(a*)*', '(a|aa)+', '(?:\\\\w+\\\\s?)+$', '([a-z]+){2,}', '(a)\\\\1', '(?<x>a)\\\\k<x>']) {
+    assert.throws(() => parseExpression(`match(card.title, '${pattern}')`), /inseguro/, pattern);
+  }
+
+  for (const pattern of ['^API', '^(feat|fix)s?:', '(ab)+', '[(a+)]+', '(a+)?']) {
+    assert.doesNotThrow(() => parseExpression(`match(card.title, '${pattern}')`), pattern);
+  }
+
+  // Padrões vindos dos dados também são verificados, na avaliação
+  const started = Date.now();
+  assert.throws(
+    () => evaluate('match(card.title, card.pattern)', { card: { title: `${'a'.repeat(28)}!`, pattern: '^(a+)+$' } }),
+    /inseguro/
+  );
+  assert.ok(Date.now() - started < 1000);
+});
@@ -55,6 +55,9 @@ async function main() {
     );
     console.log('Acesso ao documento permitido:', canAccessDocument);
     
+    const decision = await agent.explainAccess('user_123', 'kanban_board', null, 'create');
+    console.log('Criação de quadro:', decision.allowed, '-', decision.reason);
+    
     // Testar validação de webhook
     console.log('\n--- Teste de Validação de Webhook ---');
     const webhookPayload = { event: 'push', repository: { name: 'nexus-atualizado' } };
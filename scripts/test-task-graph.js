@@ -0,0 +1,131 @@
+// scripts/test-task-graph.js
+
+/**
+ * Testes do grafo de dependências das tarefas: arestas de subtarefas,
+ * detecção de ciclos e dependências inexistentes, caminho crítico e
+ * recusa de dependências circulares pelo TaskStore
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('task-graph');
+
+const {
+  analyzeTaskGraph,
+  buildTaskGraph,
+  computeSchedule,
+  toDot,
+  toMermaid,
+  validateTaskDependencies
+} = await import('../src/utils/task_graph.js');
+const { TaskStore } = await import('../src/utils/task_store.js');
+
+after(() => {
+  cleanup();
+});
+
+const PLAN = [
+  { id: 1, title: 'Modelo de dados', status: 'pending', estimatedHours: 2, dependencies: [] },
+  { id: 2, title: 'API', status: 'pending', estimatedHours: 3, dependencies: [1] },
+  { id: 3, title: 'Documentação', status: 'pending', estimatedHours: 1, dependencies: [1] },
+  { id: 4, title: 'Deploy', status: 'pending', estimatedHours: 4, dependencies: [2, 3] },
+  {
+    id: 5,
+    title: 'Checkout',
+    status: 'pending',
+    dependencies: [1],
+    subtasks: [
+      { id: 1, title: 'Carrinho', status: 'pending', estimatedHours: 1, dependencies: [] },
+      { id: 2, title: 'Pagamento', status: 'pending', estimatedHours: 2, dependencies: [1] }
+    ]
+  }
+];
+
+test('subtarefas precedem a tarefa pai e herdam suas dependências', () => {
+  const graph = buildTaskGraph(PLAN);
+  const edgesTo = id => graph.edges.filter(edge => edge.to === id).map(edge => `${edge.from}:${edge.type}`);
+
+  assert.equal(graph.nodes.length, 7);
+  assert.deepEqual(edgesTo('5.2'), ['5.1:dependency', '1:inherited']);
+  assert.deepEqual(edgesTo('5'), ['1:dependency', '5.1:subtask', '5.2:subtask']);
+  assert.equal(graph.nodes.find(node => node.id === '5').duration, 0);
+  assert.deepEqual(graph.missing, []);
+  assert.equal(validateTaskDependencies(graph).valid, true);
+});
+
+test('o caminho crítico segue a sequência mais longa de trabalho restante', () => {
+  const { schedule } = analyzeTaskGraph(PLAN);
+
+  assert.equal(schedule.totalDuration, 9);
+  assert.deepEqual(schedule.criticalPath, ['1', '2', '4']);
+  assert.deepEqual(schedule.items['3'], {
+    earliestStart: 2,
+    earliestFinish: 3,
+    latestStart: 4,
+    latestFinish: 5,
+    slack: 2,
+    critical: false
+  });
+  assert.equal(schedule.items['5.2'].earliestStart, 3);
+  assert.equal(schedule.items['5'].slack, 4);
+  assert.ok(schedule.order.indexOf('5.2') < schedule.order.indexOf('5'));
+
+  // Itens concluídos não contam no trabalho restante
+  const started = PLAN.map(task => (task.id === 1 ? { ...task, status: 'done' } : task));
+  assert.equal(analyzeTaskGraph(started).schedule.totalDuration, 7);
+
+  const mermaid = toMermaid(buildTaskGraph(PLAN), schedule);
+  assert.ok(mermaid.includes('  T5_1 -.-> T5'));
+  assert.ok(mermaid.endsWith('  class T1,T2,T4 critical;'));
+  assert.ok(toDot(buildTaskGraph([{ id: 1, title: 'Diz "oi"', status: 'pending' }])).includes('label="1: Diz \\"oi\\"'));
+});
+
+test('ciclos, autodependências e IDs inexistentes são reportados', () => {
+  const tasks = [
+    { id: 1, title: 'A', status: 'pending', dependencies: [2] },
+    { id: 2, title: 'B', status: 'pending', dependencies: [1] },
+    { id: 3, title: 'C', status: 'pending', dependencies: [3, 99] },
+    // A subtarefa depende da própria tarefa pai, que depende dela
+    { id: 4, title: 'D', status: 'pending', dependencies: [], subtasks: [{ id: 1, title: 'D.1', status: 'pending', dependencies: ['4'] }] }
+  ];
+
+  const { validation, schedule } = analyzeTaskGraph(tasks);
+
+  assert.equal(validation.valid, false);
+  assert.deepEqual(validation.errors.map(error => [error.type, error.taskId]), [
+    ['missing', '3'],
+    ['cycle', '1'],
+    ['self', '3'],
+    ['cycle', '4']
+  ]);
+  assert.equal(validation.errors[1].message, 'Dependência circular: 1 -> 2 -> 1');
+  assert.deepEqual(validation.errors[3].cycle, ['4', '4.1', '4']);
+  assert.equal(schedule, null);
+  assert.equal(computeSchedule(buildTaskGraph(tasks)), null);
+});
+
+test('o TaskStore recusa dependências que fecham um ciclo e não grava a alteração', async () => {
+  const store = new TaskStore();
+  const first = await store.addTask({ title: 'Modelo', description: 'Tabelas' });
+  const second = await store.addTask({ title: 'API', description: 'Rotas', dependencies: [first.id] });
+  await store.addSubtask(second.id, { title: 'Rotas de leitura', description: 'GET' });
+
+  const before = fs.readFileSync(store.filePath, 'utf8');
+
+  await assert.rejects(
+    store.addDependency(first.id, second.id),
+    error => error.code === 'TASK_INVALID' && error.message === 'Dependência circular: 1 -> 2 -> 1'
+  );
+  // A subtarefa herda a dependência de 2 em 1: 1 não pode depender dela
+  await assert.rejects(store.addDependency(first.id, `${second.id}.1`), /Dependência circular/);
+  await assert.rejects(store.addDependency(first.id, first.id), /não pode depender de si mesma/);
+
+  assert.equal(fs.readFileSync(store.filePath, 'utf8'), before);
+
+  const { validation, schedule } = await store.getGraph();
+  assert.equal(validation.valid, true);
+  assert.deepEqual(schedule.criticalPath, ['1', '2.1', '2']);
+});
@@ -0,0 +1,141 @@
+// scripts/test-task-store.js
+
+/**
+ * Testes do TaskStore: serialização das gravações dentro do processo e
+ * entre processos (arquivo de lock), locks abandonados e tempo esgotado
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { execFile } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { TaskStore } from '../src/utils/task_store.js';
+
+const execFileAsync = promisify(execFile);
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-task-store-'));
+const storeModule = new URL('../src/utils/task_store.js', import.meta.url).href;
+
+let projects = 0;
+const createProject = () => {
+  const projectRoot = path.join(workDir, `project-${++projects}`);
+  fs.mkdirSync(projectRoot, { recursive: true });
+  return projectRoot;
+};
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('gravações simultâneas de várias instâncias não se perdem', async () => {
+  const projectRoot = createProject();
+  const stores = [new TaskStore({ projectRoot }), new TaskStore({ projectRoot })];
+
+  await Promise.all(Array.from({ length: 20 }, (_, index) =>
+    stores[index % 2].addTask({ title: `Tarefa ${index}`, description: 'Concorrente' })
+  ));
+
+  const tasks = await stores[0].listTasks();
+  assert.equal(tasks.length, 20);
+  assert.equal(new Set(tasks.map(task => task.id)).size, 20);
+  assert.equal(fs.existsSync(stores[0].lockPath), false);
+});
+
+test('o arquivo de lock serializa gravações de outro processo', async () => {
+  const projectRoot = createProject();
+  const store = new TaskStore({ projectRoot });
+  const script = `
+    const { TaskStore } = await import(${JSON.stringify(storeModule)});
+    const store = new TaskStore({ projectRoot: ${JSON.stringify(projectRoot)} });
+    for (let index = 0; index < 10; index++) {
+      await store.addTask({ title: 'Filho ' + index, description: 'Outro processo' });
+    }
+  `;
+
+  const child = execFileAsync(process.execPath, ['--input-type=module', '-e', script], {
+    env: { ...process.env, LOG_LEVEL: 'error' }
+  });
+  for (let index = 0; index < 10; index++) {
+    await store.addTask({ title: `Pai ${index}`, description: 'Este processo' });
+  }
+  await child;
+
+  const titles = (await store.listTasks()).map(task => task.title);
+  assert.equal(titles.length, 20);
+  assert.equal(titles.filter(title => title.startsWith('Filho')).length, 10);
+});
+
+test('espera pelo lock de outro processo tem tempo limite', async () => {
+  const store = new TaskStore({ projectRoot: createProject(), lockTimeoutMs: 100 });
+  await store.addTask({ title: 'Existente', description: 'Antes do lock' });
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: 0 }));
+
+  await assert.rejects(
+    store.addTask({ title: 'Bloqueada', description: 'Durante o lock' }),
+    error => error.code === 'TASK_LOCK_TIMEOUT'
+  );
+  assert.deepEqual((await store.listTasks()).map(task => task.title), ['Existente']);
+});
+
+test('locks abandonados são removidos e a gravação prossegue', async () => {
+  const store = new TaskStore({ projectRoot: createProject(), lockTimeoutMs: 100, staleLockMs: 1000 });
+  fs.mkdirSync(path.dirname(store.lockPath), { recursive: true });
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: 0 }));
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(store.lockPath, past, past);
+
+  const task = await store.addTask({ title: 'Depois do lock', description: 'Lock antigo' });
+
+  assert.equal(task.title, 'Depois do lock');
+  assert.equal(fs.existsSync(store.lockPath), false);
+});
+
+test('uma alteração rejeitada libera o lock', async () => {
+  const store = new TaskStore({ projectRoot: createProject(), lockTimeoutMs: 100 });
+
+  await assert.rejects(store.addTask({ description: 'Sem título' }));
+  assert.equal(fs.existsSync(store.lockPath), false);
+
+  const task = await store.addTask({ title: 'Válida', description: 'Depois da falha' });
+  assert.equal(task.title, 'Válida');
+});
+
+test('um lock novo criado durante a remoção de um abandonado é preservado', async () => {
+  const projectRoot = createProject();
+  const store = new TaskStore({ projectRoot, lockTimeoutMs: 100, staleLockMs: 1000 });
+  const other = new TaskStore({ projectRoot });
+  fs.mkdirSync(path.dirname(store.lockPath), { recursive: true });
+  fs.writeFileSync(store.lockPath, JSON.stringify({ pid: 0 }));
+  const past = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(store.lockPath, past, past);
+
+  // Outro processo remove o mesmo lock abandonado e obtém o seu antes do rename
+  let otherToken;
+  const rename = fs.promises.rename;
+  fs.promises.rename = async (...args) => {
+    fs.promises.rename = rename;
+    fs.rmSync(store.lockPath);
+    otherToken = await other._acquireFileLock();
+    return rename(...args);
+  };
+
+  try {
+    await assert.rejects(
+      store.addTask({ title: 'Concorrente', description: 'Lock tomado' }),
+      error => error.code === 'TASK_LOCK_TIMEOUT'
+    );
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  assert.equal(JSON.parse(fs.readFileSync(store.lockPath, 'utf8')).token, otherToken);
+  assert.deepEqual(fs.readdirSync(path.dirname(store.lockPath)).filter(file => file.endsWith('.stale')), []);
+
+  // Só o dono remove o lock
+  await store._releaseFileLock('outro-dono');
+  assert.equal(fs.existsSync(store.lockPath), true);
+  await other._releaseFileLock(otherToken);
+  assert.equal(fs.existsSync(store.lockPath), false);
+});
@@ -0,0 +1,135 @@
+// scripts/test-task-sync.js
+
+/**
+ * Testes da sincronização tarefa <-> cartão pelo KanbanAgent: eventos do
+ * TaskMaster, conflitos resolvidos manualmente e reexecução de alterações
+ * que falharam (armazenamento em memória)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('task-sync', {
+  TASKMASTER_ENABLED: 'true',
+  TASK_SYNC_POLICIES: 'latest,title=manual'
+});
+
+const { KanbanAgent } = await import('../src/agents/kanban_agent.js');
+const { TaskStore } = await import('../src/utils/task_store.js');
+const { taskMasterEvents } = await import('./taskmaster/taskmaster_events.js');
+const { SYSTEM_USER_ID, runAsSystem } = await import('../src/agents/security_agent.js');
+
+const agent = new KanbanAgent();
+const store = new TaskStore({ projectRoot: workDir });
+
+after(() => {
+  agent.disconnectTaskMasterEvents();
+  cleanup();
+});
+
+/**
+ * Aguarda os handlers assíncronos dos eventos até a condição valer
+ */
+async function waitFor(check, message) {
+  for (let attempt = 0; attempt < 200; attempt++) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.fail(message);
+}
+
+const columnName = async card => (await agent.getColumn(card.column_id)).name;
+
+let task;
+let cardId;
+
+test('eventos do TaskMaster criam e movem o cartão vinculado à tarefa', async () => {
+  const board = await agent.getTaskMasterBoard();
+  assert.equal(board.name, 'Tarefas TaskMaster');
+
+  // Apenas uma instância por processo escuta o emissor compartilhado
+  assert.equal(agent.connectTaskMasterEvents(), true);
+  assert.equal(new KanbanAgent().connectTaskMasterEvents(), false);
+
+  task = await store.addTask({ title: 'Checkout', description: 'Fluxo de pagamento' });
+  taskMasterEvents.emit('taskmaster:task:created', task);
+
+  const [link] = await waitFor(async () => {
+    const links = await agent.taskSync.listLinks({ taskId: task.id });
+    return links.length > 0 && links;
+  }, 'cartão não criado para a tarefa');
+  cardId = link.cardId;
+
+  const card = await agent.getCard(cardId);
+  assert.equal(card.board_id, board.id);
+  assert.equal(card.title, 'Checkout');
+  assert.equal(await columnName(card), 'A fazer');
+
+  const { task: started } = await store.transitionStatus(task.id, 'in-progress');
+  taskMasterEvents.emit('taskmaster:task:updated', started);
+
+  await waitFor(
+    async () => await columnName(await agent.getCard(cardId)) === 'Em andamento',
+    'cartão não acompanhou o status da tarefa'
+  );
+});
+
+test('edições concorrentes do título geram um conflito resolvido manualmente', async () => {
+  await store.updateTask(task.id, { title: 'Checkout (CLI)' });
+  await runAsSystem(() => agent.updateCard(cardId, { title: 'Checkout (quadro)' }, SYSTEM_USER_ID));
+
+  const [conflict] = await waitFor(async () => {
+    const conflicts = await agent.getTaskSyncConflicts();
+    return conflicts.length > 0 && conflicts;
+  }, 'conflito não detectado');
+
+  assert.equal(conflict.field, 'title');
+  assert.equal(conflict.base, 'Checkout');
+  assert.equal(conflict.task, 'Checkout (CLI)');
+  assert.equal(conflict.card, 'Checkout (quadro)');
+
+  // Política manual: nenhum dos lados é alterado até a resolução
+  assert.equal((await store.getTask(task.id)).title, 'Checkout (CLI)');
+  const [pending] = await agent.getTaskSyncJournal({ type: 'conflict' });
+  assert.equal(pending.outcome, 'pending');
+
+  await agent.resolveTaskSyncConflict(task.id, cardId, 'title', 'card');
+
+  assert.equal((await store.getTask(task.id)).title, 'Checkout (quadro)');
+  assert.deepEqual(await agent.getTaskSyncConflicts(), []);
+  assert.equal((await agent.getTaskSyncJournal({ type: 'resolution' }))[0].outcome, 'applied');
+});
+
+test('alterações que falharam com o armazenamento fora do ar são reaplicadas por replay', async () => {
+  const callTool = agent.toolManager.callTool;
+  agent.toolManager.callTool = function (toolName, params) {
+    if (toolName === 'supabase:update' && params.table === 'kanban_cards') {
+      return Promise.reject(new Error('Armazenamento indisponível'));
+    }
+    return callTool.call(this, toolName, params);
+  };
+
+  let failed;
+  try {
+    const updated = await store.updateTask(task.id, { priority: 'high' });
+    taskMasterEvents.emit('taskmaster:task:updated', updated);
+
+    [failed] = await waitFor(async () => {
+      const entries = await agent.getTaskSyncJournal({ outcome: 'failed', field: 'priority' });
+      return entries.length > 0 && entries;
+    }, 'falha de gravação não registrada no diário');
+  } finally {
+    agent.toolManager.callTool = callTool;
+  }
+
+  assert.equal(failed.target, 'card');
+  assert.equal(failed.to, 'high');
+  assert.equal((await agent.getCard(cardId)).priority, 'medium');
+
+  const replayed = await agent.replayTaskSync();
+
+  assert.deepEqual(replayed.map(entry => [entry.replayOf, entry.outcome]), [[failed.seq, 'applied']]);
+  assert.equal((await agent.getCard(cardId)).priority, 'high');
+});
@@ -0,0 +1,115 @@
+// scripts/test-taskmaster-api.js
+
+/**
+ * Testes da API REST do TaskMaster: ETag das tarefas e concorrência otimista
+ * com If-Match (412 quando a versão informada ficou desatualizada)
+ */
+
+import assert from 'node:assert/strict';
+import { after, before, test } from 'node:test';
+import express from 'express';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('taskmaster-api', {
+  TASKMASTER_ENABLED: 'true'
+});
+
+const { default: taskMasterAPI } = await import('../src/api/taskmaster_api.js');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/taskmaster', taskMasterAPI.getRouter());
+
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/taskmaster`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  cleanup();
+});
+
+/**
+ * Faz uma requisição JSON e devolve { status, etag, body }
+ */
+async function request(method, route, { body, ifMatch } = {}) {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (ifMatch !== undefined) headers['If-Match'] = ifMatch;
+
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  return { status: response.status, etag: response.headers.get('etag'), body: await response.json() };
+}
+
+test('alterações com If-Match desatualizado são recusadas com 412', async () => {
+  const created = await request('POST', '/tasks', { body: { title: 'Checkout', description: 'Fluxo de pagamento' } });
+  assert.equal(created.status, 201);
+  assert.ok(created.etag);
+
+  const taskId = created.body.task.id;
+  const fetched = await request('GET', `/tasks/${taskId}`);
+  assert.equal(fetched.etag, created.etag);
+
+  const updated = await request('PATCH', `/tasks/${taskId}`, { body: { priority: 'high' }, ifMatch: created.etag });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.task.priority, 'high');
+  assert.notEqual(updated.etag, created.etag);
+
+  // Uma segunda edição baseada na versão antiga não sobrescreve a primeira
+  const stale = await request('PATCH', `/tasks/${taskId}`, { body: { priority: 'low' }, ifMatch: created.etag });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.body.code, 'TASK_PRECONDITION_FAILED');
+  assert.match(stale.body.error, /A tarefa foi alterada/);
+  assert.equal((await request('GET', `/tasks/${taskId}`)).body.task.priority, 'high');
+
+  // "*" e a ausência de If-Match aceitam qualquer versão
+  assert.equal((await request('PATCH', `/tasks/${taskId}`, { body: { details: 'Cartão e boleto' }, ifMatch: '*' })).status, 200);
+  assert.equal((await request('PATCH', `/tasks/${taskId}`, { body: { details: 'Somente cartão' } })).status, 200);
+});
+
+test('transição de status e remoção também exigem a versão atual', async () => {
+  const created = await request('POST', '/tasks', { body: { title: 'Catálogo', description: 'Listagem de produtos' } });
+  const taskId = created.body.task.id;
+
+  const renamed = await request('PATCH', `/tasks/${taskId}`, { body: { title: 'Catálogo de produtos' }, ifMatch: created.etag });
+
+  const staleStatus = await request('PATCH', `/tasks/${taskId}/status`, { body: { status: 'in-progress' }, ifMatch: created.etag });
+  assert.equal(staleStatus.status, 412);
+  assert.equal((await request('GET', `/tasks/${taskId}`)).body.task.status, 'pending');
+
+  const started = await request('PATCH', `/tasks/${taskId}/status`, { body: { status: 'in-progress' }, ifMatch: renamed.etag });
+  assert.equal(started.status, 200);
+  assert.equal(started.body.previousStatus, 'pending');
+
+  const staleDelete = await request('DELETE', `/tasks/${taskId}`, { ifMatch: renamed.etag });
+  assert.equal(staleDelete.status, 412);
+  assert.equal(staleDelete.body.code, 'TASK_PRECONDITION_FAILED');
+
+  const removed = await request('DELETE', `/tasks/${taskId}`, { ifMatch: started.etag });
+  assert.equal(removed.status, 200);
+  assert.equal((await request('GET', `/tasks/${taskId}`)).status, 404);
+});
+
+test('subtarefas têm ETag próprio, independente da tarefa pai', async () => {
+  const parent = await request('POST', '/tasks', { body: { title: 'Pagamentos', description: 'Meios de pagamento' } });
+  const subtask = await request('POST', `/tasks/${parent.body.task.id}/subtasks`, { body: { title: 'Cartão' } });
+  assert.equal(subtask.status, 201);
+
+  const subtaskId = subtask.body.task.id;
+  const stale = await request('PATCH', `/tasks/${subtaskId}`, { body: { title: 'Cartão de crédito' }, ifMatch: parent.etag });
+  assert.equal(stale.status, 412);
+
+  const updated = await request('PATCH', `/tasks/${subtaskId}`, { body: { title: 'Cartão de crédito' }, ifMatch: subtask.etag });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.task.title, 'Cartão de crédito');
+});
@@ -0,0 +1,64 @@
+// scripts/test-taskmaster-commands.js
+
+/**
+ * Testes dos comandos de terminal do TaskMaster que acionam o CLI:
+ * argumentos chegam ao task-master sem passar por um shell
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import path from 'path';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { workDir, cleanup } = createIsolatedEnv('tm-commands', {
+  TASKMASTER_ENABLED: 'true'
+});
+
+// Um `npx` falso registra os argumentos recebidos
+const binDir = path.join(workDir, 'bin');
+const marker = path.join(workDir, 'pwned');
+
+fs.mkdirSync(binDir);
+fs.writeFileSync(
+  path.join(binDir, 'npx'),
+  `#!${process.execPath}
+const argv = process.argv.slice(2);
+console.log(JSON.stringify({ argv, subtasks: argv.map((arg, index) => ({ id: index + 1, title: arg })) }));
+`,
+  { mode: 0o755 }
+);
+
+process.env.PATH = `${binDir}${path.delimiter}${process.env.PATH}`;
+
+const { default: commands } = await import('../src/commands/taskmaster_terminal_commands.js');
+
+const run = (name, args) => commands.commands.get(name).action(args, {});
+
+after(() => {
+  cleanup();
+});
+
+test('tm-expand rejeita IDs inválidos ou inexistentes antes de acionar o CLI', async () => {
+  await assert.rejects(run('tm-expand', [`1;touch ${marker};#`]), /ID de tarefa inválido/);
+  await assert.rejects(run('tm-expand', ['99']), /Tarefa 99 não encontrada/);
+  await assert.rejects(run('tm-expand', ['1', '3;id']), /inteiro positivo/);
+  assert.equal(fs.existsSync(marker), false);
+});
+
+test('tm-expand repassa o ID e o número de subtarefas como argumentos separados', async () => {
+  const task = await commands.store.addTask({ title: 'Checkout', description: 'Fluxo de pagamento' });
+
+  const output = await run('tm-expand', [String(task.id), '3']);
+
+  // O npx falso devolve cada argumento recebido como uma subtarefa
+  assert.deepEqual(output.data.map(subtask => subtask.title), ['task-master', 'expand', `--id=${task.id}`, '--subtasks=3']);
+});
+
+test('subcomandos de tm sem comando próprio não interpretam metacaracteres do shell', async () => {
+  const payload = `x;touch ${marker};#`;
+  const output = await run('tm', ['research', payload, `$(touch ${marker})`]);
+
+  assert.deepEqual(output.data.argv, ['task-master', 'research', payload, `$(touch ${marker})`]);
+  assert.equal(fs.existsSync(marker), false);
+});
@@ -0,0 +1,66 @@
+// scripts/test-tool-manager.js
+
+/**
+ * Testes do ToolManager: prioridade das ferramentas pelas categorias de
+ * config.tools e desativação por prioridade quando o limite é atingido
+ */
+
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { default: ToolManager } = await import('../src/utils/tool_manager.js');
+
+test('as categorias de config.tools correspondem aos nomes servidor:ferramenta', () => {
+  const toolManager = new ToolManager();
+
+  const priorities = Object.fromEntries([
+    'sequential-thinking:predict',
+    'taskmaster:task:list',
+    'claude-task-master:analyze',
+    'github:issues:list',
+    'supabase:rpc',
+    'figma:export',
+    'puppeteer:pdf',
+    'notification:send'
+  ].map(name => [name, toolManager.getToolPriority(name)]));
+
+  assert.deepEqual(priorities, {
+    'sequential-thinking:predict': 'high',
+    'taskmaster:task:list': 'high',
+    'claude-task-master:analyze': 'high',
+    'github:issues:list': 'high',
+    'supabase:rpc': 'medium',
+    'figma:export': 'medium',
+    'puppeteer:pdf': 'medium',
+    'notification:send': 'low'
+  });
+});
+
+test('a prioridade informada no registro prevalece sobre a categoria', () => {
+  const toolManager = new ToolManager();
+  toolManager.registerTool('supabase:backup', { priority: 'critical' });
+
+  assert.equal(toolManager.getToolPriority('supabase:backup'), 'critical');
+  assert.equal(toolManager.getToolPriority('supabase:query'), 'high');
+  assert.equal(toolManager.getToolPriority('supabase:rpc'), 'medium');
+});
+
+test('no limite de ferramentas ativas, as de menor prioridade são desativadas primeiro', () => {
+  const toolManager = new ToolManager();
+  toolManager.maxTools = toolManager.essentialTools.length + 2;
+
+  const evicted = [];
+  toolManager.on('tool:evicted', eviction => evicted.push(eviction));
+
+  toolManager.activateTools(['github:issues:list', 'notification:send', 'supabase:rpc']);
+  toolManager.activateTool('figma:export');
+
+  assert.deepEqual(evicted.map(eviction => [eviction.tool, eviction.priority]), [
+    ['notification:send', 'low'],
+    ['supabase:rpc', 'medium']
+  ]);
+  assert.ok(toolManager.activeTools.has('github:issues:list'));
+  assert.ok(toolManager.activeTools.has('figma:export'));
+});
@@ -0,0 +1,143 @@
+// scripts/test-tool-registry.js
+
+/**
+ * Testes do registro tipado de ferramentas: validação por JSON Schema,
+ * execução dos handlers com schemas de entrada/saída e tempo limite e
+ * ferramentas nativas do Supabase (armazenamento em memória)
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import { createIsolatedEnv } from './helpers/isolated-env.js';
+
+const { cleanup } = createIsolatedEnv('tool-registry');
+
+const { SchemaValidationError, assertSchema, validateSchema } = await import('../src/utils/json_schema.js');
+const { default: ToolManager, ToolExecutionError } = await import('../src/utils/tool_manager.js');
+
+after(() => {
+  cleanup();
+});
+
+test('validateSchema informa o caminho e o motivo de cada erro', () => {
+  const schema = {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      status: { type: 'string', enum: ['todo', 'done'] },
+      tags: { type: 'array', maxItems: 2, items: { type: 'string', pattern: '^[a-z]+$' } },
+      owner: { type: 'object', properties: { email: { type: 'string', minLength: 3 } }, required: ['email'] }
+    },
+    required: ['id', 'status'],
+    additionalProperties: false
+  };
+
+  assert.deepEqual(validateSchema(schema, { id: 3, status: 'done', tags: ['api'], owner: { email: 'a@b' } }), []);
+
+  assert.deepEqual(validateSchema(schema, { id: 1.5, tags: ['API', 'web', 'ui'], owner: {}, extra: true }), [
+    '$.status: campo obrigatório',
+    '$.id: esperado integer, recebido number',
+    '$.tags: deve ter no máximo 2 item(ns)',
+    '$.tags[0]: não corresponde ao padrão ^[a-z]+$',
+    '$.owner.email: campo obrigatório',
+    '$.extra: campo não permitido'
+  ]);
+
+  assert.deepEqual(validateSchema({ type: ['string', 'null'] }, null), []);
+  assert.deepEqual(validateSchema({ type: 'number' }, NaN), ['$: esperado number, recebido number']);
+  assert.deepEqual(validateSchema(false, 1), ['$: nenhum valor é permitido']);
+
+  // anyOf aceita qualquer alternativa; oneOf exige exatamente uma
+  const target = { anyOf: [{ required: ['id'] }, { required: ['filters'] }] };
+  assert.deepEqual(validateSchema(target, { filters: {} }), []);
+  assert.match(validateSchema(target, {})[0], /anyOf/);
+  assert.match(validateSchema({ oneOf: [{ type: 'integer' }, { type: 'number' }] }, 2)[0], /corresponde a 2/);
+
+  assert.throws(
+    () => assertSchema(schema, { id: 0, status: 'todo' }, 'Tarefa inválida'),
+    error => error instanceof SchemaValidationError
+      && error.message === 'Tarefa inválida: $.id: deve ser maior ou igual a 1'
+      && error.errors.length === 1
+  );
+});
+
+test('parâmetros e resultados fora do schema não chegam a quem chamou', async () => {
+  const toolManager = new ToolManager({ builtinTools: false });
+  const calls = [];
+
+  toolManager.registerTool('calc:sum', {
+    description: 'Soma dois inteiros',
+    inputSchema: {
+      type: 'object',
+      properties: { a: { type: 'integer' }, b: { type: 'integer' } },
+      required: ['a', 'b']
+    },
+    outputSchema: { type: 'object', properties: { sum: { type: 'integer' } }, required: ['sum'] },
+    handler: async ({ a, b }) => {
+      calls.push([a, b]);
+      return a === 0 ? { total: b } : { sum: a + b };
+    }
+  });
+
+  assert.deepEqual(await toolManager.callTool('calc:sum', { a: 2, b: 3 }), { sum: 5 });
+
+  await assert.rejects(
+    toolManager.callTool('calc:sum', { a: '2' }),
+    error => error instanceof ToolExecutionError
+      && error.code === 'TOOL_EXECUTION_FAILED'
+      && error.toolName === 'calc:sum'
+      && error.validationErrors.includes('params.b: campo obrigatório')
+      && error.validationErrors.includes('params.a: esperado integer, recebido string')
+  );
+  assert.equal(calls.length, 1);
+
+  const invalidResult = await toolManager.executeTool('calc:sum', { a: 0, b: 1 });
+  assert.equal(invalidResult.success, false);
+  assert.deepEqual(invalidResult.validationErrors, ['result.sum: campo obrigatório']);
+
+  // Registro apenas por nome completa a definição sem perder o handler
+  toolManager.registerTool('calc:sum', { priority: 'critical' });
+  assert.equal(toolManager.getToolDefinition('calc:sum').implemented, true);
+  assert.equal(toolManager.getToolDefinition('calc:sum').priority, 'critical');
+  assert.deepEqual(toolManager.getToolManifest().tools.map(tool => tool.name), ['calc:sum']);
+
+  assert.throws(() => toolManager.registerTool('calc:bad', { handler: 'x' }), /deve ser uma função/);
+  assert.throws(() => toolManager.registerTool('calc:bad', { inputSchema: null }), /deve ser um objeto JSON Schema/);
+  assert.throws(() => toolManager.registerTool('calc:bad', { timeoutMs: 0 }), /número positivo/);
+});
+
+test('o tempo limite da ferramenta interrompe a espera e libera a fixação', async () => {
+  const toolManager = new ToolManager({ builtinTools: false });
+  toolManager.registerTool('slow:wait', {
+    timeoutMs: 20,
+    handler: () => new Promise(resolve => setTimeout(() => resolve('tarde'), 200).unref())
+  });
+
+  await assert.rejects(toolManager.callTool('slow:wait'), /Tempo limite de 20ms excedido na ferramenta slow:wait/);
+  assert.equal(toolManager.isToolPinned('slow:wait'), false);
+  assert.equal(toolManager.getToolStats('slow:wait').useCount, 1);
+});
+
+test('as ferramentas nativas do Supabase retornam registros únicos por ID', async () => {
+  const toolManager = new ToolManager();
+  const table = 'tool_registry_notes';
+
+  const inserted = await toolManager.callTool('supabase:insert', { table, data: { id: 'n1', title: 'Checkout' } });
+  assert.equal(inserted.title, 'Checkout');
+
+  const many = await toolManager.callTool('supabase:insert', { table, data: [{ id: 'n2', title: 'Catálogo' }] });
+  assert.equal(many.length, 1);
+
+  assert.equal((await toolManager.callTool('supabase:query', { table, id: 'n1' })).title, 'Checkout');
+  assert.equal((await toolManager.callTool('supabase:query', { table })).length, 2);
+  assert.equal((await toolManager.callTool('supabase:update', { table, id: 'n2', data: { title: 'Busca' } })).title, 'Busca');
+
+  // update e delete exigem o alvo (id ou filtros)
+  await assert.rejects(toolManager.callTool('supabase:delete', { table }), /anyOf/);
+
+  await toolManager.callTool('supabase:delete', { table, filters: { title: 'Busca' } });
+  assert.deepEqual((await toolManager.callTool('supabase:query', { table })).map(row => row.id), ['n1']);
+
+  const validation = await toolManager.callTool('validation:validateSchema', { schema: { type: 'string' }, data: 1 });
+  assert.deepEqual(validation, { valid: false, errors: ['$: esperado string, recebido number'] });
+});
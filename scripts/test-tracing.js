@@ -0,0 +1,105 @@
+// scripts/test-tracing.js
+
+/**
+ * Testes do rastreamento: leitura tolerante a linhas corrompidas, retenção
+ * dos arquivos de trace e spans das chamadas síncronas e assíncronas dos agentes
+ */
+
+import assert from 'node:assert/strict';
+import { after, test } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { SpanStore, generateSpanId, generateTraceId } = await import('../src/utils/tracing.js');
+const { default: OrchestratorAgent } = await import('../src/agents/orchestrator_agent.js');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-tracing-'));
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+after(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('uma última linha incompleta não impede a leitura do trace', async () => {
+  const store = new SpanStore({ directory: path.join(workDir, 'parcial') });
+  const traceId = generateTraceId();
+  const span = { traceId, spanId: generateSpanId(), operationName: 'flow.documentacao', startTime: 1000, tags: {} };
+
+  await store.recordStart(span);
+  await store.recordEnd(span, { status: 'success', endTime: 1500 });
+  fs.appendFileSync(path.join(store.directory, `${traceId}.jsonl`), '{"type":"start","traceId":"');
+
+  const spans = await store.getTrace(traceId);
+  assert.equal(spans.length, 1);
+  assert.equal(spans[0].status, 'success');
+  assert.equal((await store.getTraceTimeline(traceId)).durationMs, 500);
+});
+
+test('traces expirados e acima do limite são removidos', async () => {
+  const directory = path.join(workDir, 'retencao');
+  const store = new SpanStore({ directory, maxTraces: 2, retentionMs: 60 * 60 * 1000, pruneIntervalMs: 0 });
+  const record = traceId => store.recordStart({ traceId, spanId: generateSpanId(), operationName: 'op', startTime: Date.now() });
+  const age = (traceId, ms) => {
+    const time = new Date(Date.now() - ms);
+    fs.utimesSync(path.join(directory, `${traceId}.jsonl`), time, time);
+  };
+
+  const [expired, older, recent, newest] = [generateTraceId(), generateTraceId(), generateTraceId(), generateTraceId()];
+  await record(expired);
+  age(expired, 2 * 60 * 60 * 1000);
+  await record(older);
+  age(older, 2000);
+  await record(recent);
+  age(recent, 1000);
+
+  assert.deepEqual((await store.listTraces()).map(trace => trace.traceId), [recent, older]);
+
+  // O trace novo empurra o mais antigo para fora do limite
+  await record(newest);
+  assert.deepEqual((await store.listTraces()).map(trace => trace.traceId), [newest, recent]);
+  assert.equal(await store.getTrace(older), null);
+});
+
+test('chamadas síncronas e que retornam promessas geram spans filhos', async () => {
+  const spanStore = new SpanStore({ directory: path.join(workDir, 'agentes') });
+  const orchestrator = new OrchestratorAgent({ spanStore });
+
+  orchestrator.agents = {
+    Calculadora: {
+      fator: 10,
+      somar(a, b) { return (a + b) * this.fator; },
+      // Função comum que retorna uma promessa (não é AsyncFunction)
+      atrasar(value) { return delay(5).then(() => value); },
+      async falhar() { throw new Error('Falhou'); }
+    }
+  };
+
+  let traceId;
+  await orchestrator.tracedOperation('raiz', async context => {
+    traceId = context.traceId;
+    const agent = orchestrator.getAgent('Calculadora');
+
+    assert.equal(agent.somar(1, 2), 30);
+    assert.equal(agent.fator, 10);
+    assert.equal(await agent.atrasar('ok'), 'ok');
+    await assert.rejects(agent.falhar(), /Falhou/);
+  });
+  await delay(20);
+
+  const spans = await spanStore.getTrace(traceId);
+  const root = spans.find(span => span.operationName === 'raiz');
+  const children = Object.fromEntries(spans.filter(span => span !== root).map(span => [span.operationName, span]));
+
+  assert.deepEqual(Object.keys(children).sort(), ['Calculadora.atrasar', 'Calculadora.falhar', 'Calculadora.somar']);
+  for (const span of Object.values(children)) {
+    assert.equal(span.parentSpanId, root.spanId);
+  }
+  assert.equal(children['Calculadora.somar'].status, 'success');
+  assert.equal(children['Calculadora.atrasar'].status, 'success');
+  assert.ok(children['Calculadora.atrasar'].endTime - children['Calculadora.atrasar'].startTime >= 4);
+  assert.equal(children['Calculadora.falhar'].status, 'error');
+  assert.equal(children['Calculadora.falhar'].error.message, 'Falhou');
+});
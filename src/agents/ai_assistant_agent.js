@@ -13,20 +13,35 @@ import ToolManager from '../utils/tool_manager.js';
 import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
 import sequentialThinkingMCP from '../mcps/sequential_thinking_adapter.js';
+import { createAIProvider, completeJSON } from '../utils/ai_providers/index.js';
 
 class AIAssistantAgent {
-  constructor() {
+  /**
+   * @param {Object} options - Opções (agents.AIAssistantAgent.options)
+   * @param {string} options.model - Provedor de IA: auto, local, fixture[:arquivo], anthropic[:modelo] ou openai[:modelo]
+   * @param {number} options.temperature - Temperatura padrão
+   * @param {number} options.maxTokens - Máximo de tokens por resposta
+   * @param {Object} options.provider - Provedor já criado (substitui model)
+   */
+  constructor(options = {}) {
     this.toolManager = new ToolManager();
     this.logger = createLogger('AIAssistantAgent');
     this.metrics = createMetrics('AIAssistantAgent');
     this.sequentialThinkingMCP = sequentialThinkingMCP;
     
     // Configurações do agente
-    this.model = process.env.AI_ASSISTANT_MODEL || "claude-task-master";
-    this.temperature = parseFloat(process.env.AI_ASSISTANT_TEMPERATURE || "0.7");
-    this.maxTokens = parseInt(process.env.AI_ASSISTANT_MAX_TOKENS || "2000", 10);
+    this.model = options.model || process.env.AI_ASSISTANT_MODEL || "auto";
+    this.temperature = options.temperature ?? parseFloat(process.env.AI_ASSISTANT_TEMPERATURE || "0.7");
+    this.maxTokens = options.maxTokens || parseInt(process.env.AI_ASSISTANT_MAX_TOKENS || "2000", 10);
     this.historySize = parseInt(process.env.AI_ASSISTANT_HISTORY_SIZE || "10", 10);
     
+    // Provedor de IA (respostas reais, regras locais ou fixtures gravadas)
+    this.provider = options.provider || createAIProvider(this.model, {
+      ...options,
+      temperature: this.temperature,
+      maxTokens: this.maxTokens
+    });
+    
     // Histórico de mensagens e contexto
     this.messageHistory = [];
     this.contextData = {};
@@ -61,16 +76,8 @@ class AIAssistantAgent {
    * @private
    */
   initializeTools() {
-    // Ferramentas do Claude-TaskMaster para processamento de linguagem natural
-    this.toolManager.registerTool("claude-task-master:ask");
-    this.toolManager.registerTool("claude-task-master:suggest");
-    this.toolManager.registerTool("claude-task-master:analyze");
-    this.toolManager.registerTool("claude-task-master:generate");
-    this.toolManager.registerTool("claude-task-master:explain");
-    
-    // Ferramentas do Sequential-Thinking para raciocínio em etapas
-    this.toolManager.registerTool("sequential-thinking:step_by_step");
-    this.toolManager.registerTool("sequential-thinking:dependency_analysis");
+    // O processamento de linguagem natural usa this.provider e o raciocínio
+    // em etapas, o SequentialThinkingAdapter
     
     // Ferramentas do Supabase para armazenamento e consulta
     this.toolManager.registerTool("supabase:query");
@@ -112,6 +119,8 @@ class AIAssistantAgent {
    * @param {string} userId - ID do usuário fazendo a pergunta
    * @param {string} question - Texto da pergunta
    * @param {Object} context - Contexto adicional (opcional)
+   * @param {Array<Object>} context.conversation - Turnos anteriores da sessão de chat ({ role, content })
+   * @param {string} context.agent - Agente em foco na conversa
    * @returns {Promise<Object>} Objeto com resposta e informações relacionadas
    * @throws {Error} Se a resposta falhar
    */
@@ -136,13 +145,17 @@ class AIAssistantAgent {
         maxLength: 1000
       });
       
-      const sanitizedContext = this.securityAgent.sanitizeInput(context, {
+      // Turnos anteriores da conversa vão à parte no prompt
+      const { conversation, ...questionContext } = context;
+      
+      const sanitizedContext = this.securityAgent.sanitizeInput(questionContext, {
         type: "object",
         properties: {
           currentView: { type: "string" },
           projectId: { type: "string" },
           taskId: { type: "string" },
           documentId: { type: "string" },
+          agent: { type: "string" },
           recentActions: { type: "array", items: { type: "string" } }
         }
       });
@@ -153,24 +166,24 @@ class AIAssistantAgent {
       // Obter histórico de interações recentes
       const interactionHistory = await this.getInteractionHistory(userId, 5);
       
-      // Preparar prompt para o Claude-TaskMaster
+      // Preparar prompt para o provedor de IA
       const prompt = this.prepareQuestionPrompt(
         sanitizedQuestion,
         enrichedContext,
-        interactionHistory
+        interactionHistory,
+        this.normalizeConversation(conversation)
       );
       
-      // Obter resposta do Claude-TaskMaster
-      const response = await this.toolManager.executeTool("claude-task-master:ask", {
-        prompt,
-        userId,
-        model: this.model,
-        temperature: this.temperature,
-        maxTokens: this.maxTokens,
-        personality: this.personality
-      });
+      // Obter resposta do provedor de IA (turnos anteriores vão como mensagens)
+      const completion = await this.complete("ask", "Responda à pergunta do usuário usando o contexto abaixo.", {
+        question: prompt.question,
+        context: prompt.context,
+        history: prompt.history
+      }, { conversation: prompt.conversation });
       
-      if (!response || !response.answer) {
+      const response = { answer: completion.text.trim() };
+      
+      if (!response.answer) {
         throw new Error("Falha ao obter resposta do assistente");
       }
       
@@ -198,6 +211,8 @@ class AIAssistantAgent {
         confidence: response.confidence || 0.9,
         sources: response.sources || [],
         relatedTopics: response.relatedTopics || [],
+        provider: completion.provider,
+        model: completion.model,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
@@ -247,16 +262,13 @@ class AIAssistantAgent {
       // Enriquecer contexto com dados adicionais
       const enrichedContext = await this.enrichContext(userId, sanitizedContext);
       
-      // Obter sugestões do Claude-TaskMaster
-      const suggestions = await this.toolManager.executeTool("claude-task-master:suggest", {
-        userId,
-        context: enrichedContext,
-        type: sanitizedType,
-        model: this.model,
-        temperature: this.temperature,
-        threshold: this.suggestionThreshold,
-        personality: this.personality
-      });
+      // Obter sugestões do provedor de IA
+      const suggestions = await this.completeJSON(
+        "suggest",
+        `Sugira melhorias do tipo ${sanitizedType} para o contexto abaixo, cada uma com a confiança (0 a 1).`,
+        { type: sanitizedType, context: enrichedContext },
+        '[{"title": "...", "description": "...", "confidence": 0.8}]'
+      );
       
       if (!suggestions || !Array.isArray(suggestions)) {
         throw new Error("Falha ao obter sugestões do assistente");
@@ -320,29 +332,31 @@ class AIAssistantAgent {
         }
       });
       
-      // Obter análise do Claude-TaskMaster
-      const analysis = await this.toolManager.executeTool("claude-task-master:analyze", {
-        content: sanitizedContent,
-        options: sanitizedOptions,
-        userId,
-        model: this.model
-      });
+      // Obter análise do provedor de IA
+      const analysis = await this.completeJSON(
+        "analyze",
+        "Analise o conteúdo abaixo conforme as opções informadas.",
+        { content: sanitizedContent, options: sanitizedOptions },
+        '{"summary": "...", "topics": ["..."], "insights": ["..."]}',
+        { temperature: 0.3 }
+      );
       
-      if (!analysis) {
+      if (!analysis || typeof analysis !== "object") {
         throw new Error("Falha ao analisar conteúdo");
       }
       
       // Para análises complexas, usar Sequential-Thinking
       if (sanitizedOptions.depth === "comprehensive") {
-        const detailedAnalysis = await this.toolManager.executeTool("sequential-thinking:step_by_step", {
-          initialAnalysis: analysis,
-          content: sanitizedContent,
-          steps: ["identify", "categorize", "evaluate", "recommend"]
-        });
+        const detailedAnalysis = await this.sequentialThinkingMCP.analyze(
+          sanitizedOptions.analysisGoal || analysis.summary || sanitizedContent.slice(0, 200),
+          { maxThoughts: 4, provider: this.provider }
+        );
         
-        if (detailedAnalysis) {
-          Object.assign(analysis, detailedAnalysis);
-        }
+        Object.assign(analysis, {
+          thoughts: detailedAnalysis.thoughts,
+          recommendations: detailedAnalysis.recommendations,
+          actionItems: detailedAnalysis.actionItems
+        });
       }
       
       return analysis;
@@ -405,24 +419,20 @@ class AIAssistantAgent {
         );
       }
       
-      // Gerar conteúdo com Claude-TaskMaster
-      const generatedContent = await this.toolManager.executeTool("claude-task-master:generate", {
-        prompt: sanitizedPrompt,
-        options: {
-          ...sanitizedOptions,
-          additionalData
-        },
-        userId,
-        model: this.model,
-        temperature: this.temperature,
-        maxTokens: this.maxTokens * 2, // Mais tokens para geração de conteúdo
-        personality: {
-          ...this.personality,
-          tone: sanitizedOptions.tone || this.personality.tone
-        }
-      });
+      // Gerar conteúdo com o provedor de IA
+      const completion = await this.complete(
+        "generate",
+        `Gere o conteúdo pedido abaixo${sanitizedOptions.format ? ` no formato ${sanitizedOptions.format}` : ""}${sanitizedOptions.tone ? `, com tom ${sanitizedOptions.tone}` : ""}.`,
+        { prompt: sanitizedPrompt, options: sanitizedOptions, additionalData },
+        { maxTokens: this.maxTokens * 2 } // Mais tokens para geração de conteúdo
+      );
       
-      if (!generatedContent || !generatedContent.content) {
+      const generatedContent = {
+        content: completion.text.trim(),
+        metadata: { provider: completion.provider, model: completion.model, usage: completion.usage }
+      };
+      
+      if (!generatedContent.content) {
         throw new Error("Falha ao gerar conteúdo");
       }
       
@@ -486,35 +496,26 @@ class AIAssistantAgent {
         throw new Error(`Funcionalidade não encontrada: ${sanitizedFeatureId}`);
       }
       
-      // Obter explicação do Claude-TaskMaster
-      const explanation = await this.toolManager.executeTool("claude-task-master:explain", {
-        featureInfo,
-        detailLevel: sanitizedDetailLevel,
-        userId,
-        model: this.model,
-        personality: {
-          ...this.personality,
-          technicality: sanitizedDetailLevel === "basic" ? "basic" : 
-                        sanitizedDetailLevel === "advanced" ? "advanced" : 
-                        "intermediate"
-        }
-      });
+      // Obter explicação do provedor de IA
+      const explanation = await this.completeJSON(
+        "explain",
+        `Explique a funcionalidade abaixo com nível de detalhe ${sanitizedDetailLevel}.`,
+        { featureInfo, detailLevel: sanitizedDetailLevel },
+        '{"description": "...", "steps": ["..."], "examples": ["..."], "tips": ["..."], "relatedFeatures": ["..."]}'
+      );
       
-      if (!explanation) {
+      if (!explanation || typeof explanation !== "object") {
         throw new Error("Falha ao explicar funcionalidade");
       }
       
       // Para explicações avançadas, usar Sequential-Thinking
       if (sanitizedDetailLevel === "advanced") {
-        const detailedExplanation = await this.toolManager.executeTool("sequential-thinking:step_by_step", {
-          initialExplanation: explanation,
-          featureInfo,
-          steps: ["concept", "implementation", "usage", "edge_cases", "best_practices"]
-        });
+        const detailedExplanation = await this.sequentialThinkingMCP.analyze(
+          `Implementação e boas práticas de ${featureInfo.title || sanitizedFeatureId}`,
+          { domain: "técnico", includeActionItems: false, provider: this.provider }
+        );
         
-        if (detailedExplanation) {
-          Object.assign(explanation, detailedExplanation);
-        }
+        explanation.tips = [...(explanation.tips || []), ...detailedExplanation.recommendations];
       }
       
       // Obter capturas de tela se disponíveis
@@ -526,7 +527,7 @@ class AIAssistantAgent {
         screenshots = await Promise.all(
           featureInfo.screenshotPaths.map(async path => {
             try {
-              return await this.toolManager.executeTool("puppeteer:screenshot", {
+              return await this.toolManager.callTool("puppeteer:screenshot", {
                 path,
                 fullPage: false,
                 selector: featureInfo.screenshotSelector
@@ -615,15 +616,14 @@ class AIAssistantAgent {
         userPreferences: await this.getUserPreferences(userId)
       };
       
-      // Obter ajuda contextual do Claude-TaskMaster
-      const help = await this.toolManager.executeTool("claude-task-master:ask", {
-        prompt: `Fornecer ajuda contextual para usuário na tela ${sanitizedView} realizando ação ${sanitizedAction}`,
-        context: helpContext,
-        userId,
-        model: this.model,
-        temperature: 0.3, // Menor temperatura para respostas mais precisas
-        personality: this.personality
-      });
+      // Obter ajuda contextual do provedor de IA
+      const help = await this.completeJSON(
+        "help",
+        `Forneça ajuda contextual para o usuário na tela ${sanitizedView} realizando a ação ${sanitizedAction}.`,
+        { viewId: sanitizedView, actionId: sanitizedAction, ...helpContext },
+        '{"content": "...", "relatedActions": ["..."], "shortcuts": ["..."], "tips": ["..."]}',
+        { temperature: 0.3 } // Menor temperatura para respostas mais precisas
+      );
       
       if (!help || !help.content) {
         throw new Error("Falha ao obter ajuda contextual");
@@ -678,10 +678,13 @@ class AIAssistantAgent {
       });
       
       // Analisar dados para aprendizado
-      const learningResult = await this.toolManager.executeTool("claude-task-master:analyze", {
-        type: "interaction_learning",
-        data: sanitizedData
-      });
+      const learningResult = await this.completeJSON(
+        "learn",
+        "Extraia da interação abaixo aprendizados para personalizar a assistência futura.",
+        { type: sanitizedData.type, data: sanitizedData.data },
+        '{"insights": [{"type": "...", "topics": ["..."]}]}',
+        { temperature: 0.2 }
+      );
       
       if (learningResult && learningResult.insights) {
         // Armazenar insights para uso futuro
@@ -726,7 +729,7 @@ class AIAssistantAgent {
     
     try {
       // Adicionar informações do usuário
-      const userInfo = await this.toolManager.executeTool("supabase:query", {
+      const userInfo = await this.toolManager.callTool("supabase:query", {
         table: "users",
         filters: { id: userId },
         select: "id, name, role, preferences, created_at"
@@ -797,14 +800,14 @@ class AIAssistantAgent {
    */
   async getInteractionHistory(userId, limit = 5) {
     try {
-      const history = await this.toolManager.executeTool("supabase:query", {
+      const history = await this.toolManager.callTool("supabase:query", {
         table: "assistant_interactions",
         filters: { user_id: userId },
         order: { column: "timestamp", direction: "desc" },
         limit
       });
       
-      return history || [];
+      return Array.isArray(history) ? history : [];
     } catch (error) {
       console.error("Erro ao obter histórico de interações:", error);
       return [];
@@ -844,17 +847,105 @@ class AIAssistantAgent {
    * @param {string} question - Pergunta do usuário
    * @param {Object} context - Contexto enriquecido
    * @param {Array} history - Histórico de interações
+   * @param {Array} conversation - Turnos anteriores da conversa atual
    * @returns {Object} Prompt preparado
    */
-  prepareQuestionPrompt(question, context, history) {
+  prepareQuestionPrompt(question, context, history, conversation = []) {
     return {
       question,
       context,
       history,
+      conversation,
       personality: this.personality
     };
   }
   
+  /**
+   * Normaliza os turnos de uma conversa (multi-turno)
+   * @private
+   * @param {Array} conversation - Turnos ({ role, content })
+   * @returns {Array} Últimos turnos válidos, limitados a historySize
+   */
+  normalizeConversation(conversation) {
+    if (!Array.isArray(conversation)) {
+      return [];
+    }
+    
+    return conversation
+      .filter(turn => turn && (turn.role === "user" || turn.role === "assistant") && typeof turn.content === "string")
+      .slice(-this.historySize)
+      .map(turn => ({ role: turn.role, content: turn.content.slice(0, this.maxTokens * 4) }));
+  }
+  
+  /**
+   * Instruções de sistema do assistente (personalidade configurada)
+   * @private
+   * @returns {string} Prompt de sistema
+   */
+  buildSystemPrompt() {
+    return [
+      "Você é o assistente do sistema Nexus, uma plataforma de agentes para gestão de projetos,",
+      "tarefas (TaskMaster), quadros Kanban e documentação. Responda em português.",
+      `Tom: ${this.personality.tone}. Verbosidade: ${this.personality.verbosity}.`,
+      `Nível técnico: ${this.personality.technicality}.`
+    ].join(" ");
+  }
+  
+  /**
+   * Monta a requisição ao provedor de IA
+   * @private
+   * @param {string} task - Tarefa (ask, help, generate, suggest, analyze, explain, learn)
+   * @param {string} instruction - Instrução ao modelo
+   * @param {Object} input - Dados da requisição (enviados no prompt e usados pelo provedor local)
+   * @param {Object} options - Opções ({ conversation, temperature, maxTokens })
+   * @returns {Object} Requisição ({ task, system, messages, input, temperature, maxTokens })
+   */
+  buildRequest(task, instruction, input, options = {}) {
+    const details = Object.entries(input)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .map(([key, value]) => `## ${key}\n${typeof value === "string" ? value : JSON.stringify(value, null, 2)}`);
+    
+    // A conversa precisa começar por uma mensagem do usuário
+    const conversation = options.conversation || [];
+    const firstUserTurn = conversation.findIndex(turn => turn.role === "user");
+    
+    return {
+      task,
+      system: this.buildSystemPrompt(),
+      messages: [
+        ...(firstUserTurn === -1 ? [] : conversation.slice(firstUserTurn)),
+        { role: "user", content: [instruction, ...details].join("\n\n") }
+      ],
+      input,
+      temperature: options.temperature ?? this.temperature,
+      maxTokens: options.maxTokens || this.maxTokens
+    };
+  }
+  
+  /**
+   * Gera uma resposta em texto
+   * @private
+   * @returns {Promise<Object>} Resposta ({ text, provider, model, usage })
+   */
+  async complete(task, instruction, input, options = {}) {
+    return this.provider.complete(this.buildRequest(task, instruction, input, options));
+  }
+  
+  /**
+   * Gera uma resposta em JSON
+   * @private
+   * @param {string} format - Exemplo do JSON esperado (incluído na instrução)
+   * @returns {Promise<*>} JSON interpretado
+   */
+  async completeJSON(task, instruction, input, format, options = {}) {
+    const { data } = await completeJSON(
+      this.provider,
+      this.buildRequest(task, `${instruction}\nResponda somente com JSON no formato ${format}.`, input, options)
+    );
+    
+    return data;
+  }
+  
   /**
    * Obtém informações sobre uma funcionalidade
    * @private
@@ -864,7 +955,7 @@ class AIAssistantAgent {
   async getFeatureInfo(featureId) {
     try {
       // Primeiro, verificar no banco de dados
-      const featureFromDb = await this.toolManager.executeTool("supabase:query", {
+      const featureFromDb = await this.toolManager.callTool("supabase:query", {
         table: "features",
         filters: { id: featureId },
         single: true
@@ -875,7 +966,7 @@ class AIAssistantAgent {
       }
       
       // Se não encontrado, verificar na documentação do GitHub
-      const featureFromGithub = await this.toolManager.executeTool("github:repos:get_content", {
+      const featureFromGithub = await this.toolManager.callTool("github:repos:get_content", {
         owner: "windsurf",
         repo: "documentation",
         path: `features/${featureId}.md`
@@ -908,7 +999,7 @@ class AIAssistantAgent {
   async getViewInfo(viewId) {
     try {
       // Verificar no banco de dados
-      const viewFromDb = await this.toolManager.executeTool("supabase:query", {
+      const viewFromDb = await this.toolManager.callTool("supabase:query", {
         table: "views",
         filters: { id: viewId },
         single: true
@@ -940,7 +1031,7 @@ class AIAssistantAgent {
   async getActionInfo(viewId, actionId) {
     try {
       // Verificar no banco de dados
-      const actionFromDb = await this.toolManager.executeTool("supabase:query", {
+      const actionFromDb = await this.toolManager.callTool("supabase:query", {
         table: "actions",
         filters: { view_id: viewId, id: actionId },
         single: true
@@ -971,7 +1062,7 @@ class AIAssistantAgent {
    */
   async getUserHistory(userId, limit = 10) {
     try {
-      const history = await this.toolManager.executeTool("supabase:query", {
+      const history = await this.toolManager.callTool("supabase:query", {
         table: "user_activity",
         filters: { user_id: userId },
         order: { column: "timestamp", direction: "desc" },
@@ -993,7 +1084,7 @@ class AIAssistantAgent {
    */
   async getUserPreferences(userId) {
     try {
-      const preferences = await this.toolManager.executeTool("supabase:query", {
+      const preferences = await this.toolManager.callTool("supabase:query", {
         table: "user_preferences",
         filters: { user_id: userId },
         single: true
@@ -1162,7 +1253,7 @@ class AIAssistantAgent {
         return;
       }
       
-      // Obter sugestões do Claude-TaskMaster
+      // Obter sugestões do provedor de IA
       const suggestions = await this.getSuggestions(userId, context, "general");
       
       if (suggestions && suggestions.length > 0) {
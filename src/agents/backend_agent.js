@@ -14,6 +14,7 @@ import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
 import supabaseMCP from '../mcps/supabase_adapter.js';
 import taskmasterMCP from '../mcps/taskmaster_claude_adapter.js';
+import { SYSTEM_USER_ID, runAsSystem } from './security_agent.js';
 
 class BackendAgent {
   constructor() {
@@ -173,6 +174,7 @@ class BackendAgent {
       // Registrar métrica
       this.toolManager.executeTool("monitor:metric", {
         name: "api_request_duration",
+        type: "timing",
         value: Date.now() - startTime,
         tags: { method, path: this.normalizePath(path), status: result.status || 200 }
       });
@@ -191,6 +193,7 @@ class BackendAgent {
       // Registrar métrica de erro
       this.toolManager.executeTool("monitor:metric", {
         name: "api_request_errors",
+        type: "counter",
         value: 1,
         tags: { method, path: this.normalizePath(path) }
       });
@@ -460,7 +463,7 @@ class BackendAgent {
         query: "Determine the optimal priority for this new task based on project goals and current workload."
       }).then(priorityResult => {
         if (priorityResult && priorityResult.priority && priorityResult.priority !== event.task.priority) {
-          this.projectManagerAgent.updateTask(event.task.id, { priority: priorityResult.priority }, "system");
+          runAsSystem(() => this.projectManagerAgent.updateTask(event.task.id, { priority: priorityResult.priority }, SYSTEM_USER_ID));
         }
       });
     } else if (event.type === "task:assigned") {
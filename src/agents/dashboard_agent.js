@@ -8,10 +8,11 @@
  * - Integração com MCPs para análise e insights
  */
 
-const { ToolManager } = require("../utils/tool_manager");
-const { SecurityAgent } = require("./security_agent");
-const { ProjectManagerAgent } = require("./project_manager_agent");
-const { KanbanAgent } = require("./kanban_agent");
+import ToolManager from "../utils/tool_manager.js";
+import SecurityAgent, { SYSTEM_USER_ID, runAsSystem } from "./security_agent.js";
+import ProjectManagerAgent from "./project_manager_agent.js";
+import KanbanAgent from "./kanban_agent.js";
+import { getMetricsRegistry } from "../utils/metrics.js";
 
 class DashboardAgent {
   constructor() {
@@ -129,7 +130,7 @@ class DashboardAgent {
       });
       
       // Inserir dashboard no banco de dados
-      const result = await this.toolManager.executeTool("supabase:insert", {
+      const result = await this.toolManager.callTool("supabase:insert", {
         table: "dashboards",
         data: {
           name: sanitizedConfig.name,
@@ -203,7 +204,7 @@ class DashboardAgent {
       }
       
       // Obter dashboard atual
-      const currentDashboard = await this.toolManager.executeTool("supabase:query", {
+      const currentDashboard = await this.toolManager.callTool("supabase:query", {
         table: "dashboards",
         id: dashboardId
       });
@@ -225,7 +226,7 @@ class DashboardAgent {
       });
       
       // Atualizar dashboard no banco de dados
-      const result = await this.toolManager.executeTool("supabase:update", {
+      const result = await this.toolManager.callTool("supabase:update", {
         table: "dashboards",
         id: dashboardId,
         data: {
@@ -280,7 +281,7 @@ class DashboardAgent {
       }
       
       // Obter configuração do dashboard
-      const dashboardConfig = await this.toolManager.executeTool("supabase:query", {
+      const dashboardConfig = await this.toolManager.callTool("supabase:query", {
         table: "dashboards",
         id: dashboardId
       });
@@ -290,7 +291,7 @@ class DashboardAgent {
       }
       
       // Obter widgets do dashboard
-      const widgets = await this.toolManager.executeTool("supabase:query", {
+      const widgets = await this.toolManager.callTool("supabase:query", {
         table: "dashboard_widgets",
         filters: {
           dashboard_id: dashboardId
@@ -357,7 +358,7 @@ class DashboardAgent {
       }
       
       // Verificar limite de widgets
-      const currentWidgets = await this.toolManager.executeTool("supabase:query", {
+      const currentWidgets = await this.toolManager.callTool("supabase:query", {
         table: "dashboard_widgets",
         filters: {
           dashboard_id: dashboardId
@@ -382,7 +383,7 @@ class DashboardAgent {
       });
       
       // Inserir widget no banco de dados
-      const result = await this.toolManager.executeTool("supabase:insert", {
+      const result = await this.toolManager.callTool("supabase:insert", {
         table: "dashboard_widgets",
         data: {
           dashboard_id: dashboardId,
@@ -430,7 +431,7 @@ class DashboardAgent {
   async updateWidget(widgetId, updates, userId) {
     try {
       // Obter widget atual
-      const currentWidget = await this.toolManager.executeTool("supabase:query", {
+      const currentWidget = await this.toolManager.callTool("supabase:query", {
         table: "dashboard_widgets",
         id: widgetId
       });
@@ -463,7 +464,7 @@ class DashboardAgent {
       });
       
       // Atualizar widget no banco de dados
-      const result = await this.toolManager.executeTool("supabase:update", {
+      const result = await this.toolManager.callTool("supabase:update", {
         table: "dashboard_widgets",
         id: widgetId,
         data: {
@@ -526,7 +527,7 @@ class DashboardAgent {
       switch (format) {
         case "pdf":
           // Gerar PDF usando Puppeteer ou biblioteca similar
-          const pdfBuffer = await this.toolManager.executeTool("puppeteer:pdf", {
+          const pdfBuffer = await this.toolManager.callTool("puppeteer:pdf", {
             htmlContent: this.generateDashboardHtml(dashboardData, options),
             options: {
               format: options.paperSize || "A4",
@@ -537,7 +538,7 @@ class DashboardAgent {
           
         case "csv":
           // Gerar CSV dos dados dos widgets
-          const csvContent = await this.toolManager.executeTool("export:to_csv", {
+          const csvContent = await this.toolManager.callTool("export:to_csv", {
             data: this.extractWidgetDataForCsv(dashboardData.widgetsData),
             options: options.csvOptions
           });
@@ -545,7 +546,7 @@ class DashboardAgent {
           
         case "png":
           // Gerar PNG usando Puppeteer
-          const pngBuffer = await this.toolManager.executeTool("puppeteer:screenshot", {
+          const pngBuffer = await this.toolManager.callTool("puppeteer:screenshot", {
             htmlContent: this.generateDashboardHtml(dashboardData, options),
             options: {
               type: "png",
@@ -591,7 +592,9 @@ class DashboardAgent {
         properties: {
           projectId: { type: "string" },
           timeRange: { type: "string" },
-          userIds: { type: "array", items: { type: "string" } }
+          userIds: { type: "array", items: { type: "string" } },
+          component: { type: "string" },
+          name: { type: "string" }
         }
       });
       
@@ -608,12 +611,15 @@ class DashboardAgent {
         case "github-activity":
           metricsData = await this.getGithubActivityMetrics(sanitizedFilters);
           break;
+        case "system":
+          metricsData = this.getSystemMetrics(sanitizedFilters);
+          break;
         default:
           throw new Error(`Tipo de métrica desconhecido: ${metricType}`);
       }
       
       // Usar Claude-TaskMaster para análise e insights
-      const insights = await this.toolManager.executeTool("claude-task-master:analyze", {
+      const insights = await this.toolManager.callTool("claude-task-master:analyze", {
         type: "metrics_analysis",
         data: {
           metricType,
@@ -673,7 +679,7 @@ class DashboardAgent {
       }
       
       // Gerar visualização (simulado)
-      const visualization = await this.toolManager.executeTool("visualization:generate_chart", {
+      const visualization = await this.toolManager.callTool("visualization:generate_chart", {
         type: widget.type,
         data: data,
         config: widget.config?.visualizationOptions
@@ -776,9 +782,9 @@ class DashboardAgent {
    */
   async analyzeDashboardWithTaskMaster(dashboardId) {
     try {
-      const dashboardData = await this.getDashboardData(dashboardId, {}, "system");
+      const dashboardData = await runAsSystem(() => this.getDashboardData(dashboardId, {}, SYSTEM_USER_ID));
       
-      const analysis = await this.toolManager.executeTool("claude-task-master:analyze", {
+      const analysis = await this.toolManager.callTool("claude-task-master:analyze", {
         type: "dashboard_analysis",
         data: dashboardData
       });
@@ -808,14 +814,14 @@ class DashboardAgent {
    */
   async analyzeWidgetWithTaskMaster(widgetId) {
     try {
-      const widget = await this.toolManager.executeTool("supabase:query", {
+      const widget = await this.toolManager.callTool("supabase:query", {
         table: "dashboard_widgets",
         id: widgetId
       });
       
       if (!widget) return;
       
-      const analysis = await this.toolManager.executeTool("claude-task-master:analyze", {
+      const analysis = await this.toolManager.callTool("claude-task-master:analyze", {
         type: "widget_analysis",
         data: widget
       });
@@ -852,6 +858,19 @@ class DashboardAgent {
   async getKanbanFlowMetrics(filters) { return { /* dados simulados */ }; }
   async getGithubActivityMetrics(filters) { return { /* dados simulados */ }; }
   
+  /**
+   * Obtém o snapshot das métricas internas registradas pelos agentes
+   * @private
+   * @param {Object} filters - Filtros (component, name)
+   * @returns {Object} Snapshot do registro de métricas
+   */
+  getSystemMetrics(filters = {}) {
+    return getMetricsRegistry().snapshot({
+      component: filters.component,
+      name: filters.name
+    });
+  }
+  
   // Handlers de eventos
   handleDashboardCreated(data) { console.log("Dashboard criado:", data.dashboard.name); }
   handleDashboardUpdated(data) { console.log("Dashboard atualizado:", data.dashboard.name); }
@@ -863,4 +882,5 @@ class DashboardAgent {
   handleGithubCommit(data) { /* Lógica para atualizar métricas relacionadas */ }
 }
 
-module.exports = { DashboardAgent };
+export { DashboardAgent };
+export default DashboardAgent;
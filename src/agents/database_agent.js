@@ -13,6 +13,7 @@ import ToolManager from '../utils/tool_manager.js';
 import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
 import supabaseMCP from '../mcps/supabase_adapter.js';
+import { MigrationRunner } from '../utils/migration_runner.js';
 
 class DatabaseAgent {
   constructor() {
@@ -20,6 +21,7 @@ class DatabaseAgent {
     this.logger = createLogger('DatabaseAgent');
     this.metrics = createMetrics('DatabaseAgent');
     this.supabaseMCP = supabaseMCP;
+    this.migrationRunner = new MigrationRunner({ adapter: supabaseMCP });
     
     // Configurações do agente
     this.schemaVersion = process.env.DB_SCHEMA_VERSION || "1.0.0";
@@ -55,10 +57,15 @@ class DatabaseAgent {
       return await this.createOrUpdateTable(params.name, params.schema, params.options);
     });
     
-    // Ferramenta para executar migrações
+    // Ferramenta para executar migrações (up, down ou redo)
     this.toolManager.registerTool('database:executeMigration', async (params) => {
       this.logger.info('Executando migração', params);
-      return await this.executeMigration(params.name, params.sql, params.options);
+      return await this.executeMigration(params.command, params.options);
+    });
+    
+    // Ferramenta para consultar a situação das migrações
+    this.toolManager.registerTool('database:getMigrationStatus', async () => {
+      return await this.getMigrationStatus();
     });
     
     // Ferramenta para criar backups
@@ -174,49 +181,46 @@ class DatabaseAgent {
   }
   
   /**
-   * Executa uma migração de banco de dados
+   * Executa as migrações versionadas de src/config/database/migrations
+   * @param {string} command - up, down ou redo
+   * @param {Object} options - Opções
+   * @param {string} options.to - Versão alvo
+   * @param {number} options.step - Quantidade de migrações
+   * @param {boolean} options.backup - Cria um backup antes de executar
+   * @returns {Promise<Object>} { success, command, migrations }
    */
-  async executeMigration(name, sql, options = {}) {
-    this.logger.info(`Executando migração: ${name}`);
+  async executeMigration(command = 'up', options = {}) {
+    this.logger.info(`Executando migrações: ${command}`, options);
     this.metrics.increment('database.migration.executed');
     
     try {
-      // Verificar se a migração já foi executada
-      const checkResult = await this.executeQuery(
-        "SELECT * FROM migrations WHERE name = :name",
-        { name },
-        { useCache: false }
-      );
-      
-      if (checkResult.data && checkResult.data.length > 0) {
-        this.logger.info(`Migração ${name} já foi executada anteriormente`);
-        return { success: true, name, alreadyExecuted: true };
+      if (!['up', 'down', 'redo'].includes(command)) {
+        throw new Error(`Comando de migração inválido: ${command}`);
       }
       
       // Fazer backup antes da migração se solicitado
       if (options.backup) {
-        await this.createBackup({ label: `pre_migration_${name}` });
+        await this.createBackup({ label: `pre_migration_${command}_${Date.now()}` });
       }
       
-      // Executar SQL da migração
-      await this.executeQuery(sql, {}, { useCache: false });
+      const result = await this.migrationRunner[command]({ to: options.to, step: options.step });
       
-      // Registrar migração como executada
-      await this.executeQuery(
-        "INSERT INTO migrations (name, executed_at) VALUES (:name, NOW())",
-        { name },
-        { useCache: false }
-      );
-      
-      this.logger.info(`Migração ${name} executada com sucesso`);
-      return { success: true, name, executedAt: new Date().toISOString() };
+      this.logger.info(`Migrações (${command}) concluídas: ${result.migrations.length} executada(s)`);
+      return { success: true, ...result };
     } catch (error) {
-      this.logger.error(`Erro ao executar migração ${name}: ${error.message}`, { error });
+      this.logger.error(`Erro ao executar migrações (${command}): ${error.message}`, { error });
       this.metrics.increment('database.migration.error');
       throw error;
     }
   }
   
+  /**
+   * Obtém a situação das migrações (aplicadas, pendentes e divergentes)
+   */
+  async getMigrationStatus() {
+    return await this.migrationRunner.status();
+  }
+  
   /**
    * Cria um backup do banco de dados
    */
@@ -381,17 +385,8 @@ class DatabaseAgent {
     this.logger.info('Inicializando DatabaseAgent', options);
     
     try {
-      // Verificar e criar tabela de migrações se não existir
-      await this.createOrUpdateTable('migrations', {
-        columns: {
-          id: { type: 'SERIAL', constraints: 'PRIMARY KEY' },
-          name: { type: 'VARCHAR(255)', constraints: 'UNIQUE NOT NULL' },
-          executed_at: { type: 'TIMESTAMP', constraints: 'NOT NULL DEFAULT NOW()' }
-        },
-        indexes: [
-          { columns: ['name'] }
-        ]
-      });
+      // Verificar e criar tabelas de controle de migrações se não existirem
+      await this.migrationRunner.ensureTrackingTables();
       
       // Verificar e criar tabela de backups se não existir
       await this.createOrUpdateTable('backups', {
@@ -699,8 +699,9 @@ class DocumentAgent {
   
   /**
    * Gera documentação a partir dos recursos coletados
+   * (options.signal: interrompe entre a análise e a geração, ex.: tempo limite do fluxo)
    */
-  async generateDocumentation(resources, config) {
+  async generateDocumentation(resources, config, { signal } = {}) {
     this.logger.info('Gerando documentação a partir dos recursos');
     
     // Preparar contexto para análise
@@ -726,6 +727,8 @@ class DocumentAgent {
       }
     });
     
+    signal?.throwIfAborted();
+    
     // Gerar documentação com TaskMaster Claude
     const documentationResult = await this.taskmasterMCP.invoke('taskmaster_generate', {
       task: 'documentation_generation',
@@ -757,8 +760,9 @@ class DocumentAgent {
   
   /**
    * Formata e estrutura a documentação
+   * (options.signal: nada é gravado se já tiver sido abortado)
    */
-  async formatAndStructureDocumentation(projectId, documentationResult, commitData = null) {
+  async formatAndStructureDocumentation(projectId, documentationResult, commitData = null, { signal } = {}) {
     this.logger.info('Formatando e estruturando documentação', { projectId });
     
     // Verificar documentação existente
@@ -775,6 +779,8 @@ class DocumentAgent {
     let isUpdate = false;
     let version = 1;
     
+    signal?.throwIfAborted();
+    
     if (existingDocs && existingDocs.length > 0) {
       // Atualizar documentação existente
       documentId = existingDocs[0].id;
@@ -130,7 +130,7 @@ class FrontendAgent {
       // Obter design do Figma se disponível
       let designData = null;
       if (sanitizedSpec.figmaNodeId) {
-        designData = await this.toolManager.executeTool('figma:components:get', {
+        designData = await this.toolManager.callTool('figma:components:get', {
           nodeId: sanitizedSpec.figmaNodeId
         });
       }
@@ -174,7 +174,7 @@ class FrontendAgent {
       });
       
       // Registrar componente no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'frontend_components',
         data: {
           name: `${this.componentPrefix}${sanitizedSpec.name}`,
@@ -257,7 +257,7 @@ ${JSON.stringify(sanitizedSpec.dependencies || [], null, 2)}
   async updateComponent(componentId, updates, userId) {
     try {
       // Obter componente atual
-      const currentComponent = await this.toolManager.executeTool('supabase:query', {
+      const currentComponent = await this.toolManager.callTool('supabase:query', {
         table: 'frontend_components',
         id: componentId
       });
@@ -382,7 +382,7 @@ ${newVersion}
       }
       
       // Atualizar componente no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'frontend_components',
         id: componentId,
         data: updateData
@@ -435,7 +435,7 @@ ${newVersion}
       }
       
       // Obter dados do design do Figma
-      const designData = await this.toolManager.executeTool('figma:components:get', {
+      const designData = await this.toolManager.callTool('figma:components:get', {
         nodeId: figmaNodeId
       });
       
@@ -513,7 +513,7 @@ ${newVersion}
       }
       
       // Obter template
-      const template = await this.toolManager.executeTool('supabase:query', {
+      const template = await this.toolManager.callTool('supabase:query', {
         table: 'frontend_components',
         id: templateId
       });
@@ -554,7 +554,7 @@ ${newVersion}
       await this.updateRoutes(sanitizedPageData.name, sanitizedPageData.route);
       
       // Registrar página no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'frontend_pages',
         data: {
           name: sanitizedPageData.name,
@@ -646,7 +646,7 @@ Based on template: ${template.name}
       // Obter componentes
       const components = [];
       for (const id of ids) {
-        const component = await this.toolManager.executeTool('supabase:query', {
+        const component = await this.toolManager.callTool('supabase:query', {
           table: 'frontend_components',
           id
         });
@@ -673,7 +673,7 @@ Based on template: ${template.name}
       }
       
       // Executar testes
-      const testResults = await this.toolManager.executeTool('npm:test', {
+      const testResults = await this.toolManager.callTool('npm:test', {
         command: `${testCommand} ${testPatterns}`
       });
       
@@ -719,7 +719,7 @@ Based on template: ${template.name}
       // Obter componentes
       const components = [];
       for (const id of ids) {
-        const component = await this.toolManager.executeTool('supabase:query', {
+        const component = await this.toolManager.callTool('supabase:query', {
           table: 'frontend_components',
           id
         });
@@ -737,7 +737,7 @@ Based on template: ${template.name}
       const results = [];
       for (const component of components) {
         // Obter código do componente
-        const componentCode = await this.toolManager.executeTool('github:code:get', {
+        const componentCode = await this.toolManager.callTool('github:code:get', {
           path: component.path
         });
         
@@ -830,7 +830,7 @@ ${docOptions.format}
       }
       
       // Obter componentes do design system do Figma
-      const designSystemComponents = await this.toolManager.executeTool('figma:components:get', {
+      const designSystemComponents = await this.toolManager.callTool('figma:components:get', {
         fileId: figmaFileId,
         includeStyles: true
       });
@@ -840,12 +840,12 @@ ${docOptions.format}
       }
       
       // Obter estilos do design system
-      const designSystemStyles = await this.toolManager.executeTool('figma:styles:get', {
+      const designSystemStyles = await this.toolManager.callTool('figma:styles:get', {
         fileId: figmaFileId
       });
       
       // Obter componentes existentes no sistema
-      const existingComponents = await this.toolManager.executeTool('supabase:query', {
+      const existingComponents = await this.toolManager.callTool('supabase:query', {
         table: 'frontend_components',
         filters: {
           status: 'active'
@@ -1722,7 +1722,7 @@ With${prop.name.charAt(0).toUpperCase() + prop.name.slice(1)}.args = {
    */
   async applyTemplateWithData(template, pageData) {
     // Obter código do template
-    const templateCode = await this.toolManager.executeTool('github:code:get', {
+    const templateCode = await this.toolManager.callTool('github:code:get', {
       path: template.path
     });
     
@@ -1779,7 +1779,7 @@ With${prop.name.charAt(0).toUpperCase() + prop.name.slice(1)}.args = {
     try {
       // Obter arquivo de rotas atual
       const routesPath = 'src/routes.jsx';
-      const routesCode = await this.toolManager.executeTool('github:code:get', {
+      const routesCode = await this.toolManager.callTool('github:code:get', {
         path: routesPath
       });
       
@@ -1856,7 +1856,7 @@ With${prop.name.charAt(0).toUpperCase() + prop.name.slice(1)}.args = {
       if (this.cssFramework === 'tailwind') {
         // Atualizar arquivo de configuração do Tailwind
         const tailwindConfigPath = 'tailwind.config.js';
-        const tailwindConfig = await this.toolManager.executeTool('github:code:get', {
+        const tailwindConfig = await this.toolManager.callTool('github:code:get', {
           path: tailwindConfigPath
         });
         
@@ -2153,7 +2153,7 @@ Sincronização automática de tokens de design do Figma.
     try {
       const fullName = `${this.componentPrefix}${name}`;
       
-      const components = await this.toolManager.executeTool('supabase:query', {
+      const components = await this.toolManager.callTool('supabase:query', {
         table: 'frontend_components',
         filters: {
           name: fullName,
@@ -2232,7 +2232,7 @@ Sincronização automática de tokens de design do Figma.
       // Implementação para lidar com atualização de componente
       if (event.component && event.component.id) {
         // Verificar componentes que dependem deste
-        const dependentComponents = await this.toolManager.executeTool('supabase:query', {
+        const dependentComponents = await this.toolManager.callTool('supabase:query', {
           table: 'frontend_components',
           filters: {
             status: 'active'
@@ -2273,7 +2273,7 @@ Sincronização automática de tokens de design do Figma.
       // Implementação para lidar com depreciação de componente
       if (event.component && event.component.id) {
         // Verificar componentes que dependem deste
-        const dependentComponents = await this.toolManager.executeTool('supabase:query', {
+        const dependentComponents = await this.toolManager.callTool('supabase:query', {
           table: 'frontend_components',
           filters: {
             status: 'active'
@@ -2326,7 +2326,7 @@ Sincronização automática de tokens de design do Figma.
             
             for (const page of pages) {
               // Obter template padrão
-              const templates = await this.toolManager.executeTool('supabase:query', {
+              const templates = await this.toolManager.callTool('supabase:query', {
                 table: 'frontend_components',
                 filters: {
                   type: 'template',
@@ -2376,7 +2376,7 @@ Sincronização automática de tokens de design do Figma.
         await this.generateDocumentation(event.componentIds, event.options || {});
       } else if (event.type === 'all') {
         // Obter todos os componentes ativos
-        const components = await this.toolManager.executeTool('supabase:query', {
+        const components = await this.toolManager.callTool('supabase:query', {
           table: 'frontend_components',
           filters: {
             status: 'active'
@@ -865,7 +865,7 @@ class IntegrationAgent {
       }
       
       // Testar conexão
-      const user = await this.toolManager.executeTool("github:repos:get", {
+      const user = await this.toolManager.callTool("github:repos:get", {
         token: credentials.token,
         owner: options.owner || 'windsurf',
         repo: options.repo || 'template'
@@ -906,7 +906,7 @@ class IntegrationAgent {
       }
       
       // Testar conexão
-      const file = await this.toolManager.executeTool("figma:get_file", {
+      const file = await this.toolManager.callTool("figma:get_file", {
         token: credentials.token,
         fileId: options.fileId || 'sample'
       });
@@ -979,7 +979,7 @@ class IntegrationAgent {
       }
       
       // Obter issues do GitHub
-      const issues = await this.toolManager.executeTool("github:issues:list", {
+      const issues = await this.toolManager.callTool("github:issues:list", {
         owner,
         repo,
         state: options.state || 'all',
@@ -1000,7 +1000,7 @@ class IntegrationAgent {
         for (const issue of issues) {
           try {
             // Verificar se a issue já existe no sistema
-            const existingIssue = await this.toolManager.executeTool("supabase:query", {
+            const existingIssue = await this.toolManager.callTool("supabase:query", {
               table: "issues",
               filters: {
                 external_id: `github:${issue.id}`,
@@ -1080,7 +1080,7 @@ class IntegrationAgent {
       }
       
       // Obter arquivo do Figma
-      const file = await this.toolManager.executeTool("figma:get_file", {
+      const file = await this.toolManager.callTool("figma:get_file", {
         fileId: options.fileId
       });
       
@@ -1094,7 +1094,7 @@ class IntegrationAgent {
       let nodes = [];
       
       if (options.nodeIds && options.nodeIds.length > 0) {
-        const nodesResult = await this.toolManager.executeTool("figma:get_file_nodes", {
+        const nodesResult = await this.toolManager.callTool("figma:get_file_nodes", {
           fileId: options.fileId,
           ids: options.nodeIds
         });
@@ -1113,7 +1113,7 @@ class IntegrationAgent {
       for (const node of nodes) {
         try {
           // Verificar se o design já existe no sistema
-          const existingDesign = await this.toolManager.executeTool("supabase:query", {
+          const existingDesign = await this.toolManager.callTool("supabase:query", {
             table: "designs",
             filters: {
               external_id: `figma:${options.fileId}:${node.id}`
@@ -1122,7 +1122,7 @@ class IntegrationAgent {
           });
           
           // Obter imagem do node
-          const image = await this.toolManager.executeTool("figma:get_image", {
+          const image = await this.toolManager.callTool("figma:get_image", {
             fileId: options.fileId,
             ids: [node.id],
             format: 'png',
@@ -1232,7 +1232,7 @@ class IntegrationAgent {
       }
       
       // Criar issue no GitHub
-      const issue = await this.toolManager.executeTool("github:issues:create", {
+      const issue = await this.toolManager.callTool("github:issues:create", {
         owner,
         repo,
         title: params.title,
@@ -1276,7 +1276,7 @@ class IntegrationAgent {
       }
       
       // Obter imagem do node
-      const image = await this.toolManager.executeTool("figma:get_image", {
+      const image = await this.toolManager.callTool("figma:get_image", {
         fileId: params.fileId,
         ids: [params.nodeId],
         format: params.format || 'png',
@@ -1377,7 +1377,7 @@ class IntegrationAgent {
       }
       
       // Registrar webhook no GitHub
-      const webhook = await this.toolManager.executeTool("github:repos:create_hook", {
+      const webhook = await this.toolManager.callTool("github:repos:create_hook", {
         owner,
         repo,
         config: {
@@ -1427,7 +1427,7 @@ class IntegrationAgent {
                     eventType.toUpperCase();
       
       // Registrar webhook no Figma
-      const webhook = await this.toolManager.executeTool("figma:create_webhook", {
+      const webhook = await this.toolManager.callTool("figma:create_webhook", {
         fileId: options.fileId,
         event,
         endpoint: callbackUrl,
@@ -1698,7 +1698,7 @@ class IntegrationAgent {
   async checkGitHubStatus() {
     try {
       // Testar conexão com GitHub
-      const result = await this.toolManager.executeTool("github:repos:get", {
+      const result = await this.toolManager.callTool("github:repos:get", {
         owner: 'windsurf',
         repo: 'template'
       });
@@ -1739,7 +1739,7 @@ class IntegrationAgent {
   async checkFigmaStatus() {
     try {
       // Testar conexão com Figma
-      const result = await this.toolManager.executeTool("figma:get_file", {
+      const result = await this.toolManager.callTool("figma:get_file", {
         fileId: 'sample'
       });
       
@@ -1805,7 +1805,7 @@ class IntegrationAgent {
    */
   async getPreviousServiceStatus(serviceId) {
     try {
-      const statusChange = await this.toolManager.executeTool("supabase:query", {
+      const statusChange = await this.toolManager.callTool("supabase:query", {
         table: "integration_status_changes",
         filters: { service_id: serviceId },
         order: { column: "changed_at", direction: "desc" },
@@ -1834,7 +1834,7 @@ class IntegrationAgent {
       }
       
       // Obter configuração do banco de dados
-      const config = await this.toolManager.executeTool("supabase:query", {
+      const config = await this.toolManager.callTool("supabase:query", {
         table: "integration_services",
         filters: { service_id: serviceId },
         single: true
@@ -1934,7 +1934,7 @@ class IntegrationAgent {
    */
   async restoreConnections() {
     try {
-      const connections = await this.toolManager.executeTool("supabase:query", {
+      const connections = await this.toolManager.callTool("supabase:query", {
         table: "integration_connections",
         filters: { status: 'connected' }
       });
@@ -10,15 +10,21 @@
  * - Integração com TaskMaster para gerenciamento visual de tarefas
  */
 
-const { ToolManager } = require('../utils/tool_manager');
-const { SecurityAgent } = require('./security_agent');
-const { ProjectManagerAgent } = require('./project_manager_agent');
-const path = require('path');
-const fs = require('fs').promises;
-const axios = require('axios');
-const { exec } = require('child_process');
-const util = require('util');
-const execPromise = util.promisify(exec);
+import path from 'path';
+import ToolManager from '../utils/tool_manager.js';
+import SecurityAgent, { SYSTEM_USER_ID, runAsSystem } from './security_agent.js';
+import { ProjectManagerAgent } from './project_manager_agent.js';
+import { compileExpression } from '../utils/rule_expression.js';
+import { parseCron, cronDueBetween } from '../utils/cron_schedule.js';
+import eventStream, { BOARD_EVENT_TYPES } from '../services/event_stream.js';
+import { getWipStatus } from '../utils/wip_limits.js';
+import { TaskStore } from '../utils/task_store.js';
+import { TaskSyncEngine } from '../utils/task_sync.js';
+import { taskMasterEvents } from '../../scripts/taskmaster/taskmaster_events.js';
+
+// Instância que escuta os eventos do TaskMaster neste processo: com mais de uma,
+// cada tarefa criada geraria um cartão por instância
+let taskMasterEventsListener = null;
 
 class KanbanAgent {
   constructor() {
@@ -26,18 +32,38 @@ class KanbanAgent {
     this.securityAgent = new SecurityAgent();
     this.projectManagerAgent = new ProjectManagerAgent();
     
+    // Publicar eventos de quadros, cartões e automações no fluxo SSE (/api/events)
+    eventStream.attach(this.toolManager, BOARD_EVENT_TYPES);
+    
     // Configurações do agente
     this.automationEnabled = process.env.KANBAN_AUTOMATION_ENABLED === 'true';
     this.defaultWipLimit = parseInt(process.env.DEFAULT_WIP_LIMIT || '5', 10);
     this.cardColorsEnabled = process.env.CARD_COLORS_ENABLED === 'true';
     this.defaultBoardTemplate = process.env.DEFAULT_BOARD_TEMPLATE || 'basic';
     
+    // Cache de condições de automação compiladas (expressão -> expressão compilada),
+    // limitado às KANBAN_CONDITION_CACHE_SIZE usadas mais recentemente
+    this.compiledConditions = new Map();
+    this.compiledConditionsLimit = parseInt(process.env.KANBAN_CONDITION_CACHE_SIZE || '500', 10);
+    
+    // Agendador de automações baseadas em tempo (card:idle, deadline:approaching, schedule)
+    this.automationSchedulerInterval = parseInt(process.env.KANBAN_AUTOMATION_SCHEDULER_INTERVAL || '60', 10); // segundos
+    this.automationSchedulerTimer = null;
+    this.lastSchedulerRunAt = null;
+    
     // Configurações do TaskMaster
     this.taskMasterEnabled = process.env.TASKMASTER_ENABLED === 'true';
     this.taskMasterPath = process.env.TASKMASTER_PATH || path.resolve(process.cwd());
     this.taskMasterApiUrl = process.env.TASKMASTER_API_URL || 'http://localhost:3000/api/taskmaster';
     this.taskMasterDataPath = path.join(this.taskMasterPath, 'tasks');
     this.taskMasterConfigFile = path.join(this.taskMasterPath, 'tasks', 'tasks.json');
+    this.taskStore = new TaskStore({ projectRoot: this.taskMasterPath });
+    
+    // Sincronização bidirecional cartão <-> tarefa (políticas em TASK_SYNC_POLICIES)
+    this.taskSync = new TaskSyncEngine({
+      applyToTask: this.applyTaskSyncChanges.bind(this),
+      applyToCard: this.applyCardSyncChanges.bind(this)
+    });
     
     // Mapeamento entre status do TaskMaster e colunas do Kanban
     this.statusToColumnMap = {
@@ -74,7 +100,13 @@ class KanbanAgent {
     
     // Inicializar quadro Kanban do TaskMaster se estiver habilitado
     if (this.taskMasterEnabled) {
-      this.initializeTaskMasterKanban();
+      this.initializeTaskMasterKanban()
+        .catch(err => console.error('Erro ao inicializar quadro Kanban do TaskMaster:', err));
+    }
+    
+    // Iniciar agendador de automações baseadas em tempo
+    if (this.automationEnabled) {
+      this.startAutomationScheduler();
     }
     
     console.log('KanbanAgent inicializado com sucesso');
@@ -121,20 +153,13 @@ class KanbanAgent {
    */
   registerEventHandlers() {
     // Registrar handlers para eventos relacionados a quadros Kanban
-    this.toolManager.eventEmitter.on('card:moved', this.handleCardMoved.bind(this));
-    this.toolManager.eventEmitter.on('card:created', this.handleCardCreated.bind(this));
-    this.toolManager.eventEmitter.on('card:updated', this.handleCardUpdated.bind(this));
-    this.toolManager.eventEmitter.on('card:deleted', this.handleCardDeleted.bind(this));
+    this.toolManager.on('card:moved', this.handleCardMoved.bind(this));
+    this.toolManager.on('card:created', this.handleCardCreated.bind(this));
+    this.toolManager.on('card:updated', this.handleCardUpdated.bind(this));
+    this.toolManager.on('card:deleted', this.handleCardDeleted.bind(this));
     
     // Registrar handlers para eventos de integração
-    this.toolManager.eventEmitter.on('github:issue:updated', this.handleGitHubIssueUpdated.bind(this));
-    
-    // Registrar handlers para eventos do TaskMaster
-    this.toolManager.eventEmitter.on('taskmaster:task:updated', this.handleTaskMasterTaskUpdated.bind(this));
-    this.toolManager.eventEmitter.on('taskmaster:task:created', this.handleTaskMasterTaskCreated.bind(this));
-    this.toolManager.eventEmitter.on('taskmaster:task:status:changed', this.handleTaskStatusChanged.bind(this));
-    this.toolManager.on('card:updated', this.handleCardUpdated.bind(this));
-    this.toolManager.on('card:moved', this.handleCardMoved.bind(this));
+    this.toolManager.on('github:issue:updated', this.handleGitHubIssueUpdated.bind(this));
     
     // Registrar handlers para eventos de automação
     this.toolManager.on('automation:triggered', this.handleAutomationTriggered.bind(this));
@@ -179,7 +204,7 @@ class KanbanAgent {
       
       // Verificar se o projeto existe (se fornecido)
       if (sanitizedData.projectId) {
-        const projectExists = await this.toolManager.executeTool('supabase:query', {
+        const projectExists = await this.toolManager.callTool('supabase:query', {
           table: 'projects',
           id: sanitizedData.projectId
         });
@@ -191,13 +216,15 @@ class KanbanAgent {
       
       // Aplicar template de quadro se necessário
       const template = sanitizedData.template || this.defaultBoardTemplate;
-      const boardWithTemplate = await this.applyBoardTemplate(sanitizedData, template);
+      const { projectId, ...boardWithTemplate } = await this.applyBoardTemplate(sanitizedData, template);
       
       // Inserir quadro no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'kanban_boards',
         data: {
           ...boardWithTemplate,
+          template,
+          project_id: projectId || null,
           created_by: userId,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
@@ -209,8 +236,8 @@ class KanbanAgent {
         throw new Error('Falha ao criar quadro no banco de dados');
       }
       
-      // Criar colunas iniciais com base no template
-      await this.createInitialColumns(result.id, template);
+      // Criar colunas iniciais com base no template (pelo sistema, já autorizada a criação do quadro)
+      await runAsSystem(() => this.createInitialColumns(result.id, template));
       
       // Emitir evento de quadro criado
       this.toolManager.emit('board:created', {
@@ -254,7 +281,7 @@ class KanbanAgent {
       }
       
       // Obter quadro atual
-      const currentBoard = await this.toolManager.executeTool('supabase:query', {
+      const currentBoard = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_boards',
         id: boardId
       });
@@ -275,7 +302,7 @@ class KanbanAgent {
       });
       
       // Atualizar quadro no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'kanban_boards',
         id: boardId,
         data: {
@@ -342,7 +369,7 @@ class KanbanAgent {
       });
       
       // Obter ordem máxima atual para posicionar nova coluna
-      const columns = await this.toolManager.executeTool('supabase:query', {
+      const columns = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         filters: {
           board_id: boardId
@@ -357,13 +384,13 @@ class KanbanAgent {
       const order = sanitizedData.order !== undefined ? sanitizedData.order : maxOrder + 1;
       
       // Inserir coluna no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'kanban_columns',
         data: {
           board_id: boardId,
           name: sanitizedData.name,
           order: order,
-          wip_limit: sanitizedData.wipLimit || this.defaultWipLimit,
+          wip_limit: sanitizedData.wipLimit ?? this.defaultWipLimit,
           color: sanitizedData.color || '#f5f5f5',
           created_by: userId,
           created_at: new Date().toISOString(),
@@ -404,7 +431,7 @@ class KanbanAgent {
   async updateColumn(columnId, columnData, userId) {
     try {
       // Obter coluna atual
-      const currentColumn = await this.toolManager.executeTool('supabase:query', {
+      const currentColumn = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: columnId
       });
@@ -456,7 +483,7 @@ class KanbanAgent {
       }
       
       // Atualizar coluna no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'kanban_columns',
         id: columnId,
         data: {
@@ -506,7 +533,7 @@ class KanbanAgent {
   async createCard(columnId, cardData, userId) {
     try {
       // Obter coluna
-      const column = await this.toolManager.executeTool('supabase:query', {
+      const column = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: columnId
       });
@@ -529,7 +556,7 @@ class KanbanAgent {
       
       // Verificar limite WIP
       if (column.wip_limit > 0) {
-        const currentCards = await this.toolManager.executeTool('supabase:query', {
+        const currentCards = await this.toolManager.callTool('supabase:query', {
           table: 'kanban_cards',
           filters: {
             column_id: columnId
@@ -557,7 +584,7 @@ class KanbanAgent {
       });
       
       // Obter ordem máxima atual para posicionar novo cartão
-      const cards = await this.toolManager.executeTool('supabase:query', {
+      const cards = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         filters: {
           column_id: columnId
@@ -571,7 +598,7 @@ class KanbanAgent {
       const maxPosition = cards && cards.length > 0 ? cards[0].position : -1;
       
       // Inserir cartão no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'kanban_cards',
         data: {
           column_id: columnId,
@@ -634,7 +661,7 @@ class KanbanAgent {
   async updateCard(cardId, cardData, userId) {
     try {
       // Obter cartão atual
-      const currentCard = await this.toolManager.executeTool('supabase:query', {
+      const currentCard = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         id: cardId
       });
@@ -701,7 +728,7 @@ class KanbanAgent {
       }
       
       // Atualizar cartão no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'kanban_cards',
         id: cardId,
         data: {
@@ -728,6 +755,12 @@ class KanbanAgent {
         timestamp: new Date().toISOString()
       });
       
+      // Registrar atualização no histórico do cartão
+      await this.recordCardHistory('card:updated', result, {
+        changes,
+        user_id: userId
+      });
+      
       // Se o cartão estiver vinculado a uma tarefa, atualizar a tarefa
       if (currentCard.task_id) {
         await this.syncCardWithTask(cardId, currentCard.task_id, changes);
@@ -757,7 +790,7 @@ class KanbanAgent {
   async moveCard(cardId, targetColumnId, position, userId) {
     try {
       // Obter cartão atual
-      const currentCard = await this.toolManager.executeTool('supabase:query', {
+      const currentCard = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         id: cardId
       });
@@ -767,7 +800,7 @@ class KanbanAgent {
       }
       
       // Obter coluna de destino
-      const targetColumn = await this.toolManager.executeTool('supabase:query', {
+      const targetColumn = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: targetColumnId
       });
@@ -795,7 +828,7 @@ class KanbanAgent {
       
       // Verificar limite WIP da coluna de destino
       if (targetColumn.wip_limit > 0 && currentCard.column_id !== targetColumnId) {
-        const currentCards = await this.toolManager.executeTool('supabase:query', {
+        const currentCards = await this.toolManager.callTool('supabase:query', {
           table: 'kanban_cards',
           filters: {
             column_id: targetColumnId
@@ -812,7 +845,7 @@ class KanbanAgent {
       
       if (newPosition === undefined) {
         // Obter posição máxima na coluna de destino
-        const cards = await this.toolManager.executeTool('supabase:query', {
+        const cards = await this.toolManager.callTool('supabase:query', {
           table: 'kanban_cards',
           filters: {
             column_id: targetColumnId
@@ -827,13 +860,13 @@ class KanbanAgent {
       }
       
       // Obter coluna de origem
-      const sourceColumn = await this.toolManager.executeTool('supabase:query', {
+      const sourceColumn = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: currentCard.column_id
       });
       
       // Atualizar cartão no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'kanban_cards',
         id: cardId,
         data: {
@@ -858,6 +891,13 @@ class KanbanAgent {
         timestamp: new Date().toISOString()
       });
       
+      // Registrar movimentação no histórico do cartão
+      await this.recordCardHistory('card:moved', result, {
+        source_column_id: currentCard.column_id,
+        target_column_id: targetColumnId,
+        user_id: userId
+      });
+      
       // Se o cartão estiver vinculado a uma tarefa, atualizar o status da tarefa
       if (currentCard.task_id) {
         await this.updateTaskStatusFromCardMove(
@@ -891,6 +931,11 @@ class KanbanAgent {
   
   /**
    * Cria uma nova regra de automação para um quadro
+   * 
+   * O gatilho pode ser um evento de cartão (card:created, card:updated, card:moved)
+   * ou baseado em tempo: card:idle (com idleHours e column opcional),
+   * deadline:approaching (com hoursBefore maior que zero) ou schedule (com cron).
+   * As ações podem ser informadas como uma única `action` ou uma lista ordenada `actions`.
    * @param {string} boardId - ID do quadro
    * @param {Object} automationData - Configurações da automação
    * @param {string} userId - ID do usuário criando a automação
@@ -917,55 +962,17 @@ class KanbanAgent {
       }
       
       // Sanitizar e validar dados da automação
-      const sanitizedData = this.securityAgent.sanitizeInput(automationData, {
-        type: 'object',
-        required: ['name', 'trigger', 'action'],
-        properties: {
-          name: { type: 'string', minLength: 1 },
-          description: { type: 'string' },
-          trigger: { 
-            type: 'object',
-            required: ['event'],
-            properties: {
-              event: { type: 'string' },
-              condition: { type: 'string' }
-            }
-          },
-          action: {
-            type: 'object',
-            required: ['type'],
-            properties: {
-              type: { type: 'string' },
-              targetColumn: { type: 'string' },
-              position: { type: 'string' },
-              labels: { type: 'array', items: { type: 'string' } },
-              assignee: { type: 'string' }
-            }
-          }
-        }
-      });
-      
-      // Validar evento do gatilho
-      const validEvents = ['card:created', 'card:updated', 'card:moved', 'deadline:approaching'];
-      if (!validEvents.includes(sanitizedData.trigger.event)) {
-        throw new Error(`Evento de gatilho inválido: ${sanitizedData.trigger.event}`);
-      }
-      
-      // Validar tipo de ação
-      const validActionTypes = ['move_card', 'add_label', 'remove_label', 'assign_user', 'notify'];
-      if (!validActionTypes.includes(sanitizedData.action.type)) {
-        throw new Error(`Tipo de ação inválido: ${sanitizedData.action.type}`);
-      }
+      const { sanitizedData, actions } = this.validateAutomationData(automationData);
       
       // Inserir automação no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'kanban_automations',
         data: {
           board_id: boardId,
           name: sanitizedData.name,
           description: sanitizedData.description || '',
           trigger: sanitizedData.trigger,
-          action: sanitizedData.action,
+          actions,
           created_by: userId,
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
@@ -987,6 +994,105 @@ class KanbanAgent {
     }
   }
   
+  /**
+   * Sanitiza e valida a definição de uma automação sem persisti-la
+   * @private
+   * @param {Object} automationData - Configurações da automação
+   * @returns {{sanitizedData: Object, actions: Array<Object>}} Dados validados e ações normalizadas
+   * @throws {Error} Se a definição for inválida
+   */
+  validateAutomationData(automationData) {
+    const actionSchema = {
+      type: 'object',
+      required: ['type'],
+      properties: {
+        type: { type: 'string' },
+        targetColumn: { type: 'string' },
+        position: { type: 'string' },
+        labels: { type: 'array', items: { type: 'string' } },
+        assignee: { type: 'string' },
+        recipients: { type: 'array', items: { type: 'string' } },
+        message: { type: 'string' },
+        continueOnError: { type: 'boolean' }
+      }
+    };
+    
+    const sanitizedData = this.securityAgent.sanitizeInput(automationData, {
+      type: 'object',
+      required: ['name', 'trigger'],
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        trigger: { 
+          type: 'object',
+          required: ['event'],
+          properties: {
+            event: { type: 'string' },
+            condition: { type: 'string' },
+            column: { type: 'string' },
+            idleHours: { type: 'number', minimum: 0 },
+            hoursBefore: { type: 'number', minimum: 0 },
+            cron: { type: 'string' }
+          }
+        },
+        action: actionSchema,
+        actions: { type: 'array', items: actionSchema }
+      }
+    });
+    
+    // Validar evento do gatilho
+    const validEvents = [
+      'card:created', 'card:updated', 'card:moved',
+      'deadline:approaching', 'card:idle', 'schedule'
+    ];
+    if (!validEvents.includes(sanitizedData.trigger.event)) {
+      throw new Error(`Evento de gatilho inválido: ${sanitizedData.trigger.event}`);
+    }
+    
+    // Validar parâmetros dos gatilhos baseados em tempo
+    if (sanitizedData.trigger.event === 'card:idle' && !(sanitizedData.trigger.idleHours > 0)) {
+      throw new Error('Gatilho card:idle requer idleHours maior que zero');
+    }
+    
+    if (sanitizedData.trigger.event === 'deadline:approaching' && !(sanitizedData.trigger.hoursBefore > 0)) {
+      throw new Error('Gatilho deadline:approaching requer hoursBefore maior que zero');
+    }
+    
+    if (sanitizedData.trigger.event === 'schedule') {
+      try {
+        parseCron(sanitizedData.trigger.cron);
+      } catch (error) {
+        throw new Error(`Agenda de automação inválida: ${error.message}`);
+      }
+    }
+    
+    // Normalizar ações: aceita uma única ação (action) ou uma lista ordenada (actions)
+    const actions = sanitizedData.actions || (sanitizedData.action ? [sanitizedData.action] : []);
+    
+    if (actions.length === 0) {
+      throw new Error('A automação deve definir ao menos uma ação');
+    }
+    
+    // Validar tipo de cada ação
+    const validActionTypes = ['move_card', 'add_label', 'remove_label', 'assign_user', 'notify'];
+    for (const action of actions) {
+      if (!validActionTypes.includes(action.type)) {
+        throw new Error(`Tipo de ação inválido: ${action.type}`);
+      }
+    }
+    
+    // Validar a condição do gatilho antes de persistir a automação
+    if (sanitizedData.trigger.condition) {
+      try {
+        this.compileCondition(sanitizedData.trigger.condition);
+      } catch (error) {
+        throw new Error(`Condição de automação inválida: ${error.message}`);
+      }
+    }
+    
+    return { sanitizedData, actions };
+  }
+  
   /**
    * Obtém métricas de um quadro Kanban
    * @param {string} boardId - ID do quadro
@@ -1010,7 +1116,7 @@ class KanbanAgent {
       }
       
       // Obter quadro
-      const board = await this.toolManager.executeTool('supabase:query', {
+      const board = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_boards',
         id: boardId
       });
@@ -1020,7 +1126,7 @@ class KanbanAgent {
       }
       
       // Obter colunas do quadro
-      const columns = await this.toolManager.executeTool('supabase:query', {
+      const columns = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         filters: {
           board_id: boardId
@@ -1031,7 +1137,7 @@ class KanbanAgent {
       });
       
       // Obter cartões do quadro
-      const cards = await this.toolManager.executeTool('supabase:query', {
+      const cards = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         filters: {
           board_id: boardId
@@ -1068,6 +1174,105 @@ class KanbanAgent {
     }
   }
   
+  /**
+   * Lista os quadros Kanban ativos
+   * @param {Object} filters - Filtros (projectId)
+   * @param {string} userId - ID do usuário solicitando a lista
+   * @returns {Promise<Array>} Quadros
+   * @throws {Error} Se a listagem falhar
+   */
+  async listBoards(filters = {}, userId) {
+    try {
+      const canView = await this.securityAgent.authorizeAccess(
+        userId,
+        'kanban_board',
+        null,
+        'read'
+      );
+      
+      if (!canView) {
+        throw new Error('Usuário não tem permissão para visualizar quadros Kanban');
+      }
+      
+      const boards = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_boards',
+        filters: {
+          status: 'active',
+          ...(filters.projectId ? { project_id: filters.projectId } : {})
+        },
+        order: {
+          created_at: 'desc'
+        }
+      });
+      
+      return boards || [];
+    } catch (error) {
+      console.error('Erro ao listar quadros Kanban:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Obtém um quadro com suas colunas e cartões (usado para listagens e exportação)
+   * @param {string} boardId - ID do quadro
+   * @param {string} userId - ID do usuário solicitando o quadro
+   * @returns {Promise<Object>} { board, columns, cards }
+   * @throws {Error} Se o quadro não existir ou o usuário não tiver acesso
+   */
+  async exportBoard(boardId, userId) {
+    try {
+      const canView = await this.securityAgent.authorizeAccess(
+        userId,
+        'kanban_board',
+        boardId,
+        'read'
+      );
+      
+      if (!canView) {
+        throw new Error('Usuário não tem permissão para visualizar este quadro');
+      }
+      
+      const board = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_boards',
+        id: boardId
+      });
+      
+      if (!board) {
+        throw new Error('Quadro Kanban não encontrado');
+      }
+      
+      const columns = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_columns',
+        filters: {
+          board_id: boardId
+        },
+        order: {
+          order: 'asc'
+        }
+      });
+      
+      const cards = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_cards',
+        filters: {
+          board_id: boardId
+        },
+        order: {
+          position: 'asc'
+        }
+      });
+      
+      return {
+        board,
+        columns: columns || [],
+        cards: cards || [],
+        exportedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('Erro ao exportar quadro Kanban:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Sincroniza um quadro Kanban com um projeto
    * @param {string} boardId - ID do quadro
@@ -1104,7 +1309,7 @@ class KanbanAgent {
       }
       
       // Obter quadro
-      const board = await this.toolManager.executeTool('supabase:query', {
+      const board = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_boards',
         id: boardId
       });
@@ -1114,7 +1319,7 @@ class KanbanAgent {
       }
       
       // Obter projeto
-      const project = await this.toolManager.executeTool('supabase:query', {
+      const project = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: projectId
       });
@@ -1145,8 +1350,14 @@ class KanbanAgent {
         }
       });
       
+      // O projeto do quadro define o acesso dele e de suas colunas, cartões e automações,
+      // cujas decisões em cache não indicam o quadro: limpar todas
+      if (board.project_id !== projectId) {
+        this.securityAgent.invalidateAccessCache();
+      }
+      
       // Sincronizar tarefas existentes do projeto para o quadro
-      const tasks = await this.toolManager.executeTool('supabase:query', {
+      const tasks = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         filters: {
           project_id: projectId
@@ -1163,7 +1374,7 @@ class KanbanAgent {
       for (const task of tasks) {
         try {
           // Verificar se já existe um cartão para esta tarefa
-          const existingCard = await this.toolManager.executeTool('supabase:query', {
+          const existingCard = await this.toolManager.callTool('supabase:query', {
             table: 'kanban_cards',
             filters: {
               board_id: boardId,
@@ -1203,7 +1414,7 @@ class KanbanAgent {
       }
       
       // Sincronizar cartões existentes para tarefas
-      const cards = await this.toolManager.executeTool('supabase:query', {
+      const cards = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         filters: {
           board_id: boardId,
@@ -1316,15 +1527,13 @@ class KanbanAgent {
   }
   
   /**
-   * Cria colunas iniciais com base no template
+   * Cria colunas iniciais com base no template (chamar dentro de runAsSystem)
    * @private
    * @param {string} boardId - ID do quadro
    * @param {string} template - Nome do template
    * @returns {Promise<void>}
    */
   async createInitialColumns(boardId, template) {
-    const systemUserId = 'system';
-    
     switch (template) {
       case 'basic':
         await this.createColumn(boardId, {
@@ -1332,21 +1541,21 @@ class KanbanAgent {
           order: 0,
           wipLimit: 0,
           color: '#f5f5f5'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Em Progresso',
           order: 1,
           wipLimit: this.defaultWipLimit,
           color: '#e6f7ff'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Concluído',
           order: 2,
           wipLimit: 0,
           color: '#f6ffed'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         break;
         
       case 'scrum':
@@ -1355,35 +1564,35 @@ class KanbanAgent {
           order: 0,
           wipLimit: 0,
           color: '#f5f5f5'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Sprint Backlog',
           order: 1,
           wipLimit: 0,
           color: '#fff7e6'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Em Desenvolvimento',
           order: 2,
           wipLimit: this.defaultWipLimit,
           color: '#e6f7ff'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Em Revisão',
           order: 3,
           wipLimit: Math.floor(this.defaultWipLimit / 2),
           color: '#f9f0ff'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Pronto',
           order: 4,
           wipLimit: 0,
           color: '#f6ffed'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         break;
         
       case 'kanban':
@@ -1392,42 +1601,42 @@ class KanbanAgent {
           order: 0,
           wipLimit: 0,
           color: '#f5f5f5'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Pronto para Iniciar',
           order: 1,
           wipLimit: Math.floor(this.defaultWipLimit * 1.5),
           color: '#fff7e6'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Em Desenvolvimento',
           order: 2,
           wipLimit: this.defaultWipLimit,
           color: '#e6f7ff'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Em Teste',
           order: 3,
           wipLimit: Math.floor(this.defaultWipLimit / 2),
           color: '#f9f0ff'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Pronto para Entrega',
           order: 4,
           wipLimit: Math.floor(this.defaultWipLimit / 2),
           color: '#fcffe6'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         
         await this.createColumn(boardId, {
           name: 'Entregue',
           order: 5,
           wipLimit: 0,
           color: '#f6ffed'
-        }, systemUserId);
+        }, SYSTEM_USER_ID);
         break;
         
       default:
@@ -1494,7 +1703,7 @@ class KanbanAgent {
   async checkWipLimitExceeded(columnId, wipLimit) {
     try {
       // Obter cartões na coluna
-      const cards = await this.toolManager.executeTool('supabase:query', {
+      const cards = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         filters: {
           column_id: columnId
@@ -1506,11 +1715,11 @@ class KanbanAgent {
       }
       
       // Verificar se o número de cartões excede o limite
-      const exceeded = cards.length > wipLimit;
+      const { exceeded } = getWipStatus(cards.length, wipLimit);
       
       if (exceeded) {
         // Obter coluna e quadro
-        const column = await this.toolManager.executeTool('supabase:query', {
+        const column = await this.toolManager.callTool('supabase:query', {
           table: 'kanban_columns',
           id: columnId
         });
@@ -1550,7 +1759,7 @@ class KanbanAgent {
   async syncCardWithTask(cardId, taskId, changes = null) {
     try {
       // Obter cartão
-      const card = await this.toolManager.executeTool('supabase:query', {
+      const card = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         id: cardId
       });
@@ -1560,7 +1769,7 @@ class KanbanAgent {
       }
       
       // Obter tarefa
-      const task = await this.toolManager.executeTool('supabase:query', {
+      const task = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         id: taskId
       });
@@ -1572,17 +1781,17 @@ class KanbanAgent {
       // Se não houver alterações específicas, sincronizar tudo
       if (!changes) {
         // Atualizar tarefa com informações do cartão
-        await this.projectManagerAgent.updateTask(taskId, {
+        await runAsSystem(() => this.projectManagerAgent.updateTask(taskId, {
           title: card.title,
           description: card.description,
           priority: card.priority,
           dueDate: card.due_date,
           tags: card.labels
-        }, 'system');
+        }, SYSTEM_USER_ID));
         
         // Se houver um responsável, atribuir a tarefa
         if (card.assignee) {
-          await this.projectManagerAgent.assignTask(taskId, card.assignee, 'system');
+          await runAsSystem(() => this.projectManagerAgent.assignTask(taskId, card.assignee, SYSTEM_USER_ID));
         }
       } else {
         // Atualizar apenas os campos alterados
@@ -1609,12 +1818,12 @@ class KanbanAgent {
         }
         
         if (Object.keys(taskUpdates).length > 0) {
-          await this.projectManagerAgent.updateTask(taskId, taskUpdates, 'system');
+          await runAsSystem(() => this.projectManagerAgent.updateTask(taskId, taskUpdates, SYSTEM_USER_ID));
         }
         
         // Atualizar responsável se alterado
         if (changes.assignee) {
-          await this.projectManagerAgent.assignTask(taskId, changes.assignee.new, 'system');
+          await runAsSystem(() => this.projectManagerAgent.assignTask(taskId, changes.assignee.new, SYSTEM_USER_ID));
         }
       }
     } catch (error) {
@@ -1634,7 +1843,7 @@ class KanbanAgent {
   async updateTaskStatusFromCardMove(taskId, sourceColumn, targetColumn) {
     try {
       // Obter quadro para verificar configuração de sincronização
-      const board = await this.toolManager.executeTool('supabase:query', {
+      const board = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_boards',
         id: targetColumn.board_id
       });
@@ -1651,9 +1860,9 @@ class KanbanAgent {
       }
       
       // Atualizar status da tarefa
-      await this.projectManagerAgent.updateTask(taskId, {
+      await runAsSystem(() => this.projectManagerAgent.updateTask(taskId, {
         status: statusMapping
-      }, 'system');
+      }, SYSTEM_USER_ID));
     } catch (error) {
       console.error('Erro ao atualizar status da tarefa:', error);
       // Não propagar erro para não interromper o fluxo principal
@@ -1671,7 +1880,7 @@ class KanbanAgent {
   async processAutomationsForCard(card, event, context = {}) {
     try {
       // Obter automações do quadro
-      const automations = await this.toolManager.executeTool('supabase:query', {
+      const automations = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_automations',
         filters: {
           board_id: card.board_id,
@@ -1688,29 +1897,15 @@ class KanbanAgent {
         automation => automation.trigger.event === `card:${event}`
       );
       
-      if (matchingAutomations.length === 0) {
-        return;
-      }
-      
       // Processar cada automação
       for (const automation of matchingAutomations) {
         try {
           // Verificar condição
           if (automation.trigger.condition) {
-            // Criar contexto de avaliação
-            const evalContext = {
-              card,
-              event,
-              context,
-              // Funções auxiliares seguras
-              includes: (arr, item) => Array.isArray(arr) && arr.includes(item),
-              match: (str, pattern) => typeof str === 'string' && new RegExp(pattern).test(str)
-            };
-            
-            // Avaliar condição de forma segura
+            // Avaliar condição sobre um escopo fechado
             const conditionMet = this.evaluateCondition(
               automation.trigger.condition,
-              evalContext
+              { card, event, context }
             );
             
             if (!conditionMet) {
@@ -1718,20 +1913,11 @@ class KanbanAgent {
             }
           }
           
-          // Executar ação
-          await this.executeAutomationAction(automation.action, card, context);
+          const reason = automation.trigger.condition
+            ? `Evento card:${event} com condição "${automation.trigger.condition}" satisfeita`
+            : `Evento card:${event}`;
           
-          // Emitir evento de automação executada
-          this.toolManager.emit('automation:triggered', {
-            automation: automation,
-            card: card,
-            board: card.board_id,
-            trigger: {
-              event,
-              context
-            },
-            timestamp: new Date().toISOString()
-          });
+          await this.runAutomation(automation, card, { event: `card:${event}`, context }, reason);
         } catch (error) {
           console.error(`Erro ao processar automação ${automation.id}:`, error);
         }
@@ -1743,66 +1929,744 @@ class KanbanAgent {
   }
   
   /**
-   * Avalia uma condição de automação de forma segura
+   * Retorna as ações de uma automação na ordem de execução
+   * 
+   * Automações antigas armazenam uma única ação em `action`.
    * @private
-   * @param {string} condition - Condição a ser avaliada
-   * @param {Object} context - Contexto para avaliação
-   * @returns {boolean} Resultado da avaliação
+   * @param {Object} automation - Automação
+   * @returns {Array<Object>} Ações ordenadas
+   */
+  getAutomationActions(automation) {
+    if (Array.isArray(automation.actions) && automation.actions.length > 0) {
+      return automation.actions;
+    }
+    
+    return automation.action ? [automation.action] : [];
+  }
+  
+  /**
+   * Executa as ações de uma automação para um cartão e registra o histórico
+   * 
+   * As ações são executadas em ordem; cada ação recebe o cartão atualizado pela
+   * anterior. Uma falha interrompe a sequência, exceto em ações com continueOnError.
+   * @private
+   * @param {Object} automation - Automação
+   * @param {Object} card - Cartão alvo
+   * @param {Object} trigger - Gatilho que disparou a execução ({ event, context })
+   * @param {string} reason - Motivo legível da execução
+   * @returns {Promise<Object>} Registro da execução
+   */
+  async runAutomation(automation, card, trigger, reason) {
+    const run = {
+      automation_id: automation.id,
+      board_id: automation.board_id || card.board_id,
+      card_id: card.id,
+      trigger: {
+        event: trigger.event,
+        context: trigger.context || {}
+      },
+      reason,
+      status: 'success',
+      steps: [],
+      started_at: new Date().toISOString(),
+      finished_at: null
+    };
+    
+    let currentCard = card;
+    
+    for (const [index, action] of this.getAutomationActions(automation).entries()) {
+      const step = {
+        index,
+        type: action.type,
+        status: 'success',
+        started_at: new Date().toISOString()
+      };
+      
+      try {
+        await this.executeAutomationAction(action, currentCard, trigger.context || {});
+        
+        // Recarregar o cartão para a próxima ação
+        const refreshedCard = await this.toolManager.callTool('supabase:query', {
+          table: 'kanban_cards',
+          id: currentCard.id
+        });
+        
+        if (refreshedCard && refreshedCard.id) {
+          currentCard = refreshedCard;
+        }
+      } catch (error) {
+        step.status = 'failed';
+        step.error = error.message;
+      }
+      
+      step.finished_at = new Date().toISOString();
+      run.steps.push(step);
+      
+      if (step.status === 'failed' && !action.continueOnError) {
+        break;
+      }
+    }
+    
+    const failedSteps = run.steps.filter(step => step.status === 'failed').length;
+    if (failedSteps > 0) {
+      run.status = failedSteps === run.steps.length ? 'failed' : 'partial';
+    }
+    
+    run.finished_at = new Date().toISOString();
+    
+    // Registrar histórico da execução
+    try {
+      const stored = await this.toolManager.callTool('supabase:insert', {
+        table: 'kanban_automation_runs',
+        data: run
+      });
+      
+      if (stored && stored.id) {
+        run.id = stored.id;
+      }
+    } catch (error) {
+      console.error(`Erro ao registrar execução da automação ${automation.id}:`, error);
+    }
+    
+    // Emitir evento de automação executada
+    this.toolManager.emit('automation:triggered', {
+      automation: automation,
+      card: currentCard,
+      board: run.board_id,
+      trigger: run.trigger,
+      run,
+      timestamp: run.finished_at
+    });
+    
+    return run;
+  }
+  
+  /**
+   * Obtém o histórico de execuções de uma automação
+   * @param {string} automationId - ID da automação
+   * @param {Object} options - Filtros ({ cardId, status, limit })
+   * @param {string} userId - ID do usuário solicitando o histórico
+   * @returns {Promise<Array<Object>>} Execuções, da mais recente para a mais antiga
+   * @throws {Error} Se a consulta falhar
    */
-  evaluateCondition(condition, context) {
+  async getAutomationRuns(automationId, options = {}, userId) {
     try {
-      // Lista de operadores permitidos
-      const allowedOperators = [
-        '===', '!==', '==', '!=', '>=', '<=', '>', '<',
-        '&&', '||', '!', '+', '-', '*', '/', '%',
-        'includes', 'match'
-      ];
+      const automation = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_automations',
+        id: automationId
+      });
+      
+      if (!automation) {
+        throw new Error('Automação não encontrada');
+      }
+      
+      // Validar permissões do usuário
+      const canView = await this.securityAgent.authorizeAccess(
+        userId,
+        'kanban_board',
+        automation.board_id,
+        'read'
+      );
+      
+      if (!canView) {
+        throw new Error('Usuário não tem permissão para visualizar automações deste quadro');
+      }
       
-      // Verificar se a condição contém apenas operadores permitidos
-      const containsDisallowedOperator = !allowedOperators.some(op => condition.includes(op));
+      const filters = { automation_id: automationId };
       
-      if (containsDisallowedOperator) {
-        throw new Error('Condição contém operadores não permitidos');
+      if (options.cardId) {
+        filters.card_id = options.cardId;
       }
       
-      // Avaliar condição com contexto limitado
-      const result = new Function(...Object.keys(context), `return ${condition}`)(...Object.values(context));
+      if (options.status) {
+        filters.status = options.status;
+      }
+      
+      const runs = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_automation_runs',
+        filters,
+        order: {
+          started_at: 'desc'
+        },
+        limit: options.limit || 50
+      });
       
-      return Boolean(result);
+      return runs || [];
     } catch (error) {
-      console.error('Erro ao avaliar condição:', error);
-      return false;
+      console.error('Erro ao obter histórico de automação:', error);
+      throw error;
     }
   }
   
   /**
-   * Executa uma ação de automação
-   * @private
-   * @param {Object} action - Ação a ser executada
-   * @param {Object} card - Cartão alvo
-   * @param {Object} context - Contexto adicional
-   * @returns {Promise<void>}
+   * Inicia o agendador de automações baseadas em tempo
    */
-  async executeAutomationAction(action, card, context) {
+  startAutomationScheduler() {
+    if (this.automationSchedulerTimer) {
+      return;
+    }
+    
+    this.automationSchedulerTimer = setInterval(() => {
+      this.runScheduledAutomations()
+        .catch(err => console.error('Erro ao executar automações agendadas:', err));
+    }, this.automationSchedulerInterval * 1000);
+    
+    // Não manter o processo ativo apenas por causa do agendador
+    if (typeof this.automationSchedulerTimer.unref === 'function') {
+      this.automationSchedulerTimer.unref();
+    }
+    
+    console.log(`Agendador de automações iniciado (intervalo: ${this.automationSchedulerInterval}s)`);
+  }
+  
+  /**
+   * Para o agendador de automações baseadas em tempo
+   */
+  stopAutomationScheduler() {
+    if (this.automationSchedulerTimer) {
+      clearInterval(this.automationSchedulerTimer);
+      this.automationSchedulerTimer = null;
+      console.log('Agendador de automações interrompido');
+    }
+  }
+  
+  /**
+   * Executa as automações baseadas em tempo que estão vencidas
+   * 
+   * Chamado periodicamente pelo agendador, mas pode ser invocado diretamente
+   * (por exemplo, por um cron externo em ambientes serverless).
+   * @param {Date} now - Instante de referência
+   * @returns {Promise<Array<Object>>} Execuções realizadas
+   */
+  async runScheduledAutomations(now = new Date()) {
+    const previousRunAt = this.lastSchedulerRunAt
+      || new Date(now.getTime() - this.automationSchedulerInterval * 1000);
+    this.lastSchedulerRunAt = now;
+    
+    const runs = [];
+    
     try {
-      switch (action.type) {
-        case 'move_card':
-          if (!action.targetColumn) {
-            throw new Error('Coluna de destino não especificada');
-          }
-          
-          let position;
-          if (action.position === 'top') {
-            position = 0;
-          } else if (action.position === 'bottom') {
-            // Obter posição máxima na coluna de destino
-            const cards = await this.toolManager.executeTool('supabase:query', {
-              table: 'kanban_cards',
-              filters: {
-                column_id: action.targetColumn
-              },
-              order: {
-                position: 'desc'
+      const automations = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_automations',
+        filters: {
+          status: 'active'
+        }
+      });
+      
+      const scheduledEvents = ['card:idle', 'deadline:approaching', 'schedule'];
+      const timedAutomations = (automations || []).filter(
+        automation => scheduledEvents.includes(automation.trigger.event)
+      );
+      
+      for (const automation of timedAutomations) {
+        try {
+          // Agendas cron disparam apenas quando há ocorrência desde a última verificação
+          if (automation.trigger.event === 'schedule') {
+            const after = automation.last_run_at ? new Date(automation.last_run_at) : previousRunAt;
+            
+            if (!cronDueBetween(automation.trigger.cron, after, now)) {
+              continue;
+            }
+            
+            await this.toolManager.callTool('supabase:update', {
+              table: 'kanban_automations',
+              id: automation.id,
+              data: {
+                last_run_at: now.toISOString()
+              }
+            });
+          }
+          
+          const cards = await this.toolManager.callTool('supabase:query', {
+            table: 'kanban_cards',
+            filters: {
+              board_id: automation.board_id
+            }
+          });
+          
+          for (const card of cards || []) {
+            const match = await this.matchTimedTrigger(automation, card, now);
+            
+            if (!match) {
+              continue;
+            }
+            
+            if (automation.trigger.condition && !this.evaluateCondition(
+              automation.trigger.condition,
+              { card, event: automation.trigger.event, context: match.context }
+            )) {
+              continue;
+            }
+            
+            runs.push(await this.runAutomation(
+              automation,
+              card,
+              { event: automation.trigger.event, context: match.context },
+              match.reason
+            ));
+          }
+        } catch (error) {
+          console.error(`Erro ao processar automação agendada ${automation.id}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Erro ao executar automações agendadas:', error);
+    }
+    
+    return runs;
+  }
+  
+  /**
+   * Verifica se um cartão satisfaz um gatilho baseado em tempo
+   * 
+   * Cada ocorrência dispara uma única vez: um cartão parado só volta a disparar
+   * após ser atualizado, e um prazo só dispara novamente se a data mudar.
+   * @private
+   * @param {Object} automation - Automação com gatilho card:idle, deadline:approaching ou schedule
+   * @param {Object} card - Cartão
+   * @param {Date} now - Instante de referência
+   * @returns {Promise<Object|null>} { reason, context } ou null se não houver correspondência
+   */
+  async matchTimedTrigger(automation, card, now) {
+    const { trigger } = automation;
+    
+    if (trigger.event === 'schedule') {
+      return {
+        reason: `Agenda "${trigger.cron}"`,
+        context: { cron: trigger.cron, scheduledAt: now.toISOString() }
+      };
+    }
+    
+    const lastRuns = await this.toolManager.callTool('supabase:query', {
+      table: 'kanban_automation_runs',
+      filters: {
+        automation_id: automation.id,
+        card_id: card.id
+      },
+      order: {
+        started_at: 'desc'
+      },
+      limit: 1
+    });
+    const lastRun = lastRuns && lastRuns.length > 0 ? lastRuns[0] : null;
+    
+    if (trigger.event === 'card:idle') {
+      if (trigger.column && card.column_id !== trigger.column) {
+        return null;
+      }
+      
+      const lastActivity = Date.parse(card.updated_at || card.created_at);
+      const idleHours = (now.getTime() - lastActivity) / (60 * 60 * 1000);
+      
+      if (Number.isNaN(idleHours) || idleHours < trigger.idleHours) {
+        return null;
+      }
+      
+      if (lastRun && Date.parse(lastRun.started_at) >= lastActivity) {
+        return null;
+      }
+      
+      return {
+        reason: `Cartão sem atividade há ${Math.floor(idleHours)}h (limite ${trigger.idleHours}h)`,
+        context: { idleHours, column: card.column_id }
+      };
+    }
+    
+    if (trigger.event === 'deadline:approaching') {
+      const dueDate = Date.parse(card.due_date);
+      const hoursBefore = trigger.hoursBefore !== undefined ? trigger.hoursBefore : 24;
+      const hoursLeft = (dueDate - now.getTime()) / (60 * 60 * 1000);
+      
+      if (Number.isNaN(hoursLeft) || hoursLeft < 0 || hoursLeft > hoursBefore) {
+        return null;
+      }
+      
+      if (lastRun && lastRun.trigger && lastRun.trigger.context
+        && lastRun.trigger.context.dueDate === card.due_date) {
+        return null;
+      }
+      
+      return {
+        reason: `Prazo em ${Math.floor(hoursLeft)}h (janela de ${hoursBefore}h)`,
+        context: { hoursLeft, dueDate: card.due_date }
+      };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Registra um evento no histórico do cartão (kanban_card_history)
+   * 
+   * O estado do cartão é armazenado junto ao evento para permitir a
+   * simulação de automações sobre o histórico.
+   * @private
+   * @param {string} event - Evento (card:moved, card:updated)
+   * @param {Object} card - Cartão após o evento
+   * @param {Object} details - Dados adicionais do evento
+   * @returns {Promise<void>}
+   */
+  async recordCardHistory(event, card, details = {}) {
+    try {
+      await this.toolManager.executeTool('supabase:insert', {
+        table: 'kanban_card_history',
+        data: {
+          board_id: card.board_id,
+          card_id: card.id,
+          event,
+          card,
+          ...details,
+          timestamp: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Erro ao registrar histórico do cartão:', error);
+      // Não propagar erro para não interromper o fluxo principal
+    }
+  }
+  
+  /**
+   * Simula uma automação sobre o histórico de eventos do quadro (dry-run)
+   * 
+   * Reproduz os eventos card:moved e card:updated registrados em kanban_card_history
+   * e informa quais cartões teriam correspondido e quais ações teriam sido executadas,
+   * sem alterar nenhum dado. As ações simuladas são aplicadas a cópias dos cartões e
+   * os eventos que elas gerariam disparam em cascata as demais automações ativas do
+   * quadro, o que permite detectar automações que se disparam mutuamente em ciclo.
+   * @param {string} boardId - ID do quadro
+   * @param {Object} automationData - Definição da automação (mesmo formato de createAutomation)
+   * @param {Object} options - Opções da simulação
+   * @param {string} options.since - Considerar apenas eventos a partir desta data (ISO)
+   * @param {string} options.until - Considerar apenas eventos até esta data (ISO)
+   * @param {number} options.limit - Número máximo de eventos reproduzidos
+   * @param {boolean} options.includeExisting - Incluir as automações ativas do quadro na cascata (padrão true)
+   * @param {number} options.maxDepth - Profundidade máxima da cascata (padrão 10)
+   * @param {string} userId - ID do usuário solicitando a simulação
+   * @returns {Promise<Object>} Relatório da simulação
+   * @throws {Error} Se a automação for inválida ou a simulação falhar
+   */
+  async simulateAutomation(boardId, automationData, options = {}, userId) {
+    try {
+      // Validar permissões do usuário
+      const canView = await this.securityAgent.authorizeAccess(
+        userId,
+        'kanban_board',
+        boardId,
+        'read'
+      );
+      
+      if (!canView) {
+        throw new Error('Usuário não tem permissão para simular automações neste quadro');
+      }
+      
+      const { sanitizedData, actions } = this.validateAutomationData(automationData);
+      
+      const candidate = {
+        id: 'simulation',
+        board_id: boardId,
+        name: sanitizedData.name,
+        trigger: sanitizedData.trigger,
+        actions
+      };
+      
+      // Automações existentes participam da cascata para detecção de ciclos
+      let automations = [candidate];
+      
+      if (options.includeExisting !== false) {
+        const existing = await this.toolManager.callTool('supabase:query', {
+          table: 'kanban_automations',
+          filters: {
+            board_id: boardId,
+            status: 'active'
+          }
+        });
+        
+        automations = automations.concat(existing || []);
+      }
+      
+      const columns = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_columns',
+        filters: {
+          board_id: boardId
+        }
+      });
+      const columnsById = new Map((columns || []).map(column => [column.id, column]));
+      
+      const history = await this.toolManager.callTool('supabase:query', {
+        table: 'kanban_card_history',
+        filters: {
+          board_id: boardId
+        },
+        order: {
+          timestamp: 'asc'
+        }
+      });
+      
+      const since = options.since ? Date.parse(options.since) : -Infinity;
+      const until = options.until ? Date.parse(options.until) : Infinity;
+      
+      let events = (history || []).filter(entry => {
+        const timestamp = Date.parse(entry.timestamp);
+        return ['card:moved', 'card:updated'].includes(entry.event)
+          && timestamp >= since && timestamp <= until;
+      });
+      
+      if (options.limit) {
+        events = events.slice(-options.limit);
+      }
+      
+      const report = {
+        simulated: true,
+        automation: candidate,
+        eventsAnalyzed: events.length,
+        matches: [],
+        matchedCards: [],
+        cycles: []
+      };
+      
+      const matchedCards = new Set();
+      
+      for (const entry of events) {
+        if (!entry.card) {
+          continue;
+        }
+        
+        const event = entry.event.replace('card:', '');
+        const context = event === 'moved'
+          ? {
+            sourceColumn: columnsById.get(entry.source_column_id) || { id: entry.source_column_id },
+            targetColumn: columnsById.get(entry.target_column_id) || { id: entry.target_column_id }
+          }
+          : entry.changes || {};
+        
+        const calls = [];
+        this.simulateAutomationCascade(
+          automations,
+          entry.card,
+          event,
+          context,
+          { calls, cycles: report.cycles, columnsById, chain: [], maxDepth: options.maxDepth || 10 }
+        );
+        
+        // Considerar apenas eventos em que a automação candidata participou
+        if (!calls.some(call => call.automationId === candidate.id)) {
+          continue;
+        }
+        
+        matchedCards.add(entry.card_id);
+        report.matches.push({
+          historyId: entry.id,
+          cardId: entry.card_id,
+          cardTitle: entry.card.title,
+          event: entry.event,
+          timestamp: entry.timestamp,
+          calls
+        });
+      }
+      
+      report.matchedCards = Array.from(matchedCards);
+      
+      return report;
+    } catch (error) {
+      console.error('Erro ao simular automação Kanban:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Simula recursivamente as automações disparadas por um evento de cartão
+   * @private
+   * @param {Array<Object>} automations - Automações consideradas
+   * @param {Object} card - Estado simulado do cartão
+   * @param {string} event - Evento (created, updated, moved)
+   * @param {Object} context - Contexto do evento
+   * @param {Object} state - Estado da simulação ({ calls, cycles, columnsById, chain, maxDepth })
+   */
+  simulateAutomationCascade(automations, card, event, context, state) {
+    const matching = automations.filter(
+      automation => automation.trigger && automation.trigger.event === `card:${event}`
+    );
+    
+    for (const automation of matching) {
+      if (automation.trigger.condition && !this.evaluateCondition(
+        automation.trigger.condition,
+        { card, event, context }
+      )) {
+        continue;
+      }
+      
+      // A mesma automação disparando novamente para o mesmo cartão na cascata é um ciclo
+      if (state.chain.includes(automation.id)) {
+        const start = state.chain.indexOf(automation.id);
+        state.cycles.push({
+          cardId: card.id,
+          path: [...state.chain.slice(start), automation.id].map(id => {
+            const item = automations.find(a => a.id === id);
+            return item ? item.name : id;
+          })
+        });
+        continue;
+      }
+      
+      if (state.chain.length >= state.maxDepth) {
+        state.cycles.push({
+          cardId: card.id,
+          path: state.chain.map(id => (automations.find(a => a.id === id) || {}).name || id),
+          reason: `Profundidade máxima de ${state.maxDepth} automações encadeadas atingida`
+        });
+        return;
+      }
+      
+      const chain = [...state.chain, automation.id];
+      let currentCard = card;
+      
+      for (const action of this.getAutomationActions(automation)) {
+        const outcome = this.applyAutomationActionToSnapshot(action, currentCard, state.columnsById);
+        
+        state.calls.push({
+          automationId: automation.id,
+          automationName: automation.name,
+          depth: state.chain.length,
+          cardId: card.id,
+          action,
+          changes: this.calculateChanges(currentCard, outcome.card)
+        });
+        
+        currentCard = outcome.card;
+        
+        if (outcome.event) {
+          this.simulateAutomationCascade(
+            automations,
+            currentCard,
+            outcome.event,
+            outcome.context,
+            { ...state, chain }
+          );
+        }
+      }
+    }
+  }
+  
+  /**
+   * Aplica uma ação de automação a uma cópia do cartão, sem persistir
+   * @private
+   * @param {Object} action - Ação de automação
+   * @param {Object} card - Estado atual do cartão
+   * @param {Map} columnsById - Colunas do quadro indexadas por ID
+   * @returns {{card: Object, event: string|null, context: Object}} Novo estado e evento que moveCard/updateCard emitiriam
+   */
+  applyAutomationActionToSnapshot(action, card, columnsById = new Map()) {
+    const next = { ...card };
+    
+    switch (action.type) {
+      case 'move_card':
+        if (!action.targetColumn) {
+          return { card: next, event: null, context: {} };
+        }
+        
+        next.column_id = action.targetColumn;
+        return {
+          card: next,
+          event: 'moved',
+          context: {
+            sourceColumn: columnsById.get(card.column_id) || { id: card.column_id },
+            targetColumn: columnsById.get(action.targetColumn) || { id: action.targetColumn }
+          }
+        };
+        
+      case 'add_label':
+        next.labels = [...new Set([...(card.labels || []), ...(action.labels || [])])];
+        break;
+        
+      case 'remove_label':
+        next.labels = (card.labels || []).filter(label => !(action.labels || []).includes(label));
+        break;
+        
+      case 'assign_user':
+        next.assignee = action.assignee;
+        break;
+        
+      default:
+        // Notificações não alteram o cartão
+        return { card: next, event: null, context: {} };
+    }
+    
+    // Assim como updateCard, a ação emite card:updated mesmo sem alterações efetivas
+    return { card: next, event: 'updated', context: this.calculateChanges(card, next) };
+  }
+  
+  /**
+   * Compila uma condição de automação, reutilizando o cache
+   * @private
+   * @param {string} condition - Condição a ser compilada
+   * @returns {Object} Expressão compilada
+   * @throws {ExpressionSyntaxError} Se a condição for inválida
+   */
+  compileCondition(condition) {
+    let compiled = this.compiledConditions.get(condition);
+    
+    if (compiled) {
+      // Reinserir para manter a ordem de uso recente
+      this.compiledConditions.delete(condition);
+    } else {
+      compiled = compileExpression(condition);
+      
+      if (this.compiledConditions.size >= this.compiledConditionsLimit) {
+        this.compiledConditions.delete(this.compiledConditions.keys().next().value);
+      }
+    }
+    
+    this.compiledConditions.set(condition, compiled);
+    return compiled;
+  }
+  
+  /**
+   * Avalia uma condição de automação de forma segura
+   * 
+   * A condição é interpretada pela linguagem de expressões de regras
+   * (ver src/utils/rule_expression.js); nenhum código JavaScript é executado.
+   * @private
+   * @param {string} condition - Condição a ser avaliada
+   * @param {Object} scope - Escopo da avaliação (card, event, context)
+   * @returns {boolean} Resultado da avaliação
+   */
+  evaluateCondition(condition, scope) {
+    try {
+      return Boolean(this.compileCondition(condition).evaluate(scope));
+    } catch (error) {
+      console.error('Erro ao avaliar condição:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Executa uma ação de automação
+   * @private
+   * @param {Object} action - Ação a ser executada
+   * @param {Object} card - Cartão alvo
+   * @param {Object} context - Contexto adicional
+   * @returns {Promise<void>}
+   */
+  async executeAutomationAction(action, card, context) {
+    try {
+      switch (action.type) {
+        case 'move_card':
+          if (!action.targetColumn) {
+            throw new Error('Coluna de destino não especificada');
+          }
+          
+          let position;
+          if (action.position === 'top') {
+            position = 0;
+          } else if (action.position === 'bottom') {
+            // Obter posição máxima na coluna de destino
+            const cards = await this.toolManager.callTool('supabase:query', {
+              table: 'kanban_cards',
+              filters: {
+                column_id: action.targetColumn
+              },
+              order: {
+                position: 'desc'
               },
               limit: 1
             });
@@ -1812,7 +2676,7 @@ class KanbanAgent {
             position = action.position;
           }
           
-          await this.moveCard(card.id, action.targetColumn, position, 'system');
+          await runAsSystem(() => this.moveCard(card.id, action.targetColumn, position, SYSTEM_USER_ID));
           break;
           
         case 'add_label':
@@ -1823,9 +2687,9 @@ class KanbanAgent {
           const currentLabels = card.labels || [];
           const newLabels = [...new Set([...currentLabels, ...action.labels])];
           
-          await this.updateCard(card.id, {
+          await runAsSystem(() => this.updateCard(card.id, {
             labels: newLabels
-          }, 'system');
+          }, SYSTEM_USER_ID));
           break;
           
         case 'remove_label':
@@ -1836,9 +2700,9 @@ class KanbanAgent {
           const labels = card.labels || [];
           const filteredLabels = labels.filter(label => !action.labels.includes(label));
           
-          await this.updateCard(card.id, {
+          await runAsSystem(() => this.updateCard(card.id, {
             labels: filteredLabels
-          }, 'system');
+          }, SYSTEM_USER_ID));
           break;
           
         case 'assign_user':
@@ -1846,9 +2710,9 @@ class KanbanAgent {
             throw new Error('Responsável não especificado');
           }
           
-          await this.updateCard(card.id, {
+          await runAsSystem(() => this.updateCard(card.id, {
             assignee: action.assignee
-          }, 'system');
+          }, SYSTEM_USER_ID));
           break;
           
         case 'notify':
@@ -1982,7 +2846,7 @@ class KanbanAgent {
   async calculateTimeMetrics(board, columns, cards) {
     try {
       // Obter histórico de movimentação de cartões
-      const cardHistory = await this.toolManager.executeTool('supabase:query', {
+      const cardHistory = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_card_history',
         filters: {
           board_id: board.id,
@@ -2143,7 +3007,7 @@ class KanbanAgent {
   async calculateFlowMetrics(board, columns, cards) {
     try {
       // Obter histórico de movimentação de cartões
-      const cardHistory = await this.toolManager.executeTool('supabase:query', {
+      const cardHistory = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_card_history',
         filters: {
           board_id: board.id
@@ -2317,7 +3181,7 @@ class KanbanAgent {
   async analyzeProjectForKanban(projectId, boardId) {
     try {
       // Obter projeto
-      const project = await this.toolManager.executeTool('supabase:query', {
+      const project = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: projectId
       });
@@ -2327,7 +3191,7 @@ class KanbanAgent {
       }
       
       // Obter tarefas do projeto
-      const tasks = await this.toolManager.executeTool('supabase:query', {
+      const tasks = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         filters: {
           project_id: projectId
@@ -2339,7 +3203,7 @@ class KanbanAgent {
       }
       
       // Usar Claude-TaskMaster para analisar o projeto e sugerir configuração de quadro
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'project_kanban_setup',
         data: {
           project,
@@ -2355,7 +3219,7 @@ class KanbanAgent {
       // Aplicar sugestões se houver
       if (analysis.suggestions.columns) {
         // Verificar se já existem colunas
-        const existingColumns = await this.toolManager.executeTool('supabase:query', {
+        const existingColumns = await this.toolManager.callTool('supabase:query', {
           table: 'kanban_columns',
           filters: {
             board_id: boardId
@@ -2365,12 +3229,12 @@ class KanbanAgent {
         // Só criar colunas sugeridas se não houver colunas existentes
         if (!existingColumns || existingColumns.length === 0) {
           for (const column of analysis.suggestions.columns) {
-            await this.createColumn(boardId, {
+            await runAsSystem(() => this.createColumn(boardId, {
               name: column.name,
               order: column.order,
               wipLimit: column.wipLimit,
               color: column.color
-            }, 'system');
+            }, SYSTEM_USER_ID));
           }
         }
       }
@@ -2378,7 +3242,7 @@ class KanbanAgent {
       // Aplicar sugestões de automação
       if (analysis.suggestions.automations) {
         for (const automation of analysis.suggestions.automations) {
-          await this.createAutomation(boardId, automation, 'system');
+          await runAsSystem(() => this.createAutomation(boardId, automation, SYSTEM_USER_ID));
         }
       }
     } catch (error) {
@@ -2396,7 +3260,7 @@ class KanbanAgent {
   async analyzeColumnStructure(boardId) {
     try {
       // Obter quadro
-      const board = await this.toolManager.executeTool('supabase:query', {
+      const board = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_boards',
         id: boardId
       });
@@ -2406,7 +3270,7 @@ class KanbanAgent {
       }
       
       // Obter colunas do quadro
-      const columns = await this.toolManager.executeTool('supabase:query', {
+      const columns = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         filters: {
           board_id: boardId
@@ -2421,7 +3285,7 @@ class KanbanAgent {
       }
       
       // Usar Claude-TaskMaster para analisar a estrutura de colunas
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'kanban_column_structure',
         data: {
           board,
@@ -2459,7 +3323,7 @@ class KanbanAgent {
   async analyzeCardWithTaskMaster(cardId) {
     try {
       // Obter cartão
-      const card = await this.toolManager.executeTool('supabase:query', {
+      const card = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         id: cardId
       });
@@ -2469,7 +3333,7 @@ class KanbanAgent {
       }
       
       // Obter coluna do cartão
-      const column = await this.toolManager.executeTool('supabase:query', {
+      const column = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: card.column_id
       });
@@ -2479,7 +3343,7 @@ class KanbanAgent {
       }
       
       // Usar Claude-TaskMaster para analisar o cartão
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'kanban_card',
         data: {
           card,
@@ -2501,9 +3365,9 @@ class KanbanAgent {
         if (suggestedLabels.length > 0) {
           const newLabels = [...currentLabels, ...suggestedLabels];
           
-          await this.updateCard(cardId, {
+          await runAsSystem(() => this.updateCard(cardId, {
             labels: newLabels
-          }, 'system');
+          }, SYSTEM_USER_ID));
         }
       }
       
@@ -2536,7 +3400,7 @@ class KanbanAgent {
   async analyzeCardMovementWithTaskMaster(cardId, sourceColumnId, targetColumnId) {
     try {
       // Obter cartão
-      const card = await this.toolManager.executeTool('supabase:query', {
+      const card = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         id: cardId
       });
@@ -2546,12 +3410,12 @@ class KanbanAgent {
       }
       
       // Obter colunas
-      const sourceColumn = await this.toolManager.executeTool('supabase:query', {
+      const sourceColumn = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: sourceColumnId
       });
       
-      const targetColumn = await this.toolManager.executeTool('supabase:query', {
+      const targetColumn = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: targetColumnId
       });
@@ -2561,7 +3425,7 @@ class KanbanAgent {
       }
       
       // Usar Claude-TaskMaster para analisar a movimentação
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'kanban_card_movement',
         data: {
           card,
@@ -2601,7 +3465,7 @@ class KanbanAgent {
   async analyzeAutomationWithTaskMaster(automationId) {
     try {
       // Obter automação
-      const automation = await this.toolManager.executeTool('supabase:query', {
+      const automation = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_automations',
         id: automationId
       });
@@ -2611,7 +3475,7 @@ class KanbanAgent {
       }
       
       // Usar Claude-TaskMaster para analisar a automação
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'kanban_automation',
         data: {
           automation
@@ -2651,7 +3515,7 @@ class KanbanAgent {
   async analyzeWipLimitExceeded(columnId, currentCount, wipLimit) {
     try {
       // Obter coluna
-      const column = await this.toolManager.executeTool('supabase:query', {
+      const column = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_columns',
         id: columnId
       });
@@ -2661,7 +3525,7 @@ class KanbanAgent {
       }
       
       // Obter cartões na coluna
-      const cards = await this.toolManager.executeTool('supabase:query', {
+      const cards = await this.toolManager.callTool('supabase:query', {
         table: 'kanban_cards',
         filters: {
           column_id: columnId
@@ -2673,7 +3537,7 @@ class KanbanAgent {
       }
       
       // Usar Claude-TaskMaster para analisar o limite WIP excedido
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'kanban_wip_limit_exceeded',
         data: {
           column,
@@ -2716,7 +3580,7 @@ class KanbanAgent {
   async getMetricsInsightsWithTaskMaster(boardId, metricType, metrics) {
     try {
       // Usar Claude-TaskMaster para analisar métricas e fornecer insights
-      const analysis = await this.toolManager.executeTool('claude-task-master:analyze', {
+      const analysis = await this.toolManager.callTool('claude-task-master:analyze', {
         type: 'kanban_metrics',
         data: {
           boardId,
@@ -2804,8 +3668,8 @@ class KanbanAgent {
   handleCardUpdated(data) {
     console.log('Cartão Kanban atualizado:', data.card.title);
     
-    // Implementação do handler para eventos de atualização de cartão
-    // Pode incluir lógica para notificar sobre alterações importantes, etc.
+    // Propagar título, descrição e prioridade para a tarefa do TaskMaster vinculada
+    return this.syncTaskMasterTaskFromCardMove(data.card.id);
   }
   
   /**
@@ -2816,8 +3680,34 @@ class KanbanAgent {
   handleCardMoved(data) {
     console.log('Cartão Kanban movido:', data.card.title);
     
-    // Implementação do handler para eventos de movimentação de cartão
-    // Pode incluir lógica para atualizar status de tarefas, etc.
+    // Propagar o novo status para a tarefa do TaskMaster vinculada
+    return this.syncTaskMasterTaskFromCardMove(data.card.id);
+  }
+  
+  /**
+   * Handler para eventos de remoção de cartão
+   * @private
+   * @param {Object} data - Dados do evento
+   */
+  async handleCardDeleted(data) {
+    const cardId = data.card ? data.card.id : data.cardId;
+    const links = await this.taskSync.listLinks({ cardId });
+    
+    // Um cartão removido deixa de ser sincronizado com a tarefa
+    for (const link of links) {
+      await this.taskSync.unlink(link.taskId, link.cardId);
+    }
+  }
+  
+  /**
+   * Handler para eventos de issues do GitHub atualizadas
+   * @private
+   * @param {Object} data - Dados do evento
+   */
+  handleGitHubIssueUpdated(data) {
+    console.log('Issue do GitHub atualizada:', data.issue ? data.issue.number : data.issueNumber);
+    
+    // Cartões vinculados a issues ainda não são sincronizados; o evento é apenas registrado
   }
   
   /**
@@ -2855,8 +3745,121 @@ class KanbanAgent {
     // Implementação do handler para eventos de atualização de tarefa
     // Pode incluir lógica para sincronizar cartões Kanban, etc.
   }
+  
+  /**
+   * Inicializa a integração com o TaskMaster: escuta os eventos de tarefas e
+   * garante o quadro do TaskMaster
+   * @returns {Promise<Object|null>} Quadro do TaskMaster, ou null se outra
+   *   instância já faz a integração neste processo
+   */
+  async initializeTaskMasterKanban() {
+    if (!this.connectTaskMasterEvents()) {
+      return null;
+    }
+    
+    return this.getTaskMasterBoard();
+  }
+  
+  /**
+   * Passa a escutar os eventos de tarefas do TaskMaster
+   * 
+   * A API do TaskMaster e o observador de tasks.json emitem em um emissor
+   * compartilhado (taskMasterEvents); apenas uma instância por processo o escuta.
+   * @param {EventEmitter} emitter - Emissor dos eventos
+   * @returns {boolean} true se esta instância é a que escuta os eventos
+   */
+  connectTaskMasterEvents(emitter = taskMasterEvents) {
+    if (taskMasterEventsListener) {
+      return taskMasterEventsListener === this;
+    }
+    
+    // Mudanças de status chegam também como taskmaster:task:updated
+    this.taskMasterEventHandlers = {
+      'taskmaster:task:created': this.handleTaskMasterTaskCreated.bind(this),
+      'taskmaster:task:updated': this.handleTaskMasterTaskUpdated.bind(this)
+    };
+    for (const [event, handler] of Object.entries(this.taskMasterEventHandlers)) {
+      emitter.on(event, handler);
+    }
+    
+    this.taskMasterEventsEmitter = emitter;
+    taskMasterEventsListener = this;
+    return true;
+  }
+  
+  /**
+   * Deixa de escutar os eventos de tarefas do TaskMaster
+   */
+  disconnectTaskMasterEvents() {
+    if (taskMasterEventsListener !== this) {
+      return;
+    }
+    
+    for (const [event, handler] of Object.entries(this.taskMasterEventHandlers)) {
+      this.taskMasterEventsEmitter.off(event, handler);
+    }
+    
+    this.taskMasterEventHandlers = null;
+    this.taskMasterEventsEmitter = null;
+    taskMasterEventsListener = null;
+  }
+  
+  /**
+   * Quadro do TaskMaster, criado na primeira chamada com uma coluna por status
+   * (ver taskMasterBoardConfig)
+   * @returns {Promise<Object>} Quadro do TaskMaster
+   */
+  async getTaskMasterBoard() {
+    if (!this.taskMasterBoardPromise) {
+      this.taskMasterBoardPromise = this.findOrCreateTaskMasterBoard().catch(error => {
+        this.taskMasterBoardPromise = null;
+        throw error;
+      });
+    }
+    
+    return this.taskMasterBoardPromise;
+  }
+  
+  /**
+   * Busca o quadro ativo do TaskMaster pelo nome ou o cria com as colunas configuradas
+   * @private
+   * @returns {Promise<Object>} Quadro do TaskMaster
+   */
+  async findOrCreateTaskMasterBoard() {
+    const { title, description, columns } = this.taskMasterBoardConfig;
+    
+    const [existing] = await this.toolManager.callTool('supabase:query', {
+      table: 'kanban_boards',
+      filters: {
+        name: title,
+        status: 'active'
+      },
+      limit: 1
+    });
+    
+    if (existing) {
+      return existing;
+    }
+    
+    const boardId = await runAsSystem(() => this.createBoard({ name: title, description, template: 'custom' }, SYSTEM_USER_ID));
+    
+    for (const [order, column] of columns.entries()) {
+      await runAsSystem(() => this.createColumn(boardId, {
+        name: column.title,
+        order,
+        wipLimit: column.wip,
+        color: column.color
+      }, SYSTEM_USER_ID));
+    }
+    
+    return this.toolManager.callTool('supabase:query', {
+      table: 'kanban_boards',
+      id: boardId
+    });
+  }
+  
   /**
-   * Cria um cartão a partir de uma tarefa do TaskMaster
+   * Cria um cartão a partir de uma tarefa do TaskMaster e registra o vínculo na sincronização
    * @param {Object} task - Tarefa do TaskMaster
    * @param {string} boardId - ID do quadro Kanban
    * @returns {Promise<Object>} Cartão criado
@@ -2873,21 +3876,18 @@ class KanbanAgent {
         throw new Error(`Coluna '${columnName}' não encontrada no quadro ${boardId}`);
       }
       
-      // Criar dados do cartão
-      const cardData = {
+      // Criar o cartão no quadro
+      const cardId = await runAsSystem(() => this.createCard(column.id, {
         title: task.title,
-        description: task.description,
-        columnId: column.id,
-        boardId: boardId,
-        metadata: {
-          taskId: task.id,
-          taskPriority: task.priority,
-          isTaskMasterCard: true
-        }
-      };
+        description: task.description || '',
+        priority: task.priority || 'medium'
+      }, SYSTEM_USER_ID));
       
-      // Criar o cartão no quadro
-      return await this.createCard(cardData);
+      // O primeiro sync do par registra a base de cada campo (a tarefa prevalece)
+      const card = await this.getCard(cardId);
+      await this.syncTaskMasterPair(task, card, 'task');
+      
+      return card;
     } catch (error) {
       console.error('Erro ao criar cartão a partir de tarefa do TaskMaster:', error);
       throw new Error(`Falha ao criar cartão para tarefa ${task.id}: ${error.message}`);
@@ -2895,44 +3895,20 @@ class KanbanAgent {
   }
   
   /**
-   * Atualiza um cartão existente com base em uma tarefa do TaskMaster
+   * Sincroniza um cartão existente após uma alteração na tarefa do TaskMaster
    * @param {string} cardId - ID do cartão
    * @param {Object} task - Tarefa do TaskMaster atualizada
-   * @returns {Promise<Object>} Cartão atualizado
+   * @returns {Promise<Object>} Resultado da sincronização (ver TaskSyncEngine.sync)
    */
   async updateCardFromTaskMasterTask(cardId, task) {
     try {
-      // Buscar informações do cartão atual
-      const currentCard = await this.getCard(cardId);
+      const card = await this.getCard(cardId);
       
-      if (!currentCard) {
+      if (!card) {
         throw new Error(`Cartão ${cardId} não encontrado`);
       }
       
-      // Determinar a coluna com base no status da tarefa
-      const columnName = this.statusToColumnMap[task.status] || 'A fazer';
-      
-      // Buscar a coluna pelo nome
-      const column = await this.getColumnByName(currentCard.boardId, columnName);
-      
-      if (!column) {
-        throw new Error(`Coluna '${columnName}' não encontrada no quadro ${currentCard.boardId}`);
-      }
-      
-      // Dados atualizados do cartão
-      const updatedCardData = {
-        title: task.title,
-        description: task.description,
-        columnId: column.id,
-        metadata: {
-          ...currentCard.metadata,
-          taskPriority: task.priority,
-          lastUpdated: new Date().toISOString()
-        }
-      };
-      
-      // Atualizar o cartão
-      return await this.updateCard(cardId, updatedCardData);
+      return await this.syncTaskMasterPair(task, card, 'task');
     } catch (error) {
       console.error('Erro ao atualizar cartão com tarefa do TaskMaster:', error);
       throw new Error(`Falha ao atualizar cartão ${cardId} com tarefa ${task.id}: ${error.message}`);
@@ -2940,46 +3916,205 @@ class KanbanAgent {
   }
   
   /**
-   * Sincroniza o status de uma tarefa do TaskMaster com base na movimentação de um cartão
+   * Sincroniza a tarefa do TaskMaster após a movimentação (ou edição) de um cartão vinculado
    * @param {string} cardId - ID do cartão movido
-   * @param {string} newColumnId - ID da nova coluna
-   * @returns {Promise<void>}
+   * @returns {Promise<Array<Object>>} Resultados da sincronização, um por tarefa vinculada
    */
-  async syncTaskMasterTaskFromCardMove(cardId, newColumnId) {
+  async syncTaskMasterTaskFromCardMove(cardId) {
     try {
-      // Buscar detalhes do cartão
-      const card = await this.getCard(cardId);
+      const links = await this.taskSync.listLinks({ cardId });
       
-      // Verificar se é um cartão do TaskMaster
-      if (!card.metadata || !card.metadata.isTaskMasterCard || !card.metadata.taskId) {
+      if (links.length === 0) {
         // Não é um cartão do TaskMaster, ignorar
-        return;
+        return [];
       }
       
-      // Buscar informações da coluna
-      const column = await this.getColumn(newColumnId);
+      const card = await this.getCard(cardId);
+      const results = [];
       
-      // Mapear o nome da coluna para o status do TaskMaster
-      const statusMap = Object.entries(this.statusToColumnMap).reduce((acc, [status, colName]) => {
-        acc[colName] = status;
-        return acc;
-      }, {});
+      for (const link of links) {
+        const task = await this.taskStore.getTask(link.taskId);
+        results.push(await this.syncTaskMasterPair(task, card, 'card'));
+      }
       
-      const newStatus = statusMap[column.name] || 'pending';
+      return results;
+    } catch (error) {
+      console.error('Erro ao sincronizar tarefa do TaskMaster a partir do cartão:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Sincroniza um par tarefa/cartão pelo motor de sincronização e publica os conflitos
+   * @param {Object} task - Tarefa do TaskMaster
+   * @param {Object} card - Cartão Kanban (registro do banco)
+   * @param {string} source - Lado que disparou a sincronização ('task' ou 'card')
+   * @returns {Promise<Object>} Resultado da sincronização (ver TaskSyncEngine.sync)
+   */
+  async syncTaskMasterPair(task, card, source) {
+    const result = await this.taskSync.sync({
+      task: this.taskToSyncSnapshot(task),
+      card: await this.cardToSyncSnapshot(card),
+      source
+    });
+    
+    for (const conflict of result.conflicts) {
+      this.toolManager.emit('sync:conflict', {
+        taskId: conflict.taskId,
+        cardId: conflict.cardId,
+        field: conflict.field,
+        values: conflict.values,
+        policy: conflict.policy,
+        winner: conflict.winner,
+        timestamp: conflict.timestamp
+      });
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Campos sincronizados de uma tarefa do TaskMaster
+   * @private
+   */
+  taskToSyncSnapshot(task) {
+    return {
+      id: String(task.id),
+      title: task.title,
+      description: task.description || '',
+      status: task.status || 'pending',
+      priority: task.priority || 'medium',
+      updatedAt: task.updatedAt
+    };
+  }
+  
+  /**
+   * Campos sincronizados de um cartão, no formato da tarefa (coluna -> status)
+   * @private
+   */
+  async cardToSyncSnapshot(card) {
+    const column = await this.getColumn(card.column_id || card.columnId);
+    const columnName = column ? (column.name || column.title) : null;
+    const status = Object.keys(this.statusToColumnMap).find(key => this.statusToColumnMap[key] === columnName);
+    
+    return {
+      id: card.id,
+      title: card.title,
+      description: card.description || '',
+      status: status || null,
+      priority: card.priority || card.metadata?.taskPriority || 'medium',
+      updatedAt: card.updated_at || card.updatedAt
+    };
+  }
+  
+  /**
+   * Grava na tarefa do TaskMaster as alterações vindas do cartão
+   * @private
+   * @param {string} taskId - ID da tarefa
+   * @param {Object} changes - Campos alterados ({ title, description, status, priority })
+   */
+  async applyTaskSyncChanges(taskId, changes) {
+    const { status, ...fields } = changes;
+    
+    if (Object.keys(fields).length > 0) {
+      await this.taskStore.updateTask(taskId, fields);
+    }
+    
+    if (status) {
+      await this.taskStore.transitionStatus(taskId, status);
+    }
+  }
+  
+  /**
+   * Grava no cartão as alterações vindas da tarefa do TaskMaster
+   * @private
+   * @param {string} cardId - ID do cartão
+   * @param {Object} changes - Campos alterados ({ title, description, status, priority })
+   */
+  async applyCardSyncChanges(cardId, changes) {
+    const { status, ...fields } = changes;
+    
+    if (Object.keys(fields).length > 0) {
+      await runAsSystem(() => this.updateCard(cardId, fields, SYSTEM_USER_ID));
+    }
+    
+    if (status) {
+      const card = await this.getCard(cardId);
+      const columnName = this.statusToColumnMap[status];
+      const column = columnName && await this.getColumnByName(card.board_id || card.boardId, columnName);
       
-      // Atualizar o status da tarefa no TaskMaster
-      await this.projectManagerAgent.updateTaskWithTaskMaster(
-        card.metadata.taskId,
-        { status: newStatus },
-        'system'
-      );
+      if (!column) {
+        throw new Error(`Coluna para o status '${status}' não encontrada no quadro`);
+      }
       
-      console.log(`Status da tarefa ${card.metadata.taskId} atualizado para ${newStatus}`);
-    } catch (error) {
-      console.error('Erro ao sincronizar status da tarefa do TaskMaster:', error);
+      await runAsSystem(() => this.moveCard(cardId, column.id, undefined, SYSTEM_USER_ID));
     }
   }
   
+  /**
+   * Consulta o diário de sincronização entre cartões e tarefas
+   * @param {Object} filters - Filtros ({ taskId, cardId, type, outcome, field, since, limit })
+   * @returns {Promise<Array<Object>>} Entradas do diário
+   */
+  async getTaskSyncJournal(filters = {}) {
+    return this.taskSync.getJournal(filters);
+  }
+  
+  /**
+   * Lista os conflitos de sincronização aguardando resolução manual
+   * @returns {Promise<Array<Object>>} Conflitos pendentes
+   */
+  async getTaskSyncConflicts() {
+    return this.taskSync.listConflicts();
+  }
+  
+  /**
+   * Resolve um conflito de sincronização pendente
+   * @param {string} taskId - ID da tarefa
+   * @param {string} cardId - ID do cartão
+   * @param {string} field - Campo em conflito
+   * @param {string|Object} choice - 'task', 'card' ou { value }
+   * @returns {Promise<Object>} { link, entries }
+   */
+  async resolveTaskSyncConflict(taskId, cardId, field, choice) {
+    return this.taskSync.resolveConflict(taskId, cardId, field, choice);
+  }
+  
+  /**
+   * Reexecuta alterações do diário de sincronização (por padrão, as que falharam)
+   * @param {Object} options - Seleção ({ seqs, outcome, taskId, since, dryRun })
+   * @returns {Promise<Array<Object>>} Entradas reaplicadas
+   */
+  async replayTaskSync(options = {}) {
+    return this.taskSync.replay(options);
+  }
+  
+  /**
+   * Busca um cartão pelo ID
+   * @private
+   * @param {string} cardId - ID do cartão
+   * @returns {Promise<Object|null>} Cartão ou null
+   */
+  async getCard(cardId) {
+    return this.toolManager.callTool('supabase:query', {
+      table: 'kanban_cards',
+      id: cardId
+    });
+  }
+  
+  /**
+   * Busca uma coluna pelo ID
+   * @private
+   * @param {string} columnId - ID da coluna
+   * @returns {Promise<Object|null>} Coluna ou null
+   */
+  async getColumn(columnId) {
+    return this.toolManager.callTool('supabase:query', {
+      table: 'kanban_columns',
+      id: columnId
+    });
+  }
+  
   /**
    * Busca uma coluna pelo nome no quadro especificado
    * @param {string} boardId - ID do quadro
@@ -2988,10 +4123,10 @@ class KanbanAgent {
    * @private
    */
   async getColumnByName(boardId, columnName) {
-    const columns = await this.toolManager.executeTool('supabase:query', {
+    const columns = await this.toolManager.callTool('supabase:query', {
       table: 'kanban_columns',
-      query: {
-        boardId,
+      filters: {
+        board_id: boardId,
         name: columnName
       }
     });
@@ -3006,23 +4141,14 @@ class KanbanAgent {
    */
   async handleTaskMasterTaskUpdated(taskData) {
     try {
-      // Buscar cartões associados a esta tarefa
-      const cards = await this.toolManager.executeTool('supabase:query', {
-        table: 'kanban_cards',
-        query: {
-          metadata: {
-            taskId: taskData.id,
-            isTaskMasterCard: true
-          }
-        }
-      });
+      // Cartões vinculados a esta tarefa
+      const links = await this.taskSync.listLinks({ taskId: taskData.id });
       
-      if (cards && cards.length > 0) {
-        // Atualizar cada cartão associado
-        for (const card of cards) {
-          await this.updateCardFromTaskMasterTask(card.id, taskData);
+      if (links.length > 0) {
+        for (const link of links) {
+          await this.updateCardFromTaskMasterTask(link.cardId, taskData);
         }
-        console.log(`${cards.length} cartões atualizados para a tarefa ${taskData.id}`);
+        console.log(`${links.length} cartões sincronizados com a tarefa ${taskData.id}`);
       } else {
         console.log(`Nenhum cartão encontrado para a tarefa ${taskData.id}`);
       }
@@ -3038,27 +4164,21 @@ class KanbanAgent {
    */
   async handleTaskMasterTaskCreated(taskData) {
     try {
-      // Buscar quadros ativos para adicionar a tarefa
-      const boards = await this.toolManager.executeTool('supabase:query', {
-        table: 'kanban_boards',
-        query: {
-          status: 'active'
-        }
-      });
-      
-      if (boards && boards.length > 0) {
-        // Adicionar a tarefa ao primeiro quadro ativo
-        // (pode ser adaptado para adicionar a quadros específicos baseado em metadata da tarefa)
-        const boardId = boards[0].id;
-        await this.createCardFromTaskMasterTask(taskData, boardId);
-        console.log(`Cartão criado no quadro ${boardId} para a tarefa ${taskData.id}`);
-      } else {
-        console.log('Nenhum quadro ativo encontrado para adicionar a tarefa');
+      // Tarefas já vinculadas (ex.: subtarefas reemitidas) não ganham outro cartão
+      const links = await this.taskSync.listLinks({ taskId: taskData.id });
+      if (links.length > 0) {
+        return;
       }
+      
+      // O quadro do TaskMaster tem uma coluna para cada status
+      const { id: boardId } = await this.getTaskMasterBoard();
+      await this.createCardFromTaskMasterTask(taskData, boardId);
+      console.log(`Cartão criado no quadro ${boardId} para a tarefa ${taskData.id}`);
     } catch (error) {
       console.error('Erro ao processar criação de tarefa do TaskMaster:', error);
     }
   }
 }
 
-module.exports = { KanbanAgent };
+export { KanbanAgent };
+export default KanbanAgent;
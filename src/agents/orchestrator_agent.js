@@ -3,6 +3,14 @@
 import ToolManager from '../utils/tool_manager.js';
 import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
+import {
+  getSpanStore,
+  getActiveTraceContext,
+  traceContextStorage,
+  generateTraceId,
+  generateSpanId
+} from '../utils/tracing.js';
+import { FlowEngine, FlowStateStore, loadFlowDefinition } from '../utils/flow_engine.js';
 
 /**
  * OrchestratorAgent
@@ -21,15 +29,32 @@ class OrchestratorAgent {
     this.logger = createLogger('OrchestratorAgent');
     this.metrics = createMetrics('OrchestratorAgent');
     
+    // Armazenamento persistente de spans
+    this.spanStore = this.config.spanStore || getSpanStore();
+    
+    // Motor de fluxos declarativos (.windsurf/flows) com estado persistido
+    this.flowEngine = new FlowEngine({
+      orchestrator: this,
+      stateStore: this.config.flowStateStore || new FlowStateStore(),
+      logger: this.logger
+    });
+    
     // Inicializar com contextos padrão
     this.toolManager.setActiveContexts(this.config.defaultContexts);
     
     // Registrar agentes
     this.agents = {};
+    
+    // Agentes envolvidos para rastreamento (nome -> Proxy)
+    this.tracedAgents = new Map();
   }
   
   /**
    * Inicializa o sistema e configura o ambiente
+   * 
+   * Ao final, retoma em segundo plano as execuções de fluxo que estavam em
+   * andamento (options.resumeFlows: false desativa); interruptedFlowsResumed
+   * resolve com o resultado de cada uma.
    */
   async initializeSystem(options = {}) {
     try {
@@ -72,6 +97,22 @@ class OrchestratorAgent {
       this.logger.info('Sistema inicializado com sucesso');
       this.metrics.increment('system.initialization.success');
       
+      // Retomar fluxos interrompidos (ex.: por um reinício) sem atrasar a inicialização
+      if (options.resumeFlows !== false) {
+        this.interruptedFlowsResumed = this.resumeInterruptedFlows()
+          .then(results => {
+            if (results.length > 0) {
+              const failed = results.filter(result => !result.success).length;
+              this.logger.info(`${results.length} fluxo(s) interrompido(s) retomado(s), ${failed} com falha`);
+            }
+            return results;
+          })
+          .catch(error => {
+            this.logger.error('Falha ao retomar fluxos interrompidos', { error });
+            return [];
+          });
+      }
+      
       return { success: true };
     } catch (error) {
       this.logger.error('Falha ao inicializar sistema', { error });
@@ -95,6 +136,7 @@ class OrchestratorAgent {
         
         // Instanciar agente
         this.agents[agentName] = new AgentClass(agentConfig.options);
+        this.tracedAgents.delete(agentName);
         
         // Inicializar agente
         if (typeof this.agents[agentName].initialize === 'function') {
@@ -113,17 +155,118 @@ class OrchestratorAgent {
   
   /**
    * Obtém uma instância de agente pelo nome
+   * 
+   * Dentro de uma operação rastreada (por exemplo, um fluxo), retorna o agente
+   * envolvido de forma que cada chamada de método gere um span filho.
    */
   getAgent(agentName) {
     if (!this.agents[agentName]) {
       throw new Error(`Agente não encontrado: ${agentName}`);
     }
     
-    return this.agents[agentName];
+    if (!getActiveTraceContext()) {
+      return this.agents[agentName];
+    }
+    
+    if (!this.tracedAgents.has(agentName)) {
+      this.tracedAgents.set(agentName, this.createTracedAgent(agentName, this.agents[agentName]));
+    }
+    
+    return this.tracedAgents.get(agentName);
+  }
+  
+  /**
+   * Envolve um agente para rastrear as chamadas de seus métodos
+   * 
+   * Qualquer função é rastreada (inclusive métodos comuns que retornam
+   * promessas): se o retorno for um thenable, o span termina quando ele
+   * se resolve; senão, o valor é devolvido sem alteração e o span termina
+   * na hora.
+   * @private
+   */
+  createTracedAgent(agentName, agent) {
+    return new Proxy(agent, {
+      get: (target, property, receiver) => {
+        const value = Reflect.get(target, property, receiver);
+        
+        // Propriedades, símbolos e o construtor são repassados sem alteração
+        if (typeof value !== 'function' || typeof property === 'symbol' || property === 'constructor') {
+          return value;
+        }
+        
+        return (...args) => {
+          const activeContext = getActiveTraceContext();
+          
+          if (!activeContext) {
+            return value.apply(target, args);
+          }
+          
+          return this.traceCall(
+            `${agentName}.${property}`,
+            () => value.apply(target, args),
+            {
+              ...activeContext,
+              tags: { 'nexus.agent': agentName, 'nexus.method': property }
+            }
+          );
+        };
+      }
+    });
+  }
+  
+  /**
+   * Executa uma chamada como span filho sem alterar seu retorno síncrono
+   * @private
+   */
+  traceCall(operationName, invoke, context) {
+    const span = {
+      traceId: context.traceId,
+      spanId: this.generateSpanId(),
+      parentSpanId: context.spanId,
+      operationName,
+      startTime: Date.now(),
+      tags: context.tags || {}
+    };
+    
+    // O fim do span só é gravado depois do início
+    const started = this.recordSpanStart(span);
+    const finish = (status, error) => {
+      const data = { status, endTime: Date.now() };
+      if (error) data.error = { message: error.message, stack: error.stack };
+      return started.then(() => this.recordSpanEnd(span, data));
+    };
+    
+    let result;
+    
+    try {
+      result = traceContextStorage.run({ traceId: span.traceId, spanId: span.spanId }, invoke);
+    } catch (error) {
+      finish('error', error);
+      throw error;
+    }
+    
+    if (result && typeof result.then === 'function') {
+      return Promise.resolve(result).then(
+        async value => {
+          await finish('success');
+          return value;
+        },
+        async error => {
+          await finish('error', error);
+          throw error;
+        }
+      );
+    }
+    
+    finish('success');
+    return result;
   }
   
   /**
    * Executa um fluxo de trabalho
+   * 
+   * Carrega a definição em .windsurf/flows/<flowType>_flow.js e a executa com o
+   * FlowEngine. O estado da execução é persistido e pode ser retomado com resumeFlow.
    */
   async executeFlow(options) {
     const { flowType, params } = options;
@@ -131,28 +274,122 @@ class OrchestratorAgent {
     this.logger.info(`Executando fluxo: ${flowType}`, { params });
     this.metrics.increment(`flow.${flowType}.start`);
     
+    let flowDefinition;
+    
     try {
       // Carregar definição do fluxo
-      const flowDefinition = require(`../../.windsurf/flows/${flowType}_flow`);
+      flowDefinition = await loadFlowDefinition(flowType, { flowsDir: this.config.flowsDir });
+    } catch (error) {
+      this.logger.error(`Falha ao carregar fluxo ${flowType}`, { error });
+      this.metrics.increment(`flow.${flowType}.failure`);
       
-      // Executar fluxo com rastreamento
+      throw error;
+    }
+    
+    const state = this.flowEngine.createRunState(flowType, params);
+    
+    return this.runFlow(flowDefinition, state);
+  }
+  
+  /**
+   * Retoma uma execução de fluxo interrompida ou falha a partir da última etapa concluída
+   * 
+   * A execução só é retomada se a concessão do processo que a rodava expirou;
+   * caso contrário falha com FLOW_RUN_LEASED.
+   */
+  async resumeFlow(runId) {
+    const current = await this.flowEngine.stateStore.load(runId);
+    
+    if (!current) {
+      throw new Error(`Execução de fluxo não encontrada: ${runId}`);
+    }
+    
+    if (!['running', 'failed'].includes(current.status)) {
+      throw new Error(`Execução de fluxo ${runId} não pode ser retomada (status: ${current.status})`);
+    }
+    
+    const state = await this.flowEngine.claim(runId);
+    
+    this.logger.info(`Retomando fluxo: ${state.flowType}`, { runId, currentStep: state.currentStep });
+    this.metrics.increment(`flow.${state.flowType}.resume`);
+    
+    const flowDefinition = await loadFlowDefinition(state.flowType, { flowsDir: this.config.flowsDir });
+    
+    return this.runFlow(flowDefinition, state);
+  }
+  
+  /**
+   * Retoma as execuções que estavam em andamento (por exemplo, após um reinício)
+   * 
+   * Execuções com concessão válida pertencem a outro processo ativo e são
+   * ignoradas, assim como as que outro processo assumir durante a retomada.
+   */
+  async resumeInterruptedFlows() {
+    const now = Date.now();
+    const interrupted = (await this.flowEngine.stateStore.list({ status: 'running' }))
+      .filter(state => !state.lease || Date.parse(state.lease.expiresAt) <= now);
+    const results = [];
+    
+    for (const state of interrupted) {
+      try {
+        results.push({ runId: state.runId, success: true, result: await this.resumeFlow(state.runId) });
+      } catch (error) {
+        if (error.code === 'FLOW_RUN_LEASED') continue;
+        results.push({ runId: state.runId, success: false, error: error.message });
+      }
+    }
+    
+    return results;
+  }
+  
+  /**
+   * Obtém o estado de uma execução de fluxo
+   */
+  async getFlowRun(runId) {
+    return this.flowEngine.stateStore.load(runId);
+  }
+  
+  /**
+   * Lista execuções de fluxo persistidas
+   */
+  async listFlowRuns(filters = {}) {
+    return this.flowEngine.stateStore.list(filters);
+  }
+  
+  /**
+   * Executa uma definição de fluxo com rastreamento
+   * @private
+   */
+  async runFlow(flowDefinition, state) {
+    const { flowType, runId } = state;
+    let traceId;
+    
+    try {
       const result = await this.tracedOperation(
         `flow.${flowType}`,
         async (context) => {
-          return await flowDefinition.execute({
-            orchestrator: this,
-            params,
-            context
-          });
-        }
+          traceId = context.traceId;
+          
+          // Fluxos imperativos legados
+          if (!flowDefinition.steps) {
+            return await flowDefinition.execute({
+              orchestrator: this,
+              params: state.params,
+              context
+            });
+          }
+          
+          return await this.flowEngine.run(flowDefinition, state, context);
+        },
+        { tags: { 'nexus.flow': flowType, 'nexus.flow.run_id': runId } }
       );
       
-      this.logger.info(`Fluxo ${flowType} concluído com sucesso`);
+      this.logger.info(`Fluxo ${flowType} concluído com sucesso`, { runId, traceId });
       this.metrics.increment(`flow.${flowType}.success`);
       
       return result;
     } catch (error) {
-      this.logger.error(`Falha ao executar fluxo ${flowType}`, { error });
+      this.logger.error(`Falha ao executar fluxo ${flowType}`, { error, runId, traceId });
       this.metrics.increment(`flow.${flowType}.failure`);
       
       throw error;
@@ -161,9 +398,13 @@ class OrchestratorAgent {
   
   /**
    * Executa uma operação com contextos específicos ativados
+   * 
+   * As ferramentas dos contextos ficam fixadas enquanto a operação está em
+   * andamento, para que não sejam removidas pelo limite de ferramentas.
    */
   async withContext(contexts, operation) {
     const previousContexts = this.toolManager.getActiveContexts();
+    const releaseTools = this.toolManager.pinTools(this.toolManager.getContextTools(contexts));
     
     try {
       // Ativar contextos adicionais
@@ -172,7 +413,8 @@ class OrchestratorAgent {
       // Executar operação
       return await operation();
     } finally {
-      // Restaurar contextos anteriores
+      // Liberar as ferramentas e restaurar contextos anteriores
+      releaseTools();
       this.toolManager.setActiveContexts(previousContexts);
     }
   }
@@ -357,6 +599,10 @@ class OrchestratorAgent {
   
   /**
    * Executa uma operação com rastreamento
+   * 
+   * O span é persistido no armazenamento de spans e fica ativo durante a
+   * operação, de modo que chamadas a agentes obtidos via getAgent e spans
+   * criados com tracer.createChildSpan sejam registrados como filhos.
    */
   async tracedOperation(operationName, operation, context = {}) {
     const traceId = context.traceId || this.generateTraceId();
@@ -376,19 +622,19 @@ class OrchestratorAgent {
       // Registrar início da operação
       await this.recordSpanStart(span);
       
-      // Executar operação com contexto de trace
-      const result = await operation({
+      // Executar operação com contexto de trace ativo
+      const result = await traceContextStorage.run({ traceId, spanId }, () => operation({
         ...context,
         traceId,
         spanId,
         tracer: {
-          createChildSpan: (childName) => this.tracedOperation(
+          createChildSpan: (childName, childOperation, tags = {}) => this.tracedOperation(
             childName,
-            (childContext) => childContext.operation(childContext),
-            { ...context, traceId, parentSpanId: spanId }
+            childOperation,
+            { traceId, spanId, tags }
           )
         }
-      });
+      }));
       
       // Registrar fim bem-sucedido
       await this.recordSpanEnd(span, {
@@ -413,17 +659,17 @@ class OrchestratorAgent {
   }
   
   /**
-   * Gera um ID de rastreamento
+   * Gera um ID de rastreamento (formato OpenTelemetry)
    */
   generateTraceId() {
-    return `trace-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+    return generateTraceId();
   }
   
   /**
-   * Gera um ID de span
+   * Gera um ID de span (formato OpenTelemetry)
    */
   generateSpanId() {
-    return `span-${Date.now()}-${Math.random().toString(36).substring(2, 15)}`;
+    return generateSpanId();
   }
   
   /**
@@ -432,7 +678,13 @@ class OrchestratorAgent {
   async recordSpanStart(span) {
     this.logger.debug('Span iniciado', { span });
     
-    // Aqui poderia persistir em um sistema de rastreamento distribuído
+    try {
+      await this.spanStore.recordStart(span);
+    } catch (error) {
+      // Falhas de persistência não devem interromper a operação rastreada
+      this.logger.warn('Falha ao persistir início do span', { spanId: span.spanId, error: error.message });
+    }
+    
     return { success: true };
   }
   
@@ -442,7 +694,13 @@ class OrchestratorAgent {
   async recordSpanEnd(span, data) {
     this.logger.debug('Span finalizado', { span, data });
     
-    // Aqui poderia persistir em um sistema de rastreamento distribuído
+    try {
+      await this.spanStore.recordEnd(span, data);
+    } catch (error) {
+      // Falhas de persistência não devem interromper a operação rastreada
+      this.logger.warn('Falha ao persistir fim do span', { spanId: span.spanId, error: error.message });
+    }
+    
     return { success: true };
   }
 }
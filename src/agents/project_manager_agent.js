@@ -10,11 +10,10 @@
  * - Integração com TaskMaster para gerenciamento avançado de tarefas
  */
 
-const { ToolManager } = require('../utils/tool_manager');
-const { SecurityAgent } = require('./security_agent');
-const { exec } = require('child_process');
-const path = require('path');
-const fs = require('fs').promises;
+import { execFile } from 'child_process';
+import path from 'path';
+import ToolManager from '../utils/tool_manager.js';
+import SecurityAgent from './security_agent.js';
 
 class ProjectManagerAgent {
   constructor() {
@@ -122,10 +121,10 @@ class ProjectManagerAgent {
       const projectWithTemplate = this.applyProjectTemplate(sanitizedData);
       
       // Inserir projeto no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'projects',
         data: {
-          ...projectWithTemplate,
+          ...this.toProjectColumns(projectWithTemplate),
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString(),
           status: 'active'
@@ -185,7 +184,7 @@ class ProjectManagerAgent {
       }
       
       // Obter projeto atual
-      const currentProject = await this.toolManager.executeTool('supabase:query', {
+      const currentProject = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: projectId
       });
@@ -207,11 +206,11 @@ class ProjectManagerAgent {
       });
       
       // Atualizar projeto no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'projects',
         id: projectId,
         data: {
-          ...sanitizedData,
+          ...this.toProjectColumns(sanitizedData),
           updated_at: new Date().toISOString()
         }
       });
@@ -223,6 +222,11 @@ class ProjectManagerAgent {
       // Calcular alterações
       const changes = this.calculateChanges(currentProject, result);
       
+      // Dono e status (arquivado é somente leitura) alteram as decisões de acesso do projeto e dos recursos herdados
+      if (changes.owner_id || changes.status) {
+        this.securityAgent.invalidateAccessCache({ projectId });
+      }
+      
       // Emitir evento de projeto atualizado
       this.toolManager.emit('project:updated', {
         project: result,
@@ -254,6 +258,129 @@ class ProjectManagerAgent {
     }
   }
   
+  /**
+   * Adiciona um membro ao projeto ou atualiza o papel e as permissões de um membro existente
+   * @param {string} projectId - ID do projeto
+   * @param {Object} memberData - Dados do membro (userId, role e permissions, ex.: { can_write: true })
+   * @param {string} userId - ID do usuário realizando a alteração
+   * @returns {Promise<Object>} Registro do membro em project_members
+   * @throws {Error} Se a alteração falhar
+   */
+  async addProjectMember(projectId, memberData, userId) {
+    try {
+      // Validar permissões do usuário
+      const canUpdate = await this.securityAgent.authorizeAccess(
+        userId,
+        'project',
+        projectId,
+        'update'
+      );
+      
+      if (!canUpdate) {
+        throw new Error('Usuário não tem permissão para alterar os membros deste projeto');
+      }
+      
+      // Sanitizar e validar dados do membro
+      const sanitizedData = this.securityAgent.sanitizeInput(memberData, {
+        type: 'object',
+        required: ['userId'],
+        properties: {
+          userId: { type: 'string', minLength: 1 },
+          role: { type: 'string', enum: ['viewer', 'member', 'admin'] },
+          permissions: { type: 'object' }
+        }
+      });
+      
+      const data = {
+        project_id: projectId,
+        user_id: sanitizedData.userId,
+        role: sanitizedData.role || 'member',
+        permissions: sanitizedData.permissions || {},
+        status: 'active',
+        updated_at: new Date().toISOString()
+      };
+      
+      // Reativar o vínculo existente (inclusive de um membro removido) em vez de duplicá-lo
+      const [existing] = await this.toolManager.callTool('supabase:query', {
+        table: 'project_members',
+        filters: {
+          project_id: projectId,
+          user_id: sanitizedData.userId
+        }
+      }) || [];
+      
+      const member = existing
+        ? await this.toolManager.callTool('supabase:update', { table: 'project_members', id: existing.id, data })
+        : await this.toolManager.callTool('supabase:insert', {
+          table: 'project_members',
+          data: { ...data, created_at: data.updated_at }
+        });
+      
+      if (!member) {
+        throw new Error('Falha ao gravar membro do projeto no banco de dados');
+      }
+      
+      // O papel do membro vale para o projeto e para os recursos que o herdam
+      this.securityAgent.invalidateAccessCache({ userId: sanitizedData.userId, projectId });
+      
+      return member;
+    } catch (error) {
+      console.error('Erro ao adicionar membro ao projeto:', error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Remove um membro do projeto (o vínculo fica com status removed)
+   * @param {string} projectId - ID do projeto
+   * @param {string} memberId - ID do usuário a ser removido
+   * @param {string} userId - ID do usuário realizando a alteração
+   * @returns {Promise<boolean>} Indica se o usuário era membro do projeto
+   * @throws {Error} Se a remoção falhar
+   */
+  async removeProjectMember(projectId, memberId, userId) {
+    try {
+      // Validar permissões do usuário
+      const canUpdate = await this.securityAgent.authorizeAccess(
+        userId,
+        'project',
+        projectId,
+        'update'
+      );
+      
+      if (!canUpdate) {
+        throw new Error('Usuário não tem permissão para alterar os membros deste projeto');
+      }
+      
+      const memberships = await this.toolManager.callTool('supabase:query', {
+        table: 'project_members',
+        filters: {
+          project_id: projectId,
+          user_id: memberId,
+          status: 'active'
+        }
+      }) || [];
+      
+      for (const membership of memberships) {
+        await this.toolManager.callTool('supabase:update', {
+          table: 'project_members',
+          id: membership.id,
+          data: {
+            status: 'removed',
+            updated_at: new Date().toISOString()
+          }
+        });
+      }
+      
+      this.securityAgent.invalidateAccessCache({ userId: memberId, projectId });
+      
+      return memberships.length > 0;
+    } catch (error) {
+      console.error('Erro ao remover membro do projeto:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Cria uma nova tarefa em um projeto
    * @param {string} projectId - ID do projeto
@@ -305,7 +432,7 @@ class ProjectManagerAgent {
       });
       
       // Inserir tarefa no banco de dados
-      const result = await this.toolManager.executeTool('supabase:insert', {
+      const result = await this.toolManager.callTool('supabase:insert', {
         table: 'tasks',
         data: {
           project_id: projectId,
@@ -381,7 +508,7 @@ class ProjectManagerAgent {
 
     try {
       // Obter tarefa atual
-      const currentTask = await this.toolManager.executeTool('supabase:query', {
+      const currentTask = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         id: taskId
       });
@@ -418,7 +545,7 @@ class ProjectManagerAgent {
       });
       
       // Atualizar tarefa no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'tasks',
         id: taskId,
         data: {
@@ -495,7 +622,7 @@ class ProjectManagerAgent {
   async assignTask(taskId, userId, assignerId) {
     try {
       // Obter tarefa atual
-      const currentTask = await this.toolManager.executeTool('supabase:query', {
+      const currentTask = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         id: taskId
       });
@@ -524,7 +651,7 @@ class ProjectManagerAgent {
       }
       
       // Atualizar tarefa no banco de dados
-      const result = await this.toolManager.executeTool('supabase:update', {
+      const result = await this.toolManager.callTool('supabase:update', {
         table: 'tasks',
         id: taskId,
         data: {
@@ -595,7 +722,7 @@ class ProjectManagerAgent {
       }
       
       // Obter projeto
-      const project = await this.toolManager.executeTool('supabase:query', {
+      const project = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: projectId
       });
@@ -605,7 +732,7 @@ class ProjectManagerAgent {
       }
       
       // Obter tarefas do projeto
-      const tasks = await this.toolManager.executeTool('supabase:query', {
+      const tasks = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         filters: {
           project_id: projectId
@@ -696,7 +823,7 @@ class ProjectManagerAgent {
       }
       
       // Obter projeto
-      const project = await this.toolManager.executeTool('supabase:query', {
+      const project = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: projectId
       });
@@ -741,6 +868,39 @@ class ProjectManagerAgent {
     }
   }
   
+  /**
+   * Lista os projetos dos quais o usuário participa
+   * @param {Object} filters - Filtros (status, padrão active)
+   * @param {string} userId - ID do usuário solicitando a lista
+   * @returns {Promise<Array>} Projetos
+   * @throws {Error} Se a listagem falhar
+   */
+  async listProjects(filters = {}, userId) {
+    try {
+      const projects = await this.toolManager.callTool('supabase:query', {
+        table: 'projects',
+        filters: {
+          status: filters.status || 'active'
+        },
+        order: {
+          created_at: 'desc'
+        }
+      });
+      
+      const visible = [];
+      for (const project of projects || []) {
+        if (await this.securityAgent.authorizeAccess(userId, 'project', project.id, 'read')) {
+          visible.push(project);
+        }
+      }
+      
+      return visible;
+    } catch (error) {
+      console.error('Erro ao listar projetos:', error);
+      throw error;
+    }
+  }
+  
   /**
    * Aplica um template a um novo projeto
    * @private
@@ -783,6 +943,31 @@ class ProjectManagerAgent {
     }
   }
   
+  /**
+   * Converte os campos da API de projetos para as colunas da tabela projects
+   * @private
+   * @param {Object} projectData - Dados do projeto (owner, startDate, endDate...)
+   * @returns {Object} Registro com owner_id, start_date e end_date
+   */
+  toProjectColumns(projectData) {
+    const { owner, startDate, endDate, ...fields } = projectData;
+    const record = { ...fields };
+    
+    if (owner !== undefined) {
+      record.owner_id = owner;
+    }
+    
+    if (startDate !== undefined) {
+      record.start_date = startDate;
+    }
+    
+    if (endDate !== undefined) {
+      record.end_date = endDate;
+    }
+    
+    return record;
+  }
+  
   /**
    * Calcula as alterações entre duas versões de um objeto
    * @private
@@ -839,7 +1024,7 @@ class ProjectManagerAgent {
    */
   async getProjectMembers(projectId) {
     try {
-      return await this.toolManager.executeTool('supabase:query', {
+      return await this.toolManager.callTool('supabase:query', {
         table: 'project_members',
         filters: {
           project_id: projectId,
@@ -862,7 +1047,7 @@ class ProjectManagerAgent {
   async isProjectMember(projectId, userId) {
     try {
       // Obter projeto
-      const project = await this.toolManager.executeTool('supabase:query', {
+      const project = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: projectId
       });
@@ -877,7 +1062,7 @@ class ProjectManagerAgent {
       }
       
       // Verificar se o usuário é membro
-      const membership = await this.toolManager.executeTool('supabase:query', {
+      const membership = await this.toolManager.callTool('supabase:query', {
         table: 'project_members',
         filters: {
           project_id: projectId,
@@ -957,7 +1142,7 @@ class ProjectManagerAgent {
   async createGitHubIssueForTask(task) {
     try {
       // Verificar se a integração com GitHub está habilitada para o projeto
-      const project = await this.toolManager.executeTool('supabase:query', {
+      const project = await this.toolManager.callTool('supabase:query', {
         table: 'projects',
         id: task.project_id
       });
@@ -967,7 +1152,7 @@ class ProjectManagerAgent {
       }
       
       // Obter repositório associado ao projeto
-      const repository = await this.toolManager.executeTool('supabase:query', {
+      const repository = await this.toolManager.callTool('supabase:query', {
         table: 'repositories',
         filters: {
           project_id: task.project_id,
@@ -980,7 +1165,7 @@ class ProjectManagerAgent {
       }
       
       // Criar issue no GitHub
-      const issueResult = await this.toolManager.executeTool('github:issues:create', {
+      const issueResult = await this.toolManager.callTool('github:issues:create', {
         owner: repository[0].owner,
         repo: repository[0].name,
         title: task.title,
@@ -1021,7 +1206,7 @@ class ProjectManagerAgent {
       }
       
       // Obter repositório associado ao projeto
-      const repository = await this.toolManager.executeTool('supabase:query', {
+      const repository = await this.toolManager.callTool('supabase:query', {
         table: 'repositories',
         filters: {
           project_id: task.project_id,
@@ -1087,7 +1272,7 @@ class ProjectManagerAgent {
       }
       
       // Obter repositório associado ao projeto
-      const repository = await this.toolManager.executeTool('supabase:query', {
+      const repository = await this.toolManager.callTool('supabase:query', {
         table: 'repositories',
         filters: {
           project_id: task.project_id,
@@ -1100,7 +1285,7 @@ class ProjectManagerAgent {
       }
       
       // Obter nome de usuário do GitHub para o usuário
-      const user = await this.toolManager.executeTool('supabase:query', {
+      const user = await this.toolManager.callTool('supabase:query', {
         table: 'user_profiles',
         filters: {
           user_id: userId
@@ -1133,7 +1318,7 @@ class ProjectManagerAgent {
   async generateProgressReport(project) {
     try {
       // Obter tarefas do projeto
-      const tasks = await this.toolManager.executeTool('supabase:query', {
+      const tasks = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         filters: {
           project_id: project.id
@@ -1203,7 +1388,7 @@ class ProjectManagerAgent {
       const members = await this.getProjectMembers(project.id);
       
       // Obter tarefas do projeto
-      const tasks = await this.toolManager.executeTool('supabase:query', {
+      const tasks = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         filters: {
           project_id: project.id
@@ -1275,7 +1460,7 @@ class ProjectManagerAgent {
   async generateDeadlinesReport(project) {
     try {
       // Obter tarefas do projeto
-      const tasks = await this.toolManager.executeTool('supabase:query', {
+      const tasks = await this.toolManager.callTool('supabase:query', {
         table: 'tasks',
         filters: {
           project_id: project.id
@@ -1375,7 +1560,7 @@ class ProjectManagerAgent {
   async calculateProgressOverTime(projectId) {
     try {
       // Obter histórico de atualizações de tarefas
-      const taskHistory = await this.toolManager.executeTool('supabase:query', {
+      const taskHistory = await this.toolManager.callTool('supabase:query', {
         table: 'task_history',
         filters: {
           project_id: projectId
@@ -1645,10 +1830,20 @@ class ProjectManagerAgent {
     try {
       const { title, description, priority, details, dependencies } = taskData;
       
-      // Preparar comando para o TaskMaster
-      const dependenciesStr = dependencies && dependencies.length > 0 ? 
-        `--dependencies="${dependencies.join(',')}"` : '';
-      const command = `npx task-master add-task --title="${title}" --description="${description}" --priority="${priority}" --details="${details}" ${dependenciesStr}`;
+      // Preparar argumentos para o TaskMaster
+      const command = ['add-task', `--title=${title}`, `--description=${description || ''}`];
+      
+      if (priority) {
+        command.push(`--priority=${priority}`);
+      }
+      
+      if (details) {
+        command.push(`--details=${details}`);
+      }
+      
+      if (dependencies && dependencies.length > 0) {
+        command.push(`--dependencies=${dependencies.join(',')}`);
+      }
       
       // Executar comando do TaskMaster
       const taskResult = await this.executeTaskMasterCommand(command);
@@ -1688,7 +1883,7 @@ class ProjectManagerAgent {
       
       // Se estiver atualizando o status
       if (status) {
-        const command = `npx task-master set-status --id=${taskId} --status="${status}"`;
+        const command = ['set-status', `--id=${taskId}`, `--status=${status}`];
         await this.executeTaskMasterCommand(command);
       }
       
@@ -1717,7 +1912,7 @@ class ProjectManagerAgent {
    */
   async getTaskWithTaskMaster(taskId) {
     try {
-      const command = `npx task-master get-task --id=${taskId} --json`;
+      const command = ['get-task', `--id=${taskId}`, '--json'];
       const taskResult = await this.executeTaskMasterCommand(command);
       
       return taskResult;
@@ -1735,10 +1930,10 @@ class ProjectManagerAgent {
   async listTasksWithTaskMaster(filters = {}) {
     try {
       const { status } = filters;
-      let command = 'npx task-master get-tasks --json';
+      const command = ['get-tasks', '--json'];
       
       if (status) {
-        command += ` --status="${status}"`;
+        command.push(`--status=${status}`);
       }
       
       const tasksResult = await this.executeTaskMasterCommand(command);
@@ -1750,14 +1945,78 @@ class ProjectManagerAgent {
   }
   
   /**
-   * Executa um comando do TaskMaster e processa o resultado
-   * @param {string} command - Comando a ser executado
+   * Importa tarefas já gravadas no TaskMaster como tarefas do projeto
+   *
+   * Diferente de createTask, não executa o CLI (as tarefas já existem em
+   * tasks.json): cada tarefa ganha um registro no projeto com `taskmaster_id`,
+   * a partir do qual KanbanAgent.syncBoardWithProject cria os cartões.
+   * @param {string} projectId - ID do projeto
+   * @param {Array<Object>} tasks - Tarefas do TaskMaster ({ id, title, description, priority, status, tags })
+   * @param {string} userId - ID do usuário que está importando
+   * @returns {Promise<Array<Object>>} Tarefas importadas ({ id, taskmasterId })
+   * @throws {Error} Se o usuário não tiver permissão ou a gravação falhar
+   */
+  async importTaskMasterTasks(projectId, tasks, userId) {
+    const canCreate = await this.securityAgent.authorizeAccess(
+      userId,
+      'project',
+      projectId,
+      'write'
+    );
+    
+    if (!canCreate) {
+      throw new Error('Usuário não tem permissão para criar tarefas neste projeto');
+    }
+    
+    // Status do TaskMaster para os status de tarefas do projeto
+    const statusMap = {
+      'in-progress': 'in_progress',
+      'review': 'review',
+      'done': 'done'
+    };
+    
+    const imported = [];
+    
+    for (const task of tasks) {
+      const now = new Date().toISOString();
+      const result = await this.toolManager.callTool('supabase:insert', {
+        table: 'tasks',
+        data: {
+          project_id: projectId,
+          taskmaster_id: String(task.id),
+          title: task.title,
+          description: task.description || '',
+          priority: task.priority || 'medium',
+          tags: task.tags || [],
+          status: statusMap[task.status] || 'todo',
+          created_by: userId,
+          created_at: now,
+          updated_at: now
+        }
+      });
+      
+      if (!result || !result.id) {
+        throw new Error(`Falha ao importar a tarefa ${task.id} do TaskMaster`);
+      }
+      
+      imported.push({ id: result.id, taskmasterId: String(task.id) });
+    }
+    
+    return imported;
+  }
+  
+  /**
+   * Executa um comando do CLI task-master (sem shell) e processa o resultado
+   * @param {Array<string>} args - Comando e argumentos (ex.: ['get-task', '--id=3'])
    * @returns {Promise<Object>} - Resultado do comando
    * @private
    */
-  executeTaskMasterCommand(command) {
+  executeTaskMasterCommand(args) {
     return new Promise((resolve, reject) => {
-      exec(command, { cwd: this.taskMasterPath }, (error, stdout, stderr) => {
+      execFile('npx', ['task-master', ...args], {
+        cwd: this.taskMasterPath,
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
         if (error) {
           console.error(`Erro ao executar comando TaskMaster: ${error.message}`);
           console.error(`stderr: ${stderr}`);
@@ -1781,4 +2040,5 @@ class ProjectManagerAgent {
   }
 }
 
-module.exports = { ProjectManagerAgent };
+export { ProjectManagerAgent };
+export default ProjectManagerAgent;
@@ -11,10 +11,62 @@
  */
 
 import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
 import jwt from 'jsonwebtoken';
 import ToolManager from '../utils/tool_manager.js';
 import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
+import { AccessPolicyEngine, DEFAULT_ACCESS_POLICY_FILE, loadAccessPolicy } from '../utils/access_policy.js';
+import { validateSchema } from '../utils/json_schema.js';
+
+/**
+ * Remove tags HTML e caracteres de controle das strings de um valor
+ * @param {*} value - Valor a ser sanitizado (strings, listas e objetos)
+ * @returns {*} Valor sanitizado
+ */
+function sanitizeValue(value) {
+  if (typeof value === 'string') {
+    return value.replace(/<[^>]*>/g, '').replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+  }
+  
+  if (Array.isArray(value)) {
+    return value.map(sanitizeValue);
+  }
+  
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, sanitizeValue(item)]));
+  }
+  
+  return value;
+}
+
+// Identidade dos processos internos (automações, sincronizações, planos de PRD).
+// O papel de sistema só é concedido dentro de runAsSystem: um userId "system"
+// vindo da API, do terminal ou do MCP é negado
+export const SYSTEM_USER_ID = 'system';
+const systemContext = new AsyncLocalStorage();
+
+/**
+ * Executa uma operação como processo interno: as autorizações de SYSTEM_USER_ID
+ * feitas nela (inclusive nas chamadas assíncronas) recebem o papel de sistema
+ * @param {Function} operation - Operação (síncrona ou assíncrona)
+ * @returns {*} Resultado da operação
+ */
+export function runAsSystem(operation) {
+  return systemContext.run(true, operation);
+}
+
+/**
+ * Indica se o código atual executa dentro de runAsSystem
+ * @returns {boolean}
+ */
+export function isSystemContext() {
+  return systemContext.getStore() === true;
+}
+
+// Motores de política de todos os SecurityAgents do processo: cada agente cria o
+// seu, e uma alteração de membros ou do dono precisa invalidar o cache de todos
+const accessPolicyEngines = new Set();
 
 class SecurityAgent {
   constructor() {
@@ -26,6 +78,14 @@ class SecurityAgent {
     this.mfaEnabled = process.env.MFA_ENABLED === 'true';
     this.sessionTimeout = parseInt(process.env.SESSION_TIMEOUT || '3600', 10);
     
+    // Política de acesso (RBAC) carregada na inicialização; uma política inválida impede o início
+    this.accessPolicyFile = process.env.ACCESS_POLICY_FILE || DEFAULT_ACCESS_POLICY_FILE;
+    this.accessPolicy = new AccessPolicyEngine({
+      policy: loadAccessPolicy(this.accessPolicyFile),
+      query: this.queryRecords.bind(this)
+    });
+    accessPolicyEngines.add(this.accessPolicy);
+    
     // Inicializar ferramentas necessárias
     this.initializeTools();
     
@@ -85,7 +145,7 @@ class SecurityAgent {
       });
       
       // Validar credenciais usando Supabase
-      const authResult = await this.toolManager.executeTool('supabase:auth:signIn', {
+      const authResult = await this.toolManager.callTool('supabase:auth:signIn', {
         email: credentials.email,
         password: credentials.password
       });
@@ -135,14 +195,20 @@ class SecurityAgent {
   }
   
   /**
-   * Verifica se um usuário tem permissão para realizar uma ação em um recurso
+   * Verifica se um usuário tem permissão para realizar uma ação em um recurso,
+   * segundo a política de acesso (.windsurf/policies/access.json ou ACCESS_POLICY_FILE).
+   * SYSTEM_USER_ID só é autorizado dentro de runAsSystem
    * @param {string} userId - ID do usuário
-   * @param {string} resourceType - Tipo de recurso (documento, projeto, etc.)
-   * @param {string} resourceId - ID do recurso
-   * @param {string} action - Ação a ser realizada (ler, escrever, excluir, etc.)
-   * @returns {Promise<boolean>} Indica se o acesso é permitido
+   * @param {string} resourceType - Tipo de recurso (project, document, kanban_board, dashboard, etc.)
+   * @param {string} resourceId - ID do recurso (null para a coleção, ex.: criar ou listar)
+   * @param {string} action - Ação a ser realizada (read, create, write, update, delete, use, etc.)
+   * @param {Object} options - Opções
+   * @param {boolean} options.explain - Retorna a decisão com o motivo em vez de um booleano
+   * @returns {Promise<boolean|Object>} Indica se o acesso é permitido (ou a decisão, com explain)
    */
-  async authorizeAccess(userId, resourceType, resourceId, action) {
+  async authorizeAccess(userId, resourceType, resourceId, action, options = {}) {
+    let decision;
+    
     try {
       // Registrar verificação de autorização
       this.toolManager.emit('security:authorization_check', {
@@ -152,38 +218,78 @@ class SecurityAgent {
         timestamp: new Date().toISOString()
       });
       
-      // Verificar permissões no banco de dados
-      let isAuthorized = false;
-      
-      switch (resourceType) {
-        case 'document':
-          isAuthorized = await this.checkDocumentPermission(userId, resourceId, action);
-          break;
-        case 'project':
-          isAuthorized = await this.checkProjectPermission(userId, resourceId, action);
-          break;
-        case 'repository':
-          isAuthorized = await this.checkRepositoryPermission(userId, resourceId, action);
-          break;
-        default:
-          isAuthorized = false;
-      }
-      
-      // Registrar resultado da autorização
-      this.toolManager.executeTool('logging:securityEvent', {
-        event: 'authorization_check',
-        user: userId,
-        resource: `${resourceType}:${resourceId}`,
-        action,
-        success: isAuthorized,
-        timestamp: new Date().toISOString()
-      });
-      
-      return isAuthorized;
+      decision = await this.accessPolicy.decide({ userId, resourceType, resourceId, action, system: isSystemContext() });
     } catch (error) {
       console.error('Erro ao verificar autorização:', error);
-      return false;
+      decision = {
+        allowed: false,
+        effect: 'deny',
+        userId,
+        resourceType,
+        resourceId,
+        action,
+        reason: `Erro ao verificar autorização: ${error.message}`,
+        rule: null,
+        roles: [],
+        projectId: null,
+        cached: false
+      };
+    }
+    
+    this.metrics.increment('security.authorization', 1, { result: decision.allowed ? 'allowed' : 'denied' });
+    
+    // Registrar resultado da autorização
+    this.toolManager.executeTool('logging:securityEvent', {
+      event: 'authorization_check',
+      user: userId,
+      resource: `${resourceType}:${resourceId}`,
+      action,
+      success: decision.allowed,
+      reason: decision.reason,
+      timestamp: new Date().toISOString()
+    });
+    
+    return options.explain ? decision : decision.allowed;
+  }
+  
+  /**
+   * Explica a decisão de acesso: papéis do usuário, regra aplicada e motivo
+   * @param {string} userId - ID do usuário
+   * @param {string} resourceType - Tipo de recurso
+   * @param {string} resourceId - ID do recurso (null para a coleção)
+   * @param {string} action - Ação a ser realizada
+   * @returns {Promise<Object>} Decisão ({ allowed, effect, reason, rule, roles, projectId, cached })
+   */
+  async explainAccess(userId, resourceType, resourceId, action) {
+    return this.authorizeAccess(userId, resourceType, resourceId, action, { explain: true });
+  }
+  
+  /**
+   * Recarrega a política de acesso e limpa o cache de decisões
+   * @param {string} file - Arquivo da política (padrão: o carregado na inicialização)
+   * @returns {Object} Resumo da política (papéis, recursos e cache)
+   * @throws {AccessPolicyError} Se a política for inválida (a atual é mantida)
+   */
+  reloadAccessPolicy(file = this.accessPolicyFile) {
+    this.accessPolicy.setPolicy(loadAccessPolicy(file));
+    this.accessPolicyFile = file;
+    this.logger.info(`Política de acesso recarregada de ${file}`);
+    
+    return { file, ...this.accessPolicy.describe() };
+  }
+  
+  /**
+   * Remove decisões do cache de autorização de todos os SecurityAgents do processo
+   * (ex.: após mudar membros, o dono ou o status de um projeto)
+   * @param {Object} filter - Filtro (userId, resourceType, resourceId, projectId); vazio limpa tudo
+   * @returns {number} Número de decisões removidas
+   */
+  invalidateAccessCache(filter = {}) {
+    let removed = 0;
+    for (const engine of accessPolicyEngines) {
+      removed += engine.invalidate(filter);
     }
+    return removed;
   }
   
   /**
@@ -231,18 +337,13 @@ class SecurityAgent {
   sanitizeInput(input, schema) {
     try {
       // Sanitizar entrada para prevenir XSS e injeção
-      const sanitizedInput = this.toolManager.executeTool('validation:sanitizeInput', {
-        input
-      });
+      const sanitizedInput = sanitizeValue(input);
       
       // Validar contra schema
-      const validationResult = this.toolManager.executeTool('validation:validateSchema', {
-        data: sanitizedInput,
-        schema
-      });
+      const errors = validateSchema(schema, sanitizedInput, 'input');
       
-      if (!validationResult.valid) {
-        throw new Error(`Validação falhou: ${validationResult.errors.join(', ')}`);
+      if (errors.length > 0) {
+        throw new Error(`Validação falhou: ${errors.join(', ')}`);
       }
       
       return sanitizedInput;
@@ -261,7 +362,7 @@ class SecurityAgent {
   async generateSecurityReport(startDate, endDate) {
     try {
       // Buscar eventos de segurança no período especificado
-      const securityEvents = await this.toolManager.executeTool('logging:auditTrail', {
+      const securityEvents = await this.toolManager.callTool('logging:auditTrail', {
         startDate,
         endDate,
         eventTypes: [
@@ -346,117 +447,15 @@ class SecurityAgent {
   }
   
   /**
-   * Verifica permissões de acesso a documentos
-   * @private
-   * @param {string} userId - ID do usuário
-   * @param {string} documentId - ID do documento
-   * @param {string} action - Ação a ser realizada
-   * @returns {Promise<boolean>} Indica se o acesso é permitido
-   */
-  async checkDocumentPermission(userId, documentId, action) {
-    // Implementação específica para verificar permissões de documentos
-    // Consulta o banco de dados para verificar se o usuário tem a permissão necessária
-    
-    // Exemplo simplificado:
-    const document = await this.toolManager.executeTool('supabase:query', {
-      table: 'document_metadata',
-      id: documentId
-    });
-    
-    if (!document) {
-      return false;
-    }
-    
-    // Verificar se o usuário é o autor
-    if (document.author_id === userId) {
-      return true;
-    }
-    
-    // Verificar permissões do projeto
-    return this.checkProjectPermission(userId, document.project_id, action);
-  }
-  
-  /**
-   * Verifica permissões de acesso a projetos
-   * @private
-   * @param {string} userId - ID do usuário
-   * @param {string} projectId - ID do projeto
-   * @param {string} action - Ação a ser realizada
-   * @returns {Promise<boolean>} Indica se o acesso é permitido
-   */
-  async checkProjectPermission(userId, projectId, action) {
-    // Implementação específica para verificar permissões de projetos
-    
-    // Exemplo simplificado:
-    const project = await this.toolManager.executeTool('supabase:query', {
-      table: 'projects',
-      id: projectId
-    });
-    
-    if (!project) {
-      return false;
-    }
-    
-    // Verificar se o usuário é o proprietário
-    if (project.owner_id === userId) {
-      return true;
-    }
-    
-    // Verificar se o usuário é membro do projeto
-    const membership = await this.toolManager.executeTool('supabase:query', {
-      table: 'project_members',
-      filters: {
-        project_id: projectId,
-        user_id: userId
-      }
-    });
-    
-    if (!membership) {
-      return false;
-    }
-    
-    // Verificar papel e permissões específicas
-    switch (action) {
-      case 'read':
-        // Qualquer membro pode ler
-        return true;
-      case 'write':
-      case 'update':
-        // Apenas admin ou owner podem escrever/atualizar
-        return ['owner', 'admin'].includes(membership.role) || 
-               (membership.permissions && membership.permissions.can_write);
-      case 'delete':
-        // Apenas owner pode excluir
-        return membership.role === 'owner' || 
-               (membership.permissions && membership.permissions.can_delete);
-      default:
-        return false;
-    }
-  }
-  
-  /**
-   * Verifica permissões de acesso a repositórios
+   * Consulta registros para a política de acesso
    * @private
-   * @param {string} userId - ID do usuário
-   * @param {string} repositoryId - ID do repositório
-   * @param {string} action - Ação a ser realizada
-   * @returns {Promise<boolean>} Indica se o acesso é permitido
+   * @param {string} table - Tabela
+   * @param {Object} filters - Filtros de igualdade
+   * @returns {Promise<Array<Object>>} Registros encontrados
+   * @throws {ToolExecutionError} Se a consulta falhar
    */
-  async checkRepositoryPermission(userId, repositoryId, action) {
-    // Implementação específica para verificar permissões de repositórios
-    
-    // Exemplo simplificado:
-    const repository = await this.toolManager.executeTool('supabase:query', {
-      table: 'repositories',
-      id: repositoryId
-    });
-    
-    if (!repository) {
-      return false;
-    }
-    
-    // Verificar permissões do projeto ao qual o repositório pertence
-    return this.checkProjectPermission(userId, repository.project_id, action);
+  async queryRecords(table, filters) {
+    return this.toolManager.callTool('supabase:query', { table, filters });
   }
   
   /**
@@ -627,7 +626,6 @@ class SecurityAgent {
    */
   handleAuthorizationCheck(data) {
     // Implementação do handler para eventos de autorização
-    console.log('Verificação de autorização:', data);
     
     // Verificar padrões suspeitos (exemplo: muitas tentativas de acesso a recursos restritos)
   }
@@ -7,6 +7,8 @@
 
 import express from 'express';
 import taskMasterAPI from './taskmaster_api.js';
+import tracingAPI from './tracing_api.js';
+import metricsAPI from './metrics_api.js';
 import { createLogger } from '../utils/logger.js';
 
 class APIRoutes {
@@ -26,7 +28,7 @@ class APIRoutes {
   initializeRoutes() {
     // Middleware de log para todas as requisições
     this.router.use((req, res, next) => {
-      this.logger.debug(`${req.method} ${req.originalUrl}`);
+      (req.logger || this.logger).debug(`${req.method} ${req.originalUrl}`);
       next();
     });
     
@@ -38,7 +40,11 @@ class APIRoutes {
         endpoints: [
           '/api/taskmaster/tasks',
           '/api/taskmaster/tasks/:id',
-          '/api/taskmaster/next-task'
+          '/api/taskmaster/next-task',
+          '/api/events',
+          '/api/traces',
+          '/api/traces/:traceId',
+          '/api/metrics'
         ]
       });
     });
@@ -46,6 +52,12 @@ class APIRoutes {
     // Registrar rotas do TaskMaster
     this.router.use('/taskmaster', taskMasterAPI.getRouter());
     
+    // Registrar rotas de rastreamento
+    this.router.use('/traces', tracingAPI.getRouter());
+    
+    // Registrar rotas de métricas
+    this.router.use('/metrics', metricsAPI.getRouter());
+    
     // Captura de erros para rotas não encontradas
     this.router.use('*', (req, res) => {
       res.status(404).json({
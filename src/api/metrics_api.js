@@ -0,0 +1,134 @@
+/**
+ * API de métricas do Nexus
+ * 
+ * Este arquivo implementa o endpoint REST com o snapshot JSON das
+ * métricas registradas pelos agentes e a exposição no formato do
+ * Prometheus (rota /metrics do servidor). As duas rotas exigem o token
+ * Bearer de NEXUS_METRICS_TOKEN (sem ele, recusam todas as requisições)
+ * e, como DashboardAgent.getMetrics, a permissão "read" em metrics:system
+ * para o usuário do token (NEXUS_METRICS_USER_ID).
+ */
+
+import express from 'express';
+import { timingSafeEqual } from 'crypto';
+import SecurityAgent from '../agents/security_agent.js';
+import { createLogger } from '../utils/logger.js';
+import { getMetricsRegistry, PROMETHEUS_CONTENT_TYPE } from '../utils/metrics.js';
+
+class MetricsAPI {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.authToken - Token Bearer exigido (padrão NEXUS_METRICS_TOKEN)
+   * @param {string} options.userId - Usuário verificado no RBAC (padrão NEXUS_METRICS_USER_ID ou 'metrics')
+   * @param {Object} options.securityAgent - SecurityAgent usado na autorização
+   */
+  constructor(options = {}) {
+    this.router = express.Router();
+    this.logger = createLogger('MetricsAPI');
+    this.authToken = options.authToken || process.env.NEXUS_METRICS_TOKEN || null;
+    this.userId = options.userId || process.env.NEXUS_METRICS_USER_ID || 'metrics';
+    this.securityAgent = options.securityAgent || null;
+    
+    this.authorize = this.authorize.bind(this);
+    this.getPrometheus = this.getPrometheus.bind(this);
+    
+    // Inicializar rotas
+    this.initializeRoutes();
+    
+    this.logger.info('API de métricas inicializada');
+  }
+  
+  /**
+   * Inicializa as rotas da API
+   */
+  initializeRoutes() {
+    // Rota para obter o snapshot das métricas
+    this.router.get('/', this.authorize, this.getSnapshot.bind(this));
+    
+    this.logger.info('Rotas da API de métricas registradas com sucesso');
+  }
+  
+  /**
+   * Obtém o snapshot JSON das métricas
+   * 
+   * Aceita os filtros `?component=DatabaseAgent` e `?name=query`.
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  getSnapshot(req, res) {
+    try {
+      const { component, name } = req.query;
+      res.json(getMetricsRegistry().snapshot({ component, name }));
+    } catch (error) {
+      this.logger.error(`Erro ao obter métricas: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  /**
+   * Exposição no formato de texto do Prometheus (rota /metrics do servidor,
+   * montada depois de authorize)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  getPrometheus(req, res) {
+    res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+    res.send(getMetricsRegistry().toPrometheus());
+  }
+  
+  /**
+   * Middleware que exige o token Bearer e a permissão de leitura das métricas
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   * @param {Function} next - Próximo handler
+   */
+  async authorize(req, res, next) {
+    if (!this.hasValidToken(req)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      res.status(401).json({ error: 'Token de acesso às métricas ausente ou inválido' });
+      return;
+    }
+    
+    try {
+      this.securityAgent = this.securityAgent || new SecurityAgent();
+      
+      if (!(await this.securityAgent.authorizeAccess(this.userId, 'metrics', 'system', 'read'))) {
+        res.status(403).json({ error: 'Usuário não tem permissão para acessar estas métricas' });
+        return;
+      }
+      
+      next();
+    } catch (error) {
+      this.logger.error(`Erro ao autorizar acesso às métricas: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  /**
+   * Verifica o token Bearer (sem token configurado nada é autorizado)
+   * @private
+   */
+  hasValidToken(req) {
+    if (!this.authToken) return false;
+    
+    const [scheme, token] = (req.get('authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+    
+    const expected = Buffer.from(this.authToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  }
+  
+  /**
+   * Retorna o roteador Express configurado
+   * @returns {Object} - Roteador Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+// Exportar como singleton
+const metricsAPI = new MetricsAPI();
+export { MetricsAPI };
+export default metricsAPI;
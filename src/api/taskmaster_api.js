@@ -2,15 +2,46 @@
  * API para integração do TaskMaster com o Nexus
  * 
  * Este arquivo implementa endpoints REST para gerenciar tarefas
- * do TaskMaster através da interface web do Nexus.
+ * do TaskMaster através da interface web do Nexus. As tarefas são lidas e
+ * gravadas diretamente em tasks/tasks.json (TaskStore); o CLI task-master
+ * é usado apenas na expansão de tarefas, que depende de IA. As rotas
+ * /prd/plans geram planos de tarefas a partir de um PRD (PrdPlanner).
  */
 
 import express from 'express';
-import { execSync } from 'child_process';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import { createLogger } from '../utils/logger.js';
-import { promises as fs } from 'fs';
-import path from 'path';
-import { TaskMasterEventEmitter } from '../../scripts/taskmaster/taskmaster_events.js';
+import { TaskStore, TaskStoreError, TASK_STATUSES, computeTaskEtag } from '../utils/task_store.js';
+import { toMermaid, toDot } from '../utils/task_graph.js';
+import { PrdPlanError } from '../utils/prd_plan.js';
+import { PrdPlanner, DEFAULT_PRD_FILE } from '../services/prd_planner.js';
+import { TaskExpansionError } from '../utils/task_expansion.js';
+import { ExpansionPolicy } from '../services/expansion_policy.js';
+import { taskMasterEvents } from '../../scripts/taskmaster/taskmaster_events.js';
+
+const execFileAsync = promisify(execFile);
+
+// Status HTTP para os códigos de erro do TaskStore, dos planos de PRD e da expansão de tarefas
+const ERROR_STATUS = {
+  TASK_NOT_FOUND: 404,
+  TASK_INVALID: 400,
+  TASK_CONFLICT: 409,
+  TASK_PRECONDITION_FAILED: 412,
+  TASK_LOCK_TIMEOUT: 503,
+  PRD_INVALID: 400,
+  PRD_PLAN_NOT_FOUND: 404,
+  PRD_PLAN_APPLIED: 409,
+  EXPANSION_INVALID: 400,
+  EXPANSION_NOT_NEEDED: 409,
+  EXPANSION_NOT_FOUND: 404,
+  EXPANSION_APPLIED: 409,
+  EXPANSION_STALE: 409,
+  COMPLEXITY_NOT_FOUND: 404
+};
+
+// Paginação da listagem (sem limit/cursor a listagem é completa)
+const MAX_PAGE_SIZE = 200;
 
 class TaskMasterAPI {
   constructor() {
@@ -18,7 +49,10 @@ class TaskMasterAPI {
     this.logger = createLogger('TaskMasterAPI');
     this.projectRoot = process.env.TASKMASTER_PATH || process.cwd();
     this.taskMasterEnabled = process.env.TASKMASTER_ENABLED === 'true';
-    this.eventEmitter = TaskMasterEventEmitter;
+    this.eventEmitter = taskMasterEvents;
+    this.store = new TaskStore({ projectRoot: this.projectRoot });
+    this.planner = new PrdPlanner({ projectRoot: this.projectRoot, store: this.store });
+    this.expansion = new ExpansionPolicy({ projectRoot: this.projectRoot, store: this.store });
     
     // Inicializar rotas
     this.initializeRoutes();
@@ -34,7 +68,8 @@ class TaskMasterAPI {
     this.router.use((req, res, next) => {
       if (!this.taskMasterEnabled) {
         return res.status(503).json({
-          error: 'TaskMaster não está habilitado. Configure TASKMASTER_ENABLED=true no arquivo .env'
+          error: 'TaskMaster não está habilitado. Configure TASKMASTER_ENABLED=true no arquivo .env',
+          code: 'TASKMASTER_DISABLED'
         });
       }
       next();
@@ -43,36 +78,70 @@ class TaskMasterAPI {
     // Rota para listar tarefas
     this.router.get('/tasks', this.listTasks.bind(this));
     
-    // Rota para obter detalhes de uma tarefa
+    // Rota para obter detalhes de uma tarefa ou subtarefa ("3" ou "3.2")
     this.router.get('/tasks/:id', this.getTask.bind(this));
     
     // Rota para criar uma nova tarefa
     this.router.post('/tasks', this.createTask.bind(this));
     
-    // Rota para atualizar o status de uma tarefa
+    // Rotas para alterar e remover tarefas ou subtarefas (If-Match opcional)
+    this.router.patch('/tasks/:id', this.updateTask.bind(this));
+    this.router.delete('/tasks/:id', this.deleteTask.bind(this));
+    
+    // Rota para criar uma subtarefa
+    this.router.post('/tasks/:id/subtasks', this.createSubtask.bind(this));
+    
+    // Rota para transição de status de uma tarefa ou subtarefa
     this.router.patch('/tasks/:id/status', this.updateTaskStatus.bind(this));
     
     // Rota para expandir uma tarefa em subtarefas
     this.router.post('/tasks/:id/expand', this.expandTask.bind(this));
     
+    // Rotas da proposta de expansão (diff das subtarefas antes de aplicar)
+    this.router.get('/tasks/:id/expansion', this.getExpansion.bind(this));
+    this.router.post('/tasks/:id/expansion', this.previewExpansion.bind(this));
+    this.router.post('/tasks/:id/expansion/apply', this.applyExpansion.bind(this));
+    this.router.delete('/tasks/:id/expansion', this.discardExpansion.bind(this));
+    
     // Rota para obter a próxima tarefa a ser trabalhada
     this.router.get('/next-task', this.getNextTask.bind(this));
     
+    // Rota para obter o grafo de dependências (JSON, Mermaid ou DOT)
+    this.router.get('/graph', this.getGraph.bind(this));
+    
+    // Rotas do relatório de complexidade
+    this.router.get('/complexity-report', this.getComplexityReport.bind(this));
+    this.router.get('/complexity-report/:id', this.getComplexityEntry.bind(this));
+    
+    // Rotas dos planos gerados a partir de PRDs (revisão antes de aplicar)
+    this.router.get('/prd/plans', this.listPrdPlans.bind(this));
+    this.router.post('/prd/plans', this.createPrdPlan.bind(this));
+    this.router.get('/prd/plans/:id', this.getPrdPlan.bind(this));
+    this.router.post('/prd/plans/:id/apply', this.applyPrdPlan.bind(this));
+    
+    // Rotas inexistentes e erros não tratados no mesmo formato das demais respostas
+    this.router.use((req, res) => {
+      res.status(404).json({ error: `Rota não encontrada: ${req.method} ${req.path}`, code: 'NOT_FOUND' });
+    });
+    this.router.use((error, req, res, next) => {
+      this.sendError(res, error, `Erro em ${req.method} ${req.path}`);
+    });
+    
     this.logger.info('Rotas da API do TaskMaster registradas com sucesso');
   }
   
   /**
-   * Executa um comando do TaskMaster
+   * Executa um comando do CLI task-master (sem shell)
    * @param {string} command - Comando a ser executado
-   * @returns {Object} - Resultado do comando
+   * @param {Array<string>} args - Argumentos (ex.: '--id=3')
+   * @returns {Promise<Object>} - Resultado do comando
    */
-  executeTaskMasterCommand(command) {
+  async executeTaskMasterCommand(command, args = []) {
     try {
-      const fullCommand = `npx task-master ${command} --json`;
-      
-      const stdout = execSync(fullCommand, { 
+      const { stdout } = await execFileAsync('npx', ['task-master', command, ...args, '--json'], {
         cwd: this.projectRoot,
-        encoding: 'utf-8'
+        encoding: 'utf-8',
+        maxBuffer: 10 * 1024 * 1024
       });
       
       try {
@@ -89,31 +158,109 @@ class TaskMasterAPI {
   }
   
   /**
-   * Lista todas as tarefas
+   * Responde com o status HTTP correspondente ao erro; o corpo é sempre
+   * { error, code } (erros inesperados usam o código INTERNAL_ERROR)
+   * @param {Object} res - Resposta Express
+   * @param {Error} error - Erro ocorrido
+   * @param {string} context - Descrição da operação (para o log)
+   */
+  sendError(res, error, context) {
+    const known = error instanceof TaskStoreError || error instanceof PrdPlanError || error instanceof TaskExpansionError;
+    const status = known ? (ERROR_STATUS[error.code] || 500) : 500;
+    
+    if (status >= 500) {
+      this.logger.error(`${context}: ${error.message}`);
+    }
+    
+    res.status(status).json({
+      error: error.message,
+      code: known ? error.code : 'INTERNAL_ERROR'
+    });
+  }
+  
+  /**
+   * Responde com uma tarefa e seu ETag
+   * @param {Object} res - Resposta Express
+   * @param {Object} task - Tarefa ou subtarefa
+   * @param {Object} extra - Campos adicionais do corpo
+   * @param {number} status - Status HTTP
+   */
+  sendTask(res, task, extra = {}, status = 200) {
+    res.set('ETag', computeTaskEtag(task));
+    res.status(status).json({ task, ...extra });
+  }
+  
+  /**
+   * Codifica o cursor de paginação (ID do último item da página)
+   * @param {string|number} lastId - ID do último item
+   * @returns {string} Cursor opaco
+   */
+  encodeCursor(lastId) {
+    return Buffer.from(JSON.stringify({ after: String(lastId) })).toString('base64url');
+  }
+  
+  /**
+   * Decodifica o cursor de paginação
+   * @param {string} cursor - Cursor recebido
+   * @returns {number} ID após o qual a página começa
+   */
+  decodeCursor(cursor) {
+    try {
+      const { after } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+      const id = Number(after);
+      if (Number.isInteger(id)) return id;
+    } catch (error) {
+      // tratado abaixo
+    }
+    throw new TaskStoreError('Cursor de paginação inválido', 'TASK_INVALID');
+  }
+  
+  /**
+   * Lista as tarefas
+   * Filtros: status e priority (lista separada por vírgula), ready=true
+   * (dependências concluídas), q (busca textual) e withSubtasks=false.
+   * Paginação por cursor: limit (até 200) e cursor (pageInfo.nextCursor).
    * @param {Object} req - Requisição Express
    * @param {Object} res - Resposta Express
    */
   async listTasks(req, res) {
     try {
-      const status = req.query.status;
-      const withSubtasks = req.query.withSubtasks === 'true';
-      
-      let command = 'get-tasks';
+      const { status, priority, ready, q, withSubtasks, limit, cursor } = req.query;
       
-      if (status) {
-        command += ` --status="${status}"`;
+      const invalidStatus = String(status || '').split(',').filter(item => item && !TASK_STATUSES.includes(item));
+      if (invalidStatus.length > 0) {
+        throw new TaskStoreError(`Status inválido: ${invalidStatus.join(', ')} (use ${TASK_STATUSES.join(', ')})`, 'TASK_INVALID');
       }
       
-      if (withSubtasks) {
-        command += ' --withSubtasks';
+      const pageSize = limit === undefined ? null : Number(limit);
+      if (pageSize !== null && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+        throw new TaskStoreError(`limit deve ser um inteiro entre 1 e ${MAX_PAGE_SIZE}`, 'TASK_INVALID');
       }
       
-      const tasks = this.executeTaskMasterCommand(command);
+      const tasks = await this.store.listTasks({
+        status,
+        priority,
+        ready: ready === 'true',
+        search: q,
+        withSubtasks: withSubtasks !== 'false'
+      });
+      
+      const after = cursor ? this.decodeCursor(cursor) : null;
+      const remaining = after === null ? tasks : tasks.filter(task => Number(task.id) > after);
+      const page = pageSize === null ? remaining : remaining.slice(0, pageSize);
+      const hasMore = page.length < remaining.length;
       
-      res.json(tasks);
+      res.json({
+        tasks: page,
+        pageInfo: {
+          total: tasks.length,
+          limit: pageSize,
+          hasMore,
+          nextCursor: hasMore ? this.encodeCursor(page[page.length - 1].id) : null
+        }
+      });
     } catch (error) {
-      this.logger.error(`Erro ao listar tarefas: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error, 'Erro ao listar tarefas');
     }
   }
   
@@ -126,16 +273,11 @@ class TaskMasterAPI {
     try {
       const taskId = req.params.id;
       
-      const task = this.executeTaskMasterCommand(`get-task --id=${taskId}`);
+      const task = await this.store.getTask(taskId);
       
-      if (!task) {
-        return res.status(404).json({ error: `Tarefa ${taskId} não encontrada` });
-      }
-      
-      res.json(task);
+      this.sendTask(res, task);
     } catch (error) {
-      this.logger.error(`Erro ao obter tarefa: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error, 'Erro ao obter tarefa');
     }
   }
   
@@ -146,41 +288,90 @@ class TaskMasterAPI {
    */
   async createTask(req, res) {
     try {
-      const { title, description, priority, details, dependencies } = req.body;
+      const { title, description, priority, details, dependencies, estimatedHours } = req.body;
       
       if (!title || !description) {
-        return res.status(400).json({ error: 'Título e descrição são obrigatórios' });
+        throw new TaskStoreError('Título e descrição são obrigatórios', 'TASK_INVALID');
       }
       
-      // Construir o comando para criar a tarefa
-      let command = `add-task --title="${title}" --description="${description}"`;
+      const task = await this.store.addTask({ title, description, priority, details, dependencies, estimatedHours });
       
-      if (priority) {
-        command += ` --priority="${priority}"`;
-      }
+      // Emitir evento de criação de tarefa
+      this.eventEmitter.emit('taskmaster:task:created', task);
       
-      if (details) {
-        command += ` --details="${details}"`;
-      }
+      this.sendTask(res, task, {}, 201);
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao criar tarefa');
+    }
+  }
+  
+  /**
+   * Cria uma subtarefa
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async createSubtask(req, res) {
+    try {
+      const { title, description, details, dependencies, estimatedHours, status } = req.body;
       
-      if (dependencies) {
-        command += ` --dependencies="${dependencies}"`;
+      if (!title) {
+        throw new TaskStoreError('Título é obrigatório', 'TASK_INVALID');
       }
       
-      const result = this.executeTaskMasterCommand(command);
+      const created = await this.store.addSubtask(req.params.id, {
+        title, description, details, dependencies, estimatedHours, status
+      });
+      const subtask = await this.store.getTask(`${created.parentTaskId}.${created.id}`);
       
-      // Emitir evento de criação de tarefa
-      this.eventEmitter.emit('taskCreated', result);
+      this.eventEmitter.emit('taskmaster:task:created', subtask);
+      
+      this.sendTask(res, subtask, {}, 201);
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao criar subtarefa');
+    }
+  }
+  
+  /**
+   * Altera campos de uma tarefa ou subtarefa (If-Match para concorrência otimista)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async updateTask(req, res) {
+    try {
+      const task = await this.store.updateTask(req.params.id, req.body || {}, {
+        ifMatch: req.get('If-Match')
+      });
+      
+      this.eventEmitter.emit('taskmaster:task:updated', task);
+      
+      this.sendTask(res, task);
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao alterar tarefa');
+    }
+  }
+  
+  /**
+   * Remove uma tarefa ou subtarefa (?force=true remove também as dependências para ela)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async deleteTask(req, res) {
+    try {
+      const { task, dependents } = await this.store.deleteTask(req.params.id, {
+        ifMatch: req.get('If-Match'),
+        force: req.query.force === 'true'
+      });
+      
+      this.eventEmitter.emit('taskmaster:task:deleted', { id: task.id, dependents });
       
-      res.status(201).json(result);
+      res.json({ task, dependents });
     } catch (error) {
-      this.logger.error(`Erro ao criar tarefa: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error, 'Erro ao remover tarefa');
     }
   }
   
   /**
-   * Atualiza o status de uma tarefa
+   * Transição de status de uma tarefa ou subtarefa (ver TASK_STATUS_TRANSITIONS)
    * @param {Object} req - Requisição Express
    * @param {Object} res - Resposta Express
    */
@@ -190,26 +381,29 @@ class TaskMasterAPI {
       const { status } = req.body;
       
       if (!status) {
-        return res.status(400).json({ error: 'Status é obrigatório' });
+        throw new TaskStoreError('Status é obrigatório', 'TASK_INVALID');
       }
       
-      const validStatus = ['pending', 'in-progress', 'review', 'done', 'deferred', 'cancelled'];
+      const { task, previousStatus } = await this.store.transitionStatus(taskId, status, {
+        ifMatch: req.get('If-Match')
+      });
       
-      if (!validStatus.includes(status)) {
-        return res.status(400).json({ 
-          error: `Status inválido. Use um dos seguintes: ${validStatus.join(', ')}` 
-        });
+      // Emitir evento de atualização de status
+      if (previousStatus !== status) {
+        this.eventEmitter.emit('taskmaster:task:status:changed', { taskId, status, previousStatus });
+        this.eventEmitter.emit('taskmaster:task:updated', task);
       }
       
-      const result = this.executeTaskMasterCommand(`set-status --id=${taskId} --status="${status}"`);
-      
-      // Emitir evento de atualização de status
-      this.eventEmitter.emit('taskStatusUpdated', { taskId, newStatus: status });
+      // Política de expansão automática (TASKMASTER_AUTO_EXPAND)
+      const expansion = await this.expansion.onStatusChange({ taskId, status, previousStatus });
+      if (expansion?.status === 'applied') {
+        this.eventEmitter.emit('taskmaster:task:expanded', { taskId, subtasks: expansion.createdSubtasks });
+        return this.sendTask(res, await this.store.getTask(taskId), { previousStatus, expansion });
+      }
       
-      res.json({ message: `Status da tarefa ${taskId} atualizado para "${status}"` });
+      this.sendTask(res, task, { previousStatus, expansion });
     } catch (error) {
-      this.logger.error(`Erro ao atualizar status: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error, 'Erro ao atualizar status');
     }
   }
   
@@ -223,21 +417,23 @@ class TaskMasterAPI {
       const taskId = req.params.id;
       const { subtasks } = req.body;
       
-      let command = `expand --id=${taskId}`;
+      // Validar a tarefa antes de acionar o CLI
+      await this.store.getTask(taskId);
+      
+      const args = [`--id=${taskId}`];
       
       if (subtasks) {
-        command += ` --subtasks=${subtasks}`;
+        args.push(`--subtasks=${parseInt(subtasks, 10)}`);
       }
       
-      const result = this.executeTaskMasterCommand(command);
+      const result = await this.executeTaskMasterCommand('expand', args);
       
       // Emitir evento de expansão de tarefa
-      this.eventEmitter.emit('taskExpanded', { taskId, subtasks: result.subtasks });
+      this.eventEmitter.emit('taskmaster:task:expanded', { taskId, subtasks: result.subtasks });
       
       res.json(result);
     } catch (error) {
-      this.logger.error(`Erro ao expandir tarefa: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error, 'Erro ao expandir tarefa');
     }
   }
   
@@ -248,16 +444,237 @@ class TaskMasterAPI {
    */
   async getNextTask(req, res) {
     try {
-      const result = this.executeTaskMasterCommand('next-task');
+      const task = await this.store.nextTask();
       
-      if (!result || !result.nextTask) {
-        return res.json({ message: 'Não há tarefas pendentes para trabalhar no momento.' });
+      if (!task) {
+        return res.json({ task: null, message: 'Não há tarefas pendentes para trabalhar no momento.' });
       }
       
-      res.json(result);
+      res.json({ task });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao obter próxima tarefa');
+    }
+  }
+  
+  /**
+   * Obtém o grafo de dependências com validação e caminho crítico
+   * (?format=json padrão, mermaid ou dot)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async getGraph(req, res) {
+    try {
+      const format = req.query.format || 'json';
+      const { graph, validation, schedule } = await this.store.getGraph();
+      
+      if (format === 'mermaid') {
+        return res.type('text/plain').send(toMermaid(graph, schedule));
+      }
+      
+      if (format === 'dot') {
+        return res.type('text/vnd.graphviz').send(toDot(graph, schedule));
+      }
+      
+      if (format !== 'json') {
+        throw new TaskStoreError(`Formato inválido: ${format} (use json, mermaid ou dot)`, 'TASK_INVALID');
+      }
+      
+      res.json({
+        nodes: graph.nodes,
+        edges: graph.edges,
+        validation,
+        schedule,
+        mermaid: toMermaid(graph, schedule),
+        dot: toDot(graph, schedule)
+      });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao obter grafo de tarefas');
+    }
+  }
+  
+  /**
+   * Lista os planos gerados de PRDs
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async listPrdPlans(req, res) {
+    try {
+      res.json({ plans: await this.planner.listPlans() });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao listar planos de PRD');
+    }
+  }
+  
+  /**
+   * Gera o plano (rascunho) de um PRD
+   * Corpo: prd (conteúdo) ou file (caminho no projeto, padrão scripts/prd.txt) e name
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async createPrdPlan(req, res) {
+    try {
+      const { prd, file, name } = req.body || {};
+      
+      if (prd !== undefined && typeof prd !== 'string') {
+        throw new PrdPlanError('prd deve ser o conteúdo do documento (texto)', 'PRD_INVALID');
+      }
+      
+      const { text, source } = prd !== undefined
+        ? { text: prd, source: null }
+        : await this.planner.readPrd(file || DEFAULT_PRD_FILE);
+      
+      const plan = await this.planner.createPlan(text, { name, source });
+      
+      res.status(201).json({ plan });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao gerar plano de PRD');
+    }
+  }
+  
+  /**
+   * Obtém um plano gerado de um PRD
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async getPrdPlan(req, res) {
+    try {
+      res.json({ plan: await this.planner.getPlan(req.params.id) });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao obter plano de PRD');
+    }
+  }
+  
+  /**
+   * Aplica um plano: cria as tarefas e semeia o quadro Kanban
+   * Corpo: board (false para não criar o quadro), boardName, template e projectId
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async applyPrdPlan(req, res) {
+    try {
+      const { board, boardName, template, projectId } = req.body || {};
+      
+      const { createdTasks, ...plan } = await this.planner.applyPlan(req.params.id, {
+        board: board !== false,
+        boardName,
+        template,
+        projectId
+      });
+      
+      for (const task of createdTasks) {
+        this.eventEmitter.emit('taskmaster:task:created', task);
+      }
+      
+      res.json({ plan, tasks: createdTasks });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao aplicar plano de PRD');
+    }
+  }
+  
+  /**
+   * Relatório de complexidade cruzado com as tarefas atuais
+   * Query: threshold (padrão: o do relatório) e expandable=true (somente as tarefas a expandir)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async getComplexityReport(req, res) {
+    try {
+      const report = await this.expansion.getReport({ threshold: this.thresholdQuery(req) });
+      
+      if (req.query.expandable === 'true') {
+        report.entries = report.entries.filter(entry => entry.expandable);
+      }
+      
+      res.json(report);
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao obter relatório de complexidade');
+    }
+  }
+  
+  /**
+   * Análise de complexidade de uma tarefa (nota, subtarefas recomendadas e justificativa)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async getComplexityEntry(req, res) {
+    try {
+      const entry = await this.expansion.getReportEntry(req.params.id, { threshold: this.thresholdQuery(req) });
+      res.json({ entry });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao obter análise de complexidade');
+    }
+  }
+  
+  /**
+   * Limiar de complexidade da query (?threshold=)
+   * @private
+   */
+  thresholdQuery(req) {
+    if (req.query.threshold === undefined) return undefined;
+    
+    const threshold = Number(req.query.threshold);
+    if (!Number.isFinite(threshold)) {
+      throw new TaskStoreError(`Limiar inválido: ${req.query.threshold}`, 'TASK_INVALID');
+    }
+    return threshold;
+  }
+  
+  /**
+   * Última proposta de expansão de uma tarefa
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async getExpansion(req, res) {
+    try {
+      res.json({ expansion: await this.expansion.getProposal(req.params.id) });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao obter proposta de expansão');
+    }
+  }
+  
+  /**
+   * Gera a proposta de expansão de uma tarefa, com o diff das subtarefas
+   * Corpo: force (true para ignorar o limiar de complexidade)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async previewExpansion(req, res) {
+    try {
+      const { force } = req.body || {};
+      const expansion = await this.expansion.preview(req.params.id, { force: force === true });
+      res.status(201).json({ expansion });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao propor expansão');
+    }
+  }
+  
+  /**
+   * Aplica a proposta de expansão pendente de uma tarefa
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async applyExpansion(req, res) {
+    try {
+      const { createdSubtasks, ...expansion } = await this.expansion.apply(req.params.id);
+      
+      this.eventEmitter.emit('taskmaster:task:expanded', { taskId: req.params.id, subtasks: createdSubtasks });
+      
+      this.sendTask(res, await this.store.getTask(req.params.id), { expansion, subtasks: createdSubtasks });
+    } catch (error) {
+      this.sendError(res, error, 'Erro ao aplicar expansão');
+    }
+  }
+  
+  /**
+   * Descarta a proposta de expansão pendente de uma tarefa
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async discardExpansion(req, res) {
+    try {
+      res.json({ expansion: await this.expansion.discard(req.params.id) });
     } catch (error) {
-      this.logger.error(`Erro ao obter próxima tarefa: ${error.message}`);
-      res.status(500).json({ error: error.message });
+      this.sendError(res, error, 'Erro ao descartar proposta de expansão');
     }
   }
   
@@ -0,0 +1,96 @@
+/**
+ * API de rastreamento do Nexus
+ * 
+ * Este arquivo implementa endpoints REST para consultar os traces
+ * persistidos pelo OrchestratorAgent (por exemplo, a linha do tempo
+ * de um fluxo de geração de documentação).
+ */
+
+import express from 'express';
+import { createLogger } from '../utils/logger.js';
+import { getSpanStore } from '../utils/tracing.js';
+
+class TracingAPI {
+  constructor() {
+    this.router = express.Router();
+    this.logger = createLogger('TracingAPI');
+    this.spanStore = getSpanStore();
+    
+    // Inicializar rotas
+    this.initializeRoutes();
+    
+    this.logger.info('API de rastreamento inicializada');
+  }
+  
+  /**
+   * Inicializa as rotas da API
+   */
+  initializeRoutes() {
+    // Rota para listar os traces mais recentes
+    this.router.get('/', this.listTraces.bind(this));
+    
+    // Rota para obter a linha do tempo de um trace
+    this.router.get('/:traceId', this.getTrace.bind(this));
+    
+    this.logger.info('Rotas da API de rastreamento registradas com sucesso');
+  }
+  
+  /**
+   * Lista os traces mais recentes
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async listTraces(req, res) {
+    try {
+      const limit = parseInt(req.query.limit || '50', 10);
+      const traces = await this.spanStore.listTraces({ limit });
+      
+      res.json(traces);
+    } catch (error) {
+      this.logger.error(`Erro ao listar traces: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  /**
+   * Obtém um trace pelo ID
+   * 
+   * Use `?format=otlp` para exportar no formato OTLP/JSON do OpenTelemetry.
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  async getTrace(req, res) {
+    try {
+      const { traceId } = req.params;
+      
+      if (!/^[0-9a-f]{32}$/.test(traceId)) {
+        return res.status(400).json({ error: `ID de trace inválido: ${traceId}` });
+      }
+      
+      const trace = req.query.format === 'otlp'
+        ? await this.spanStore.exportOtlp(traceId)
+        : await this.spanStore.getTraceTimeline(traceId);
+      
+      if (!trace) {
+        return res.status(404).json({ error: `Trace ${traceId} não encontrado` });
+      }
+      
+      res.json(trace);
+    } catch (error) {
+      this.logger.error(`Erro ao obter trace: ${error.message}`);
+      res.status(500).json({ error: error.message });
+    }
+  }
+  
+  /**
+   * Retorna o roteador Express configurado
+   * @returns {Object} - Roteador Express
+   */
+  getRouter() {
+    return this.router;
+  }
+}
+
+// Exportar como singleton
+const tracingAPI = new TracingAPI();
+export default tracingAPI;
@@ -1,17 +1,24 @@
 /**
  * Cliente para interação com o TaskMaster
  * 
- * Este cliente oferece métodos para interagir com o TaskMaster,
- * tanto via CLI (diretamente) quanto via API REST (quando disponível).
+ * Este cliente oferece métodos para interagir com o TaskMaster: lê e grava
+ * tasks/tasks.json diretamente (TaskStore), via API REST (quando
+ * configurada) ou, opcionalmente, via CLI task-master. O CLI é usado por
+ * padrão apenas nas operações que dependem de IA (expand e
+ * analyze-complexity). O relatório gerado por analyze-complexity é lido por
+ * getComplexityReport, e as propostas de expansão (previewExpansion e
+ * applyExpansion) seguem a política de ExpansionPolicy.
  */
 
 import path from 'path';
 import { promises as fs } from 'fs';
-import { exec as execCallback } from 'child_process';
+import { execFile as execFileCallback } from 'child_process';
 import { promisify } from 'util';
 import axios from 'axios';
+import { TaskStore } from '../utils/task_store.js';
+import { ExpansionPolicy } from '../services/expansion_policy.js';
 
-const execPromise = promisify(execCallback);
+const execFilePromise = promisify(execFileCallback);
 
 class TaskMasterClient {
   constructor(options = {}) {
@@ -20,18 +27,22 @@ class TaskMasterClient {
       apiUrl: process.env.TASKMASTER_API_URL || 'http://localhost:3000/api/taskmaster',
       tasksFile: 'tasks/tasks.json',
       useApi: process.env.USE_TASKMASTER_API === 'true',
+      useCli: process.env.TASKMASTER_USE_CLI === 'true',
       debug: process.env.TASKMASTER_DEBUG === 'true',
       ...options
     };
     
     this.tasksFilePath = path.join(this.options.basePath, this.options.tasksFile);
+    this.store = new TaskStore({ projectRoot: this.options.basePath, tasksFile: this.options.tasksFile });
+    this.expansion = new ExpansionPolicy({ projectRoot: this.options.basePath, store: this.store });
     
     if (this.options.debug) {
       console.log('TaskMasterClient inicializado com:', {
         basePath: this.options.basePath,
         apiUrl: this.options.apiUrl,
         tasksFile: this.tasksFilePath,
-        useApi: this.options.useApi
+        useApi: this.options.useApi,
+        useCli: this.options.useCli
       });
     }
   }
@@ -47,29 +58,31 @@ class TaskMasterClient {
   }
   
   /**
-   * Executa um comando do TaskMaster via CLI
+   * Executa um comando do TaskMaster via CLI (sem shell: argumentos são passados como lista)
    * @param {string} command Comando a ser executado
-   * @param {Array} args Argumentos do comando
+   * @param {Array} args Argumentos do comando (ex.: '--id=3')
    * @returns {Promise<Object>} Resultado do comando
    * @private
    */
   async executeCommand(command, args = []) {
     const cliPath = path.join(this.options.basePath, 'node_modules/.bin/task-master');
-    const fallbackCliPath = 'npx task-master';
     
-    let executable;
+    let executable = cliPath;
+    let commandArgs = [command, ...args];
     try {
       await fs.access(cliPath);
-      executable = cliPath;
     } catch (e) {
-      executable = fallbackCliPath;
+      executable = 'npx';
+      commandArgs = ['task-master', ...commandArgs];
     }
     
-    const cmd = `${executable} ${command} ${args.join(' ')}`;
-    this.debug(`Executando comando: ${cmd}`);
+    this.debug(`Executando comando: ${executable}`, commandArgs);
     
     try {
-      const { stdout, stderr } = await execPromise(cmd, { cwd: this.options.basePath });
+      const { stdout, stderr } = await execFilePromise(executable, commandArgs, {
+        cwd: this.options.basePath,
+        maxBuffer: 10 * 1024 * 1024
+      });
       
       if (stderr && !stderr.includes('DeprecationWarning')) {
         console.error(`Erro ao executar comando TaskMaster: ${stderr}`);
@@ -130,8 +143,7 @@ class TaskMasterClient {
    */
   async readTasksFile() {
     try {
-      const data = await fs.readFile(this.tasksFilePath, 'utf8');
-      return JSON.parse(data);
+      return await this.store.read();
     } catch (error) {
       console.error(`Erro ao ler arquivo de tarefas: ${error.message}`);
       return { tasks: [] };
@@ -152,27 +164,15 @@ class TaskMasterClient {
       const endpoint = `/tasks?${queryParams.toString()}`;
       const response = await this.apiRequest(endpoint);
       return response.tasks || [];
+    } else if (this.options.useCli) {
+      const args = [];
+      if (options.status) args.push(`--status=${options.status}`);
+      if (options.withSubtasks) args.push('--withSubtasks');
+      
+      const result = await this.executeCommand('get-tasks', args);
+      return result.tasks || [];
     } else {
-      // Tentar usar o comando task-master get-tasks
-      try {
-        const args = [];
-        if (options.status) args.push(`--status=${options.status}`);
-        if (options.withSubtasks) args.push('--withSubtasks');
-        
-        const result = await this.executeCommand('get-tasks', args);
-        return result.tasks || [];
-      } catch (error) {
-        // Fallback: ler o arquivo de tarefas diretamente
-        const data = await this.readTasksFile();
-        let tasks = data.tasks || [];
-        
-        // Aplicar filtros
-        if (options.status) {
-          tasks = tasks.filter(task => task.status === options.status);
-        }
-        
-        return tasks;
-      }
+      return this.store.listTasks({ status: options.status, withSubtasks: options.withSubtasks !== false });
     }
   }
   
@@ -185,17 +185,11 @@ class TaskMasterClient {
     if (this.options.useApi) {
       const response = await this.apiRequest(`/tasks/${taskId}`);
       return response.task;
+    } else if (this.options.useCli) {
+      const result = await this.executeCommand('get-task', [`--id=${taskId}`]);
+      return result.task;
     } else {
-      try {
-        const result = await this.executeCommand('get-task', [`--id=${taskId}`]);
-        return result.task;
-      } catch (error) {
-        // Fallback: buscar no arquivo de tarefas
-        const data = await this.readTasksFile();
-        const task = data.tasks?.find(t => t.id.toString() === taskId.toString());
-        if (!task) throw new Error(`Tarefa não encontrada: ${taskId}`);
-        return task;
-      }
+      return this.store.getTask(taskId);
     }
   }
   
@@ -203,16 +197,26 @@ class TaskMasterClient {
    * Atualiza o status de uma tarefa
    * @param {string} taskId ID da tarefa
    * @param {string} status Novo status
-   * @returns {Promise<Object>} Resultado da operação
+   * @returns {Promise<Object>} Resultado da operação (com as propostas da expansão automática, se houver)
    */
   async setTaskStatus(taskId, status) {
     if (this.options.useApi) {
-      return this.apiRequest(`/tasks/${taskId}/status`, 'PUT', { status });
-    } else {
+      return this.apiRequest(`/tasks/${taskId}/status`, 'PATCH', { status });
+    } else if (this.options.useCli) {
       return this.executeCommand('set-status', [
         `--id=${taskId}`,
         `--status=${status}`
       ]);
+    } else {
+      const updated = await this.store.setStatus(taskId, status);
+      const expansions = [];
+      
+      for (const item of updated) {
+        const expansion = await this.expansion.onStatusChange({ taskId: item.id, status: item.status, previousStatus: item.previousStatus });
+        if (expansion) expansions.push(expansion);
+      }
+      
+      return { success: true, updated, expansions };
     }
   }
   
@@ -223,19 +227,79 @@ class TaskMasterClient {
    */
   async addTask(taskData) {
     if (this.options.useApi) {
-      return this.apiRequest('/tasks', 'POST', taskData);
-    } else {
+      const response = await this.apiRequest('/tasks', 'POST', taskData);
+      return response.task;
+    } else if (this.options.useCli) {
       // Construir argumentos para o comando
       const args = [];
       
-      if (taskData.title) args.push(`--title="${taskData.title}"`);
-      if (taskData.description) args.push(`--description="${taskData.description}"`);
-      if (taskData.prompt) args.push(`--prompt="${taskData.prompt}"`);
+      if (taskData.title) args.push(`--title=${taskData.title}`);
+      if (taskData.description) args.push(`--description=${taskData.description}`);
+      if (taskData.prompt) args.push(`--prompt=${taskData.prompt}`);
       if (taskData.priority) args.push(`--priority=${taskData.priority}`);
       if (taskData.dependencies) args.push(`--dependencies=${taskData.dependencies}`);
       
       return this.executeCommand('add-task', args);
+    } else {
+      return this.store.addTask(taskData);
+    }
+  }
+  
+  /**
+   * Adiciona uma subtarefa
+   * @param {string} parentId ID da tarefa pai
+   * @param {Object} subtaskData Dados da subtarefa
+   * @returns {Promise<Object>} Subtarefa criada
+   */
+  async addSubtask(parentId, subtaskData) {
+    return this.store.addSubtask(parentId, subtaskData);
+  }
+  
+  /**
+   * Altera campos de uma tarefa ou subtarefa
+   * @param {string} taskId ID da tarefa ("3" ou "3.2")
+   * @param {Object} changes Campos alterados (title, description, priority, dependencies...)
+   * @returns {Promise<Object>} Tarefa atualizada
+   */
+  async updateTask(taskId, changes) {
+    if (this.options.useApi) {
+      const response = await this.apiRequest(`/tasks/${taskId}`, 'PATCH', changes);
+      return response.task;
+    }
+    return this.store.updateTask(taskId, changes);
+  }
+  
+  /**
+   * Remove uma tarefa ou subtarefa
+   * @param {string} taskId ID da tarefa ("3" ou "3.2")
+   * @param {Object} options Opções ({ force } remove também as dependências para ela)
+   * @returns {Promise<Object>} { task, dependents }
+   */
+  async deleteTask(taskId, options = {}) {
+    if (this.options.useApi) {
+      return this.apiRequest(`/tasks/${taskId}${options.force ? '?force=true' : ''}`, 'DELETE');
     }
+    return this.store.deleteTask(taskId, { force: options.force });
+  }
+  
+  /**
+   * Adiciona uma dependência entre tarefas
+   * @param {string} taskId ID da tarefa dependente
+   * @param {string} dependsOn ID da tarefa da qual depende
+   * @returns {Promise<Object>} Tarefa atualizada
+   */
+  async addDependency(taskId, dependsOn) {
+    return this.store.addDependency(taskId, dependsOn);
+  }
+  
+  /**
+   * Remove uma dependência entre tarefas
+   * @param {string} taskId ID da tarefa dependente
+   * @param {string} dependsOn ID da dependência
+   * @returns {Promise<Object>} Tarefa atualizada
+   */
+  async removeDependency(taskId, dependsOn) {
+    return this.store.removeDependency(taskId, dependsOn);
   }
   
   /**
@@ -249,7 +313,7 @@ class TaskMasterClient {
     
     if (options.subtasks) args.push(`--subtasks=${options.subtasks}`);
     if (options.research) args.push('--research');
-    if (options.prompt) args.push(`--prompt="${options.prompt}"`);
+    if (options.prompt) args.push(`--prompt=${options.prompt}`);
     
     return this.executeCommand('expand', args);
   }
@@ -271,6 +335,49 @@ class TaskMasterClient {
     return this.executeCommand('analyze-complexity', args);
   }
   
+  /**
+   * Lê o relatório de complexidade, cruzado com as tarefas atuais
+   * @param {Object} options Opções (threshold)
+   * @returns {Promise<Object>} { meta, threshold, entries, summary }
+   */
+  async getComplexityReport(options = {}) {
+    if (this.options.useApi) {
+      const query = options.threshold !== undefined ? `?threshold=${encodeURIComponent(options.threshold)}` : '';
+      return this.apiRequest(`/complexity-report${query}`);
+    }
+    
+    return this.expansion.getReport(options);
+  }
+  
+  /**
+   * Propõe as subtarefas que faltam a uma tarefa complexa (sem aplicá-las)
+   * @param {string} taskId ID da tarefa
+   * @param {Object} options Opções (force: ignorar o limiar de complexidade)
+   * @returns {Promise<Object>} Proposta, com o diff das subtarefas
+   */
+  async previewExpansion(taskId, options = {}) {
+    if (this.options.useApi) {
+      const response = await this.apiRequest(`/tasks/${taskId}/expansion`, 'POST', { force: options.force === true });
+      return response.expansion;
+    }
+    
+    return this.expansion.preview(taskId, options);
+  }
+  
+  /**
+   * Aplica a proposta de expansão pendente de uma tarefa
+   * @param {string} taskId ID da tarefa
+   * @returns {Promise<Object>} Proposta aplicada
+   */
+  async applyExpansion(taskId) {
+    if (this.options.useApi) {
+      const response = await this.apiRequest(`/tasks/${taskId}/expansion/apply`, 'POST');
+      return response.expansion;
+    }
+    
+    return this.expansion.apply(taskId);
+  }
+  
   /**
    * Busca a próxima tarefa a ser executada
    * @returns {Promise<Object>} Próxima tarefa
@@ -279,9 +386,11 @@ class TaskMasterClient {
     if (this.options.useApi) {
       const response = await this.apiRequest('/next-task');
       return response.task;
-    } else {
+    } else if (this.options.useCli) {
       const result = await this.executeCommand('next-task');
       return result.task;
+    } else {
+      return this.store.nextTask();
     }
   }
 }
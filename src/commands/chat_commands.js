@@ -1,9 +1,20 @@
 /**
  * Comandos de chat para o sistema Nexus
  * Estes comandos podem ser utilizados diretamente na interface de chat
+ *
+ * As conversas ficam em sessões nomeadas (ChatSessionStore): /sessao troca
+ * de sessão, /usar e /projeto mudam o contexto ativo (guardado na sessão),
+ * /historico busca mensagens e /exportar gera a transcrição. Os comandos de
+ * sessão alteram o objeto de contexto recebido (sessionId, agent, projectId).
  */
 
+import { promises as fs } from 'fs';
+import path from 'path';
 import { createLogger } from '../utils/logger.js';
+import { ChatSessionStore, TRANSCRIPT_FORMATS } from '../utils/chat_session_store.js';
+
+// Campos do contexto que pertencem à sessão
+const SESSION_CONTEXT_KEYS = ['agent', 'projectId'];
 
 // Lista de agentes com suas descrições
 const agentsList = [
@@ -116,6 +127,7 @@ class ChatCommands {
   constructor() {
     this.logger = createLogger('ChatCommands');
     this.commandRegistry = new Map();
+    this.sessions = new ChatSessionStore();
     
     // Registrar comandos
     this.registerCommands();
@@ -138,6 +150,60 @@ class ChatCommands {
       params: ['id']
     });
     
+    // Comando /sessao [nome] - Abre (ou cria) uma sessão e passa a usá-la
+    this.registerCommand('sessao', {
+      description: 'Abre ou cria uma sessão de chat (sem nome, mostra a sessão atual)',
+      handler: this.handleSession.bind(this),
+      params: ['nome']
+    });
+    
+    // Comando /sessoes - Lista as sessões salvas
+    this.registerCommand('sessoes', {
+      description: 'Lista as sessões de chat salvas',
+      handler: this.handleSessionsList.bind(this)
+    });
+    
+    // Comando /apagar-sessao [nome] - Remove uma sessão
+    this.registerCommand('apagar-sessao', {
+      description: 'Remove uma sessão de chat salva (exceto a atual)',
+      handler: this.handleSessionDelete.bind(this),
+      params: ['nome']
+    });
+    
+    // Comando /usar [agente] - Define o agente do contexto
+    this.registerCommand('usar', {
+      description: 'Define o agente do contexto da conversa (número, nome ou "nenhum")',
+      handler: this.handleUseAgent.bind(this),
+      params: ['agente']
+    });
+    
+    // Comando /projeto [id] - Define o projeto do contexto
+    this.registerCommand('projeto', {
+      description: 'Define o projeto do contexto da conversa (ou "nenhum")',
+      handler: this.handleProject.bind(this),
+      params: ['id']
+    });
+    
+    // Comando /contexto - Mostra o contexto atual
+    this.registerCommand('contexto', {
+      description: 'Mostra a sessão, o agente e o projeto atuais',
+      handler: this.handleContext.bind(this)
+    });
+    
+    // Comando /historico [termo] - Busca no histórico
+    this.registerCommand('historico', {
+      description: 'Mostra as últimas mensagens ou busca um termo (--todas busca em todas as sessões)',
+      handler: this.handleHistory.bind(this),
+      params: ['termo']
+    });
+    
+    // Comando /exportar [formato] [arquivo] - Exporta a transcrição
+    this.registerCommand('exportar', {
+      description: 'Exporta a transcrição da sessão em markdown ou json',
+      handler: this.handleExport.bind(this),
+      params: ['formato', 'arquivo']
+    });
+    
     // Comando /ajuda - Mostra todos os comandos disponíveis
     this.registerCommand('ajuda', {
       description: 'Mostra todos os comandos disponíveis',
@@ -168,7 +234,7 @@ class ChatCommands {
     }
     
     // Extrair comando e parâmetros
-    const parts = message.slice(1).split(' ');
+    const parts = message.slice(1).trim().split(/\s+/);
     const commandName = parts[0].toLowerCase();
     const params = parts.slice(1);
     
@@ -253,7 +319,120 @@ class ChatCommands {
     let response = "## Comandos disponíveis no chat\n\n";
     
     this.commandRegistry.forEach((config, name) => {
-      response += `**/${name}** - ${config.description}\n`;
+      const params = (config.params || []).map(param => ` [${param}]`).join('');
+      response += `**/${name}${params}** - ${config.description}\n`;
+    });
+    
+    return {
+      type: 'info',
+      message: response,
+      format: 'markdown'
+    };
+  }
+  
+  /**
+   * Abre uma sessão e aplica o contexto dela
+   * @param {string} name - Nome da sessão
+   * @param {Object} context - Contexto do usuário (alterado: sessionId, agent, projectId)
+   * @param {Object} defaults - Contexto inicial, se a sessão for criada agora
+   * @returns {Promise<Object>} Sessão aberta
+   */
+  async openSession(name, context, defaults = {}) {
+    const session = await this.sessions.openSession(name, defaults);
+    
+    for (const key of SESSION_CONTEXT_KEYS) {
+      delete context[key];
+    }
+    Object.assign(context, session.context, { sessionId: session.name });
+    
+    return session;
+  }
+  
+  /**
+   * Registra uma mensagem na sessão atual (sem sessão, nada é gravado)
+   * @param {Object} context - Contexto do usuário
+   * @param {Object} message - Mensagem ({ role, content, agent, command })
+   * @returns {Promise<Object|null>} Mensagem gravada
+   */
+  async recordMessage(context, message) {
+    if (!context.sessionId) {
+      return null;
+    }
+    
+    try {
+      return await this.sessions.appendMessage(context.sessionId, message);
+    } catch (error) {
+      this.logger.error('Erro ao registrar mensagem da sessão:', error);
+      return null;
+    }
+  }
+  
+  /**
+   * Turnos recentes da sessão atual, para o contexto multi-turno do assistente
+   * @param {Object} context - Contexto do usuário
+   * @returns {Promise<Array<Object>>} Mensagens [{ role, content }]
+   */
+  async getConversation(context) {
+    if (!context.sessionId) {
+      return [];
+    }
+    
+    try {
+      return await this.sessions.getConversation(context.sessionId);
+    } catch (error) {
+      this.logger.error('Erro ao obter conversa da sessão:', error);
+      return [];
+    }
+  }
+  
+  /**
+   * Exige uma sessão ativa
+   * @private
+   */
+  requireSession(context) {
+    if (!context.sessionId) {
+      throw new Error('Nenhuma sessão ativa. Use `/sessao [nome]` para abrir uma.');
+    }
+    return context.sessionId;
+  }
+  
+  /**
+   * Handler para o comando /sessao [nome]
+   */
+  async handleSession(params, context) {
+    if (!params.length) {
+      return this.handleContext(params, context);
+    }
+    
+    const session = await this.openSession(params[0], context);
+    const action = session.created ? 'criada' : 'retomada';
+    
+    return {
+      type: 'info',
+      message: `Sessão **${session.name}** ${action} (${session.messages.length} mensagens).`,
+      format: 'markdown'
+    };
+  }
+  
+  /**
+   * Handler para o comando /sessoes
+   */
+  async handleSessionsList(params, context) {
+    const sessions = await this.sessions.listSessions();
+    
+    if (sessions.length === 0) {
+      return {
+        type: 'info',
+        message: 'Nenhuma sessão salva. Use `/sessao [nome]` para criar uma.',
+        format: 'markdown'
+      };
+    }
+    
+    let response = "## Sessões de chat\n\n";
+    
+    sessions.forEach(session => {
+      const current = session.name === context.sessionId ? ' (atual)' : '';
+      response += `**${session.name}**${current} - ${session.messageCount} mensagens, atualizada em ${session.updatedAt}\n`;
     });
     
     return {
@@ -262,6 +441,204 @@ class ChatCommands {
       format: 'markdown'
     };
   }
+  
+  /**
+   * Handler para o comando /apagar-sessao [nome]
+   */
+  async handleSessionDelete(params, context) {
+    if (!params.length) {
+      return {
+        type: 'error',
+        message: "Por favor, especifique a sessão. Exemplo: `/apagar-sessao sprint-12`"
+      };
+    }
+    
+    if (params[0].toLowerCase() === context.sessionId) {
+      return {
+        type: 'error',
+        message: 'Não é possível apagar a sessão atual. Troque de sessão com `/sessao [nome]` antes.'
+      };
+    }
+    
+    await this.sessions.deleteSession(params[0]);
+    
+    return {
+      type: 'info',
+      message: `Sessão ${params[0].toLowerCase()} apagada.`
+    };
+  }
+  
+  /**
+   * Handler para o comando /usar [agente]
+   */
+  async handleUseAgent(params, context) {
+    if (!params.length) {
+      return {
+        type: 'error',
+        message: "Por favor, especifique o agente. Exemplo: `/usar 5` ou `/usar DocumentAgent`"
+      };
+    }
+    
+    const value = params.join(' ');
+    let agentName = null;
+    
+    if (value.toLowerCase() !== 'nenhum') {
+      const agent = agentsList.find(a => a.id === parseInt(value) || a.name.toLowerCase() === value.toLowerCase());
+      
+      if (!agent) {
+        return {
+          type: 'error',
+          message: `Agente "${value}" não encontrado. Digite /agentes para ver a lista de agentes disponíveis.`
+        };
+      }
+      agentName = agent.name;
+    }
+    
+    await this.setSessionContext(context, { agent: agentName });
+    
+    return {
+      type: 'info',
+      message: agentName ? `Conversa agora no contexto de **${agentName}**.` : 'Agente removido do contexto.',
+      format: 'markdown'
+    };
+  }
+  
+  /**
+   * Handler para o comando /projeto [id]
+   */
+  async handleProject(params, context) {
+    if (!params.length) {
+      return {
+        type: 'error',
+        message: "Por favor, especifique o projeto. Exemplo: `/projeto nexus_demo`"
+      };
+    }
+    
+    const projectId = params[0].toLowerCase() === 'nenhum' ? null : params[0];
+    await this.setSessionContext(context, { projectId });
+    
+    return {
+      type: 'info',
+      message: projectId ? `Projeto do contexto: **${projectId}**.` : 'Projeto removido do contexto.',
+      format: 'markdown'
+    };
+  }
+  
+  /**
+   * Aplica mudanças ao contexto e à sessão atual (quando houver)
+   * @private
+   */
+  async setSessionContext(context, changes) {
+    if (context.sessionId) {
+      await this.sessions.updateContext(context.sessionId, changes);
+    }
+    
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === null) {
+        delete context[key];
+      } else {
+        context[key] = value;
+      }
+    }
+  }
+  
+  /**
+   * Handler para o comando /contexto
+   */
+  async handleContext(params, context) {
+    let response = "## Contexto atual\n\n";
+    response += `**Sessão:** ${context.sessionId || 'nenhuma'}\n`;
+    response += `**Agente:** ${context.agent || 'nenhum'}\n`;
+    response += `**Projeto:** ${context.projectId || 'nenhum'}\n`;
+    
+    return {
+      type: 'info',
+      message: response,
+      format: 'markdown'
+    };
+  }
+  
+  /**
+   * Handler para o comando /historico [termo] [--todas]
+   */
+  async handleHistory(params, context) {
+    const allSessions = params.includes('--todas');
+    const query = params.filter(param => param !== '--todas').join(' ');
+    
+    if (!allSessions) {
+      this.requireSession(context);
+    }
+    
+    if (!query && !allSessions) {
+      const session = await this.sessions.getSession(context.sessionId);
+      const messages = session.messages.slice(-10);
+      
+      return {
+        type: 'info',
+        message: messages.length > 0
+          ? `## Últimas mensagens de ${session.name}\n\n${messages.map(message => this.formatHistoryEntry(message)).join('\n')}`
+          : 'A sessão ainda não tem mensagens.',
+        format: 'markdown'
+      };
+    }
+    
+    const results = await this.sessions.searchHistory(query, { session: allSessions ? undefined : context.sessionId });
+    
+    if (results.length === 0) {
+      return {
+        type: 'info',
+        message: `Nenhuma mensagem encontrada para "${query}".`
+      };
+    }
+    
+    let response = `## Resultados para "${query}"\n\n`;
+    response += results.map(({ session, message }) =>
+      this.formatHistoryEntry(message, allSessions ? session : null)).join('\n');
+    
+    return {
+      type: 'info',
+      message: response,
+      format: 'markdown'
+    };
+  }
+  
+  /**
+   * Formata uma mensagem do histórico em uma linha
+   * @private
+   */
+  formatHistoryEntry(message, sessionName = null) {
+    const senders = { user: 'Você', assistant: message.agent || 'Assistente', system: message.agent || 'Sistema' };
+    const where = sessionName ? `[${sessionName}] ` : '';
+    const content = message.content.length > 200 ? `${message.content.slice(0, 200)}…` : message.content;
+    return `${where}**#${message.id} ${senders[message.role]}** (${message.timestamp}): ${content.replace(/\n/g, ' ')}`;
+  }
+  
+  /**
+   * Handler para o comando /exportar [formato] [arquivo]
+   */
+  async handleExport(params, context) {
+    const sessionId = this.requireSession(context);
+    const format = (params[0] || 'markdown').toLowerCase();
+    
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return {
+        type: 'error',
+        message: `Formato inválido: ${format}. Use ${TRANSCRIPT_FORMATS.join(' ou ')}.`
+      };
+    }
+    
+    const extension = format === 'json' ? 'json' : 'md';
+    const filePath = path.resolve(params[1] || path.join(this.sessions.directory, 'transcripts', `${sessionId}.${extension}`));
+    
+    const transcript = await this.sessions.exportTranscript(sessionId, format);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, transcript, 'utf-8');
+    
+    return {
+      type: 'info',
+      message: `Transcrição da sessão ${sessionId} exportada para ${filePath}`
+    };
+  }
 }
 
 // Exportar como singleton
@@ -0,0 +1,191 @@
+/**
+ * Análise de linhas de comando do terminal do Nexus
+ *
+ * Separa uma linha em etapas de pipeline (`tm-list pending | tm-status done`)
+ * e cada etapa em argumentos, respeitando aspas simples e duplas e escapes
+ * com barra invertida:
+ *
+ *   tm-create --title="Implementar login" --priority=high
+ *   -> ['tm-create', '--title=Implementar login', '--priority=high']
+ *
+ * Também interpreta roteiros (um comando por linha, `#` inicia comentário e
+ * `\` no fim da linha continua o comando na linha seguinte).
+ */
+
+/**
+ * Erro de sintaxe na linha de comando
+ */
+export class CommandSyntaxError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'CommandSyntaxError';
+    this.code = 'COMMAND_SYNTAX';
+  }
+}
+
+/**
+ * Percorre a linha respeitando aspas e escapes
+ * @private
+ * @param {string} input - Linha de comando
+ * @param {Function} onChar - Recebe (char, { quoted, escaped }) para cada caractere fora de controle
+ */
+function scan(input, onChar) {
+  let quote = null;
+
+  for (let index = 0; index < input.length; index++) {
+    const char = input[index];
+
+    if (char === '\\' && quote !== "'" && index + 1 < input.length) {
+      onChar(input[++index], { quoted: true, escaped: true, raw: char + input[index] });
+      continue;
+    }
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+        onChar(char, { quoted: true, control: true });
+      } else {
+        onChar(char, { quoted: true });
+      }
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = char;
+      onChar(char, { quoted: true, control: true });
+      continue;
+    }
+
+    onChar(char, { quoted: false });
+  }
+
+  if (quote) {
+    throw new CommandSyntaxError(`Aspas não fechadas (${quote})`);
+  }
+}
+
+/**
+ * Divide uma linha em argumentos
+ * @param {string} input - Linha de comando (uma etapa)
+ * @returns {Array<string>} Argumentos, sem as aspas
+ * @throws {CommandSyntaxError} Se houver aspas não fechadas
+ */
+export function tokenize(input) {
+  const tokens = [];
+  let current = '';
+  let hasToken = false;
+
+  scan(input, (char, { quoted, control }) => {
+    if (!quoted && /\s/.test(char)) {
+      if (hasToken) tokens.push(current);
+      current = '';
+      hasToken = false;
+      return;
+    }
+
+    hasToken = true;
+    if (!control) current += char;
+  });
+
+  if (hasToken) tokens.push(current);
+  return tokens;
+}
+
+/**
+ * Divide uma linha nas etapas de um pipeline (`|` fora de aspas)
+ * @param {string} input - Linha de comando
+ * @returns {Array<string>} Texto de cada etapa
+ * @throws {CommandSyntaxError} Se houver etapa vazia ou aspas não fechadas
+ */
+export function splitPipeline(input) {
+  const stages = [];
+  let current = '';
+
+  scan(input, (char, { quoted, escaped, raw }) => {
+    if (!quoted && char === '|') {
+      stages.push(current);
+      current = '';
+      return;
+    }
+    current += escaped ? raw : char;
+  });
+  stages.push(current);
+
+  const trimmed = stages.map(stage => stage.trim());
+  if (trimmed.length > 1 && trimmed.some(stage => stage === '')) {
+    throw new CommandSyntaxError('Etapa vazia no pipeline');
+  }
+
+  return trimmed;
+}
+
+/**
+ * Analisa uma linha completa
+ * @param {string} input - Linha de comando
+ * @returns {Array<Object>} Etapas [{ name, args, text }] (vazia para linha em branco)
+ */
+export function parseCommandLine(input) {
+  if (!input || !input.trim()) return [];
+
+  return splitPipeline(input).map(text => {
+    const [name = '', ...args] = tokenize(text);
+    return { name: name.toLowerCase(), args, text };
+  });
+}
+
+/**
+ * Separa um roteiro em comandos
+ * @param {string} script - Conteúdo do roteiro
+ * @returns {Array<Object>} Comandos [{ line, input }] (line = número da primeira linha)
+ */
+export function parseScript(script) {
+  const commands = [];
+  let pending = null;
+
+  script.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (pending === null && (line === '' || line.startsWith('#'))) return;
+
+    const continues = line.endsWith('\\') && !line.endsWith('\\\\');
+    const text = continues ? line.slice(0, -1) : line;
+
+    if (pending === null) {
+      pending = { line: index + 1, input: text };
+    } else {
+      pending.input += ` ${text}`;
+    }
+
+    if (!continues) {
+      commands.push({ line: pending.line, input: pending.input.trim() });
+      pending = null;
+    }
+  });
+
+  if (pending) commands.push({ line: pending.line, input: pending.input.trim() });
+  return commands;
+}
+
+/**
+ * Separa opções `--nome=valor` / `--flag` dos argumentos posicionais
+ * @param {Array<string>} args - Argumentos
+ * @returns {Object} { positional, options } (flags sem valor ficam true)
+ */
+export function parseOptions(args) {
+  const positional = [];
+  const options = {};
+
+  for (const arg of args) {
+    const match = /^--([^=]+)(?:=(.*))?$/s.exec(arg);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, options };
+}
@@ -1,16 +1,28 @@
 /**
  * Registro de comandos do Nexus
- * 
+ *
  * Este arquivo gerencia o registro e execução de comandos
- * de terminal no sistema Nexus.
+ * de terminal no sistema Nexus. Além de comandos simples, aceita:
+ * - argumentos entre aspas (`tm-create --title="Nova tarefa"`);
+ * - pipes, em que os dados de um comando são a entrada do seguinte
+ *   (`tm-list pending | tm-status done`);
+ * - `--json` em qualquer linha, que troca a saída formatada pelos dados;
+ * - aliases fixos (definidos no registro) e do usuário (`alias`);
+ * - roteiros executados em lote (runScript), que param na primeira falha.
  */
 
+import { promises as fs } from 'fs';
 import taskMasterTerminalCommands from './taskmaster_terminal_commands.js';
+import kanbanTerminalCommands from './kanban_terminal_commands.js';
+import { parseCommandLine, parseScript, splitPipeline, tokenize } from './command_parser.js';
+import { CommandError, CommandOutput } from './command_result.js';
 import { createLogger } from '../utils/logger.js';
 
 class CommandRegistry {
   constructor() {
     this.commands = new Map();
+    this.aliases = new Map();
+    this.userAliases = new Map();
     this.logger = createLogger('CommandRegistry');
     
     // Inicializar comandos
@@ -26,25 +38,47 @@ class CommandRegistry {
     // Registrar comandos do TaskMaster
     this.registerCommands(taskMasterTerminalCommands.commands);
     
+    // Registrar comandos de quadros Kanban, projetos e relatórios
+    this.registerCommands(kanbanTerminalCommands.commands);
+    
     // Registrar comandos padrão
     this.registerCommand('help', {
       description: 'Mostra a lista de comandos disponíveis',
       usage: 'help [comando]',
+      aliases: ['?'],
+      args: [{ name: 'comando', values: () => [...this.commands.keys()] }],
       action: this.handleHelpCommand.bind(this)
     });
     
     this.registerCommand('echo', {
-      description: 'Exibe o texto fornecido',
+      description: 'Exibe o texto fornecido (ou repassa a entrada do pipe)',
       usage: 'echo <texto>',
-      action: (args) => args.join(' ')
+      acceptsInput: true,
+      action: (args, { input }) => (args.length === 0 && input !== undefined
+        ? new CommandOutput(typeof input === 'string' ? input : JSON.stringify(input, null, 2), input)
+        : args.join(' '))
     });
     
     this.registerCommand('clear', {
       description: 'Limpa o terminal',
       usage: 'clear',
+      aliases: ['cls'],
       action: () => ({ clear: true })
     });
     
+    this.registerCommand('alias', {
+      description: 'Lista ou define aliases (alias todo="tm-list pending")',
+      usage: 'alias [nome="comando"]',
+      action: this.handleAliasCommand.bind(this)
+    });
+    
+    this.registerCommand('unalias', {
+      description: 'Remove um alias definido com alias',
+      usage: 'unalias <nome>',
+      args: [{ name: 'nome', values: () => [...this.userAliases.keys()] }],
+      action: this.handleUnaliasCommand.bind(this)
+    });
+    
     this.logger.info('Comandos registrados com sucesso');
   }
   
@@ -52,13 +86,28 @@ class CommandRegistry {
    * Registra um comando individual
    * @param {string} name - Nome do comando
    * @param {Object} config - Configuração do comando
+   * @param {string} config.description - Descrição exibida na ajuda
+   * @param {string} config.usage - Forma de uso
+   * @param {Function} config.action - (args, { input, json }) => string | CommandOutput | Object
+   * @param {Array<string>} config.aliases - Nomes alternativos
+   * @param {Array<Object>} config.args - Argumentos posicionais para autocompletar ({ name, values })
+   * @param {Array<Object>} config.options - Opções --nome para autocompletar ({ name, values })
+   * @param {boolean} config.acceptsInput - Aceita dados de um comando anterior no pipe
    */
   registerCommand(name, config) {
     this.commands.set(name, {
       description: config.description,
       usage: config.usage,
-      action: config.action
+      action: config.action,
+      aliases: config.aliases || [],
+      args: config.args || [],
+      options: config.options || [],
+      acceptsInput: Boolean(config.acceptsInput)
     });
+    
+    for (const alias of config.aliases || []) {
+      this.aliases.set(alias, name);
+    }
   }
   
   /**
@@ -72,58 +121,363 @@ class CommandRegistry {
   }
   
   /**
-   * Executa um comando
+   * Localiza um comando pelo nome ou alias fixo
+   * @param {string} name - Nome ou alias
+   * @returns {Object|null} { name, command } ou null
+   */
+  resolveCommand(name) {
+    const commandName = this.commands.has(name) ? name : this.aliases.get(name);
+    return commandName ? { name: commandName, command: this.commands.get(commandName) } : null;
+  }
+  
+  /**
+   * Executa um comando (compatível com o terminal: retorna o texto formatado)
    * @param {string} input - Texto completo do comando
    * @returns {Promise<string|Object>} - Resultado do comando
    */
   async executeCommand(input) {
-    const args = input.trim().split(/\s+/);
-    const commandName = args.shift().toLowerCase();
+    const result = await this.run(input);
+    return result.raw !== undefined ? result.raw : result.text;
+  }
+  
+  /**
+   * Executa uma linha de comando, com pipes e `--json`
+   * @param {string} input - Linha de comando
+   * @param {Object} options - Opções
+   * @param {boolean} options.json - Saída em JSON (mesmo sem --json na linha)
+   * @param {string} options.userId - Usuário que executa a linha (repassado aos comandos)
+   * @returns {Promise<Object>} { ok, exitCode, text, data, code, command }
+   */
+  async run(input, options = {}) {
+    let stages;
+    
+    try {
+      stages = this.expandAliases(parseCommandLine(input));
+    } catch (error) {
+      return this.failure(error, null, options.json);
+    }
+    
+    if (stages.length === 0) {
+      return { ok: true, exitCode: 0, text: '', data: null, command: null };
+    }
+    
+    // --json vale para a linha inteira, em qualquer etapa
+    let json = Boolean(options.json);
+    for (const stage of stages) {
+      if (stage.args.includes('--json')) {
+        json = true;
+        stage.args = stage.args.filter(arg => arg !== '--json');
+      }
+    }
+    
+    let output = null;
+    let commandName = null;
+    
+    for (const [index, stage] of stages.entries()) {
+      const resolved = this.resolveCommand(stage.name);
+      commandName = resolved ? resolved.name : stage.name;
+      
+      try {
+        if (!resolved) {
+          throw new CommandError(
+            `Comando não encontrado: ${stage.name}. Use 'help' para ver os comandos disponíveis.`,
+            'COMMAND_NOT_FOUND'
+          );
+        }
+        
+        if (index > 0 && !resolved.command.acceptsInput) {
+          throw new CommandError(`${commandName} não aceita entrada pelo pipe`, 'COMMAND_INVALID_ARGS');
+        }
+        
+        const context = { json, userId: options.userId, input: index > 0 ? output.data : undefined };
+        output = this.normalizeOutput(await resolved.command.action(stage.args, context));
+      } catch (error) {
+        return this.failure(error, commandName, json);
+      }
+    }
+    
+    const text = json
+      ? JSON.stringify(output.data, null, 2)
+      : (output.text !== undefined ? output.text : JSON.stringify(output.data, null, 2));
     
-    if (!commandName) {
-      return '';
+    return {
+      ok: true,
+      exitCode: 0,
+      text,
+      data: output.data,
+      command: commandName,
+      // Objetos retornados diretamente (ex.: { clear: true }) seguem para o terminal como estão
+      ...(!json && output.text === undefined ? { raw: output.data } : {})
+    };
+  }
+  
+  /**
+   * Executa um roteiro (um comando por linha) em modo não interativo
+   * @param {string} script - Conteúdo do roteiro
+   * @param {Object} options - Opções
+   * @param {boolean} options.json - Saída de cada comando em JSON
+   * @param {boolean} options.continueOnError - Continua após falhas (padrão: para na primeira)
+   * @param {Function} options.onResult - Recebe cada resultado ao terminar o comando
+   * @returns {Promise<Object>} { ok, exitCode, results: [{ line, input, ok, text, data }] }
+   */
+  async runScript(script, options = {}) {
+    const results = [];
+    
+    for (const { line, input } of parseScript(script)) {
+      const result = { line, input, ...(await this.run(input, { json: options.json, userId: options.userId })) };
+      results.push(result);
+      
+      if (options.onResult) {
+        options.onResult(result);
+      }
+      
+      if (!result.ok && !options.continueOnError) {
+        break;
+      }
     }
     
-    const command = this.commands.get(commandName);
+    const failed = results.filter(result => !result.ok);
+    return { ok: failed.length === 0, exitCode: failed.length === 0 ? 0 : 1, results };
+  }
+  
+  /**
+   * Executa um arquivo de roteiro
+   * @param {string} filePath - Caminho do roteiro
+   * @param {Object} options - Opções (ver runScript)
+   * @returns {Promise<Object>} Resultado (ver runScript)
+   */
+  async runScriptFile(filePath, options = {}) {
+    const script = await fs.readFile(filePath, 'utf-8');
+    return this.runScript(script, options);
+  }
+  
+  /**
+   * Substitui aliases do usuário pela expansão (apenas no nome do comando)
+   * @private
+   */
+  expandAliases(stages) {
+    return stages.flatMap(stage => {
+      const expansion = this.userAliases.get(stage.name);
+      if (!expansion) return [stage];
+      
+      // Uma expansão pode conter pipes; os argumentos extras vão para a última etapa
+      const expanded = parseCommandLine(expansion);
+      expanded[expanded.length - 1].args.push(...stage.args);
+      return expanded;
+    });
+  }
+  
+  /**
+   * Converte o retorno de uma ação em CommandOutput
+   * @private
+   */
+  normalizeOutput(value) {
+    if (value instanceof CommandOutput) return value;
+    if (typeof value === 'string') return new CommandOutput(value, value);
+    if (value === undefined || value === null) return new CommandOutput('', null);
+    return new CommandOutput(undefined, value);
+  }
+  
+  /**
+   * Resultado de falha de um comando
+   * @private
+   */
+  failure(error, commandName, json) {
+    const known = error instanceof CommandError || error.code === 'COMMAND_SYNTAX';
+    const message = known || !commandName ? error.message : `Erro ao executar ${commandName}: ${error.message}`;
+    const code = known ? error.code : 'COMMAND_FAILED';
     
-    if (!command) {
-      return `Comando não encontrado: ${commandName}. Use 'help' para ver os comandos disponíveis.`;
+    if (!known) {
+      this.logger.error(`Erro ao executar comando ${commandName}: ${error.message}`);
     }
     
+    return {
+      ok: false,
+      exitCode: 1,
+      text: json ? JSON.stringify({ error: message, code }, null, 2) : message,
+      data: null,
+      code,
+      command: commandName
+    };
+  }
+  
+  /**
+   * Sugestões de autocompletar para o último termo da linha
+   * @param {string} line - Linha digitada até o cursor
+   * @returns {Promise<Object>} { prefix, candidates }
+   */
+  async getCompletions(line) {
+    let tokens;
+    
+    try {
+      const stages = splitPipeline(line);
+      tokens = tokenize(stages[stages.length - 1]);
+    } catch {
+      return { prefix: '', candidates: [] };
+    }
+    
+    if (/\s$/.test(line) || tokens.length === 0) {
+      tokens.push('');
+    }
+    
+    const prefix = tokens[tokens.length - 1];
+    const complete = values => ({
+      prefix,
+      candidates: [...new Set(values.map(String))].filter(value => value.startsWith(prefix)).sort()
+    });
+    
+    if (tokens.length === 1) {
+      return complete([...this.commands.keys(), ...this.aliases.keys(), ...this.userAliases.keys()]);
+    }
+    
+    const resolved = this.resolveCommand(tokens[0].toLowerCase());
+    if (!resolved) {
+      return { prefix, candidates: [] };
+    }
+    
+    const { command } = resolved;
+    
+    if (prefix.startsWith('--')) {
+      const separator = prefix.indexOf('=');
+      
+      if (separator === -1) {
+        return complete([
+          ...command.options.map(option => `--${option.name}${option.values ? '=' : ''}`),
+          '--json'
+        ]);
+      }
+      
+      const option = command.options.find(item => item.name === prefix.slice(2, separator));
+      const values = option ? await this.completionValues(option.values) : [];
+      return complete(values.map(value => `${prefix.slice(0, separator + 1)}${value}`));
+    }
+    
+    const position = tokens.slice(1, -1).filter(token => !token.startsWith('--')).length;
+    const arg = command.args[position];
+    return complete(arg ? await this.completionValues(arg.values) : []);
+  }
+  
+  /**
+   * Valores possíveis de um argumento (lista ou função, síncrona ou não)
+   * @private
+   */
+  async completionValues(values) {
+    if (!values) return [];
+    
     try {
-      return await command.action(args);
+      return typeof values === 'function' ? (await values()) || [] : values;
     } catch (error) {
-      this.logger.error(`Erro ao executar comando ${commandName}: ${error.message}`);
-      return `Erro ao executar ${commandName}: ${error.message}`;
+      this.logger.warn(`Falha ao obter sugestões: ${error.message}`);
+      return [];
     }
   }
   
+  /**
+   * Metadados dos comandos (ajuda, aliases e autocompletar) para interfaces de terminal
+   * @returns {Array<Object>} [{ name, description, usage, aliases, args, options, acceptsInput }]
+   */
+  getCommandMetadata() {
+    return [...this.commands.entries()].map(([name, command]) => ({
+      name,
+      description: command.description,
+      usage: command.usage,
+      aliases: command.aliases,
+      args: command.args.map(arg => ({ name: arg.name, values: Array.isArray(arg.values) ? arg.values : undefined })),
+      options: command.options.map(option => ({ name: option.name, values: Array.isArray(option.values) ? option.values : undefined })),
+      acceptsInput: command.acceptsInput
+    }));
+  }
+  
   /**
    * Processa o comando de ajuda
    * @param {Array} args - Argumentos do comando
-   * @returns {string} - Texto de ajuda formatado
+   * @returns {CommandOutput} - Texto de ajuda formatado
    */
   handleHelpCommand(args) {
     if (args.length > 0) {
-      const commandName = args[0].toLowerCase();
-      const command = this.commands.get(commandName);
+      const resolved = this.resolveCommand(args[0].toLowerCase());
       
-      if (!command) {
-        return `Comando não encontrado: ${commandName}`;
+      if (!resolved) {
+        throw new CommandError(`Comando não encontrado: ${args[0]}`, 'COMMAND_NOT_FOUND');
       }
       
-      return `${commandName}: ${command.description}\nUso: ${command.usage}`;
+      const { name, command } = resolved;
+      let help = `${name}: ${command.description}\nUso: ${command.usage}`;
+      
+      if (command.aliases.length > 0) {
+        help += `\nAliases: ${command.aliases.join(', ')}`;
+      }
+      
+      if (command.acceptsInput) {
+        help += '\nAceita a saída de outro comando pelo pipe (|)';
+      }
+      
+      return new CommandOutput(help, this.getCommandMetadata().find(item => item.name === name));
     }
     
     let help = 'Comandos disponíveis:\n\n';
     
     for (const [name, config] of this.commands.entries()) {
-      help += `${name}: ${config.description}\n`;
+      const aliases = config.aliases.length > 0 ? ` (${config.aliases.join(', ')})` : '';
+      help += `${name}${aliases}: ${config.description}\n`;
     }
     
     help += '\nPara mais informações sobre um comando específico, use: help <comando>';
+    help += '\nAdicione --json para obter os dados em JSON e use | para encadear comandos (ex.: tm-list pending | tm-status done)';
+    
+    return new CommandOutput(help, this.getCommandMetadata());
+  }
+  
+  /**
+   * Lista ou define aliases do usuário
+   * @param {Array} args - Argumentos do comando
+   * @returns {CommandOutput} - Aliases definidos
+   */
+  handleAliasCommand(args) {
+    if (args.length > 0) {
+      const definition = args.join(' ');
+      const separator = definition.indexOf('=');
+      const name = separator > 0 ? definition.slice(0, separator).trim().toLowerCase() : '';
+      const expansion = separator > 0 ? definition.slice(separator + 1).trim() : '';
+      
+      if (!name || !expansion || /\s/.test(name)) {
+        throw new CommandError('Uso: alias nome="comando [argumentos]"', 'COMMAND_INVALID_ARGS');
+      }
+      
+      if (this.commands.has(name) || this.aliases.has(name)) {
+        throw new CommandError(`${name} já é um comando ou alias do sistema`, 'COMMAND_INVALID_ARGS');
+      }
+      
+      const [target] = parseCommandLine(expansion);
+      if (!this.resolveCommand(target.name)) {
+        throw new CommandError(`Comando não encontrado: ${target.name}`, 'COMMAND_NOT_FOUND');
+      }
+      
+      this.userAliases.set(name, expansion);
+      return new CommandOutput(`Alias definido: ${name} = ${expansion}`, { name, expansion });
+    }
+    
+    const aliases = [...this.userAliases.entries()].map(([name, expansion]) => ({ name, expansion }));
+    const text = aliases.length > 0
+      ? aliases.map(alias => `${alias.name} = ${alias.expansion}`).join('\n')
+      : 'Nenhum alias definido.';
+    
+    return new CommandOutput(text, aliases);
+  }
+  
+  /**
+   * Remove um alias do usuário
+   * @param {Array} args - Argumentos do comando
+   * @returns {string} - Confirmação
+   */
+  handleUnaliasCommand(args) {
+    const name = (args[0] || '').toLowerCase();
+    
+    if (!this.userAliases.delete(name)) {
+      throw new CommandError(`Alias não encontrado: ${args[0] || ''}`, 'COMMAND_NOT_FOUND');
+    }
     
-    return help;
+    return `Alias removido: ${name}`;
   }
   
   /**
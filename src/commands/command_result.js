@@ -0,0 +1,67 @@
+/**
+ * Resultados e erros dos comandos de terminal
+ *
+ * Um comando pode retornar um texto, um objeto qualquer (compatibilidade)
+ * ou um CommandOutput com o texto formatado para o terminal e os dados
+ * estruturados usados por `--json` e pelos pipes. Falhas devem ser
+ * lançadas como CommandError, para que o modo em lote saiba que o
+ * comando falhou.
+ */
+
+/**
+ * Saída de um comando
+ */
+export class CommandOutput {
+  /**
+   * @param {string} text - Texto exibido no terminal
+   * @param {*} data - Dados estruturados (saída JSON e entrada do próximo comando do pipe)
+   */
+  constructor(text, data = null) {
+    this.text = text;
+    this.data = data;
+  }
+}
+
+/**
+ * Erro de um comando (a mensagem é exibida como está)
+ */
+export class CommandError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - COMMAND_NOT_FOUND, COMMAND_INVALID_ARGS, COMMAND_SYNTAX ou COMMAND_FAILED
+   */
+  constructor(message, code = 'COMMAND_FAILED') {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+  }
+}
+
+/**
+ * Cria a saída de um comando
+ * @param {string} text - Texto exibido no terminal
+ * @param {*} data - Dados estruturados
+ * @returns {CommandOutput} Saída
+ */
+export function commandOutput(text, data) {
+  return new CommandOutput(text, data);
+}
+
+/**
+ * IDs de tarefas recebidos pelo pipe (lista de tarefas, tarefa, { id } ou texto)
+ * @param {*} input - Dados do comando anterior
+ * @returns {Array<string>} IDs
+ */
+export function idsFromInput(input) {
+  if (input === null || input === undefined) return [];
+
+  const items = Array.isArray(input) ? input : [input];
+  return items.flatMap(item => {
+    if (item && typeof item === 'object') {
+      if (item.id !== undefined) return [String(item.id)];
+      if (item.taskId !== undefined) return [String(item.taskId)];
+      return [];
+    }
+    return String(item).split(/[\s,]+/).filter(Boolean);
+  });
+}
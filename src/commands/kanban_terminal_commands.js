@@ -0,0 +1,633 @@
+/**
+ * Comandos de terminal para quadros Kanban e projetos
+ *
+ * Este arquivo implementa as famílias de comandos `board`, `column`, `card`,
+ * `project` e `report`, que chamam o KanbanAgent e o ProjectManagerAgent.
+ * Cada família recebe um subcomando (`board create`, `card move` etc.) e
+ * segue as mesmas convenções de ajuda, `--json` e pipes dos comandos do
+ * TaskMaster. Os agentes são carregados sob demanda e as chamadas usam a
+ * identidade do terminal (NEXUS_TERMINAL_USER_ID).
+ */
+
+import path from 'path';
+import { promises as fs } from 'fs';
+import { createLogger } from '../utils/logger.js';
+import { loadAgent } from '../services/mcp_tools.js';
+import { parseOptions } from './command_parser.js';
+import { CommandError, CommandOutput, idsFromInput } from './command_result.js';
+
+const BOARD_TEMPLATES = ['basic', 'scrum', 'kanban', 'custom'];
+const CARD_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const METRIC_TYPES = ['distribution', 'time', 'flow'];
+const REPORT_TYPES = ['progress', 'resources', 'deadlines'];
+
+class KanbanTerminalCommands {
+  /**
+   * @param {Object} options - Opções
+   * @param {Function} options.getAgent - Resolve um agente pelo nome (padrão: loadAgent)
+   * @param {string} options.userId - Identidade usada nas chamadas (padrão NEXUS_TERMINAL_USER_ID)
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('KanbanCommands');
+    this.commands = new Map();
+    this.getAgent = options.getAgent || loadAgent;
+    this.userId = options.userId || process.env.NEXUS_TERMINAL_USER_ID || 'terminal';
+    
+    // Registrar comandos
+    this.registerCommands();
+    
+    this.logger.info('Comandos de terminal do Kanban inicializados');
+  }
+  
+  /**
+   * Registra todos os comandos disponíveis
+   */
+  registerCommands() {
+    this.registerFamily('board', {
+      description: 'Gerenciar quadros Kanban',
+      subcommands: {
+        list: { usage: 'board list [--project=ID]', action: this.handleBoardList },
+        create: {
+          usage: 'board create <nome> [--description="..."] [--project=ID] [--template=basic|scrum|kanban|custom]',
+          action: this.handleBoardCreate
+        },
+        show: { usage: 'board show <quadro>', action: this.handleBoardShow },
+        metrics: { usage: 'board metrics <quadro> [distribution|time|flow]', action: this.handleBoardMetrics },
+        export: { usage: 'board export <quadro> [--output=arquivo.json|arquivo.md]', action: this.handleBoardExport }
+      },
+      options: [
+        { name: 'project' },
+        { name: 'description' },
+        { name: 'template', values: BOARD_TEMPLATES },
+        { name: 'output' }
+      ]
+    });
+    
+    this.registerFamily('column', {
+      description: 'Gerenciar colunas de um quadro Kanban',
+      subcommands: {
+        list: { usage: 'column list <quadro>', action: this.handleColumnList },
+        create: {
+          usage: 'column create <quadro> <nome> [--wip=N] [--order=N] [--color=#hex]',
+          action: this.handleColumnCreate
+        }
+      },
+      options: [{ name: 'wip' }, { name: 'order' }, { name: 'color' }]
+    });
+    
+    this.registerFamily('card', {
+      description: 'Gerenciar cartões Kanban (move e assign aceitam cartões pelo pipe)',
+      subcommands: {
+        list: { usage: 'card list <quadro> [--column=ID] [--assignee=usuário]', action: this.handleCardList },
+        create: {
+          usage: 'card create <coluna> <título> [--description="..."] [--priority=low|medium|high|urgent] [--assignee=usuário] [--due=AAAA-MM-DD] [--labels=a,b] [--task=ID]',
+          action: this.handleCardCreate
+        },
+        move: { usage: 'card move <cartão> <coluna> [posição] | ... | card move <coluna> [posição]', action: this.handleCardMove },
+        assign: { usage: 'card assign <cartão> <usuário> | ... | card assign <usuário>', action: this.handleCardAssign }
+      },
+      options: [
+        { name: 'column' },
+        { name: 'assignee' },
+        { name: 'description' },
+        { name: 'priority', values: CARD_PRIORITIES },
+        { name: 'due' },
+        { name: 'labels' },
+        { name: 'task' }
+      ],
+      acceptsInput: true
+    });
+    
+    this.registerFamily('project', {
+      description: 'Gerenciar projetos',
+      subcommands: {
+        list: { usage: 'project list [--status=active]', action: this.handleProjectList },
+        create: {
+          usage: 'project create <nome> [--description="..."] [--start=AAAA-MM-DD] [--end=AAAA-MM-DD]',
+          action: this.handleProjectCreate
+        },
+        progress: { usage: 'project progress <projeto>', action: this.handleProjectProgress },
+        assign: { usage: 'project assign <tarefa> <usuário>', action: this.handleProjectAssign }
+      },
+      options: [{ name: 'status' }, { name: 'description' }, { name: 'start' }, { name: 'end' }]
+    });
+    
+    this.registerFamily('report', {
+      description: 'Gerar e exportar relatórios de projetos',
+      subcommands: {
+        generate: { usage: 'report generate <projeto> [progress|resources|deadlines]', action: this.handleReportGenerate },
+        export: {
+          usage: 'report export <projeto> [progress|resources|deadlines] [--output=arquivo.json|arquivo.md]',
+          action: this.handleReportExport
+        }
+      },
+      options: [{ name: 'output' }]
+    });
+    
+    this.logger.info('Comandos Kanban registrados com sucesso');
+  }
+  
+  /**
+   * Registra uma família de comandos com subcomandos
+   * @param {string} name - Nome da família (primeira palavra do comando)
+   * @param {Object} config - Configuração da família
+   * @param {string} config.description - Descrição exibida na ajuda
+   * @param {Object} config.subcommands - Subcomandos ({ nome: { usage, action } })
+   * @param {Array<Object>} config.options - Opções --nome para autocompletar
+   * @param {boolean} config.acceptsInput - Aceita dados de um comando anterior no pipe
+   */
+  registerFamily(name, config) {
+    const subcommands = Object.entries(config.subcommands);
+    
+    this.commands.set(name, {
+      description: config.description,
+      usage: subcommands.map(([, subcommand]) => subcommand.usage).join('\n     '),
+      args: [{ name: 'subcomando', values: subcommands.map(([subcommandName]) => subcommandName) }],
+      options: config.options || [],
+      acceptsInput: Boolean(config.acceptsInput),
+      action: (args, context = {}) => {
+        const [subcommandName, ...rest] = args;
+        const subcommand = config.subcommands[subcommandName];
+        
+        if (!subcommand) {
+          const usage = subcommands.map(([, item]) => `  ${item.usage}`).join('\n');
+          throw new CommandError(
+            `${subcommandName ? `Subcomando desconhecido: ${name} ${subcommandName}` : `Informe um subcomando de ${name}`}\nUso:\n${usage}`,
+            'COMMAND_INVALID_ARGS'
+          );
+        }
+        
+        return subcommand.action.call(this, parseOptions(rest), context, subcommand.usage);
+      }
+    });
+  }
+  
+  /**
+   * Chama um método de agente, convertendo falhas em CommandError
+   * @private
+   * @param {string} agentName - Nome do agente
+   * @param {string} method - Método a chamar
+   * @param {Array} args - Argumentos
+   * @returns {Promise<*>} Retorno do método
+   */
+  async callAgent(agentName, method, ...args) {
+    let agent;
+    try {
+      agent = await this.getAgent(agentName);
+    } catch (error) {
+      throw new CommandError(error.message);
+    }
+    
+    if (!agent || typeof agent[method] !== 'function') {
+      throw new CommandError(`Método ${agentName}.${method} indisponível`);
+    }
+    
+    try {
+      return await agent[method](...args);
+    } catch (error) {
+      throw new CommandError(`Erro: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Exige os argumentos posicionais de um subcomando
+   * @private
+   */
+  requireArgs(positional, count, usage) {
+    if (positional.length < count || positional.slice(0, count).some(value => !value)) {
+      throw new CommandError(`Erro: argumentos insuficientes. Uso: ${usage}`, 'COMMAND_INVALID_ARGS');
+    }
+  }
+  
+  /**
+   * Identidade usada nas chamadas aos agentes
+   * @private
+   */
+  resolveUserId(context) {
+    return context.userId || this.userId;
+  }
+  
+  /**
+   * Processa `board list`
+   * @returns {Promise<CommandOutput>} - Quadros
+   */
+  async handleBoardList({ options }, context) {
+    const boards = await this.callAgent('KanbanAgent', 'listBoards', {
+      projectId: typeof options.project === 'string' ? options.project : undefined
+    }, this.resolveUserId(context));
+    
+    if (boards.length === 0) {
+      return new CommandOutput('Nenhum quadro encontrado.', []);
+    }
+    
+    const lines = boards.map(board => `${board.id}: ${board.name}${board.description ? ` - ${board.description}` : ''}`);
+    return new CommandOutput(`Quadros Kanban:\n\n${lines.join('\n')}`, boards);
+  }
+  
+  /**
+   * Processa `board create`
+   * @returns {Promise<CommandOutput>} - ID do quadro criado
+   */
+  async handleBoardCreate({ positional, options }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const boardData = {
+      name: positional.join(' '),
+      ...(typeof options.description === 'string' ? { description: options.description } : {}),
+      ...(typeof options.project === 'string' ? { projectId: options.project } : {}),
+      ...(typeof options.template === 'string' ? { template: options.template } : {})
+    };
+    
+    const boardId = await this.callAgent('KanbanAgent', 'createBoard', boardData, this.resolveUserId(context));
+    return new CommandOutput(`Quadro criado com sucesso: ${boardId} - ${boardData.name}`, { id: boardId, ...boardData });
+  }
+  
+  /**
+   * Processa `board show`
+   * @returns {Promise<CommandOutput>} - Quadro com colunas e cartões
+   */
+  async handleBoardShow({ positional }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const snapshot = await this.callAgent('KanbanAgent', 'exportBoard', positional[0], this.resolveUserId(context));
+    return new CommandOutput(this.formatBoard(snapshot), snapshot);
+  }
+  
+  /**
+   * Processa `board metrics`
+   * @returns {Promise<CommandOutput>} - Métricas do quadro
+   */
+  async handleBoardMetrics({ positional }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const metricType = positional[1] || 'distribution';
+    if (!METRIC_TYPES.includes(metricType)) {
+      throw new CommandError(`Tipo de métrica inválido: ${metricType}. Use ${METRIC_TYPES.join(', ')}`, 'COMMAND_INVALID_ARGS');
+    }
+    
+    const metrics = await this.callAgent('KanbanAgent', 'getBoardMetrics', positional[0], metricType, this.resolveUserId(context));
+    return new CommandOutput(`=== Métricas (${metricType}) do quadro ${positional[0]} ===\n\n${this.formatValue(metrics)}`, metrics);
+  }
+  
+  /**
+   * Processa `board export`
+   * @returns {Promise<CommandOutput>} - Quadro exportado
+   */
+  async handleBoardExport({ positional, options }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const snapshot = await this.callAgent('KanbanAgent', 'exportBoard', positional[0], this.resolveUserId(context));
+    return this.exportData(snapshot, options.output, {
+      title: `Quadro ${snapshot.board.name || positional[0]}`,
+      markdown: () => this.formatBoard(snapshot)
+    });
+  }
+  
+  /**
+   * Processa `column list`
+   * @returns {Promise<CommandOutput>} - Colunas do quadro
+   */
+  async handleColumnList({ positional }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const { columns, cards } = await this.callAgent('KanbanAgent', 'exportBoard', positional[0], this.resolveUserId(context));
+    if (columns.length === 0) {
+      return new CommandOutput('Nenhuma coluna encontrada.', []);
+    }
+    
+    const lines = columns.map(column => {
+      const count = cards.filter(card => card.column_id === column.id).length;
+      const limit = column.wip_limit > 0 ? `/${column.wip_limit}` : '';
+      return `${column.id}: ${column.name} (${count}${limit})`;
+    });
+    
+    return new CommandOutput(`Colunas do quadro ${positional[0]}:\n\n${lines.join('\n')}`, columns);
+  }
+  
+  /**
+   * Processa `column create`
+   * @returns {Promise<CommandOutput>} - ID da coluna criada
+   */
+  async handleColumnCreate({ positional, options }, context, usage) {
+    this.requireArgs(positional, 2, usage);
+    
+    const [boardId, ...nameParts] = positional;
+    const columnData = { name: nameParts.join(' ') };
+    
+    for (const [option, field] of [['wip', 'wipLimit'], ['order', 'order']]) {
+      if (options[option] === undefined) continue;
+      
+      const value = Number(options[option]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw new CommandError(`Erro: --${option} deve ser um inteiro não negativo`, 'COMMAND_INVALID_ARGS');
+      }
+      columnData[field] = value;
+    }
+    
+    if (typeof options.color === 'string') {
+      columnData.color = options.color;
+    }
+    
+    const columnId = await this.callAgent('KanbanAgent', 'createColumn', boardId, columnData, this.resolveUserId(context));
+    return new CommandOutput(`Coluna criada com sucesso: ${columnId} - ${columnData.name}`, { id: columnId, boardId, ...columnData });
+  }
+  
+  /**
+   * Processa `card list`
+   * @returns {Promise<CommandOutput>} - Cartões do quadro
+   */
+  async handleCardList({ positional, options }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const { columns, cards } = await this.callAgent('KanbanAgent', 'exportBoard', positional[0], this.resolveUserId(context));
+    const filtered = cards.filter(card =>
+      (typeof options.column !== 'string' || String(card.column_id) === options.column) &&
+      (typeof options.assignee !== 'string' || card.assignee === options.assignee)
+    );
+    
+    if (filtered.length === 0) {
+      return new CommandOutput('Nenhum cartão encontrado.', []);
+    }
+    
+    const columnNames = new Map(columns.map(column => [column.id, column.name]));
+    const lines = filtered.map(card => `${this.formatCard(card)} [${columnNames.get(card.column_id) || card.column_id}]`);
+    return new CommandOutput(`Cartões do quadro ${positional[0]}:\n\n${lines.join('\n')}`, filtered);
+  }
+  
+  /**
+   * Processa `card create`
+   * @returns {Promise<CommandOutput>} - ID do cartão criado
+   */
+  async handleCardCreate({ positional, options }, context, usage) {
+    this.requireArgs(positional, 2, usage);
+    
+    const [columnId, ...titleParts] = positional;
+    const cardData = { title: titleParts.join(' ') };
+    
+    for (const [option, field] of [['description', 'description'], ['priority', 'priority'], ['assignee', 'assignee'], ['due', 'dueDate'], ['task', 'taskId']]) {
+      if (typeof options[option] === 'string') {
+        cardData[field] = options[option];
+      }
+    }
+    
+    if (cardData.priority && !CARD_PRIORITIES.includes(cardData.priority)) {
+      throw new CommandError(`Prioridade inválida: ${cardData.priority}. Use ${CARD_PRIORITIES.join(', ')}`, 'COMMAND_INVALID_ARGS');
+    }
+    
+    if (typeof options.labels === 'string') {
+      cardData.labels = options.labels.split(',').map(label => label.trim()).filter(Boolean);
+    }
+    
+    const cardId = await this.callAgent('KanbanAgent', 'createCard', columnId, cardData, this.resolveUserId(context));
+    return new CommandOutput(`Cartão criado com sucesso: ${cardId} - ${cardData.title}`, { id: cardId, columnId, ...cardData });
+  }
+  
+  /**
+   * Processa `card move` (um cartão ou os cartões recebidos pelo pipe)
+   * @returns {Promise<CommandOutput>} - Cartões movidos
+   */
+  async handleCardMove({ positional }, context, usage) {
+    const piped = positional.length < 2 ? idsFromInput(context.input) : [];
+    const [cardIds, [columnId, position]] = piped.length > 0
+      ? [piped, positional]
+      : [positional.slice(0, 1), positional.slice(1)];
+    
+    this.requireArgs([...cardIds, columnId].filter(Boolean), 2, usage);
+    
+    let targetPosition;
+    if (position !== undefined) {
+      targetPosition = Number(position);
+      if (!Number.isInteger(targetPosition) || targetPosition < 0) {
+        throw new CommandError('Erro: a posição deve ser um inteiro não negativo', 'COMMAND_INVALID_ARGS');
+      }
+    }
+    
+    const moved = [];
+    for (const cardId of cardIds) {
+      moved.push(await this.callAgent('KanbanAgent', 'moveCard', cardId, columnId, targetPosition, this.resolveUserId(context)));
+    }
+    
+    const text = cardIds.map(cardId => `Cartão ${cardId} movido para a coluna ${columnId}.`).join('\n');
+    return new CommandOutput(text, piped.length > 0 ? moved : moved[0]);
+  }
+  
+  /**
+   * Processa `card assign` (um cartão ou os cartões recebidos pelo pipe)
+   * @returns {Promise<CommandOutput>} - Cartões atualizados
+   */
+  async handleCardAssign({ positional }, context, usage) {
+    const piped = positional.length < 2 ? idsFromInput(context.input) : [];
+    const [cardIds, [assignee]] = piped.length > 0
+      ? [piped, positional]
+      : [positional.slice(0, 1), positional.slice(1)];
+    
+    this.requireArgs([...cardIds, assignee].filter(Boolean), 2, usage);
+    
+    const updated = [];
+    for (const cardId of cardIds) {
+      updated.push(await this.callAgent('KanbanAgent', 'updateCard', cardId, { assignee }, this.resolveUserId(context)));
+    }
+    
+    const text = cardIds.map(cardId => `Cartão ${cardId} atribuído a ${assignee}.`).join('\n');
+    return new CommandOutput(text, piped.length > 0 ? updated : updated[0]);
+  }
+  
+  /**
+   * Processa `project list`
+   * @returns {Promise<CommandOutput>} - Projetos
+   */
+  async handleProjectList({ options }, context) {
+    const projects = await this.callAgent('ProjectManagerAgent', 'listProjects', {
+      status: typeof options.status === 'string' ? options.status : undefined
+    }, this.resolveUserId(context));
+    
+    if (projects.length === 0) {
+      return new CommandOutput('Nenhum projeto encontrado.', []);
+    }
+    
+    const lines = projects.map(project => `${project.id}: ${project.name}${project.description ? ` - ${project.description}` : ''}`);
+    return new CommandOutput(`Projetos:\n\n${lines.join('\n')}`, projects);
+  }
+  
+  /**
+   * Processa `project create` (o usuário do terminal é o dono do projeto)
+   * @returns {Promise<CommandOutput>} - ID do projeto criado
+   */
+  async handleProjectCreate({ positional, options }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const projectData = { name: positional.join(' '), owner: this.resolveUserId(context) };
+    for (const [option, field] of [['description', 'description'], ['start', 'startDate'], ['end', 'endDate']]) {
+      if (typeof options[option] === 'string') {
+        projectData[field] = options[option];
+      }
+    }
+    
+    const projectId = await this.callAgent('ProjectManagerAgent', 'createProject', projectData);
+    return new CommandOutput(`Projeto criado com sucesso: ${projectId} - ${projectData.name}`, { id: projectId, ...projectData });
+  }
+  
+  /**
+   * Processa `project progress`
+   * @returns {Promise<CommandOutput>} - Progresso do projeto
+   */
+  async handleProjectProgress({ positional }, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const progress = await this.callAgent('ProjectManagerAgent', 'getProjectProgress', positional[0], this.resolveUserId(context));
+    const { taskCounts } = progress;
+    
+    let output = `=== Projeto ${progress.projectName || positional[0]}: ${progress.overallProgress}% concluído ===\n\n`;
+    output += `Tarefas: ${taskCounts.total} (concluídas ${taskCounts.completed}, em andamento ${taskCounts.inProgress}, `;
+    output += `em revisão ${taskCounts.review}, a fazer ${taskCounts.todo})\n`;
+    output += `Prazos próximos: ${progress.deadlines.upcoming.length}, atrasados: ${progress.deadlines.overdue.length}`;
+    
+    return new CommandOutput(output, progress);
+  }
+  
+  /**
+   * Processa `project assign`
+   * @returns {Promise<CommandOutput>} - Tarefa atualizada
+   */
+  async handleProjectAssign({ positional }, context, usage) {
+    this.requireArgs(positional, 2, usage);
+    
+    const [taskId, assigneeId] = positional;
+    const task = await this.callAgent('ProjectManagerAgent', 'assignTask', taskId, assigneeId, this.resolveUserId(context));
+    return new CommandOutput(`Tarefa ${taskId} atribuída a ${assigneeId}.`, task);
+  }
+  
+  /**
+   * Gera o relatório pedido por `report generate` ou `report export`
+   * @private
+   */
+  async generateReport(positional, context, usage) {
+    this.requireArgs(positional, 1, usage);
+    
+    const reportType = positional[1] || 'progress';
+    if (!REPORT_TYPES.includes(reportType)) {
+      throw new CommandError(`Tipo de relatório inválido: ${reportType}. Use ${REPORT_TYPES.join(', ')}`, 'COMMAND_INVALID_ARGS');
+    }
+    
+    const report = await this.callAgent('ProjectManagerAgent', 'generateProjectReport', positional[0], reportType, this.resolveUserId(context));
+    return { report, reportType };
+  }
+  
+  /**
+   * Processa `report generate`
+   * @returns {Promise<CommandOutput>} - Relatório
+   */
+  async handleReportGenerate({ positional }, context, usage) {
+    const { report, reportType } = await this.generateReport(positional, context, usage);
+    return new CommandOutput(`=== Relatório (${reportType}) do projeto ${positional[0]} ===\n\n${this.formatValue(report)}`, report);
+  }
+  
+  /**
+   * Processa `report export`
+   * @returns {Promise<CommandOutput>} - Relatório exportado
+   */
+  async handleReportExport({ positional, options }, context, usage) {
+    const { report, reportType } = await this.generateReport(positional, context, usage);
+    const output = typeof options.output === 'string'
+      ? options.output
+      : path.join('reports', `${positional[0]}-${reportType}-${new Date().toISOString().slice(0, 10)}.json`);
+    
+    return this.exportData(report, output, {
+      title: `Relatório (${reportType}) do projeto ${positional[0]}`,
+      markdown: () => this.formatValue(report)
+    });
+  }
+  
+  /**
+   * Grava dados exportados em arquivo (JSON, ou Markdown para .md)
+   * @private
+   * @param {*} data - Dados exportados
+   * @param {string} output - Arquivo de destino (sem arquivo, os dados são apenas retornados)
+   * @param {Object} format - { title, markdown: () => string }
+   * @returns {Promise<CommandOutput>} - Dados e caminho do arquivo
+   */
+  async exportData(data, output, format) {
+    if (typeof output !== 'string') {
+      return new CommandOutput(JSON.stringify(data, null, 2), data);
+    }
+    
+    const filePath = path.resolve(output);
+    const content = path.extname(filePath) === '.md'
+      ? `# ${format.title}\n\n\`\`\`\n${format.markdown()}\n\`\`\`\n`
+      : `${JSON.stringify(data, null, 2)}\n`;
+    
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, content, 'utf-8');
+    } catch (error) {
+      throw new CommandError(`Erro ao exportar para ${output}: ${error.message}`);
+    }
+    
+    return new CommandOutput(`${format.title} exportado para ${filePath}`, data);
+  }
+  
+  /**
+   * Formata um quadro com suas colunas e cartões
+   * @param {Object} snapshot - { board, columns, cards }
+   * @returns {string} - Texto formatado
+   */
+  formatBoard({ board, columns, cards }) {
+    let output = `=== Quadro ${board.id}: ${board.name} ===\n`;
+    
+    if (board.description) {
+      output += `${board.description}\n`;
+    }
+    
+    for (const column of columns) {
+      const columnCards = cards.filter(card => card.column_id === column.id);
+      const limit = column.wip_limit > 0 ? `/${column.wip_limit}` : '';
+      
+      output += `\n${column.name} (${columnCards.length}${limit})\n`;
+      output += columnCards.length > 0
+        ? columnCards.map(card => `  ${this.formatCard(card)}`).join('\n') + '\n'
+        : '  (vazia)\n';
+    }
+    
+    return output.trimEnd();
+  }
+  
+  /**
+   * Formata um cartão em uma linha
+   * @param {Object} card - Cartão
+   * @returns {string} - Texto formatado
+   */
+  formatCard(card) {
+    const priority = card.priority ? ` (${card.priority})` : '';
+    const assignee = card.assignee ? ` @${card.assignee}` : '';
+    return `${card.id}: ${card.title}${priority}${assignee}`;
+  }
+  
+  /**
+   * Formata métricas e relatórios (objetos aninhados) como linhas indentadas
+   * @param {*} value - Valor a formatar
+   * @param {number} depth - Nível de indentação
+   * @returns {string} - Texto formatado
+   */
+  formatValue(value, depth = 0) {
+    const indent = '  '.repeat(depth);
+    
+    if (Array.isArray(value)) {
+      if (value.length === 0) return `${indent}(nenhum)`;
+      return value.map(item => (item && typeof item === 'object'
+        ? `${indent}-\n${this.formatValue(item, depth + 1)}`
+        : `${indent}- ${item}`)).join('\n');
+    }
+    
+    if (value && typeof value === 'object') {
+      return Object.entries(value).map(([key, item]) => (item && typeof item === 'object'
+        ? `${indent}${key}:\n${this.formatValue(item, depth + 1)}`
+        : `${indent}${key}: ${item}`)).join('\n');
+    }
+    
+    return `${indent}${value}`;
+  }
+}
+
+// Exportar como singleton
+const kanbanTerminalCommands = new KanbanTerminalCommands();
+export default kanbanTerminalCommands;
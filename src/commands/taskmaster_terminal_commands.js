@@ -2,13 +2,23 @@
  * Comandos de terminal para integração do TaskMaster com o Nexus
  * 
  * Este arquivo implementa comandos de terminal para gerenciar tarefas
- * do TaskMaster diretamente da interface do Nexus.
+ * do TaskMaster diretamente da interface do Nexus. Os comandos leem e
+ * gravam tasks/tasks.json pelo TaskStore e retornam, além do texto, os
+ * dados usados por `--json` e pelos pipes do CommandRegistry; apenas
+ * tm-expand e subcomandos de `tm` sem comando próprio executam o CLI
+ * (via execFile, sem shell).
  */
 
 import { createLogger } from '../utils/logger.js';
 import path from 'path';
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import { promises as fs } from 'fs';
+import { TaskStore, TASK_STATUSES, TASK_PRIORITIES } from '../utils/task_store.js';
+import { toMermaid, toDot } from '../utils/task_graph.js';
+import { PrdPlanner, DEFAULT_PRD_FILE } from '../services/prd_planner.js';
+import { ExpansionPolicy } from '../services/expansion_policy.js';
+import { parseOptions } from './command_parser.js';
+import { CommandError, CommandOutput, idsFromInput } from './command_result.js';
 
 class TaskMasterTerminalCommands {
   constructor() {
@@ -16,6 +26,9 @@ class TaskMasterTerminalCommands {
     this.commands = new Map();
     this.projectRoot = process.env.TASKMASTER_PATH || process.cwd();
     this.taskMasterEnabled = process.env.TASKMASTER_ENABLED === 'true';
+    this.store = new TaskStore({ projectRoot: this.projectRoot });
+    this.planner = new PrdPlanner({ projectRoot: this.projectRoot, store: this.store });
+    this.expansion = new ExpansionPolicy({ projectRoot: this.projectRoot, store: this.store });
     
     // Registrar comandos
     this.registerCommands();
@@ -27,21 +40,31 @@ class TaskMasterTerminalCommands {
    * Registra todos os comandos disponíveis
    */
   registerCommands() {
+    const taskId = { name: 'id', values: () => this.listTaskIds() };
+    const status = { name: 'status', values: TASK_STATUSES };
+    
     this.registerCommand('tm', {
       description: 'Gerenciar tarefas com TaskMaster',
       usage: 'tm [comando] [opções]',
+      args: [{ name: 'comando', values: () => [...this.commands.keys()].filter(name => name !== 'tm').map(name => name.slice(3)) }],
+      acceptsInput: true,
       action: this.handleTaskMasterCommand.bind(this)
     });
     
     this.registerCommand('tm-list', {
       description: 'Listar todas as tarefas',
-      usage: 'tm-list [status]',
+      usage: 'tm-list [status] [--priority=high] [--ready] [--search="texto"]',
+      aliases: ['tm-ls'],
+      args: [status],
+      options: [{ name: 'priority', values: TASK_PRIORITIES }, { name: 'ready' }, { name: 'search' }],
       action: this.handleListCommand.bind(this)
     });
     
     this.registerCommand('tm-show', {
-      description: 'Mostrar detalhes de uma tarefa',
+      description: 'Mostrar detalhes de uma tarefa (ou das tarefas recebidas pelo pipe)',
       usage: 'tm-show <id>',
+      args: [taskId],
+      acceptsInput: true,
       action: this.handleShowCommand.bind(this)
     });
     
@@ -52,23 +75,94 @@ class TaskMasterTerminalCommands {
     });
     
     this.registerCommand('tm-status', {
-      description: 'Atualizar o status de uma tarefa',
-      usage: 'tm-status <id> <status>',
+      description: 'Atualizar o status de uma tarefa (ou das tarefas recebidas pelo pipe)',
+      usage: 'tm-status <id> <status> | ... | tm-status <status>',
+      aliases: ['tm-set'],
+      args: [taskId, status],
+      acceptsInput: true,
       action: this.handleStatusCommand.bind(this)
     });
     
     this.registerCommand('tm-expand', {
       description: 'Expandir uma tarefa em subtarefas',
       usage: 'tm-expand <id> [num_subtarefas]',
+      args: [taskId],
       action: this.handleExpandCommand.bind(this)
     });
     
     this.registerCommand('tm-create', {
       description: 'Criar uma nova tarefa',
       usage: 'tm-create --title="Título" --description="Descrição" [opções]',
+      aliases: ['tm-add'],
+      options: [
+        { name: 'title' },
+        { name: 'description' },
+        { name: 'details' },
+        { name: 'priority', values: TASK_PRIORITIES },
+        { name: 'dependencies' }
+      ],
       action: this.handleCreateCommand.bind(this)
     });
     
+    this.registerCommand('tm-graph', {
+      description: 'Mostrar o grafo de dependências e o caminho crítico',
+      usage: 'tm-graph [--format=text|mermaid|dot]',
+      options: [{ name: 'format', values: ['text', 'mermaid', 'dot'] }],
+      action: this.handleGraphCommand.bind(this)
+    });
+    
+    const planId = { name: 'plano', values: async () => (await this.planner.listPlans()).map(plan => plan.id) };
+    const boardOptions = [{ name: 'board' }, { name: 'no-board' }, { name: 'template', values: ['basic', 'scrum', 'kanban', 'custom'] }, { name: 'project' }];
+    
+    this.registerCommand('tm-parse-prd', {
+      description: 'Gerar um plano de tarefas (épicos, tarefas, subtarefas e complexidade) a partir de um PRD',
+      usage: `tm-parse-prd [arquivo=${DEFAULT_PRD_FILE}] [--name="Nome"] [--apply [--board="Quadro"] [--no-board] [--template=kanban] [--project=id]]`,
+      aliases: ['tm-prd'],
+      options: [{ name: 'name' }, { name: 'apply' }, ...boardOptions],
+      action: this.handleParsePrdCommand.bind(this)
+    });
+    
+    this.registerCommand('tm-plan', {
+      description: 'Listar os planos gerados de PRDs ou mostrar um plano',
+      usage: 'tm-plan [plano]',
+      aliases: ['tm-plans'],
+      args: [planId],
+      action: this.handlePlanCommand.bind(this)
+    });
+    
+    this.registerCommand('tm-apply-plan', {
+      description: 'Criar as tarefas de um plano e semear seu quadro Kanban',
+      usage: 'tm-apply-plan <plano> [--board="Quadro"] [--no-board] [--template=kanban] [--project=id]',
+      args: [planId],
+      options: boardOptions,
+      action: this.handleApplyPlanCommand.bind(this)
+    });
+    
+    this.registerCommand('tm-complexity', {
+      description: 'Mostrar o relatório de complexidade (nota, subtarefas recomendadas e justificativa por tarefa)',
+      usage: 'tm-complexity [id] [--threshold=5] [--expandable]',
+      aliases: ['tm-report'],
+      args: [taskId],
+      options: [{ name: 'threshold' }, { name: 'expandable' }],
+      action: this.handleComplexityCommand.bind(this)
+    });
+    
+    this.registerCommand('tm-expand-preview', {
+      description: 'Propor as subtarefas que faltam a uma tarefa complexa e mostrar o diff',
+      usage: 'tm-expand-preview <id> [--force]',
+      args: [taskId],
+      options: [{ name: 'force' }],
+      action: this.handleExpandPreviewCommand.bind(this)
+    });
+    
+    this.registerCommand('tm-expand-apply', {
+      description: 'Acrescentar as subtarefas da proposta de expansão pendente (ou descartá-la)',
+      usage: 'tm-expand-apply <id> [--discard]',
+      args: [taskId],
+      options: [{ name: 'discard' }],
+      action: this.handleExpandApplyCommand.bind(this)
+    });
+    
     this.logger.info('Comandos TaskMaster registrados com sucesso');
   }
   
@@ -78,23 +172,33 @@ class TaskMasterTerminalCommands {
    * @param {Object} config - Configuração do comando
    */
   registerCommand(name, config) {
-    this.commands.set(name, {
-      description: config.description,
-      usage: config.usage,
-      action: config.action
-    });
+    this.commands.set(name, { ...config });
   }
   
   /**
-   * Executa um comando do TaskMaster
-   * @param {string} command - Comando a ser executado
+   * IDs das tarefas e subtarefas (sugestões de autocompletar)
+   * @returns {Promise<Array<string>>} IDs
+   */
+  async listTaskIds() {
+    const tasks = await this.store.listTasks();
+    return tasks.flatMap(task => [
+      String(task.id),
+      ...(task.subtasks || []).map(subtask => `${task.id}.${subtask.id}`)
+    ]);
+  }
+  
+  /**
+   * Executa um comando do CLI task-master (sem shell: cada argumento é
+   * repassado como está, sem interpretação de metacaracteres)
+   * @param {Array<string>} args - Comando e argumentos (ex.: ['expand', '--id=3'])
    * @returns {Promise<string|Object>} - Resultado do comando
    */
-  executeTaskMasterCommand(command) {
+  executeTaskMasterCommand(args) {
     return new Promise((resolve, reject) => {
-      const fullCommand = `npx task-master ${command}`;
-      
-      exec(fullCommand, { cwd: this.projectRoot }, (error, stdout, stderr) => {
+      execFile('npx', ['task-master', ...args], {
+        cwd: this.projectRoot,
+        maxBuffer: 10 * 1024 * 1024
+      }, (error, stdout, stderr) => {
         if (error) {
           this.logger.error(`Erro ao executar comando TaskMaster: ${error.message}`);
           this.logger.error(`stderr: ${stderr}`);
@@ -150,12 +254,12 @@ class TaskMasterTerminalCommands {
   /**
    * Processa o comando principal do TaskMaster
    * @param {Array} args - Argumentos do comando
-   * @param {Object} options - Opções adicionais
-   * @returns {Promise<string>} - Resultado formatado
+   * @param {Object} context - Contexto da execução ({ input, json })
+   * @returns {Promise<CommandOutput|string>} - Resultado formatado
    */
-  async handleTaskMasterCommand(args, options) {
+  async handleTaskMasterCommand(args, context = {}) {
     if (!this.taskMasterEnabled) {
-      return 'TaskMaster não está habilitado. Configure TASKMASTER_ENABLED=true no arquivo .env';
+      throw new CommandError('TaskMaster não está habilitado. Configure TASKMASTER_ENABLED=true no arquivo .env');
     }
     
     const subcommand = args[0];
@@ -170,20 +274,20 @@ class TaskMasterTerminalCommands {
     
     if (specificCommand) {
       // Executar o comando específico
-      return specificCommand.action(args.slice(1), options);
+      return specificCommand.action(args.slice(1), context);
     }
     
     // Executar comando diretamente no TaskMaster
     try {
-      const result = await this.executeTaskMasterCommand(args.join(' '));
+      const result = await this.executeTaskMasterCommand(args.map(String));
       
       if (typeof result === 'string') {
         return result;
       }
       
-      return JSON.stringify(result, null, 2);
+      return new CommandOutput(JSON.stringify(result, null, 2), result);
     } catch (error) {
-      return `Erro: ${error.message}`;
+      throw new CommandError(`Erro: ${error.message}`);
     }
   }
   
@@ -205,189 +309,242 @@ class TaskMasterTerminalCommands {
   /**
    * Processa o comando de listar tarefas
    * @param {Array} args - Argumentos do comando
-   * @returns {Promise<string>} - Resultado formatado
+   * @returns {Promise<CommandOutput>} - Tarefas (texto formatado e dados)
    */
   async handleListCommand(args) {
+    const { positional, options } = parseOptions(args);
+    const status = positional[0];
+    
+    let tasks;
     try {
-      const status = args[0];
-      const command = status ? `get-tasks --status="${status}" --json` : 'get-tasks --json';
-      
-      const tasks = await this.executeTaskMasterCommand(command);
-      
-      if (!tasks || tasks.length === 0) {
-        return status ? 
-          `Nenhuma tarefa encontrada com status "${status}".` : 
-          'Nenhuma tarefa encontrada.';
-      }
-      
-      let output = status ? 
-        `Tarefas com status "${status}":\n\n` : 
-        'Todas as tarefas:\n\n';
-      
-      output += tasks.map(task => this.formatTask(task)).join('\n\n');
-      
-      return output;
+      tasks = await this.store.listTasks({
+        status,
+        priority: options.priority,
+        ready: options.ready === true || options.ready === 'true',
+        search: typeof options.search === 'string' ? options.search : undefined
+      });
     } catch (error) {
-      return `Erro ao listar tarefas: ${error.message}`;
+      throw new CommandError(`Erro ao listar tarefas: ${error.message}`);
+    }
+    
+    if (tasks.length === 0) {
+      return new CommandOutput(status ?
+        `Nenhuma tarefa encontrada com status "${status}".` :
+        'Nenhuma tarefa encontrada.', []);
     }
+    
+    let output = status ?
+      `Tarefas com status "${status}":\n\n` :
+      'Todas as tarefas:\n\n';
+    
+    output += tasks.map(task => this.formatTask(task)).join('\n\n');
+    
+    return new CommandOutput(output, tasks);
   }
   
   /**
    * Processa o comando de mostrar detalhes de uma tarefa
    * @param {Array} args - Argumentos do comando
-   * @returns {Promise<string>} - Resultado formatado
+   * @param {Object} context - Contexto da execução ({ input })
+   * @returns {Promise<CommandOutput>} - Tarefa (ou tarefas, vindas do pipe)
    */
-  async handleShowCommand(args) {
-    if (!args[0]) {
-      return 'Erro: É necessário fornecer o ID da tarefa. Exemplo: tm-show 1';
+  async handleShowCommand(args, { input } = {}) {
+    const taskIds = args[0] ? [args[0]] : idsFromInput(input);
+    
+    if (taskIds.length === 0) {
+      throw new CommandError('Erro: É necessário fornecer o ID da tarefa. Exemplo: tm-show 1', 'COMMAND_INVALID_ARGS');
     }
     
-    try {
-      const taskId = args[0];
-      const task = await this.executeTaskMasterCommand(`get-task --id=${taskId} --json`);
-      
-      if (!task) {
-        return `Tarefa ${taskId} não encontrada.`;
-      }
-      
-      let output = `=== Tarefa ${task.id}: ${task.title} ===\n\n`;
-      output += `Status: ${task.status}\n`;
-      output += `Prioridade: ${task.priority || 'média'}\n`;
-      output += `Descrição: ${task.description}\n`;
-      
-      if (task.dependencies && task.dependencies.length > 0) {
-        output += `Dependências: ${task.dependencies.join(', ')}\n`;
-      }
-      
-      if (task.details) {
-        output += `\nDetalhes:\n${task.details}\n`;
-      }
-      
-      if (task.testStrategy) {
-        output += `\nEstratégia de Teste:\n${task.testStrategy}\n`;
+    const tasks = [];
+    for (const taskId of taskIds) {
+      try {
+        tasks.push(await this.store.getTask(taskId));
+      } catch (error) {
+        throw new CommandError(error.code === 'TASK_NOT_FOUND'
+          ? `Tarefa ${taskId} não encontrada.`
+          : `Erro ao mostrar tarefa: ${error.message}`);
       }
+    }
+    
+    const text = tasks.map(task => this.formatTaskDetails(task)).join('\n');
+    return new CommandOutput(text, args[0] ? tasks[0] : tasks);
+  }
+  
+  /**
+   * Formata os detalhes completos de uma tarefa
+   * @param {Object} task - Tarefa
+   * @returns {string} - Texto formatado
+   */
+  formatTaskDetails(task) {
+    let output = `=== Tarefa ${task.id}: ${task.title} ===\n\n`;
+    output += `Status: ${task.status}\n`;
+    output += `Prioridade: ${task.priority || 'média'}\n`;
+    output += `Descrição: ${task.description}\n`;
+    
+    if (task.dependencies && task.dependencies.length > 0) {
+      output += `Dependências: ${task.dependencies.join(', ')}\n`;
+    }
+    
+    if (task.details) {
+      output += `\nDetalhes:\n${task.details}\n`;
+    }
+    
+    if (task.testStrategy) {
+      output += `\nEstratégia de Teste:\n${task.testStrategy}\n`;
+    }
+    
+    if (task.subtasks && task.subtasks.length > 0) {
+      output += `\nSubtarefas:\n`;
       
-      if (task.subtasks && task.subtasks.length > 0) {
-        output += `\nSubtarefas:\n`;
-        
-        for (const subtask of task.subtasks) {
-          output += `- ${subtask.id}: ${subtask.title} [${subtask.status}]\n`;
-        }
+      for (const subtask of task.subtasks) {
+        output += `- ${task.id}.${subtask.id}: ${subtask.title} [${subtask.status}]\n`;
       }
-      
-      return output;
-    } catch (error) {
-      return `Erro ao mostrar tarefa: ${error.message}`;
     }
+    
+    return output;
   }
   
   /**
    * Processa o comando de mostrar a próxima tarefa
-   * @returns {Promise<string>} - Resultado formatado
+   * @returns {Promise<CommandOutput>} - Próxima tarefa (null se não houver)
    */
   async handleNextCommand() {
+    let task;
     try {
-      const result = await this.executeTaskMasterCommand('next-task');
-      
-      if (!result || !result.nextTask) {
-        return 'Não há tarefas pendentes para trabalhar no momento.';
-      }
-      
-      const task = result.nextTask;
-      
-      let output = `=== Próxima Tarefa: ${task.id} - ${task.title} ===\n\n`;
-      output += `Status: ${task.status}\n`;
-      output += `Prioridade: ${task.priority}\n`;
-      output += `Descrição: ${task.description}\n\n`;
-      
-      output += `Para começar a trabalhar nesta tarefa, use:\n`;
-      output += `tm-status ${task.id} in-progress\n\n`;
-      
-      output += `Para ver detalhes completos, use:\n`;
-      output += `tm-show ${task.id}`;
-      
-      return output;
+      task = await this.store.nextTask();
     } catch (error) {
-      return `Erro ao buscar próxima tarefa: ${error.message}`;
+      throw new CommandError(`Erro ao buscar próxima tarefa: ${error.message}`);
+    }
+    
+    if (!task) {
+      return new CommandOutput('Não há tarefas pendentes para trabalhar no momento.', null);
     }
+    
+    let output = `=== Próxima Tarefa: ${task.id} - ${task.title} ===\n\n`;
+    output += `Status: ${task.status}\n`;
+    output += `Prioridade: ${task.priority}\n`;
+    output += `Descrição: ${task.description}\n\n`;
+    
+    output += `Para começar a trabalhar nesta tarefa, use:\n`;
+    output += `tm-status ${task.id} in-progress\n\n`;
+    
+    output += `Para ver detalhes completos, use:\n`;
+    output += `tm-show ${task.id}`;
+    
+    return new CommandOutput(output, task);
   }
   
   /**
    * Processa o comando de atualizar o status de uma tarefa
+   * 
+   * Com entrada pelo pipe, recebe apenas o status e o aplica a todas as
+   * tarefas recebidas (ex.: tm-list pending | tm-status done).
    * @param {Array} args - Argumentos do comando
-   * @returns {Promise<string>} - Resultado formatado
+   * @param {Object} context - Contexto da execução ({ input })
+   * @returns {Promise<CommandOutput>} - Itens atualizados ({ id, status, previousStatus })
    */
-  async handleStatusCommand(args) {
-    if (!args[0] || !args[1]) {
-      return 'Erro: É necessário fornecer o ID da tarefa e o novo status. Exemplo: tm-status 1 done';
-    }
+  async handleStatusCommand(args, { input } = {}) {
+    const piped = input !== undefined && args.length === 1;
+    const taskIds = piped ? idsFromInput(input) : (args[0] ? [args[0]] : []);
+    const newStatus = piped ? args[0] : args[1];
     
-    const taskId = args[0];
-    const newStatus = args[1];
+    if (!newStatus || (!piped && taskIds.length === 0)) {
+      throw new CommandError('Erro: É necessário fornecer o ID da tarefa e o novo status. Exemplo: tm-status 1 done', 'COMMAND_INVALID_ARGS');
+    }
     
-    const validStatus = ['pending', 'in-progress', 'review', 'done', 'deferred', 'cancelled'];
+    if (!TASK_STATUSES.includes(newStatus)) {
+      throw new CommandError(`Erro: Status inválido. Use um dos seguintes: ${TASK_STATUSES.join(', ')}`, 'COMMAND_INVALID_ARGS');
+    }
     
-    if (!validStatus.includes(newStatus)) {
-      return `Erro: Status inválido. Use um dos seguintes: ${validStatus.join(', ')}`;
+    if (taskIds.length === 0) {
+      return new CommandOutput('Nenhuma tarefa recebida para atualizar.', []);
     }
     
     try {
-      await this.executeTaskMasterCommand(`set-status --id=${taskId} --status="${newStatus}"`);
+      const updated = await this.store.setStatus(taskIds, newStatus);
+      const lines = [];
+      
+      for (const item of updated) {
+        lines.push(`Status da tarefa ${item.id} atualizado para "${newStatus}".`);
+        
+        // Política de expansão automática (TASKMASTER_AUTO_EXPAND)
+        const expansion = await this.expansion.onStatusChange({ taskId: item.id, status: item.status, previousStatus: item.previousStatus });
+        if (expansion) {
+          item.expansion = expansion;
+          lines.push(this.formatExpansion(expansion));
+        }
+      }
       
-      return `Status da tarefa ${taskId} atualizado para "${newStatus}".`;
+      return new CommandOutput(lines.join('\n'), updated);
     } catch (error) {
-      return `Erro ao atualizar status: ${error.message}`;
+      throw new CommandError(`Erro ao atualizar status: ${error.message}`);
     }
   }
   
   /**
    * Processa o comando de expandir uma tarefa em subtarefas
    * @param {Array} args - Argumentos do comando
-   * @returns {Promise<string>} - Resultado formatado
+   * @returns {Promise<CommandOutput>} - Subtarefas criadas
    */
   async handleExpandCommand(args) {
     if (!args[0]) {
-      return 'Erro: É necessário fornecer o ID da tarefa. Exemplo: tm-expand 1 [número_subtarefas]';
+      throw new CommandError('Erro: É necessário fornecer o ID da tarefa. Exemplo: tm-expand 1 [número_subtarefas]', 'COMMAND_INVALID_ARGS');
     }
     
-    const taskId = args[0];
-    const subtaskCount = args[1];
+    const taskId = String(args[0]);
+    const subtaskCount = args[1] !== undefined ? Number(args[1]) : undefined;
     
+    if (subtaskCount !== undefined && !(Number.isInteger(subtaskCount) && subtaskCount > 0)) {
+      throw new CommandError('Erro: O número de subtarefas deve ser um inteiro positivo.', 'COMMAND_INVALID_ARGS');
+    }
+    
+    // Validar a tarefa antes de acionar o CLI
     try {
-      let command = `expand --id=${taskId}`;
+      await this.store.getTask(taskId);
+    } catch (error) {
+      throw new CommandError(error.code === 'TASK_NOT_FOUND'
+        ? `Tarefa ${taskId} não encontrada.`
+        : `Erro ao expandir tarefa: ${error.message}`);
+    }
+    
+    let result;
+    try {
+      const command = ['expand', `--id=${taskId}`];
       
       if (subtaskCount) {
-        command += ` --subtasks=${subtaskCount}`;
+        command.push(`--subtasks=${subtaskCount}`);
       }
       
-      const result = await this.executeTaskMasterCommand(command);
-      
-      if (!result || !result.subtasks || result.subtasks.length === 0) {
-        return `A tarefa ${taskId} não pôde ser expandida.`;
-      }
-      
-      let output = `Tarefa ${taskId} expandida em ${result.subtasks.length} subtarefas:\n\n`;
-      
-      for (const subtask of result.subtasks) {
-        output += `- ${subtask.id}: ${subtask.title}\n`;
-      }
-      
-      output += `\nPara ver detalhes completos, use: tm-show ${taskId}`;
-      
-      return output;
+      result = await this.executeTaskMasterCommand(command);
     } catch (error) {
-      return `Erro ao expandir tarefa: ${error.message}`;
+      throw new CommandError(`Erro ao expandir tarefa: ${error.message}`);
+    }
+    
+    if (!result || !result.subtasks || result.subtasks.length === 0) {
+      throw new CommandError(`A tarefa ${taskId} não pôde ser expandida.`);
     }
+    
+    let output = `Tarefa ${taskId} expandida em ${result.subtasks.length} subtarefas:\n\n`;
+    
+    for (const subtask of result.subtasks) {
+      output += `- ${subtask.id}: ${subtask.title}\n`;
+    }
+    
+    output += `\nPara ver detalhes completos, use: tm-show ${taskId}`;
+    
+    return new CommandOutput(output, result.subtasks);
   }
   
   /**
    * Processa o comando de criar uma nova tarefa
    * @param {Array} args - Argumentos do comando
-   * @returns {Promise<string>} - Resultado formatado
+   * @returns {Promise<CommandOutput>} - Tarefa criada
    */
   async handleCreateCommand(args) {
-    if (args.length === 0) {
-      return `
+    const { options } = parseOptions(args);
+    
+    if (typeof options.title !== 'string' || typeof options.description !== 'string') {
+      throw new CommandError(`
 Erro: Parâmetros insuficientes.
 
 Uso: tm-create --title="Título" --description="Descrição" [opções]
@@ -401,18 +558,390 @@ Opções:
 
 Exemplo:
   tm-create --title="Implementar login" --description="Criar tela de login" --priority="high"
-`;
+`, 'COMMAND_INVALID_ARGS');
     }
     
     try {
-      // Montar comando com todos os argumentos fornecidos
-      const command = `add-task ${args.join(' ')}`;
+      const task = await this.store.addTask({
+        title: options.title,
+        description: options.description,
+        details: typeof options.details === 'string' ? options.details : undefined,
+        priority: typeof options.priority === 'string' ? options.priority : undefined,
+        dependencies: typeof options.dependencies === 'string' ? options.dependencies : undefined
+      });
       
-      const result = await this.executeTaskMasterCommand(command);
+      return new CommandOutput(`Tarefa criada com sucesso: Tarefa ${task.id} - ${task.title}`, task);
+    } catch (error) {
+      throw new CommandError(`Erro ao criar tarefa: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Processa o comando de mostrar o grafo de dependências
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Resultado formatado (dados: { graph, validation, schedule })
+   */
+  async handleGraphCommand(args) {
+    const { options } = parseOptions(args);
+    const format = typeof options.format === 'string' ? options.format : 'text';
+    
+    if (!['text', 'mermaid', 'dot'].includes(format)) {
+      throw new CommandError(`Erro: Formato inválido "${format}". Use text, mermaid ou dot.`, 'COMMAND_INVALID_ARGS');
+    }
+    
+    let analysis;
+    try {
+      analysis = await this.store.getGraph();
+    } catch (error) {
+      throw new CommandError(`Erro ao montar grafo: ${error.message}`);
+    }
+    
+    const { graph, validation, schedule } = analysis;
+    
+    if (graph.nodes.length === 0) {
+      return new CommandOutput('Nenhuma tarefa encontrada.', analysis);
+    }
+    
+    if (format === 'mermaid') {
+      return new CommandOutput(toMermaid(graph, schedule), analysis);
+    }
+    
+    if (format === 'dot') {
+      return new CommandOutput(toDot(graph, schedule), analysis);
+    }
+    
+    let output = '=== Grafo de Dependências ===\n\n';
+    
+    if (!validation.valid) {
+      output += 'Problemas encontrados:\n';
+      output += validation.errors.map(error => `  ❌ ${error.message}`).join('\n');
+      output += '\n\n';
+    }
+    
+    if (!schedule) {
+      return new CommandOutput(output + 'Não é possível calcular o caminho crítico enquanto houver dependências circulares.', analysis);
+    }
+    
+    const predecessors = new Map(graph.nodes.map(node => [node.id, []]));
+    for (const edge of graph.edges) {
+      predecessors.get(edge.to).push(edge.from);
+    }
+    const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+    
+    for (const id of schedule.order) {
+      const node = nodes.get(id);
+      const item = schedule.items[id];
+      const marker = item.critical ? '★' : ' ';
+      const indent = node.parentId ? '    ' : '';
+      const after = predecessors.get(id).length > 0 ? ` ← ${predecessors.get(id).join(', ')}` : '';
+      
+      output += `${marker} ${indent}${id}: ${node.title} [${node.status}]${after}\n`;
+      output += `  ${indent}   início ${item.earliestStart}, término ${item.earliestFinish}, folga ${item.slack}\n`;
+    }
+    
+    output += `\nCaminho crítico (★): ${schedule.criticalPath.join(' → ') || 'nenhum'}`;
+    output += `\nDuração restante: ${schedule.totalDuration}`;
+    
+    return new CommandOutput(output, analysis);
+  }
+  
+  /**
+   * Formata um plano para revisão no terminal
+   * @param {Object} plan - Plano (ver PrdPlanner.createPlan)
+   * @returns {string} - Texto formatado
+   */
+  formatPlan(plan) {
+    const { summary } = plan;
+    const status = plan.status === 'applied' ? 'aplicado' : 'rascunho';
+    let output = `📋 Plano ${plan.id}: ${plan.name} [${status}, ${plan.provider}]\n`;
+    output += `   ${summary.tasks} tarefas e ${summary.subtasks} subtarefas em ${summary.epics} épicos; `;
+    output += `complexidade média ${summary.averageComplexity} (${summary.aboveThreshold} com ${summary.thresholdScore} ou mais)\n`;
+    
+    const groups = [
+      ...plan.epics.map(epic => ({ title: epic.title, tasks: plan.tasks.filter(task => task.epic === epic.ref) })),
+      { title: 'Sem épico', tasks: plan.tasks.filter(task => !task.epic) }
+    ].filter(group => group.tasks.length > 0);
+    
+    for (const group of groups) {
+      output += `\n${group.title}\n`;
+      
+      for (const task of group.tasks) {
+        const after = task.dependencies.length > 0 ? ` ← ${task.dependencies.join(', ')}` : '';
+        output += `  ${task.ref} [${task.priority}] ${task.title} (complexidade ${task.complexity.score}, ${task.complexity.recommendedSubtasks} subtarefas recomendadas)${after}\n`;
+        
+        for (const subtask of task.subtasks) {
+          output += `      - ${subtask.title}\n`;
+        }
+      }
+    }
+    
+    return output.trimEnd();
+  }
+  
+  /**
+   * Opções de aplicação de um plano a partir das opções do comando
+   * @param {Object} options - Opções interpretadas
+   * @returns {Object} Opções de PrdPlanner.applyPlan
+   */
+  applyOptions(options) {
+    return {
+      board: !options['no-board'],
+      boardName: typeof options.board === 'string' ? options.board : undefined,
+      template: typeof options.template === 'string' ? options.template : undefined,
+      projectId: typeof options.project === 'string' ? options.project : undefined
+    };
+  }
+  
+  /**
+   * Formata o resultado da aplicação de um plano
+   * @param {Object} plan - Plano aplicado
+   * @returns {string} - Texto formatado
+   */
+  formatAppliedPlan(plan) {
+    const { tasks, reportFile, board } = plan.applied;
+    const ids = tasks.map(task => task.id);
+    const heading = plan.status === 'applied' ? `✅ Plano ${plan.id} aplicado` : `⚠️ Plano ${plan.id} aplicado parcialmente`;
+    let output = `${heading}: ${tasks.length} tarefas criadas (${ids[0]}–${ids[ids.length - 1]})\n`;
+    output += reportFile
+      ? `   Relatório de complexidade atualizado: ${reportFile}\n`
+      : '   ⚠️ Relatório de complexidade pendente\n';
+    
+    if (plan.status !== 'applied' && !board?.error) {
+      output += `   Conclua com: tm-apply-plan ${plan.id}`;
+    } else if (!board) {
+      output += '   Quadro Kanban não solicitado (--no-board)';
+    } else if (board.error) {
+      output += `   ⚠️ Quadro Kanban não criado: ${board.error}\n`;
+      output += `   Tente de novo com: tm-apply-plan ${plan.id}`;
+    } else {
+      output += `   Quadro Kanban ${board.boardId} (projeto ${board.projectId}): ${board.cards} cartões`;
+      if (board.errors.length > 0) {
+        output += `, ${board.errors.length} com erro`;
+      }
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Processa o comando de gerar um plano a partir de um PRD
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Plano (aplicado com --apply)
+   */
+  async handleParsePrdCommand(args) {
+    const { positional, options } = parseOptions(args);
+    
+    try {
+      const { text, source } = await this.planner.readPrd(positional[0] || DEFAULT_PRD_FILE);
+      const plan = await this.planner.createPlan(text, {
+        name: typeof options.name === 'string' ? options.name : undefined,
+        source
+      });
+      
+      if (options.apply) {
+        const applied = await this.planner.applyPlan(plan.id, this.applyOptions(options));
+        return new CommandOutput(`${this.formatPlan(applied)}\n\n${this.formatAppliedPlan(applied)}`, applied);
+      }
+      
+      return new CommandOutput(`${this.formatPlan(plan)}\n\nRevise o plano e aplique com: tm-apply-plan ${plan.id}`, plan);
+    } catch (error) {
+      throw new CommandError(`Erro ao gerar o plano do PRD: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Processa o comando de listar ou mostrar planos
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Planos ou plano
+   */
+  async handlePlanCommand(args) {
+    const [id] = args;
+    
+    try {
+      if (id) {
+        const plan = await this.planner.getPlan(id);
+        const applied = plan.applied ? `\n\n${this.formatAppliedPlan(plan)}` : '';
+        return new CommandOutput(this.formatPlan(plan) + applied, plan);
+      }
+      
+      const plans = await this.planner.listPlans();
+      if (plans.length === 0) {
+        return new CommandOutput(`Nenhum plano gerado. Use tm-parse-prd [arquivo] para gerar um a partir de ${DEFAULT_PRD_FILE}.`, plans);
+      }
+      
+      const lines = plans.map(plan => {
+        const status = { applied: `aplicado em ${plan.appliedAt}`, partial: 'aplicado parcialmente' }[plan.status] || 'rascunho';
+        return `${plan.id}  ${plan.name} — ${plan.summary.tasks} tarefas, ${plan.summary.epics} épicos [${status}]`;
+      });
+      return new CommandOutput(`Planos de PRD:\n\n${lines.join('\n')}`, plans);
+    } catch (error) {
+      throw new CommandError(`Erro ao obter planos: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Processa o comando de aplicar um plano
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Plano aplicado
+   */
+  async handleApplyPlanCommand(args) {
+    const { positional, options } = parseOptions(args);
+    
+    if (!positional[0]) {
+      throw new CommandError('Uso: tm-apply-plan <plano> [--board="Quadro"] [--no-board] [--template=kanban] [--project=id]', 'COMMAND_INVALID_ARGS');
+    }
+    
+    try {
+      const plan = await this.planner.applyPlan(positional[0], this.applyOptions(options));
+      return new CommandOutput(this.formatAppliedPlan(plan), plan);
+    } catch (error) {
+      throw new CommandError(`Erro ao aplicar o plano: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Formata o relatório de complexidade
+   * @param {Object} report - Relatório (ver ExpansionPolicy.getReport)
+   * @param {Array<Object>} entries - Entradas a mostrar
+   * @returns {string} - Texto formatado
+   */
+  formatComplexityReport(report, entries) {
+    const { summary } = report;
+    let output = `📊 Relatório de complexidade (${report.reportFile}) — limiar ${report.threshold}\n`;
+    output += `   ${summary.analyzed} tarefas analisadas, nota média ${summary.averageScore ?? '-'}; `;
+    output += `${summary.aboveThreshold} no limiar ou acima, ${summary.expandable} a expandir`;
+    output += summary.missing + summary.stale > 0 ? ` (${summary.missing + summary.stale} desatualizadas; regenere com analyze-complexity)\n\n` : '\n\n';
+    
+    for (const entry of entries) {
+      const status = entry.missing ? 'removida' : entry.status;
+      const flag = entry.stale ? ' ⚠️ análise de outro título' : (entry.expandable ? ' ⚠️ expandir' : '');
+      output += `${entry.taskId}. [${entry.complexityScore}/10] ${entry.taskTitle} (${status}) — subtarefas ${entry.currentSubtasks}/${entry.recommendedSubtasks}${flag}\n`;
+    }
+    
+    return output.trimEnd();
+  }
+  
+  /**
+   * Formata a análise de complexidade de uma tarefa
+   * @param {Object} entry - Entrada do relatório (com threshold)
+   * @returns {string} - Texto formatado
+   */
+  formatComplexityEntry(entry) {
+    let output = `=== Complexidade da Tarefa ${entry.taskId}: ${entry.taskTitle} ===\n\n`;
+    output += `Nota: ${entry.complexityScore}/10 (limiar ${entry.threshold}${entry.aboveThreshold ? ', no limiar ou acima' : ''})\n`;
+    output += `Status: ${entry.missing ? 'tarefa removida de tasks.json' : entry.status}\n`;
+    
+    if (entry.stale) {
+      output += `⚠️ A análise foi feita para outro título: "${entry.analyzedTitle}"\n`;
+    }
+    output += `Subtarefas: ${entry.currentSubtasks} de ${entry.recommendedSubtasks} recomendadas\n`;
+    output += `\nJustificativa:\n${entry.reasoning || '-'}\n`;
+    output += `\nPrompt de expansão:\n${entry.expansionPrompt || '-'}\n`;
+    
+    if (entry.expandable) {
+      output += `\nPara ver as subtarefas propostas, use: tm-expand-preview ${entry.taskId}`;
+    }
+    
+    return output.trimEnd();
+  }
+  
+  /**
+   * Formata uma proposta de expansão (ou o erro da política automática)
+   * @param {Object} proposal - Proposta
+   * @returns {string} - Texto formatado
+   */
+  formatExpansion(proposal) {
+    if (proposal.error) {
+      return `⚠️ Expansão automática da tarefa ${proposal.taskId} não gerada: ${proposal.error}`;
+    }
+    
+    const { complexity } = proposal;
+    const source = complexity.source === 'report' ? 'relatório' : 'estimativa';
+    let output = `🧩 Expansão da tarefa ${proposal.taskId}: ${proposal.taskTitle} — complexidade ${complexity.score} (${source}, limiar ${complexity.threshold}), ${complexity.recommendedSubtasks} subtarefas recomendadas [${proposal.provider}]\n`;
+    output += proposal.diff.join('\n');
+    
+    if (proposal.status === 'pending') {
+      output += `\n\nPara acrescentar as subtarefas, use: tm-expand-apply ${proposal.taskId}`;
+    } else if (proposal.status === 'applied') {
+      output += `\n\n✅ ${proposal.subtasks.length} subtarefas acrescentadas.`;
+    } else {
+      output += '\n\nProposta descartada.';
+    }
+    
+    return output;
+  }
+  
+  /**
+   * Processa o comando do relatório de complexidade
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Relatório (ou a análise de uma tarefa)
+   */
+  async handleComplexityCommand(args) {
+    const { positional, options } = parseOptions(args);
+    const threshold = options.threshold !== undefined ? Number(options.threshold) : undefined;
+    
+    if (threshold !== undefined && !Number.isFinite(threshold)) {
+      throw new CommandError('Erro: --threshold deve ser um número. Exemplo: tm-complexity --threshold=7', 'COMMAND_INVALID_ARGS');
+    }
+    
+    try {
+      if (positional[0]) {
+        const entry = await this.expansion.getReportEntry(positional[0], { threshold });
+        return new CommandOutput(this.formatComplexityEntry(entry), entry);
+      }
       
-      return `Tarefa criada com sucesso: Tarefa ${result.id} - ${result.title}`;
+      const report = await this.expansion.getReport({ threshold });
+      const entries = options.expandable ? report.entries.filter(entry => entry.expandable) : report.entries;
+      
+      if (report.entries.length === 0) {
+        return new CommandOutput(`Nenhuma tarefa analisada em ${report.reportFile}. Gere o relatório com o CLI task-master (analyze-complexity) ou aplique um plano de PRD.`, report);
+      }
+      
+      return new CommandOutput(this.formatComplexityReport(report, entries), { ...report, entries });
+    } catch (error) {
+      throw new CommandError(`Erro ao obter o relatório de complexidade: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Processa o comando de propor a expansão de uma tarefa
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Proposta pendente
+   */
+  async handleExpandPreviewCommand(args) {
+    const { positional, options } = parseOptions(args);
+    
+    if (!positional[0]) {
+      throw new CommandError('Uso: tm-expand-preview <id> [--force]', 'COMMAND_INVALID_ARGS');
+    }
+    
+    try {
+      const proposal = await this.expansion.preview(positional[0], { force: Boolean(options.force) });
+      return new CommandOutput(this.formatExpansion(proposal), proposal);
+    } catch (error) {
+      throw new CommandError(`Erro ao propor a expansão: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Processa o comando de aplicar (ou descartar) a proposta de expansão de uma tarefa
+   * @param {Array} args - Argumentos do comando
+   * @returns {Promise<CommandOutput>} - Proposta aplicada ou descartada
+   */
+  async handleExpandApplyCommand(args) {
+    const { positional, options } = parseOptions(args);
+    
+    if (!positional[0]) {
+      throw new CommandError('Uso: tm-expand-apply <id> [--discard]', 'COMMAND_INVALID_ARGS');
+    }
+    
+    try {
+      const proposal = options.discard
+        ? await this.expansion.discard(positional[0])
+        : await this.expansion.apply(positional[0]);
+      return new CommandOutput(this.formatExpansion(proposal), proposal);
     } catch (error) {
-      return `Erro ao criar tarefa: ${error.message}`;
+      throw new CommandError(`Erro ao aplicar a expansão: ${error.message}`);
     }
   }
 }
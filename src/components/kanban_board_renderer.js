@@ -0,0 +1,530 @@
+/**
+ * Renderizador do quadro Kanban do TaskMaster
+ *
+ * Gera a página HTML do quadro a partir do estado calculado por
+ * TaskMasterKanban (colunas e cartões). É o único template do quadro:
+ * o servidor do Nexus e o handler serverless (minimal-handler.js) usam
+ * esta mesma função. A página inclui:
+ *   - arrastar e soltar cartões entre colunas (POST <apiBase>/cards/:id/move);
+ *   - edição do título e da prioridade no próprio cartão (PATCH <apiBase>/cards/:id);
+ *   - indicadores de limite de WIP por coluna (ver utils/wip_limits.js);
+ *   - raias (swimlanes) por prioridade ou responsável;
+ *   - atualizações em tempo real pelo fluxo de eventos (SSE), se configurado.
+ * Sem apiBase o quadro é somente leitura.
+ */
+
+import { getWipStatus } from '../utils/wip_limits.js';
+
+export const SWIMLANE_MODES = ['none', 'priority', 'assignee'];
+
+const PRIORITY_LANES = [
+  { id: 'high', title: 'Prioridade alta' },
+  { id: 'medium', title: 'Prioridade média' },
+  { id: 'low', title: 'Prioridade baixa' }
+];
+
+const UNASSIGNED_LANE = { id: '', title: 'Sem responsável' };
+
+/**
+ * Escapa texto para uso em HTML (conteúdo e atributos)
+ * @param {*} value - Valor a escapar
+ * @returns {string} Texto escapado
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Raias do quadro conforme o modo escolhido
+ * @private
+ */
+function buildLanes(cards, swimlane) {
+  if (swimlane === 'priority') {
+    return PRIORITY_LANES;
+  }
+
+  if (swimlane === 'assignee') {
+    const assignees = [...new Set(cards.map(card => card.assignee || ''))]
+      .filter(Boolean)
+      .sort((a, b) => a.localeCompare(b));
+    return [...assignees.map(assignee => ({ id: assignee, title: assignee })), UNASSIGNED_LANE];
+  }
+
+  return [{ id: '', title: null }];
+}
+
+/**
+ * Raia de um cartão
+ * @private
+ */
+function laneOf(card, swimlane) {
+  if (swimlane === 'priority') return card.priority || 'medium';
+  if (swimlane === 'assignee') return card.assignee || '';
+  return '';
+}
+
+/**
+ * HTML de um cartão
+ * @private
+ */
+function renderCard(card, editable) {
+  const priority = card.priority || 'medium';
+  const subtasksCount = card.subtasks?.length || 0;
+  const complexity = Math.min(card.complexity || 1, 5);
+
+  const title = editable
+    ? `<div class="card-title" contenteditable="true" spellcheck="false" data-field="title" title="Clique para editar">${escapeHtml(card.title)}</div>`
+    : `<div class="card-title">${escapeHtml(card.title)}</div>`;
+
+  const priorityControl = editable
+    ? `<select class="card-priority" data-field="priority" aria-label="Prioridade">${PRIORITY_LANES.map(option =>
+      `<option value="${option.id}"${option.id === priority ? ' selected' : ''}>${option.id}</option>`
+    ).join('')}</select>`
+    : `<span class="card-tag card-tag-${escapeHtml(priority)}">${escapeHtml(priority)}</span>`;
+
+  return `
+          <div class="kanban-card card-priority-${escapeHtml(priority)}" data-card-id="${escapeHtml(card.id)}" data-task-id="${escapeHtml(card.taskId)}"${editable ? ' draggable="true"' : ''}>
+            <div class="card-id">#${escapeHtml(card.taskId)}</div>
+            ${title}
+            <div class="card-description">${escapeHtml(card.description)}</div>
+            ${subtasksCount > 0 ? `<div class="card-subtasks"><span class="card-subtasks-count">${subtasksCount} subtarefa${subtasksCount > 1 ? 's' : ''}</span></div>` : ''}
+            <div class="complexity-indicator">${Array.from({ length: 5 }, (_, index) =>
+              `<div class="complexity-dot${index < complexity ? ' active' : ''}"></div>`).join('')}</div>
+            <div class="card-tags">
+              ${(card.tags || []).map(tag => `<span class="card-tag">${escapeHtml(tag)}</span>`).join('')}
+              ${priorityControl}
+              ${card.assignee ? `<span class="card-assignee">${escapeHtml(card.assignee)}</span>` : ''}
+            </div>
+          </div>`;
+}
+
+/**
+ * Cabeçalho de uma coluna com o indicador de WIP
+ * @private
+ */
+function renderColumnHeader(column) {
+  const wip = getWipStatus(column.cards.length, column.wipLimit);
+  const state = wip.exceeded ? ' wip-exceeded' : wip.atLimit ? ' wip-at-limit' : '';
+  const counter = wip.limit === null ? `${wip.count}` : `${wip.count}/${wip.limit}`;
+  const hint = wip.limit === null ? '' : ` title="Limite de WIP: ${wip.limit}"`;
+
+  return `
+        <div class="column-header${state}" data-column-id="${escapeHtml(column.id)}" data-wip-limit="${wip.limit ?? ''}" style="background-color: ${escapeHtml(column.color)}40;">
+          <span>${escapeHtml(column.title)}</span>
+          <span class="column-count"${hint}>${counter}</span>
+        </div>`;
+}
+
+/**
+ * Script do navegador (serializado com Function.prototype.toString); lê a
+ * configuração do atributo data-kanban-config do quadro
+ * @private
+ */
+function kanbanClient() {
+  const board = document.querySelector('.kanban-board');
+  const config = JSON.parse(board.dataset.kanbanConfig);
+
+  function refreshBoard() {
+    window.location.reload();
+  }
+  document.querySelector('.kanban-refresh').addEventListener('click', refreshBoard);
+
+  function request(method, url, body) {
+    return fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }).then(response => response.json().then(data => {
+      if (!response.ok || data.success === false) {
+        throw new Error(data.error || ('HTTP ' + response.status));
+      }
+      return data;
+    }));
+  }
+
+  // Recalcula contagens e indicadores de WIP a partir dos cartões na página
+  function updateCounters() {
+    board.querySelectorAll('.column-header').forEach(header => {
+      const columnId = header.dataset.columnId;
+      const count = board.querySelectorAll('.column-cards[data-column-id="' + columnId + '"] .kanban-card').length;
+      const limit = header.dataset.wipLimit ? Number(header.dataset.wipLimit) : null;
+
+      header.querySelector('.column-count').textContent = limit === null ? String(count) : count + '/' + limit;
+      header.classList.toggle('wip-exceeded', limit !== null && count > limit);
+      header.classList.toggle('wip-at-limit', limit !== null && count === limit);
+    });
+  }
+
+  function findContainer(columnId, lane) {
+    return board.querySelector('.column-cards[data-column-id="' + columnId + '"][data-lane="' + CSS.escape(lane) + '"]');
+  }
+
+  function setPriorityClass(card, priority) {
+    card.className = card.className.replace(/card-priority-\S+/, 'card-priority-' + priority);
+  }
+
+  // Aplica uma tarefa atualizada (evento SSE); retorna false se a página precisar ser recarregada
+  function applyTask(task) {
+    const card = board.querySelector('[data-card-id="task-' + CSS.escape(String(task.id)) + '"]');
+    const columnId = config.statusColumns[task.status] || config.statusColumns.pending;
+    if (!card) return false;
+
+    const titleElement = card.querySelector('.card-title');
+    if (titleElement && document.activeElement !== titleElement) titleElement.textContent = task.title;
+
+    const priority = task.priority || 'medium';
+    const select = card.querySelector('.card-priority');
+    if (select) select.value = priority;
+    setPriorityClass(card, priority);
+
+    const lane = config.swimlane === 'priority' ? priority : card.parentElement.dataset.lane;
+    const container = findContainer(columnId, lane);
+    if (!container) return false;
+
+    if (card.parentElement !== container) {
+      container.appendChild(card);
+      updateCounters();
+    }
+    return true;
+  }
+
+  if (config.editable) {
+    let draggedCard = null;
+
+    board.addEventListener('dragstart', event => {
+      const card = event.target.closest && event.target.closest('.kanban-card');
+      if (!card) return;
+      draggedCard = card;
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', card.dataset.cardId);
+      setTimeout(() => card.classList.add('dragging'), 0);
+    });
+
+    board.addEventListener('dragend', () => {
+      if (draggedCard) draggedCard.classList.remove('dragging');
+      draggedCard = null;
+      board.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+    });
+
+    board.addEventListener('dragover', event => {
+      const container = event.target.closest && event.target.closest('.column-cards');
+      if (!container || !draggedCard) return;
+      event.preventDefault();
+      board.querySelectorAll('.drop-target').forEach(element => {
+        if (element !== container) element.classList.remove('drop-target');
+      });
+      container.classList.add('drop-target');
+    });
+
+    board.addEventListener('drop', event => {
+      const container = event.target.closest && event.target.closest('.column-cards');
+      const card = draggedCard;
+      if (!container || !card) return;
+      event.preventDefault();
+      container.classList.remove('drop-target');
+
+      const origin = card.parentElement;
+      if (origin === container) return;
+
+      const body = { columnId: container.dataset.columnId };
+      if (config.swimlane === 'priority' && container.dataset.lane !== origin.dataset.lane) {
+        body.priority = container.dataset.lane;
+      }
+
+      // Move de forma otimista e desfaz em caso de erro
+      container.appendChild(card);
+      updateCounters();
+
+      request('POST', config.apiBase + '/cards/' + encodeURIComponent(card.dataset.cardId) + '/move', body)
+        .then(() => {
+          if (body.priority) {
+            setPriorityClass(card, body.priority);
+            const select = card.querySelector('.card-priority');
+            if (select) select.value = body.priority;
+          }
+        })
+        .catch(error => {
+          origin.appendChild(card);
+          updateCounters();
+          alert('Erro ao mover cartão: ' + error.message);
+        });
+    });
+
+    // Edição do título: Enter salva, Esc cancela
+    board.addEventListener('focusin', event => {
+      if (event.target.dataset && event.target.dataset.field === 'title') {
+        event.target.dataset.original = event.target.textContent;
+      }
+    });
+
+    board.addEventListener('keydown', event => {
+      if (!event.target.dataset || event.target.dataset.field !== 'title') return;
+      if (event.key === 'Enter') {
+        event.preventDefault();
+        event.target.blur();
+      } else if (event.key === 'Escape') {
+        event.target.textContent = event.target.dataset.original;
+        event.target.blur();
+      }
+    });
+
+    board.addEventListener('focusout', event => {
+      const field = event.target;
+      if (!field.dataset || field.dataset.field !== 'title') return;
+
+      const title = field.textContent.trim();
+      const original = field.dataset.original;
+      if (!title || title === original) {
+        field.textContent = original;
+        return;
+      }
+
+      const card = field.closest('.kanban-card');
+      request('PATCH', config.apiBase + '/cards/' + encodeURIComponent(card.dataset.cardId), { title })
+        .catch(error => {
+          field.textContent = original;
+          alert('Erro ao editar título: ' + error.message);
+        });
+    });
+
+    board.addEventListener('change', event => {
+      const select = event.target;
+      if (!select.dataset || select.dataset.field !== 'priority') return;
+
+      const card = select.closest('.kanban-card');
+      const previous = (card.className.match(/card-priority-(\S+)/) || [])[1];
+      request('PATCH', config.apiBase + '/cards/' + encodeURIComponent(card.dataset.cardId), { priority: select.value })
+        .then(() => {
+          setPriorityClass(card, select.value);
+          const container = card.parentElement;
+          const target = config.swimlane === 'priority' && findContainer(container.dataset.columnId, select.value);
+          if (target && target !== container) target.appendChild(card);
+        })
+        .catch(error => {
+          select.value = previous;
+          alert('Erro ao alterar prioridade: ' + error.message);
+        });
+    });
+  }
+
+  // Atualizações em tempo real (SSE); o navegador reconecta sozinho enviando Last-Event-ID
+  if (config.eventsUrl && window.EventSource) {
+    const events = new EventSource(config.eventsUrl + '?types=taskmaster:task:*');
+    let reloadTimer = null;
+    const scheduleReload = () => {
+      clearTimeout(reloadTimer);
+      reloadTimer = setTimeout(refreshBoard, 500);
+    };
+
+    events.addEventListener('taskmaster:task:updated', event => {
+      const task = JSON.parse(event.data).data;
+      if (!task || !applyTask(task)) scheduleReload();
+    });
+    ['taskmaster:task:created', 'taskmaster:task:deleted', 'taskmaster:task:expanded', 'reset']
+      .forEach(type => events.addEventListener(type, scheduleReload));
+  }
+}
+
+const STYLES = `
+    <style>
+      .taskmaster-kanban {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+        padding: 20px;
+        box-sizing: border-box;
+      }
+      .kanban-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 20px;
+        gap: 16px;
+        flex-wrap: wrap;
+      }
+      .kanban-title { font-size: 24px; font-weight: 600; color: #333; margin: 0; }
+      .kanban-controls { display: flex; gap: 10px; align-items: center; }
+      .kanban-button {
+        padding: 8px 12px;
+        background-color: #f0f2f5;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 14px;
+        color: #333;
+        text-decoration: none;
+      }
+      .kanban-button:hover { background-color: #e4e6e9; }
+      .kanban-button.active { background-color: #1a73e8; color: white; }
+      .kanban-readonly { font-size: 13px; color: #888; }
+      .kanban-board {
+        display: grid;
+        grid-template-columns: repeat(var(--column-count), 280px);
+        gap: 8px 16px;
+        overflow-x: auto;
+        padding-bottom: 16px;
+      }
+      .column-header {
+        padding: 12px;
+        font-weight: 600;
+        font-size: 16px;
+        color: #333;
+        border-radius: 8px 8px 0 0;
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        border-bottom: 3px solid transparent;
+      }
+      .column-header.wip-at-limit { border-bottom-color: #fb8c00; }
+      .column-header.wip-exceeded { border-bottom-color: #e53935; }
+      .column-header.wip-exceeded .column-count { background-color: #e53935; color: white; }
+      .column-count {
+        background-color: rgba(0, 0, 0, 0.1);
+        border-radius: 12px;
+        padding: 2px 8px;
+        font-size: 12px;
+      }
+      .lane-title {
+        grid-column: 1 / -1;
+        font-size: 14px;
+        font-weight: 600;
+        color: #555;
+        margin: 12px 0 0;
+        padding-bottom: 4px;
+        border-bottom: 1px solid #e0e0e0;
+      }
+      .column-cards {
+        padding: 8px;
+        min-height: 80px;
+        background-color: #f5f5f5;
+        border-radius: 0 0 8px 8px;
+        border: 2px dashed transparent;
+      }
+      .column-cards.drop-target { border-color: #1a73e8; background-color: #e8f0fe; }
+      .kanban-card {
+        background-color: #fff;
+        border-radius: 6px;
+        padding: 12px;
+        margin-bottom: 8px;
+        box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
+        position: relative;
+        border-top: 3px solid #ccc;
+      }
+      .kanban-card[draggable="true"] { cursor: grab; }
+      .kanban-card.dragging { opacity: 0.5; }
+      .card-title { font-weight: 500; margin: 0 32px 8px 0; color: #333; outline: none; border-radius: 3px; }
+      .card-title[contenteditable="true"]:focus { box-shadow: 0 0 0 2px #1a73e8; }
+      .card-id { position: absolute; top: 8px; right: 8px; font-size: 12px; color: #888; }
+      .card-description {
+        font-size: 13px;
+        color: #555;
+        margin-bottom: 8px;
+        display: -webkit-box;
+        -webkit-line-clamp: 2;
+        -webkit-box-orient: vertical;
+        overflow: hidden;
+      }
+      .card-tags { display: flex; flex-wrap: wrap; gap: 4px; margin-top: 8px; align-items: center; }
+      .card-tag { font-size: 11px; padding: 2px 6px; border-radius: 10px; background-color: #f0f0f0; color: #555; }
+      .card-tag-high { background-color: #ffebee; color: #c62828; }
+      .card-tag-medium { background-color: #fff8e1; color: #ef6c00; }
+      .card-tag-low { background-color: #e8f5e9; color: #2e7d32; }
+      .card-priority { font-size: 11px; border: 1px solid #ddd; border-radius: 10px; padding: 1px 4px; background: #fff; }
+      .card-assignee { font-size: 11px; color: #666; margin-left: auto; }
+      .card-priority-high { border-top-color: #e53935; }
+      .card-priority-medium { border-top-color: #fb8c00; }
+      .card-priority-low { border-top-color: #43a047; }
+      .card-subtasks { margin-top: 6px; font-size: 12px; color: #666; }
+      .card-subtasks-count { background-color: #f0f0f0; border-radius: 10px; padding: 2px 6px; font-size: 11px; }
+      .complexity-indicator { display: flex; gap: 2px; margin-top: 4px; }
+      .complexity-dot { width: 6px; height: 6px; border-radius: 50%; background-color: #ddd; }
+      .complexity-dot.active { background-color: #888; }
+    </style>`;
+
+/**
+ * Código do script do quadro, para ser servido como arquivo (compatível com
+ * Content-Security-Policy sem 'unsafe-inline') ou embutido na página
+ * @returns {string} Código JavaScript
+ */
+export function getKanbanClientScript() {
+  return `(${kanbanClient.toString()})();\n`;
+}
+
+/**
+ * Gera a página HTML do quadro
+ * @param {Object} board - Quadro ({ title, columns: [{ id, title, status, color, wipLimit, cards }] })
+ * @param {Object} options - Opções de renderização
+ * @param {string} options.swimlane - Raias: none (padrão), priority ou assignee
+ * @param {string} options.apiBase - Base das rotas de mover/editar cartões (sem ela, somente leitura)
+ * @param {string} options.eventsUrl - URL do fluxo de eventos SSE (opcional)
+ * @param {string} options.pageUrl - URL da página, usada nos links das raias (padrão: apiBase)
+ * @param {string} options.scriptUrl - URL do script do quadro (sem ela, o script é embutido)
+ * @returns {string} HTML completo
+ */
+export function renderKanbanBoard(board, options = {}) {
+  const swimlane = SWIMLANE_MODES.includes(options.swimlane) ? options.swimlane : 'none';
+  const editable = Boolean(options.apiBase);
+  const pageUrl = options.pageUrl ?? options.apiBase ?? '';
+  const columns = board.columns || [];
+  const cards = columns.flatMap(column => column.cards);
+  const lanes = buildLanes(cards, swimlane);
+
+  const headers = columns.map(renderColumnHeader).join('');
+
+  const rows = lanes.map(lane => {
+    const laneCards = columns.map(column => column.cards.filter(card => laneOf(card, swimlane) === lane.id));
+    const laneCount = laneCards.reduce((total, list) => total + list.length, 0);
+    const title = lane.title === null ? '' : `
+        <h2 class="lane-title" data-lane="${escapeHtml(lane.id)}">${escapeHtml(lane.title)} (${laneCount})</h2>`;
+
+    return title + columns.map((column, index) => `
+        <div class="column-cards" data-column-id="${escapeHtml(column.id)}" data-lane="${escapeHtml(lane.id)}" style="background-color: ${escapeHtml(column.color)}20;">${
+          laneCards[index].map(card => renderCard(card, editable)).join('')}
+        </div>`).join('');
+  }).join('');
+
+  const swimlaneLinks = SWIMLANE_MODES.map(mode => {
+    const label = { none: 'Sem raias', priority: 'Por prioridade', assignee: 'Por responsável' }[mode];
+    return `<a class="kanban-button${mode === swimlane ? ' active' : ''}" href="${escapeHtml(pageUrl)}?swimlane=${mode}">${label}</a>`;
+  }).join('');
+
+  const clientConfig = {
+    apiBase: options.apiBase || null,
+    eventsUrl: options.eventsUrl || null,
+    editable,
+    swimlane,
+    statusColumns: Object.fromEntries(columns.map(column => [column.status, column.id]))
+  };
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(board.title)}</title>${STYLES}
+  </head>
+  <body>
+    <div class="taskmaster-kanban">
+      <div class="kanban-header">
+        <h1 class="kanban-title">${escapeHtml(board.title)}</h1>
+        <div class="kanban-controls">
+          ${editable ? '' : '<span class="kanban-readonly">Somente leitura</span>'}
+          ${swimlaneLinks}
+          <button class="kanban-button kanban-refresh" type="button">Atualizar</button>
+        </div>
+      </div>
+      <div class="kanban-board" data-swimlane="${swimlane}" style="--column-count: ${columns.length};" data-kanban-config="${escapeHtml(JSON.stringify(clientConfig))}">${headers}${rows}
+      </div>
+    </div>
+    ${options.scriptUrl
+    ? `<script src="${escapeHtml(options.scriptUrl)}"></script>`
+    : `<script>\n${getKanbanClientScript().replace(/<\//g, '<\\/')}</script>`}
+  </body>
+</html>
+`;
+}
+
+export default renderKanbanBoard;
@@ -9,7 +9,10 @@ import path from 'path';
 import { promises as fs } from 'fs';
 import { execSync } from 'child_process';
 import axios from 'axios';
+import express from 'express';
 import { TaskMasterClient } from '../clients/taskmaster-client.js';
+import eventStream from '../services/event_stream.js';
+import { renderKanbanBoard, getKanbanClientScript } from './kanban_board_renderer.js';
 
 class TaskMasterKanban {
   constructor(config = {}) {
@@ -20,6 +23,10 @@ class TaskMasterKanban {
       taskMasterApiUrl: process.env.TASKMASTER_API_URL || 'http://localhost:3000/api/taskmaster',
       autoSync: true,
       syncInterval: 60, // segundos
+      eventsUrl: '/api/events', // fluxo SSE usado pela página do quadro (null desativa)
+      wipLimits: {
+        'in-progress': parseInt(process.env.DEFAULT_WIP_LIMIT || '5', 10)
+      }, // status -> limite de WIP
       ...config
     };
     
@@ -31,7 +38,7 @@ class TaskMasterKanban {
       { id: 'concluido', title: 'Concluído', status: 'done', color: '#e6c9ff', cards: [] },
       { id: 'adiado', title: 'Adiado', status: 'deferred', color: '#f5f5f5', cards: [] },
       { id: 'cancelado', title: 'Cancelado', status: 'cancelled', color: '#fbe2e2', cards: [] }
-    ];
+    ].map(column => ({ ...column, wipLimit: this.config.wipLimits[column.status] ?? null }));
     
     // Cliente do TaskMaster
     this.client = new TaskMasterClient({
@@ -54,9 +61,12 @@ class TaskMasterKanban {
   }
   
   /**
-   * Inicia a sincronização automática com o TaskMaster
+   * Inicia a sincronização automática com o TaskMaster: a cada evento de
+   * tarefa publicado no fluxo de eventos e, como garantia, no intervalo configurado
    */
   startAutoSync() {
+    this.unsubscribeEvents = eventStream.subscribe('taskmaster:task:*', () => this.scheduleSync());
+    
     this.syncInterval = setInterval(() => {
       this.syncWithTaskMaster()
         .catch(err => console.error('Erro ao sincronizar com TaskMaster:', err));
@@ -73,6 +83,16 @@ class TaskMasterKanban {
    * Para a sincronização automática
    */
   stopAutoSync() {
+    if (this.unsubscribeEvents) {
+      this.unsubscribeEvents();
+      this.unsubscribeEvents = null;
+    }
+    
+    if (this.pendingSync) {
+      clearTimeout(this.pendingSync);
+      this.pendingSync = null;
+    }
+    
     if (this.syncInterval) {
       clearInterval(this.syncInterval);
       this.syncInterval = null;
@@ -80,6 +100,19 @@ class TaskMasterKanban {
     }
   }
   
+  /**
+   * Agenda uma sincronização, agrupando rajadas de eventos em uma só
+   */
+  scheduleSync() {
+    if (this.pendingSync) return;
+    
+    this.pendingSync = setTimeout(() => {
+      this.pendingSync = null;
+      this.syncWithTaskMaster()
+        .catch(err => console.error('Erro ao sincronizar com TaskMaster:', err));
+    }, 500);
+  }
+  
   /**
    * Sincroniza o quadro com as tarefas do TaskMaster
    */
@@ -190,8 +223,8 @@ class TaskMasterKanban {
         }
         
         // Extrair números dos IDs para ordenação numérica
-        const aId = parseInt(a.taskId.replace(/[^0-9]/g, ''));
-        const bId = parseInt(b.taskId.replace(/[^0-9]/g, ''));
+        const aId = parseInt(String(a.taskId).replace(/[^0-9]/g, ''));
+        const bId = parseInt(String(b.taskId).replace(/[^0-9]/g, ''));
         return aId - bId;
       });
     });
@@ -246,10 +279,7 @@ class TaskMasterKanban {
   async moveCard(cardId, targetColumnId) {
     try {
       // Encontrar o cartão
-      const card = this.board.cards.find(c => c.id === cardId);
-      if (!card) {
-        throw new Error(`Cartão não encontrado: ${cardId}`);
-      }
+      const card = await this.findCard(cardId);
       
       // Encontrar a coluna de destino
       const targetColumn = this.columns.find(c => c.id === targetColumnId);
@@ -258,7 +288,9 @@ class TaskMasterKanban {
       }
       
       // Atualizar o status da tarefa no TaskMaster
-      await this.updateTaskStatus(card.taskId, targetColumn.status);
+      if (card.status !== targetColumn.status) {
+        await this.updateTaskStatus(card.taskId, targetColumn.status);
+      }
       
       return true;
     } catch (error) {
@@ -267,6 +299,111 @@ class TaskMasterKanban {
     }
   }
   
+  /**
+   * Edita o título e/ou a prioridade de um cartão
+   * @param {string} cardId ID do cartão
+   * @param {Object} changes Alterações ({ title, priority })
+   * @returns {Promise<Object>} Cartão atualizado
+   */
+  async updateCard(cardId, changes = {}) {
+    try {
+      const card = await this.findCard(cardId);
+      
+      const updates = {};
+      if (changes.title !== undefined) updates.title = changes.title;
+      if (changes.priority !== undefined) updates.priority = changes.priority;
+      if (Object.keys(updates).length === 0) {
+        throw new Error('Informe title ou priority');
+      }
+      
+      await this.client.updateTask(card.taskId, updates);
+      await this.syncWithTaskMaster();
+      
+      return this.board.cards.find(c => c.id === cardId);
+    } catch (error) {
+      console.error(`Erro ao editar cartão ${cardId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Localiza um cartão, sincronizando uma vez se ele ainda não estiver no quadro
+   * @param {string} cardId ID do cartão
+   * @returns {Promise<Object>} Cartão
+   */
+  async findCard(cardId) {
+    let card = this.board.cards.find(c => c.id === cardId);
+    if (!card) {
+      await this.syncWithTaskMaster();
+      card = this.board.cards.find(c => c.id === cardId);
+    }
+    if (!card) {
+      throw new Error(`Cartão não encontrado: ${cardId}`);
+    }
+    return card;
+  }
+  
+  /**
+   * Retorna o roteador Express do quadro
+   * 
+   * GET  /                     Página do quadro (?swimlane=none|priority|assignee)
+   * GET  /board                Estado do quadro em JSON
+   * GET  /client.js            Script da página (servido à parte por causa da CSP)
+   * POST /cards/:cardId/move   Move o cartão ({ columnId, priority? })
+   * PATCH /cards/:cardId       Edita título e/ou prioridade ({ title, priority })
+   * @returns {Object} Roteador Express
+   */
+  getRouter() {
+    if (this.router) return this.router;
+    
+    const router = express.Router();
+    router.use(express.json());
+    
+    router.get('/', async (req, res) => {
+      await this.syncWithTaskMaster();
+      res.type('html').send(this.generateHtml({
+        apiBase: req.baseUrl,
+        scriptUrl: `${req.baseUrl}/client.js`,
+        swimlane: req.query.swimlane
+      }));
+    });
+    
+    router.get('/client.js', (req, res) => {
+      res.type('application/javascript').send(getKanbanClientScript());
+    });
+    
+    router.get('/board', async (req, res) => {
+      await this.syncWithTaskMaster();
+      res.json({ success: true, board: this.board });
+    });
+    
+    router.post('/cards/:cardId/move', async (req, res) => {
+      try {
+        const { columnId, priority } = req.body || {};
+        if (priority) {
+          await this.updateCard(req.params.cardId, { priority });
+        }
+        await this.moveCard(req.params.cardId, columnId);
+        res.json({ success: true, card: this.board.cards.find(c => c.id === req.params.cardId) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+    
+    router.patch('/cards/:cardId', async (req, res) => {
+      try {
+        const { title, priority } = req.body || {};
+        const card = await this.updateCard(req.params.cardId, { title, priority });
+        res.json({ success: true, card });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+    
+    this.router = router;
+    return router;
+  }
+  
   /**
    * Retorna tarefas de exemplo para demonstração
    * @private
@@ -343,362 +480,14 @@ class TaskMasterKanban {
   
   /**
    * Gera a saída HTML para o quadro Kanban
+   * @param {Object} options Opções do renderizador (swimlane, apiBase, eventsUrl, pageUrl)
    * @returns {string} HTML do quadro Kanban
    */
-  generateHtml() {
-    // Estilos CSS para o quadro
-    const styles = `
-      <style>
-        .taskmaster-kanban {
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
-          display: flex;
-          flex-direction: column;
-          width: 100%;
-          max-width: 1200px;
-          margin: 0 auto;
-          padding: 20px;
-          box-sizing: border-box;
-        }
-        
-        .kanban-header {
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-          margin-bottom: 20px;
-        }
-        
-        .kanban-title {
-          font-size: 24px;
-          font-weight: 600;
-          color: #333;
-        }
-        
-        .kanban-controls {
-          display: flex;
-          gap: 10px;
-        }
-        
-        .kanban-button {
-          padding: 8px 12px;
-          background-color: #f0f2f5;
-          border: none;
-          border-radius: 4px;
-          cursor: pointer;
-          font-size: 14px;
-        }
-        
-        .kanban-button:hover {
-          background-color: #e4e6e9;
-        }
-        
-        .kanban-button.primary {
-          background-color: #1a73e8;
-          color: white;
-        }
-        
-        .kanban-button.primary:hover {
-          background-color: #1557b0;
-        }
-        
-        .kanban-columns {
-          display: flex;
-          gap: 16px;
-          overflow-x: auto;
-          padding-bottom: 16px;
-        }
-        
-        .kanban-column {
-          flex: 0 0 280px;
-          display: flex;
-          flex-direction: column;
-          background-color: #f5f5f5;
-          border-radius: 8px;
-          max-height: 80vh;
-        }
-        
-        .column-header {
-          padding: 12px;
-          font-weight: 600;
-          font-size: 16px;
-          color: #333;
-          border-bottom: 1px solid #e0e0e0;
-          display: flex;
-          justify-content: space-between;
-          align-items: center;
-        }
-        
-        .column-count {
-          background-color: rgba(0, 0, 0, 0.1);
-          border-radius: 12px;
-          padding: 2px 8px;
-          font-size: 12px;
-        }
-        
-        .column-cards {
-          padding: 8px;
-          overflow-y: auto;
-          flex-grow: 1;
-        }
-        
-        .kanban-card {
-          background-color: #fff;
-          border-radius: 6px;
-          padding: 12px;
-          margin-bottom: 8px;
-          box-shadow: 0 1px 3px rgba(0, 0, 0, 0.1);
-          cursor: pointer;
-          position: relative;
-          border-top: 3px solid #ccc;
-        }
-        
-        .card-title {
-          font-weight: 500;
-          margin-bottom: 8px;
-          color: #333;
-        }
-        
-        .card-id {
-          position: absolute;
-          top: 8px;
-          right: 8px;
-          font-size: 12px;
-          color: #888;
-        }
-        
-        .card-description {
-          font-size: 13px;
-          color: #555;
-          margin-bottom: 8px;
-          display: -webkit-box;
-          -webkit-line-clamp: 2;
-          -webkit-box-orient: vertical;
-          overflow: hidden;
-        }
-        
-        .card-metadata {
-          display: flex;
-          justify-content: space-between;
-          font-size: 12px;
-          color: #666;
-        }
-        
-        .card-tags {
-          display: flex;
-          flex-wrap: wrap;
-          gap: 4px;
-          margin-top: 8px;
-        }
-        
-        .card-tag {
-          font-size: 11px;
-          padding: 2px 6px;
-          border-radius: 10px;
-          background-color: #f0f0f0;
-          color: #555;
-        }
-        
-        .card-priority-high {
-          border-top-color: #e53935;
-        }
-        
-        .card-priority-medium {
-          border-top-color: #fb8c00;
-        }
-        
-        .card-priority-low {
-          border-top-color: #43a047;
-        }
-        
-        .card-subtasks {
-          margin-top: 6px;
-          font-size: 12px;
-          color: #666;
-        }
-        
-        .card-subtasks-count {
-          background-color: #f0f0f0;
-          border-radius: 10px;
-          padding: 2px 6px;
-          font-size: 11px;
-        }
-        
-        .complexity-indicator {
-          display: flex;
-          gap: 2px;
-          margin-top: 4px;
-        }
-        
-        .complexity-dot {
-          width: 6px;
-          height: 6px;
-          border-radius: 50%;
-          background-color: #ddd;
-        }
-        
-        .complexity-dot.active {
-          background-color: #888;
-        }
-      </style>
-    `;
-    
-    // Gerar HTML do quadro
-    let html = `
-      <!DOCTYPE html>
-      <html lang="pt-BR">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${this.board.title}</title>
-        ${styles}
-      </head>
-      <body>
-        <div class="taskmaster-kanban">
-          <div class="kanban-header">
-            <h1 class="kanban-title">${this.board.title}</h1>
-            <div class="kanban-controls">
-              <button class="kanban-button" onclick="refreshBoard()">Atualizar</button>
-              <button class="kanban-button primary" onclick="addTask()">Nova Tarefa</button>
-            </div>
-          </div>
-          
-          <div class="kanban-columns">
-    `;
-    
-    // Gerar HTML para cada coluna
-    this.columns.forEach(column => {
-      html += `
-        <div class="kanban-column" data-column-id="${column.id}" style="background-color: ${column.color}20;">
-          <div class="column-header" style="background-color: ${column.color}40;">
-            ${column.title}
-            <span class="column-count">${column.cards.length}</span>
-          </div>
-          <div class="column-cards" id="column-${column.id}">
-      `;
-      
-      // Gerar HTML para cada cartão na coluna
-      column.cards.forEach(card => {
-        const priorityClass = card.priority ? `card-priority-${card.priority.toLowerCase()}` : '';
-        const subtasksCount = card.subtasks?.length || 0;
-        
-        html += `
-          <div class="kanban-card ${priorityClass}" data-card-id="${card.id}" style="background-color: ${card.color || '#fff'};">
-            <div class="card-id">#${card.taskId}</div>
-            <div class="card-title">${card.title}</div>
-            <div class="card-description">${card.description || ''}</div>
-            
-            ${subtasksCount > 0 ? `
-              <div class="card-subtasks">
-                <span class="card-subtasks-count">${subtasksCount} subtarefa${subtasksCount > 1 ? 's' : ''}</span>
-              </div>
-            ` : ''}
-            
-            <div class="complexity-indicator">
-              ${Array.from({length: 5}, (_, i) => 
-                `<div class="complexity-dot ${i < card.complexity ? 'active' : ''}"></div>`
-              ).join('')}
-            </div>
-            
-            <div class="card-tags">
-              ${(card.tags || []).map(tag => `<span class="card-tag">${tag}</span>`).join('')}
-              ${card.priority ? `<span class="card-tag" style="background-color: ${
-                card.priority === 'high' ? '#ffebee' : 
-                card.priority === 'medium' ? '#fff8e1' : 
-                '#e8f5e9'
-              }; color: ${
-                card.priority === 'high' ? '#c62828' : 
-                card.priority === 'medium' ? '#ef6c00' : 
-                '#2e7d32'
-              };">${card.priority}</span>` : ''}
-            </div>
-          </div>
-        `;
-      });
-      
-      html += `
-          </div>
-        </div>
-      `;
+  generateHtml(options = {}) {
+    return renderKanbanBoard(this.board, {
+      eventsUrl: this.config.eventsUrl,
+      ...options
     });
-    
-    // JavaScript para interatividade
-    html += `
-          </div>
-        </div>
-        
-        <script>
-          function refreshBoard() {
-            window.location.reload();
-          }
-          
-          function addTask() {
-            // Implementar abertura do modal de nova tarefa
-            alert('Funcionalidade de adicionar tarefa em desenvolvimento');
-          }
-          
-          // Drag and drop (implementação básica)
-          document.addEventListener('DOMContentLoaded', function() {
-            const cards = document.querySelectorAll('.kanban-card');
-            const columns = document.querySelectorAll('.column-cards');
-            
-            cards.forEach(card => {
-              card.setAttribute('draggable', true);
-              
-              card.addEventListener('dragstart', e => {
-                e.dataTransfer.setData('text/plain', card.dataset.cardId);
-                setTimeout(() => {
-                  card.classList.add('dragging');
-                }, 0);
-              });
-              
-              card.addEventListener('dragend', () => {
-                card.classList.remove('dragging');
-              });
-              
-              card.addEventListener('click', () => {
-                // Implementar abertura do modal de detalhes da tarefa
-                alert('Detalhes da tarefa: ' + card.querySelector('.card-title').textContent);
-              });
-            });
-            
-            columns.forEach(column => {
-              column.addEventListener('dragover', e => {
-                e.preventDefault();
-              });
-              
-              column.addEventListener('drop', e => {
-                e.preventDefault();
-                const cardId = e.dataTransfer.getData('text/plain');
-                const columnId = column.id.replace('column-', '');
-                
-                // Fazer requisição para atualizar no servidor
-                fetch('/api/kanban/move-card', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ cardId, columnId })
-                })
-                .then(response => response.json())
-                .then(data => {
-                  if (data.success) {
-                    // Mover o card na interface
-                    const card = document.querySelector(\`[data-card-id="\${cardId}"]\`);
-                    column.appendChild(card);
-                  } else {
-                    alert('Erro ao mover cartão: ' + data.error);
-                  }
-                })
-                .catch(err => {
-                  console.error('Erro ao mover cartão:', err);
-                  alert('Erro ao mover cartão. Tente novamente.');
-                });
-              });
-            });
-          });
-        </script>
-      </body>
-      </html>
-    `;
-    
-    return html;
   }
   
   /**
@@ -708,7 +497,7 @@ class TaskMasterKanban {
    */
   async saveHtml(outputPath = 'public/taskmaster-kanban.html') {
     try {
-      const html = this.renderHtml();
+      const html = this.generateHtml({ eventsUrl: null });
       const fullPath = path.resolve(process.cwd(), outputPath);
       
       // Garantir que o diretório existe
@@ -46,7 +46,7 @@ const TaskMasterUI = ({ showTitle = true }) => {
         }
       });
       
-      setTasks(response.data);
+      setTasks(response.data.tasks);
       setError(null);
     } catch (err) {
       console.error('Erro ao carregar tarefas:', err);
@@ -64,7 +64,7 @@ const TaskMasterUI = ({ showTitle = true }) => {
       // Chamar a API para obter detalhes da tarefa
       const response = await axios.get(`/api/taskmaster/tasks/${taskId}`);
       
-      setSelectedTask(response.data);
+      setSelectedTask(response.data.task);
       setActiveView('detail');
       setError(null);
     } catch (err) {
@@ -160,6 +160,39 @@ const TaskMasterUI = ({ showTitle = true }) => {
     loadTasks();
   }, [statusFilter]);
 
+  // Atualizações em tempo real (SSE); o navegador reconecta sozinho enviando Last-Event-ID
+  useEffect(() => {
+    if (typeof EventSource === 'undefined') return undefined;
+
+    const events = new EventSource('/api/events?types=taskmaster:task:*');
+
+    events.addEventListener('taskmaster:task:updated', (e) => {
+      const task = JSON.parse(e.data).data;
+      if (!task) return;
+
+      // Subtarefas alteram a tarefa pai: recarregar a lista
+      if (task.parentTaskId) {
+        loadTasks();
+        return;
+      }
+
+      const visible = statusFilter === 'all' || task.status === statusFilter;
+      setTasks(prev => {
+        const others = prev.filter(item => String(item.id) !== String(task.id));
+        if (!visible) return others;
+        if (others.length === prev.length) return [...prev, task];
+        return prev.map(item => (String(item.id) === String(task.id) ? task : item));
+      });
+      setSelectedTask(prev => (prev && String(prev.id) === String(task.id) ? task : prev));
+    });
+
+    // Criações, remoções e retomadas impossíveis ("reset") recarregam a lista
+    ['taskmaster:task:created', 'taskmaster:task:deleted', 'taskmaster:task:expanded', 'reset']
+      .forEach(type => events.addEventListener(type, () => loadTasks()));
+
+    return () => events.close();
+  }, [statusFilter]);
+
   // Manipular alterações no formulário
   const handleFormChange = (e) => {
     const { name, value } = e.target;
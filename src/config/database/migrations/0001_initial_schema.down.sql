@@ -0,0 +1,10 @@
+-- Reverte a migração 0001: remove as tabelas (políticas, índices e gatilhos junto) e a função de updated_at
+
+DROP TABLE IF EXISTS project_figma_files CASCADE;
+DROP TABLE IF EXISTS project_members CASCADE;
+DROP TABLE IF EXISTS document_content CASCADE;
+DROP TABLE IF EXISTS document_metadata CASCADE;
+DROP TABLE IF EXISTS repositories CASCADE;
+DROP TABLE IF EXISTS projects CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at();
@@ -0,0 +1,5 @@
+-- Reverte a migração 0002: remove as tabelas Kanban (índices e gatilhos junto)
+
+DROP TABLE IF EXISTS kanban_cards CASCADE;
+DROP TABLE IF EXISTS kanban_columns CASCADE;
+DROP TABLE IF EXISTS kanban_boards CASCADE;
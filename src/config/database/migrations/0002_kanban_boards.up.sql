@@ -0,0 +1,79 @@
+-- Migração 0002: quadros, colunas e cartões Kanban
+
+-- Tabela: kanban_boards
+CREATE TABLE kanban_boards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  template TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  settings JSONB DEFAULT '{}',
+  sync_config JSONB,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_boards
+CREATE INDEX idx_kanban_boards_project_id ON kanban_boards(project_id);
+CREATE INDEX idx_kanban_boards_status ON kanban_boards(status);
+
+-- Tabela: kanban_columns
+CREATE TABLE kanban_columns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  "order" INTEGER NOT NULL DEFAULT 0,
+  wip_limit INTEGER NOT NULL DEFAULT 0,
+  color TEXT,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_columns
+CREATE INDEX idx_kanban_columns_board_id ON kanban_columns(board_id);
+
+-- Tabela: kanban_cards
+CREATE TABLE kanban_cards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  column_id UUID NOT NULL REFERENCES kanban_columns(id) ON DELETE CASCADE,
+  task_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  priority TEXT NOT NULL DEFAULT 'medium',
+  assignee TEXT,
+  due_date TIMESTAMPTZ,
+  labels TEXT[] DEFAULT '{}',
+  position INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_cards
+CREATE INDEX idx_kanban_cards_board_id ON kanban_cards(board_id);
+CREATE INDEX idx_kanban_cards_column_id ON kanban_cards(column_id);
+CREATE INDEX idx_kanban_cards_task_id ON kanban_cards(task_id);
+CREATE INDEX idx_kanban_cards_labels ON kanban_cards USING GIN(labels);
+
+-- Gatilhos para atualização automática de timestamps
+CREATE TRIGGER update_kanban_boards_updated_at
+BEFORE UPDATE ON kanban_boards
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER update_kanban_columns_updated_at
+BEFORE UPDATE ON kanban_columns
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER update_kanban_cards_updated_at
+BEFORE UPDATE ON kanban_cards
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,4 @@
+-- Reverte a migração 0003: remove as automações Kanban e o histórico de execuções
+
+DROP TABLE IF EXISTS kanban_automation_runs CASCADE;
+DROP TABLE IF EXISTS kanban_automations CASCADE;
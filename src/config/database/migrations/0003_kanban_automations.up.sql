@@ -0,0 +1,46 @@
+-- Migração 0003: automações Kanban e histórico de execuções
+
+-- Tabela: kanban_automations
+CREATE TABLE kanban_automations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  trigger JSONB NOT NULL,
+  actions JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'active',
+  last_run_at TIMESTAMPTZ,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_automations
+CREATE INDEX idx_kanban_automations_board_id ON kanban_automations(board_id);
+CREATE INDEX idx_kanban_automations_status ON kanban_automations(status);
+
+-- Tabela: kanban_automation_runs
+CREATE TABLE kanban_automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  automation_id UUID NOT NULL REFERENCES kanban_automations(id) ON DELETE CASCADE,
+  board_id UUID REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  card_id UUID REFERENCES kanban_cards(id) ON DELETE SET NULL,
+  trigger JSONB NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL,
+  steps JSONB NOT NULL DEFAULT '[]',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+-- Índices para kanban_automation_runs
+CREATE INDEX idx_kanban_automation_runs_automation_id ON kanban_automation_runs(automation_id, started_at DESC);
+CREATE INDEX idx_kanban_automation_runs_card_id ON kanban_automation_runs(card_id);
+CREATE INDEX idx_kanban_automation_runs_status ON kanban_automation_runs(status);
+
+-- Gatilhos para atualização automática de timestamps
+CREATE TRIGGER update_kanban_automations_updated_at
+BEFORE UPDATE ON kanban_automations
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
@@ -0,0 +1,3 @@
+-- Reverte a migração 0004: remove o histórico de eventos dos cartões Kanban
+
+DROP TABLE IF EXISTS kanban_card_history CASCADE;
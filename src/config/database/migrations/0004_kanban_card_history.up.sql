@@ -0,0 +1,20 @@
+-- Migração 0004: histórico de eventos dos cartões Kanban (base da simulação de automações)
+
+-- Tabela: kanban_card_history
+CREATE TABLE kanban_card_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  card_id UUID NOT NULL REFERENCES kanban_cards(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  card JSONB NOT NULL,
+  changes JSONB,
+  source_column_id UUID,
+  target_column_id UUID,
+  user_id TEXT,
+  timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_card_history
+CREATE INDEX idx_kanban_card_history_board_id ON kanban_card_history(board_id, timestamp);
+CREATE INDEX idx_kanban_card_history_card_id ON kanban_card_history(card_id);
+CREATE INDEX idx_kanban_card_history_event ON kanban_card_history(event);
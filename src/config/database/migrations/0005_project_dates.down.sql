@@ -0,0 +1,5 @@
+-- Reverte a migração 0005: remove as datas dos projetos
+
+ALTER TABLE projects
+  DROP COLUMN IF EXISTS end_date,
+  DROP COLUMN IF EXISTS start_date;
@@ -0,0 +1,5 @@
+-- Migração 0005: datas de início e fim dos projetos
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS start_date DATE,
+  ADD COLUMN IF NOT EXISTS end_date DATE;
@@ -13,6 +13,8 @@ CREATE TABLE projects (
   owner_id UUID NOT NULL REFERENCES auth.users(id),
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
   updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  start_date DATE,
+  end_date DATE,
   status TEXT NOT NULL DEFAULT 'active',
   settings JSONB DEFAULT '{}'
 );
@@ -122,6 +124,126 @@ CREATE TABLE project_figma_files (
 CREATE INDEX idx_project_figma_files_project_id ON project_figma_files(project_id);
 CREATE INDEX idx_project_figma_files_figma_file_key ON project_figma_files(figma_file_key);
 
+-- Tabela: kanban_boards
+CREATE TABLE kanban_boards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  template TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  settings JSONB DEFAULT '{}',
+  sync_config JSONB,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_boards
+CREATE INDEX idx_kanban_boards_project_id ON kanban_boards(project_id);
+CREATE INDEX idx_kanban_boards_status ON kanban_boards(status);
+
+-- Tabela: kanban_columns
+CREATE TABLE kanban_columns (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  "order" INTEGER NOT NULL DEFAULT 0,
+  wip_limit INTEGER NOT NULL DEFAULT 0,
+  color TEXT,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_columns
+CREATE INDEX idx_kanban_columns_board_id ON kanban_columns(board_id);
+
+-- Tabela: kanban_cards
+CREATE TABLE kanban_cards (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  column_id UUID NOT NULL REFERENCES kanban_columns(id) ON DELETE CASCADE,
+  task_id TEXT,
+  title TEXT NOT NULL,
+  description TEXT,
+  priority TEXT NOT NULL DEFAULT 'medium',
+  assignee TEXT,
+  due_date TIMESTAMPTZ,
+  labels TEXT[] DEFAULT '{}',
+  position INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_cards
+CREATE INDEX idx_kanban_cards_board_id ON kanban_cards(board_id);
+CREATE INDEX idx_kanban_cards_column_id ON kanban_cards(column_id);
+CREATE INDEX idx_kanban_cards_task_id ON kanban_cards(task_id);
+CREATE INDEX idx_kanban_cards_labels ON kanban_cards USING GIN(labels);
+
+-- Tabela: kanban_automations
+CREATE TABLE kanban_automations (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  trigger JSONB NOT NULL,
+  actions JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'active',
+  last_run_at TIMESTAMPTZ,
+  created_by TEXT NOT NULL,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_automations
+CREATE INDEX idx_kanban_automations_board_id ON kanban_automations(board_id);
+CREATE INDEX idx_kanban_automations_status ON kanban_automations(status);
+
+-- Tabela: kanban_automation_runs
+CREATE TABLE kanban_automation_runs (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  automation_id UUID NOT NULL REFERENCES kanban_automations(id) ON DELETE CASCADE,
+  board_id UUID REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  card_id UUID REFERENCES kanban_cards(id) ON DELETE SET NULL,
+  trigger JSONB NOT NULL,
+  reason TEXT,
+  status TEXT NOT NULL,
+  steps JSONB NOT NULL DEFAULT '[]',
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ
+);
+
+-- Índices para kanban_automation_runs
+CREATE INDEX idx_kanban_automation_runs_automation_id ON kanban_automation_runs(automation_id, started_at DESC);
+CREATE INDEX idx_kanban_automation_runs_card_id ON kanban_automation_runs(card_id);
+CREATE INDEX idx_kanban_automation_runs_status ON kanban_automation_runs(status);
+
+-- Tabela: kanban_card_history
+CREATE TABLE kanban_card_history (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  board_id UUID NOT NULL REFERENCES kanban_boards(id) ON DELETE CASCADE,
+  card_id UUID NOT NULL REFERENCES kanban_cards(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,
+  card JSONB NOT NULL,
+  changes JSONB,
+  source_column_id UUID,
+  target_column_id UUID,
+  user_id TEXT,
+  timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Índices para kanban_card_history
+CREATE INDEX idx_kanban_card_history_board_id ON kanban_card_history(board_id, timestamp);
+CREATE INDEX idx_kanban_card_history_card_id ON kanban_card_history(card_id);
+CREATE INDEX idx_kanban_card_history_event ON kanban_card_history(event);
+
 -- Função para atualização automática de timestamps
 CREATE OR REPLACE FUNCTION update_updated_at()
 RETURNS TRIGGER AS $$
@@ -162,6 +284,26 @@ BEFORE UPDATE ON project_figma_files
 FOR EACH ROW
 EXECUTE FUNCTION update_updated_at();
 
+CREATE TRIGGER update_kanban_boards_updated_at
+BEFORE UPDATE ON kanban_boards
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER update_kanban_columns_updated_at
+BEFORE UPDATE ON kanban_columns
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER update_kanban_cards_updated_at
+BEFORE UPDATE ON kanban_cards
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
+CREATE TRIGGER update_kanban_automations_updated_at
+BEFORE UPDATE ON kanban_automations
+FOR EACH ROW
+EXECUTE FUNCTION update_updated_at();
+
 -- Políticas de Segurança RLS (Row Level Security)
 
 -- Habilitar RLS para projects
@@ -19,6 +19,14 @@ export default {
     }
   },
   
+  // Configurações de logging (o nível vem de environment.<NODE_ENV>.logLevel ou LOG_LEVEL)
+  logging: {
+    format: process.env.LOG_FORMAT || 'json',
+    file: process.env.LOG_FILE || null,
+    maxFileSize: parseInt(process.env.LOG_MAX_FILE_SIZE || String(10 * 1024 * 1024), 10),
+    maxFiles: parseInt(process.env.LOG_MAX_FILES || '5', 10)
+  },
+  
   // Configurações dos agentes
   agents: {
     SecurityAgent: {
@@ -59,9 +67,16 @@ export default {
       enabled: true,
       module: 'ai_assistant_agent',
       options: {
-        model: process.env.AI_ASSISTANT_MODEL || 'claude-task-master',
+        // local, fixture[:arquivo], anthropic[:modelo] ou openai[:modelo]
+        model: process.env.AI_ASSISTANT_MODEL || 'local',
         temperature: parseFloat(process.env.AI_ASSISTANT_TEMPERATURE || '0.7'),
-        maxTokens: parseInt(process.env.AI_ASSISTANT_MAX_TOKENS || '2000', 10)
+        maxTokens: parseInt(process.env.AI_ASSISTANT_MAX_TOKENS || '2000', 10),
+        timeout: parseInt(process.env.AI_PROVIDER_TIMEOUT || '30000', 10),
+        fixtures: {
+          file: process.env.AI_FIXTURES_FILE || 'data/ai-fixtures.json',
+          // Provedor que grava as requisições ausentes (ex.: anthropic); vazio só reproduz
+          record: process.env.AI_FIXTURES_RECORD || null
+        }
       }
     },
     FrontendAgent: {
@@ -103,19 +118,25 @@ export default {
   },
   
   // Configurações das ferramentas
+  // `tools` lista os nomes (ou prefixos terminados em '*') de cada categoria, no
+  // formato servidor:ferramenta (ex.: supabase:query, taskmaster:task:list);
+  // a prioridade define a ordem de desativação quando o limite é atingido
   tools: {
     core: {
       enabled: true,
-      priority: 'high'
+      priority: 'high',
+      tools: ['sequential-thinking:*', 'taskmaster:*', 'claude-task-master:*', 'github:*', 'context:*']
     },
     database: {
       enabled: true,
       priority: 'medium',
-      connectionPoolSize: 5
+      connectionPoolSize: 5,
+      tools: ['supabase:*']
     },
     document: {
       enabled: true,
-      priority: 'medium'
+      priority: 'medium',
+      tools: ['figma:*', 'puppeteer:*']
     }
   },
   
@@ -129,7 +150,14 @@ export default {
       enabled: true
     },
     supabase: {
-      enabled: true
+      enabled: true,
+      // memory (padrão), file (persistido em dataFile) ou supabase (cliente oficial)
+      driver: process.env.SUPABASE_DRIVER || 'memory',
+      url: process.env.SUPABASE_URL || null,
+      key: process.env.SUPABASE_SERVICE_ROLE_KEY || null,
+      dataFile: process.env.SUPABASE_DATA_FILE || 'data/nexus-db.json',
+      schemaPath: process.env.SUPABASE_SCHEMA_PATH || 'src/config/database/schema.sql',
+      strictSchema: process.env.SUPABASE_STRICT_SCHEMA === 'true'
     }
   }
 };
@@ -13,6 +13,7 @@ import dotenv from 'dotenv';
 
 // Importar o handler minimalista para a Vercel
 import handler from './minimal-handler.js';
+import { TaskMasterKanban } from './components/taskmaster-kanban.js';
 
 // Configuração de variáveis de ambiente
 dotenv.config();
@@ -38,16 +39,11 @@ app.get('/', (req, res) => {
 // Rotas da API
 app.get('/api/tasks', (req, res) => {
   // Usar a mesma função de handler para manter consistência
-  const mockReq = { url: '/api/tasks' };
-  handler(mockReq, res);
+  handler(req, res);
 });
 
-// Servir o Kanban
-app.get('/kanban', (req, res) => {
-  // Usar a mesma função de handler para manter consistência
-  const mockReq = { url: '/kanban' };
-  handler(mockReq, res);
-});
+// Servir o Kanban interativo (arrastar e soltar, edição e limites de WIP)
+app.use('/kanban', new TaskMasterKanban({ autoSync: false, eventsUrl: null }).getRouter());
 
 // Iniciar o servidor se não estiver em ambiente Vercel
 if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
@@ -2,25 +2,43 @@
  * Adaptador MCP para Sequential Thinking
  * 
  * Fornece funcionalidades de pensamento sequencial para análise de problemas
- * complexos e tomada de decisões estruturadas.
+ * complexos e tomada de decisões estruturadas. As etapas vêm do provedor de
+ * IA configurado em agents.AIAssistantAgent.options.model (local e fixture
+ * produzem análises determinísticas, sem rede).
  */
 
 import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
+import { createAIProvider, completeJSON } from '../utils/ai_providers/index.js';
+import { LocalRuleProvider } from '../utils/ai_providers/local_provider.js';
+import config from '../config/default.js';
 
 class SequentialThinkingAdapter {
-  constructor() {
+  /**
+   * @param {Object} options - Opções
+   * @param {Object} options.provider - Provedor de IA (padrão: o de agents.AIAssistantAgent.options.model)
+   * @param {number} options.historyLimit - Análises mantidas no histórico (padrão SEQUENTIAL_THINKING_HISTORY_LIMIT ou 100)
+   */
+  constructor(options = {}) {
     this.logger = createLogger('SequentialThinkingAdapter');
     this.metrics = createMetrics('SequentialThinkingAdapter');
     
-    // Histórico de análises
+    const assistantOptions = config.agents.AIAssistantAgent.options;
+    this.provider = options.provider || createAIProvider(assistantOptions.model, assistantOptions);
+    this.fallbackProvider = new LocalRuleProvider();
+    
+    // Histórico de análises (completas, para getAnalysisById); só as mais recentes são mantidas
     this.analysisHistory = [];
+    this.historyLimit = options.historyLimit || parseInt(process.env.SEQUENTIAL_THINKING_HISTORY_LIMIT || '100', 10);
     
-    this.logger.info('Adaptador Sequential Thinking inicializado');
+    this.logger.info(`Adaptador Sequential Thinking inicializado (provedor: ${this.provider.name})`);
   }
   
   /**
    * Realiza uma análise sequencial de um problema
+   * 
+   * `options.provider` substitui o provedor do adaptador nesta análise (o
+   * AIAssistantAgent passa o seu).
    */
   async analyze(problem, options = {}) {
     this.logger.info(`Iniciando análise sequencial: "${problem}"`, options);
@@ -38,28 +56,27 @@ class SequentialThinkingAdapter {
     this.metrics.increment('analyses.started');
     const startTime = Date.now();
     
-    // Simulação do processo de análise sequencial
-    const thoughts = [];
     const steps = Math.min(config.maxThoughts, 10); // Limitar a 10 passos no máximo
+    const result = await this._requestAnalysis(problem, { ...config, maxThoughts: steps });
     
-    for (let i = 1; i <= steps; i++) {
-      thoughts.push({
-        thoughtNumber: i,
-        thought: `Pensamento ${i}: ${this._generateThoughtContent(problem, i, config.domain)}`,
-        timestamp: new Date().toISOString()
-      });
-    }
+    const thoughts = result.thoughts.slice(0, steps).map((thought, index) => ({
+      thoughtNumber: index + 1,
+      thought: `Pensamento ${index + 1}: ${thought}`,
+      timestamp: new Date().toISOString()
+    }));
     
     // Criar relatório de análise
     const analysis = {
       id: `analysis_${Date.now()}`,
       problem,
       thoughts,
-      summary: this._generateSummary(problem, thoughts),
-      recommendations: config.includeRecommendations ? this._generateRecommendations(problem, config.domain) : [],
-      actionItems: config.includeActionItems ? this._generateActionItems(problem, config.domain) : [],
+      summary: result.summary,
+      recommendations: config.includeRecommendations ? result.recommendations : [],
+      actionItems: config.includeActionItems ? result.actionItems : [],
       metadata: {
         domain: config.domain,
+        provider: result.provider,
+        model: result.model,
         startedAt: new Date(startTime).toISOString(),
         completedAt: new Date().toISOString(),
         duration: Date.now() - startTime
@@ -67,12 +84,10 @@ class SequentialThinkingAdapter {
     };
     
     // Armazenar no histórico
-    this.analysisHistory.push({
-      id: analysis.id,
-      problem,
-      timestamp: analysis.metadata.completedAt,
-      thoughtCount: thoughts.length
-    });
+    this.analysisHistory.push(analysis);
+    if (this.analysisHistory.length > this.historyLimit) {
+      this.analysisHistory.shift();
+    }
     
     // Registrar métricas
     this.metrics.increment('analyses.completed');
@@ -82,123 +97,72 @@ class SequentialThinkingAdapter {
   }
   
   /**
-   * Gera conteúdo simulado para um pensamento baseado no domínio
+   * Pede a análise ao provedor de IA e normaliza a resposta
+   * 
+   * Se o modelo não devolver JSON no formato pedido, a análise é refeita
+   * pelas regras locais, para que o chamador sempre receba uma análise.
    * @private
    */
-  _generateThoughtContent(problem, step, domain) {
-    const domainContent = {
-      'geral': [
-        'Identificando os principais componentes do problema.',
-        'Analisando as relações entre os componentes identificados.',
-        'Considerando possíveis soluções baseadas na análise anterior.',
-        'Avaliando prós e contras de cada solução proposta.',
-        'Selecionando a abordagem mais adequada com base nas avaliações.'
-      ],
-      'técnico': [
-        'Examinando os requisitos técnicos e dependências do sistema.',
-        'Identificando potenciais gargalos e limitações técnicas.',
-        'Avaliando opções de arquitetura e padrões de design aplicáveis.',
-        'Considerando aspectos de escalabilidade e manutenção.',
-        'Definindo a abordagem técnica e divisão de componentes.'
-      ],
-      'negócios': [
-        'Analisando o valor de negócio e impacto no mercado.',
-        'Avaliando recursos necessários e retorno do investimento.',
-        'Considerando riscos de negócio e estratégias de mitigação.',
-        'Alinhando com objetivos estratégicos da organização.',
-        'Definindo métricas de sucesso e critérios de avaliação.'
-      ],
-      'design': [
-        'Analisando necessidades e comportamentos dos usuários.',
-        'Identificando princípios de design aplicáveis ao contexto.',
-        'Explorando diferentes abordagens visuais e de interação.',
-        'Avaliando acessibilidade e usabilidade das alternativas.',
-        'Definindo diretrizes de design e protótipos iniciais.'
-      ]
+  async _requestAnalysis(problem, config) {
+    const request = {
+      task: 'sequential-analysis',
+      system: 'Você analisa problemas em etapas de pensamento sequencial, cada uma partindo da anterior. Responda somente com JSON.',
+      messages: [{
+        role: 'user',
+        content: [
+          `Problema: ${problem}`,
+          `Domínio: ${config.domain}`,
+          `Analise o problema em até ${config.maxThoughts} etapas de pensamento.`,
+          'Responda com JSON no formato {"thoughts": ["..."], "summary": "...", "recommendations": ["..."], "actionItems": [{"description": "...", "priority": "alta|média|baixa"}]}.'
+        ].join('\n')
+      }],
+      input: {
+        problem,
+        domain: config.domain,
+        maxThoughts: config.maxThoughts,
+        includeRecommendations: config.includeRecommendations,
+        includeActionItems: config.includeActionItems
+      },
+      temperature: 0.2
     };
     
-    // Usar conteúdo do domínio especificado ou geral como fallback
-    const contentArray = domainContent[domain] || domainContent['geral'];
-    const index = (step - 1) % contentArray.length;
-    
-    return contentArray[index];
-  }
-  
-  /**
-   * Gera um resumo simulado da análise
-   * @private
-   */
-  _generateSummary(problem, thoughts) {
-    return `Análise do problema "${problem}" concluída com ${thoughts.length} etapas de pensamento sequencial. A análise identificou os principais componentes do problema, explorou suas relações e propôs abordagens estruturadas para resolução.`;
-  }
-  
-  /**
-   * Gera recomendações simuladas baseadas no domínio
-   * @private
-   */
-  _generateRecommendations(problem, domain) {
-    const recommendations = {
-      'geral': [
-        'Implementar uma abordagem iterativa para resolver o problema.',
-        'Envolver as partes interessadas na validação da solução.',
-        'Documentar o processo de tomada de decisão para referência futura.'
-      ],
-      'técnico': [
-        'Utilizar uma arquitetura modular para facilitar manutenção futura.',
-        'Implementar testes automatizados desde o início do desenvolvimento.',
-        'Considerar aspectos de segurança em todas as etapas da implementação.'
-      ],
-      'negócios': [
-        'Realizar um piloto com um grupo restrito de usuários.',
-        'Definir métricas claras para medir o sucesso da iniciativa.',
-        'Preparar um plano de contingência para riscos identificados.'
-      ],
-      'design': [
-        'Conduzir testes de usabilidade com usuários reais.',
-        'Criar um sistema de design consistente para toda a aplicação.',
-        'Documentar princípios e decisões de design para manter consistência.'
-      ]
-    };
+    const provider = config.provider || this.provider;
+    let data;
+    let response;
+    try {
+      ({ data, response } = await completeJSON(provider, request));
+    } catch (error) {
+      if (error.code !== 'AI_PROVIDER_INVALID_RESPONSE') throw error;
+      
+      this.logger.warn(`Resposta do provedor ${provider.name} sem JSON válido, usando regras locais`);
+      this.metrics.increment('analyses.fallback');
+      ({ data, response } = await completeJSON(this.fallbackProvider, request));
+    }
     
-    return recommendations[domain] || recommendations['geral'];
-  }
-  
-  /**
-   * Gera itens de ação simulados baseados no domínio
-   * @private
-   */
-  _generateActionItems(problem, domain) {
-    const actionItems = {
-      'geral': [
-        { description: 'Criar documento detalhado do problema', priority: 'alta' },
-        { description: 'Agendar reunião com stakeholders', priority: 'média' },
-        { description: 'Definir cronograma de implementação', priority: 'média' }
-      ],
-      'técnico': [
-        { description: 'Configurar ambiente de desenvolvimento', priority: 'alta' },
-        { description: 'Definir arquitetura e componentes', priority: 'alta' },
-        { description: 'Criar pipeline de CI/CD', priority: 'média' }
-      ],
-      'negócios': [
-        { description: 'Realizar análise de mercado', priority: 'alta' },
-        { description: 'Definir modelo de negócio', priority: 'alta' },
-        { description: 'Elaborar plano de marketing', priority: 'média' }
-      ],
-      'design': [
-        { description: 'Criar wireframes iniciais', priority: 'alta' },
-        { description: 'Definir paleta de cores e tipografia', priority: 'média' },
-        { description: 'Desenvolver protótipos interativos', priority: 'média' }
-      ]
+    const toText = item => (typeof item === 'string' ? item : item?.thought || item?.description || JSON.stringify(item));
+    
+    return {
+      thoughts: Array.isArray(data.thoughts) ? data.thoughts.map(toText) : [],
+      summary: typeof data.summary === 'string' ? data.summary : '',
+      recommendations: Array.isArray(data.recommendations) ? data.recommendations.map(toText) : [],
+      actionItems: Array.isArray(data.actionItems)
+        ? data.actionItems.map(item => (typeof item === 'string' ? { description: item, priority: 'média' } : item))
+        : [],
+      provider: response.provider,
+      model: response.model
     };
-    
-    return actionItems[domain] || actionItems['geral'];
   }
   
   /**
    * Recupera análises anteriores
    */
   getAnalysisHistory(limit = 10) {
-    const history = this.analysisHistory.slice(-limit);
+    const history = this.analysisHistory.slice(-limit).map(analysis => ({
+      id: analysis.id,
+      problem: analysis.problem,
+      timestamp: analysis.metadata.completedAt,
+      thoughtCount: analysis.thoughts.length
+    }));
     
     this.logger.info(`Recuperando histórico de análises. Total: ${history.length}`);
     
@@ -209,26 +173,13 @@ class SequentialThinkingAdapter {
    * Recupera uma análise específica pelo ID
    */
   getAnalysisById(id) {
-    const historyItem = this.analysisHistory.find(item => item.id === id);
+    const analysis = this.analysisHistory.find(item => item.id === id);
     
-    if (!historyItem) {
+    if (!analysis) {
       this.logger.warn(`Análise não encontrada: ${id}`);
       return null;
     }
     
-    // Em um cenário real, recuperaríamos a análise completa
-    // Por enquanto, simulamos recriando a análise
-    const analysis = {
-      id: historyItem.id,
-      problem: historyItem.problem,
-      thoughts: [],
-      summary: `Análise recuperada do problema "${historyItem.problem}"`,
-      metadata: {
-        domain: 'geral',
-        timestamp: historyItem.timestamp
-      }
-    };
-    
     this.logger.info(`Análise recuperada: ${id}`);
     
     return analysis;
@@ -0,0 +1,85 @@
+/**
+ * Seleção do armazenamento do SupabaseAdapter
+ *
+ * Cria o cliente de dados conforme `integrations.supabase.driver`:
+ *   - memory: tabelas em memória (padrão, dados perdidos ao encerrar)
+ *   - file: tabelas em memória persistidas em um arquivo JSON
+ *   - supabase: cliente oficial (@supabase/supabase-js) com url e key
+ * Nos drivers embutidos o schema SQL é aplicado na inicialização (caminhos
+ * relativos partem da raiz do projeto). Um driver desconhecido ou o driver
+ * supabase sem url/key é um erro: não há troca silenciosa para a memória.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { createLogger } from '../../utils/logger.js';
+import { MemoryStorageDriver } from './memory_storage_driver.js';
+import { createStorageClient } from './query_builder.js';
+
+const logger = createLogger('Storage');
+const require = createRequire(import.meta.url);
+
+// Raiz do projeto, base dos caminhos relativos do schema
+const PROJECT_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../..');
+
+export const STORAGE_DRIVERS = ['memory', 'file', 'supabase'];
+
+/**
+ * Cria o cliente Supabase oficial
+ * @private
+ */
+function createSupabaseClient({ url, key }) {
+  if (!url || !key) {
+    throw new Error('SUPABASE_URL e SUPABASE_SERVICE_ROLE_KEY são obrigatórios para o driver supabase');
+  }
+
+  const { createClient } = require('@supabase/supabase-js');
+  return createClient(url, key, { auth: { persistSession: false } });
+}
+
+/**
+ * Cria um driver embutido e aplica o schema
+ * @private
+ */
+function createEmbeddedStorage(options) {
+  const driver = new MemoryStorageDriver({
+    filePath: options.driver === 'file' ? options.dataFile : null,
+    strict: options.strictSchema
+  });
+
+  if (options.schemaPath) {
+    const schemaPath = path.resolve(PROJECT_ROOT, options.schemaPath);
+    if (fs.existsSync(schemaPath)) {
+      driver.applySchema(fs.readFileSync(schemaPath, 'utf8'));
+    } else {
+      logger.warn(`Schema não encontrado: ${schemaPath}`);
+    }
+  }
+
+  return { driver: driver.name, client: createStorageClient(driver), storage: driver };
+}
+
+/**
+ * Cria o armazenamento configurado
+ * @param {Object} options - integrations.supabase (driver, url, key, dataFile, schemaPath, strictSchema)
+ * @returns {Object} { driver, client, storage } — storage é o driver embutido (null no supabase)
+ * @throws {Error} Se o driver for desconhecido ou o cliente Supabase não puder ser criado
+ */
+export function createStorage(options = {}) {
+  const driver = options.driver || 'memory';
+
+  if (!STORAGE_DRIVERS.includes(driver)) {
+    throw new Error(`Driver de armazenamento desconhecido: ${driver} (use ${STORAGE_DRIVERS.join(', ')})`);
+  }
+
+  if (driver === 'supabase') {
+    return { driver, client: createSupabaseClient(options), storage: null };
+  }
+
+  return createEmbeddedStorage({ ...options, driver });
+}
+
+export { MemoryStorageDriver, createStorageClient };
+export default createStorage;
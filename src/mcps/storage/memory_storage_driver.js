@@ -0,0 +1,582 @@
+/**
+ * Driver de armazenamento embutido
+ *
+ * Mantém as tabelas em memória, aplicando as definições de schema.sql:
+ * valores DEFAULT (uuid_generate_v4(), NOW(), literais), NOT NULL,
+ * UNIQUE e gatilhos de updated_at. Opcionalmente persiste os dados em um
+ * arquivo JSON, o que permite usar o Nexus sem uma instância Supabase.
+ * A gravação é assíncrona: alterações próximas são agrupadas em uma única
+ * escrita e flush() aguarda a gravação pendente, rejeitando se ela falhar.
+ * Um arquivo ilegível ou corrompido impede a criação do driver.
+ *
+ * Interface de driver (compartilhada com os demais drivers):
+ *   executeSql(sql) -> { statements, tables } (somente DDL)
+ *   select(table, { filters, order, limit, offset }) -> rows
+ *   insert(table, rows) -> rows
+ *   update(table, changes, { filters }) -> rows
+ *   delete(table, { filters }) -> rows
+ *   flush() -> Promise (opcional; aguarda a persistência das alterações)
+ * Erros seguem o formato do PostgREST ({ message, code }).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { createLogger } from '../../utils/logger.js';
+import {
+  splitSqlStatements,
+  parseCreateTable,
+  parseUpdatedAtTrigger,
+  parseAlterTable,
+  parseDropTable
+} from './sql_schema.js';
+
+/**
+ * Erro de armazenamento com código no padrão PostgreSQL
+ */
+export class StorageError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - Código SQLSTATE (ex.: 23505, 42P01)
+   * @param {string} details - Detalhes adicionais
+   */
+  constructor(message, code, details = null) {
+    super(message);
+    this.name = 'StorageError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Copia profunda de valores JSON
+ * @private
+ */
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compara dois valores com coerção entre números e strings
+ * (o PostgREST recebe os filtros como texto)
+ * @private
+ */
+function looselyEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || a === undefined || b === undefined) return false;
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return String(a) === String(b);
+}
+
+/**
+ * Compara dois valores para ordenação (nulos por último)
+ * @private
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Verifica se `container` contém `value` (arrays: todos os itens; objetos: todas as chaves)
+ * @private
+ */
+function containsValue(container, value) {
+  if (Array.isArray(container)) {
+    const items = Array.isArray(value) ? value : [value];
+    return items.every(item => container.some(entry => looselyEqual(entry, item)));
+  }
+
+  if (container && typeof container === 'object' && value && typeof value === 'object') {
+    return Object.entries(value).every(([key, item]) => looselyEqual(container[key], item));
+  }
+
+  return false;
+}
+
+// Operadores de filtro suportados
+const FILTER_OPERATORS = {
+  eq: (actual, expected) => looselyEqual(actual, expected),
+  neq: (actual, expected) => !looselyEqual(actual, expected),
+  gt: (actual, expected) => actual !== null && actual !== undefined && compareValues(actual, expected) > 0,
+  gte: (actual, expected) => actual !== null && actual !== undefined && compareValues(actual, expected) >= 0,
+  lt: (actual, expected) => actual !== null && actual !== undefined && compareValues(actual, expected) < 0,
+  lte: (actual, expected) => actual !== null && actual !== undefined && compareValues(actual, expected) <= 0,
+  in: (actual, expected) => (expected || []).some(item => looselyEqual(actual, item)),
+  contains: (actual, expected) => containsValue(actual, expected),
+  is: (actual, expected) => (expected === null ? actual === null || actual === undefined : actual === expected)
+};
+
+/**
+ * Verifica se uma linha satisfaz todos os filtros ({ column, operator, value })
+ * @private
+ */
+function matchesFilters(row, filters = []) {
+  return filters.every(({ column, operator = 'eq', value }) => {
+    const test = FILTER_OPERATORS[operator];
+    if (!test) {
+      throw new StorageError(`Operador de filtro não suportado: ${operator}`, '42883');
+    }
+    return test(row[column], value);
+  });
+}
+
+class MemoryStorageDriver {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.filePath - Arquivo JSON para persistência (opcional)
+   * @param {boolean} options.strict - Rejeita tabelas e colunas fora do schema
+   */
+  constructor(options = {}) {
+    this.name = options.filePath ? 'file' : 'memory';
+    this.filePath = options.filePath ? path.resolve(options.filePath) : null;
+    this.strict = options.strict === true;
+    this.logger = createLogger('MemoryStorageDriver');
+
+    this.tables = new Map();
+    this.rows = new Map();
+
+    // Gravação em andamento e gravação agendada (que inclui as alterações mais recentes)
+    this.currentWrite = Promise.resolve();
+    this.scheduledWrite = null;
+
+    this._load();
+  }
+
+  /**
+   * Aplica um schema SQL (CREATE TABLE e gatilhos de updated_at)
+   * @param {string} sql - Conteúdo do schema
+   * @returns {Array<string>} Tabelas definidas
+   */
+  applySchema(sql) {
+    const { tables } = this.executeSql(sql);
+    this.logger.debug('Schema aplicado', { tables });
+    return tables;
+  }
+
+  /**
+   * Executa comandos DDL: CREATE TABLE, ALTER TABLE ADD/DROP COLUMN,
+   * DROP TABLE e gatilhos de updated_at. Índices, extensões, funções e
+   * políticas são ignorados; comandos de dados (SELECT, INSERT...) não são
+   * suportados. O script é aplicado por inteiro ou não é aplicado.
+   * Diferente do PostgreSQL, CREATE TABLE de uma tabela existente redefine
+   * suas colunas mantendo os dados.
+   * @param {string} sql - Script SQL
+   * @returns {Object} { statements, tables } — comandos executados e tabelas criadas
+   */
+  executeSql(sql) {
+    const snapshot = { tables: clone(Object.fromEntries(this.tables)), rows: clone(Object.fromEntries(this.rows)) };
+    const created = [];
+    let changedData = false;
+    let statements = 0;
+
+    try {
+      for (const statement of splitSqlStatements(sql)) {
+        statements++;
+
+        if (/^CREATE\s+(?:UNLOGGED\s+|TEMP(?:ORARY)?\s+)?TABLE\b/i.test(statement)) {
+          const table = parseCreateTable(statement);
+          if (!table || (table.ifNotExists && this.tables.has(table.name))) continue;
+
+          this.tables.set(table.name, table);
+          if (!this.rows.has(table.name)) this.rows.set(table.name, []);
+          created.push(table.name);
+          continue;
+        }
+
+        const triggerTable = parseUpdatedAtTrigger(statement);
+        if (triggerTable) {
+          if (this.tables.has(triggerTable)) this.tables.get(triggerTable).touchUpdatedAt = true;
+          continue;
+        }
+
+        if (/^ALTER\s+TABLE\b/i.test(statement)) {
+          changedData = this._alterTable(parseAlterTable(statement)) || changedData;
+          continue;
+        }
+
+        const dropped = /^DROP\s+TABLE\b/i.test(statement) ? parseDropTable(statement) : null;
+        if (dropped) {
+          for (const table of dropped) {
+            if (!this.rows.has(table) && !this.tables.has(table)) {
+              if (/\bIF\s+EXISTS\b/i.test(statement)) continue;
+              throw new StorageError(`table "${table}" does not exist`, '42P01');
+            }
+            this.tables.delete(table);
+            this.rows.delete(table);
+          }
+          changedData = true;
+          continue;
+        }
+
+        if (/^(SELECT|INSERT|UPDATE|DELETE|WITH|EXPLAIN|TRUNCATE|COPY)\b/i.test(statement)) {
+          const command = statement.split(/\s+/)[0].toUpperCase();
+          throw new StorageError(`Comando SQL não suportado pelo armazenamento embutido: ${command}`, '0A000');
+        }
+      }
+    } catch (error) {
+      this.tables = new Map(Object.entries(snapshot.tables));
+      this.rows = new Map(Object.entries(snapshot.rows));
+      throw error;
+    }
+
+    if (changedData || created.length > 0) this._persist();
+    return { statements, tables: created };
+  }
+
+  /**
+   * Aplica ALTER TABLE ADD/DROP COLUMN à definição e às linhas existentes
+   * @private
+   */
+  _alterTable(alteration) {
+    if (!alteration || alteration.actions.length === 0) return false;
+
+    const definition = this.tables.get(alteration.table);
+    if (!definition && !this.rows.has(alteration.table)) {
+      throw new StorageError(`relation "${alteration.table}" does not exist`, '42P01');
+    }
+
+    const rows = this.rows.get(alteration.table) || [];
+
+    for (const action of alteration.actions) {
+      if (action.type === 'add_column') {
+        const { column } = action;
+        if (definition && !definition.columns.some(existing => existing.name === column.name)) {
+          definition.columns.push(column);
+          if (column.unique) definition.uniques.push([column.name]);
+        }
+        for (const row of rows) {
+          if (row[column.name] === undefined) {
+            row[column.name] = column.defaultExpression !== null ? this._evaluateDefault(column) : null;
+          }
+        }
+      } else if (action.type === 'drop_column') {
+        if (definition) {
+          definition.columns = definition.columns.filter(column => column.name !== action.name);
+          definition.uniques = definition.uniques.filter(columns => !columns.includes(action.name));
+        }
+        for (const row of rows) {
+          delete row[action.name];
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Lista as tabelas conhecidas
+   * @returns {Array<string>} Nomes das tabelas
+   */
+  listTables() {
+    return Array.from(new Set([...this.tables.keys(), ...this.rows.keys()]));
+  }
+
+  /**
+   * Seleciona linhas de uma tabela
+   * @param {string} table - Nome da tabela
+   * @param {Object} query - Filtros, ordenação e paginação
+   * @returns {Array<Object>} Linhas encontradas
+   */
+  select(table, { filters = [], order = [], limit, offset = 0 } = {}) {
+    let rows = this._getRows(table).filter(row => matchesFilters(row, filters));
+
+    if (order.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending = true } of order) {
+          const comparison = compareValues(a[column], b[column]);
+          if (comparison !== 0) return ascending ? comparison : -comparison;
+        }
+        return 0;
+      });
+    }
+
+    const end = limit !== undefined && limit !== null ? offset + limit : undefined;
+    return clone(rows.slice(offset, end));
+  }
+
+  /**
+   * Insere linhas em uma tabela
+   * @param {string} table - Nome da tabela
+   * @param {Array<Object>} rows - Linhas a inserir
+   * @returns {Array<Object>} Linhas inseridas (com valores padrão)
+   */
+  insert(table, rows) {
+    const target = this._getRows(table, true);
+    const definition = this.tables.get(table);
+    const prepared = rows.map(row => this._applyDefaults(definition, clone(row)));
+
+    // Valida o lote inteiro antes de gravar
+    const pending = [...target];
+    for (const row of prepared) {
+      this._validateRow(table, definition, row, pending);
+      pending.push(row);
+    }
+
+    target.push(...prepared);
+    this._persist();
+    return clone(prepared);
+  }
+
+  /**
+   * Atualiza as linhas que satisfazem os filtros
+   * @param {string} table - Nome da tabela
+   * @param {Object} changes - Campos a alterar
+   * @param {Object} query - Filtros
+   * @returns {Array<Object>} Linhas atualizadas
+   */
+  update(table, changes, { filters = [] } = {}) {
+    const target = this._getRows(table);
+    const definition = this.tables.get(table);
+    const updates = [];
+
+    target.forEach((row, index) => {
+      if (!matchesFilters(row, filters)) return;
+
+      const updated = { ...row, ...clone(changes) };
+      if (definition?.touchUpdatedAt && changes.updated_at === undefined) {
+        updated.updated_at = new Date().toISOString();
+      }
+      updates.push({ index, row: updated });
+    });
+
+    for (const { index, row } of updates) {
+      const others = target.filter((_, position) => position !== index);
+      this._validateRow(table, definition, row, others);
+    }
+
+    for (const { index, row } of updates) {
+      target[index] = row;
+    }
+
+    if (updates.length > 0) this._persist();
+    return clone(updates.map(({ row }) => row));
+  }
+
+  /**
+   * Remove as linhas que satisfazem os filtros
+   * @param {string} table - Nome da tabela
+   * @param {Object} query - Filtros
+   * @returns {Array<Object>} Linhas removidas
+   */
+  delete(table, { filters = [] } = {}) {
+    const target = this._getRows(table);
+    const removed = target.filter(row => matchesFilters(row, filters));
+
+    if (removed.length > 0) {
+      this.rows.set(table, target.filter(row => !removed.includes(row)));
+      this._persist();
+    }
+
+    return clone(removed);
+  }
+
+  /**
+   * Remove todos os dados (mantém as definições de tabela)
+   */
+  reset() {
+    for (const table of this.rows.keys()) {
+      this.rows.set(table, []);
+    }
+    this._persist();
+  }
+
+  /**
+   * Aguarda a gravação das alterações já feitas
+   * @returns {Promise<void>}
+   * @throws {Error} Se a última gravação falhou (os dados continuam em memória
+   *   e são gravados na próxima alteração)
+   */
+  flush() {
+    return this.scheduledWrite || this.currentWrite;
+  }
+
+  /**
+   * Linhas de uma tabela; cria tabelas desconhecidas fora do modo estrito
+   * @private
+   */
+  _getRows(table, create = false) {
+    if (this.rows.has(table)) {
+      return this.rows.get(table);
+    }
+
+    if (this.strict) {
+      throw new StorageError(`relation "${table}" does not exist`, '42P01');
+    }
+
+    const rows = [];
+    if (create) this.rows.set(table, rows);
+    return rows;
+  }
+
+  /**
+   * Preenche os valores padrão definidos no schema
+   * @private
+   */
+  _applyDefaults(definition, row) {
+    if (!definition) {
+      return { id: row.id ?? randomUUID(), ...row };
+    }
+
+    for (const column of definition.columns) {
+      if (row[column.name] === undefined && column.defaultExpression !== null) {
+        row[column.name] = this._evaluateDefault(column);
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Avalia a expressão DEFAULT de uma coluna
+   * @private
+   */
+  _evaluateDefault(column) {
+    const expression = column.defaultExpression.replace(/::[\w\s[\]]+$/, '').trim();
+
+    if (/^(uuid_generate_v4|gen_random_uuid)\(\)$/i.test(expression)) {
+      return randomUUID();
+    }
+    if (/^(now\(\)|current_timestamp|current_date)$/i.test(expression)) {
+      return new Date().toISOString();
+    }
+    if (/^null$/i.test(expression)) return null;
+    if (/^(true|false)$/i.test(expression)) return expression.toLowerCase() === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(expression)) return Number(expression);
+
+    const literal = expression.match(/^'(.*)'$/s);
+    if (literal) {
+      const text = literal[1].replace(/''/g, '\'');
+      if (column.isArray) {
+        return text === '{}' ? [] : text.replace(/^\{|\}$/g, '').split(',').map(item => item.trim());
+      }
+      if (/^jsonb?$/.test(column.type)) {
+        return JSON.parse(text);
+      }
+      return text;
+    }
+
+    this.logger.warn(`Expressão DEFAULT não suportada: ${column.defaultExpression}`, { column: column.name });
+    return null;
+  }
+
+  /**
+   * Valida NOT NULL, UNIQUE e colunas conhecidas
+   * @private
+   */
+  _validateRow(table, definition, row, others) {
+    if (!definition) return;
+
+    if (this.strict) {
+      const known = new Set(definition.columns.map(column => column.name));
+      const unknown = Object.keys(row).find(column => !known.has(column));
+      if (unknown) {
+        throw new StorageError(`column "${unknown}" of relation "${table}" does not exist`, '42703');
+      }
+    }
+
+    for (const column of definition.columns) {
+      if (column.notNull && (row[column.name] === undefined || row[column.name] === null)) {
+        throw new StorageError(
+          `null value in column "${column.name}" of relation "${table}" violates not-null constraint`,
+          '23502'
+        );
+      }
+    }
+
+    const keys = [...definition.uniques];
+    if (definition.primaryKey.length > 0) keys.push(definition.primaryKey);
+
+    for (const columns of keys) {
+      if (columns.some(column => row[column] === undefined || row[column] === null)) continue;
+
+      const duplicate = others.some(other => columns.every(column => looselyEqual(other[column], row[column])));
+      if (duplicate) {
+        throw new StorageError(
+          `duplicate key value violates unique constraint on "${table}"`,
+          '23505',
+          `Key (${columns.join(', ')})=(${columns.map(column => row[column]).join(', ')}) already exists.`
+        );
+      }
+    }
+  }
+
+  /**
+   * Carrega os dados persistidos
+   * @private
+   * @throws {StorageError} Se o arquivo não puder ser lido ou não for um JSON válido
+   *   (o arquivo é mantido para recuperação; nada é sobrescrito)
+   */
+  _load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new StorageError(
+        `Falha ao carregar dados de ${this.filePath}: ${error.message}`,
+        'XX001',
+        'Corrija ou remova o arquivo de dados para iniciar o armazenamento.'
+      );
+    }
+
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      throw new StorageError(`Arquivo de dados inválido: ${this.filePath}`, 'XX001');
+    }
+
+    for (const [table, definition] of Object.entries(content.schema || {})) {
+      this.tables.set(table, definition);
+    }
+    for (const [table, rows] of Object.entries(content.tables || {})) {
+      this.rows.set(table, Array.isArray(rows) ? rows : []);
+    }
+  }
+
+  /**
+   * Agenda a gravação do estado atual; alterações feitas antes do início da
+   * escrita entram na mesma gravação
+   * @private
+   * @returns {Promise<void>} Gravação que inclui a alteração
+   */
+  _persist() {
+    if (!this.filePath) return this.currentWrite;
+
+    if (!this.scheduledWrite) {
+      const write = this.currentWrite.catch(() => {}).then(() => {
+        this.scheduledWrite = null;
+        return this._writeFile();
+      });
+
+      write.catch(error => this.logger.error(`Falha ao gravar dados em ${this.filePath}`, error));
+      this.scheduledWrite = write;
+      this.currentWrite = write;
+    }
+
+    return this.scheduledWrite;
+  }
+
+  /**
+   * Grava as definições e os dados no arquivo (escrita atômica via arquivo temporário)
+   * @private
+   */
+  async _writeFile() {
+    const content = JSON.stringify({
+      schema: Object.fromEntries(this.tables),
+      tables: Object.fromEntries(this.rows)
+    }, null, 2);
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, content);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+export { MemoryStorageDriver };
+export default MemoryStorageDriver;
@@ -0,0 +1,212 @@
+/**
+ * Cliente de consultas sobre um driver de armazenamento
+ *
+ * Reproduz o subconjunto da API do supabase-js usado pelo Nexus
+ * (from().select/insert/update/delete com eq, neq, gt, gte, lt, lte, in,
+ * contains, is, match, order, limit, range, single e maybeSingle) sobre
+ * qualquer driver que implemente select/insert/update/delete. As consultas
+ * são "thenables" e resolvem { data, error, count }, como no supabase-js;
+ * operações de escrita sempre retornam as linhas afetadas.
+ */
+
+/**
+ * Seleciona as colunas pedidas ('*' ou lista separada por vírgulas)
+ * @private
+ */
+function projectColumns(rows, columns) {
+  const names = String(columns || '*').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.length === 0 || names.includes('*')) return rows;
+
+  return rows.map(row => Object.fromEntries(names.map(name => [name, row[name] ?? null])));
+}
+
+/**
+ * Converte uma exceção do driver no formato de erro do PostgREST
+ * @private
+ */
+function toPostgrestError(error) {
+  return {
+    message: error.message,
+    code: error.code || 'NEXUS_STORAGE',
+    details: error.details || null,
+    hint: null
+  };
+}
+
+class StorageQueryBuilder {
+  /**
+   * @param {Object} driver - Driver de armazenamento
+   * @param {string} table - Nome da tabela
+   */
+  constructor(driver, table) {
+    this.driver = driver;
+    this.table = table;
+    this.operation = null;
+    this.payload = null;
+    this.columns = '*';
+    this.filters = [];
+    this.ordering = [];
+    this.limitCount = undefined;
+    this.offset = 0;
+    this.singleMode = null;
+    this.countMode = null;
+  }
+
+  select(columns = '*', options = {}) {
+    // Após insert/update/delete, select() apenas define as colunas retornadas
+    if (!this.operation) this.operation = 'select';
+    this.columns = columns;
+    this.countMode = options.count || null;
+    return this;
+  }
+
+  insert(data) {
+    this.operation = 'insert';
+    this.payload = Array.isArray(data) ? data : [data];
+    return this;
+  }
+
+  update(data) {
+    this.operation = 'update';
+    this.payload = data;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  _filter(column, operator, value) {
+    this.filters.push({ column, operator, value });
+    return this;
+  }
+
+  eq(column, value) { return this._filter(column, 'eq', value); }
+  neq(column, value) { return this._filter(column, 'neq', value); }
+  gt(column, value) { return this._filter(column, 'gt', value); }
+  gte(column, value) { return this._filter(column, 'gte', value); }
+  lt(column, value) { return this._filter(column, 'lt', value); }
+  lte(column, value) { return this._filter(column, 'lte', value); }
+  in(column, values) { return this._filter(column, 'in', values); }
+  contains(column, value) { return this._filter(column, 'contains', value); }
+  is(column, value) { return this._filter(column, 'is', value); }
+
+  match(conditions = {}) {
+    for (const [column, value] of Object.entries(conditions)) {
+      this.eq(column, value);
+    }
+    return this;
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.ordering.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = 'maybe';
+    return this;
+  }
+
+  /**
+   * Executa a operação no driver
+   * @returns {Promise<Object>} { data, error, count }
+   */
+  async execute() {
+    try {
+      const rows = await this._run();
+      const data = projectColumns(rows, this.columns);
+      const count = this.countMode ? data.length : null;
+
+      if (this.singleMode) {
+        if (data.length > 1 || (data.length === 0 && this.singleMode === 'single')) {
+          return {
+            data: null,
+            count,
+            error: {
+              message: 'JSON object requested, multiple (or no) rows returned',
+              code: 'PGRST116',
+              details: `The result contains ${data.length} rows`,
+              hint: null
+            }
+          };
+        }
+        return { data: data[0] || null, error: null, count };
+      }
+
+      return { data, error: null, count };
+    } catch (error) {
+      return { data: null, error: toPostgrestError(error), count: null };
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _run() {
+    switch (this.operation) {
+      case 'insert':
+        return this._write(() => this.driver.insert(this.table, this.payload));
+      case 'update':
+        return this._write(() => this.driver.update(this.table, this.payload, { filters: this.filters }));
+      case 'delete':
+        return this._write(() => this.driver.delete(this.table, { filters: this.filters }));
+      default:
+        return this.driver.select(this.table, {
+          filters: this.filters,
+          order: this.ordering,
+          limit: this.limitCount,
+          offset: this.offset
+        });
+    }
+  }
+
+  /**
+   * Executa uma escrita e aguarda sua persistência (drivers com flush)
+   * @private
+   */
+  async _write(operation) {
+    const rows = await operation();
+    if (typeof this.driver.flush === 'function') await this.driver.flush();
+    return rows;
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.execute().then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.execute().catch(onRejected);
+  }
+}
+
+/**
+ * Cria um cliente no formato do supabase-js sobre um driver
+ * @param {Object} driver - Driver de armazenamento
+ * @returns {Object} Cliente com from(table)
+ */
+export function createStorageClient(driver) {
+  return {
+    from: table => new StorageQueryBuilder(driver, table)
+  };
+}
+
+export { StorageQueryBuilder };
+export default createStorageClient;
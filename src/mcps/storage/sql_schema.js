@@ -0,0 +1,292 @@
+/**
+ * Leitura do schema SQL para o armazenamento local
+ *
+ * Extrai de src/config/database/schema.sql (e das migrações) as definições
+ * usadas pelo driver em memória: tabelas, colunas (tipo, DEFAULT, NOT NULL,
+ * PRIMARY KEY, UNIQUE), restrições UNIQUE de tabela, gatilhos de
+ * `updated_at`, ALTER TABLE ADD/DROP COLUMN e DROP TABLE. Demais comandos
+ * (extensões, índices, políticas, funções) são ignorados.
+ */
+
+// Palavras que iniciam restrições de tabela (não são colunas)
+const TABLE_CONSTRAINT_PATTERN = /^(CONSTRAINT|PRIMARY\s+KEY|UNIQUE|FOREIGN\s+KEY|CHECK|EXCLUDE)\b/i;
+
+// Palavras que encerram a expressão de um DEFAULT
+const COLUMN_KEYWORD_PATTERN = /\s+(NOT\s+NULL|NULL|PRIMARY\s+KEY|UNIQUE|REFERENCES|CHECK|CONSTRAINT|GENERATED|COLLATE)\b/i;
+
+/**
+ * Divide um script SQL em comandos, respeitando strings, comentários e blocos $$
+ * @param {string} sql - Script SQL
+ * @returns {Array<string>} Comandos sem o ';' final
+ */
+export function splitSqlStatements(sql) {
+  const statements = [];
+  let current = '';
+  let index = 0;
+
+  while (index < sql.length) {
+    const char = sql[index];
+    const next = sql[index + 1];
+
+    // Comentário de linha
+    if (char === '-' && next === '-') {
+      const end = sql.indexOf('\n', index);
+      index = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    // Comentário de bloco
+    if (char === '/' && next === '*') {
+      const end = sql.indexOf('*/', index + 2);
+      index = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    // String entre aspas simples ('' escapa a aspa)
+    if (char === '\'') {
+      let end = index + 1;
+      while (end < sql.length) {
+        if (sql[end] === '\'' && sql[end + 1] === '\'') {
+          end += 2;
+        } else if (sql[end] === '\'') {
+          break;
+        } else {
+          end++;
+        }
+      }
+      current += sql.slice(index, end + 1);
+      index = end + 1;
+      continue;
+    }
+
+    // Bloco com dollar quoting ($$ ... $$ ou $tag$ ... $tag$)
+    const dollarTag = char === '$' ? sql.slice(index).match(/^\$[A-Za-z_]*\$/) : null;
+    if (dollarTag) {
+      const end = sql.indexOf(dollarTag[0], index + dollarTag[0].length);
+      const stop = end === -1 ? sql.length : end + dollarTag[0].length;
+      current += sql.slice(index, stop);
+      index = stop;
+      continue;
+    }
+
+    if (char === ';') {
+      if (current.trim()) statements.push(current.trim());
+      current = '';
+      index++;
+      continue;
+    }
+
+    current += char;
+    index++;
+  }
+
+  if (current.trim()) statements.push(current.trim());
+  return statements;
+}
+
+/**
+ * Divide uma lista por vírgulas no nível superior (fora de parênteses e strings)
+ * @private
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let current = '';
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (char === '\'') inString = !inString;
+    if (!inString && char === '(') depth++;
+    if (!inString && char === ')') depth--;
+
+    if (!inString && depth === 0 && char === ',') {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Remove aspas duplas e o schema de um identificador (public."tabela" -> tabela)
+ * @private
+ */
+function normalizeIdentifier(identifier) {
+  const name = identifier.split('.').pop();
+  return name.replace(/^"|"$/g, '');
+}
+
+/**
+ * Interpreta a definição de uma coluna
+ * @private
+ */
+function parseColumn(definition) {
+  const match = definition.match(/^("[^"]+"|[A-Za-z_][A-Za-z0-9_]*)\s+(.+)$/s);
+  if (!match) return null;
+
+  const name = normalizeIdentifier(match[1]);
+  const rest = match[2];
+  const typeMatch = rest.match(/^([A-Za-z_][A-Za-z0-9_ ]*?(?:\([^)]*\))?(?:\[\])?)(?=\s|$)/);
+  const type = (typeMatch ? typeMatch[1] : rest.split(/\s+/)[0]).toLowerCase();
+
+  let defaultExpression = null;
+  const defaultIndex = rest.search(/\bDEFAULT\b/i);
+  if (defaultIndex !== -1) {
+    const afterDefault = rest.slice(defaultIndex + 'DEFAULT'.length).trim();
+    const keyword = afterDefault.search(COLUMN_KEYWORD_PATTERN);
+    defaultExpression = (keyword === -1 ? afterDefault : afterDefault.slice(0, keyword)).trim();
+  }
+
+  return {
+    name,
+    type: type.replace(/\[\]$/, ''),
+    isArray: /\[\]$/.test(type),
+    notNull: /\bNOT\s+NULL\b/i.test(rest) || /\bPRIMARY\s+KEY\b/i.test(rest),
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(rest),
+    unique: /\bUNIQUE\b/i.test(rest),
+    defaultExpression
+  };
+}
+
+/**
+ * Interpreta um comando CREATE TABLE
+ * @param {string} statement - Comando SQL
+ * @returns {Object|null} Tabela ({ name, columns, uniques, primaryKey, touchUpdatedAt, ifNotExists })
+ */
+export function parseCreateTable(statement) {
+  const header = statement.match(/^CREATE\s+(?:UNLOGGED\s+|TEMP(?:ORARY)?\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?([^\s(]+)\s*\(/i);
+  if (!header) return null;
+
+  const body = statement.slice(header[0].length, statement.lastIndexOf(')'));
+  const table = {
+    name: normalizeIdentifier(header[1]),
+    columns: [],
+    uniques: [],
+    primaryKey: [],
+    touchUpdatedAt: false,
+    ifNotExists: /\bIF\s+NOT\s+EXISTS\b/i.test(header[0])
+  };
+
+  for (const part of splitTopLevel(body)) {
+    if (TABLE_CONSTRAINT_PATTERN.test(part)) {
+      const columnsMatch = part.match(/\(([^)]+)\)/);
+      const columns = columnsMatch
+        ? columnsMatch[1].split(',').map(column => normalizeIdentifier(column.trim()))
+        : [];
+
+      if (/PRIMARY\s+KEY/i.test(part)) {
+        table.primaryKey = columns;
+      } else if (/\bUNIQUE\b/i.test(part)) {
+        table.uniques.push(columns);
+      }
+      continue;
+    }
+
+    const column = parseColumn(part);
+    if (!column) continue;
+
+    table.columns.push(column);
+    if (column.primaryKey) table.primaryKey = [column.name];
+    if (column.unique) table.uniques.push([column.name]);
+  }
+
+  return table;
+}
+
+/**
+ * Tabela de um gatilho BEFORE UPDATE que executa update_updated_at()
+ * @param {string} statement - Comando SQL
+ * @returns {string|null} Nome da tabela
+ */
+export function parseUpdatedAtTrigger(statement) {
+  const trigger = statement.match(/^CREATE\s+(?:OR\s+REPLACE\s+)?TRIGGER\s+\S+\s+BEFORE\s+UPDATE\s+ON\s+(\S+)[\s\S]*EXECUTE\s+(?:FUNCTION|PROCEDURE)\s+update_updated_at\s*\(/i);
+  return trigger ? normalizeIdentifier(trigger[1]) : null;
+}
+
+/**
+ * Interpreta um comando ALTER TABLE (ADD COLUMN e DROP COLUMN)
+ * @param {string} statement - Comando SQL
+ * @returns {Object|null} { table, actions: [{ type: 'add_column', column } | { type: 'drop_column', name }] }
+ */
+export function parseAlterTable(statement) {
+  const header = statement.match(/^ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?(\S+)\s+([\s\S]+)$/i);
+  if (!header) return null;
+
+  const actions = [];
+  for (const part of splitTopLevel(header[2])) {
+    const add = part.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i);
+    if (add && !TABLE_CONSTRAINT_PATTERN.test(add[1])) {
+      const column = parseColumn(add[1]);
+      if (column) actions.push({ type: 'add_column', column });
+      continue;
+    }
+
+    const drop = part.match(/^DROP\s+(?:COLUMN\s+)?(?:IF\s+EXISTS\s+)?("[^"]+"|[A-Za-z_][A-Za-z0-9_]*)/i);
+    if (drop && !/^DROP\s+CONSTRAINT\b/i.test(part)) {
+      actions.push({ type: 'drop_column', name: normalizeIdentifier(drop[1]) });
+    }
+  }
+
+  return { table: normalizeIdentifier(header[1]), actions };
+}
+
+/**
+ * Tabelas removidas por um comando DROP TABLE
+ * @param {string} statement - Comando SQL
+ * @returns {Array<string>|null} Nomes das tabelas
+ */
+export function parseDropTable(statement) {
+  const match = statement.match(/^DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?([\s\S]+?)(?:\s+(?:CASCADE|RESTRICT))?$/i);
+  return match ? match[1].split(',').map(name => normalizeIdentifier(name.trim())) : null;
+}
+
+/**
+ * Substitui parâmetros nomeados (:nome) por literais SQL escapados
+ * @param {string} sql - Comando SQL
+ * @param {Object} params - Valores dos parâmetros
+ * @returns {string} Comando com os valores
+ */
+export function bindSqlParameters(sql, params = {}) {
+  return sql.replace(/(?<!:):([A-Za-z_][A-Za-z0-9_]*)/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+
+    const value = params[name];
+    if (value === null || value === undefined) return 'NULL';
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    if (typeof value === 'object') return `'${JSON.stringify(value).replace(/'/g, "''")}'`;
+    return `'${String(value).replace(/'/g, "''")}'`;
+  });
+}
+
+/**
+ * Extrai as tabelas de um script SQL
+ * @param {string} sql - Conteúdo do schema
+ * @returns {Array<Object>} Tabelas ({ name, columns, uniques, primaryKey, touchUpdatedAt })
+ */
+export function parseSchema(sql) {
+  const tables = new Map();
+
+  for (const statement of splitSqlStatements(sql)) {
+    if (/^CREATE\s+(?:UNLOGGED\s+|TEMP(?:ORARY)?\s+)?TABLE\b/i.test(statement)) {
+      const table = parseCreateTable(statement);
+      if (table) tables.set(table.name, table);
+      continue;
+    }
+
+    // Gatilhos que atualizam updated_at antes de cada UPDATE
+    const triggerTable = parseUpdatedAtTrigger(statement);
+    if (triggerTable && tables.has(triggerTable)) {
+      tables.get(triggerTable).touchUpdatedAt = true;
+    }
+  }
+
+  return Array.from(tables.values());
+}
+
+export default parseSchema;
@@ -2,24 +2,35 @@
  * Adaptador MCP para Supabase
  * 
  * Fornece integração com o Supabase para armazenamento e recuperação de dados.
+ * O driver de dados é escolhido em integrations.supabase.driver: os drivers
+ * embutidos (memory/file) aplicam schema.sql na inicialização e mantêm
+ * autenticação e storage simulados; o driver supabase usa o cliente oficial.
  */
 
 import { createLogger } from '../utils/logger.js';
 import { createMetrics } from '../utils/metrics.js';
+import config from '../config/default.js';
+import { createStorage } from './storage/index.js';
+import { bindSqlParameters } from './storage/sql_schema.js';
 
 class SupabaseAdapter {
-  constructor() {
+  constructor(options = config.integrations?.supabase || {}) {
     this.logger = createLogger('SupabaseAdapter');
     this.metrics = createMetrics('SupabaseAdapter');
     
-    // Em uma implementação real, inicializaríamos o cliente Supabase aqui
+    // Cliente de dados: embutido (memory/file) ou Supabase oficial, conforme configuração
+    const { driver, client, storage } = createStorage(options);
+    this.driver = driver;
+    this.embeddedStorage = storage;
+    this.remoteClient = driver === 'supabase' ? client : null;
+    
     this.client = {
-      auth: this._mockAuthMethods(),
-      from: this._mockQueryBuilder(),
-      storage: this._mockStorageMethods()
+      auth: driver === 'supabase' ? client.auth : this._mockAuthMethods(),
+      from: table => client.from(table),
+      storage: driver === 'supabase' ? client.storage : this._mockStorageMethods()
     };
     
-    this.logger.info('Adaptador Supabase inicializado (simulado)');
+    this.logger.info(`Adaptador Supabase inicializado (driver: ${driver})`);
   }
   
   /**
@@ -56,56 +67,6 @@ class SupabaseAdapter {
     };
   }
   
-  /**
-   * Simulação do construtor de consultas
-   * @private
-   */
-  _mockQueryBuilder() {
-    return (tableName) => {
-      return {
-        select: (columns) => {
-          return {
-            eq: (column, value) => {
-              this.logger.info(`Simulando consulta em ${tableName} onde ${column} = ${value}`);
-              return Promise.resolve([]);
-            },
-            contains: (column, value) => {
-              this.logger.info(`Simulando consulta em ${tableName} onde ${column} contém ${value}`);
-              return Promise.resolve([]);
-            },
-            match: (params) => {
-              this.logger.info(`Simulando consulta em ${tableName} com parâmetros`, params);
-              return Promise.resolve([]);
-            }
-          };
-        },
-        insert: (data) => {
-          this.logger.info(`Simulando inserção em ${tableName}`, data);
-          return Promise.resolve({ 
-            data: { ...data, id: `${tableName}_${Date.now()}` }, 
-            error: null 
-          });
-        },
-        update: (data) => {
-          return {
-            eq: (column, value) => {
-              this.logger.info(`Simulando atualização em ${tableName} onde ${column} = ${value}`, data);
-              return Promise.resolve({ data, error: null });
-            }
-          };
-        },
-        delete: () => {
-          return {
-            eq: (column, value) => {
-              this.logger.info(`Simulando exclusão em ${tableName} onde ${column} = ${value}`);
-              return Promise.resolve({ success: true, error: null });
-            }
-          };
-        }
-      };
-    };
-  }
-  
   /**
    * Simulação do serviço de armazenamento
    * @private
@@ -139,11 +100,160 @@ class SupabaseAdapter {
   }
   
   /**
-   * Executa uma consulta SQL personalizada
+   * Consulta registros de uma tabela
+   * @param {string} table - Nome da tabela
+   * @param {Object} options - Opções da consulta
+   * @param {Object} options.filters - Filtros de igualdade (coluna -> valor)
+   * @param {string} options.select - Colunas retornadas (padrão '*')
+   * @param {Object} options.order - Ordenação (coluna -> 'asc' | 'desc')
+   * @param {number} options.limit - Quantidade máxima de registros
+   * @returns {Promise<Array<Object>>} Registros encontrados
+   */
+  async selectRows(table, { filters = {}, select = '*', order = {}, limit } = {}) {
+    let query = this.client.from(table).select(select).match(filters);
+    
+    for (const [column, direction] of Object.entries(order)) {
+      query = query.order(column, { ascending: direction !== 'desc' });
+    }
+    if (limit) {
+      query = query.limit(limit);
+    }
+    
+    return this._execute('select', table, query);
+  }
+  
+  /**
+   * Insere um ou mais registros
+   * @param {string} table - Nome da tabela
+   * @param {Object|Array<Object>} data - Registro(s) a inserir
+   * @returns {Promise<Array<Object>>} Registros inseridos (com valores padrão)
+   */
+  async insertRows(table, data) {
+    return this._execute('insert', table, this.client.from(table).insert(data).select());
+  }
+  
+  /**
+   * Atualiza os registros que satisfazem os filtros
+   * @param {string} table - Nome da tabela
+   * @param {Object} filters - Filtros de igualdade (coluna -> valor)
+   * @param {Object} data - Campos a alterar
+   * @returns {Promise<Array<Object>>} Registros atualizados
+   */
+  async updateRows(table, filters, data) {
+    this._assertFilters('update', filters);
+    return this._execute('update', table, this.client.from(table).update(data).match(filters).select());
+  }
+  
+  /**
+   * Remove os registros que satisfazem os filtros
+   * @param {string} table - Nome da tabela
+   * @param {Object} filters - Filtros de igualdade (coluna -> valor)
+   * @returns {Promise<Array<Object>>} Registros removidos
+   */
+  async deleteRows(table, filters) {
+    this._assertFilters('delete', filters);
+    return this._execute('delete', table, this.client.from(table).delete().match(filters).select());
+  }
+  
+  /**
+   * Invoca uma operação no formato de ferramenta MCP
+   * (supabase_query, supabase_insert, supabase_update, supabase_delete, supabase_storage)
+   * @param {string} toolName - Nome da operação
+   * @param {Object} params - Parâmetros (table, filter/filters, data, select, order, limit)
+   * @returns {Promise<*>} Registros (query/update/delete), registro inserido ou resultado do upload
+   */
+  async invoke(toolName, params = {}) {
+    const { table, data } = params;
+    const filters = params.filters || params.filter || {};
+    
+    switch (toolName) {
+      case 'supabase_query':
+        return this.selectRows(table, { filters, select: params.select, order: params.order, limit: params.limit });
+      case 'supabase_insert': {
+        const rows = await this.insertRows(table, data);
+        return Array.isArray(data) ? rows : rows[0];
+      }
+      case 'supabase_update':
+        return this.updateRows(table, filters, data);
+      case 'supabase_delete':
+        return this.deleteRows(table, filters);
+      case 'supabase_storage':
+        return this.client.storage.from(params.bucket).upload(params.path, params.content, {
+          contentType: params.contentType
+        });
+      default:
+        throw new Error(`Operação Supabase não suportada: ${toolName}`);
+    }
+  }
+  
+  /**
+   * Impede update/delete sem filtros (afetariam a tabela inteira)
+   * @private
+   */
+  _assertFilters(operation, filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+      throw new Error(`Operação ${operation} exige ao menos um filtro`);
+    }
+  }
+  
+  /**
+   * Executa uma consulta, registra métricas e converte erros em exceções
+   * @private
+   */
+  async _execute(operation, table, query) {
+    const startTime = Date.now();
+    const { data, error } = await query;
+    
+    this.metrics.timing('query.duration', Date.now() - startTime, { operation, table });
+    
+    if (error) {
+      this.metrics.increment('query.errors', 1, { operation, table });
+      this.logger.error(`Falha na operação ${operation} em ${table}`, { code: error.code, error: error.message });
+      
+      const exception = new Error(error.message);
+      exception.code = error.code;
+      exception.details = error.details;
+      throw exception;
+    }
+    
+    return data || [];
+  }
+  
+  /**
+   * Executa um script SQL
+   * 
+   * No driver supabase o script é enviado inteiro à função RPC `exec_sql`
+   * (uma transação); nos drivers embutidos apenas DDL é suportado.
+   * Parâmetros nomeados (:nome) são substituídos por literais escapados.
+   * @param {string} sql - Script SQL
+   * @param {Object} params - Parâmetros nomeados
+   * @returns {Promise<Object>} { data, error }
    */
   async query(sql, params = {}) {
-    this.logger.info('Simulando consulta SQL personalizada', { sql, params });
-    return { data: [], error: null };
+    const statement = bindSqlParameters(sql, params);
+    const startTime = Date.now();
+    let result;
+    
+    if (this.remoteClient) {
+      const { data, error } = await this.remoteClient.rpc('exec_sql', { sql: statement });
+      result = { data: data ?? [], error: error || null };
+    } else {
+      try {
+        const executed = this.embeddedStorage.executeSql(statement);
+        await this.embeddedStorage.flush();
+        result = { data: [executed], error: null };
+      } catch (error) {
+        result = { data: null, error: { message: error.message, code: error.code || 'NEXUS_STORAGE' } };
+      }
+    }
+    
+    this.metrics.timing('query.duration', Date.now() - startTime, { operation: 'sql', table: '*' });
+    if (result.error) {
+      this.metrics.increment('query.errors', 1, { operation: 'sql', table: '*' });
+      this.logger.warn('Falha ao executar SQL', { code: result.error.code, error: result.error.message });
+    }
+    
+    return result;
   }
   
   /**
@@ -196,4 +306,5 @@ class SupabaseAdapter {
 }
 
 const supabaseAdapter = new SupabaseAdapter();
+export { SupabaseAdapter };
 export default supabaseAdapter;
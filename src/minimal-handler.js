@@ -1,191 +1,31 @@
 // Função handler minimalista para ambiente serverless (Vercel)
-export default function handler(req, res) {
+import { TaskMasterKanban } from './components/taskmaster-kanban.js';
+
+// O sistema de arquivos da Vercel é somente leitura: o quadro é exibido sem
+// arrastar/editar e sincronizado a cada requisição (sem intervalo em segundo plano)
+const kanban = new TaskMasterKanban({ autoSync: false, eventsUrl: null });
+
+export default async function handler(req, res) {
   // Definir cabeçalhos básicos
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
   
-  // Dados de exemplo estáticos
-  const tasks = [
-    {
-      id: "1",
-      title: "Setup Project Architecture",
-      description: "Initialize the project with Next.js 14",
-      status: "done",
-      priority: "high"
-    },
-    {
-      id: "2",
-      title: "Configurar Supabase",
-      description: "Integrar Supabase como banco de dados",
-      status: "in-progress",
-      priority: "high"
-    },
-    {
-      id: "3",
-      title: "Implementar Autenticação",
-      description: "Adicionar autenticação com NextAuth.js",
-      status: "pending",
-      priority: "medium"
-    }
-  ];
-  
   // Verificar a rota solicitada
-  const url = req.url || '';
+  const url = new URL(req.url || '/', 'http://localhost');
   
   // Rota API para tarefas
-  if (url === '/api/tasks' || url.startsWith('/api/tasks?')) {
+  if (url.pathname === '/api/tasks') {
+    await kanban.syncWithTaskMaster();
     res.setHeader('Content-Type', 'application/json');
-    return res.json(tasks);
+    return res.json(kanban.board.cards.map(card => card.data));
   }
   
-  // Rota para o Kanban
-  if (url === '/kanban' || url.startsWith('/kanban?')) {
-    const html = `<!DOCTYPE html>
-<html lang="pt-BR">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>TaskMaster Kanban</title>
-  <style>
-    body {
-      font-family: Arial, sans-serif;
-      margin: 0;
-      padding: 20px;
-      background-color: #f5f5f5;
-    }
-    h1 {
-      color: #333;
-      margin-bottom: 20px;
-    }
-    .board {
-      display: flex;
-      gap: 20px;
-      overflow-x: auto;
-      padding-bottom: 20px;
-    }
-    .column {
-      background-color: #e0e0e0;
-      border-radius: 5px;
-      min-width: 300px;
-      padding: 15px;
-    }
-    .column-header {
-      font-weight: bold;
-      margin-bottom: 15px;
-      padding-bottom: 10px;
-      border-bottom: 1px solid #ccc;
-      display: flex;
-      justify-content: space-between;
-      align-items: center;
-    }
-    .column-count {
-      background-color: #666;
-      color: white;
-      border-radius: 10px;
-      padding: 2px 8px;
-      font-size: 12px;
-    }
-    .task {
-      background-color: white;
-      border-radius: 5px;
-      padding: 12px;
-      margin-bottom: 10px;
-      box-shadow: 0 1px 3px rgba(0,0,0,0.1);
-    }
-    .task-title {
-      font-weight: bold;
-      margin-bottom: 8px;
-    }
-    .task-desc {
-      font-size: 0.9em;
-      color: #666;
-      margin-bottom: 10px;
-    }
-    .high {
-      border-left: 4px solid #e74c3c;
-    }
-    .medium {
-      border-left: 4px solid #f39c12;
-    }
-    .low {
-      border-left: 4px solid #2ecc71;
-    }
-    .tag {
-      display: inline-block;
-      padding: 2px 8px;
-      border-radius: 10px;
-      font-size: 12px;
-      margin-top: 5px;
-    }
-    .tag-high {
-      background-color: #ffecec;
-      color: #e74c3c;
-    }
-    .tag-medium {
-      background-color: #fff7e6;
-      color: #f39c12;
-    }
-    .button {
-      display: inline-block;
-      background-color: #4CAF50;
-      color: white;
-      padding: 8px 16px;
-      border-radius: 4px;
-      text-decoration: none;
-      margin-bottom: 20px;
-    }
-    .button:hover {
-      background-color: #45a049;
-    }
-  </style>
-</head>
-<body>
-  <h1>TaskMaster Kanban</h1>
-  <a href="/" class="button">Voltar para Início</a>
-  
-  <div class="board">
-    <div class="column">
-      <div class="column-header">
-        <span>Pendentes</span>
-        <span class="column-count">1</span>
-      </div>
-      <div class="task high">
-        <div class="task-title">Implementar Autenticação</div>
-        <div class="task-desc">Adicionar autenticação com NextAuth.js</div>
-        <div><span class="tag tag-medium">medium</span></div>
-      </div>
-    </div>
-    
-    <div class="column">
-      <div class="column-header">
-        <span>Em Progresso</span>
-        <span class="column-count">1</span>
-      </div>
-      <div class="task high">
-        <div class="task-title">Configurar Supabase</div>
-        <div class="task-desc">Integrar Supabase como banco de dados</div>
-        <div><span class="tag tag-high">high</span></div>
-      </div>
-    </div>
-    
-    <div class="column">
-      <div class="column-header">
-        <span>Concluídas</span>
-        <span class="column-count">1</span>
-      </div>
-      <div class="task high">
-        <div class="task-title">Setup Project Architecture</div>
-        <div class="task-desc">Initialize the project with Next.js 14</div>
-        <div><span class="tag tag-high">high</span></div>
-      </div>
-    </div>
-  </div>
-  
-  <script>
-    console.log('Kanban carregado com sucesso');
-  </script>
-</body>
-</html>`;
-    return res.send(html);
+  // Rota para o Kanban (mesmo renderizador do servidor do Nexus)
+  if (url.pathname === '/kanban') {
+    await kanban.syncWithTaskMaster();
+    return res.send(kanban.generateHtml({
+      pageUrl: '/kanban',
+      swimlane: url.searchParams.get('swimlane')
+    }));
   }
   
   // Página inicial
@@ -0,0 +1,276 @@
+/**
+ * Fluxo de eventos do Nexus (Server-Sent Events)
+ *
+ * Este arquivo publica em GET /api/events os eventos emitidos pelos agentes
+ * e integrações (tarefas do TaskMaster, cartões, colunas e automações do
+ * Kanban). Emissores são conectados com attach(); cada evento recebe um ID
+ * sequencial e fica em um buffer circular, de modo que clientes que
+ * reconectam com Last-Event-ID recebem o que perderam. Se o ID pedido já
+ * saiu do buffer (ou é de uma execução anterior do servidor), o cliente
+ * recebe um evento `reset` e deve recarregar o estado completo.
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { createLogger } from '../utils/logger.js';
+import { createMetrics } from '../utils/metrics.js';
+
+// Eventos de tarefas do TaskMaster
+export const TASK_EVENT_TYPES = [
+  'taskmaster:task:created',
+  'taskmaster:task:updated',
+  'taskmaster:task:deleted',
+  'taskmaster:task:status:changed',
+  'taskmaster:task:expanded'
+];
+
+// Eventos de quadros Kanban, automações e conflitos de sincronização com o TaskMaster
+export const BOARD_EVENT_TYPES = [
+  'board:created',
+  'board:updated',
+  'column:created',
+  'column:updated',
+  'card:created',
+  'card:updated',
+  'card:moved',
+  'card:deleted',
+  'wip_limit:exceeded',
+  'automation:triggered',
+  'sync:conflict'
+];
+
+/**
+ * Converte o filtro ?types= ("taskmaster:*,card:moved") em um predicado
+ * @private
+ */
+function typeMatcher(types) {
+  const patterns = (types || '').split(',').map(type => type.trim()).filter(Boolean);
+  if (patterns.length === 0) return () => true;
+
+  return type => patterns.some(pattern =>
+    pattern.endsWith('*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern
+  );
+}
+
+export class EventStream {
+  /**
+   * @param {Object} options - Opções do fluxo
+   * @param {number} options.bufferSize - Eventos guardados para retomada (padrão EVENT_STREAM_BUFFER_SIZE ou 500)
+   * @param {number} options.heartbeatMs - Intervalo dos comentários de keep-alive (padrão 25 s)
+   * @param {number} options.retryMs - Espera sugerida ao cliente antes de reconectar (padrão 3 s)
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('EventStream');
+    this.metrics = createMetrics('EventStream');
+    this.bufferSize = options.bufferSize || parseInt(process.env.EVENT_STREAM_BUFFER_SIZE || '500', 10);
+    this.heartbeatMs = options.heartbeatMs || 25000;
+    this.retryMs = options.retryMs || 3000;
+
+    // Identifica esta execução: IDs de outra execução não podem ser retomados
+    this.epoch = randomUUID().slice(0, 8);
+    this.sequence = 0;
+    this.buffer = [];
+
+    // Clientes SSE e assinantes dentro do processo
+    this.clients = new Set();
+    this.subscribers = new Set();
+
+    // Emissores já conectados (emissor -> tipos)
+    this.attached = new WeakMap();
+
+    this.router = null;
+  }
+
+  /**
+   * Publica um evento para clientes SSE e assinantes
+   * @param {string} type - Tipo do evento (ex.: 'card:moved')
+   * @param {*} data - Dados do evento (serializáveis em JSON)
+   * @returns {Object} Evento publicado ({ id, type, data, timestamp })
+   */
+  publish(type, data = null) {
+    this.sequence += 1;
+    const event = {
+      id: `${this.epoch}-${this.sequence}`,
+      sequence: this.sequence,
+      type,
+      data,
+      timestamp: new Date().toISOString()
+    };
+
+    this.buffer.push(event);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.shift();
+    }
+
+    for (const client of this.clients) {
+      if (client.matches(type)) this._write(client.res, event);
+    }
+
+    for (const subscriber of this.subscribers) {
+      if (!subscriber.matches(type)) continue;
+      try {
+        subscriber.listener(event);
+      } catch (error) {
+        this.logger.error(`Erro em assinante de ${type}`, { error: error.message });
+      }
+    }
+
+    this.metrics.increment('events.published', 1, { type });
+    return event;
+  }
+
+  /**
+   * Republica os eventos de um emissor (ToolManager, taskMasterEvents...)
+   * @param {EventEmitter} emitter - Emissor de eventos
+   * @param {Array<string>} types - Eventos a republicar
+   * @returns {Function} Função que desconecta o emissor
+   */
+  attach(emitter, types) {
+    const known = this.attached.get(emitter) || new Map();
+    this.attached.set(emitter, known);
+
+    for (const type of types) {
+      if (known.has(type)) continue;
+      const listener = data => this.publish(type, data);
+      known.set(type, listener);
+      emitter.on(type, listener);
+    }
+
+    return () => {
+      for (const type of types) {
+        const listener = known.get(type);
+        if (listener) {
+          emitter.off(type, listener);
+          known.delete(type);
+        }
+      }
+    };
+  }
+
+  /**
+   * Assina eventos dentro do processo
+   * @param {string|Array<string>} types - Tipos aceitos (aceita prefixo com '*'; vazio = todos)
+   * @param {Function} listener - Recebe cada evento publicado
+   * @returns {Function} Função que cancela a assinatura
+   */
+  subscribe(types, listener) {
+    const subscriber = {
+      matches: typeMatcher(Array.isArray(types) ? types.join(',') : types),
+      listener
+    };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  /**
+   * Eventos posteriores a um ID
+   * @param {string} lastEventId - Último ID recebido pelo cliente
+   * @returns {Array<Object>|null} Eventos perdidos ou null se não for possível retomar
+   */
+  eventsSince(lastEventId) {
+    const [epoch, sequenceText] = String(lastEventId).split('-');
+    const sequence = Number(sequenceText);
+
+    if (epoch !== this.epoch || !Number.isInteger(sequence) || sequence > this.sequence) {
+      return null;
+    }
+
+    const oldest = this.buffer.length > 0 ? this.buffer[0].sequence : this.sequence + 1;
+    if (sequence < oldest - 1) {
+      return null;
+    }
+
+    return this.buffer.filter(event => event.sequence > sequence);
+  }
+
+  /**
+   * Trata uma conexão SSE (GET /api/events?types=...)
+   * @param {Object} req - Requisição Express
+   * @param {Object} res - Resposta Express
+   */
+  handleConnection(req, res) {
+    const matches = typeMatcher(req.query.types);
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${this.retryMs}\n\n`);
+
+    if (lastEventId) {
+      const missed = this.eventsSince(lastEventId);
+
+      if (missed === null) {
+        this._write(res, {
+          id: `${this.epoch}-${this.sequence}`,
+          type: 'reset',
+          data: { reason: 'O ID informado não pode ser retomado; recarregue o estado completo' }
+        });
+      } else {
+        for (const event of missed) {
+          if (matches(event.type)) this._write(res, event);
+        }
+      }
+    }
+
+    const client = { res, matches };
+    this.clients.add(client);
+    this.metrics.record('clients', this.clients.size);
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+      if (typeof res.flush === 'function') res.flush();
+    }, this.heartbeatMs);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+      this.metrics.record('clients', this.clients.size);
+    });
+  }
+
+  /**
+   * Escreve um evento no formato SSE
+   * @private
+   */
+  _write(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({
+      type: event.type,
+      data: event.data,
+      timestamp: event.timestamp
+    })}\n\n`);
+
+    // A compressão do Express só envia os dados quando solicitado
+    if (typeof res.flush === 'function') res.flush();
+  }
+
+  /**
+   * Retorna o roteador Express do fluxo de eventos
+   * @returns {Object} Roteador Express
+   */
+  getRouter() {
+    if (!this.router) {
+      this.router = express.Router();
+      this.router.get('/', this.handleConnection.bind(this));
+    }
+    return this.router;
+  }
+
+  /**
+   * Encerra as conexões abertas (usado ao parar o servidor)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+}
+
+// Exportar como singleton
+const eventStream = new EventStream();
+export default eventStream;
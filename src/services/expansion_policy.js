@@ -0,0 +1,350 @@
+// src/services/expansion_policy.js
+
+/**
+ * Política de expansão automática de tarefas complexas
+ *
+ * Quando uma tarefa entra em "in-progress", a política consulta o relatório
+ * de complexidade (ou, sem análise da tarefa ou com uma análise feita para
+ * outro título, a estimativa de prd_plan) e, se a complexidade estiver no
+ * limiar ou acima dele e faltarem subtarefas em relação às recomendadas,
+ * pede ao provedor de IA as subtarefas que faltam (regras de
+ * task_expansion como alternativa). A proposta, com o diff das subtarefas,
+ * é gravada em TASKMASTER_EXPANSIONS_DIR (padrão data/task-expansions) para
+ * revisão. TASKMASTER_AUTO_EXPAND define o modo:
+ *   off      - nada acontece na mudança de status (padrão)
+ *   preview  - a proposta é gerada e fica pendente até ser aplicada
+ *   auto     - a proposta é gerada e aplicada em seguida
+ * A aplicação falha (EXPANSION_STALE) se as subtarefas da tarefa mudaram
+ * desde a prévia.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import config from '../config/default.js';
+import { createLogger } from '../utils/logger.js';
+import { TaskStore } from '../utils/task_store.js';
+import { createAIProvider, completeJSON } from '../utils/ai_providers/index.js';
+import { LocalRuleProvider } from '../utils/ai_providers/local_provider.js';
+import { estimateComplexity } from '../utils/prd_plan.js';
+import { TaskExpansionError, expansionDiff, selectSubtasks } from '../utils/task_expansion.js';
+import {
+  DEFAULT_COMPLEXITY_THRESHOLD,
+  describeComplexityReport,
+  readComplexityReport,
+  resolveComplexityReportPath
+} from '../utils/complexity_report.js';
+
+export const EXPANSION_MODES = ['off', 'preview', 'auto'];
+
+const TASK_ID = /^\d+$/;
+
+export class ExpansionPolicy {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.projectRoot - Raiz do projeto (padrão TASKMASTER_PATH ou cwd)
+   * @param {string} options.mode - off, preview ou auto (padrão TASKMASTER_AUTO_EXPAND ou off)
+   * @param {number} options.threshold - Limiar de complexidade (padrão TASKMASTER_AUTO_EXPAND_THRESHOLD ou o do relatório)
+   * @param {string} options.expansionsDir - Diretório das propostas (padrão TASKMASTER_EXPANSIONS_DIR ou data/task-expansions)
+   * @param {string} options.reportFile - Relatório de complexidade (ver resolveComplexityReportPath)
+   * @param {TaskStore} options.store - Armazenamento de tarefas (padrão: tasks/tasks.json do projeto)
+   * @param {Object} options.provider - Provedor de IA (padrão: o de agents.AIAssistantAgent.options.model)
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('ExpansionPolicy');
+    this.projectRoot = path.resolve(options.projectRoot || process.env.TASKMASTER_PATH || process.cwd());
+    this.expansionsDir = path.resolve(options.expansionsDir || process.env.TASKMASTER_EXPANSIONS_DIR || 'data/task-expansions');
+    this.reportFile = resolveComplexityReportPath({ projectRoot: this.projectRoot, reportFile: options.reportFile });
+    this.store = options.store || new TaskStore({ projectRoot: this.projectRoot });
+    this.fallbackProvider = new LocalRuleProvider();
+
+    this.mode = options.mode || process.env.TASKMASTER_AUTO_EXPAND || 'off';
+    if (!EXPANSION_MODES.includes(this.mode)) {
+      this.logger.warn(`TASKMASTER_AUTO_EXPAND inválido (${this.mode}), expansão automática desativada`);
+      this.mode = 'off';
+    }
+
+    const threshold = options.threshold ?? process.env.TASKMASTER_AUTO_EXPAND_THRESHOLD;
+    this.threshold = threshold === undefined || threshold === '' ? null : Number(threshold);
+
+    // Propostas em aplicação neste processo (evita acrescentar as subtarefas duas vezes)
+    this.applying = new Set();
+
+    // Criado na primeira proposta, para que uma configuração inválida não impeça os demais comandos
+    this.provider = options.provider || null;
+  }
+
+  /**
+   * Relatório de complexidade cruzado com as tarefas atuais
+   * @param {Object} options - Opções
+   * @param {number} options.threshold - Limiar (padrão: o da política ou o do relatório)
+   * @returns {Promise<Object>} { meta, threshold, entries, summary } (ver describeComplexityReport)
+   */
+  async getReport({ threshold } = {}) {
+    const report = await readComplexityReport(this.reportFile);
+    const { tasks } = await this.store.read();
+
+    return {
+      ...describeComplexityReport(report, tasks, { threshold: threshold ?? this.threshold ?? undefined }),
+      reportFile: path.relative(this.projectRoot, this.reportFile)
+    };
+  }
+
+  /**
+   * Análise de complexidade de uma tarefa no relatório
+   * @param {string|number} taskId - ID da tarefa
+   * @param {Object} options - Opções de getReport
+   * @returns {Promise<Object>} Entrada do relatório, com o limiar usado
+   * @throws {TaskExpansionError} COMPLEXITY_NOT_FOUND se a tarefa não foi analisada
+   */
+  async getReportEntry(taskId, options = {}) {
+    const { threshold, entries } = await this.getReport(options);
+    const entry = entries.find(item => String(item.taskId) === String(taskId));
+
+    if (!entry) {
+      throw new TaskExpansionError(`A tarefa ${taskId} não está no relatório de complexidade`, 'COMPLEXITY_NOT_FOUND');
+    }
+
+    return { ...entry, threshold };
+  }
+
+  /**
+   * Complexidade de uma tarefa: a do relatório ou, sem análise atual, a estimada pelas regras locais
+   * @private
+   */
+  async complexityOf(task) {
+    const report = await readComplexityReport(this.reportFile);
+    const threshold = this.threshold ?? report.meta.thresholdScore ?? DEFAULT_COMPLEXITY_THRESHOLD;
+    const entry = report.complexityAnalysis.find(item => String(item.taskId) === String(task.id) && (!item.taskTitle || item.taskTitle === task.title));
+
+    if (entry) {
+      return {
+        score: entry.complexityScore,
+        recommendedSubtasks: entry.recommendedSubtasks,
+        expansionPrompt: entry.expansionPrompt || '',
+        reasoning: entry.reasoning || '',
+        source: 'report',
+        threshold
+      };
+    }
+
+    return { ...estimateComplexity(task), source: 'estimate', threshold };
+  }
+
+  /**
+   * Gera e grava a proposta de expansão de uma tarefa
+   * @param {string|number} taskId - ID da tarefa (subtarefas não são expandidas)
+   * @param {Object} options - Opções
+   * @param {boolean} options.force - Ignorar o limiar de complexidade
+   * @param {string} options.trigger - Origem da proposta (manual ou status)
+   * @returns {Promise<Object>} Proposta ({ taskId, status: 'pending', complexity, existing, subtasks, diff, ... })
+   * @throws {TaskExpansionError} EXPANSION_NOT_NEEDED se a tarefa estiver abaixo do limiar ou já tiver as subtarefas recomendadas
+   */
+  async preview(taskId, { force = false, trigger = 'manual' } = {}) {
+    if (!TASK_ID.test(String(taskId))) {
+      throw new TaskExpansionError(`Somente tarefas (não subtarefas) podem ser expandidas: ${taskId}`, 'EXPANSION_INVALID');
+    }
+
+    const task = await this.store.getTask(taskId);
+    const complexity = await this.complexityOf(task);
+    const existing = (task.subtasks || []).map(subtask => subtask.id);
+    const count = complexity.recommendedSubtasks - existing.length;
+
+    if (!force && complexity.score < complexity.threshold) {
+      throw new TaskExpansionError(`A complexidade da tarefa ${task.id} (${complexity.score}) está abaixo do limiar (${complexity.threshold})`, 'EXPANSION_NOT_NEEDED');
+    }
+    if (count <= 0) {
+      throw new TaskExpansionError(`A tarefa ${task.id} já tem ${existing.length} subtarefas (recomendadas: ${complexity.recommendedSubtasks})`, 'EXPANSION_NOT_NEEDED');
+    }
+
+    const { subtasks, response } = await this.requestSubtasks(task, complexity, count);
+    if (subtasks.length === 0) {
+      throw new TaskExpansionError(`Nenhuma subtarefa nova proposta para a tarefa ${task.id}`, 'EXPANSION_NOT_NEEDED');
+    }
+
+    const proposal = {
+      taskId: task.id,
+      taskTitle: task.title,
+      status: 'pending',
+      trigger,
+      provider: response.provider,
+      model: response.model,
+      createdAt: new Date().toISOString(),
+      complexity,
+      existing,
+      subtasks,
+      diff: expansionDiff(task, subtasks)
+    };
+
+    await this.writeProposal(proposal);
+    this.logger.info(`Proposta de expansão da tarefa ${task.id}: ${subtasks.length} subtarefas (${proposal.provider})`);
+
+    return proposal;
+  }
+
+  /**
+   * Pede as subtarefas ao provedor de IA, com as regras locais como alternativa
+   * @private
+   */
+  async requestSubtasks(task, complexity, count) {
+    const request = {
+      task: 'task-expansion',
+      system: 'Você é um gerente de projetos técnico que divide tarefas do TaskMaster em subtarefas implementáveis. Responda somente com JSON.',
+      messages: [{
+        role: 'user',
+        content: [
+          `Proponha ${count} subtarefas novas para a tarefa abaixo, sem repetir as subtarefas atuais.`,
+          'Responda com JSON no formato {"subtasks": [{"title": "...", "description": "...", "details": "..."}]}.',
+          '',
+          `Tarefa ${task.id}: ${task.title}`,
+          ...(task.description ? [`Descrição: ${task.description}`] : []),
+          ...(task.details ? [`Detalhes: ${task.details}`] : []),
+          ...((task.subtasks || []).length > 0 ? [`Subtarefas atuais: ${task.subtasks.map(subtask => subtask.title).join('; ')}`] : []),
+          ...(complexity.expansionPrompt ? [`Orientação: ${complexity.expansionPrompt}`] : [])
+        ].join('\n')
+      }],
+      input: { task, expansionPrompt: complexity.expansionPrompt, count },
+      temperature: 0.2,
+      maxTokens: 2000
+    };
+
+    if (!this.provider) {
+      const assistantOptions = config.agents.AIAssistantAgent.options;
+      this.provider = createAIProvider(assistantOptions.model, assistantOptions);
+    }
+
+    try {
+      const { data, response } = await completeJSON(this.provider, request);
+      const subtasks = selectSubtasks(task, data.subtasks, count);
+      if (subtasks.length > 0 || this.provider.name === this.fallbackProvider.name) {
+        return { subtasks, response };
+      }
+      this.logger.warn(`Provedor ${this.provider.name} não propôs subtarefas novas, usando regras locais`);
+    } catch (error) {
+      if (error.code !== 'AI_PROVIDER_INVALID_RESPONSE' || this.provider.name === this.fallbackProvider.name) throw error;
+      this.logger.warn(`Provedor ${this.provider.name} não retornou subtarefas válidas (${error.message}), usando regras locais`);
+    }
+
+    const { data, response } = await completeJSON(this.fallbackProvider, request);
+    return { subtasks: selectSubtasks(task, data.subtasks, count), response };
+  }
+
+  /**
+   * Obtém a última proposta de expansão de uma tarefa
+   * @param {string|number} taskId - ID da tarefa
+   * @returns {Promise<Object>} Proposta
+   * @throws {TaskExpansionError} EXPANSION_NOT_FOUND se não existir
+   */
+  async getProposal(taskId) {
+    if (!TASK_ID.test(String(taskId))) {
+      throw new TaskExpansionError(`Proposta de expansão não encontrada: ${taskId}`, 'EXPANSION_NOT_FOUND');
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.proposalPath(taskId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new TaskExpansionError(`Nenhuma proposta de expansão para a tarefa ${taskId}`, 'EXPANSION_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Aplica a proposta pendente de uma tarefa, acrescentando as subtarefas
+   * @param {string|number} taskId - ID da tarefa
+   * @returns {Promise<Object>} Proposta aplicada, com createdSubtasks
+   * @throws {TaskExpansionError} EXPANSION_APPLIED se já foi aplicada ou descartada,
+   *   EXPANSION_STALE se as subtarefas mudaram desde a prévia
+   */
+  async apply(taskId) {
+    const proposal = await this.getProposal(taskId);
+
+    if (proposal.status !== 'pending' || this.applying.has(String(taskId))) {
+      throw new TaskExpansionError(`A proposta de expansão da tarefa ${taskId} não está pendente (${proposal.status})`, 'EXPANSION_APPLIED');
+    }
+
+    this.applying.add(String(taskId));
+    try {
+      let created;
+      try {
+        created = await this.store.addSubtasks(proposal.taskId, proposal.subtasks, { expectedIds: proposal.existing });
+      } catch (error) {
+        if (error.code !== 'TASK_CONFLICT') throw error;
+        throw new TaskExpansionError(`As subtarefas da tarefa ${taskId} mudaram desde a prévia; gere uma nova proposta`, 'EXPANSION_STALE');
+      }
+
+      proposal.status = 'applied';
+      proposal.appliedAt = new Date().toISOString();
+      await this.writeProposal(proposal);
+
+      this.logger.info(`Tarefa ${taskId} expandida com ${created.length} subtarefas`);
+      return { ...proposal, createdSubtasks: created };
+    } finally {
+      this.applying.delete(String(taskId));
+    }
+  }
+
+  /**
+   * Descarta a proposta pendente de uma tarefa
+   * @param {string|number} taskId - ID da tarefa
+   * @returns {Promise<Object>} Proposta descartada
+   * @throws {TaskExpansionError} EXPANSION_APPLIED se não estiver pendente
+   */
+  async discard(taskId) {
+    const proposal = await this.getProposal(taskId);
+
+    if (proposal.status !== 'pending') {
+      throw new TaskExpansionError(`A proposta de expansão da tarefa ${taskId} não está pendente (${proposal.status})`, 'EXPANSION_APPLIED');
+    }
+
+    proposal.status = 'discarded';
+    await this.writeProposal(proposal);
+    return proposal;
+  }
+
+  /**
+   * Aplica a política a uma mudança de status
+   *
+   * Erros não interrompem a mudança de status: são registrados e
+   * devolvidos na proposta ({ taskId, error }).
+   * @param {Object} change - Mudança ({ taskId, status, previousStatus })
+   * @returns {Promise<Object|null>} Proposta (pendente no modo preview, aplicada no modo auto) ou null
+   */
+  async onStatusChange({ taskId, status, previousStatus }) {
+    if (this.mode === 'off' || status !== 'in-progress' || previousStatus === status || !TASK_ID.test(String(taskId))) {
+      return null;
+    }
+
+    try {
+      const proposal = await this.preview(taskId, { trigger: 'status' });
+      return this.mode === 'auto' ? await this.apply(taskId) : proposal;
+    } catch (error) {
+      if (error.code === 'EXPANSION_NOT_NEEDED') return null;
+
+      this.logger.warn(`Expansão automática da tarefa ${taskId} falhou: ${error.message}`);
+      return { taskId, error: error.message };
+    }
+  }
+
+  /**
+   * Caminho do arquivo da proposta de uma tarefa
+   * @private
+   */
+  proposalPath(taskId) {
+    return path.join(this.expansionsDir, `task-${taskId}.json`);
+  }
+
+  /**
+   * Grava uma proposta (arquivo temporário + rename)
+   * @private
+   */
+  async writeProposal(proposal) {
+    await fs.mkdir(this.expansionsDir, { recursive: true });
+    const filePath = this.proposalPath(proposal.taskId);
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(proposal, null, 2), 'utf-8');
+    await fs.rename(temporary, filePath);
+  }
+}
+
+export default ExpansionPolicy;
@@ -0,0 +1,489 @@
+/**
+ * Servidor MCP do Nexus
+ *
+ * Este arquivo expõe os agentes do Nexus como um servidor MCP (Model
+ * Context Protocol), publicando as ferramentas registradas no ToolManager
+ * (ver mcp_tools.js) via JSON-RPC 2.0 em dois transportes:
+ * - stdio: uma mensagem JSON por linha (scripts/mcp-server.js)
+ * - HTTP "streamable": POST /mcp no servidor HTTP do Nexus, montado apenas
+ *   quando NEXUS_MCP_TOKEN está definido (toda requisição exige o token)
+ */
+
+import express from 'express';
+import readline from 'readline';
+import { randomUUID, timingSafeEqual } from 'crypto';
+import ToolManager from '../utils/tool_manager.js';
+import { createLogger } from '../utils/logger.js';
+import { createMetrics } from '../utils/metrics.js';
+import { registerAgentTools } from './mcp_tools.js';
+
+// Versões do protocolo suportadas (a primeira é a preferida)
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Códigos de erro do JSON-RPC
+export const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  SESSION_ERROR: -32000
+};
+
+/**
+ * Erro de protocolo convertido em resposta de erro JSON-RPC
+ */
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Monta uma resposta de erro JSON-RPC
+ * @private
+ */
+function errorResponse(id, code, message, data) {
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error: { code, message, ...(data !== undefined ? { data } : {}) }
+  };
+}
+
+export class NexusMcpServer {
+  /**
+   * @param {Object} options - Opções do servidor
+   * @param {Object} options.toolManager - Gerenciador de ferramentas (padrão: nova instância)
+   * @param {Function} options.getAgent - Resolve agentes pelo nome (padrão: carregamento sob demanda)
+   * @param {string} options.userId - Identidade usada nas chamadas aos agentes (padrão NEXUS_MCP_USER_ID)
+   * @param {string} options.authToken - Token Bearer exigido no transporte HTTP (padrão NEXUS_MCP_TOKEN);
+   *   sem token o transporte HTTP recusa todas as requisições
+   * @param {Array<string>} options.allowedOrigins - Origens aceitas no HTTP (padrão NEXUS_MCP_ALLOWED_ORIGINS ou localhost)
+   * @param {number} options.sessionTtlMs - Tempo de inatividade até a sessão HTTP expirar (padrão 1 hora)
+   * @param {number} options.maxSessions - Sessões HTTP simultâneas; ao exceder, a menos recente é descartada (padrão 100)
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('McpServer');
+    this.metrics = createMetrics('McpServer');
+    this.toolManager = options.toolManager || new ToolManager();
+    this.toolNames = new Set(registerAgentTools(this.toolManager, { getAgent: options.getAgent }));
+    this.userId = options.userId || process.env.NEXUS_MCP_USER_ID || 'mcp';
+    this.authToken = options.authToken || process.env.NEXUS_MCP_TOKEN || null;
+    this.allowedOrigins = options.allowedOrigins
+      || (process.env.NEXUS_MCP_ALLOWED_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+    this.serverInfo = { name: 'nexus', version: '1.0.0' };
+
+    // Sessões do transporte HTTP (Mcp-Session-Id -> dados da sessão)
+    this.sessions = new Map();
+    this.sessionTtlMs = options.sessionTtlMs || 60 * 60 * 1000;
+    this.maxSessions = options.maxSessions || 100;
+
+    this.router = null;
+  }
+
+  /**
+   * Processa uma mensagem ou um lote de mensagens JSON-RPC
+   * @param {Object|Array<Object>} payload - Mensagem(ns) recebida(s)
+   * @param {Object} session - Sessão do cliente
+   * @returns {Promise<Object|Array<Object>|null>} Resposta(s) ou null se não houver resposta
+   */
+  async handlePayload(payload, session = {}) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) {
+        return errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Lote vazio');
+      }
+
+      const responses = (await Promise.all(payload.map(message => this.handleMessage(message, session))))
+        .filter(Boolean);
+
+      return responses.length > 0 ? responses : null;
+    }
+
+    return this.handleMessage(payload, session);
+  }
+
+  /**
+   * Processa uma mensagem JSON-RPC
+   * @param {Object} message - Mensagem recebida
+   * @param {Object} session - Sessão do cliente
+   * @returns {Promise<Object|null>} Resposta ou null para notificações e respostas
+   */
+  async handleMessage(message, session = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return errorResponse(message?.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Mensagem JSON-RPC 2.0 inválida');
+    }
+
+    // Respostas do cliente (não enviamos requisições) são ignoradas
+    if (!('method' in message)) {
+      return null;
+    }
+
+    const isNotification = !('id' in message);
+
+    if (typeof message.method !== 'string') {
+      return isNotification ? null : errorResponse(message.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Método inválido');
+    }
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, session);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) {
+        this.logger.warn(`Falha ao processar notificação ${message.method}: ${error.message}`);
+        return null;
+      }
+
+      if (error instanceof JsonRpcError) {
+        return errorResponse(message.id, error.code, error.message, error.data);
+      }
+
+      this.logger.error(`Erro interno no método ${message.method}`, error);
+      return errorResponse(message.id, JSON_RPC_ERRORS.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  /**
+   * Executa um método do protocolo
+   * @private
+   */
+  async dispatch(method, params, session) {
+    if (method.startsWith('notifications/')) {
+      if (method === 'notifications/initialized') {
+        session.initialized = true;
+      }
+      return {};
+    }
+
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params, session);
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return this.listTools();
+      case 'tools/call':
+        return this.callTool(params);
+      default:
+        throw new JsonRpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Método não suportado: ${method}`);
+    }
+  }
+
+  /**
+   * Negocia a versão do protocolo e anuncia as capacidades do servidor
+   * @private
+   */
+  initialize(params, session) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+
+    session.protocolVersion = protocolVersion;
+    session.clientInfo = params.clientInfo || null;
+
+    this.logger.info('Cliente MCP conectado', {
+      client: params.clientInfo?.name,
+      protocolVersion
+    });
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false }
+      },
+      serverInfo: this.serverInfo,
+      instructions: 'Ferramentas do Nexus para quadros Kanban, tarefas de projetos e geração de documentação.'
+    };
+  }
+
+  /**
+   * Lista as ferramentas publicadas
+   * @returns {Object} { tools: [{ name, description, inputSchema }] }
+   */
+  listTools() {
+    const { tools } = this.toolManager.getToolManifest();
+    return {
+      tools: tools.filter(tool => this.toolNames.has(tool.name))
+    };
+  }
+
+  /**
+   * Executa uma ferramenta publicada
+   *
+   * Falhas da ferramenta (validação, timeout, erro do agente) são
+   * devolvidas como resultado com `isError`, conforme o protocolo;
+   * apenas ferramentas desconhecidas geram erro JSON-RPC.
+   * @private
+   */
+  async callTool(params) {
+    const { name, arguments: args = {} } = params;
+
+    if (!this.toolNames.has(name)) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Ferramenta desconhecida: ${name}`);
+    }
+
+    if (!args || typeof args !== 'object' || Array.isArray(args)) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Os argumentos da ferramenta devem ser um objeto');
+    }
+
+    const startTime = Date.now();
+    const execution = await this.toolManager.executeTool(name, { ...args, userId: this.userId });
+
+    this.metrics.increment('mcp.tool.calls', 1, { tool: name, status: execution.success ? 'success' : 'error' });
+    this.metrics.timing('mcp.tool.duration', Date.now() - startTime, { tool: name });
+
+    if (!execution.success) {
+      return {
+        content: [{ type: 'text', text: execution.error }],
+        isError: true
+      };
+    }
+
+    const { result } = execution;
+    const isStructured = result !== null && typeof result === 'object' && !Array.isArray(result);
+
+    return {
+      content: [{
+        type: 'text',
+        text: typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result, null, 2)
+      }],
+      ...(isStructured ? { structuredContent: result } : {}),
+      isError: false
+    };
+  }
+
+  /**
+   * Inicia o transporte stdio (uma mensagem JSON por linha)
+   *
+   * Nada além de mensagens JSON-RPC pode ser escrito na saída; os logs
+   * devem ir para stderr (ver scripts/mcp-server.js).
+   * @param {Object} options - Fluxos de entrada e saída (padrão process.stdin/stdout)
+   * @returns {Promise<void>} Resolvida quando a entrada é encerrada
+   */
+  startStdio(options = {}) {
+    const input = options.input || process.stdin;
+    const output = options.output || process.stdout;
+    const session = {};
+    const pending = new Set();
+
+    const send = response => {
+      if (response) {
+        output.write(`${JSON.stringify(response)}\n`);
+      }
+    };
+
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    lines.on('line', line => {
+      if (!line.trim()) return;
+
+      let payload;
+      try {
+        payload = JSON.parse(line);
+      } catch (error) {
+        send(errorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, `JSON inválido: ${error.message}`));
+        return;
+      }
+
+      const task = this.handlePayload(payload, session)
+        .then(send)
+        .catch(error => this.logger.error('Falha no transporte stdio', error))
+        .finally(() => pending.delete(task));
+      pending.add(task);
+    });
+
+    this.logger.info('Servidor MCP aguardando mensagens via stdio');
+
+    return new Promise(resolve => {
+      lines.on('close', async () => {
+        await Promise.all(pending);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Verifica a origem da requisição HTTP (proteção contra DNS rebinding)
+   * @private
+   */
+  isOriginAllowed(origin) {
+    if (!origin) return true;
+
+    if (this.allowedOrigins.length > 0) {
+      return this.allowedOrigins.includes(origin);
+    }
+
+    try {
+      const { hostname } = new URL(origin);
+      return ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Indica se o transporte HTTP pode ser exposto (exige o token Bearer)
+   * @returns {boolean}
+   */
+  isHttpEnabled() {
+    return Boolean(this.authToken);
+  }
+
+  /**
+   * Verifica o token Bearer (sem token configurado nada é autorizado)
+   * @private
+   */
+  isAuthorized(req) {
+    if (!this.authToken) return false;
+
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme !== 'Bearer' || !token) return false;
+
+    const expected = Buffer.from(this.authToken);
+    const received = Buffer.from(token);
+    return expected.length === received.length && timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Middleware de origem e autenticação do transporte HTTP
+   * @private
+   */
+  guard(req, res, next) {
+    if (!this.isOriginAllowed(req.get('origin'))) {
+      return res.status(403).json(errorResponse(null, JSON_RPC_ERRORS.SESSION_ERROR, 'Origem não permitida'));
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.set('WWW-Authenticate', 'Bearer');
+      return res.status(401).json(errorResponse(null, JSON_RPC_ERRORS.SESSION_ERROR, 'Não autorizado'));
+    }
+
+    next();
+  }
+
+  /**
+   * Remove sessões HTTP inativas há mais de sessionTtlMs e, acima de
+   * maxSessions, as usadas há mais tempo
+   * @private
+   * @param {number} reserve - Vagas a liberar para novas sessões
+   */
+  pruneSessions(reserve = 0) {
+    const now = Date.now();
+
+    for (const [sessionId, session] of this.sessions) {
+      if (this.isExpired(session, now)) {
+        this.sessions.delete(sessionId);
+      }
+    }
+
+    const excess = this.sessions.size + reserve - this.maxSessions;
+    if (excess > 0) {
+      [...this.sessions.values()]
+        .sort((a, b) => a.lastSeenAt - b.lastSeenAt)
+        .slice(0, excess)
+        .forEach(session => this.sessions.delete(session.id));
+    }
+  }
+
+  /**
+   * Indica se a sessão está inativa há mais de sessionTtlMs
+   * @private
+   */
+  isExpired(session, now = Date.now()) {
+    return now - (session.lastSeenAt || 0) > this.sessionTtlMs;
+  }
+
+  /**
+   * Trata mensagens recebidas via POST (transporte HTTP "streamable")
+   * @private
+   */
+  async handleHttpPost(req, res) {
+    const payload = req.body;
+
+    if (!payload || typeof payload !== 'object' || (!Array.isArray(payload) && Object.keys(payload).length === 0)) {
+      return res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Corpo JSON-RPC ausente'));
+    }
+
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some(message => message && message.method === 'initialize');
+    let sessionId = req.get('mcp-session-id');
+    let session;
+
+    if (isInitialize) {
+      this.pruneSessions(1);
+      sessionId = randomUUID();
+      session = { id: sessionId, createdAt: new Date().toISOString(), lastSeenAt: Date.now() };
+      this.sessions.set(sessionId, session);
+    } else if (!sessionId) {
+      return res.status(400).json(errorResponse(null, JSON_RPC_ERRORS.SESSION_ERROR, 'Cabeçalho Mcp-Session-Id ausente'));
+    } else {
+      session = this.sessions.get(sessionId);
+      if (session && this.isExpired(session)) {
+        this.sessions.delete(sessionId);
+        session = null;
+      }
+      if (!session) {
+        return res.status(404).json(errorResponse(null, JSON_RPC_ERRORS.SESSION_ERROR, 'Sessão MCP não encontrada'));
+      }
+    }
+
+    session.lastSeenAt = Date.now();
+
+    try {
+      const response = await this.handlePayload(payload, session);
+
+      res.set('Mcp-Session-Id', sessionId);
+
+      if (!response) {
+        return res.status(202).end();
+      }
+
+      res.json(response);
+    } catch (error) {
+      this.logger.error('Erro no transporte HTTP do MCP', error);
+      res.status(500).json(errorResponse(null, JSON_RPC_ERRORS.INTERNAL_ERROR, error.message));
+    }
+  }
+
+  /**
+   * Retorna o roteador Express do transporte HTTP
+   * @returns {Object} - Roteador Express
+   */
+  getRouter() {
+    if (this.router) {
+      return this.router;
+    }
+
+    this.router = express.Router();
+    this.router.use(this.guard.bind(this));
+
+    this.router.post('/', this.handleHttpPost.bind(this));
+
+    // O servidor não abre fluxos SSE iniciados pelo cliente
+    this.router.get('/', (req, res) => {
+      res.set('Allow', 'POST, DELETE').status(405).end();
+    });
+
+    // Encerramento de sessão
+    this.router.delete('/', (req, res) => {
+      const sessionId = req.get('mcp-session-id');
+
+      if (!sessionId || !this.sessions.delete(sessionId)) {
+        return res.status(404).json(errorResponse(null, JSON_RPC_ERRORS.SESSION_ERROR, 'Sessão MCP não encontrada'));
+      }
+
+      res.status(204).end();
+    });
+
+    return this.router;
+  }
+}
+
+// Exportar como singleton
+const mcpServer = new NexusMcpServer();
+export default mcpServer;
@@ -0,0 +1,321 @@
+/**
+ * Ferramentas MCP do Nexus
+ *
+ * Este arquivo define as ferramentas publicadas pelo servidor MCP do Nexus:
+ * operações de quadros e cartões do KanbanAgent, tarefas do
+ * ProjectManagerAgent e geração de documentação do DocumentAgent.
+ * Cada ferramenta é registrada no ToolManager com handler, schemas e
+ * timeout; o `userId` é injetado pelo servidor a partir da identidade
+ * configurada, nunca informado pelo cliente.
+ */
+
+// Módulos dos agentes expostos (carregados sob demanda)
+const AGENT_MODULES = {
+  KanbanAgent: '../agents/kanban_agent.js',
+  ProjectManagerAgent: '../agents/project_manager_agent.js',
+  DocumentAgent: '../agents/document_agent.js'
+};
+
+const agentInstances = new Map();
+
+/**
+ * Carrega e instancia um agente exposto via MCP
+ * @param {string} agentName - Nome do agente
+ * @returns {Promise<Object>} Instância do agente
+ */
+export async function loadAgent(agentName) {
+  if (agentInstances.has(agentName)) {
+    return agentInstances.get(agentName);
+  }
+
+  const modulePath = AGENT_MODULES[agentName];
+  if (!modulePath) {
+    throw new Error(`Agente não exposto via MCP: ${agentName}`);
+  }
+
+  let agentModule;
+  try {
+    agentModule = await import(modulePath);
+  } catch (error) {
+    throw new Error(`Agente ${agentName} indisponível: ${error.message}`);
+  }
+
+  const AgentClass = agentModule[agentName] || agentModule.default?.[agentName] || agentModule.default;
+  const agent = typeof AgentClass === 'function' ? new AgentClass() : AgentClass;
+
+  agentInstances.set(agentName, agent);
+  return agent;
+}
+
+const idSchema = { type: 'string', minLength: 1 };
+const objectSchema = description => ({ type: 'object', description });
+
+/**
+ * Definições das ferramentas: agente, método e como montar os argumentos
+ */
+export const agentToolDefinitions = {
+  kanban_create_board: {
+    description: 'Cria um quadro Kanban (opcionalmente vinculado a um projeto e a um template)',
+    agent: 'KanbanAgent',
+    method: 'createBoard',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        projectId: idSchema,
+        template: { type: 'string', enum: ['basic', 'scrum', 'kanban', 'custom'] }
+      },
+      required: ['name']
+    },
+    args: ({ userId, ...boardData }) => [boardData, userId]
+  },
+
+  kanban_update_board: {
+    description: 'Atualiza nome, descrição ou configurações de um quadro Kanban',
+    agent: 'KanbanAgent',
+    method: 'updateBoard',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        boardId: idSchema,
+        changes: objectSchema('Campos a atualizar')
+      },
+      required: ['boardId', 'changes']
+    },
+    args: ({ boardId, changes, userId }) => [boardId, changes, userId]
+  },
+
+  kanban_create_column: {
+    description: 'Cria uma coluna em um quadro Kanban',
+    agent: 'KanbanAgent',
+    method: 'createColumn',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        boardId: idSchema,
+        name: { type: 'string', minLength: 1 },
+        order: { type: 'number', minimum: 0 },
+        wipLimit: { type: 'number', minimum: 0 },
+        color: { type: 'string' }
+      },
+      required: ['boardId', 'name']
+    },
+    args: ({ boardId, userId, ...columnData }) => [boardId, columnData, userId]
+  },
+
+  kanban_create_card: {
+    description: 'Cria um cartão em uma coluna do quadro Kanban',
+    agent: 'KanbanAgent',
+    method: 'createCard',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        columnId: idSchema,
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+        assignee: { type: 'string' },
+        dueDate: { type: 'string', description: 'Data no formato AAAA-MM-DD' },
+        labels: { type: 'array', items: { type: 'string' } },
+        taskId: { type: 'string' }
+      },
+      required: ['columnId', 'title']
+    },
+    args: ({ columnId, userId, ...cardData }) => [columnId, cardData, userId]
+  },
+
+  kanban_update_card: {
+    description: 'Atualiza os campos de um cartão Kanban',
+    agent: 'KanbanAgent',
+    method: 'updateCard',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: idSchema,
+        changes: objectSchema('Campos a atualizar')
+      },
+      required: ['cardId', 'changes']
+    },
+    args: ({ cardId, changes, userId }) => [cardId, changes, userId]
+  },
+
+  kanban_move_card: {
+    description: 'Move um cartão para outra coluna (respeitando limites WIP e automações)',
+    agent: 'KanbanAgent',
+    method: 'moveCard',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cardId: idSchema,
+        targetColumnId: idSchema,
+        position: { type: 'integer', minimum: 0 }
+      },
+      required: ['cardId', 'targetColumnId']
+    },
+    args: ({ cardId, targetColumnId, position, userId }) => [cardId, targetColumnId, position, userId]
+  },
+
+  kanban_get_board_metrics: {
+    description: 'Calcula métricas de um quadro Kanban (distribuição, tempo de ciclo ou fluxo)',
+    agent: 'KanbanAgent',
+    method: 'getBoardMetrics',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        boardId: idSchema,
+        metricType: { type: 'string', enum: ['distribution', 'time', 'flow'] }
+      },
+      required: ['boardId']
+    },
+    args: ({ boardId, metricType = 'distribution', userId }) => [boardId, metricType, userId]
+  },
+
+  project_create_task: {
+    description: 'Cria uma tarefa em um projeto',
+    agent: 'ProjectManagerAgent',
+    method: 'createTask',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: idSchema,
+        title: { type: 'string', minLength: 1 },
+        description: { type: 'string' },
+        priority: { type: 'string', enum: ['low', 'medium', 'high', 'urgent'] },
+        estimatedHours: { type: 'number', minimum: 0 },
+        dueDate: { type: 'string', description: 'Data no formato AAAA-MM-DD' },
+        tags: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['projectId', 'title']
+    },
+    args: ({ projectId, userId, ...taskData }) => [projectId, taskData, userId]
+  },
+
+  project_update_task: {
+    description: 'Atualiza uma tarefa de projeto (status, prioridade, prazo etc.)',
+    agent: 'ProjectManagerAgent',
+    method: 'updateTask',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: idSchema,
+        changes: objectSchema('Campos a atualizar')
+      },
+      required: ['taskId', 'changes']
+    },
+    args: ({ taskId, changes, userId }) => [taskId, changes, userId]
+  },
+
+  project_assign_task: {
+    description: 'Atribui uma tarefa de projeto a um usuário',
+    agent: 'ProjectManagerAgent',
+    method: 'assignTask',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        taskId: idSchema,
+        assigneeId: idSchema
+      },
+      required: ['taskId', 'assigneeId']
+    },
+    args: ({ taskId, assigneeId, userId }) => [taskId, assigneeId, userId]
+  },
+
+  project_get_progress: {
+    description: 'Obtém o progresso de um projeto (tarefas por status, prazos)',
+    agent: 'ProjectManagerAgent',
+    method: 'getProjectProgress',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: idSchema
+      },
+      required: ['projectId']
+    },
+    args: ({ projectId, userId }) => [projectId, userId]
+  },
+
+  document_generate_from_tasks: {
+    description: 'Gera a documentação de um projeto a partir de suas tarefas',
+    agent: 'DocumentAgent',
+    method: 'generateDocumentationFromTasks',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        projectId: idSchema,
+        options: objectSchema('Opções de geração (format, sections etc.)')
+      },
+      required: ['projectId']
+    },
+    args: ({ projectId, options = {} }) => [projectId, options]
+  },
+
+  document_generate_api: {
+    description: 'Gera documentação de API a partir de uma fonte (código, OpenAPI etc.)',
+    agent: 'DocumentAgent',
+    method: 'generateApiDocumentation',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        source: {
+          type: 'object',
+          properties: { type: { type: 'string' } },
+          required: ['type']
+        },
+        options: objectSchema('Opções de geração')
+      },
+      required: ['source']
+    },
+    args: ({ source, options = {} }) => [source, options]
+  },
+
+  document_extract_from_code: {
+    description: 'Extrai documentação do código de um repositório',
+    agent: 'DocumentAgent',
+    method: 'extractDocumentationFromCode',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        repository: { type: 'string', minLength: 1 },
+        options: objectSchema('Opções de extração')
+      },
+      required: ['repository']
+    },
+    args: ({ repository, options = {} }) => [repository, options]
+  }
+};
+
+/**
+ * Registra as ferramentas dos agentes em um ToolManager
+ * @param {Object} toolManager - Gerenciador de ferramentas
+ * @param {Object} options - Opções
+ * @param {Function} options.getAgent - Resolve um agente pelo nome (padrão: loadAgent)
+ * @param {number} options.timeoutMs - Tempo limite das ferramentas (padrão 120000)
+ * @returns {Array<string>} Nomes das ferramentas registradas
+ */
+export function registerAgentTools(toolManager, options = {}) {
+  const getAgent = options.getAgent || loadAgent;
+  const timeoutMs = options.timeoutMs || 120000;
+
+  return Object.entries(agentToolDefinitions).map(([toolName, definition]) => {
+    toolManager.registerTool(toolName, {
+      description: definition.description,
+      inputSchema: definition.inputSchema,
+      timeoutMs,
+      priority: 'high',
+      handler: async params => {
+        const agent = await getAgent(definition.agent);
+
+        if (!agent || typeof agent[definition.method] !== 'function') {
+          throw new Error(`Método ${definition.agent}.${definition.method} indisponível`);
+        }
+
+        return agent[definition.method](...definition.args(params));
+      }
+    });
+
+    return toolName;
+  });
+}
+
+export default registerAgentTools;
@@ -0,0 +1,519 @@
+// src/services/prd_planner.js
+
+/**
+ * Planejamento de tarefas a partir de um PRD
+ *
+ * O fluxo tem duas etapas, para que o plano possa ser revisado antes de
+ * criar qualquer tarefa:
+ *   1. createPlan: o provedor de IA configurado (AI_ASSISTANT_MODEL) divide
+ *      o PRD em épicos, tarefas e subtarefas com dependências e complexidade;
+ *      com o provedor local, ou se a resposta não trouxer um plano válido,
+ *      valem as regras de prd_plan.js. O plano é gravado como rascunho em
+ *      PRD_PLANS_DIR (padrão data/prd-plans).
+ *   2. applyPlan: cria as tarefas em tasks/tasks.json em uma única gravação,
+ *      acrescenta as estimativas ao relatório de complexidade e semeia um
+ *      quadro Kanban (projeto, tarefas do projeto vinculadas ao TaskMaster e
+ *      cartões criados por KanbanAgent.syncBoardWithProject).
+ * Se uma etapa falhar (ex.: quadro sem agentes ou Supabase disponíveis), as
+ * anteriores são mantidas, o plano fica 'partial' com o erro registrado e
+ * applyPlan pode ser repetido para refazer apenas o que faltou.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import config from '../config/default.js';
+import { createLogger } from '../utils/logger.js';
+import { TaskStore } from '../utils/task_store.js';
+import { createAIProvider, completeJSON } from '../utils/ai_providers/index.js';
+import { LocalRuleProvider } from '../utils/ai_providers/local_provider.js';
+import { PrdPlanError, normalizePlan } from '../utils/prd_plan.js';
+import {
+  mergeComplexityReport,
+  readComplexityReport,
+  resolveComplexityReportPath,
+  writeComplexityReport
+} from '../utils/complexity_report.js';
+import { loadAgent } from './mcp_tools.js';
+import { SYSTEM_USER_ID, runAsSystem } from '../agents/security_agent.js';
+
+export const DEFAULT_PRD_FILE = 'scripts/prd.txt';
+
+// Onde os PRDs podem estar: o texto lido volta ao cliente na prévia do plano,
+// então outros arquivos do projeto (.env, código) não podem ser lidos por aqui
+export const PRD_LOCATIONS = [
+  { dir: '.taskmaster/docs', recursive: true },
+  { dir: 'scripts', recursive: false }
+];
+const PRD_EXTENSIONS = ['.txt', '.md'];
+
+/**
+ * Indica se um caminho (relativo à raiz do projeto) é um local aceito para PRDs
+ * @param {string} relative - Caminho relativo
+ * @returns {boolean}
+ */
+export function isPrdPath(relative) {
+  const segments = relative.split(path.sep).join('/').split('/');
+  const file = segments[segments.length - 1];
+
+  if (!PRD_EXTENSIONS.includes(path.extname(file).toLowerCase()) || file.startsWith('.')) {
+    return false;
+  }
+
+  return PRD_LOCATIONS.some(({ dir, recursive }) => {
+    const base = dir.split('/');
+    const inside = base.every((segment, index) => segments[index] === segment);
+    const rest = segments.slice(base.length, -1);
+    return inside && (recursive || rest.length === 0) && !rest.some(segment => segment.startsWith('.'));
+  });
+}
+
+const PLAN_ID = /^plan-[a-f0-9]{8}$/;
+
+// Colunas do quadro para cada status de tarefa do projeto (pelo nome da coluna)
+const STATUS_COLUMNS = [
+  ['in_progress', /andamento|progress|desenvolvimento|doing/i],
+  ['review', /revis|review/i],
+  ['done', /conclu|pronto|done/i]
+];
+
+const PLAN_FORMAT = `{"name": "...", "epics": [{"ref": "E1", "title": "...", "description": "..."}], "tasks": [{"ref": "T1", "epic": "E1", "title": "...", "description": "...", "details": "...", "priority": "high|medium|low", "dependencies": ["T0"], "subtasks": [{"title": "...", "description": "..."}], "complexity": {"score": 1, "recommendedSubtasks": 3, "expansionPrompt": "...", "reasoning": "..."}}]}`;
+
+/**
+ * Monta o mapeamento entre colunas do quadro e status das tarefas do projeto
+ * @param {Array<Object>} columns - Colunas do quadro ({ id, name, order })
+ * @returns {Object} { columnToStatus, statusToColumn }
+ */
+export function boardStatusMapping(columns) {
+  const ordered = [...columns].sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+  if (ordered.length === 0) {
+    throw new Error('O quadro não tem colunas');
+  }
+
+  const columnToStatus = {};
+  for (const column of ordered) {
+    const match = STATUS_COLUMNS.find(([, pattern]) => pattern.test(column.name || column.title || ''));
+    columnToStatus[column.id] = match ? match[0] : 'todo';
+  }
+
+  const firstWith = status => ordered.find(column => columnToStatus[column.id] === status);
+  const statusToColumn = {
+    todo: ordered[0].id,
+    in_progress: (firstWith('in_progress') || ordered[Math.min(1, ordered.length - 1)]).id,
+    review: (firstWith('review') || firstWith('in_progress') || ordered[ordered.length - 1]).id,
+    done: (firstWith('done') || ordered[ordered.length - 1]).id
+  };
+
+  return { columnToStatus, statusToColumn };
+}
+
+export class PrdPlanner {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.projectRoot - Raiz do projeto (padrão TASKMASTER_PATH ou cwd)
+   * @param {string} options.plansDir - Diretório dos planos (padrão PRD_PLANS_DIR ou data/prd-plans)
+   * @param {string} options.reportFile - Relatório de complexidade (ver resolveComplexityReportPath)
+   * @param {TaskStore} options.store - Armazenamento de tarefas (padrão: tasks/tasks.json do projeto)
+   * @param {Object} options.provider - Provedor de IA (padrão: o de agents.AIAssistantAgent.options.model)
+   * @param {Function} options.getAgent - Resolve um agente pelo nome (padrão: loadAgent)
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('PrdPlanner');
+    this.projectRoot = path.resolve(options.projectRoot || process.env.TASKMASTER_PATH || process.cwd());
+    this.plansDir = path.resolve(options.plansDir || process.env.PRD_PLANS_DIR || 'data/prd-plans');
+    this.reportFile = resolveComplexityReportPath({ projectRoot: this.projectRoot, reportFile: options.reportFile });
+    this.store = options.store || new TaskStore({ projectRoot: this.projectRoot });
+    this.getAgent = options.getAgent || loadAgent;
+    this.fallbackProvider = new LocalRuleProvider();
+
+    // Planos em aplicação neste processo (evita criar as tarefas duas vezes)
+    this.applying = new Set();
+
+    // Criado no primeiro plano, para que uma configuração inválida não impeça os demais comandos
+    this.provider = options.provider || null;
+  }
+
+  /**
+   * Lê um PRD do projeto
+   * @param {string} file - Caminho relativo à raiz do projeto (padrão scripts/prd.txt); apenas
+   *   arquivos .txt ou .md em .taskmaster/docs ou diretamente em scripts, sem arquivos ocultos
+   * @returns {Promise<Object>} { text, source }
+   * @throws {PrdPlanError} PRD_INVALID se o arquivo estiver fora desses locais ou não existir
+   */
+  async readPrd(file = DEFAULT_PRD_FILE) {
+    const filePath = path.resolve(this.projectRoot, String(file));
+    const relative = path.relative(this.projectRoot, filePath);
+    const rejected = new PrdPlanError(
+      `O PRD deve ser um arquivo .txt ou .md em .taskmaster/docs ou scripts: ${file}`,
+      'PRD_INVALID'
+    );
+
+    if (relative.startsWith('..') || path.isAbsolute(relative) || !isPrdPath(relative)) {
+      throw rejected;
+    }
+
+    try {
+      // Links simbólicos não podem levar a um arquivo fora dos locais aceitos
+      const realPath = await fs.realpath(filePath);
+      const realRelative = path.relative(await fs.realpath(this.projectRoot), realPath);
+      if (realRelative.startsWith('..') || path.isAbsolute(realRelative) || !isPrdPath(realRelative)) {
+        throw rejected;
+      }
+
+      return { text: await fs.readFile(realPath, 'utf-8'), source: relative };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new PrdPlanError(`PRD não encontrado: ${relative}`, 'PRD_INVALID');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Gera e grava o plano (rascunho) de um PRD
+   * @param {string} prdText - Conteúdo do PRD
+   * @param {Object} options - Opções
+   * @param {string} options.name - Nome do plano (padrão: título do PRD)
+   * @param {string} options.source - Origem do PRD (arquivo), para referência
+   * @returns {Promise<Object>} Plano ({ id, name, status, epics, tasks, summary, ... })
+   * @throws {PrdPlanError} PRD_INVALID se o PRD estiver vazio ou não gerar tarefas
+   */
+  async createPlan(prdText, options = {}) {
+    if (typeof prdText !== 'string' || !prdText.trim()) {
+      throw new PrdPlanError('O PRD está vazio', 'PRD_INVALID');
+    }
+
+    const { plan, response } = await this.requestPlan(prdText, options.name);
+
+    const record = {
+      id: `plan-${randomUUID().slice(0, 8)}`,
+      name: plan.name,
+      status: 'draft',
+      source: options.source || null,
+      provider: response.provider,
+      model: response.model,
+      createdAt: new Date().toISOString(),
+      epics: plan.epics,
+      tasks: plan.tasks,
+      summary: plan.summary
+    };
+
+    await this.writePlan(record);
+    this.logger.info(`Plano ${record.id} gerado: ${record.summary.tasks} tarefas em ${record.summary.epics} épicos (${record.provider})`);
+
+    return record;
+  }
+
+  /**
+   * Pede o plano ao provedor de IA, com as regras locais como alternativa
+   * @private
+   */
+  async requestPlan(prdText, name) {
+    const request = {
+      task: 'prd-plan',
+      system: 'Você é um gerente de projetos técnico que converte PRDs em planos de implementação para o TaskMaster. Responda somente com JSON.',
+      messages: [{
+        role: 'user',
+        content: [
+          'Divida o PRD abaixo em épicos, tarefas e subtarefas.',
+          'Cada tarefa deve ser implementável de forma independente, com dependências (refs de tarefas anteriores) apenas quando necessárias e sem ciclos.',
+          'Estime a complexidade de cada tarefa de 1 a 10, o número recomendado de subtarefas, um prompt de expansão e a justificativa.',
+          `Responda com JSON no formato ${PLAN_FORMAT}.`,
+          ...(name ? [`Nome do plano: ${name}`] : []),
+          '',
+          prdText
+        ].join('\n')
+      }],
+      input: { prd: prdText, name },
+      temperature: 0.2,
+      maxTokens: 8000
+    };
+
+    if (!this.provider) {
+      const assistantOptions = config.agents.AIAssistantAgent.options;
+      this.provider = createAIProvider(assistantOptions.model, assistantOptions);
+    }
+
+    try {
+      const { data, response } = await completeJSON(this.provider, request);
+      return { plan: normalizePlan({ ...data, name: name || data.name }), response };
+    } catch (error) {
+      const invalid = error.code === 'AI_PROVIDER_INVALID_RESPONSE' || error instanceof PrdPlanError;
+      if (!invalid || this.provider.name === this.fallbackProvider.name) throw error;
+
+      this.logger.warn(`Provedor ${this.provider.name} não retornou um plano válido (${error.message}), usando regras locais`);
+      const { data, response } = await completeJSON(this.fallbackProvider, request);
+      return { plan: normalizePlan({ ...data, name: name || data.name }), response };
+    }
+  }
+
+  /**
+   * Obtém um plano
+   * @param {string} id - ID do plano
+   * @returns {Promise<Object>} Plano
+   * @throws {PrdPlanError} PRD_PLAN_NOT_FOUND se não existir
+   */
+  async getPlan(id) {
+    if (!PLAN_ID.test(String(id))) {
+      throw new PrdPlanError(`Plano não encontrado: ${id}`, 'PRD_PLAN_NOT_FOUND');
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this.planPath(id), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new PrdPlanError(`Plano não encontrado: ${id}`, 'PRD_PLAN_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Lista os planos, dos mais recentes aos mais antigos
+   * @returns {Promise<Array<Object>>} [{ id, name, status, source, provider, createdAt, appliedAt, summary }]
+   */
+  async listPlans() {
+    let files;
+    try {
+      files = await fs.readdir(this.plansDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const plans = [];
+    for (const file of files.filter(name => PLAN_ID.test(path.basename(name, '.json')) && name.endsWith('.json'))) {
+      const plan = await this.getPlan(path.basename(file, '.json'));
+      plans.push({
+        id: plan.id,
+        name: plan.name,
+        status: plan.status,
+        source: plan.source,
+        provider: plan.provider,
+        createdAt: plan.createdAt,
+        appliedAt: plan.applied?.at || null,
+        summary: plan.summary
+      });
+    }
+
+    return plans.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Aplica um plano: cria as tarefas, atualiza o relatório de complexidade e semeia o quadro
+   * @param {string} id - ID do plano
+   * @param {Object} options - Opções
+   * @param {boolean} options.board - Semear um quadro Kanban (padrão true)
+   * @param {string} options.boardName - Nome do quadro (padrão: nome do plano)
+   * @param {string} options.template - Template do quadro (padrão kanban)
+   * @param {string} options.projectId - Projeto existente (padrão: cria um projeto com o nome do plano)
+   * @param {string} options.userId - Usuário que aplica o plano (padrão system)
+   * @returns {Promise<Object>} Plano aplicado ('applied') ou parcial ('partial', se o quadro falhou);
+   *   `applied` tem { at, tasks: [{ ref, id }], reportFile, board } e createdTasks, as tarefas criadas nesta chamada
+   * @throws {PrdPlanError} PRD_PLAN_APPLIED se o plano já foi aplicado
+   */
+  async applyPlan(id, options = {}) {
+    const plan = await this.getPlan(id);
+
+    if (plan.status === 'applied') {
+      throw new PrdPlanError(`O plano ${id} já foi aplicado em ${plan.applied.at}`, 'PRD_PLAN_APPLIED');
+    }
+    if (this.applying.has(id)) {
+      throw new PrdPlanError(`O plano ${id} já está sendo aplicado`, 'PRD_PLAN_APPLIED');
+    }
+
+    this.applying.add(id);
+    try {
+      return await this.applyDraft(plan, options);
+    } finally {
+      this.applying.delete(id);
+    }
+  }
+
+  /**
+   * Aplica um plano em rascunho ou conclui uma aplicação parcial
+   *
+   * Cada etapa concluída (tarefas, relatório de complexidade, quadro) é gravada
+   * no plano antes da seguinte. O plano fica 'partial' até todas concluírem, e
+   * uma nova aplicação refaz apenas as etapas pendentes ou que falharam: as
+   * tarefas nunca são criadas duas vezes.
+   * @private
+   */
+  async applyDraft(plan, options) {
+    const epicTitles = new Map(plan.epics.map(epic => [epic.ref, epic.title]));
+    const progress = plan.applied || {};
+    let created = [];
+
+    if (!progress.tasks) {
+      created = await this.store.addTasks(plan.tasks.map(task => ({
+        ref: task.ref,
+        title: task.title,
+        description: task.description,
+        details: task.details,
+        priority: task.priority,
+        dependencies: task.dependencies.map(ref => `@${ref}`),
+        subtasks: task.subtasks
+      })));
+
+      progress.tasks = created.map(task => ({ ref: task.ref, id: task.id }));
+      await this.recordProgress(plan, progress);
+    }
+
+    if (!progress.reportFile) {
+      await this.updateComplexityReport(plan, new Map(progress.tasks.map(task => [task.ref, task.id])));
+
+      progress.reportFile = path.relative(this.projectRoot, this.reportFile);
+      await this.recordProgress(plan, progress);
+    }
+
+    if (options.board === false) {
+      progress.board = progress.board && !progress.board.error ? progress.board : null;
+    } else if (!progress.board || progress.board.error) {
+      const tasks = created.length > 0 ? created : await this.loadAppliedTasks(progress.tasks);
+      progress.board = await this.seedBoard(plan, tasks, epicTitles, options);
+    }
+
+    if (progress.board?.error) {
+      await this.recordProgress(plan, progress);
+      this.logger.warn(`Plano ${plan.id} aplicado parcialmente: quadro pendente (aplique de novo para tentar criá-lo)`);
+    } else {
+      plan.status = 'applied';
+      plan.applied = { at: new Date().toISOString(), ...progress };
+      await this.writePlan(plan);
+      this.logger.info(`Plano ${plan.id} aplicado: ${progress.tasks.length} tarefas${progress.board ? `, quadro ${progress.board.boardId}` : ''}`);
+    }
+
+    return { ...plan, createdTasks: created };
+  }
+
+  /**
+   * Grava o progresso de uma aplicação ainda não concluída
+   * @private
+   */
+  async recordProgress(plan, progress) {
+    plan.status = 'partial';
+    plan.applied = progress;
+    await this.writePlan(plan);
+  }
+
+  /**
+   * Tarefas criadas em uma aplicação anterior do plano, com a ref de cada uma
+   * @private
+   */
+  async loadAppliedTasks(appliedTasks) {
+    const tasks = [];
+    for (const { ref, id } of appliedTasks) {
+      tasks.push({ ...await this.store.getTask(id), ref });
+    }
+    return tasks;
+  }
+
+  /**
+   * Acrescenta as estimativas do plano ao relatório de complexidade
+   * @private
+   */
+  async updateComplexityReport(plan, idsByRef) {
+    const report = await readComplexityReport(this.reportFile);
+    const entries = plan.tasks.map(task => ({
+      taskId: idsByRef.get(task.ref),
+      taskTitle: task.title,
+      complexityScore: task.complexity.score,
+      recommendedSubtasks: task.complexity.recommendedSubtasks,
+      expansionPrompt: task.complexity.expansionPrompt,
+      reasoning: task.complexity.reasoning
+    }));
+    const { tasks } = await this.store.read();
+
+    await writeComplexityReport(this.reportFile, mergeComplexityReport(report, entries, {
+      projectName: report.meta.projectName || plan.name,
+      totalTasks: tasks.length
+    }));
+  }
+
+  /**
+   * Cria projeto, tarefas do projeto e quadro, e sincroniza os cartões
+   * @private
+   * @returns {Promise<Object>} { projectId, boardId, cards, linked, errors } ou { error } se falhar
+   */
+  async seedBoard(plan, created, epicTitles, options) {
+    // Sem usuário informado, o quadro é semeado como processo interno
+    if (!options.userId) {
+      return runAsSystem(() => this.seedBoard(plan, created, epicTitles, { ...options, userId: SYSTEM_USER_ID }));
+    }
+    const { userId } = options;
+
+    try {
+      const projectManager = await this.getAgent('ProjectManagerAgent');
+      const kanban = await this.getAgent('KanbanAgent');
+
+      const projectId = options.projectId || await projectManager.createProject({
+        name: plan.name,
+        description: `Projeto gerado a partir do PRD${plan.source ? ` ${plan.source}` : ''}`,
+        owner: userId
+      });
+
+      const tasksByRef = new Map(plan.tasks.map(task => [task.ref, task]));
+      const imported = await projectManager.importTaskMasterTasks(projectId, created.map(task => ({
+        ...task,
+        tags: [epicTitles.get(tasksByRef.get(task.ref).epic)].filter(Boolean)
+      })), userId);
+
+      const boardId = await kanban.createBoard({
+        name: options.boardName || plan.name,
+        description: `Quadro do plano ${plan.id}`,
+        projectId,
+        template: options.template || 'kanban'
+      }, userId);
+
+      const { columns } = await kanban.exportBoard(boardId, userId);
+      const sync = await kanban.syncBoardWithProject(boardId, projectId, boardStatusMapping(columns), userId);
+
+      // Vincula os cartões às tarefas do TaskMaster para a sincronização bidirecional
+      const taskmasterIds = new Map(imported.map(item => [String(item.id), item.taskmasterId]));
+      const tasksById = new Map(created.map(task => [String(task.id), task]));
+      const { cards } = await kanban.exportBoard(boardId, userId);
+      let linked = 0;
+
+      for (const card of cards) {
+        const task = tasksById.get(taskmasterIds.get(String(card.task_id)));
+        if (task) {
+          await kanban.syncTaskMasterPair(task, card, 'task');
+          linked++;
+        }
+      }
+
+      return {
+        projectId,
+        boardId,
+        cards: sync.results.tasksToCards,
+        linked,
+        errors: sync.results.errors
+      };
+    } catch (error) {
+      this.logger.warn(`Quadro do plano ${plan.id} não semeado: ${error.message}`);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Caminho do arquivo de um plano
+   * @private
+   */
+  planPath(id) {
+    return path.join(this.plansDir, `${id}.json`);
+  }
+
+  /**
+   * Grava um plano (arquivo temporário + rename)
+   * @private
+   */
+  async writePlan(plan) {
+    await fs.mkdir(this.plansDir, { recursive: true });
+    const filePath = this.planPath(plan.id);
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(plan, null, 2), 'utf-8');
+    await fs.rename(temporary, filePath);
+  }
+}
+
+export default PrdPlanner;
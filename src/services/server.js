@@ -8,12 +8,18 @@
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
-import morgan from 'morgan';
 import compression from 'compression';
 import apiRoutes from '../api/api_routes.js';
+import metricsAPI from '../api/metrics_api.js';
+import mcpServer from './mcp_server.js';
+import eventStream, { TASK_EVENT_TYPES } from './event_stream.js';
+import { taskMasterEvents } from '../../scripts/taskmaster/taskmaster_events.js';
+import { TaskMasterKanban } from '../components/taskmaster-kanban.js';
 import { createLogger } from '../utils/logger.js';
+import { createMetrics } from '../utils/metrics.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
 
 // Obter o diretório atual
 const __filename = fileURLToPath(import.meta.url);
@@ -24,6 +30,7 @@ class NexusServer {
     this.app = express();
     this.port = process.env.PORT || 3000;
     this.logger = createLogger('Server');
+    this.metrics = createMetrics('Server');
     
     // Configurar middleware
     this.configureMiddleware();
@@ -44,8 +51,32 @@ class NexusServer {
     // CORS
     this.app.use(cors());
     
-    // Logging
-    this.app.use(morgan('dev'));
+    // Identificação da requisição e logging estruturado
+    this.app.use((req, res, next) => {
+      const startTime = Date.now();
+      
+      req.id = req.get('x-request-id') || randomUUID();
+      req.logger = this.logger.child({ requestId: req.id });
+      res.set('X-Request-Id', req.id);
+      
+      res.on('finish', () => {
+        const durationMs = Date.now() - startTime;
+        const labels = { method: req.method, status: String(res.statusCode) };
+        
+        req.logger.info(`${req.method} ${req.originalUrl} ${res.statusCode}`, {
+          method: req.method,
+          url: req.originalUrl,
+          status: res.statusCode,
+          durationMs
+        });
+        
+        // Métricas de requisições HTTP (contagem e duração por método e status)
+        this.metrics.increment('http.requests', 1, labels);
+        this.metrics.timing('http.request.duration', durationMs, labels);
+      });
+      
+      next();
+    });
     
     // Compressão
     this.app.use(compression());
@@ -66,9 +97,31 @@ class NexusServer {
    * Configura as rotas do Express
    */
   configureRoutes() {
+    // Fluxo de eventos (SSE) com as alterações de tarefas e quadros
+    eventStream.attach(taskMasterEvents, TASK_EVENT_TYPES);
+    this.app.use('/api/events', eventStream.getRouter());
+    
     // Registrar rotas da API
     this.app.use('/api', apiRoutes.getRouter());
     
+    // Quadro Kanban interativo do TaskMaster (sincroniza a cada requisição)
+    this.kanban = this.kanban || new TaskMasterKanban({ autoSync: false });
+    this.app.use('/kanban', this.kanban.getRouter());
+    
+    // Servidor MCP (transporte HTTP "streamable"); o servidor escuta em todas as
+    // interfaces, então o transporte só é exposto com NEXUS_MCP_TOKEN definido
+    if (mcpServer.isHttpEnabled()) {
+      this.app.use('/mcp', mcpServer.getRouter());
+    } else {
+      this.logger.warn('Transporte HTTP do MCP desativado: defina NEXUS_MCP_TOKEN para expor /mcp');
+    }
+    
+    // Exposição de métricas no formato do Prometheus (mesma autorização de /api/metrics)
+    this.app.get('/metrics', metricsAPI.authorize, metricsAPI.getPrometheus);
+    if (!metricsAPI.authToken) {
+      this.logger.warn('Métricas HTTP recusadas: defina NEXUS_METRICS_TOKEN para liberar /metrics e /api/metrics');
+    }
+    
     // Rota raiz
     this.app.get('/', (req, res) => {
       res.sendFile(path.join(__dirname, '../../public/index.html'));
@@ -84,7 +137,15 @@ class NexusServer {
     
     // Captura de erros 500
     this.app.use((err, req, res, next) => {
-      this.logger.error(`Erro interno: ${err.stack}`);
+      // Corpo JSON malformado
+      if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({
+          error: 'JSON inválido',
+          message: err.message
+        });
+      }
+      
+      (req.logger || this.logger).error('Erro interno', err);
       
       res.status(500).json({
         error: 'Erro interno do servidor',
@@ -118,6 +179,9 @@ class NexusServer {
   stop() {
     return new Promise((resolve, reject) => {
       if (this.server) {
+        // Conexões SSE ficam abertas e impediriam o encerramento
+        eventStream.closeAll();
+        
         this.server.close((err) => {
           if (err) {
             this.logger.error(`Erro ao parar servidor: ${err.message}`);
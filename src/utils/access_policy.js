@@ -0,0 +1,645 @@
+// src/utils/access_policy.js
+
+/**
+ * Motor de políticas de acesso (RBAC) do SecurityAgent
+ *
+ * A política é declarativa (JSON, padrão .windsurf/policies/access.json):
+ *   - resources: tipos de recurso, com a tabela, o campo do proprietário,
+ *     o campo do projeto e/ou o recurso pai (ex.: cartão -> quadro ->
+ *     projeto), de onde vêm a propriedade e o projeto herdados
+ *   - roles: papéis com regras allow/deny ({ resource, actions, ids, when,
+ *     collection }) e herança (inherits)
+ *   - subjects: papéis atribuídos a usuários (além de defaultRole)
+ *   - system: identidade reservada aos processos internos ({ userId, role });
+ *     o papel só é concedido a pedidos marcados como internos (system: true,
+ *     ver SecurityAgent.runAsSystem), e fora deles a identidade é negada
+ *   - membership: tabela de membros do projeto; o papel do membro vira o
+ *     papel "project:<role>" e suas permissões (can_write...) liberam ações
+ *   - deny: negações explícitas para todos os papéis (exceto unlessRoles);
+ *     whenProject compara os campos do projeto do recurso (inclusive o
+ *     herdado do recurso pai, como o quadro de um cartão)
+ *   - actions: ações que implicam outras (ex.: manage -> read, update...)
+ * Negações prevalecem sobre permissões, e sem regra que permita o acesso
+ * é negado. Cada decisão traz o motivo (modo explain) e fica em cache por
+ * cache.ttlSeconds; decisões sobre recursos inexistentes ou que falharam
+ * ao carregar não são guardadas.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateSchema } from './json_schema.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_ACCESS_POLICY_FILE = path.resolve(__dirname, '../../.windsurf/policies/access.json');
+
+const DEFAULT_CACHE_TTL_SECONDS = 60;
+const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+
+const nameList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const RULE_SCHEMA = {
+  type: 'object',
+  properties: {
+    description: { type: 'string' },
+    resource: { anyOf: [{ type: 'string', minLength: 1 }, { ...nameList, minItems: 1 }] },
+    actions: { ...nameList, minItems: 1 },
+    ids: { type: 'array', items: { type: ['string', 'number'] } },
+    when: { type: 'object' },
+    whenProject: { type: 'object' },
+    collection: { type: 'boolean' },
+    roles: nameList,
+    unlessRoles: nameList
+  },
+  required: ['resource', 'actions'],
+  additionalProperties: false
+};
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { const: 1 },
+    defaultRole: { type: ['string', 'null'] },
+    subjects: { type: 'object', additionalProperties: nameList },
+    system: {
+      type: 'object',
+      properties: {
+        userId: { type: 'string', minLength: 1 },
+        role: { type: 'string', minLength: 1 }
+      },
+      required: ['userId', 'role'],
+      additionalProperties: false
+    },
+    actions: { type: 'object', additionalProperties: nameList },
+    resources: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          table: { type: 'string', minLength: 1 },
+          owner: { type: 'string', minLength: 1 },
+          project: { type: 'string', minLength: 1 },
+          parent: {
+            type: 'object',
+            properties: { type: { type: 'string' }, field: { type: 'string', minLength: 1 } },
+            required: ['type', 'field'],
+            additionalProperties: false
+          }
+        },
+        additionalProperties: false
+      }
+    },
+    membership: {
+      type: 'object',
+      properties: {
+        table: { type: 'string', minLength: 1 },
+        permissions: { type: 'object', additionalProperties: nameList }
+      },
+      required: ['table'],
+      additionalProperties: false
+    },
+    roles: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          description: { type: 'string' },
+          inherits: nameList,
+          allow: { type: 'array', items: RULE_SCHEMA },
+          deny: { type: 'array', items: RULE_SCHEMA }
+        },
+        additionalProperties: false
+      }
+    },
+    deny: { type: 'array', items: RULE_SCHEMA },
+    cache: {
+      type: 'object',
+      properties: {
+        ttlSeconds: { type: 'number', minimum: 0 },
+        maxEntries: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    }
+  },
+  required: ['version', 'resources', 'roles'],
+  additionalProperties: false
+};
+
+/**
+ * Erro de carregamento ou validação da política de acesso
+ */
+export class AccessPolicyError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - POLICY_NOT_FOUND ou POLICY_INVALID
+   * @param {Array<string>} errors - Problemas encontrados na política
+   */
+  constructor(message, code, errors = []) {
+    super(message);
+    this.name = 'AccessPolicyError';
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Lista de nomes a partir de um nome ou de uma lista
+ * @private
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Valida uma política (estrutura e referências entre papéis e recursos)
+ * @param {Object} policy - Política
+ * @returns {Object} A própria política, se válida
+ * @throws {AccessPolicyError} POLICY_INVALID com a lista de problemas
+ */
+export function validateAccessPolicy(policy) {
+  const errors = validateSchema(POLICY_SCHEMA, policy);
+
+  if (errors.length === 0) {
+    const { roles, resources } = policy;
+    const checkRoles = (names, where) => {
+      for (const name of names || []) {
+        if (!roles[name]) errors.push(`${where}: papel desconhecido "${name}"`);
+      }
+    };
+    const checkRules = (rules, where) => {
+      (rules || []).forEach((rule, index) => {
+        for (const type of toList(rule.resource)) {
+          if (type !== '*' && !resources[type]) errors.push(`${where}[${index}]: tipo de recurso desconhecido "${type}"`);
+        }
+        checkRoles(rule.roles, `${where}[${index}].roles`);
+        checkRoles(rule.unlessRoles, `${where}[${index}].unlessRoles`);
+      });
+    };
+
+    if (policy.defaultRole) checkRoles([policy.defaultRole], 'defaultRole');
+    for (const [subject, names] of Object.entries(policy.subjects || {})) {
+      checkRoles(names, `subjects.${subject}`);
+      if (subject === policy.system?.userId) {
+        errors.push(`subjects.${subject}: a identidade de sistema recebe papéis apenas por system.role`);
+      }
+    }
+    if (policy.system) checkRoles([policy.system.role], 'system.role');
+
+    for (const [name, role] of Object.entries(roles)) {
+      checkRoles(role.inherits, `roles.${name}.inherits`);
+      checkRules(role.allow, `roles.${name}.allow`);
+      checkRules(role.deny, `roles.${name}.deny`);
+    }
+    checkRules(policy.deny, 'deny');
+
+    for (const [type, resource] of Object.entries(resources)) {
+      if (!resource.table && (resource.owner || resource.project || resource.parent)) {
+        errors.push(`resources.${type}: owner, project e parent exigem table`);
+      }
+      if (resource.parent && !resources[resource.parent.type]?.table) {
+        errors.push(`resources.${type}.parent: tipo de recurso sem tabela ou desconhecido "${resource.parent.type}"`);
+      }
+    }
+
+    if (errors.length === 0) {
+      errors.push(...findInheritanceCycles(roles, name => roles[name].inherits, 'roles'));
+      errors.push(...findInheritanceCycles(resources, type => (resources[type].parent ? [resources[type].parent.type] : []), 'resources'));
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new AccessPolicyError(`Política de acesso inválida: ${errors.join('; ')}`, 'POLICY_INVALID', errors);
+  }
+
+  return policy;
+}
+
+/**
+ * Ciclos de herança (papéis que herdam de si mesmos, recursos pais de si mesmos)
+ * @private
+ */
+function findInheritanceCycles(items, parentsOf, where) {
+  const errors = [];
+  const done = new Set();
+
+  const visit = (name, trail) => {
+    if (trail.includes(name)) {
+      errors.push(`${where}: herança circular ${[...trail.slice(trail.indexOf(name)), name].join(' -> ')}`);
+      return;
+    }
+    if (done.has(name)) return;
+
+    for (const parent of parentsOf(name) || []) {
+      visit(parent, [...trail, name]);
+    }
+    done.add(name);
+  };
+
+  for (const name of Object.keys(items)) {
+    visit(name, []);
+  }
+
+  return errors;
+}
+
+/**
+ * Lê e valida um arquivo de política
+ * @param {string} file - Caminho do arquivo (padrão .windsurf/policies/access.json)
+ * @returns {Object} Política validada
+ * @throws {AccessPolicyError} POLICY_NOT_FOUND ou POLICY_INVALID
+ */
+export function loadAccessPolicy(file = DEFAULT_ACCESS_POLICY_FILE) {
+  let content;
+  try {
+    content = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new AccessPolicyError(`Política de acesso não encontrada: ${file}`, 'POLICY_NOT_FOUND');
+    }
+    throw error;
+  }
+
+  let policy;
+  try {
+    policy = JSON.parse(content);
+  } catch (error) {
+    throw new AccessPolicyError(`Política de acesso inválida em ${file}: ${error.message}`, 'POLICY_INVALID', [error.message]);
+  }
+
+  return validateAccessPolicy(policy);
+}
+
+export class AccessPolicyEngine {
+  /**
+   * @param {Object} options - Opções
+   * @param {Object} options.policy - Política (ver loadAccessPolicy)
+   * @param {Function} options.query - async (table, filters) => registros que atendem aos filtros de igualdade
+   * @param {Function} options.now - Relógio em ms (padrão Date.now)
+   */
+  constructor({ policy, query, now = Date.now }) {
+    this.query = query;
+    this.now = now;
+    this.setPolicy(policy);
+  }
+
+  /**
+   * Troca a política em uso e limpa o cache de decisões
+   * @param {Object} policy - Política
+   * @throws {AccessPolicyError} POLICY_INVALID se a política for inválida (a atual é mantida)
+   */
+  setPolicy(policy) {
+    this.policy = validateAccessPolicy(policy);
+    this.cacheTtlMs = (policy.cache?.ttlSeconds ?? DEFAULT_CACHE_TTL_SECONDS) * 1000;
+    this.cacheMaxEntries = policy.cache?.maxEntries ?? DEFAULT_CACHE_MAX_ENTRIES;
+    this.cache = new Map();
+    this.cacheStats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * Decide se um usuário pode realizar uma ação em um recurso
+   * @param {Object} request - Pedido
+   * @param {string} request.userId - ID do usuário
+   * @param {string} request.resourceType - Tipo de recurso (chave de resources na política)
+   * @param {string} request.resourceId - ID do recurso (null para a coleção, ex.: criar ou listar)
+   * @param {string} request.action - Ação (read, create, write, update, delete, use...)
+   * @param {boolean} request.system - Pedido de um processo interno (concede system.role a system.userId)
+   * @returns {Promise<Object>} Decisão ({ allowed, effect, reason, rule, roles, projectId, cached, ... })
+   */
+  async decide({ userId, resourceType, resourceId = null, action, system = false }) {
+    const key = JSON.stringify([userId, resourceType, resourceId ?? null, action, system === true]);
+    const entry = this.cache.get(key);
+
+    if (entry && entry.expiresAt > this.now()) {
+      this.cacheStats.hits++;
+      return { ...entry.decision, cached: true };
+    }
+    this.cache.delete(key);
+    this.cacheStats.misses++;
+
+    const { decision, cacheable } = await this.evaluate({ userId, resourceType, resourceId: resourceId ?? null, action, system: system === true });
+
+    if (cacheable && this.cacheTtlMs > 0 && this.cacheMaxEntries > 0) {
+      if (this.cache.size >= this.cacheMaxEntries) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(key, { decision, expiresAt: this.now() + this.cacheTtlMs });
+    }
+
+    return { ...decision, cached: false };
+  }
+
+  /**
+   * Remove decisões do cache
+   * @param {Object} filter - Filtro (userId, resourceType, resourceId, projectId); vazio limpa tudo.
+   *   projectId alcança também os recursos que herdam o projeto (quadros, cartões...)
+   * @returns {number} Número de decisões removidas
+   */
+  invalidate({ userId, resourceType, resourceId, projectId } = {}) {
+    let removed = 0;
+
+    for (const [key, { decision }] of [...this.cache.entries()]) {
+      const [keyUser, keyType, keyId] = JSON.parse(key);
+      const matches = (userId === undefined || String(keyUser) === String(userId)) &&
+        (resourceType === undefined || keyType === resourceType) &&
+        (resourceId === undefined || String(keyId) === String(resourceId)) &&
+        (projectId === undefined || String(decision.projectId) === String(projectId));
+
+      if (matches) {
+        this.cache.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Resumo da política e do cache
+   * @returns {Object} { roles, resources, cache: { entries, hits, misses, ttlSeconds } }
+   */
+  describe() {
+    return {
+      roles: Object.keys(this.policy.roles),
+      resources: Object.keys(this.policy.resources),
+      cache: {
+        entries: this.cache.size,
+        ...this.cacheStats,
+        ttlSeconds: this.cacheTtlMs / 1000
+      }
+    };
+  }
+
+  /**
+   * Avalia um pedido sem consultar o cache
+   * @private
+   * @returns {Promise<Object>} { decision, cacheable }
+   */
+  async evaluate(request) {
+    const { userId, resourceType, resourceId, action, system } = request;
+    const roles = [];
+    let projectId = null;
+    let project = null;
+
+    const result = (allowed, reason, rule = null, cacheable = true) => ({
+      decision: {
+        allowed,
+        effect: allowed ? 'allow' : 'deny',
+        userId,
+        resourceType,
+        resourceId,
+        action,
+        reason,
+        rule,
+        roles: this.expandRoles(roles),
+        projectId
+      },
+      cacheable
+    });
+
+    if (!userId) {
+      return result(false, 'Usuário não informado', null, false);
+    }
+
+    const definition = this.policy.resources[resourceType];
+    if (!definition) {
+      return result(false, `Tipo de recurso desconhecido: ${resourceType}`);
+    }
+
+    const addRole = (role, source) => {
+      if (this.policy.roles[role] && !roles.some(item => item.role === role)) {
+        roles.push({ role, source });
+      }
+    };
+
+    // A identidade de sistema vale apenas nos processos internos; fora deles ninguém a assume
+    if (this.policy.system && String(userId) === this.policy.system.userId) {
+      if (!system) {
+        return result(false, `A identidade ${userId} é reservada aos processos internos`);
+      }
+      addRole(this.policy.system.role, 'processo interno');
+    }
+
+    if (this.policy.defaultRole) addRole(this.policy.defaultRole, 'papel padrão');
+    for (const role of this.policy.subjects?.[userId] || []) {
+      addRole(role, 'atribuído ao usuário');
+    }
+
+    let resource = null;
+    const grants = [];
+
+    if (resourceId !== null && definition.table) {
+      try {
+        const chain = await this.loadChain(resourceType, resourceId);
+        if (!chain) {
+          return result(false, `Recurso não encontrado: ${resourceType}:${resourceId}`, null, false);
+        }
+        resource = chain[0].record;
+
+        // Propriedade do recurso ou de um ancestral (ex.: o criador do quadro é dono dos cartões)
+        const owned = chain.find(link => link.definition.owner && String(link.record[link.definition.owner]) === String(userId));
+        if (owned) {
+          addRole('owner', owned === chain[0]
+            ? `proprietário de ${resourceType}:${resourceId}`
+            : `proprietário de ${owned.type}:${owned.record.id} (herdado)`);
+        }
+
+        const scoped = chain.find(link => link.definition.project && link.record[link.definition.project] != null);
+        if (scoped) {
+          projectId = scoped.record[scoped.definition.project];
+          project = await this.loadProject(projectId);
+          grants.push(...await this.addProjectRoles(projectId, project, userId, addRole));
+        }
+      } catch (error) {
+        return result(false, `Falha ao carregar ${resourceType}:${resourceId}: ${error.message}`, null, false);
+      }
+    }
+
+    const expanded = this.expandRoles(roles);
+    const names = new Set(expanded.map(item => item.role));
+    const context = { resourceType, resourceId, action, resource, project };
+
+    for (const { role } of expanded) {
+      const rule = (this.policy.roles[role].deny || []).find(item => this.matches(item, context));
+      if (rule) {
+        return result(false, `Negado pelo papel ${role}${rule.description ? `: ${rule.description}` : ''}`, { effect: 'deny', role, ...rule });
+      }
+    }
+
+    const denial = (this.policy.deny || []).find(rule => this.appliesTo(rule, names) && this.matches(rule, context));
+    if (denial) {
+      return result(false, `Negado pela política${denial.description ? `: ${denial.description}` : ''}`, { effect: 'deny', role: null, ...denial });
+    }
+
+    for (const { role, source } of expanded) {
+      const rule = (this.policy.roles[role].allow || []).find(item => this.matches(item, context));
+      if (rule) {
+        return result(true, `Permitido pelo papel ${role} (${source})`, { effect: 'allow', role, ...rule });
+      }
+    }
+
+    const grant = grants.find(item => this.actionMatches(item.actions, action));
+    if (grant) {
+      return result(true, `Permitido pela permissão ${grant.permission} do membro do projeto ${projectId}`, {
+        effect: 'allow', role: null, resource: resourceType, actions: grant.actions
+      });
+    }
+
+    const held = expanded.map(item => item.role).join(', ') || 'nenhum';
+    return result(false, `Nenhuma regra permite "${action}" em ${resourceType} aos papéis do usuário (${held})`);
+  }
+
+  /**
+   * Carrega o recurso e seus ancestrais até o que define o projeto
+   * @private
+   * @returns {Promise<Array<Object>|null>} [{ type, definition, record }] ou null se o recurso não existir
+   */
+  async loadChain(resourceType, resourceId) {
+    const chain = [];
+    let type = resourceType;
+    let id = resourceId;
+
+    while (type && id !== null && id !== undefined) {
+      const definition = this.policy.resources[type];
+      const [record] = await this.rows(definition.table, { id });
+
+      if (!record) {
+        return chain.length > 0 ? chain : null;
+      }
+      chain.push({ type, definition, record });
+
+      if (definition.project && record[definition.project] != null) break;
+      type = definition.parent?.type;
+      id = definition.parent ? record[definition.parent.field] : null;
+    }
+
+    return chain;
+  }
+
+  /**
+   * Registro do projeto (tipo de recurso project), se a política o define
+   * @private
+   * @returns {Promise<Object|null>}
+   */
+  async loadProject(projectId) {
+    const definition = this.policy.resources.project;
+    if (!definition?.table) return null;
+
+    const [record] = await this.rows(definition.table, { id: projectId });
+    return record || null;
+  }
+
+  /**
+   * Papéis do usuário no projeto (proprietário e membro) e permissões do membro
+   * @private
+   * @returns {Promise<Array<Object>>} Permissões concedidas ([{ permission, actions }])
+   */
+  async addProjectRoles(projectId, project, userId, addRole) {
+    const owner = this.policy.resources.project?.owner;
+    if (project && owner && String(project[owner]) === String(userId)) {
+      addRole('project:owner', `proprietário do projeto ${projectId}`);
+    }
+
+    const { membership } = this.policy;
+    if (!membership) return [];
+
+    const rows = await this.rows(membership.table, { project_id: projectId, user_id: userId });
+    const member = rows.find(row => !row.status || row.status === 'active');
+    if (!member) return [];
+
+    addRole(`project:${member.role || 'member'}`, `membro do projeto ${projectId} (${member.role || 'member'})`);
+
+    return Object.entries(membership.permissions || {})
+      .filter(([permission]) => member.permissions?.[permission])
+      .map(([permission, actions]) => ({ permission, actions }));
+  }
+
+  /**
+   * Registros de uma tabela (a consulta pode devolver um registro, uma lista ou null)
+   * @private
+   */
+  async rows(table, filters) {
+    const rows = await this.query(table, filters);
+    return Array.isArray(rows) ? rows : (rows ? [rows] : []);
+  }
+
+  /**
+   * Papéis com os herdados (inherits), na ordem de atribuição
+   * @private
+   */
+  expandRoles(roles) {
+    const expanded = [...roles];
+
+    for (let index = 0; index < expanded.length; index++) {
+      const { role } = expanded[index];
+
+      for (const parent of this.policy.roles[role].inherits || []) {
+        if (!expanded.some(item => item.role === parent)) {
+          expanded.push({ role: parent, source: `herdado de ${role}` });
+        }
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Verifica se uma negação global se aplica aos papéis do usuário
+   * @private
+   */
+  appliesTo(rule, names) {
+    if (rule.roles && !rule.roles.some(role => names.has(role))) return false;
+    return !(rule.unlessRoles || []).some(role => names.has(role));
+  }
+
+  /**
+   * Verifica se uma regra corresponde ao pedido
+   * @private
+   */
+  matches(rule, { resourceType, resourceId, action, resource, project }) {
+    const types = toList(rule.resource);
+    if (!types.includes('*') && !types.includes(resourceType)) return false;
+    if (rule.collection && resourceId !== null) return false;
+    if (rule.ids && !rule.ids.some(id => String(id) === String(resourceId))) return false;
+    if (!this.actionMatches(rule.actions, action)) return false;
+
+    if (rule.when && !this.fieldsMatch(rule.when, resource)) return false;
+    if (rule.whenProject && !this.fieldsMatch(rule.whenProject, project)) return false;
+
+    return true;
+  }
+
+  /**
+   * Verifica se os campos do registro têm os valores esperados (um valor ou uma lista)
+   * @private
+   */
+  fieldsMatch(expectedFields, record) {
+    if (!record) return false;
+
+    return Object.entries(expectedFields).every(([field, expected]) => (Array.isArray(expected)
+      ? expected.includes(record[field])
+      : record[field] === expected));
+  }
+
+  /**
+   * Verifica se uma lista de ações inclui (diretamente ou por implicação) a ação pedida
+   * @private
+   */
+  actionMatches(actions, action) {
+    const pending = [...actions];
+    const seen = new Set();
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+      if (current === '*' || current === action) return true;
+      if (seen.has(current)) continue;
+
+      seen.add(current);
+      pending.push(...(this.policy.actions?.[current] || []));
+    }
+
+    return false;
+  }
+}
+
+export default AccessPolicyEngine;
@@ -0,0 +1,20 @@
+// src/utils/ai_providers/ai_provider_error.js
+
+/**
+ * Erro dos provedores de IA
+ */
+export class AIProviderError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - AI_PROVIDER_INVALID, AI_PROVIDER_FAILED, AI_PROVIDER_INVALID_RESPONSE ou AI_FIXTURE_MISSING
+   * @param {Object} details - Dados adicionais (status HTTP, chave da fixture)
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+export default AIProviderError;
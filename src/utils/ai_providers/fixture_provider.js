@@ -0,0 +1,129 @@
+// src/utils/ai_providers/fixture_provider.js
+
+/**
+ * Provedor de IA por gravação e reprodução (fixtures)
+ *
+ * Cada requisição é identificada pelo hash SHA-256 de { task, system,
+ * messages, input } e respondida com a resposta gravada no arquivo de fixtures.
+ * Com um provedor de gravação (AI_FIXTURES_RECORD), requisições ainda não
+ * gravadas são repassadas a ele e a resposta é acrescentada ao arquivo;
+ * sem ele, uma requisição desconhecida é um erro (AI_FIXTURE_MISSING).
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { AIProviderError } from './ai_provider_error.js';
+
+// Gravações em série por arquivo, compartilhadas entre instâncias
+const writeQueues = new Map();
+
+/**
+ * Chave de uma requisição no arquivo de fixtures
+ * @param {Object} request - Requisição ({ task, system, messages, input })
+ * @returns {string} Hash SHA-256 em hexadecimal
+ */
+export function fixtureKey(request) {
+  const canonical = JSON.stringify({
+    task: request.task || null,
+    system: request.system || '',
+    messages: (request.messages || []).map(({ role, content }) => ({ role, content })),
+    input: request.input ?? null
+  });
+
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Provedor que reproduz respostas gravadas
+ */
+export class FixtureProvider {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.file - Arquivo de fixtures (JSON)
+   * @param {Object} options.recorder - Provedor usado para gravar requisições ausentes (opcional)
+   */
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.file = path.resolve(options.file);
+    this.recorder = options.recorder || null;
+    this.model = this.recorder ? this.recorder.model : 'replay';
+    this.fixtures = null;
+  }
+
+  /**
+   * Lê o arquivo de fixtures
+   * @private
+   * @returns {Promise<Object>} Fixtures por chave
+   */
+  async read() {
+    try {
+      const content = JSON.parse(await fs.readFile(this.file, 'utf-8'));
+      return content.fixtures || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') return {};
+      throw new AIProviderError(`Arquivo de fixtures inválido (${this.file}): ${error.message}`, 'AI_PROVIDER_INVALID');
+    }
+  }
+
+  /**
+   * Acrescenta uma fixture ao arquivo (arquivo temporário + rename)
+   * @private
+   */
+  async record(key, fixture) {
+    const previous = writeQueues.get(this.file) || Promise.resolve();
+    const operation = previous.then(async () => {
+      // Relê o arquivo para não descartar gravações de outras instâncias
+      const fixtures = { ...(await this.read()), [key]: fixture };
+
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, `${JSON.stringify({ version: 1, fixtures }, null, 2)}\n`, 'utf-8');
+      await fs.rename(temporary, this.file);
+
+      this.fixtures = fixtures;
+    });
+
+    writeQueues.set(this.file, operation.catch(() => {}));
+    return operation;
+  }
+
+  /**
+   * Responde com a resposta gravada (ou grava uma nova)
+   * @param {Object} request - Requisição ({ task, system, messages, ... })
+   * @returns {Promise<Object>} { text, provider, model, usage, fixture }
+   * @throws {AIProviderError} AI_FIXTURE_MISSING se não houver gravação nem provedor de gravação
+   */
+  async complete(request) {
+    if (!this.fixtures) {
+      this.fixtures = await this.read();
+    }
+
+    const key = fixtureKey(request);
+    const stored = this.fixtures[key];
+
+    if (stored) {
+      return { ...stored.response, provider: this.name, fixture: key };
+    }
+
+    if (!this.recorder) {
+      throw new AIProviderError(
+        `Resposta não gravada para a requisição ${key.slice(0, 12)} (${request.task || 'sem tarefa'}) em ${this.file}. Grave-a com AI_FIXTURES_RECORD=<provedor>`,
+        'AI_FIXTURE_MISSING',
+        { key }
+      );
+    }
+
+    const response = await this.recorder.complete(request);
+    await this.record(key, {
+      task: request.task || null,
+      request: { system: request.system || '', messages: request.messages || [], input: request.input ?? null },
+      response: { text: response.text, model: response.model, recordedWith: response.provider, usage: response.usage },
+      recordedAt: new Date().toISOString()
+    });
+
+    return { ...response, fixture: key };
+  }
+}
+
+export default FixtureProvider;
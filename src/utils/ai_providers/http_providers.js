@@ -0,0 +1,170 @@
+// src/utils/ai_providers/http_providers.js
+
+/**
+ * Provedores de IA via HTTP
+ *
+ *   - anthropic: API de mensagens da Anthropic (ANTHROPIC_API_KEY, ANTHROPIC_BASE_URL)
+ *   - openai: qualquer servidor compatível com /chat/completions da OpenAI
+ *     (OPENAI_API_KEY, OPENAI_BASE_URL), inclusive servidores locais sem chave
+ */
+
+import axios from 'axios';
+import { AIProviderError } from './ai_provider_error.js';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+export const DEFAULT_MODELS = {
+  anthropic: 'claude-3-5-sonnet-latest',
+  openai: 'gpt-4o-mini'
+};
+
+/**
+ * Base dos provedores HTTP: requisição, timeout e tradução de erros
+ * @private
+ */
+class HttpProvider {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.model - Modelo
+   * @param {string} options.apiKey - Chave da API
+   * @param {string} options.baseUrl - URL base da API
+   * @param {number} options.temperature - Temperatura padrão
+   * @param {number} options.maxTokens - Máximo de tokens padrão
+   * @param {number} options.timeout - Timeout das requisições em ms
+   * @param {Function} options.http - Cliente HTTP compatível com axios (padrão: axios)
+   */
+  constructor(name, options) {
+    this.name = name;
+    this.model = options.model || DEFAULT_MODELS[name];
+    this.apiKey = options.apiKey;
+    this.baseUrl = options.baseUrl.replace(/\/+$/, '');
+    this.temperature = options.temperature ?? 0.7;
+    this.maxTokens = options.maxTokens || 2000;
+    this.timeout = options.timeout || 30000;
+    this.http = options.http || axios;
+  }
+
+  /**
+   * Envia a requisição e devolve o corpo da resposta
+   * @private
+   */
+  async post(path, headers, body) {
+    try {
+      const response = await this.http({
+        method: 'post',
+        url: `${this.baseUrl}${path}`,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        data: body,
+        timeout: this.timeout
+      });
+
+      return response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      const detail = error.response?.data?.error?.message || error.message;
+
+      throw new AIProviderError(
+        `Falha no provedor ${this.name}${status ? ` (HTTP ${status})` : ''}: ${detail}`,
+        'AI_PROVIDER_FAILED',
+        { status }
+      );
+    }
+  }
+}
+
+/**
+ * Provedor da API de mensagens da Anthropic
+ */
+export class AnthropicProvider extends HttpProvider {
+  constructor(options = {}) {
+    super('anthropic', {
+      ...options,
+      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY,
+      baseUrl: options.baseUrl || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+    });
+
+    if (!this.apiKey) {
+      throw new AIProviderError('ANTHROPIC_API_KEY é obrigatória para o provedor anthropic', 'AI_PROVIDER_INVALID');
+    }
+  }
+
+  /**
+   * Gera uma resposta
+   * @param {Object} request - Requisição ({ system, messages, temperature, maxTokens })
+   * @returns {Promise<Object>} { text, provider, model, usage }
+   */
+  async complete(request) {
+    const data = await this.post('/v1/messages', {
+      'x-api-key': this.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    }, {
+      model: this.model,
+      ...(request.system ? { system: request.system } : {}),
+      messages: request.messages,
+      temperature: request.temperature ?? this.temperature,
+      max_tokens: request.maxTokens || this.maxTokens
+    });
+
+    const text = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      text,
+      provider: this.name,
+      model: data.model || this.model,
+      usage: {
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+/**
+ * Provedor compatível com a API /chat/completions da OpenAI
+ */
+export class OpenAICompatibleProvider extends HttpProvider {
+  constructor(options = {}) {
+    super('openai', {
+      ...options,
+      apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+      baseUrl: options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+    });
+
+    // Servidores compatíveis locais (Ollama, vLLM, LM Studio) dispensam chave
+    if (!this.apiKey && this.baseUrl.startsWith('https://api.openai.com')) {
+      throw new AIProviderError('OPENAI_API_KEY é obrigatória para a API da OpenAI', 'AI_PROVIDER_INVALID');
+    }
+  }
+
+  /**
+   * Gera uma resposta
+   * @param {Object} request - Requisição ({ system, messages, temperature, maxTokens })
+   * @returns {Promise<Object>} { text, provider, model, usage }
+   */
+  async complete(request) {
+    const data = await this.post('/chat/completions', this.apiKey ? {
+      Authorization: `Bearer ${this.apiKey}`
+    } : {}, {
+      model: this.model,
+      messages: [
+        ...(request.system ? [{ role: 'system', content: request.system }] : []),
+        ...request.messages
+      ],
+      temperature: request.temperature ?? this.temperature,
+      max_tokens: request.maxTokens || this.maxTokens
+    });
+
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      provider: this.name,
+      model: data.model || this.model,
+      usage: {
+        inputTokens: data.usage?.prompt_tokens || 0,
+        outputTokens: data.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
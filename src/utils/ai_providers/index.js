@@ -0,0 +1,152 @@
+// src/utils/ai_providers/index.js
+
+/**
+ * Seleção do provedor de IA
+ *
+ * Cria o provedor conforme `agents.AIAssistantAgent.options.model`
+ * (AI_ASSISTANT_MODEL), no formato `<provedor>[:<modelo ou arquivo>]`:
+ *   - local: regras determinísticas, sem rede (padrão; `auto` e o antigo
+ *     `claude-task-master` equivalem a local)
+ *   - anthropic[:modelo]: API de mensagens da Anthropic
+ *   - openai[:modelo]: servidor compatível com a API da OpenAI
+ *   - fixture[:arquivo]: respostas gravadas; com AI_FIXTURES_RECORD=<provedor>
+ *     as requisições ausentes são repassadas a ele e gravadas
+ * Um nome de modelo sem provedor (`claude-3-5-haiku-latest`, `gpt-4o`) é
+ * atribuído ao provedor correspondente. Uma API externa só é chamada quando
+ * configurada explicitamente: ter ANTHROPIC_API_KEY ou OPENAI_API_KEY no
+ * ambiente não muda o provedor.
+ *
+ * Todos os provedores expõem `complete(request)`, onde request tem
+ * { task, system, messages, input, temperature, maxTokens }: `task` e
+ * `input` (dados estruturados) orientam o provedor local; os provedores
+ * HTTP usam `system` e `messages`. A resposta é { text, provider, model, usage }.
+ */
+
+import { AIProviderError } from './ai_provider_error.js';
+import { AnthropicProvider, OpenAICompatibleProvider } from './http_providers.js';
+import { LocalRuleProvider } from './local_provider.js';
+import { FixtureProvider } from './fixture_provider.js';
+
+export { AIProviderError } from './ai_provider_error.js';
+export { fixtureKey } from './fixture_provider.js';
+
+export const AI_PROVIDERS = ['auto', 'anthropic', 'openai', 'local', 'fixture'];
+
+const LEGACY_MODELS = ['', 'auto', 'claude-task-master'];
+
+/**
+ * Interpreta a especificação do provedor
+ * @param {string} spec - Especificação (`anthropic:claude-3-5-sonnet-latest`, `local`, `fixture:arquivo.json`)
+ * @returns {Object} { provider, target } — target é o modelo ou o arquivo de fixtures
+ * @throws {AIProviderError} Se o provedor for desconhecido
+ */
+export function parseProviderSpec(spec) {
+  const value = String(spec || '').trim();
+
+  if (LEGACY_MODELS.includes(value)) {
+    return { provider: 'local', target: null };
+  }
+
+  const separator = value.indexOf(':');
+  const provider = separator === -1 ? value : value.slice(0, separator);
+  const target = separator === -1 ? null : value.slice(separator + 1) || null;
+
+  if (AI_PROVIDERS.includes(provider) && provider !== 'auto') {
+    return { provider, target };
+  }
+
+  if (separator === -1 && /^claude-/.test(value)) return { provider: 'anthropic', target: value };
+  if (separator === -1 && /^(gpt-|o\d)/.test(value)) return { provider: 'openai', target: value };
+
+  throw new AIProviderError(
+    `Provedor de IA desconhecido: "${value}". Use ${AI_PROVIDERS.join(', ')} (ex.: anthropic:claude-3-5-sonnet-latest)`,
+    'AI_PROVIDER_INVALID'
+  );
+}
+
+/**
+ * Cria o provedor de IA
+ * @param {string} spec - Especificação do provedor (ver parseProviderSpec)
+ * @param {Object} options - Opções (agents.AIAssistantAgent.options)
+ * @param {number} options.temperature - Temperatura padrão
+ * @param {number} options.maxTokens - Máximo de tokens padrão
+ * @param {number} options.timeout - Timeout das requisições HTTP em ms
+ * @param {Object} options.fixtures - { file, record } do provedor fixture
+ * @param {Function} options.http - Cliente HTTP compatível com axios (testes)
+ * @returns {Object} Provedor com complete(request)
+ */
+export function createAIProvider(spec, options = {}) {
+  const { provider, target } = parseProviderSpec(spec);
+  const httpOptions = {
+    model: target,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens,
+    timeout: options.timeout,
+    http: options.http
+  };
+
+  switch (provider) {
+    case 'anthropic':
+      return new AnthropicProvider(httpOptions);
+    case 'openai':
+      return new OpenAICompatibleProvider(httpOptions);
+    case 'fixture': {
+      const fixtures = options.fixtures || {};
+      const record = fixtures.record ?? process.env.AI_FIXTURES_RECORD;
+
+      if (record && parseProviderSpec(record).provider === 'fixture') {
+        throw new AIProviderError('AI_FIXTURES_RECORD não pode ser o próprio provedor fixture', 'AI_PROVIDER_INVALID');
+      }
+
+      return new FixtureProvider({
+        file: target || fixtures.file || process.env.AI_FIXTURES_FILE || 'data/ai-fixtures.json',
+        recorder: record ? createAIProvider(record, options) : null
+      });
+    }
+    default:
+      return new LocalRuleProvider();
+  }
+}
+
+/**
+ * Extrai o JSON de uma resposta (aceita blocos ```json e texto ao redor)
+ * @param {string} text - Texto da resposta
+ * @returns {*} Valor interpretado
+ * @throws {AIProviderError} AI_PROVIDER_INVALID_RESPONSE se não houver JSON válido
+ */
+export function parseJSONResponse(text) {
+  const content = String(text || '').trim();
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const candidates = [fenced ? fenced[1] : content];
+
+  const start = content.search(/[[{]/);
+  const end = Math.max(content.lastIndexOf('}'), content.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    candidates.push(content.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch (error) {
+      // Tentar o próximo candidato
+    }
+  }
+
+  throw new AIProviderError('Resposta do provedor de IA não contém JSON válido', 'AI_PROVIDER_INVALID_RESPONSE', {
+    text: content.slice(0, 500)
+  });
+}
+
+/**
+ * Gera uma resposta e interpreta seu JSON
+ * @param {Object} provider - Provedor de IA
+ * @param {Object} request - Requisição (ver complete)
+ * @returns {Promise<Object>} { data, response }
+ */
+export async function completeJSON(provider, request) {
+  const response = await provider.complete(request);
+  return { data: parseJSONResponse(response.text), response };
+}
+
+export default createAIProvider;
@@ -0,0 +1,432 @@
+// src/utils/ai_providers/local_provider.js
+
+/**
+ * Provedor de IA local baseado em regras
+ *
+ * Não usa rede nem modelo de linguagem: cada tarefa (`request.task`) tem
+ * regras que montam a resposta a partir dos dados estruturados da
+ * requisição (`request.input`). A mesma requisição produz sempre a mesma
+ * resposta, o que serve a testes e a ambientes sem acesso externo. Tarefas
+ * estruturadas (suggest, analyze, explain, help, learn, sequential-analysis,
+ * prd-plan, task-expansion) respondem com JSON no texto, como um modelo
+ * real instruído a fazê-lo.
+ */
+
+import { buildPlanFromPrd } from '../prd_plan.js';
+import { suggestSubtasks } from '../task_expansion.js';
+
+const STOPWORDS = new Set([
+  'a', 'o', 'as', 'os', 'um', 'uma', 'de', 'do', 'da', 'dos', 'das', 'em', 'no', 'na', 'nos', 'nas',
+  'para', 'por', 'com', 'sem', 'que', 'e', 'ou', 'se', 'como', 'qual', 'quais', 'ao', 'aos', 'mais',
+  'menos', 'meu', 'minha', 'seu', 'sua', 'eu', 'voce', 'isso', 'este', 'esta', 'esse', 'essa', 'ja',
+  'nao', 'sim', 'ser', 'ter', 'foi', 'sao', 'sobre', 'entre', 'the', 'and', 'of', 'to', 'in',
+  'is', 'for', 'on', 'it', 'with'
+]);
+
+// Regras de resposta às perguntas (a primeira cujo termo aparece na pergunta vence)
+const QUESTION_RULES = [
+  {
+    terms: ['tarefa', 'tarefas', 'task', 'tasks'],
+    answer: 'As tarefas ficam no TaskMaster. No terminal (npm run terminal) use `tm-list` para listá-las, `tm-next` para ver a próxima pronta, `tm-create --title="..."` para criar e `tm-status <id> <status>` para atualizar.'
+  },
+  {
+    terms: ['kanban', 'quadro', 'board', 'cartao', 'card', 'coluna'],
+    answer: 'O quadro Kanban está em /kanban no servidor. No terminal, `board list` mostra os quadros, `card create` cria cartões e `card move` os move entre colunas respeitando os limites de WIP.'
+  },
+  {
+    terms: ['projeto', 'projetos', 'project'],
+    answer: 'Os projetos são gerenciados pelo ProjectManagerAgent. Use `project list` para listar, `project progress <id>` para acompanhar o andamento e `/projeto <id>` no chat para definir o projeto da conversa.'
+  },
+  {
+    terms: ['relatorio', 'report', 'metrica', 'metricas'],
+    answer: 'Relatórios são gerados com `report generate <projeto>` e exportados com `report export`; as métricas de um quadro saem de `board metrics <id>`.'
+  },
+  {
+    terms: ['documento', 'documentacao', 'docs', 'document'],
+    answer: 'A documentação é mantida pelo DocumentAgent e fica em docs/. Peça ao agente de documentos para gerar ou revisar um documento do projeto.'
+  },
+  {
+    terms: ['agente', 'agentes', 'agent'],
+    answer: 'Use `/agentes` no chat para ver os agentes disponíveis e `/usar <agente>` para conversar com um deles.'
+  },
+  {
+    terms: ['sessao', 'historico', 'conversa'],
+    answer: 'As conversas ficam em sessões nomeadas: `/sessoes` lista, `/sessao <nome>` troca, `/historico <texto>` busca e `/exportar` gera a transcrição.'
+  },
+  {
+    terms: ['ajuda', 'help', 'comando', 'comandos'],
+    answer: 'Digite `/ajuda` no chat para ver os comandos disponíveis ou `help` no terminal do Nexus.'
+  }
+];
+
+const DOMAIN_THOUGHTS = {
+  'geral': [
+    'Identificando os principais componentes do problema.',
+    'Analisando as relações entre os componentes identificados.',
+    'Considerando possíveis soluções baseadas na análise anterior.',
+    'Avaliando prós e contras de cada solução proposta.',
+    'Selecionando a abordagem mais adequada com base nas avaliações.'
+  ],
+  'técnico': [
+    'Examinando os requisitos técnicos e dependências do sistema.',
+    'Identificando potenciais gargalos e limitações técnicas.',
+    'Avaliando opções de arquitetura e padrões de design aplicáveis.',
+    'Considerando aspectos de escalabilidade e manutenção.',
+    'Definindo a abordagem técnica e divisão de componentes.'
+  ],
+  'negócios': [
+    'Analisando o valor de negócio e impacto no mercado.',
+    'Avaliando recursos necessários e retorno do investimento.',
+    'Considerando riscos de negócio e estratégias de mitigação.',
+    'Alinhando com objetivos estratégicos da organização.',
+    'Definindo métricas de sucesso e critérios de avaliação.'
+  ],
+  'design': [
+    'Analisando necessidades e comportamentos dos usuários.',
+    'Identificando princípios de design aplicáveis ao contexto.',
+    'Explorando diferentes abordagens visuais e de interação.',
+    'Avaliando acessibilidade e usabilidade das alternativas.',
+    'Definindo diretrizes de design e protótipos iniciais.'
+  ]
+};
+
+const DOMAIN_RECOMMENDATIONS = {
+  'geral': [
+    'Implementar uma abordagem iterativa para resolver o problema.',
+    'Envolver as partes interessadas na validação da solução.',
+    'Documentar o processo de tomada de decisão para referência futura.'
+  ],
+  'técnico': [
+    'Utilizar uma arquitetura modular para facilitar manutenção futura.',
+    'Implementar testes automatizados desde o início do desenvolvimento.',
+    'Considerar aspectos de segurança em todas as etapas da implementação.'
+  ],
+  'negócios': [
+    'Realizar um piloto com um grupo restrito de usuários.',
+    'Definir métricas claras para medir o sucesso da iniciativa.',
+    'Preparar um plano de contingência para riscos identificados.'
+  ],
+  'design': [
+    'Conduzir testes de usabilidade com usuários reais.',
+    'Criar um sistema de design consistente para toda a aplicação.',
+    'Documentar princípios e decisões de design para manter consistência.'
+  ]
+};
+
+const DOMAIN_ACTION_ITEMS = {
+  'geral': [
+    { description: 'Criar documento detalhado do problema', priority: 'alta' },
+    { description: 'Agendar reunião com stakeholders', priority: 'média' },
+    { description: 'Definir cronograma de implementação', priority: 'média' }
+  ],
+  'técnico': [
+    { description: 'Configurar ambiente de desenvolvimento', priority: 'alta' },
+    { description: 'Definir arquitetura e componentes', priority: 'alta' },
+    { description: 'Criar pipeline de CI/CD', priority: 'média' }
+  ],
+  'negócios': [
+    { description: 'Realizar análise de mercado', priority: 'alta' },
+    { description: 'Definir modelo de negócio', priority: 'alta' },
+    { description: 'Elaborar plano de marketing', priority: 'média' }
+  ],
+  'design': [
+    { description: 'Criar wireframes iniciais', priority: 'alta' },
+    { description: 'Definir paleta de cores e tipografia', priority: 'média' },
+    { description: 'Desenvolver protótipos interativos', priority: 'média' }
+  ]
+};
+
+const SUGGESTIONS = {
+  workflow_optimization: [
+    { title: 'Limitar o trabalho em andamento', description: 'Defina limites de WIP nas colunas "em andamento" para reduzir trocas de contexto.', confidence: 0.85 },
+    { title: 'Automatizar transições de status', description: 'Crie regras de automação para mover cartões quando tarefas forem concluídas.', confidence: 0.8 }
+  ],
+  task_management: [
+    { title: 'Quebrar tarefas grandes', description: 'Expanda tarefas complexas em subtarefas com `tm-expand` antes de iniciá-las.', confidence: 0.85 },
+    { title: 'Revisar dependências bloqueadas', description: 'Verifique com `tm-graph` quais tarefas estão bloqueadas por dependências pendentes.', confidence: 0.8 }
+  ],
+  documentation: [
+    { title: 'Documentar decisões', description: 'Registre decisões de arquitetura junto ao código para consulta futura.', confidence: 0.8 },
+    { title: 'Atualizar o guia de integração', description: 'Revise a documentação após mudanças nos comandos ou nas APIs.', confidence: 0.75 }
+  ],
+  general: [
+    { title: 'Revisar as próximas tarefas', description: 'Use `tm-next` para ver a próxima tarefa pronta para execução.', confidence: 0.8 },
+    { title: 'Acompanhar o progresso do projeto', description: 'Consulte `project progress` para identificar atrasos cedo.', confidence: 0.75 }
+  ]
+};
+
+/**
+ * Remove acentos e normaliza para minúsculas
+ * @private
+ */
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Palavras relevantes de um texto, das mais frequentes às menos (empate em ordem alfabética)
+ * @private
+ */
+function keywords(text, limit = 5) {
+  const counts = new Map();
+  for (const word of fold(text).match(/[a-z0-9][a-z0-9-]+/g) || []) {
+    if (STOPWORDS.has(word) || word.length < 3) continue;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word);
+}
+
+/**
+ * Estimativa de tokens (aproximadamente 4 caracteres por token)
+ * @private
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Último texto enviado pelo usuário na requisição
+ * @private
+ */
+function lastUserMessage(request) {
+  const messages = (request.messages || []).filter(message => message.role === 'user');
+  return messages.length > 0 ? messages[messages.length - 1].content : '';
+}
+
+/**
+ * Provedor local baseado em regras
+ */
+export class LocalRuleProvider {
+  constructor() {
+    this.name = 'local';
+    this.model = 'rules-v1';
+
+    this.handlers = {
+      'ask': this.answerQuestion,
+      'help': this.contextualHelp,
+      'generate': this.generateContent,
+      'suggest': this.suggest,
+      'analyze': this.analyzeContent,
+      'explain': this.explainFeature,
+      'learn': this.learn,
+      'sequential-analysis': this.sequentialAnalysis,
+      'prd-plan': this.prdPlan,
+      'task-expansion': this.taskExpansion
+    };
+  }
+
+  /**
+   * Gera uma resposta determinística
+   * @param {Object} request - Requisição ({ task, input, system, messages })
+   * @returns {Promise<Object>} { text, provider, model, usage }
+   */
+  async complete(request) {
+    const handler = this.handlers[request.task];
+    const input = request.input || {};
+    const result = handler ? handler.call(this, input, request) : this.echo(request);
+    const text = typeof result === 'string' ? result : JSON.stringify(result);
+
+    return {
+      text,
+      provider: this.name,
+      model: this.model,
+      usage: {
+        inputTokens: estimateTokens((request.system || '') + (request.messages || []).map(message => message.content).join('')),
+        outputTokens: estimateTokens(text)
+      }
+    };
+  }
+
+  /**
+   * Resposta para tarefas sem regra: repete o pedido e orienta o usuário
+   * @private
+   */
+  echo(request) {
+    const terms = keywords(lastUserMessage(request));
+    return `Sem um modelo de linguagem configurado, não posso elaborar uma resposta livre${terms.length > 0 ? ` sobre ${terms.join(', ')}` : ''}. Configure AI_ASSISTANT_MODEL com um provedor remoto (anthropic ou openai) para respostas completas.`;
+  }
+
+  /**
+   * Resposta a perguntas ({ question, context }, com os turnos anteriores em messages)
+   * @private
+   */
+  answerQuestion(input, request) {
+    const question = input.question || lastUserMessage(request);
+    const words = new Set(fold(question).match(/[a-z0-9-]+/g) || []);
+    const rule = QUESTION_RULES.find(candidate => candidate.terms.some(term => words.has(term)));
+    const parts = [];
+
+    // Turnos anteriores da conversa (a última mensagem é a própria pergunta)
+    const previous = (request.messages || []).slice(0, -1).filter(turn => turn.role === 'user');
+    if (previous.length > 0) {
+      parts.push(`Continuando a conversa sobre "${previous[previous.length - 1].content}".`);
+    }
+
+    const context = input.context || {};
+    if (context.projectId) {
+      parts.push(`No contexto do projeto ${context.projectId}${context.agent ? `, com o ${context.agent}` : ''}:`);
+    } else if (context.agent) {
+      parts.push(`Com o ${context.agent}:`);
+    }
+
+    if (rule) {
+      parts.push(rule.answer);
+    } else {
+      const terms = keywords(question);
+      parts.push(`Não encontrei uma orientação específica${terms.length > 0 ? ` sobre ${terms.join(', ')}` : ''}. Digite \`/ajuda\` para ver o que posso fazer ou configure um provedor remoto (AI_ASSISTANT_MODEL) para respostas livres.`);
+    }
+
+    return parts.join(' ');
+  }
+
+  /**
+   * Ajuda contextual ({ view, action })
+   * @private
+   */
+  contextualHelp(input) {
+    const view = input.view?.title || input.view?.id || input.viewId || 'atual';
+    const action = input.action?.title || input.action?.id || input.actionId || 'selecionada';
+
+    return {
+      content: `Na tela ${view}, a ação ${action} pode ser feita pelos controles da própria tela ou pelos comandos equivalentes do terminal do Nexus.`,
+      relatedActions: input.view?.actions || [],
+      shortcuts: input.action?.shortcuts || [],
+      tips: ['Digite `/ajuda` no chat para ver os comandos disponíveis.']
+    };
+  }
+
+  /**
+   * Geração de conteúdo ({ prompt, options })
+   * @private
+   */
+  generateContent(input) {
+    const options = input.options || {};
+    const prompt = input.prompt || '';
+    const title = prompt.length > 80 ? `${prompt.slice(0, 77)}...` : prompt;
+    const sections = { short: ['Resumo'], medium: ['Resumo', 'Detalhes'], long: ['Resumo', 'Contexto', 'Detalhes', 'Próximos passos'] };
+    const terms = keywords(prompt);
+
+    const body = (sections[options.length] || sections.medium).map(section => {
+      const text = section === 'Resumo'
+        ? `Conteúdo gerado localmente a partir do pedido "${prompt}".`
+        : `Seção a completar${terms.length > 0 ? ` (tópicos: ${terms.join(', ')})` : ''}.`;
+      return options.format === 'text' ? `${section}\n${text}` : `## ${section}\n\n${text}`;
+    });
+
+    return options.format === 'text'
+      ? [title, ...body].join('\n\n')
+      : [`# ${title}`, ...body].join('\n\n');
+  }
+
+  /**
+   * Sugestões por tipo ({ type, context })
+   * @private
+   */
+  suggest(input) {
+    const list = SUGGESTIONS[input.type] || SUGGESTIONS.general;
+    const projectId = input.context?.projectId;
+
+    return list.map((suggestion, index) => ({
+      id: `${input.type || 'general'}_${index + 1}`,
+      ...suggestion,
+      ...(projectId ? { projectId } : {})
+    }));
+  }
+
+  /**
+   * Análise de texto ({ content, options })
+   * @private
+   */
+  analyzeContent(input) {
+    const content = String(input.content || '');
+    const sentences = content.split(/[.!?]+/).map(item => item.trim()).filter(Boolean);
+    const words = content.match(/\S+/g) || [];
+    const topics = keywords(content);
+
+    return {
+      summary: sentences.length > 0 ? `${sentences[0]}.` : '',
+      topics,
+      statistics: {
+        characters: content.length,
+        words: words.length,
+        sentences: sentences.length,
+        averageSentenceLength: sentences.length > 0 ? Math.round(words.length / sentences.length) : 0
+      },
+      insights: topics.length > 0
+        ? [`Tópicos mais frequentes: ${topics.join(', ')}.`]
+        : ['Conteúdo sem tópicos recorrentes.']
+    };
+  }
+
+  /**
+   * Explicação de funcionalidade ({ featureInfo, detailLevel })
+   * @private
+   */
+  explainFeature(input) {
+    const feature = input.featureInfo || {};
+    const steps = Array.isArray(feature.steps) ? feature.steps : [];
+
+    return {
+      description: feature.description || `${feature.title || 'Funcionalidade'} do sistema Nexus.`,
+      steps: input.detailLevel === 'basic' ? steps.slice(0, 3) : steps,
+      examples: Array.isArray(feature.examples) ? feature.examples : [],
+      tips: Array.isArray(feature.tips) ? feature.tips : [],
+      relatedFeatures: Array.isArray(feature.relatedFeatures) ? feature.relatedFeatures : []
+    };
+  }
+
+  /**
+   * Aprendizado com interações ({ type, data })
+   * @private
+   */
+  learn(input) {
+    const terms = keywords(JSON.stringify(input.data || {}), 3);
+    return {
+      insights: terms.length > 0 ? [{ type: input.type, topics: terms }] : []
+    };
+  }
+
+  /**
+   * Análise sequencial ({ problem, domain, maxThoughts, includeRecommendations, includeActionItems })
+   * @private
+   */
+  sequentialAnalysis(input) {
+    const domain = DOMAIN_THOUGHTS[input.domain] ? input.domain : 'geral';
+    const steps = Math.min(input.maxThoughts || 5, 10);
+    const templates = DOMAIN_THOUGHTS[domain];
+    const thoughts = [];
+
+    for (let i = 0; i < steps; i++) {
+      thoughts.push(templates[i % templates.length]);
+    }
+
+    return {
+      thoughts,
+      summary: `Análise do problema "${input.problem}" concluída com ${thoughts.length} etapas de pensamento sequencial. A análise identificou os principais componentes do problema, explorou suas relações e propôs abordagens estruturadas para resolução.`,
+      recommendations: input.includeRecommendations === false ? [] : DOMAIN_RECOMMENDATIONS[domain],
+      actionItems: input.includeActionItems === false ? [] : DOMAIN_ACTION_ITEMS[domain]
+    };
+  }
+
+  /**
+   * Plano de tarefas de um PRD ({ prd, name }), pelas regras de prd_plan
+   * @private
+   */
+  prdPlan(input) {
+    return buildPlanFromPrd(input.prd, { name: input.name });
+  }
+
+  /**
+   * Subtarefas que faltam a uma tarefa ({ task, expansionPrompt, count }), pelas regras de task_expansion
+   * @private
+   */
+  taskExpansion(input) {
+    return { subtasks: suggestSubtasks(input.task, input) };
+  }
+}
+
+export default LocalRuleProvider;
@@ -0,0 +1,232 @@
+// src/utils/builtin_tools.js
+
+/**
+ * Ferramentas nativas do ToolManager
+ *
+ * Definições tipadas (handler, schemas de entrada/saída, timeout e
+ * descrição) das ferramentas usadas pelos agentes que têm implementação
+ * local: logging, métricas, validação de schemas e acesso ao Supabase.
+ * São registradas em todas as instâncias do ToolManager; um registro
+ * apenas por nome (ex.: registerTool('supabase:query')) não substitui
+ * o handler nativo.
+ */
+
+import { createLogger } from './logger.js';
+import { createMetrics } from './metrics.js';
+import { validateSchema } from './json_schema.js';
+
+const toolLoggers = new Map();
+const toolMetrics = createMetrics('Tools');
+
+/**
+ * Logger por contexto, reutilizado entre execuções
+ * @private
+ */
+function getToolLogger(context) {
+  if (!toolLoggers.has(context)) {
+    toolLoggers.set(context, createLogger(context));
+  }
+
+  return toolLoggers.get(context);
+}
+
+/**
+ * Carrega o adaptador Supabase sob demanda
+ * @private
+ */
+async function getSupabaseAdapter() {
+  const { default: supabaseAdapter } = await import('../mcps/supabase_adapter.js');
+  return supabaseAdapter;
+}
+
+/**
+ * Filtros de igualdade a partir do ID ou do objeto de filtros
+ * @private
+ */
+function resolveFilters(id, filters = {}) {
+  return id !== undefined ? { id } : filters;
+}
+
+const tableParam = { type: 'string', minLength: 1, description: 'Nome da tabela' };
+const idParam = { type: ['string', 'integer'], description: 'ID do registro' };
+const filtersParam = { type: 'object', description: 'Filtros de igualdade (coluna -> valor)' };
+
+export const builtinTools = {
+  'logger:log': {
+    description: 'Registra uma mensagem no logger estruturado',
+    priority: 'high',
+    timeoutMs: 1000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        level: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+        message: { type: 'string' },
+        context: { type: 'string', description: 'Componente de origem (padrão ToolManager)' }
+      },
+      required: ['message']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { logged: { type: 'boolean' } },
+      required: ['logged']
+    },
+    handler: async ({ level = 'info', message, context = 'ToolManager', ...meta }) => {
+      getToolLogger(context)[level](message, meta);
+      return { logged: true };
+    }
+  },
+
+  'monitor:metric': {
+    description: 'Registra uma métrica (contador, gauge ou tempo) no registro de métricas',
+    priority: 'high',
+    timeoutMs: 1000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        value: { type: 'number' },
+        type: { type: 'string', enum: ['counter', 'gauge', 'timing'] },
+        tags: {
+          type: 'object',
+          additionalProperties: { type: ['string', 'number', 'boolean'] }
+        }
+      },
+      required: ['name', 'value']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: { recorded: { type: 'boolean' } },
+      required: ['recorded']
+    },
+    handler: async ({ name, value, type = 'gauge', tags = {} }) => {
+      const labels = Object.fromEntries(Object.entries(tags).map(([key, tag]) => [key, String(tag)]));
+
+      if (type === 'counter') {
+        toolMetrics.increment(name, value, labels);
+      } else if (type === 'timing') {
+        toolMetrics.timing(name, value, labels);
+      } else {
+        toolMetrics.record(name, value, labels);
+      }
+
+      return { recorded: true };
+    }
+  },
+
+  'validation:validateSchema': {
+    description: 'Valida um valor contra um JSON Schema',
+    priority: 'high',
+    timeoutMs: 1000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        data: {},
+        schema: { type: ['object', 'boolean'] }
+      },
+      required: ['schema']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        valid: { type: 'boolean' },
+        errors: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['valid', 'errors']
+    },
+    handler: async ({ data, schema }) => {
+      const errors = validateSchema(schema, data);
+      return { valid: errors.length === 0, errors };
+    }
+  },
+
+  'supabase:query': {
+    description: 'Consulta registros de uma tabela por ID ou filtros de igualdade',
+    priority: 'high',
+    timeoutMs: 30000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        table: tableParam,
+        id: idParam,
+        filters: filtersParam,
+        select: { type: 'string' },
+        order: {
+          type: 'object',
+          additionalProperties: { type: 'string', enum: ['asc', 'desc'] }
+        },
+        limit: { type: 'integer', minimum: 1 },
+        single: { type: 'boolean' }
+      },
+      required: ['table']
+    },
+    outputSchema: { type: ['array', 'object', 'null'] },
+    handler: async ({ table, id, filters, select = '*', order, limit, single }) => {
+      const adapter = await getSupabaseAdapter();
+      const rows = await adapter.selectRows(table, { filters: resolveFilters(id, filters), select, order, limit });
+      return id !== undefined || single ? (rows[0] || null) : rows;
+    }
+  },
+
+  'supabase:insert': {
+    description: 'Insere um ou mais registros em uma tabela (um objeto retorna o registro inserido; uma lista, os registros)',
+    priority: 'high',
+    timeoutMs: 30000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        table: tableParam,
+        data: { type: ['object', 'array'] }
+      },
+      required: ['table', 'data']
+    },
+    handler: async ({ table, data }) => {
+      const adapter = await getSupabaseAdapter();
+      const rows = await adapter.insertRows(table, data);
+      return Array.isArray(data) ? rows : (rows[0] || null);
+    }
+  },
+
+  'supabase:update': {
+    description: 'Atualiza registros de uma tabela pelo ID (retorna o registro) ou por filtros de igualdade (retorna os registros)',
+    priority: 'high',
+    timeoutMs: 30000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        table: tableParam,
+        id: idParam,
+        filters: filtersParam,
+        data: { type: 'object' }
+      },
+      required: ['table', 'data'],
+      anyOf: [{ required: ['id'] }, { required: ['filters'] }]
+    },
+    handler: async ({ table, id, filters, data }) => {
+      const adapter = await getSupabaseAdapter();
+      const rows = await adapter.updateRows(table, resolveFilters(id, filters), data);
+      return id !== undefined ? (rows[0] || null) : rows;
+    }
+  },
+
+  'supabase:delete': {
+    description: 'Remove registros de uma tabela pelo ID ou por filtros de igualdade',
+    priority: 'high',
+    timeoutMs: 30000,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        table: tableParam,
+        id: idParam,
+        filters: filtersParam
+      },
+      required: ['table'],
+      anyOf: [{ required: ['id'] }, { required: ['filters'] }]
+    },
+    handler: async ({ table, id, filters }) => {
+      const adapter = await getSupabaseAdapter();
+      return adapter.deleteRows(table, resolveFilters(id, filters));
+    }
+  }
+};
+
+export default builtinTools;
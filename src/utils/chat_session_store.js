@@ -0,0 +1,347 @@
+// src/utils/chat_session_store.js
+
+/**
+ * Sessões de chat persistidas localmente
+ *
+ * Cada sessão tem um nome (`sprint-12`, `padrao`) e fica em um arquivo JSON
+ * no diretório de sessões (CHAT_SESSIONS_DIR ou data/chat-sessions), com o
+ * contexto ativo (agente e projeto) e todas as mensagens trocadas. As
+ * mensagens de usuário e assistente formam o contexto multi-turno enviado
+ * ao AIAssistantAgent; comandos (`/agentes`) ficam no histórico e nas
+ * transcrições, mas não nesse contexto.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+export const MESSAGE_ROLES = ['user', 'assistant', 'system'];
+export const TRANSCRIPT_FORMATS = ['markdown', 'json'];
+
+const SESSION_NAME = /^[\w.-]{1,64}$/;
+
+/**
+ * Erro das sessões de chat
+ */
+export class ChatSessionError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - CHAT_SESSION_NOT_FOUND ou CHAT_SESSION_INVALID
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'ChatSessionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Valida o nome de uma sessão (também usado como nome do arquivo)
+ * @param {string} name - Nome da sessão
+ * @returns {string} Nome normalizado (minúsculas)
+ * @throws {ChatSessionError} Se o nome for inválido
+ */
+export function normalizeSessionName(name) {
+  const normalized = String(name || '').trim().toLowerCase();
+
+  if (!SESSION_NAME.test(normalized) || /^\.+$/.test(normalized)) {
+    throw new ChatSessionError(
+      `Nome de sessão inválido: "${name}". Use letras, números, ".", "-" ou "_" (até 64 caracteres)`,
+      'CHAT_SESSION_INVALID'
+    );
+  }
+
+  return normalized;
+}
+
+/**
+ * Armazenamento das sessões de chat
+ */
+export class ChatSessionStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.directory - Diretório das sessões (padrão CHAT_SESSIONS_DIR ou data/chat-sessions)
+   * @param {number} options.contextTurns - Mensagens enviadas como contexto multi-turno (padrão CHAT_CONTEXT_TURNS ou 10)
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('ChatSessionStore');
+    this.directory = path.resolve(options.directory || process.env.CHAT_SESSIONS_DIR || 'data/chat-sessions');
+    this.contextTurns = options.contextTurns || parseInt(process.env.CHAT_CONTEXT_TURNS || '10', 10);
+
+    // Gravações em série, para que mensagens seguidas não se sobrescrevam
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Caminho do arquivo de uma sessão
+   * @private
+   */
+  sessionPath(name) {
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * Executa uma operação na fila de gravação
+   * @private
+   */
+  enqueue(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Lê uma sessão do disco
+   * @private
+   * @returns {Promise<Object|null>} Sessão ou null se não existir
+   */
+  async read(name) {
+    try {
+      return JSON.parse(await fs.readFile(this.sessionPath(name), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Grava uma sessão (arquivo temporário + rename)
+   * @private
+   */
+  async write(session) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = this.sessionPath(session.name);
+    const temporary = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(session, null, 2), 'utf-8');
+    await fs.rename(temporary, filePath);
+  }
+
+  /**
+   * Obtém uma sessão
+   * @param {string} name - Nome da sessão
+   * @returns {Promise<Object>} Sessão ({ name, context, messages, createdAt, updatedAt })
+   * @throws {ChatSessionError} Se a sessão não existir
+   */
+  async getSession(name) {
+    const normalized = normalizeSessionName(name);
+    const session = await this.read(normalized);
+
+    if (!session) {
+      throw new ChatSessionError(`Sessão não encontrada: ${normalized}`, 'CHAT_SESSION_NOT_FOUND');
+    }
+
+    return session;
+  }
+
+  /**
+   * Abre uma sessão, criando-a se ainda não existir
+   * @param {string} name - Nome da sessão
+   * @param {Object} context - Contexto inicial de uma sessão nova ({ agent, projectId })
+   * @returns {Promise<Object>} Sessão (com `created: true` se foi criada agora)
+   */
+  async openSession(name, context = {}) {
+    const normalized = normalizeSessionName(name);
+
+    return this.enqueue(async () => {
+      const existing = await this.read(normalized);
+      if (existing) return existing;
+
+      const now = new Date().toISOString();
+      const session = { name: normalized, context: { ...context }, messages: [], createdAt: now, updatedAt: now };
+      await this.write(session);
+
+      this.logger.info(`Sessão de chat criada: ${normalized}`);
+      return { ...session, created: true };
+    });
+  }
+
+  /**
+   * Lista as sessões (a mais recente primeiro)
+   * @returns {Promise<Array<Object>>} Resumos ({ name, context, messageCount, createdAt, updatedAt })
+   */
+  async listSessions() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const sessions = [];
+    for (const file of files.filter(item => item.endsWith('.json'))) {
+      const session = await this.read(file.slice(0, -'.json'.length));
+      if (!session) continue;
+
+      sessions.push({
+        name: session.name,
+        context: session.context,
+        messageCount: session.messages.length,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt
+      });
+    }
+
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Acrescenta uma mensagem à sessão
+   * @param {string} name - Nome da sessão
+   * @param {Object} message - Mensagem
+   * @param {string} message.role - user, assistant ou system
+   * @param {string} message.content - Texto da mensagem
+   * @param {string} message.agent - Agente que respondeu (opcional)
+   * @param {boolean} message.command - Comando ou resposta de comando (fora do contexto multi-turno)
+   * @returns {Promise<Object>} Mensagem gravada (com id e timestamp)
+   */
+  async appendMessage(name, message) {
+    if (!MESSAGE_ROLES.includes(message.role)) {
+      throw new ChatSessionError(`Papel de mensagem inválido: ${message.role}`, 'CHAT_SESSION_INVALID');
+    }
+
+    return this.enqueue(async () => {
+      const session = await this.getSession(name);
+      const stored = {
+        id: session.messages.length > 0 ? session.messages[session.messages.length - 1].id + 1 : 1,
+        role: message.role,
+        content: String(message.content ?? ''),
+        ...(message.agent ? { agent: message.agent } : {}),
+        ...(message.command ? { command: true } : {}),
+        timestamp: new Date().toISOString()
+      };
+
+      session.messages.push(stored);
+      session.updatedAt = stored.timestamp;
+      await this.write(session);
+
+      return stored;
+    });
+  }
+
+  /**
+   * Altera o contexto ativo da sessão (agente, projeto)
+   * @param {string} name - Nome da sessão
+   * @param {Object} changes - Campos do contexto (null remove o campo)
+   * @returns {Promise<Object>} Contexto atualizado
+   */
+  async updateContext(name, changes) {
+    return this.enqueue(async () => {
+      const session = await this.getSession(name);
+
+      for (const [key, value] of Object.entries(changes)) {
+        if (value === null || value === undefined) {
+          delete session.context[key];
+        } else {
+          session.context[key] = value;
+        }
+      }
+
+      session.updatedAt = new Date().toISOString();
+      await this.write(session);
+      return session.context;
+    });
+  }
+
+  /**
+   * Remove uma sessão
+   * @param {string} name - Nome da sessão
+   * @returns {Promise<void>}
+   */
+  async deleteSession(name) {
+    const normalized = normalizeSessionName(name);
+
+    return this.enqueue(async () => {
+      try {
+        await fs.unlink(this.sessionPath(normalized));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new ChatSessionError(`Sessão não encontrada: ${normalized}`, 'CHAT_SESSION_NOT_FOUND');
+        }
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Turnos recentes da conversa (contexto multi-turno para o assistente)
+   * @param {string} name - Nome da sessão
+   * @param {number} limit - Máximo de mensagens (padrão contextTurns)
+   * @returns {Promise<Array<Object>>} Mensagens [{ role, content }] em ordem
+   */
+  async getConversation(name, limit = this.contextTurns) {
+    const session = await this.getSession(name);
+
+    return session.messages
+      .filter(message => !message.command && (message.role === 'user' || message.role === 'assistant'))
+      .slice(-limit)
+      .map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Busca no histórico
+   * @param {string} query - Texto buscado (sem diferenciar maiúsculas)
+   * @param {Object} options - Opções
+   * @param {string} options.session - Limita a busca a uma sessão
+   * @param {number} options.limit - Máximo de resultados (padrão 20, os mais recentes)
+   * @returns {Promise<Array<Object>>} Resultados [{ session, message }]
+   */
+  async searchHistory(query, options = {}) {
+    const needle = String(query || '').toLowerCase();
+    const names = options.session
+      ? [normalizeSessionName(options.session)]
+      : (await this.listSessions()).map(session => session.name);
+
+    const results = [];
+    for (const name of names) {
+      const session = await this.getSession(name);
+      for (const message of session.messages) {
+        if (message.content.toLowerCase().includes(needle)) {
+          results.push({ session: name, message });
+        }
+      }
+    }
+
+    results.sort((a, b) => a.message.timestamp.localeCompare(b.message.timestamp));
+    return results.slice(-(options.limit || 20));
+  }
+
+  /**
+   * Gera a transcrição de uma sessão
+   * @param {string} name - Nome da sessão
+   * @param {string} format - markdown ou json
+   * @returns {Promise<string>} Transcrição
+   */
+  async exportTranscript(name, format = 'markdown') {
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      throw new ChatSessionError(
+        `Formato de transcrição inválido: ${format}. Use ${TRANSCRIPT_FORMATS.join(' ou ')}`,
+        'CHAT_SESSION_INVALID'
+      );
+    }
+
+    const session = await this.getSession(name);
+
+    if (format === 'json') {
+      return `${JSON.stringify(session, null, 2)}\n`;
+    }
+
+    const senders = { user: 'Você', assistant: 'Assistente', system: 'Sistema' };
+    const contextLines = Object.entries(session.context).map(([key, value]) => `- **${key}:** ${value}`);
+
+    let output = `# Sessão ${session.name}\n\n`;
+    output += `Criada em ${session.createdAt}, atualizada em ${session.updatedAt}\n`;
+    if (contextLines.length > 0) {
+      output += `\n${contextLines.join('\n')}\n`;
+    }
+
+    for (const message of session.messages) {
+      const sender = message.agent && message.role !== 'user' ? message.agent : senders[message.role];
+      output += `\n### ${sender} (${message.timestamp})\n\n${message.content}\n`;
+    }
+
+    return output;
+  }
+}
+
+export default ChatSessionStore;
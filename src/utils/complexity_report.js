@@ -0,0 +1,157 @@
+// src/utils/complexity_report.js
+
+/**
+ * Relatório de complexidade do TaskMaster
+ *
+ * Lê e grava `scripts/task-complexity-report.json` no formato do CLI
+ * task-master ({ meta, complexityAnalysis: [{ taskId, taskTitle,
+ * complexityScore, recommendedSubtasks, expansionPrompt, reasoning }] }).
+ * A gravação é atômica (arquivo temporário + rename) e novas análises
+ * substituem as anteriores da mesma tarefa. describeComplexityReport cruza
+ * as análises com as tarefas atuais para a visualização no terminal e na API.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const DEFAULT_COMPLEXITY_THRESHOLD = 5;
+
+/**
+ * Caminho do relatório de complexidade
+ * @param {Object} options - Opções
+ * @param {string} options.projectRoot - Raiz do projeto (padrão TASKMASTER_PATH ou cwd)
+ * @param {string} options.reportFile - Caminho do relatório (padrão TASKMASTER_COMPLEXITY_REPORT ou scripts/task-complexity-report.json)
+ * @returns {string} Caminho absoluto
+ */
+export function resolveComplexityReportPath(options = {}) {
+  const projectRoot = options.projectRoot || process.env.TASKMASTER_PATH || process.cwd();
+  const reportFile = options.reportFile || process.env.TASKMASTER_COMPLEXITY_REPORT || 'scripts/task-complexity-report.json';
+
+  return path.resolve(projectRoot, reportFile);
+}
+
+/**
+ * Lê o relatório (relatório vazio se o arquivo não existir)
+ * @param {string} file - Caminho do relatório
+ * @returns {Promise<Object>} { meta, complexityAnalysis }
+ */
+export async function readComplexityReport(file) {
+  try {
+    const report = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    return {
+      meta: report.meta || {},
+      complexityAnalysis: Array.isArray(report.complexityAnalysis) ? report.complexityAnalysis : []
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { meta: {}, complexityAnalysis: [] };
+    }
+    throw new Error(`Falha ao ler o relatório de complexidade ${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Grava o relatório (arquivo temporário + rename)
+ * @param {string} file - Caminho do relatório
+ * @param {Object} report - Relatório
+ */
+export async function writeComplexityReport(file, report) {
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+  const tempPath = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, `${JSON.stringify(report, null, 2)}\n`);
+  await fs.promises.rename(tempPath, file);
+}
+
+/**
+ * Acrescenta análises ao relatório, substituindo as das mesmas tarefas
+ * @param {Object} report - Relatório atual
+ * @param {Array<Object>} entries - Análises ({ taskId, taskTitle, complexityScore, recommendedSubtasks, expansionPrompt, reasoning })
+ * @param {Object} meta - Campos de meta a atualizar (projectName, usedResearch, totalTasks)
+ * @returns {Object} Novo relatório, ordenado por taskId
+ */
+export function mergeComplexityReport(report, entries, meta = {}) {
+  const byTask = new Map(report.complexityAnalysis.map(entry => [String(entry.taskId), entry]));
+
+  for (const entry of entries) {
+    byTask.set(String(entry.taskId), entry);
+  }
+
+  const complexityAnalysis = [...byTask.values()]
+    .sort((a, b) => String(a.taskId).localeCompare(String(b.taskId), undefined, { numeric: true }));
+
+  return {
+    meta: {
+      ...report.meta,
+      thresholdScore: report.meta.thresholdScore ?? DEFAULT_COMPLEXITY_THRESHOLD,
+      usedResearch: report.meta.usedResearch ?? false,
+      ...meta,
+      generatedAt: new Date().toISOString(),
+      tasksAnalyzed: entries.length,
+      totalTasks: meta.totalTasks ?? complexityAnalysis.length,
+      analysisCount: complexityAnalysis.length
+    },
+    complexityAnalysis
+  };
+}
+
+/**
+ * Visão do relatório cruzada com as tarefas atuais
+ *
+ * Cada análise ganha o status e o número de subtarefas atuais da tarefa;
+ * `expandable` indica as que estão no limiar ou acima dele, ainda não
+ * concluídas e com menos subtarefas que as recomendadas. Análises de
+ * tarefas que não existem mais ficam com `missing: true`, e as de tarefas
+ * cujo título mudou desde a análise (o ID foi reaproveitado ou a tarefa
+ * reescrita) ficam com `stale: true` e não são expandidas.
+ * @param {Object} report - Relatório ({ meta, complexityAnalysis })
+ * @param {Array<Object>} tasks - Tarefas de tasks/tasks.json
+ * @param {Object} options - Opções
+ * @param {number} options.threshold - Limiar de complexidade (padrão: o do relatório ou 5)
+ * @returns {Object} { meta, threshold, entries, summary }
+ */
+export function describeComplexityReport(report, tasks, options = {}) {
+  const threshold = Number(options.threshold ?? report.meta.thresholdScore ?? DEFAULT_COMPLEXITY_THRESHOLD);
+  const tasksById = new Map(tasks.map(task => [String(task.id), task]));
+
+  const entries = report.complexityAnalysis.map(entry => {
+    const task = tasksById.get(String(entry.taskId));
+    const currentSubtasks = task ? (task.subtasks || []).length : 0;
+    const missingSubtasks = Math.max(0, (entry.recommendedSubtasks || 0) - currentSubtasks);
+    const aboveThreshold = entry.complexityScore >= threshold;
+    const stale = Boolean(task && entry.taskTitle) && entry.taskTitle !== task.title;
+
+    return {
+      taskId: entry.taskId,
+      taskTitle: task ? task.title : entry.taskTitle,
+      analyzedTitle: entry.taskTitle || null,
+      status: task ? task.status : null,
+      missing: !task,
+      stale,
+      complexityScore: entry.complexityScore,
+      recommendedSubtasks: entry.recommendedSubtasks,
+      currentSubtasks,
+      missingSubtasks,
+      aboveThreshold,
+      expandable: Boolean(task) && !stale && aboveThreshold && missingSubtasks > 0 && !['done', 'cancelled'].includes(task.status),
+      expansionPrompt: entry.expansionPrompt || '',
+      reasoning: entry.reasoning || ''
+    };
+  });
+
+  const scores = entries.map(entry => entry.complexityScore).filter(Number.isFinite);
+
+  return {
+    meta: report.meta,
+    threshold,
+    entries,
+    summary: {
+      analyzed: entries.length,
+      aboveThreshold: entries.filter(entry => entry.aboveThreshold).length,
+      expandable: entries.filter(entry => entry.expandable).length,
+      missing: entries.filter(entry => entry.missing).length,
+      stale: entries.filter(entry => entry.stale).length,
+      averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length * 10) / 10 : null
+    }
+  };
+}
@@ -0,0 +1,151 @@
+// src/utils/cron_schedule.js
+
+/**
+ * Agendamento no formato cron
+ *
+ * Interpreta expressões cron de cinco campos (minuto, hora, dia do mês, mês e
+ * dia da semana) usadas pelos gatilhos agendados das automações Kanban.
+ * Cada campo aceita `*`, valores, listas (`1,15`), intervalos (`1-5`) e
+ * passos (`*\/15`, `8-18/2`). Os horários são avaliados no fuso local.
+ */
+
+const FIELDS = [
+  { name: 'minuto', min: 0, max: 59 },
+  { name: 'hora', min: 0, max: 23 },
+  { name: 'dia do mês', min: 1, max: 31 },
+  { name: 'mês', min: 1, max: 12 },
+  { name: 'dia da semana', min: 0, max: 7 }
+];
+
+// Atalhos suportados
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+/**
+ * Converte um campo cron no conjunto de valores aceitos
+ * @private
+ */
+function parseField(expression, field) {
+  const values = new Set();
+
+  for (const part of expression.split(',')) {
+    const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+
+    if (!match) {
+      throw new Error(`Campo ${field.name} inválido na expressão cron: ${part}`);
+    }
+
+    let [start, end] = match[1] === '*'
+      ? [field.min, field.max]
+      : match[1].split('-').map(Number);
+
+    if (end === undefined) {
+      end = match[2] ? field.max : start;
+    }
+
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+
+    if (start < field.min || end > field.max || start > end || step < 1) {
+      throw new Error(`Campo ${field.name} fora do intervalo ${field.min}-${field.max}: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Interpreta uma expressão cron
+ * @param {string} expression - Expressão cron de cinco campos ou atalho (@daily, ...)
+ * @returns {{expression: string, matches: Function, next: Function}} Agenda interpretada
+ * @throws {Error} Se a expressão for inválida
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Expressão cron é obrigatória');
+  }
+
+  const normalized = ALIASES[expression.trim()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Expressão cron deve ter ${FIELDS.length} campos: ${expression}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map(
+    (part, index) => parseField(part, FIELDS[index])
+  );
+
+  // Domingo pode ser 0 ou 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  // Como no cron tradicional, dia do mês e dia da semana restritos são combinados com OU
+  const dayOfMonthRestricted = parts[2] !== '*';
+  const dayOfWeekRestricted = parts[4] !== '*';
+
+  const matches = (date) => {
+    if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) {
+      return false;
+    }
+
+    const dayOfMonthMatch = daysOfMonth.has(date.getDate());
+    const dayOfWeekMatch = daysOfWeek.has(date.getDay());
+
+    if (dayOfMonthRestricted && dayOfWeekRestricted) {
+      return dayOfMonthMatch || dayOfWeekMatch;
+    }
+
+    return dayOfMonthMatch && dayOfWeekMatch;
+  };
+
+  return {
+    expression: normalized,
+    matches,
+
+    /**
+     * Calcula a próxima ocorrência estritamente após a data informada
+     * @param {Date} from - Data de referência
+     * @returns {Date|null} Próxima ocorrência (ou null se não houver em um ano)
+     */
+    next(from = new Date()) {
+      const candidate = new Date(from.getTime());
+      candidate.setSeconds(0, 0);
+      candidate.setMinutes(candidate.getMinutes() + 1);
+
+      // Limite de busca: um ano em minutos
+      for (let i = 0; i < 366 * 24 * 60; i++) {
+        if (matches(candidate)) {
+          return candidate;
+        }
+        candidate.setMinutes(candidate.getMinutes() + 1);
+      }
+
+      return null;
+    }
+  };
+}
+
+/**
+ * Verifica se uma expressão cron possui ocorrência no intervalo (after, until]
+ * @param {string|Object} schedule - Expressão cron ou agenda retornada por parseCron
+ * @param {Date} after - Início exclusivo do intervalo
+ * @param {Date} until - Fim inclusivo do intervalo
+ * @returns {boolean} Indica se houve ocorrência
+ */
+export function cronDueBetween(schedule, after, until) {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const next = parsed.next(after);
+
+  return next !== null && next.getTime() <= until.getTime();
+}
+
+export default parseCron;
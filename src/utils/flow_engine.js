@@ -0,0 +1,654 @@
+// src/utils/flow_engine.js
+
+/**
+ * Motor de fluxos declarativos
+ *
+ * Executa os fluxos definidos em `.windsurf/flows/<tipo>_flow.js`. Cada fluxo é
+ * um módulo ES que exporta por padrão uma definição no formato:
+ *
+ *   export default {
+ *     name: 'documentation_generation',
+ *     contexts: ['documentation'],          // contextos de ferramentas ativados durante o fluxo
+ *     steps: [
+ *       {
+ *         id: 'code',                       // identificador único da etapa
+ *         agent: 'DocumentAgent',           // agente obtido via orchestrator.getAgent
+ *         method: 'getCodeDetails',         // método chamado no agente
+ *         inputs: ['$params.repositoryId'], // argumentos (ou função ({ params, steps }) => [...])
+ *         retry: { attempts: 3, delayMs: 500, backoff: 2, onTimeout: false },
+ *         timeoutMs: 30000,
+ *         optional: false,                  // falhas em etapas opcionais não interrompem o fluxo
+ *         when: ({ params, steps }) => true, // condição para executar a etapa
+ *         compensate: { agent, method, inputs } // desfaz a etapa se uma etapa posterior falhar
+ *       }
+ *     ],
+ *     output: { documentId: '$steps.format.documentId' }
+ *   };
+ *
+ * Nas entradas, strings iniciadas por `$params.` e `$steps.<id>.` são substituídas
+ * pelos parâmetros do fluxo e pelos resultados das etapas anteriores. Em vez de
+ * `agent`/`method`, uma etapa pode definir `run: async ({ orchestrator, params, steps, signal }) => ...`.
+ *
+ * Cada tentativa de uma etapa recebe um AbortSignal (`signal` em `run`, `$signal`
+ * nas entradas), abortado quando o tempo limite se esgota: etapas longas devem
+ * verificá-lo (signal.throwIfAborted()) para não continuar gravando depois disso.
+ * Como a chamada abortada pode seguir em andamento, uma etapa que esgota o tempo
+ * só é repetida com `retry.onTimeout: true`, e a nova tentativa espera a anterior
+ * terminar; as demais falhas são repetidas conforme `retry.attempts`.
+ *
+ * O estado de cada execução é persistido após cada etapa, de modo que uma execução
+ * interrompida (por exemplo, por um reinício) possa ser retomada a partir da última
+ * etapa concluída. Cada execução tem uma concessão (`lease`: dono e validade),
+ * renovada enquanto ela roda; outro processo só a retoma depois que a concessão
+ * expira, e a tomada de posse é atômica (um arquivo por geração da concessão).
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Diretório padrão das definições de fluxo
+const DEFAULT_FLOWS_DIR = path.resolve(__dirname, '../../.windsurf/flows');
+
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Aguarda um intervalo de tempo
+ * @private
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Executa uma operação com limite de tempo, abortando o seu sinal ao esgotá-lo.
+ * O erro de tempo limite (code FLOW_STEP_TIMEOUT) traz em `settled` a promessa
+ * da operação abortada, que resolve quando ela de fato termina.
+ * @private
+ * @param {Function} operation - (signal) => Promise
+ */
+function withTimeout(operation, timeoutMs, label) {
+  const controller = new AbortController();
+
+  if (!timeoutMs) {
+    return operation(controller.signal);
+  }
+
+  const running = Promise.resolve().then(() => operation(controller.signal));
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Tempo limite de ${timeoutMs}ms excedido na etapa ${label}`);
+      error.code = 'FLOW_STEP_TIMEOUT';
+      error.settled = running.then(() => {}, () => {});
+      controller.abort(error);
+      reject(error);
+    }, timeoutMs);
+  });
+
+  return Promise.race([running, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Lê um caminho pontilhado (a.b.c) de um objeto
+ * @private
+ */
+function readPath(source, pathExpression) {
+  return pathExpression.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    source
+  );
+}
+
+/**
+ * Resolve referências `$params.`, `$steps.` e `$signal` em entradas declarativas
+ * @param {*} template - Valor, lista ou objeto com referências
+ * @param {Object} scope - Escopo ({ params, steps, signal })
+ * @returns {*} Valor resolvido
+ */
+export function resolveInputs(template, scope) {
+  if (typeof template === 'function') {
+    return template(scope);
+  }
+
+  if (typeof template === 'string') {
+    const match = /^\$(params|steps|signal)(?:\.(.+))?$/.exec(template);
+    if (!match) return template;
+
+    const root = scope[match[1]];
+    return match[2] ? readPath(root, match[2]) : root;
+  }
+
+  if (Array.isArray(template)) {
+    return template.map(item => resolveInputs(item, scope));
+  }
+
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(
+      Object.entries(template).map(([key, value]) => [key, resolveInputs(value, scope)])
+    );
+  }
+
+  return template;
+}
+
+/**
+ * Valida a estrutura de uma definição de fluxo
+ * @param {Object} definition - Definição do fluxo
+ * @returns {Object} A própria definição
+ * @throws {Error} Se a definição for inválida
+ */
+export function validateFlowDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new Error('Definição de fluxo inválida');
+  }
+
+  // Fluxos imperativos legados expõem apenas execute()
+  if (typeof definition.execute === 'function' && !definition.steps) {
+    return definition;
+  }
+
+  if (!Array.isArray(definition.steps) || definition.steps.length === 0) {
+    throw new Error(`Fluxo ${definition.name || ''} deve definir ao menos uma etapa`);
+  }
+
+  const ids = new Set();
+
+  for (const step of definition.steps) {
+    if (!step.id) {
+      throw new Error('Toda etapa do fluxo deve ter um id');
+    }
+
+    if (ids.has(step.id)) {
+      throw new Error(`Etapa duplicada no fluxo: ${step.id}`);
+    }
+    ids.add(step.id);
+
+    if (typeof step.run !== 'function' && !(step.agent && step.method)) {
+      throw new Error(`Etapa ${step.id} deve definir agent e method, ou run`);
+    }
+
+    if (step.compensate && typeof step.compensate.run !== 'function'
+      && !(step.compensate.agent && step.compensate.method)) {
+      throw new Error(`Compensação da etapa ${step.id} deve definir agent e method, ou run`);
+    }
+  }
+
+  return definition;
+}
+
+/**
+ * Carrega a definição de um fluxo a partir do diretório de fluxos
+ * @param {string} flowType - Tipo do fluxo (arquivo <flowType>_flow.js)
+ * @param {Object} options - Opções
+ * @param {string} options.flowsDir - Diretório das definições
+ * @returns {Promise<Object>} Definição validada
+ */
+export async function loadFlowDefinition(flowType, options = {}) {
+  if (!/^[A-Za-z0-9_-]+$/.test(flowType)) {
+    throw new Error(`Tipo de fluxo inválido: ${flowType}`);
+  }
+
+  const flowsDir = options.flowsDir || process.env.NEXUS_FLOWS_DIR || DEFAULT_FLOWS_DIR;
+  const flowPath = path.join(flowsDir, `${flowType}_flow.js`);
+
+  let flowModule;
+
+  try {
+    flowModule = await import(pathToFileURL(flowPath).href);
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') {
+      throw new Error(`Fluxo não encontrado: ${flowType}`);
+    }
+    throw error;
+  }
+
+  return validateFlowDefinition({ name: flowType, ...(flowModule.default || flowModule) });
+}
+
+/**
+ * Persiste o estado das execuções de fluxo em arquivos JSON
+ */
+export class FlowStateStore {
+  /**
+   * @param {Object} options - Opções do armazenamento
+   * @param {string} options.directory - Diretório dos estados
+   */
+  constructor(options = {}) {
+    this.directory = options.directory
+      || process.env.NEXUS_FLOW_STATE_DIR
+      || path.resolve(process.cwd(), 'logs', 'flows');
+  }
+
+  /**
+   * Caminho do arquivo de estado de uma execução
+   * @private
+   */
+  runPath(runId) {
+    if (!RUN_ID_PATTERN.test(runId)) {
+      throw new Error(`ID de execução inválido: ${runId}`);
+    }
+
+    return path.join(this.directory, `${runId}.json`);
+  }
+
+  /**
+   * Toma posse de uma execução cuja concessão expirou (ou que não tem concessão)
+   *
+   * Cada geração da concessão corresponde a um arquivo em `leases/`, criado com
+   * exclusividade: entre processos que disputam a mesma execução, só um vence.
+   * @param {string} runId - ID da execução
+   * @param {string} owner - Identificador do novo dono
+   * @param {number} leaseMs - Validade da concessão em ms
+   * @returns {Promise<Object|null>} Estado com a nova concessão, ou null se outro dono a detém
+   */
+  async acquireLease(runId, owner, leaseMs) {
+    const state = await this.load(runId);
+    if (!state) return null;
+
+    const { lease } = state;
+    if (lease && lease.owner !== owner && Date.parse(lease.expiresAt) > Date.now()) {
+      return null;
+    }
+
+    const generation = (lease?.generation || 0) + 1;
+    const leasesDir = path.join(this.directory, 'leases');
+    await fs.mkdir(leasesDir, { recursive: true });
+
+    try {
+      const handle = await fs.open(path.join(leasesDir, `${runId}.${generation}`), 'wx');
+      await handle.close();
+    } catch (error) {
+      if (error.code === 'EEXIST') return null;
+      throw error;
+    }
+
+    state.lease = { owner, generation, expiresAt: new Date(Date.now() + leaseMs).toISOString() };
+    await this.save(state);
+    return state;
+  }
+
+  /**
+   * Salva o estado de uma execução (escrita atômica)
+   * @param {Object} state - Estado da execução
+   * @returns {Promise<void>}
+   */
+  async save(state) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const target = this.runPath(state.runId);
+    const temporary = `${target}.${process.pid}.tmp`;
+
+    await fs.writeFile(temporary, JSON.stringify(state, null, 2), 'utf-8');
+    await fs.rename(temporary, target);
+  }
+
+  /**
+   * Carrega o estado de uma execução
+   * @param {string} runId - ID da execução
+   * @returns {Promise<Object|null>} Estado ou null se não existir
+   */
+  async load(runId) {
+    try {
+      return JSON.parse(await fs.readFile(this.runPath(runId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Lista as execuções persistidas
+   * @param {Object} filters - Filtros ({ status, flowType })
+   * @returns {Promise<Array<Object>>} Estados das execuções
+   */
+  async list(filters = {}) {
+    let files;
+
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const states = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.load(path.basename(file, '.json')))
+    );
+
+    return states
+      .filter(state => state
+        && (!filters.status || state.status === filters.status)
+        && (!filters.flowType || state.flowType === filters.flowType))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+/**
+ * Executa fluxos declarativos com retentativas, tempo limite, compensação e retomada
+ */
+export class FlowEngine {
+  /**
+   * @param {Object} options - Opções do motor
+   * @param {Object} options.orchestrator - OrchestratorAgent usado para obter agentes e contextos
+   * @param {FlowStateStore} options.stateStore - Armazenamento de estado
+   * @param {Object} options.logger - Logger
+   * @param {string} options.ownerId - Dono das concessões deste processo
+   * @param {number} options.leaseMs - Validade da concessão de uma execução em ms
+   */
+  constructor(options = {}) {
+    this.orchestrator = options.orchestrator;
+    this.stateStore = options.stateStore || new FlowStateStore();
+    this.logger = options.logger || console;
+    this.ownerId = options.ownerId || `${os.hostname()}:${process.pid}:${randomBytes(4).toString('hex')}`;
+    this.leaseMs = options.leaseMs || parseInt(process.env.NEXUS_FLOW_LEASE_MS || '60000', 10);
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Toma posse de uma execução persistida para retomá-la
+   * @param {string} runId - ID da execução
+   * @returns {Promise<Object>} Estado da execução
+   * @throws {Error} FLOW_RUN_LEASED se outro processo detém a concessão
+   */
+  async claim(runId) {
+    const state = await this.stateStore.acquireLease(runId, this.ownerId, this.leaseMs);
+
+    if (!state) {
+      const error = new Error(`Execução de fluxo ${runId} está em andamento em outro processo`);
+      error.code = 'FLOW_RUN_LEASED';
+      throw error;
+    }
+
+    return state;
+  }
+
+  /**
+   * Cria o estado inicial de uma execução
+   * @param {string} flowType - Tipo do fluxo
+   * @param {Object} params - Parâmetros do fluxo
+   * @returns {Object} Estado inicial
+   */
+  createRunState(flowType, params = {}) {
+    const now = new Date().toISOString();
+
+    return {
+      runId: `${flowType}-${Date.now()}-${randomBytes(4).toString('hex')}`,
+      flowType,
+      status: 'running',
+      params,
+      steps: {},
+      lease: { owner: this.ownerId, generation: 0, expiresAt: now },
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  /**
+   * Executa (ou retoma) um fluxo
+   * @param {Object} definition - Definição do fluxo
+   * @param {Object} state - Estado da execução (novo ou carregado do armazenamento)
+   * @param {Object} context - Contexto de rastreamento (ver OrchestratorAgent.tracedOperation)
+   * @returns {Promise<*>} Saída do fluxo
+   */
+  async run(definition, state, context = {}) {
+    state.status = 'running';
+    state.traceId = context.traceId || state.traceId;
+    await this.persist(state);
+
+    // Renova a concessão enquanto a execução roda (etapas longas não a deixam expirar)
+    const heartbeat = setInterval(() => this.persist(state), Math.max(Math.floor(this.leaseMs / 3), 1));
+    heartbeat.unref();
+
+    const execute = () => this.executeSteps(definition, state, context);
+    const contexts = definition.contexts || [];
+
+    try {
+      return await (contexts.length > 0 && this.orchestrator
+        ? this.orchestrator.withContext(contexts, execute)
+        : execute());
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Executa as etapas pendentes em ordem
+   * @private
+   */
+  async executeSteps(definition, state, context) {
+    for (const step of definition.steps) {
+      const stepState = state.steps[step.id];
+
+      // Etapas concluídas em uma execução anterior não são repetidas
+      if (stepState && ['completed', 'skipped'].includes(stepState.status)) {
+        continue;
+      }
+
+      const scope = this.createScope(state);
+
+      if (typeof step.when === 'function' && !step.when(scope)) {
+        state.steps[step.id] = { status: 'skipped', reason: 'Condição não satisfeita' };
+        await this.persist(state);
+        continue;
+      }
+
+      state.currentStep = step.id;
+
+      try {
+        const result = await this.executeStep(step, state, context);
+
+        state.steps[step.id] = {
+          ...state.steps[step.id],
+          status: 'completed',
+          result,
+          finishedAt: new Date().toISOString()
+        };
+        await this.persist(state);
+      } catch (error) {
+        state.steps[step.id] = {
+          ...state.steps[step.id],
+          status: step.optional ? 'skipped' : 'failed',
+          error: error.message,
+          finishedAt: new Date().toISOString()
+        };
+
+        if (step.optional) {
+          this.logger.warn(`Etapa opcional ${step.id} falhou, continuando fluxo`, { error: error.message });
+          await this.persist(state);
+          continue;
+        }
+
+        await this.compensate(definition, state, context);
+
+        state.error = { step: step.id, message: error.message };
+        await this.persist(state);
+
+        throw error;
+      }
+    }
+
+    state.status = 'completed';
+    state.currentStep = null;
+    state.output = definition.output !== undefined
+      ? resolveInputs(definition.output, this.createScope(state))
+      : this.createScope(state).steps;
+    await this.persist(state);
+
+    return state.output;
+  }
+
+  /**
+   * Executa uma etapa aplicando tempo limite e retentativas (após um tempo
+   * limite, só com retry.onTimeout e depois que a tentativa abortada terminar)
+   * @private
+   */
+  async executeStep(step, state, context) {
+    const retry = { attempts: 1, delayMs: 0, backoff: 1, onTimeout: false, ...(step.retry || {}) };
+    let lastError;
+
+    for (let attempt = 1; attempt <= retry.attempts; attempt++) {
+      state.steps[step.id] = {
+        ...state.steps[step.id],
+        status: 'running',
+        attempts: attempt,
+        startedAt: state.steps[step.id]?.startedAt || new Date().toISOString()
+      };
+      await this.persist(state);
+
+      try {
+        return await this.traced(
+          `flow.step.${step.id}`,
+          () => withTimeout(signal => this.invoke(step, state, signal), step.timeoutMs, step.id),
+          context,
+          { 'nexus.flow.step': step.id, 'nexus.flow.attempt': attempt }
+        );
+      } catch (error) {
+        lastError = error;
+        this.logger.warn(`Etapa ${step.id} falhou (tentativa ${attempt}/${retry.attempts})`, { error: error.message });
+
+        if (error.code === 'FLOW_STEP_TIMEOUT') {
+          if (!retry.onTimeout) break;
+          await error.settled;
+        }
+
+        if (attempt < retry.attempts && retry.delayMs > 0) {
+          await delay(retry.delayMs * Math.pow(retry.backoff, attempt - 1));
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Invoca o agente (ou a função run) de uma etapa ou compensação
+   * @private
+   */
+  async invoke(step, state, signal) {
+    const scope = { ...this.createScope(state), signal };
+
+    if (typeof step.run === 'function') {
+      return step.run({ orchestrator: this.orchestrator, ...scope });
+    }
+
+    const agent = this.orchestrator.getAgent(step.agent);
+
+    if (typeof agent[step.method] !== 'function') {
+      throw new Error(`Método ${step.method} não encontrado no agente ${step.agent}`);
+    }
+
+    const args = step.inputs !== undefined ? resolveInputs(step.inputs, scope) : [];
+
+    return agent[step.method](...(Array.isArray(args) ? args : [args]));
+  }
+
+  /**
+   * Executa as compensações das etapas concluídas, em ordem inversa
+   * @private
+   */
+  async compensate(definition, state, context) {
+    const completed = definition.steps.filter(
+      step => step.compensate && state.steps[step.id] && state.steps[step.id].status === 'completed'
+    );
+
+    if (completed.length === 0) {
+      state.status = 'failed';
+      return;
+    }
+
+    state.status = 'compensating';
+    await this.persist(state);
+
+    let failures = 0;
+
+    for (const step of completed.reverse()) {
+      try {
+        await this.traced(
+          `flow.compensate.${step.id}`,
+          () => withTimeout(
+            signal => this.invoke(step.compensate, state, signal),
+            step.compensate.timeoutMs,
+            `${step.id} (compensação)`
+          ),
+          context,
+          { 'nexus.flow.step': step.id }
+        );
+
+        state.steps[step.id].status = 'compensated';
+      } catch (error) {
+        failures++;
+        state.steps[step.id].compensationError = error.message;
+        this.logger.error(`Falha ao compensar etapa ${step.id}`, { error: error.message });
+      }
+
+      await this.persist(state);
+    }
+
+    state.status = failures > 0 ? 'compensation_failed' : 'compensated';
+  }
+
+  /**
+   * Executa uma operação como span filho, quando há rastreamento ativo
+   * @private
+   */
+  traced(name, operation, context, tags) {
+    if (context.tracer && typeof context.tracer.createChildSpan === 'function') {
+      return context.tracer.createChildSpan(name, operation, tags);
+    }
+
+    return operation();
+  }
+
+  /**
+   * Monta o escopo de resolução de entradas
+   * @private
+   */
+  createScope(state) {
+    const steps = {};
+
+    for (const [id, stepState] of Object.entries(state.steps)) {
+      if (stepState.status === 'completed') {
+        steps[id] = stepState.result;
+      }
+    }
+
+    return { params: state.params, steps };
+  }
+
+  /**
+   * Persiste o estado atualizado da execução, renovando a concessão deste
+   * processo enquanto ela roda (e liberando-a quando termina)
+   * @private
+   */
+  async persist(state) {
+    state.updatedAt = new Date().toISOString();
+
+    if (state.lease && state.lease.owner === this.ownerId) {
+      const active = ['running', 'compensating'].includes(state.status);
+      state.lease.expiresAt = new Date(Date.now() + (active ? this.leaseMs : 0)).toISOString();
+    }
+
+    // Gravações em série: a renovação periódica não sobrescreve um estado mais novo
+    const snapshot = JSON.parse(JSON.stringify(state));
+    this.writes = this.writes.then(async () => {
+      try {
+        await this.stateStore.save(snapshot);
+      } catch (error) {
+        // Falhas de persistência não interrompem o fluxo, mas impedem a retomada
+        this.logger.error(`Falha ao persistir estado do fluxo ${state.runId}`, { error: error.message });
+      }
+    });
+
+    await this.writes;
+  }
+}
+
+export default FlowEngine;
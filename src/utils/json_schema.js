@@ -0,0 +1,180 @@
+// src/utils/json_schema.js
+
+/**
+ * Validação de JSON Schema
+ *
+ * Implementa o subconjunto do JSON Schema usado nas definições de
+ * ferramentas do ToolManager: type (incluindo 'integer' e listas de tipos),
+ * enum, const, properties, required, additionalProperties, items,
+ * minItems/maxItems, minLength/maxLength, pattern, minimum/maximum,
+ * anyOf e oneOf. Palavras-chave desconhecidas são ignoradas.
+ */
+
+/**
+ * Erro lançado quando um valor não satisfaz um schema
+ */
+export class SchemaValidationError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {Array<string>} errors - Erros de validação ("<caminho>: <motivo>")
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'SchemaValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Tipo JSON de um valor
+ * @private
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Verifica se um valor é do tipo JSON Schema informado
+ * @private
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+/**
+ * Compara dois valores JSON por igualdade estrutural
+ * @private
+ */
+function deepEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Valida um valor contra um schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Valor a validar
+ * @param {string} path - Caminho do valor (usado nas mensagens, padrão '$')
+ * @returns {Array<string>} Lista de erros (vazia se o valor for válido)
+ */
+export function validateSchema(schema, value, path = '$') {
+  if (schema === undefined || schema === null || schema === true) return [];
+  if (schema === false) return [`${path}: nenhum valor é permitido`];
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: esperado ${types.join(' | ')}, recebido ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+    errors.push(`${path}: deve ser um de ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !deepEqual(schema.const, value)) {
+    errors.push(`${path}: deve ser ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: deve ter pelo menos ${schema.minLength} caractere(s)`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: deve ter no máximo ${schema.maxLength} caractere(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: não corresponde ao padrão ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: deve ser maior ou igual a ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: deve ser menor ou igual a ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: deve ter pelo menos ${schema.minItems} item(ns)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: deve ter no máximo ${schema.maxItems} item(ns)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name}: campo obrigatório`);
+      }
+    }
+
+    for (const [name, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], item, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: campo não permitido`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, `${path}.${name}`));
+      }
+    }
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(option => validateSchema(option, value, path).length === 0)) {
+    errors.push(`${path}: não corresponde a nenhuma das alternativas (anyOf)`);
+  }
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path}: deve corresponder a exatamente uma alternativa (oneOf), corresponde a ${matches}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Valida um valor e lança SchemaValidationError se for inválido
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Valor a validar
+ * @param {string} message - Prefixo da mensagem de erro
+ * @returns {*} O próprio valor, se válido
+ * @throws {SchemaValidationError} Se o valor for inválido
+ */
+export function assertSchema(schema, value, message = 'Validação falhou') {
+  const errors = validateSchema(schema, value);
+
+  if (errors.length > 0) {
+    throw new SchemaValidationError(`${message}: ${errors.join('; ')}`, errors);
+  }
+
+  return value;
+}
+
+export default validateSchema;
@@ -1,14 +1,408 @@
 /**
- * Módulo de logging simulado
+ * Módulo de logging
+ *
+ * Logger estruturado do Nexus: cada registro é uma linha JSON com
+ * timestamp, nível, contexto e metadados. O nível mínimo vem do
+ * `logLevel` do ambiente atual em src/config/default.js (ou de LOG_LEVEL),
+ * segredos (JWTs, access_token, segredos de webhook, senhas) são
+ * mascarados antes da escrita e loggers filhos carregam campos fixos
+ * como requestId e traceId. Os registros são enviados para sinks:
+ * console (padrão) e arquivo com rotação por tamanho, gravado em lotes.
  */
 
-export function createLogger(context) {
+import fs from 'fs';
+import path from 'path';
+import config from '../config/default.js';
+import { getActiveTraceContext } from './tracing.js';
+
+export const LOG_LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+export const REDACTED = '[REDACTED]';
+
+// Chaves cujo valor é sempre mascarado: o termo precisa ser uma palavra da chave
+// (accessToken, db_password, x-api-key), não parte de outra (passed, bypass)
+const SENSITIVE_KEY_PATTERN = /(?:^|[^a-z])(pass(word|wd)?|secret|token|authorization|api[_-]?key|private[_-]?key|cookie|credential)s?(?:$|[^a-z])/i;
+
+/**
+ * Verifica se uma chave é sensível (camelCase é separado em palavras)
+ * @param {string} key - Nome da chave
+ * @returns {boolean} Verdadeiro se o valor deve ser mascarado
+ */
+export function isSensitiveKey(key) {
+  return SENSITIVE_KEY_PATTERN.test(String(key).replace(/([a-z0-9])([A-Z])/g, '$1_$2'));
+}
+
+// Padrões mascarados dentro de textos livres
+const SENSITIVE_VALUE_PATTERNS = [
+  // JSON Web Tokens
+  [/eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]*/g, REDACTED],
+  // Cabeçalhos Authorization
+  [/\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi, `$1 ${REDACTED}`],
+  // Parâmetros de query/corpo (access_token=..., "password": "...")
+  [/\b((?:access|refresh|id)_token|password|secret|api_key)(["']?\s*[:=]\s*["']?)[^\s"'&,}]+/gi, `$1$2${REDACTED}`]
+];
+
+const MAX_DEPTH = 8;
+
+/**
+ * Mascara segredos em um texto
+ * @param {string} text - Texto original
+ * @returns {string} Texto com segredos mascarados
+ */
+export function redactString(text) {
+  return SENSITIVE_VALUE_PATTERNS.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Serializa um Error em objeto simples
+ * @private
+ */
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message,
+    stack: error.stack
+  };
+
+  if (error.code !== undefined) serialized.code = error.code;
+  return serialized;
+}
+
+/**
+ * Copia um valor mascarando segredos (chaves sensíveis e padrões em textos)
+ *
+ * Erros são convertidos em { name, message, stack }; referências circulares
+ * viram '[Circular]'.
+ * @param {*} value - Valor a mascarar
+ * @returns {*} Cópia mascarada
+ */
+export function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+
+  if (seen.has(value)) return '[Circular]';
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  seen.add(value);
+
+  const source = value instanceof Error ? serializeError(value) : value;
+  let result;
+
+  if (Array.isArray(source)) {
+    result = source.map(item => redact(item, depth + 1, seen));
+  } else {
+    result = {};
+    for (const [key, item] of Object.entries(source)) {
+      // Números e booleanos (ex.: maxTokens) não são segredos
+      const sensitive = isSensitiveKey(key)
+        && item !== null && item !== undefined && item !== ''
+        && typeof item !== 'number' && typeof item !== 'boolean';
+
+      result[key] = sensitive
+        ? REDACTED
+        : redact(item, depth + 1, seen);
+    }
+  }
+
+  seen.delete(value);
+  return result;
+}
+
+/**
+ * Resolve o nível de log configurado
+ * @returns {string} Nível (error, warn, info ou debug)
+ */
+export function resolveLogLevel() {
+  const environment = process.env.NODE_ENV === 'production' ? 'production' : 'development';
+  const level = process.env.LOG_LEVEL || config.environment?.[environment]?.logLevel || 'info';
+
+  return LOG_LEVELS[level] !== undefined ? level : 'info';
+}
+
+/**
+ * Sink que escreve no console (stderr para erros, stdout para o resto)
+ * @param {Object} options - Opções do sink
+ * @param {string} options.format - 'json' (padrão) ou 'pretty'
+ * @returns {Object} Sink de log
+ */
+export function createConsoleSink(options = {}) {
+  const format = options.format || config.logging?.format || 'json';
+
   return {
-    info: (message, meta = {}) => console.log(`[INFO] [${context}]`, message, meta),
-    error: (message, meta = {}) => console.error(`[ERROR] [${context}]`, message, meta),
-    warn: (message, meta = {}) => console.warn(`[WARN] [${context}]`, message, meta),
-    debug: (message, meta = {}) => console.debug(`[DEBUG] [${context}]`, message, meta)
+    write(entry, line) {
+      const stream = entry.level === 'error' ? process.stderr : process.stdout;
+
+      if (format === 'pretty') {
+        const { timestamp, level, context, message, ...meta } = entry;
+        const metaText = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+        stream.write(`${timestamp} [${level.toUpperCase()}] [${context}] ${message}${metaText}\n`);
+        return;
+      }
+
+      stream.write(`${line}\n`);
+    }
+  };
+}
+
+// Sinks de arquivo com linhas pendentes, gravadas ao encerrar o processo
+const bufferedSinks = new Set();
+
+process.on('exit', () => {
+  for (const sink of bufferedSinks) {
+    sink.flush();
+  }
+});
+
+/**
+ * Sink que grava em arquivo, rotacionando por tamanho
+ *
+ * As linhas são acumuladas e gravadas em lote a cada flushIntervalMs, quando
+ * o lote passa de bufferSize bytes e ao encerrar o processo, em vez de uma
+ * escrita por linha. Ao ultrapassar maxSize o arquivo atual vira
+ * `<arquivo>.1`, o `.1` vira `.2` e assim por diante, mantendo no máximo
+ * maxFiles arquivos antigos.
+ * @param {Object} options - Opções do sink
+ * @param {string} options.filePath - Caminho do arquivo de log
+ * @param {number} options.maxSize - Tamanho máximo em bytes (padrão 10 MB)
+ * @param {number} options.maxFiles - Arquivos rotacionados mantidos (padrão 5)
+ * @param {number} options.flushIntervalMs - Intervalo máximo até gravar um lote (padrão 100 ms)
+ * @param {number} options.bufferSize - Tamanho do lote que força a gravação (padrão 64 KB)
+ * @returns {Object} Sink de log (flush() grava as linhas pendentes)
+ */
+export function createRotatingFileSink(options = {}) {
+  if (!options.filePath) {
+    throw new Error('Caminho do arquivo de log é obrigatório');
+  }
+
+  const filePath = path.resolve(options.filePath);
+  const maxSize = options.maxSize || 10 * 1024 * 1024;
+  const maxFiles = options.maxFiles === undefined ? 5 : options.maxFiles;
+  const flushIntervalMs = options.flushIntervalMs || 100;
+  const bufferSize = options.bufferSize || 64 * 1024;
+  let currentSize = null;
+  let pending = [];
+  let pendingSize = 0;
+  let timer = null;
+
+  const rotate = () => {
+    for (let index = maxFiles - 1; index >= 1; index--) {
+      const source = `${filePath}.${index}`;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${filePath}.${index + 1}`);
+      }
+    }
+
+    if (maxFiles > 0) {
+      fs.renameSync(filePath, `${filePath}.1`);
+    } else {
+      fs.unlinkSync(filePath);
+    }
+
+    currentSize = 0;
+  };
+
+  const sink = {
+    filePath,
+    write(entry, line) {
+      const data = `${line}\n`;
+      pending.push(data);
+      pendingSize += Buffer.byteLength(data);
+      bufferedSinks.add(sink);
+
+      if (pendingSize >= bufferSize) {
+        sink.flush();
+      } else if (!timer) {
+        timer = setTimeout(() => sink.flush(), flushIntervalMs);
+        timer.unref();
+      }
+    },
+    flush() {
+      clearTimeout(timer);
+      timer = null;
+      bufferedSinks.delete(sink);
+      if (pending.length === 0) return;
+
+      const data = pending.join('');
+      const size = pendingSize;
+      pending = [];
+      pendingSize = 0;
+
+      try {
+        if (currentSize === null) {
+          fs.mkdirSync(path.dirname(filePath), { recursive: true });
+          currentSize = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        }
+
+        if (currentSize > 0 && currentSize + size > maxSize) {
+          rotate();
+        }
+
+        fs.appendFileSync(filePath, data, 'utf-8');
+        currentSize += size;
+      } catch (error) {
+        process.stderr.write(`Falha ao gravar log em ${filePath}: ${error.message}\n`);
+      }
+    }
   };
+
+  return sink;
+}
+
+/**
+ * Cria os sinks padrão a partir da configuração de logging
+ * @private
+ */
+function createDefaultSinks() {
+  const sinks = [createConsoleSink()];
+  const logging = config.logging || {};
+
+  if (logging.file) {
+    sinks.push(createRotatingFileSink({
+      filePath: logging.file,
+      maxSize: logging.maxFileSize,
+      maxFiles: logging.maxFiles
+    }));
+  }
+
+  return sinks;
+}
+
+let defaultSinks = null;
+
+/**
+ * Retorna os sinks compartilhados pelos loggers
+ * @returns {Array<Object>} Sinks ativos
+ */
+export function getLogSinks() {
+  if (!defaultSinks) {
+    defaultSinks = createDefaultSinks();
+  }
+
+  return defaultSinks;
+}
+
+/**
+ * Substitui os sinks compartilhados
+ * @param {Array<Object>} sinks - Objetos com write(entry, line)
+ */
+export function setLogSinks(sinks) {
+  defaultSinks = sinks;
+}
+
+/**
+ * Logger estruturado
+ */
+export class Logger {
+  /**
+   * @param {string} context - Nome do componente
+   * @param {Object} options - Opções do logger
+   * @param {string} options.level - Nível mínimo (padrão: configuração do ambiente)
+   * @param {Object} options.bindings - Campos adicionados a todos os registros
+   * @param {Array<Object>} options.sinks - Sinks próprios (padrão: sinks compartilhados)
+   */
+  constructor(context, options = {}) {
+    this.context = context;
+    this.level = options.level || resolveLogLevel();
+    this.bindings = options.bindings || {};
+    this.sinks = options.sinks || null;
+
+    if (LOG_LEVELS[this.level] === undefined) {
+      throw new Error(`Nível de log inválido: ${this.level}`);
+    }
+
+    // Métodos ligados para permitir uso desacoplado (ex.: callbacks)
+    for (const level of Object.keys(LOG_LEVELS)) {
+      this[level] = (message, meta) => this.log(level, message, meta);
+    }
+  }
+
+  /**
+   * Indica se um nível será registrado
+   * @param {string} level - Nível
+   * @returns {boolean} Verdadeiro se o nível está habilitado
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] <= LOG_LEVELS[this.level];
+  }
+
+  /**
+   * Cria um logger filho com campos fixos adicionais (requestId, traceId etc.)
+   * @param {Object} bindings - Campos do logger filho
+   * @returns {Logger} Logger filho
+   */
+  child(bindings = {}) {
+    return new Logger(this.context, {
+      level: this.level,
+      bindings: { ...this.bindings, ...bindings },
+      sinks: this.sinks
+    });
+  }
+
+  /**
+   * Registra uma mensagem
+   * @param {string} level - Nível do registro
+   * @param {string|Error} message - Mensagem
+   * @param {Object|Error} meta - Metadados (um Error é registrado em `error`)
+   */
+  log(level, message, meta) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const traceContext = getActiveTraceContext();
+    const fields = meta instanceof Error ? { error: meta } : (meta && typeof meta === 'object' ? meta : {});
+
+    if (meta !== undefined && meta !== null && typeof meta !== 'object') {
+      fields.meta = meta;
+    }
+
+    const core = {
+      timestamp: new Date().toISOString(),
+      level,
+      context: this.context,
+      message: message instanceof Error ? message.message : String(message)
+    };
+
+    // Campos fixos e metadados não sobrescrevem os campos principais
+    const entry = redact(Object.assign(
+      { ...core },
+      traceContext ? { traceId: traceContext.traceId, spanId: traceContext.spanId } : {},
+      this.bindings,
+      fields,
+      core
+    ));
+
+    if (message instanceof Error && !entry.error) {
+      entry.error = redact(message);
+    }
+
+    const line = JSON.stringify(entry);
+
+    for (const sink of this.sinks || getLogSinks()) {
+      try {
+        sink.write(entry, line);
+      } catch (error) {
+        process.stderr.write(`Falha ao gravar log: ${error.message}\n`);
+      }
+    }
+  }
+}
+
+/**
+ * Cria um logger para um componente
+ * @param {string} context - Nome do componente
+ * @param {Object} options - Opções (ver Logger)
+ * @returns {Logger} Logger estruturado
+ */
+export function createLogger(context, options = {}) {
+  return new Logger(context, options);
 }
 
 export default createLogger;
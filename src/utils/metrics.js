@@ -1,13 +1,573 @@
 /**
- * Módulo de métricas simulado
+ * Módulo de métricas
+ *
+ * Registro em memória de contadores, gauges e histogramas com rótulos,
+ * exposto no formato de texto do Prometheus (rota /metrics do servidor)
+ * e como snapshot JSON (DashboardAgent.getMetrics e /api/metrics).
+ *
+ * createMetrics(context) mantém a interface usada pelos agentes
+ * (record, increment, decrement, timing) e grava no registro padrão,
+ * adicionando o rótulo `component` com o nome do contexto. Registrar de
+ * novo uma métrica com outros rótulos acrescenta-os aos já declarados
+ * (séries sem um rótulo o expõem vazio, como no Prometheus).
+ * As rotas HTTP exigem o token de NEXUS_METRICS_TOKEN (ver metrics_api.js).
+ * Outros destinos (StatsD, console etc.) podem ser plugados com addSink.
  */
 
-export function createMetrics(context) {
+const METRIC_NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+// Buckets padrão (em milissegundos) para histogramas de duração
+export const DEFAULT_BUCKETS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+/**
+ * Converte um nome livre (ex.: 'database.query.duration') em nome válido do Prometheus
+ * @param {string} name - Nome original
+ * @returns {string} Nome normalizado
+ */
+export function normalizeMetricName(name) {
+  const normalized = String(name)
+    .replace(/[^a-zA-Z0-9_:]/g, '_')
+    .replace(/_+/g, '_')
+    .replace(/^_|_$/g, '');
+
+  return /^[0-9]/.test(normalized) ? `_${normalized}` : normalized;
+}
+
+/**
+ * Escapa o valor de um rótulo no formato de texto do Prometheus
+ * @private
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formata um número no formato de texto do Prometheus
+ * @private
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Formata um conjunto de rótulos ({a="1",b="2"})
+ * @private
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Classe base das métricas: guarda uma série por combinação de rótulos
+ */
+class Metric {
+  constructor(type, name, options = {}) {
+    if (!METRIC_NAME_PATTERN.test(name)) {
+      throw new Error(`Nome de métrica inválido: ${name}`);
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = options.help || name;
+    this.labelNames = [];
+    this.series = new Map();
+
+    this.addLabelNames(options.labelNames || []);
+  }
+
+  /**
+   * Acrescenta rótulos à métrica, mantendo as séries existentes
+   * @param {Array<string>} labelNames - Rótulos (os já declarados são ignorados)
+   * @throws {Error} Se algum nome de rótulo for inválido
+   */
+  addLabelNames(labelNames) {
+    const added = labelNames.filter(labelName => !this.labelNames.includes(labelName));
+    if (added.length === 0) return;
+
+    for (const labelName of added) {
+      if (!LABEL_NAME_PATTERN.test(labelName) || labelName.startsWith('__')) {
+        throw new Error(`Nome de rótulo inválido na métrica ${this.name}: ${labelName}`);
+      }
+    }
+
+    this.labelNames = [...this.labelNames, ...added];
+
+    // As chaves das séries dependem da lista de rótulos
+    this.series = new Map(Array.from(this.series.values()).map(series => [this.seriesKey(series.labels), series]));
+  }
+
+  /**
+   * Valida os rótulos e retorna a chave da série
+   * @private
+   */
+  seriesKey(labels = {}) {
+    for (const labelName of Object.keys(labels)) {
+      if (!this.labelNames.includes(labelName)) {
+        throw new Error(`Rótulo desconhecido na métrica ${this.name}: ${labelName}`);
+      }
+    }
+
+    return JSON.stringify(this.labelNames.map(labelName => (
+      labels[labelName] === undefined ? '' : String(labels[labelName])
+    )));
+  }
+
+  /**
+   * Retorna (criando se necessário) a série de um conjunto de rótulos
+   * @private
+   */
+  getSeries(labels = {}) {
+    const key = this.seriesKey(labels);
+
+    if (!this.series.has(key)) {
+      const seriesLabels = {};
+      for (const labelName of this.labelNames) {
+        if (labels[labelName] !== undefined) {
+          seriesLabels[labelName] = String(labels[labelName]);
+        }
+      }
+
+      this.series.set(key, this.createSeries(seriesLabels));
+    }
+
+    return this.series.get(key);
+  }
+
+  createSeries(labels) {
+    return { labels, value: 0 };
+  }
+
+  /**
+   * Remove todas as séries da métrica
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Snapshot JSON das séries
+   * @returns {Object} Métrica com suas amostras
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      help: this.help,
+      samples: Array.from(this.series.values()).map(series => ({
+        labels: { ...series.labels },
+        value: series.value
+      }))
+    };
+  }
+
+  /**
+   * Linhas no formato de texto do Prometheus
+   * @returns {Array<string>} Linhas da métrica
+   */
+  toPrometheus() {
+    return [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...Array.from(this.series.values()).map(series => (
+        `${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`
+      ))
+    ];
+  }
+}
+
+/**
+ * Contador monotônico
+ */
+export class Counter extends Metric {
+  constructor(name, options = {}) {
+    super('counter', name, options);
+  }
+
+  /**
+   * Incrementa o contador
+   * @param {Object} labels - Rótulos da série
+   * @param {number} value - Incremento (padrão 1, não pode ser negativo)
+   */
+  inc(labels = {}, value = 1) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Incremento inválido para o contador ${this.name}: ${value}`);
+    }
+
+    this.getSeries(labels).value += value;
+  }
+
+  /**
+   * Valor atual de uma série
+   * @param {Object} labels - Rótulos da série
+   * @returns {number} Valor
+   */
+  get(labels = {}) {
+    const series = this.series.get(this.seriesKey(labels));
+    return series ? series.value : 0;
+  }
+}
+
+/**
+ * Valor que pode subir e descer
+ */
+export class Gauge extends Metric {
+  constructor(name, options = {}) {
+    super('gauge', name, options);
+  }
+
+  /**
+   * Define o valor do gauge
+   * @param {Object} labels - Rótulos da série
+   * @param {number} value - Valor
+   */
+  set(labels = {}, value) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      throw new Error(`Valor inválido para o gauge ${this.name}: ${value}`);
+    }
+
+    this.getSeries(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.getSeries(labels).value -= value;
+  }
+
+  get(labels = {}) {
+    const series = this.series.get(this.seriesKey(labels));
+    return series ? series.value : 0;
+  }
+}
+
+/**
+ * Histograma com buckets cumulativos
+ */
+export class Histogram extends Metric {
+  constructor(name, options = {}) {
+    super('histogram', name, options);
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  addLabelNames(labelNames) {
+    if (labelNames.includes('le')) {
+      throw new Error(`O rótulo "le" é reservado em histogramas: ${this.name}`);
+    }
+
+    super.addLabelNames(labelNames);
+  }
+
+  createSeries(labels) {
+    return { labels, count: 0, sum: 0, bucketCounts: this.buckets.map(() => 0) };
+  }
+
+  /**
+   * Registra uma observação
+   * @param {Object} labels - Rótulos da série
+   * @param {number} value - Valor observado
+   */
+  observe(labels = {}, value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Valor inválido para o histograma ${this.name}: ${value}`);
+    }
+
+    const series = this.getSeries(labels);
+    series.count += 1;
+    series.sum += value;
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.bucketCounts[index] += 1;
+      }
+    });
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: this.type,
+      help: this.help,
+      buckets: [...this.buckets],
+      samples: Array.from(this.series.values()).map(series => ({
+        labels: { ...series.labels },
+        count: series.count,
+        sum: series.sum,
+        avg: series.count > 0 ? series.sum / series.count : 0,
+        buckets: Object.fromEntries(this.buckets.map((bound, index) => [
+          String(bound), series.bucketCounts[index]
+        ]))
+      }))
+    };
+  }
+
+  toPrometheus() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} histogram`
+    ];
+
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.bucketCounts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+
+    return lines;
+  }
+}
+
+const METRIC_CLASSES = { counter: Counter, gauge: Gauge, histogram: Histogram };
+
+/**
+ * Registro de métricas
+ */
+export class MetricsRegistry {
+  /**
+   * @param {Object} options - Opções do registro
+   * @param {string} options.prefix - Prefixo aplicado aos nomes (padrão 'nexus_')
+   */
+  constructor(options = {}) {
+    this.prefix = options.prefix === undefined ? 'nexus_' : options.prefix;
+    this.metrics = new Map();
+    this.sinks = new Set();
+  }
+
+  /**
+   * Retorna uma métrica existente (acrescentando os rótulos novos) ou a registra
+   * @private
+   */
+  getOrCreate(type, name, options = {}) {
+    const fullName = `${this.prefix}${name}`;
+    const existing = this.metrics.get(fullName);
+
+    if (existing) {
+      if (existing.type !== type) {
+        throw new Error(`Métrica ${fullName} já registrada como ${existing.type}`);
+      }
+      existing.addLabelNames(options.labelNames || []);
+      return existing;
+    }
+
+    const metric = new METRIC_CLASSES[type](fullName, options);
+    this.metrics.set(fullName, metric);
+    return metric;
+  }
+
+  /**
+   * Registra (ou obtém) um contador
+   * @param {string} name - Nome sem prefixo
+   * @param {Object} options - help, labelNames
+   * @returns {Counter} Contador
+   */
+  counter(name, options = {}) {
+    return this.getOrCreate('counter', name, options);
+  }
+
+  /**
+   * Registra (ou obtém) um gauge
+   * @param {string} name - Nome sem prefixo
+   * @param {Object} options - help, labelNames
+   * @returns {Gauge} Gauge
+   */
+  gauge(name, options = {}) {
+    return this.getOrCreate('gauge', name, options);
+  }
+
+  /**
+   * Registra (ou obtém) um histograma
+   * @param {string} name - Nome sem prefixo
+   * @param {Object} options - help, labelNames, buckets
+   * @returns {Histogram} Histograma
+   */
+  histogram(name, options = {}) {
+    return this.getOrCreate('histogram', name, options);
+  }
+
+  /**
+   * Obtém uma métrica pelo nome completo (com prefixo)
+   * @param {string} name - Nome da métrica
+   * @returns {Metric|undefined} Métrica
+   */
+  getMetric(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Adiciona um destino que recebe cada amostra registrada via createMetrics
+   * @param {Object} sink - Objeto com o método record({ type, name, value, labels, timestamp })
+   * @returns {Function} Função que remove o destino
+   */
+  addSink(sink) {
+    if (!sink || typeof sink.record !== 'function') {
+      throw new Error('O destino de métricas deve implementar record(sample)');
+    }
+
+    this.sinks.add(sink);
+    return () => this.sinks.delete(sink);
+  }
+
+  /**
+   * Encaminha uma amostra para os destinos plugados
+   * @private
+   */
+  emit(sample) {
+    for (const sink of this.sinks) {
+      try {
+        sink.record(sample);
+      } catch (error) {
+        console.warn(`[METRICS] Falha no destino de métricas: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Snapshot JSON de todas as métricas
+   * @param {Object} filters - Filtros opcionais
+   * @param {string} filters.component - Mantém apenas amostras com este rótulo component
+   * @param {string} filters.name - Mantém apenas métricas cujo nome contém este trecho
+   * @returns {Object} Snapshot com timestamp e métricas
+   */
+  snapshot(filters = {}) {
+    const metrics = [];
+
+    for (const metric of this.metrics.values()) {
+      if (filters.name && !metric.name.includes(filters.name)) continue;
+
+      const json = metric.toJSON();
+
+      if (filters.component) {
+        json.samples = json.samples.filter(sample => sample.labels.component === filters.component);
+        if (json.samples.length === 0) continue;
+      }
+
+      metrics.push(json);
+    }
+
+    return {
+      timestamp: new Date().toISOString(),
+      metrics
+    };
+  }
+
+  /**
+   * Exposição no formato de texto do Prometheus (versão 0.0.4)
+   * @returns {string} Texto de exposição
+   */
+  toPrometheus() {
+    const blocks = Array.from(this.metrics.values())
+      .filter(metric => metric.series.size > 0)
+      .map(metric => metric.toPrometheus().join('\n'));
+
+    return blocks.length > 0 ? `${blocks.join('\n')}\n` : '';
+  }
+
+  /**
+   * Remove as séries de todas as métricas (mantém o registro)
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+}
+
+// Content-Type da exposição em texto do Prometheus
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+let defaultRegistry = new MetricsRegistry();
+
+/**
+ * Retorna o registro de métricas padrão
+ * @returns {MetricsRegistry} Registro padrão
+ */
+export function getMetricsRegistry() {
+  return defaultRegistry;
+}
+
+/**
+ * Substitui o registro padrão (útil para isolar métricas em testes)
+ * @param {MetricsRegistry} registry - Novo registro
+ * @returns {MetricsRegistry} Registro anterior
+ */
+export function setMetricsRegistry(registry) {
+  const previous = defaultRegistry;
+  defaultRegistry = registry;
+  return previous;
+}
+
+/**
+ * Destino que escreve as amostras no console (comportamento do antigo módulo simulado)
+ * @returns {Object} Destino de métricas
+ */
+export function createConsoleSink() {
+  return {
+    record: ({ type, name, value, labels }) => {
+      console.log(`[METRICS] [${labels.component}] ${name} (${type}): ${value}`);
+    }
+  };
+}
+
+if (process.env.NEXUS_METRICS_CONSOLE === 'true') {
+  defaultRegistry.addSink(createConsoleSink());
+}
+
+/**
+ * Cria a interface de métricas de um componente
+ *
+ * Nomes livres como 'database.query.duration' são normalizados para o
+ * formato do Prometheus; contadores recebem o sufixo `_total` e tempos
+ * viram histogramas com sufixo `_ms`. Falhas de registro (ex.: o mesmo
+ * nome usado com tipos diferentes) são apenas avisadas, nunca propagadas
+ * para o agente.
+ * @param {string} context - Nome do componente (rótulo `component`)
+ * @param {Object} options - Opções
+ * @param {MetricsRegistry} options.registry - Registro a usar (padrão: registro compartilhado)
+ * @returns {Object} Interface { record, increment, decrement, timing }
+ */
+export function createMetrics(context, options = {}) {
+  const resolveRegistry = () => options.registry || getMetricsRegistry();
+
+  const withLabels = (labels = {}) => ({ component: context, ...labels });
+  const labelNamesOf = labels => Object.keys(labels);
+
+  const track = (type, rawName, value, labels, apply) => {
+    const registry = resolveRegistry();
+    const sampleLabels = withLabels(labels);
+
+    try {
+      apply(registry, normalizeMetricName(rawName), sampleLabels);
+      registry.emit({ type, name: rawName, value, labels: sampleLabels, timestamp: Date.now() });
+    } catch (error) {
+      console.warn(`[METRICS] [${context}] Falha ao registrar ${rawName}: ${error.message}`);
+    }
+  };
+
+  // Cada chamada declara os seus rótulos; o registro os une aos da métrica
   return {
-    record: (name, value) => console.log(`[METRICS] [${context}] ${name}: ${value}`),
-    increment: (name) => console.log(`[METRICS] [${context}] ${name} incrementado`),
-    decrement: (name) => console.log(`[METRICS] [${context}] ${name} decrementado`),
-    timing: (name, timeMs) => console.log(`[METRICS] [${context}] ${name}: ${timeMs}ms`)
+    record: (name, value, labels = {}) => track('gauge', name, value, labels, (registry, metricName, allLabels) => {
+      registry.gauge(metricName, { help: name, labelNames: labelNamesOf(allLabels) }).set(allLabels, value);
+    }),
+    increment: (name, value = 1, labels = {}) => track('counter', name, value, labels, (registry, metricName, allLabels) => {
+      registry.counter(`${metricName}_total`, { help: name, labelNames: labelNamesOf(allLabels) }).inc(allLabels, value);
+    }),
+    decrement: (name, value = 1, labels = {}) => track('gauge', name, -value, labels, (registry, metricName, allLabels) => {
+      registry.gauge(metricName, { help: name, labelNames: labelNamesOf(allLabels) }).dec(allLabels, value);
+    }),
+    timing: (name, timeMs, labels = {}) => track('histogram', name, timeMs, labels, (registry, metricName, allLabels) => {
+      registry.histogram(`${metricName}_ms`, { help: `${name} (ms)`, labelNames: labelNamesOf(allLabels) }).observe(allLabels, timeMs);
+    })
   };
 }
 
@@ -0,0 +1,464 @@
+// src/utils/migration_runner.js
+
+/**
+ * Executor de migrações versionadas
+ *
+ * As migrações ficam em src/config/database/migrations como pares
+ * `NNNN_nome.up.sql` / `NNNN_nome.down.sql`. Cada migração aplicada é
+ * registrada em `schema_migrations` com o checksum (SHA-256) do arquivo
+ * up; se o arquivo for editado depois de aplicado, os comandos são
+ * recusados até que a divergência seja resolvida. Um registro em
+ * `schema_migrations_lock` impede execuções concorrentes (locks expirados
+ * são liberados automaticamente).
+ *
+ * O SQL é executado pelo SupabaseAdapter (RPC exec_sql no driver supabase,
+ * DDL embutido nos drivers memory/file).
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+import { createMetrics } from './metrics.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIRECTORY = path.resolve(__dirname, '../config/database/migrations');
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([A-Za-z0-9_-]+)\.(up|down)\.sql$/;
+const HISTORY_TABLE = 'schema_migrations';
+const LOCK_TABLE = 'schema_migrations_lock';
+const LOCK_ID = 'migrations';
+
+const TRACKING_TABLES_SQL = `
+CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+  version TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  execution_ms INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS ${LOCK_TABLE} (
+  id TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  acquired_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+NOTIFY pgrst, 'reload schema';
+`;
+
+/**
+ * Erro das operações de migração
+ */
+export class MigrationError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - MIGRATION_LOCKED, MIGRATION_CHECKSUM_MISMATCH, MIGRATION_MISSING,
+   *   MIGRATION_IRREVERSIBLE, MIGRATION_FAILED ou MIGRATION_INVALID
+   * @param {Object} details - Detalhes (versões envolvidas, dono do lock etc.)
+   */
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Checksum do conteúdo de uma migração (independente de quebras de linha CRLF/LF)
+ * @param {string} content - Conteúdo SQL
+ * @returns {string} SHA-256 em hexadecimal
+ */
+export function computeChecksum(content) {
+  return crypto.createHash('sha256').update(content.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+class MigrationRunner {
+  /**
+   * @param {Object} options - Opções
+   * @param {Object} options.adapter - SupabaseAdapter (query, selectRows, insertRows, deleteRows)
+   * @param {string} options.directory - Diretório das migrações
+   * @param {number} options.lockTtlMs - Validade do lock (padrão 10 minutos)
+   * @param {string} options.owner - Identificação do processo que obtém o lock
+   */
+  constructor(options = {}) {
+    if (!options.adapter) {
+      throw new Error('MigrationRunner exige um adaptador de banco de dados');
+    }
+
+    this.adapter = options.adapter;
+    this.directory = options.directory || MIGRATIONS_DIRECTORY;
+    this.lockTtlMs = options.lockTtlMs || 10 * 60 * 1000;
+    this.owner = options.owner || `${os.hostname()}:${process.pid}`;
+    this.logger = createLogger('MigrationRunner');
+    this.metrics = createMetrics('MigrationRunner');
+  }
+
+  /**
+   * Lê as migrações do diretório, ordenadas pela versão
+   * @returns {Array<Object>} Migrações ({ version, name, up, down, checksum })
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    const migrations = new Map();
+
+    for (const file of fs.readdirSync(this.directory)) {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      const existing = migrations.get(version);
+
+      if (existing && existing.name !== name) {
+        throw new MigrationError(
+          `Versão de migração duplicada: ${version} (${existing.name} e ${name})`,
+          'MIGRATION_INVALID',
+          { version }
+        );
+      }
+
+      const migration = existing || { version, name, up: null, down: null, checksum: null };
+      migration[direction] = fs.readFileSync(path.join(this.directory, file), 'utf8');
+      migrations.set(version, migration);
+    }
+
+    return Array.from(migrations.values())
+      .map(migration => {
+        if (migration.up === null) {
+          throw new MigrationError(
+            `Migração ${migration.version}_${migration.name} sem arquivo .up.sql`,
+            'MIGRATION_INVALID',
+            { version: migration.version }
+          );
+        }
+        return { ...migration, checksum: computeChecksum(migration.up) };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+  }
+
+  /**
+   * Cria as tabelas de histórico e de lock, se necessário
+   */
+  async ensureTrackingTables() {
+    const { error } = await this.adapter.query(TRACKING_TABLES_SQL);
+
+    if (error) {
+      throw new MigrationError(`Falha ao criar tabelas de controle: ${error.message}`, 'MIGRATION_FAILED');
+    }
+  }
+
+  /**
+   * Situação de cada migração
+   * @returns {Promise<Object>} { migrations: [{ version, name, status, appliedAt }], applied, pending, issues }
+   *   status: applied, pending, modified (checksum divergente) ou missing (aplicada sem arquivo)
+   */
+  async status() {
+    await this.ensureTrackingTables();
+
+    const migrations = this.loadMigrations();
+    const history = await this._getHistory();
+    const applied = new Map(history.map(entry => [entry.version, entry]));
+    const known = new Set(migrations.map(migration => migration.version));
+
+    const entries = migrations.map(migration => {
+      const record = applied.get(migration.version);
+      let status = 'pending';
+
+      if (record) {
+        status = record.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+
+      return {
+        version: migration.version,
+        name: migration.name,
+        status,
+        appliedAt: record ? record.applied_at : null,
+        reversible: migration.down !== null
+      };
+    });
+
+    for (const record of history) {
+      if (!known.has(record.version)) {
+        entries.push({
+          version: record.version,
+          name: record.name,
+          status: 'missing',
+          appliedAt: record.applied_at,
+          reversible: false
+        });
+      }
+    }
+
+    entries.sort((a, b) => Number(a.version) - Number(b.version));
+
+    return {
+      migrations: entries,
+      applied: entries.filter(entry => entry.status === 'applied').length,
+      pending: entries.filter(entry => entry.status === 'pending').length,
+      issues: entries.filter(entry => entry.status === 'modified' || entry.status === 'missing')
+    };
+  }
+
+  /**
+   * Aplica as migrações pendentes
+   * @param {Object} options - Opções
+   * @param {string} options.to - Aplica até esta versão (inclusive)
+   * @param {number} options.step - Quantidade máxima de migrações
+   * @returns {Promise<Object>} { command, migrations }
+   */
+  async up({ to, step } = {}) {
+    return this._withLock('up', async () => {
+      const { migrations, history } = await this._verify();
+      const applied = new Set(history.map(entry => entry.version));
+
+      let pending = migrations.filter(migration => !applied.has(migration.version));
+      if (to !== undefined) {
+        pending = pending.filter(migration => Number(migration.version) <= this._resolveVersion(to, migrations));
+      }
+      if (step !== undefined) {
+        pending = pending.slice(0, step);
+      }
+
+      const executed = [];
+      for (const migration of pending) {
+        executed.push(await this._apply(migration, 'up'));
+      }
+
+      return { command: 'up', migrations: executed };
+    });
+  }
+
+  /**
+   * Reverte migrações aplicadas (da mais recente para a mais antiga)
+   * @param {Object} options - Opções
+   * @param {string} options.to - Reverte até restar esta versão como a mais recente
+   * @param {number} options.step - Quantidade de migrações (padrão 1)
+   * @returns {Promise<Object>} { command, migrations }
+   */
+  async down({ to, step } = {}) {
+    return this._withLock('down', async () => {
+      const executed = await this._rollback(await this._verify(), { to, step });
+      return { command: 'down', migrations: executed };
+    });
+  }
+
+  /**
+   * Reverte e reaplica as últimas migrações
+   * @param {Object} options - Opções
+   * @param {number} options.step - Quantidade de migrações (padrão 1)
+   * @returns {Promise<Object>} { command, migrations }
+   */
+  async redo({ step = 1 } = {}) {
+    return this._withLock('redo', async () => {
+      const state = await this._verify();
+      const reverted = await this._rollback(state, { step });
+      const executed = [...reverted];
+
+      for (const entry of [...reverted].reverse()) {
+        const migration = state.migrations.find(candidate => candidate.version === entry.version);
+        executed.push(await this._apply(migration, 'up'));
+      }
+
+      return { command: 'redo', migrations: executed };
+    });
+  }
+
+  /**
+   * Reverte migrações a partir do estado verificado
+   * @private
+   */
+  async _rollback({ migrations, history }, { to, step }) {
+    let targets = [...history].sort((a, b) => Number(b.version) - Number(a.version));
+
+    if (to !== undefined) {
+      const version = this._resolveVersion(to, migrations);
+      targets = targets.filter(entry => Number(entry.version) > version);
+    } else {
+      targets = targets.slice(0, step || 1);
+    }
+
+    const executed = [];
+    for (const entry of targets) {
+      const migration = migrations.find(candidate => candidate.version === entry.version);
+
+      if (!migration.down) {
+        throw new MigrationError(
+          `Migração ${migration.version}_${migration.name} não possui arquivo .down.sql`,
+          'MIGRATION_IRREVERSIBLE',
+          { version: migration.version }
+        );
+      }
+
+      executed.push(await this._apply(migration, 'down'));
+    }
+
+    return executed;
+  }
+
+  /**
+   * Executa uma migração em uma direção e atualiza o histórico
+   * @private
+   */
+  async _apply(migration, direction) {
+    const label = `${migration.version}_${migration.name}`;
+    const startTime = Date.now();
+
+    this.logger.info(`Executando migração ${label} (${direction})`);
+
+    const { error } = await this.adapter.query(migration[direction]);
+    const durationMs = Date.now() - startTime;
+
+    if (error) {
+      this.metrics.increment('migrations.failed', 1, { direction });
+      throw new MigrationError(`Falha na migração ${label} (${direction}): ${error.message}`, 'MIGRATION_FAILED', {
+        version: migration.version,
+        direction,
+        code: error.code
+      });
+    }
+
+    if (direction === 'up') {
+      await this.adapter.insertRows(HISTORY_TABLE, {
+        version: migration.version,
+        name: migration.name,
+        checksum: migration.checksum,
+        execution_ms: durationMs
+      });
+    } else {
+      await this.adapter.deleteRows(HISTORY_TABLE, { version: migration.version });
+    }
+
+    this.metrics.increment('migrations.executed', 1, { direction });
+    this.metrics.timing('migrations.duration', durationMs, { direction });
+    this.logger.info(`Migração ${label} (${direction}) concluída em ${durationMs}ms`);
+
+    return { version: migration.version, name: migration.name, direction, durationMs };
+  }
+
+  /**
+   * Carrega migrações e histórico e recusa divergências de checksum ou arquivos ausentes
+   * @private
+   */
+  async _verify() {
+    const migrations = this.loadMigrations();
+    const history = await this._getHistory();
+    const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+    for (const entry of history) {
+      const migration = byVersion.get(entry.version);
+
+      if (!migration) {
+        throw new MigrationError(
+          `Migração aplicada ${entry.version}_${entry.name} não existe em ${this.directory}`,
+          'MIGRATION_MISSING',
+          { version: entry.version }
+        );
+      }
+
+      if (migration.checksum !== entry.checksum) {
+        throw new MigrationError(
+          `Migração ${entry.version}_${entry.name} foi alterada após ser aplicada (checksum divergente); ` +
+          'crie uma nova migração em vez de editar uma existente',
+          'MIGRATION_CHECKSUM_MISMATCH',
+          { version: entry.version, expected: entry.checksum, actual: migration.checksum }
+        );
+      }
+    }
+
+    return { migrations, history };
+  }
+
+  /**
+   * Converte "0003" ou "0003_nome" na versão numérica, validando que existe
+   * @private
+   */
+  _resolveVersion(target, migrations) {
+    const version = Number(String(target).split('_')[0]);
+    if (Number.isNaN(version) || !migrations.some(migration => Number(migration.version) === version)) {
+      throw new MigrationError(`Versão de migração desconhecida: ${target}`, 'MIGRATION_INVALID', { version: target });
+    }
+    return version;
+  }
+
+  /**
+   * Histórico de migrações aplicadas
+   * @private
+   */
+  async _getHistory() {
+    return this.adapter.selectRows(HISTORY_TABLE, { order: { version: 'asc' } });
+  }
+
+  /**
+   * Executa uma operação segurando o lock de migrações
+   * @private
+   */
+  async _withLock(command, operation) {
+    await this.ensureTrackingTables();
+    await this._acquireLock();
+
+    try {
+      return await operation();
+    } catch (error) {
+      this.logger.error(`Comando de migração ${command} falhou`, error);
+      throw error;
+    } finally {
+      await this._releaseLock();
+    }
+  }
+
+  /**
+   * Obtém o lock; um lock expirado é removido e a tentativa é repetida uma vez
+   * @private
+   */
+  async _acquireLock(retry = true) {
+    const now = Date.now();
+
+    try {
+      await this.adapter.insertRows(LOCK_TABLE, {
+        id: LOCK_ID,
+        owner: this.owner,
+        acquired_at: new Date(now).toISOString(),
+        expires_at: new Date(now + this.lockTtlMs).toISOString()
+      });
+    } catch (error) {
+      if (error.code !== '23505') throw error;
+
+      const [current] = await this.adapter.selectRows(LOCK_TABLE, { filters: { id: LOCK_ID } });
+
+      if (retry && current && Date.parse(current.expires_at) < now) {
+        this.logger.warn(`Removendo lock de migração expirado de ${current.owner}`);
+        await this.adapter.deleteRows(LOCK_TABLE, { id: LOCK_ID, owner: current.owner });
+        return this._acquireLock(false);
+      }
+
+      throw new MigrationError(
+        `Migrações em execução por ${current?.owner || 'outro processo'} desde ${current?.acquired_at || '?'}`,
+        'MIGRATION_LOCKED',
+        { owner: current?.owner, expiresAt: current?.expires_at }
+      );
+    }
+  }
+
+  /**
+   * Libera o lock deste processo
+   * @private
+   */
+  async _releaseLock() {
+    try {
+      await this.adapter.deleteRows(LOCK_TABLE, { id: LOCK_ID, owner: this.owner });
+    } catch (error) {
+      this.logger.warn('Falha ao liberar lock de migração', { error: error.message });
+    }
+  }
+}
+
+export { MigrationRunner };
+export default MigrationRunner;
@@ -0,0 +1,527 @@
+// src/utils/prd_plan.js
+
+/**
+ * Plano de tarefas a partir de um PRD
+ *
+ * Converte um documento de requisitos em Markdown (como scripts/prd.txt) em
+ * um plano de épicos, tarefas e subtarefas com dependências e estimativas
+ * de complexidade:
+ *   - parsePrd: árvore de seções, com itens de lista (e sub-itens) e as
+ *     fases do escopo ("**Fase 1 (Mês 1-2):**" seguida de itens);
+ *   - buildPlanFromPrd: plano por regras, sem IA. Seções de requisitos e
+ *     de arquitetura viram épicos, suas subseções viram tarefas e os itens
+ *     viram subtarefas (em PRDs sem subseções, cada item é uma tarefa);
+ *     tarefas de fundação (arquitetura, banco de dados, autenticação) vêm
+ *     primeiro e as demais seguem as fases em que são citadas;
+ *   - normalizePlan: valida e completa um plano, gerado por IA ou pelas
+ *     regras, rejeitando dependências circulares.
+ * Tarefas do plano são identificadas por refs ("T1") e as dependências
+ * citam refs; os IDs do tasks.json só existem quando o plano é aplicado.
+ * Trechos entre colchetes (instruções do modelo scripts/example_prd.txt),
+ * tabelas e tags (<PRD>) são ignorados.
+ */
+
+import { buildTaskGraph, findCycles } from './task_graph.js';
+import { DEFAULT_COMPLEXITY_THRESHOLD } from './complexity_report.js';
+
+// Seções cujas subseções viram épicos (texto sem acentos)
+const EPIC_SECTIONS = /requisito|requirement|funcionalidade|feature|roadmap|arquitetura|architecture|modulo|module/;
+
+// Seções que não descrevem trabalho a fazer
+const IGNORED_SECTIONS = /visao geral|overview|publico|audience|metrica|metric|risco|risk|conclus|apendice|appendix|design de interface|user experience|plano de implementacao|escopo do projeto|cronograma|timeline|dependency chain|cadeia de dependencia/;
+
+// Tarefas de fundação, na ordem em que devem ser feitas
+const FOUNDATION_RULES = [
+  /arquitetura|architecture|stack|infraestrutura|infrastructure|setup|fundacao|foundation/,
+  /banco de dados|database|schema|modelo de dados|data model/,
+  /autentica|authentication|login/
+];
+
+// Aspectos que aumentam a complexidade de uma tarefa
+const COMPLEX_TERMS = [
+  ['integração', /integra/],
+  ['tempo real', /tempo real|real-?time/],
+  ['segurança', /seguranc|security|criptograf|encrypt/],
+  ['autenticação', /autentica|authentica|\bmfa\b|\blogin\b|permiss/],
+  ['IA', /\bia\b|\bai\b|inteligencia artificial|\bllm/],
+  ['automação', /automa/],
+  ['sincronização', /sincroniz|\bsync/],
+  ['busca', /\bbusca|search|filtr/],
+  ['versionamento', /\bversao|\bversoes|versioning|historico/],
+  ['notificações', /notifica|lembrete/],
+  ['recorrência', /recorr|recurr/],
+  ['grafo', /\bgrafo|\bgraph/],
+  ['análise de dados', /analise|analytics|insight/],
+  ['escalabilidade', /escalab|balanceamento|desempenho|performance/],
+  ['conformidade', /\blgpd\b|\bgdpr\b|conformidade|\bwcag\b|acessibilidade/]
+];
+
+// Palavras comuns demais para relacionar tarefas ou fases
+const GENERIC_TERMS = new Set([
+  'sistema', 'gestao', 'gerenciamento', 'integracao', 'integracoe', 'usuario', 'estilo', 'basico', 'avancado',
+  'requisito', 'funcionai', 'funcional', 'modulo', 'recurso', 'melhoria', 'suporte', 'implementacao',
+  'desenvolvimento', 'criacao', 'tecnico', 'tecnologico', 'personalizado', 'geral', 'para', 'entre',
+  'outro', 'como', 'system', 'management', 'integration', 'user', 'feature', 'support', 'basic',
+  'advanced', 'module', 'with', 'from'
+]);
+
+const PRIORITY_ALIASES = {
+  high: 'high', alta: 'high', critical: 'high', critica: 'high', urgent: 'high',
+  medium: 'medium', media: 'medium', normal: 'medium',
+  low: 'low', baixa: 'low'
+};
+
+/**
+ * Erro do plano de PRD
+ */
+export class PrdPlanError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - PRD_INVALID, PRD_PLAN_NOT_FOUND ou PRD_PLAN_APPLIED
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'PrdPlanError';
+    this.code = code;
+  }
+}
+
+/**
+ * Remove acentos e normaliza para minúsculas
+ * @private
+ */
+function fold(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Remove a marcação inline (negrito, itálico, código) de um texto
+ * @private
+ */
+function plainText(text) {
+  return String(text || '').replace(/\*\*|__|`/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Radical simples de uma palavra (sem acentos e sem o "s" final)
+ * @private
+ */
+function stem(word) {
+  const folded = fold(word);
+  return folded.length > 4 ? folded.replace(/s$/, '') : folded;
+}
+
+/**
+ * Termos que identificam um título (siglas em maiúsculas, como "IA", contam)
+ * @private
+ */
+function keyTerms(text) {
+  const terms = new Set();
+
+  for (const word of String(text || '').match(/[\p{L}\p{N}]+/gu) || []) {
+    const term = stem(word);
+    const acronym = word.length >= 2 && /\p{Lu}/u.test(word) && word === word.toUpperCase();
+
+    if ((term.length >= 4 && !GENERIC_TERMS.has(term)) || acronym) {
+      terms.add(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Todas as palavras (radicais) de um texto
+ * @private
+ */
+function wordSet(text) {
+  return new Set((String(text || '').match(/[\p{L}\p{N}]+/gu) || []).map(stem));
+}
+
+/**
+ * Interpreta o PRD
+ * @param {string} text - Conteúdo do PRD (Markdown)
+ * @returns {Object} { title, sections: [{ level, title, text, items, sections }], phases: [{ number, title, items }] }
+ *   items são [{ text, children: [texto] }]
+ */
+export function parsePrd(text) {
+  const root = { level: 0, title: '', text: [], items: [], sections: [] };
+  const stack = [root];
+  const phases = [];
+  let phase = null;
+  let inBrackets = false;
+  let listIndent = null;
+
+  for (const rawLine of String(text || '').replace(/\r\n?/g, '\n').split('\n')) {
+    const line = rawLine.replace(/\t/g, '  ');
+    const trimmed = line.trim();
+
+    // Instruções de modelo entre colchetes, possivelmente em várias linhas
+    if (inBrackets || trimmed.startsWith('[')) {
+      inBrackets = !trimmed.endsWith(']');
+      continue;
+    }
+
+    if (!trimmed || trimmed.startsWith('|') || /^<\/?[\w-]+>$/.test(trimmed) || /^(-{3,}|\*{3,})$/.test(trimmed)) {
+      continue;
+    }
+
+    const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+    if (heading) {
+      const level = heading[1].length;
+      while (stack[stack.length - 1].level >= level) stack.pop();
+
+      const section = {
+        level,
+        title: plainText(heading[2]).replace(/^\d+(\.\d+)*\.?\s+/, ''),
+        text: [],
+        items: [],
+        sections: []
+      };
+      stack[stack.length - 1].sections.push(section);
+      stack.push(section);
+      phase = null;
+      listIndent = null;
+      continue;
+    }
+
+    const section = stack[stack.length - 1];
+
+    const phaseMatch = trimmed.match(/^\*\*((?:fase|phase|etapa|sprint|milestone)\s*(\d+)[^*]*?):?\*\*:?\s*$/i);
+    if (phaseMatch) {
+      phase = { number: Number(phaseMatch[2]), title: plainText(phaseMatch[1]).replace(/:$/, ''), items: [] };
+      phases.push(phase);
+      continue;
+    }
+
+    const bullet = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/);
+    if (bullet) {
+      const content = plainText(bullet[2]);
+      if (!content) continue;
+
+      if (phase) {
+        phase.items.push(content);
+        continue;
+      }
+
+      const indent = bullet[1].length;
+      const parent = section.items[section.items.length - 1];
+      if (listIndent === null || indent <= listIndent || !parent) {
+        listIndent = listIndent === null ? indent : Math.min(listIndent, indent);
+        section.items.push({ text: content, children: [] });
+      } else {
+        parent.children.push(content);
+      }
+      continue;
+    }
+
+    // Parágrafo comum: encerra a fase e a lista em andamento
+    phase = null;
+    listIndent = null;
+    section.text.push(plainText(trimmed));
+  }
+
+  // Um único título de nível 1 com subseções é o nome do documento
+  let title = '';
+  let sections = root.sections;
+  if (sections.length === 1 && sections[0].sections.length > 0) {
+    title = sections[0].title;
+    sections = sections[0].sections;
+  }
+
+  return { title, sections, phases };
+}
+
+/**
+ * Itens de uma seção e de todas as suas subseções
+ * @private
+ */
+function collectItems(section) {
+  return [...section.items, ...section.sections.flatMap(collectItems)];
+}
+
+/**
+ * Estima a complexidade de uma tarefa no formato do relatório do TaskMaster
+ * @param {Object} task - { title, description, subtasks: [{ title }], dependencies }
+ * @returns {Object} { score, recommendedSubtasks, expansionPrompt, reasoning }
+ */
+export function estimateComplexity(task) {
+  const subtasks = task.subtasks || [];
+  const dependencies = task.dependencies || [];
+  const text = fold([task.title, ...(subtasks.length > 0 ? subtasks.map(subtask => subtask.title) : [task.description])].join(' '));
+  const aspects = COMPLEX_TERMS.filter(([, pattern]) => pattern.test(text)).map(([label]) => label);
+  const size = subtasks.length > 0
+    ? Math.ceil(subtasks.length / 2)
+    : Math.floor(text.split(/\s+/).filter(Boolean).length / 8);
+
+  const score = Math.max(1, Math.min(10,
+    1 + Math.min(3, size) + Math.min(5, aspects.length * 2) + (dependencies.length > 1 ? 1 : 0)
+  ));
+  const recommendedSubtasks = Math.max(subtasks.length, Math.ceil(score / 2));
+
+  const expansionPrompt = subtasks.length > 0
+    ? `Divida "${task.title}" em ${recommendedSubtasks} subtarefas a partir dos requisitos: ${subtasks.map(subtask => subtask.title).join('; ')}${recommendedSubtasks > subtasks.length ? '; inclua testes e integração com as demais partes' : ''}.`
+    : `Divida "${task.title}" em ${recommendedSubtasks} subtarefas, da modelagem à implementação e aos testes.`;
+
+  const reasons = [subtasks.length > 0 ? `${subtasks.length} requisito(s) no PRD` : 'requisito sem detalhamento no PRD'];
+  reasons.push(aspects.length > 0 ? `aspectos complexos: ${aspects.join(', ')}` : 'sem aspectos de complexidade elevada');
+  if (dependencies.length > 1) {
+    reasons.push(`depende de ${dependencies.length} tarefas`);
+  }
+
+  return { score, recommendedSubtasks, expansionPrompt, reasoning: `${reasons.join('; ')}.` };
+}
+
+/**
+ * Monta um plano por regras a partir do PRD
+ * @param {string} text - Conteúdo do PRD
+ * @param {Object} options - Opções
+ * @param {string} options.name - Nome do plano (padrão: título do PRD)
+ * @returns {Object} { name, epics: [{ ref, title, description }], tasks: [{ ref, epic, title, description, details, priority, dependencies, complexity, subtasks }] }
+ */
+export function buildPlanFromPrd(text, options = {}) {
+  const prd = parsePrd(text);
+  const candidates = prd.sections.filter(section => !IGNORED_SECTIONS.test(fold(section.title)));
+  const hasWork = section => collectItems(section).length > 0;
+
+  let epicSections = candidates.filter(section => EPIC_SECTIONS.test(fold(section.title)) && hasWork(section));
+  if (epicSections.length === 0) {
+    epicSections = candidates.filter(hasWork);
+  }
+
+  const epics = epicSections.map((section, index) => ({
+    ref: `E${index + 1}`,
+    title: section.title,
+    description: section.text.join(' ')
+  }));
+
+  // Tarefas em ordem de aparição: subseções, ou os itens da própria seção
+  const drafts = [];
+  epicSections.forEach((section, index) => {
+    const epic = epics[index];
+
+    for (const item of section.items) {
+      drafts.push({ epic, title: item.text, text: [], items: item.children.map(child => ({ text: child, children: [] })) });
+    }
+
+    for (const child of section.sections) {
+      const items = collectItems(child);
+      if (items.length > 0 || child.text.length > 0) {
+        drafts.push({ epic, title: child.title, text: child.text, items });
+      }
+    }
+  });
+
+  const phaseWords = prd.phases.map(phase => ({ number: phase.number, words: wordSet(phase.items.join(' ')) }));
+  const phaseOf = terms => {
+    const match = phaseWords.find(phase => [...terms].some(term => phase.words.has(term)));
+    return match ? match.number : null;
+  };
+
+  drafts.forEach((draft, index) => {
+    const title = fold(draft.title);
+    draft.index = index;
+    draft.terms = keyTerms(draft.title);
+    draft.foundation = FOUNDATION_RULES.findIndex(rule => rule.test(title));
+    draft.phase = phaseOf(draft.terms) ?? phaseOf(keyTerms(draft.epic.title));
+  });
+
+  const sortKey = draft => [draft.foundation === -1 ? 1 : 0, draft.foundation, draft.phase ?? Infinity, draft.index];
+  drafts.sort((a, b) => {
+    const keyA = sortKey(a);
+    const keyB = sortKey(b);
+    const position = keyA.findIndex((value, i) => value !== keyB[i]);
+    return position === -1 ? 0 : keyA[position] - keyB[position];
+  });
+
+  const phases = [...new Set(prd.phases.map(phase => phase.number))].sort((a, b) => a - b);
+  const priorityOf = draft => {
+    if (draft.foundation !== -1 || draft.phase === phases[0]) return 'high';
+    if (draft.phase === null || draft.phase === phases[1]) return 'medium';
+    return 'low';
+  };
+
+  const tasks = [];
+  let lastFoundation = null;
+
+  drafts.forEach((draft, index) => {
+    const ref = `T${index + 1}`;
+    const dependencies = [];
+
+    if (lastFoundation) {
+      dependencies.push(lastFoundation);
+    }
+
+    // Tarefas anteriores citadas no título ou nos requisitos desta
+    const words = wordSet([draft.title, ...draft.items.map(item => item.text)].join(' '));
+    for (const previous of tasks) {
+      const terms = drafts[Number(previous.ref.slice(1)) - 1].terms;
+      if (!previous.foundation && [...terms].some(term => words.has(term)) && !dependencies.includes(previous.ref)) {
+        dependencies.push(previous.ref);
+      }
+    }
+
+    const subtasks = draft.items.map(item => ({ title: item.text, description: item.children.join('; ') }));
+    const description = draft.text[0] || subtasks.map(subtask => subtask.title).join('; ') || draft.title;
+    const details = [
+      `Épico: ${draft.epic.title}`,
+      ...(draft.phase !== null ? [`Fase: ${draft.phase}`] : []),
+      ...draft.text.slice(1),
+      ...(subtasks.length > 0 ? ['Requisitos:', ...subtasks.map(subtask => `- ${subtask.title}`)] : [])
+    ].join('\n');
+
+    const task = {
+      ref,
+      epic: draft.epic.ref,
+      title: draft.title,
+      description,
+      details,
+      priority: priorityOf(draft),
+      dependencies,
+      subtasks,
+      foundation: draft.foundation !== -1
+    };
+    task.complexity = estimateComplexity(task);
+
+    if (task.foundation) {
+      lastFoundation = ref;
+    }
+    tasks.push(task);
+  });
+
+  return {
+    name: options.name || prd.title || epics[0]?.title || 'PRD',
+    epics,
+    tasks: tasks.map(({ foundation, ...task }) => task)
+  };
+}
+
+/**
+ * Texto de um campo que pode vir como string ou lista
+ * @private
+ */
+function textField(value) {
+  return Array.isArray(value) ? value.map(String).join('\n') : String(value ?? '').trim();
+}
+
+/**
+ * Valida e completa um plano (gerado por IA ou por buildPlanFromPrd)
+ *
+ * As tarefas recebem refs sequenciais ("T1"); dependências podem citar a
+ * ref, o id ou a posição (1, 2, ...) informados na entrada. Dependências
+ * desconhecidas são descartadas e complexidades ausentes são estimadas.
+ * @param {Object} raw - { name, epics, tasks }
+ * @returns {Object} { name, epics, tasks, summary }
+ * @throws {PrdPlanError} PRD_INVALID se não houver tarefas, se alguma não tiver título ou se houver ciclo
+ */
+export function normalizePlan(raw = {}) {
+  const rawTasks = Array.isArray(raw?.tasks) ? raw.tasks : [];
+  if (rawTasks.length === 0) {
+    throw new PrdPlanError(
+      'Nenhuma tarefa identificada no PRD: descreva os requisitos em seções com itens em lista',
+      'PRD_INVALID'
+    );
+  }
+
+  const epics = (Array.isArray(raw.epics) ? raw.epics : []).map((epic, index) => ({
+    ref: `E${index + 1}`,
+    title: plainText(typeof epic === 'string' ? epic : epic.title || epic.name) || `Épico ${index + 1}`,
+    description: textField(epic.description),
+    source: epic.ref ?? epic.id
+  }));
+
+  const epicRef = value => {
+    if (value === undefined || value === null || value === '') return null;
+    const key = fold(value);
+    const epic = epics.find(candidate => fold(candidate.source) === key || fold(candidate.title) === key || fold(candidate.ref) === key);
+    return epic ? epic.ref : null;
+  };
+
+  // Referências de entrada (ref, id ou posição) para as novas refs
+  const refs = new Map();
+  rawTasks.forEach((task, index) => {
+    refs.set(String(index + 1), `T${index + 1}`);
+  });
+  rawTasks.forEach((task, index) => {
+    for (const key of [task.id, task.ref]) {
+      if (key !== undefined && key !== null) refs.set(String(key), `T${index + 1}`);
+    }
+  });
+
+  const tasks = rawTasks.map((task, index) => {
+    const ref = `T${index + 1}`;
+    const title = plainText(task.title);
+    if (!title) {
+      throw new PrdPlanError(`A tarefa ${index + 1} do plano não tem título`, 'PRD_INVALID');
+    }
+
+    const dependencies = [];
+    for (const dependency of Array.isArray(task.dependencies) ? task.dependencies : []) {
+      const target = refs.get(String(dependency));
+      if (target && target !== ref && !dependencies.includes(target)) {
+        dependencies.push(target);
+      }
+    }
+
+    const subtasks = (Array.isArray(task.subtasks) ? task.subtasks : [])
+      .map(subtask => (typeof subtask === 'string'
+        ? { title: plainText(subtask), description: '' }
+        : { title: plainText(subtask.title), description: textField(subtask.description) }))
+      .filter(subtask => subtask.title);
+
+    const normalized = {
+      ref,
+      epic: epicRef(task.epic),
+      title,
+      description: textField(task.description),
+      details: textField(task.details),
+      priority: PRIORITY_ALIASES[fold(task.priority)] || 'medium',
+      dependencies,
+      subtasks
+    };
+
+    const given = task.complexity || {};
+    const estimate = estimateComplexity(normalized);
+    const score = Number(given.score ?? task.complexityScore);
+
+    normalized.complexity = {
+      score: Number.isFinite(score) ? Math.max(1, Math.min(10, Math.round(score))) : estimate.score,
+      recommendedSubtasks: Number.isInteger(Number(given.recommendedSubtasks ?? task.recommendedSubtasks))
+        ? Number(given.recommendedSubtasks ?? task.recommendedSubtasks)
+        : estimate.recommendedSubtasks,
+      expansionPrompt: textField(given.expansionPrompt ?? task.expansionPrompt) || estimate.expansionPrompt,
+      reasoning: textField(given.reasoning ?? task.reasoning) || estimate.reasoning
+    };
+
+    return normalized;
+  });
+
+  const cycles = findCycles(buildTaskGraph(tasks.map(task => ({ id: task.ref, dependencies: task.dependencies }))));
+  if (cycles.length > 0) {
+    throw new PrdPlanError(`O plano tem dependências circulares: ${cycles[0].join(' -> ')}`, 'PRD_INVALID');
+  }
+
+  return {
+    name: plainText(raw.name) || epics[0]?.title || 'PRD',
+    epics: epics.map(({ source, ...epic }) => epic),
+    tasks,
+    summary: summarizePlan(tasks, epics.length)
+  };
+}
+
+/**
+ * Resumo do plano: quantidades e complexidade
+ * @private
+ */
+function summarizePlan(tasks, epicCount) {
+  const scores = tasks.map(task => task.complexity.score);
+
+  return {
+    epics: epicCount,
+    tasks: tasks.length,
+    subtasks: tasks.reduce((total, task) => total + task.subtasks.length, 0),
+    averageComplexity: Math.round((scores.reduce((total, score) => total + score, 0) / scores.length) * 10) / 10,
+    thresholdScore: DEFAULT_COMPLEXITY_THRESHOLD,
+    aboveThreshold: scores.filter(score => score >= DEFAULT_COMPLEXITY_THRESHOLD).length
+  };
+}
@@ -0,0 +1,679 @@
+// src/utils/rule_expression.js
+
+/**
+ * Linguagem de expressões para regras de automação
+ *
+ * Interpreta as condições armazenadas em `kanban_automations.trigger.condition`
+ * sem executar JavaScript. A expressão é convertida em uma árvore sintática e
+ * avaliada sobre um escopo fechado (por padrão `card`, `event` e `context`).
+ *
+ * Sintaxe suportada:
+ * - Literais: números, strings ('...' ou "..."), true, false, null e listas [a, b]
+ * - Acesso a campos: card.priority, card.labels[0], context.targetColumn.name
+ * - Comparação: ==, !=, ===, !==, <, <=, >, >=
+ * - Lógica: &&, ||, !
+ * - Aritmética: +, -, *, /, %
+ * - Funções: includes, match, lower, upper, length, now, date, days, hours,
+ *   minutes, daysUntil, daysSince
+ * - Métodos equivalentes: card.labels.includes('bug'), card.title.match('^API')
+ *   (padrões com retrorreferências ou grupos repetidos que contêm quantificadores
+ *   ou alternativas, como (a+)+, são rejeitados)
+ *
+ * Exemplos:
+ * - card.priority === 'high' && includes(card.labels, 'bug')
+ * - daysUntil(card.due_date) <= 1
+ * - date(card.due_date) - now() < days(2)
+ */
+
+// Identificadores disponíveis por padrão no escopo das expressões
+const DEFAULT_SCOPE_NAMES = ['card', 'event', 'context'];
+
+// Propriedades que nunca podem ser acessadas
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+// Tamanho máximo aceito para padrões de expressão regular
+const MAX_PATTERN_LENGTH = 200;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Erro de sintaxe em uma expressão de regra
+ */
+class ExpressionSyntaxError extends Error {
+  /**
+   * @param {string} message - Descrição do erro
+   * @param {number} position - Posição (0-based) do erro na expressão
+   */
+  constructor(message, position) {
+    super(position !== undefined ? `${message} (posição ${position})` : message);
+    this.name = 'ExpressionSyntaxError';
+    this.position = position;
+  }
+}
+
+/**
+ * Converte um valor em timestamp (ms) ou null se não for uma data válida
+ * @private
+ */
+function toTimestamp(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const timestamp = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isNaN(timestamp) ? null : timestamp;
+}
+
+/**
+ * Verifica se há um quantificador na posição informada do padrão
+ * @private
+ */
+function isQuantifierAt(pattern, index) {
+  return /^(?:[*+?]|\{\d+(?:,\d*)?\})/.test(pattern.slice(index));
+}
+
+/**
+ * Procura construções sujeitas a backtracking catastrófico: retrorreferências
+ * e grupos repetidos (*, + ou {n,m}) que contêm outro quantificador ou uma
+ * alternativa, como (a+)+ ou (a|aa)*
+ * @private
+ * @returns {string|null} Motivo da rejeição ou null se o padrão for seguro
+ */
+function findUnsafePattern(pattern) {
+  // Para cada grupo aberto: se contém quantificador ou alternativa
+  const groups = [];
+  let inClass = false;
+
+  for (let index = 0; index < pattern.length; index++) {
+    const char = pattern[index];
+
+    if (char === '\\') {
+      if (!inClass && /^(?:[1-9]|k<)/.test(pattern.slice(index + 1))) {
+        return 'retrorreferências não são permitidas';
+      }
+      index++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      // Pular o prefixo de grupos especiais: (?:, (?=, (?!, (?<=, (?<!, (?<nome>
+      const prefix = /^\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(index + 1));
+      if (prefix) index += prefix[0].length;
+    } else if (char === ')') {
+      const repeatedInside = groups.pop();
+      const repeated = /^(?:[*+]|\{\d+,\d*\}|\{(?:[2-9]|\d{2,})\})/.test(pattern.slice(index + 1));
+
+      if (repeatedInside && repeated) {
+        return 'quantificadores aninhados ou alternativas em grupos repetidos não são permitidos';
+      }
+      if (groups.length > 0 && (repeatedInside || isQuantifierAt(pattern, index + 1))) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (groups.length > 0 && (char === '|' || isQuantifierAt(pattern, index))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Cria uma expressão regular validando o padrão
+ *
+ * Padrões que podem travar o processo por backtracking catastrófico são
+ * rejeitados (ver findUnsafePattern), já que a avaliação é síncrona.
+ * @private
+ */
+function buildRegExp(pattern, flags = '') {
+  if (typeof pattern !== 'string' || pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`Padrão de expressão regular inválido ou maior que ${MAX_PATTERN_LENGTH} caracteres`);
+  }
+
+  const unsafe = findUnsafePattern(pattern);
+  if (unsafe) {
+    throw new Error(`Padrão de expressão regular inseguro: ${unsafe}`);
+  }
+
+  if (!/^[gimsuy]*$/.test(flags)) {
+    throw new Error(`Flags de expressão regular inválidas: ${flags}`);
+  }
+
+  return new RegExp(pattern, flags);
+}
+
+// Funções disponíveis nas expressões: nome -> { arity: [mín, máx], fn }
+const FUNCTIONS = {
+  includes: {
+    arity: [2, 2],
+    fn: (collection, item) => {
+      if (Array.isArray(collection) || typeof collection === 'string') {
+        return collection.includes(item);
+      }
+      return false;
+    }
+  },
+  match: {
+    arity: [2, 3],
+    fn: (value, pattern, flags) => typeof value === 'string' && buildRegExp(pattern, flags).test(value)
+  },
+  lower: {
+    arity: [1, 1],
+    fn: (value) => (typeof value === 'string' ? value.toLowerCase() : value)
+  },
+  upper: {
+    arity: [1, 1],
+    fn: (value) => (typeof value === 'string' ? value.toUpperCase() : value)
+  },
+  length: {
+    arity: [1, 1],
+    fn: (value) => (Array.isArray(value) || typeof value === 'string' ? value.length : 0)
+  },
+  now: {
+    arity: [0, 0],
+    fn: () => Date.now()
+  },
+  date: {
+    arity: [1, 1],
+    fn: (value) => toTimestamp(value)
+  },
+  days: {
+    arity: [1, 1],
+    fn: (value) => Number(value) * DAY_MS
+  },
+  hours: {
+    arity: [1, 1],
+    fn: (value) => Number(value) * HOUR_MS
+  },
+  minutes: {
+    arity: [1, 1],
+    fn: (value) => Number(value) * MINUTE_MS
+  },
+  daysUntil: {
+    arity: [1, 1],
+    fn: (value) => {
+      const timestamp = toTimestamp(value);
+      return timestamp === null ? null : (timestamp - Date.now()) / DAY_MS;
+    }
+  },
+  daysSince: {
+    arity: [1, 1],
+    fn: (value) => {
+      const timestamp = toTimestamp(value);
+      return timestamp === null ? null : (Date.now() - timestamp) / DAY_MS;
+    }
+  }
+};
+
+// Métodos que podem ser chamados sobre um valor (valor.metodo(args) => funcao(valor, args))
+const METHODS = ['includes', 'match'];
+
+const BINARY_PRECEDENCE = {
+  '||': 1,
+  '&&': 2,
+  '==': 3, '!=': 3, '===': 3, '!==': 3,
+  '<': 4, '<=': 4, '>': 4, '>=': 4,
+  '+': 5, '-': 5,
+  '*': 6, '/': 6, '%': 6
+};
+
+// Operadores ordenados do mais longo para o mais curto para o tokenizador
+const OPERATORS = [
+  '===', '!==', '==', '!=', '<=', '>=', '&&', '||',
+  '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '[', ']', ',', '.'
+];
+
+const KEYWORDS = { true: true, false: false, null: null };
+
+/**
+ * Converte a expressão em uma lista de tokens
+ * @private
+ * @param {string} source - Expressão
+ * @returns {Array<Object>} Tokens
+ */
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    // Números
+    if (/[0-9]/.test(char)) {
+      const match = /^[0-9]+(\.[0-9]+)?/.exec(source.slice(index));
+      tokens.push({ type: 'number', value: Number(match[0]), position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    // Identificadores e palavras reservadas
+    if (/[A-Za-z_$]/.test(char)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(index));
+      const word = match[0];
+
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], position: index });
+      } else {
+        tokens.push({ type: 'identifier', value: word, position: index });
+      }
+
+      index += word.length;
+      continue;
+    }
+
+    // Strings
+    if (char === '"' || char === '\'') {
+      const start = index;
+      let value = '';
+      index++;
+
+      while (index < source.length && source[index] !== char) {
+        if (source[index] === '\\' && index + 1 < source.length) {
+          const escaped = source[index + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] || escaped;
+          index += 2;
+        } else {
+          value += source[index];
+          index++;
+        }
+      }
+
+      if (index >= source.length) {
+        throw new ExpressionSyntaxError('String não terminada', start);
+      }
+
+      index++;
+      tokens.push({ type: 'string', value, position: start });
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => source.startsWith(op, index));
+
+    if (!operator) {
+      throw new ExpressionSyntaxError(`Caractere inesperado '${char}'`, index);
+    }
+
+    tokens.push({ type: 'operator', value: operator, position: index });
+    index += operator.length;
+  }
+
+  tokens.push({ type: 'eof', position: source.length });
+  return tokens;
+}
+
+/**
+ * Parser descendente recursivo com precedência de operadores
+ * @private
+ */
+class Parser {
+  constructor(source, options = {}) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.scopeNames = new Set(options.scopeNames || DEFAULT_SCOPE_NAMES);
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  expectOperator(value) {
+    const token = this.next();
+
+    if (token.type !== 'operator' || token.value !== value) {
+      throw new ExpressionSyntaxError(`Esperado '${value}'`, token.position);
+    }
+
+    return token;
+  }
+
+  parse() {
+    if (this.peek().type === 'eof') {
+      throw new ExpressionSyntaxError('Expressão vazia', 0);
+    }
+
+    const ast = this.parseBinary(1);
+    const token = this.peek();
+
+    if (token.type !== 'eof') {
+      throw new ExpressionSyntaxError('Token inesperado', token.position);
+    }
+
+    return ast;
+  }
+
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+
+    for (;;) {
+      const token = this.peek();
+      const precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+
+      if (precedence === undefined || precedence < minPrecedence) {
+        return left;
+      }
+
+      this.next();
+      const right = this.parseBinary(precedence + 1);
+
+      left = token.value === '&&' || token.value === '||'
+        ? { type: 'Logical', operator: token.value, left, right, position: token.position }
+        : { type: 'Binary', operator: token.value, left, right, position: token.position };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token.type === 'operator' && (token.value === '!' || token.value === '-')) {
+      this.next();
+      return { type: 'Unary', operator: token.value, argument: this.parseUnary(), position: token.position };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    for (;;) {
+      if (this.isOperator('.')) {
+        this.next();
+        const token = this.next();
+
+        if (token.type !== 'identifier') {
+          throw new ExpressionSyntaxError('Nome de propriedade esperado após \'.\'', token.position);
+        }
+
+        if (this.isOperator('(')) {
+          node = this.parseMethodCall(node, token);
+          continue;
+        }
+
+        this.assertPropertyAllowed(token.value, token.position);
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: token.value }, position: token.position };
+      } else if (this.isOperator('[')) {
+        const start = this.next();
+        const property = this.parseBinary(1);
+        this.expectOperator(']');
+
+        if (property.type === 'Literal') {
+          this.assertPropertyAllowed(property.value, start.position);
+        }
+
+        node = { type: 'Member', object: node, property, position: start.position };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseMethodCall(object, token) {
+    if (!METHODS.includes(token.value)) {
+      throw new ExpressionSyntaxError(`Método não permitido: ${token.value}`, token.position);
+    }
+
+    const args = this.parseArguments();
+    return this.buildCall(token.value, [object, ...args], token.position);
+  }
+
+  parseArguments() {
+    this.expectOperator('(');
+    const args = [];
+
+    if (!this.isOperator(')')) {
+      do {
+        args.push(this.parseBinary(1));
+      } while (this.isOperator(',') && this.next());
+    }
+
+    this.expectOperator(')');
+    return args;
+  }
+
+  buildCall(name, args, position) {
+    const definition = FUNCTIONS[name];
+    const [min, max] = definition.arity;
+
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : `${min} a ${max}`;
+      throw new ExpressionSyntaxError(
+        `Função ${name} espera ${expected} argumento(s), recebeu ${args.length}`,
+        position
+      );
+    }
+
+    // Validar padrões literais de expressão regular já na compilação
+    if (name === 'match' && args[1].type === 'Literal') {
+      const flags = args[2] && args[2].type === 'Literal' ? args[2].value : '';
+
+      try {
+        buildRegExp(args[1].value, flags);
+      } catch (error) {
+        throw new ExpressionSyntaxError(error.message, position);
+      }
+    }
+
+    return { type: 'Call', name, args, position };
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'Literal', value: token.value, position: token.position };
+
+      case 'identifier':
+        if (this.isOperator('(')) {
+          if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+            throw new ExpressionSyntaxError(`Função desconhecida: ${token.value}`, token.position);
+          }
+
+          return this.buildCall(token.value, this.parseArguments(), token.position);
+        }
+
+        if (!this.scopeNames.has(token.value)) {
+          throw new ExpressionSyntaxError(
+            `Identificador desconhecido: ${token.value}. Disponíveis: ${Array.from(this.scopeNames).join(', ')}`,
+            token.position
+          );
+        }
+
+        return { type: 'Identifier', name: token.value, position: token.position };
+
+      case 'operator':
+        if (token.value === '(') {
+          const expression = this.parseBinary(1);
+          this.expectOperator(')');
+          return expression;
+        }
+
+        if (token.value === '[') {
+          const elements = [];
+
+          if (!this.isOperator(']')) {
+            do {
+              elements.push(this.parseBinary(1));
+            } while (this.isOperator(',') && this.next());
+          }
+
+          this.expectOperator(']');
+          return { type: 'List', elements, position: token.position };
+        }
+
+        throw new ExpressionSyntaxError(`Operador inesperado '${token.value}'`, token.position);
+
+      default:
+        throw new ExpressionSyntaxError('Fim inesperado da expressão', token.position);
+    }
+  }
+
+  assertPropertyAllowed(property, position) {
+    if (FORBIDDEN_PROPERTIES.has(String(property))) {
+      throw new ExpressionSyntaxError(`Acesso à propriedade não permitido: ${property}`, position);
+    }
+  }
+}
+
+/**
+ * Lê uma propriedade própria de um valor, sem percorrer o protótipo
+ * @private
+ */
+function readProperty(object, property) {
+  if (object === null || object === undefined) return undefined;
+
+  const key = String(property);
+
+  if (FORBIDDEN_PROPERTIES.has(key)) {
+    throw new Error(`Acesso à propriedade não permitido: ${key}`);
+  }
+
+  if ((Array.isArray(object) || typeof object === 'string') && key === 'length') {
+    return object.length;
+  }
+
+  if (typeof object === 'object' || typeof object === 'string') {
+    return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+  }
+
+  return undefined;
+}
+
+/**
+ * Avalia uma árvore sintática sobre um escopo
+ * @private
+ */
+function evaluateNode(node, scope) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'List':
+      return node.elements.map(element => evaluateNode(element, scope));
+
+    case 'Identifier':
+      return Object.prototype.hasOwnProperty.call(scope, node.name) ? scope[node.name] : undefined;
+
+    case 'Member':
+      return readProperty(evaluateNode(node.object, scope), evaluateNode(node.property, scope));
+
+    case 'Call':
+      return FUNCTIONS[node.name].fn(...node.args.map(arg => evaluateNode(arg, scope)));
+
+    case 'Unary': {
+      const value = evaluateNode(node.argument, scope);
+      return node.operator === '!' ? !value : -Number(value);
+    }
+
+    case 'Logical': {
+      const left = evaluateNode(node.left, scope);
+
+      if (node.operator === '&&') {
+        return left ? evaluateNode(node.right, scope) : left;
+      }
+
+      return left ? left : evaluateNode(node.right, scope);
+    }
+
+    case 'Binary':
+      return applyBinary(node.operator, evaluateNode(node.left, scope), evaluateNode(node.right, scope));
+
+    default:
+      throw new Error(`Nó de expressão desconhecido: ${node.type}`);
+  }
+}
+
+/**
+ * Aplica um operador binário
+ * @private
+ */
+function applyBinary(operator, left, right) {
+  switch (operator) {
+    case '==':
+    case '===':
+      return left === right || (left == null && right == null);
+    case '!=':
+    case '!==':
+      return !(left === right || (left == null && right == null));
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '+':
+      return typeof left === 'string' || typeof right === 'string'
+        ? `${left ?? ''}${right ?? ''}`
+        : Number(left) + Number(right);
+    case '-': return Number(left) - Number(right);
+    case '*': return Number(left) * Number(right);
+    case '/': return Number(left) / Number(right);
+    case '%': return Number(left) % Number(right);
+    default:
+      throw new Error(`Operador desconhecido: ${operator}`);
+  }
+}
+
+/**
+ * Converte uma expressão em árvore sintática
+ * @param {string} source - Expressão a ser analisada
+ * @param {Object} options - Opções do parser
+ * @param {Array<string>} options.scopeNames - Identificadores permitidos no escopo
+ * @returns {Object} Árvore sintática
+ * @throws {ExpressionSyntaxError} Se a expressão for inválida
+ */
+export function parseExpression(source, options = {}) {
+  if (typeof source !== 'string') {
+    throw new ExpressionSyntaxError('A expressão deve ser uma string');
+  }
+
+  return new Parser(source, options).parse();
+}
+
+/**
+ * Avalia uma árvore sintática já analisada
+ * @param {Object} ast - Árvore sintática retornada por parseExpression
+ * @param {Object} scope - Valores dos identificadores do escopo
+ * @returns {*} Resultado da avaliação
+ */
+export function evaluateExpression(ast, scope = {}) {
+  return evaluateNode(ast, scope);
+}
+
+/**
+ * Compila uma expressão para avaliação repetida
+ * @param {string} source - Expressão a ser compilada
+ * @param {Object} options - Opções do parser (ver parseExpression)
+ * @returns {{source: string, ast: Object, evaluate: Function}} Expressão compilada
+ * @throws {ExpressionSyntaxError} Se a expressão for inválida
+ */
+export function compileExpression(source, options = {}) {
+  const ast = parseExpression(source, options);
+
+  return {
+    source,
+    ast,
+    evaluate: (scope = {}) => evaluateNode(ast, scope)
+  };
+}
+
+export { ExpressionSyntaxError };
+
+export default compileExpression;
@@ -0,0 +1,165 @@
+// src/utils/task_expansion.js
+
+/**
+ * Regras de expansão de tarefas em subtarefas
+ *
+ * Propõe as subtarefas que faltam para uma tarefa chegar ao número
+ * recomendado pelo relatório de complexidade e monta o diff mostrado antes
+ * de aplicá-las (subtarefas atuais e, com "+", as que serão acrescentadas).
+ * As sugestões locais vêm, nesta ordem, dos itens enumerados no prompt de
+ * expansão ("1) ..., 2) ..." ou "requisitos: ...; ..."), das listas dos
+ * detalhes da tarefa e de etapas genéricas (modelagem, implementação,
+ * integração, testes e documentação).
+ */
+
+// Etapas usadas quando o prompt e os detalhes não trazem itens suficientes
+const GENERIC_STEPS = [
+  ['Modelagem', title => `Definir modelos de dados, contratos e interfaces de "${title}".`],
+  ['Implementação', title => `Implementar a lógica principal de "${title}".`],
+  ['Integração', title => `Integrar "${title}" aos demais módulos do sistema.`],
+  ['Testes', title => `Escrever testes automatizados de "${title}".`],
+  ['Documentação', title => `Documentar o uso e a configuração de "${title}".`]
+];
+
+/**
+ * Erro da expansão de tarefas
+ */
+export class TaskExpansionError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - EXPANSION_INVALID, EXPANSION_NOT_NEEDED, EXPANSION_NOT_FOUND,
+   *   EXPANSION_APPLIED, EXPANSION_STALE ou COMPLEXITY_NOT_FOUND
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'TaskExpansionError';
+    this.code = code;
+  }
+}
+
+/**
+ * Chave de comparação de um título (sem acentos, pontuação e caixa)
+ * @private
+ */
+function titleKey(title) {
+  return String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Primeira letra em maiúscula
+ * @private
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Itens enumerados em um prompt de expansão
+ * @param {string} prompt - Prompt (ex.: "...covering: 1) A, 2) B, and 3) C.")
+ * @returns {Array<string>} Itens, na ordem do prompt
+ */
+export function promptItems(prompt) {
+  const text = String(prompt || '');
+
+  const numbered = text.split(/\s*\b\d+\)\s*/).slice(1);
+  if (numbered.length > 0) {
+    return numbered
+      .map(item => item.replace(/[\s,;.]*(?:\b(?:and|e)\b)?[\s,;.]*$/i, '').trim())
+      .filter(Boolean);
+  }
+
+  const colon = text.indexOf(':');
+  if (colon >= 0 && text.includes(';', colon)) {
+    return text.slice(colon + 1)
+      .split(';')
+      .map(item => item.replace(/[\s.]+$/, '').trim())
+      .filter(item => item && !/^inclua\b/i.test(item));
+  }
+
+  return [];
+}
+
+/**
+ * Linhas de lista ("- item", "* item", "1. item") dos detalhes de uma tarefa
+ * @private
+ */
+function detailItems(details) {
+  return String(details || '')
+    .split('\n')
+    .map(line => line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.+)$/))
+    .filter(Boolean)
+    .map(match => match[1].replace(/[\s.]+$/, '').trim());
+}
+
+/**
+ * Seleciona as subtarefas a acrescentar: com título, sem repetir as atuais
+ * nem a própria lista, até `count` itens
+ * @param {Object} task - Tarefa (com subtasks)
+ * @param {Array<Object|string>} candidates - Subtarefas propostas ({ title, description, details } ou título)
+ * @param {number} count - Número máximo de subtarefas
+ * @returns {Array<Object>} [{ title, description, details }]
+ */
+export function selectSubtasks(task, candidates, count) {
+  const seen = new Set((task.subtasks || []).map(subtask => titleKey(subtask.title)));
+  const selected = [];
+
+  for (const candidate of Array.isArray(candidates) ? candidates : []) {
+    if (selected.length >= count) break;
+
+    const title = typeof candidate === 'string' ? candidate : candidate?.title;
+    const key = titleKey(title);
+    if (typeof title !== 'string' || !key || seen.has(key)) continue;
+
+    seen.add(key);
+    selected.push({
+      title: title.trim(),
+      description: typeof candidate.description === 'string' ? candidate.description.trim() : '',
+      details: typeof candidate.details === 'string' ? candidate.details.trim() : ''
+    });
+  }
+
+  return selected;
+}
+
+/**
+ * Subtarefas sugeridas pelas regras locais
+ * @param {Object} task - Tarefa (title, details, subtasks)
+ * @param {Object} options - Opções
+ * @param {string} options.expansionPrompt - Prompt de expansão do relatório de complexidade
+ * @param {number} options.count - Número de subtarefas a sugerir
+ * @returns {Array<Object>} [{ title, description, details }]
+ */
+export function suggestSubtasks(task, { expansionPrompt, count }) {
+  const fromText = [...promptItems(expansionPrompt), ...detailItems(task.details)].map(item => ({
+    title: capitalize(item),
+    description: `Parte de "${task.title}": ${item}.`
+  }));
+
+  const generic = GENERIC_STEPS.map(([label, description]) => ({
+    title: `${label}: ${task.title}`,
+    description: description(task.title)
+  }));
+
+  return selectSubtasks(task, [...fromText, ...generic], count);
+}
+
+/**
+ * Diff das subtarefas de uma tarefa: as atuais e, com "+", as que serão acrescentadas
+ * @param {Object} task - Tarefa (id, subtasks)
+ * @param {Array<Object>} subtasks - Subtarefas a acrescentar
+ * @returns {Array<string>} Linhas do diff, com os IDs que as novas subtarefas terão
+ */
+export function expansionDiff(task, subtasks) {
+  const current = task.subtasks || [];
+  let nextId = current.reduce((max, subtask) => Math.max(max, Number(subtask.id) || 0), 0) + 1;
+
+  return [
+    ...current.map(subtask => `  ${task.id}.${subtask.id} ${subtask.title} [${subtask.status}]`),
+    ...subtasks.map(subtask => `+ ${task.id}.${nextId++} ${subtask.title}`)
+  ];
+}
@@ -0,0 +1,328 @@
+// src/utils/task_graph.js
+
+/**
+ * Grafo de dependências das tarefas do TaskMaster
+ *
+ * Monta um DAG com tarefas e subtarefas (IDs globais "3" e "3.2") a partir
+ * do conteúdo de tasks.json. As arestas vão da dependência para a tarefa
+ * dependente e são de três tipos:
+ *   - dependency: dependência declarada em `dependencies`;
+ *   - subtask: a tarefa pai só termina depois de suas subtarefas;
+ *   - inherited: subtarefas herdam as dependências da tarefa pai.
+ * Sobre o grafo são calculados validação (IDs inexistentes, ciclos),
+ * cronograma (início mais cedo/mais tarde e folga) e caminho crítico, além
+ * das representações Mermaid e DOT.
+ *
+ * A duração de cada item vem de `estimatedHours` (ou `duration`); sem
+ * estimativa, tarefas valem 1 e tarefas com subtarefas valem 0 (o trabalho
+ * está nas subtarefas). Itens concluídos ou cancelados têm duração 0, de
+ * modo que o cronograma representa o trabalho restante.
+ */
+
+const FINISHED_STATUSES = ['done', 'completed', 'cancelled'];
+
+/**
+ * Chave global de uma dependência (números em subtarefas referem-se a irmãs)
+ * @private
+ */
+function dependencyKey(dependency, parent) {
+  return parent && typeof dependency === 'number' ? `${parent.id}.${dependency}` : String(dependency);
+}
+
+/**
+ * Duração restante de um item
+ * @private
+ */
+function itemDuration(item, hasSubtasks) {
+  if (FINISHED_STATUSES.includes(item.status)) return 0;
+
+  const estimate = Number(item.estimatedHours ?? item.duration);
+  if (Number.isFinite(estimate) && estimate >= 0) return estimate;
+
+  return hasSubtasks ? 0 : 1;
+}
+
+/**
+ * Monta o grafo de dependências
+ * @param {Array<Object>} tasks - Tarefas (formato de tasks.json)
+ * @returns {Object} { nodes: [{ id, title, status, priority, parentId, duration }], edges: [{ from, to, type }], missing }
+ *   missing lista as dependências para IDs inexistentes ({ taskId, dependency })
+ */
+export function buildTaskGraph(tasks = []) {
+  const nodes = [];
+  const declared = [];
+
+  for (const task of tasks) {
+    const subtasks = task.subtasks || [];
+    nodes.push({
+      id: String(task.id),
+      title: task.title,
+      status: task.status,
+      priority: task.priority || 'medium',
+      parentId: null,
+      duration: itemDuration(task, subtasks.length > 0)
+    });
+
+    for (const dependency of task.dependencies || []) {
+      declared.push({ from: dependencyKey(dependency, null), to: String(task.id), type: 'dependency' });
+    }
+
+    for (const subtask of subtasks) {
+      const subtaskId = `${task.id}.${subtask.id}`;
+      nodes.push({
+        id: subtaskId,
+        title: subtask.title,
+        status: subtask.status,
+        priority: subtask.priority || task.priority || 'medium',
+        parentId: String(task.id),
+        duration: itemDuration(subtask, false)
+      });
+
+      declared.push({ from: subtaskId, to: String(task.id), type: 'subtask' });
+
+      for (const dependency of subtask.dependencies || []) {
+        declared.push({ from: dependencyKey(dependency, task), to: subtaskId, type: 'dependency' });
+      }
+      for (const dependency of task.dependencies || []) {
+        declared.push({ from: dependencyKey(dependency, null), to: subtaskId, type: 'inherited' });
+      }
+    }
+  }
+
+  const ids = new Set(nodes.map(node => node.id));
+  const seen = new Set();
+  const edges = [];
+  const missing = [];
+
+  for (const edge of declared) {
+    if (!ids.has(edge.from)) {
+      if (edge.type === 'dependency') missing.push({ taskId: edge.to, dependency: edge.from });
+      continue;
+    }
+
+    const key = `${edge.from}->${edge.to}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    edges.push(edge);
+  }
+
+  return { nodes, edges, missing };
+}
+
+/**
+ * Lista de adjacência (sucessores) do grafo
+ * @private
+ */
+function successorsOf(graph) {
+  const successors = new Map(graph.nodes.map(node => [node.id, []]));
+  for (const edge of graph.edges) {
+    successors.get(edge.from).push(edge.to);
+  }
+  return successors;
+}
+
+/**
+ * Encontra os ciclos do grafo (um ciclo por aresta de retorno da busca em profundidade)
+ * @param {Object} graph - Grafo de buildTaskGraph
+ * @returns {Array<Array<string>>} Ciclos, cada um como a sequência de IDs (o primeiro se repete no fim)
+ */
+export function findCycles(graph) {
+  const successors = successorsOf(graph);
+  const state = new Map();
+  const stack = [];
+  const cycles = [];
+
+  const visit = id => {
+    state.set(id, 'visiting');
+    stack.push(id);
+
+    for (const next of successors.get(id)) {
+      if (state.get(next) === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(next)), next]);
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    }
+
+    stack.pop();
+    state.set(id, 'done');
+  };
+
+  for (const node of graph.nodes) {
+    if (!state.has(node.id)) visit(node.id);
+  }
+
+  return cycles;
+}
+
+/**
+ * Valida as dependências das tarefas
+ * @param {Array<Object>|Object} tasksOrGraph - Tarefas ou grafo já montado
+ * @returns {Object} { valid, errors: [{ type: 'missing' | 'self' | 'cycle', taskId, dependency?, cycle?, message }] }
+ */
+export function validateTaskDependencies(tasksOrGraph) {
+  const graph = Array.isArray(tasksOrGraph) ? buildTaskGraph(tasksOrGraph) : tasksOrGraph;
+  const errors = [];
+
+  for (const { taskId, dependency } of graph.missing) {
+    errors.push({
+      type: 'missing',
+      taskId,
+      dependency,
+      message: `Tarefa ${taskId} depende de ${dependency}, que não existe`
+    });
+  }
+
+  for (const cycle of findCycles(graph)) {
+    if (cycle.length === 2) {
+      errors.push({ type: 'self', taskId: cycle[0], message: `Tarefa ${cycle[0]} depende de si mesma` });
+    } else {
+      errors.push({
+        type: 'cycle',
+        taskId: cycle[0],
+        cycle,
+        message: `Dependência circular: ${cycle.join(' -> ')}`
+      });
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Calcula o cronograma (método do caminho crítico)
+ * @param {Object} graph - Grafo acíclico de buildTaskGraph
+ * @returns {Object|null} { order, items: { id: { earliestStart, earliestFinish, latestStart, latestFinish, slack, critical } },
+ *   criticalPath, totalDuration } ou null se o grafo tiver ciclos
+ */
+export function computeSchedule(graph) {
+  const successors = successorsOf(graph);
+  const predecessors = new Map(graph.nodes.map(node => [node.id, []]));
+  const inDegree = new Map(graph.nodes.map(node => [node.id, 0]));
+  const duration = new Map(graph.nodes.map(node => [node.id, node.duration]));
+
+  for (const edge of graph.edges) {
+    predecessors.get(edge.to).push(edge.from);
+    inDegree.set(edge.to, inDegree.get(edge.to) + 1);
+  }
+
+  // Ordenação topológica (Kahn), estável pela ordem dos nós
+  const order = [];
+  const queue = graph.nodes.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    order.push(id);
+    for (const next of successors.get(id)) {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) queue.push(next);
+    }
+  }
+
+  if (order.length !== graph.nodes.length) {
+    return null;
+  }
+
+  const items = {};
+  for (const id of order) {
+    const earliestStart = Math.max(0, ...predecessors.get(id).map(previous => items[previous].earliestFinish));
+    items[id] = { earliestStart, earliestFinish: earliestStart + duration.get(id) };
+  }
+
+  const totalDuration = Math.max(0, ...order.map(id => items[id].earliestFinish));
+
+  for (const id of [...order].reverse()) {
+    const latestFinish = Math.min(totalDuration, ...successors.get(id).map(next => items[next].latestStart));
+    const latestStart = latestFinish - duration.get(id);
+    const slack = latestStart - items[id].earliestStart;
+    Object.assign(items[id], { latestStart, latestFinish, slack, critical: slack === 0 });
+  }
+
+  // Caminho crítico: a partir do item que termina por último, volta pelos predecessores críticos
+  const criticalPath = [];
+  let current = [...order].reverse().find(id => items[id].critical && items[id].earliestFinish === totalDuration);
+  while (current) {
+    criticalPath.unshift(current);
+    const start = items[current].earliestStart;
+    current = predecessors.get(current).find(previous =>
+      items[previous].critical && items[previous].earliestFinish === start
+    );
+  }
+
+  return { order, items, criticalPath, totalDuration };
+}
+
+/**
+ * Identificador seguro para Mermaid/DOT ("3.2" -> "T3_2")
+ * @private
+ */
+function nodeName(id) {
+  return `T${id.replace('.', '_')}`;
+}
+
+/**
+ * Representação Mermaid (flowchart) do grafo; itens do caminho crítico são destacados
+ * @param {Object} graph - Grafo de buildTaskGraph
+ * @param {Object} schedule - Cronograma de computeSchedule (opcional)
+ * @returns {string} Diagrama Mermaid
+ */
+export function toMermaid(graph, schedule = null) {
+  const lines = ['graph TD'];
+
+  for (const node of graph.nodes) {
+    const title = String(node.title || '').replace(/"/g, '#quot;');
+    lines.push(`  ${nodeName(node.id)}["${node.id}: ${title} [${node.status}]"]`);
+  }
+
+  for (const edge of graph.edges) {
+    const arrow = edge.type === 'dependency' ? '-->' : '-.->';
+    lines.push(`  ${nodeName(edge.from)} ${arrow} ${nodeName(edge.to)}`);
+  }
+
+  const critical = schedule?.criticalPath || [];
+  if (critical.length > 0) {
+    lines.push('  classDef critical stroke:#d9534f,stroke-width:3px;');
+    lines.push(`  class ${critical.map(nodeName).join(',')} critical;`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Representação DOT (Graphviz) do grafo; itens do caminho crítico em vermelho
+ * @param {Object} graph - Grafo de buildTaskGraph
+ * @param {Object} schedule - Cronograma de computeSchedule (opcional)
+ * @returns {string} Grafo DOT
+ */
+export function toDot(graph, schedule = null) {
+  const critical = new Set(schedule?.criticalPath || []);
+  const escape = text => String(text || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+  const lines = ['digraph tasks {', '  rankdir=LR;', '  node [shape=box];'];
+
+  for (const node of graph.nodes) {
+    const color = critical.has(node.id) ? ', color=red, penwidth=2' : '';
+    lines.push(`  "${node.id}" [label="${node.id}: ${escape(node.title)}\\n[${node.status}]"${color}];`);
+  }
+
+  for (const edge of graph.edges) {
+    const style = edge.type === 'dependency' ? '' : ' [style=dashed]';
+    lines.push(`  "${edge.from}" -> "${edge.to}"${style};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+/**
+ * Analisa as tarefas: grafo, validação e cronograma
+ * @param {Array<Object>} tasks - Tarefas (formato de tasks.json)
+ * @returns {Object} { graph, validation, schedule } (schedule é null se houver ciclos)
+ */
+export function analyzeTaskGraph(tasks = []) {
+  const graph = buildTaskGraph(tasks);
+  const validation = validateTaskDependencies(graph);
+  const schedule = computeSchedule(graph);
+
+  return { graph, validation, schedule };
+}
+
+export default analyzeTaskGraph;
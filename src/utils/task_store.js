@@ -0,0 +1,917 @@
+// src/utils/task_store.js
+
+/**
+ * Armazenamento nativo de tarefas do TaskMaster
+ *
+ * Lê e grava `tasks/tasks.json` diretamente, no mesmo formato do CLI
+ * task-master ({ tasks: [{ id, title, description, status, priority,
+ * dependencies, details, testStrategy, subtasks }] }), sem executar
+ * processos externos. Cada alteração:
+ *   - é serializada dentro do processo (fila por arquivo);
+ *   - segura um arquivo de lock (`tasks.json.lock`) contra outros processos;
+ *   - é gravada de forma atômica (arquivo temporário + rename).
+ * Subtarefas são identificadas por "<tarefa>.<subtarefa>" (ex.: "3.2");
+ * dependências são sempre informadas por ID global ("3" ou "3.2") e
+ * alterações que criariam dependências circulares são rejeitadas.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { analyzeTaskGraph, buildTaskGraph, findCycles } from './task_graph.js';
+
+export const TASK_STATUSES = ['pending', 'in-progress', 'review', 'done', 'deferred', 'cancelled'];
+export const TASK_PRIORITIES = ['low', 'medium', 'high'];
+
+// Transições de status permitidas em transitionStatus (setStatus não as aplica)
+export const TASK_STATUS_TRANSITIONS = {
+  pending: ['in-progress', 'done', 'deferred', 'cancelled'],
+  'in-progress': ['pending', 'review', 'done', 'deferred', 'cancelled'],
+  review: ['in-progress', 'done', 'cancelled'],
+  done: ['in-progress', 'review'],
+  deferred: ['pending', 'in-progress', 'cancelled'],
+  cancelled: ['pending']
+};
+
+// Campos alteráveis por updateTask (status tem fluxo próprio)
+const EDITABLE_FIELDS = ['title', 'description', 'details', 'testStrategy', 'priority', 'dependencies', 'estimatedHours'];
+
+// Status considerados concluídos para liberar dependências
+const COMPLETED_STATUSES = ['done', 'completed'];
+const PRIORITY_ORDER = { high: 3, medium: 2, low: 1 };
+
+// Filas de escrita por arquivo (compartilhadas entre instâncias)
+const writeQueues = new Map();
+
+/**
+ * Erro das operações de tarefas
+ */
+export class TaskStoreError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - TASK_NOT_FOUND, TASK_INVALID, TASK_CONFLICT,
+   *   TASK_PRECONDITION_FAILED ou TASK_LOCK_TIMEOUT
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'TaskStoreError';
+    this.code = code;
+  }
+}
+
+/**
+ * ETag de uma tarefa ou subtarefa (hash do conteúdo retornado por getTask)
+ * @param {Object} task - Tarefa
+ * @returns {string} ETag entre aspas
+ */
+export function computeTaskEtag(task) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(task)).digest('hex');
+  return `"${hash.slice(0, 20)}"`;
+}
+
+/**
+ * Normaliza um ID de tarefa ou subtarefa para texto ("3", "3.2")
+ * @private
+ */
+function normalizeId(id) {
+  const text = String(id).trim();
+  if (!/^\d+(\.\d+)?$/.test(text)) {
+    throw new TaskStoreError(`ID de tarefa inválido: ${id}`, 'TASK_INVALID');
+  }
+  return text;
+}
+
+/**
+ * Converte uma lista de IDs ("1,2" ou [1, 2]) em array normalizado
+ * @private
+ */
+function parseIdList(ids) {
+  const list = Array.isArray(ids) ? ids : String(ids ?? '').split(',');
+  return list.map(id => String(id).trim()).filter(Boolean).map(normalizeId);
+}
+
+/**
+ * Converte um filtro ("a,b" ou array) em lista
+ * @private
+ */
+function parseList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Valida a estimativa em horas (undefined/null = sem estimativa)
+ * @private
+ */
+function parseEstimate(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const estimate = Number(value);
+  if (!Number.isFinite(estimate) || estimate < 0) {
+    throw new TaskStoreError(`Estimativa inválida: ${value}`, 'TASK_INVALID');
+  }
+  return estimate;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+class TaskStore {
+  /**
+   * @param {Object} options - Opções
+   * @param {string} options.projectRoot - Raiz do projeto (padrão TASKMASTER_PATH ou cwd)
+   * @param {string} options.tasksFile - Caminho relativo do arquivo (padrão tasks/tasks.json)
+   * @param {number} options.lockTimeoutMs - Tempo máximo de espera pelo lock (padrão 5000)
+   * @param {number} options.staleLockMs - Idade a partir da qual um lock é considerado abandonado (padrão 30000)
+   */
+  constructor(options = {}) {
+    const projectRoot = options.projectRoot || process.env.TASKMASTER_PATH || process.cwd();
+
+    this.filePath = path.resolve(projectRoot, options.tasksFile || 'tasks/tasks.json');
+    this.lockPath = `${this.filePath}.lock`;
+    this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+    this.staleLockMs = options.staleLockMs || 30000;
+    this.logger = createLogger('TaskStore');
+  }
+
+  /**
+   * Lê o conteúdo do arquivo de tarefas ({ tasks: [] } se não existir)
+   * @returns {Promise<Object>} Dados do arquivo
+   */
+  async read() {
+    try {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      return { ...data, tasks: Array.isArray(data.tasks) ? data.tasks : [] };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { tasks: [] };
+      }
+      throw new TaskStoreError(`Falha ao ler ${this.filePath}: ${error.message}`, 'TASK_INVALID');
+    }
+  }
+
+  /**
+   * Lista as tarefas
+   * @param {Object} filters - Filtros
+   * @param {string|Array} filters.status - Apenas estes status ("pending,review" ou array)
+   * @param {string|Array} filters.priority - Apenas estas prioridades
+   * @param {boolean} filters.ready - Apenas pendentes/em andamento com dependências concluídas
+   * @param {string} filters.search - Texto em título, descrição, detalhes ou subtarefas
+   * @param {boolean} filters.withSubtasks - Inclui as subtarefas (padrão true)
+   * @returns {Promise<Array<Object>>} Tarefas, em ordem de ID
+   */
+  async listTasks({ status, priority, ready = false, search, withSubtasks = true } = {}) {
+    const data = await this.read();
+    const statuses = parseList(status);
+    const priorities = parseList(priority);
+    const completed = this._completedIds(data);
+    const term = search ? String(search).toLowerCase() : null;
+    const matches = item => [item.title, item.description, item.details]
+      .some(text => typeof text === 'string' && text.toLowerCase().includes(term));
+
+    return data.tasks
+      .filter(task => statuses.length === 0 || statuses.includes(task.status))
+      .filter(task => priorities.length === 0 || priorities.includes(task.priority))
+      .filter(task => !ready || (
+        ['pending', 'in-progress'].includes(task.status) &&
+        (task.dependencies || []).every(dependency => completed.has(String(dependency)))
+      ))
+      .filter(task => !term || matches(task) || (task.subtasks || []).some(matches))
+      .sort((a, b) => Number(a.id) - Number(b.id))
+      .map(task => {
+        if (withSubtasks) return task;
+        const { subtasks, ...rest } = task;
+        return rest;
+      });
+  }
+
+  /**
+   * Obtém uma tarefa ou subtarefa ("3" ou "3.2")
+   * @param {string|number} id - ID da tarefa
+   * @returns {Promise<Object>} Tarefa (subtarefas incluem parentTaskId)
+   * @throws {TaskStoreError} Se a tarefa não existir
+   */
+  async getTask(id) {
+    const data = await this.read();
+    const { task, parent } = this._find(data, id);
+    return this._present(task, parent);
+  }
+
+  /**
+   * Adiciona uma tarefa
+   * @param {Object} taskData - title, description, details, testStrategy, priority, dependencies, status, estimatedHours
+   * @returns {Promise<Object>} Tarefa criada
+   */
+  async addTask(taskData = {}) {
+    return this._mutate(data => {
+      const task = this._buildTask(data, taskData, data.tasks);
+      task.subtasks = [];
+      data.tasks.push(task);
+      return task;
+    });
+  }
+
+  /**
+   * Adiciona uma subtarefa a uma tarefa
+   * @param {string|number} parentId - ID da tarefa pai
+   * @param {Object} subtaskData - title, description, details, status, dependencies, estimatedHours
+   * @returns {Promise<Object>} Subtarefa criada (com parentTaskId)
+   */
+  async addSubtask(parentId, subtaskData = {}) {
+    return this._mutate(data => {
+      const { task: parent } = this._findTask(data, parentId);
+      parent.subtasks = parent.subtasks || [];
+
+      const subtask = this._buildTask(data, subtaskData, parent.subtasks, parent);
+      delete subtask.priority;
+      delete subtask.testStrategy;
+      parent.subtasks.push(subtask);
+      this._assertAcyclic(data);
+
+      return { ...subtask, parentTaskId: parent.id };
+    });
+  }
+
+  /**
+   * Adiciona várias subtarefas a uma tarefa em uma única gravação
+   * @param {string|number} parentId - ID da tarefa pai
+   * @param {Array<Object>} subtasksData - Campos de addSubtask de cada subtarefa
+   * @param {Object} options - Opções
+   * @param {Array<number>} options.expectedIds - IDs das subtarefas que a tarefa deve ter (conflito se mudaram)
+   * @returns {Promise<Array<Object>>} Subtarefas criadas (com parentTaskId)
+   */
+  async addSubtasks(parentId, subtasksData = [], { expectedIds } = {}) {
+    return this._mutate(data => {
+      const { task: parent } = this._findTask(data, parentId);
+      parent.subtasks = parent.subtasks || [];
+
+      if (expectedIds && parent.subtasks.map(subtask => subtask.id).join(',') !== expectedIds.join(',')) {
+        throw new TaskStoreError(`As subtarefas da tarefa ${parent.id} mudaram`, 'TASK_CONFLICT');
+      }
+
+      const created = subtasksData.map(subtaskData => {
+        const subtask = this._buildTask(data, subtaskData, parent.subtasks, parent);
+        delete subtask.priority;
+        delete subtask.testStrategy;
+        parent.subtasks.push(subtask);
+        return { ...subtask, parentTaskId: parent.id };
+      });
+      this._assertAcyclic(data);
+
+      return created;
+    });
+  }
+
+  /**
+   * Adiciona várias tarefas, com suas subtarefas, em uma única gravação
+   *
+   * Cada item pode ter uma `ref` própria; as dependências citam tarefas
+   * existentes pelo ID ou outros itens do lote por "@ref" (em qualquer
+   * ordem). Se qualquer item for inválido, nada é gravado.
+   * @param {Array<Object>} tasksData - Campos de addTask, mais ref e subtasks ([{ title, description, details }])
+   * @returns {Promise<Array<Object>>} Tarefas criadas, na ordem recebida (com ref)
+   */
+  async addTasks(tasksData = []) {
+    return this._mutate(data => {
+      const refs = new Map();
+
+      const created = tasksData.map(input => {
+        const task = this._buildTask(data, { ...input, dependencies: undefined }, data.tasks);
+        task.subtasks = [];
+        data.tasks.push(task);
+
+        for (const subtaskData of input.subtasks || []) {
+          const subtask = this._buildTask(data, { ...subtaskData, dependencies: undefined }, task.subtasks, task);
+          delete subtask.priority;
+          delete subtask.testStrategy;
+          task.subtasks.push(subtask);
+        }
+
+        if (input.ref !== undefined) {
+          refs.set(String(input.ref), task.id);
+        }
+        return task;
+      });
+
+      // Dependências depois de criar o lote inteiro, para aceitar referências adiante
+      tasksData.forEach((input, index) => {
+        created[index].dependencies = parseList(input.dependencies).map(dependency => {
+          if (!dependency.startsWith('@')) {
+            return this._resolveDependency(data, dependency, null);
+          }
+
+          const id = refs.get(dependency.slice(1));
+          if (id === undefined) {
+            throw new TaskStoreError(`Referência desconhecida no lote: ${dependency}`, 'TASK_INVALID');
+          }
+          return id;
+        });
+      });
+
+      this._assertAcyclic(data);
+
+      return created.map((task, index) => (
+        tasksData[index].ref !== undefined ? { ...task, ref: String(tasksData[index].ref) } : task
+      ));
+    });
+  }
+
+  /**
+   * Altera o status de tarefas ou subtarefas; concluir uma tarefa conclui suas subtarefas
+   * @param {string|Array} ids - ID ou lista ("1,2.3")
+   * @param {string} status - Novo status
+   * @returns {Promise<Array<Object>>} Itens atualizados ({ id, status, previousStatus })
+   */
+  async setStatus(ids, status) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new TaskStoreError(`Status inválido: ${status} (use ${TASK_STATUSES.join(', ')})`, 'TASK_INVALID');
+    }
+
+    const targets = parseIdList(ids);
+    if (targets.length === 0) {
+      throw new TaskStoreError('Informe ao menos um ID de tarefa', 'TASK_INVALID');
+    }
+
+    return this._mutate(data => targets.map(id => {
+      const { task, parent } = this._find(data, id);
+      const previousStatus = task.status;
+      task.status = status;
+
+      if (!parent && COMPLETED_STATUSES.includes(status)) {
+        for (const subtask of task.subtasks || []) {
+          subtask.status = status;
+        }
+      }
+
+      return { id, status, previousStatus };
+    }));
+  }
+
+  /**
+   * Altera campos de uma tarefa ou subtarefa
+   * @param {string|number} id - ID da tarefa ("3" ou "3.2")
+   * @param {Object} changes - title, description, details, testStrategy, priority,
+   *   dependencies (substitui a lista) e estimatedHours (null remove)
+   * @param {Object} options - Opções
+   * @param {string} options.ifMatch - ETag esperado (controle de concorrência otimista)
+   * @returns {Promise<Object>} Tarefa atualizada
+   */
+  async updateTask(id, changes = {}, { ifMatch } = {}) {
+    const fields = Object.keys(changes);
+    const invalid = fields.filter(field => !EDITABLE_FIELDS.includes(field));
+
+    if (invalid.length > 0) {
+      const hint = invalid.includes('status') ? ' (use a transição de status)' : '';
+      throw new TaskStoreError(`Campos não editáveis: ${invalid.join(', ')}${hint}`, 'TASK_INVALID');
+    }
+    if (fields.length === 0) {
+      throw new TaskStoreError('Nenhum campo para alterar', 'TASK_INVALID');
+    }
+
+    return this._mutate(data => {
+      const { task, parent } = this._find(data, id);
+      this._assertVersion(task, parent, ifMatch);
+
+      if ('title' in changes && (!changes.title || typeof changes.title !== 'string')) {
+        throw new TaskStoreError('O título da tarefa é obrigatório', 'TASK_INVALID');
+      }
+      if ('priority' in changes) {
+        if (parent) {
+          throw new TaskStoreError('Subtarefas herdam a prioridade da tarefa pai', 'TASK_INVALID');
+        }
+        if (!TASK_PRIORITIES.includes(changes.priority)) {
+          throw new TaskStoreError(`Prioridade inválida: ${changes.priority} (use ${TASK_PRIORITIES.join(', ')})`, 'TASK_INVALID');
+        }
+      }
+
+      for (const field of ['title', 'description', 'details', 'testStrategy', 'priority']) {
+        if (field in changes) task[field] = changes[field] ?? '';
+      }
+
+      if ('estimatedHours' in changes) {
+        const estimatedHours = parseEstimate(changes.estimatedHours);
+        if (estimatedHours === undefined) {
+          delete task.estimatedHours;
+        } else {
+          task.estimatedHours = estimatedHours;
+        }
+      }
+
+      if ('dependencies' in changes) {
+        task.dependencies = parseIdList(changes.dependencies)
+          .map(dependency => this._resolveDependency(data, dependency, parent));
+        this._assertAcyclic(data);
+      }
+
+      return this._present(task, parent);
+    });
+  }
+
+  /**
+   * Remove uma tarefa ou subtarefa
+   * @param {string|number} id - ID da tarefa ("3" ou "3.2")
+   * @param {Object} options - Opções
+   * @param {string} options.ifMatch - ETag esperado
+   * @param {boolean} options.force - Remove também as dependências que apontam para o item
+   * @returns {Promise<Object>} { task: item removido, dependents: IDs que dependiam dele }
+   */
+  async deleteTask(id, { ifMatch, force = false } = {}) {
+    return this._mutate(data => {
+      const { task, parent } = this._find(data, id);
+      this._assertVersion(task, parent, ifMatch);
+
+      const removed = this._present(task, parent);
+      const key = String(removed.id);
+      const removedKeys = new Set([key, ...(parent ? [] : (task.subtasks || []).map(subtask => `${key}.${subtask.id}`))]);
+      const dependents = [];
+
+      this._forEachItem(data, (item, itemParent, itemKey) => {
+        if (removedKeys.has(itemKey)) return;
+        const remaining = (item.dependencies || [])
+          .filter(dependency => !removedKeys.has(this._dependencyKey(dependency, itemParent)));
+
+        if (remaining.length !== (item.dependencies || []).length) {
+          dependents.push(itemKey);
+          if (force) item.dependencies = remaining;
+        }
+      });
+
+      if (dependents.length > 0 && !force) {
+        throw new TaskStoreError(`A tarefa ${key} é dependência de ${dependents.join(', ')}`, 'TASK_CONFLICT');
+      }
+
+      const siblings = parent ? parent.subtasks : data.tasks;
+      siblings.splice(siblings.indexOf(task), 1);
+
+      return { task: removed, dependents };
+    });
+  }
+
+  /**
+   * Altera o status respeitando TASK_STATUS_TRANSITIONS; iniciar ou concluir
+   * exige dependências concluídas e concluir uma tarefa conclui suas subtarefas
+   * @param {string|number} id - ID da tarefa ("3" ou "3.2")
+   * @param {string} status - Novo status
+   * @param {Object} options - Opções
+   * @param {string} options.ifMatch - ETag esperado
+   * @returns {Promise<Object>} { task, previousStatus }
+   */
+  async transitionStatus(id, status, { ifMatch } = {}) {
+    if (!TASK_STATUSES.includes(status)) {
+      throw new TaskStoreError(`Status inválido: ${status} (use ${TASK_STATUSES.join(', ')})`, 'TASK_INVALID');
+    }
+
+    return this._mutate(data => {
+      const { task, parent } = this._find(data, id);
+      this._assertVersion(task, parent, ifMatch);
+
+      const previousStatus = task.status;
+      if (previousStatus === status) {
+        return { task: this._present(task, parent), previousStatus };
+      }
+
+      if (!(TASK_STATUS_TRANSITIONS[previousStatus] || []).includes(status)) {
+        throw new TaskStoreError(`Transição de status inválida: ${previousStatus} -> ${status}`, 'TASK_CONFLICT');
+      }
+
+      if (['in-progress', 'done'].includes(status)) {
+        const completed = this._completedIds(data);
+        const blocking = (task.dependencies || [])
+          .map(dependency => this._dependencyKey(dependency, parent))
+          .filter(dependency => !completed.has(dependency));
+
+        if (blocking.length > 0) {
+          throw new TaskStoreError(`Dependências não concluídas: ${blocking.join(', ')}`, 'TASK_CONFLICT');
+        }
+      }
+
+      task.status = status;
+      if (!parent && COMPLETED_STATUSES.includes(status)) {
+        for (const subtask of task.subtasks || []) {
+          if (subtask.status !== 'cancelled') subtask.status = status;
+        }
+      }
+
+      return { task: this._present(task, parent), previousStatus };
+    });
+  }
+
+  /**
+   * Adiciona uma dependência
+   * @param {string|number} id - Tarefa ou subtarefa dependente
+   * @param {string|number} dependsOn - Tarefa ou subtarefa da qual depende ("3" ou "3.2")
+   * @returns {Promise<Object>} Tarefa atualizada
+   */
+  async addDependency(id, dependsOn) {
+    return this._mutate(data => {
+      const { task, parent } = this._find(data, id);
+      const dependency = this._resolveDependency(data, dependsOn, parent);
+      const taskKey = parent ? `${parent.id}.${task.id}` : String(task.id);
+
+      if (this._dependencyKey(dependency, parent) === taskKey) {
+        throw new TaskStoreError(`A tarefa ${taskKey} não pode depender de si mesma`, 'TASK_INVALID');
+      }
+
+      task.dependencies = task.dependencies || [];
+      if (!task.dependencies.some(existing => String(existing) === String(dependency))) {
+        task.dependencies.push(dependency);
+      }
+
+      this._assertAcyclic(data);
+      return task;
+    });
+  }
+
+  /**
+   * Remove uma dependência
+   * @param {string|number} id - Tarefa ou subtarefa dependente
+   * @param {string|number} dependsOn - Dependência a remover
+   * @returns {Promise<Object>} Tarefa atualizada
+   */
+  async removeDependency(id, dependsOn) {
+    return this._mutate(data => {
+      const { task, parent } = this._find(data, id);
+      const dependency = normalizeId(dependsOn);
+      const before = (task.dependencies || []).length;
+
+      task.dependencies = (task.dependencies || [])
+        .filter(existing => this._dependencyKey(existing, parent) !== dependency);
+
+      if (task.dependencies.length === before) {
+        throw new TaskStoreError(`A tarefa ${id} não depende de ${dependsOn}`, 'TASK_NOT_FOUND');
+      }
+
+      return task;
+    });
+  }
+
+  /**
+   * Próxima tarefa a trabalhar: subtarefas liberadas de tarefas em andamento
+   * primeiro; depois tarefas pendentes ou em andamento com dependências
+   * concluídas, por prioridade, quantidade de dependências e ID
+   * @returns {Promise<Object|null>} Tarefa ou subtarefa (com parentTaskId) ou null
+   */
+  async nextTask() {
+    const data = await this.read();
+    const completed = this._completedIds(data);
+    const isReady = (item, parent) => (item.dependencies || [])
+      .every(dependency => completed.has(this._dependencyKey(dependency, parent)));
+    const byPriority = (a, b) =>
+      (PRIORITY_ORDER[b.priority] || 2) - (PRIORITY_ORDER[a.priority] || 2) ||
+      (a.dependencies || []).length - (b.dependencies || []).length ||
+      Number(a.id) - Number(b.id);
+
+    const activeParents = data.tasks.filter(task => task.status === 'in-progress').sort(byPriority);
+    for (const parent of activeParents) {
+      const subtask = (parent.subtasks || []).find(item =>
+        ['pending', 'in-progress'].includes(item.status) && isReady(item, parent)
+      );
+      if (subtask) {
+        return { ...subtask, id: `${parent.id}.${subtask.id}`, parentTaskId: parent.id, priority: parent.priority };
+      }
+    }
+
+    const candidates = data.tasks
+      .filter(task => ['pending', 'in-progress'].includes(task.status) && isReady(task))
+      .sort(byPriority);
+
+    return candidates[0] || null;
+  }
+
+  /**
+   * Grafo de dependências com validação, cronograma e caminho crítico
+   * @returns {Promise<Object>} { graph, validation, schedule } (ver task_graph.js)
+   */
+  async getGraph() {
+    const data = await this.read();
+    return analyzeTaskGraph(data.tasks);
+  }
+
+  /**
+   * Executa uma alteração com lock e grava o resultado de forma atômica
+   * @private
+   */
+  async _mutate(mutation) {
+    const previous = writeQueues.get(this.filePath) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const queued = previous.then(() => current);
+    writeQueues.set(this.filePath, queued);
+
+    await previous;
+
+    try {
+      const token = await this._acquireFileLock();
+      try {
+        const data = await this.read();
+        const result = mutation(data);
+        await this._write(data);
+        return result;
+      } finally {
+        await this._releaseFileLock(token);
+      }
+    } finally {
+      release();
+      if (writeQueues.get(this.filePath) === queued) {
+        writeQueues.delete(this.filePath);
+      }
+    }
+  }
+
+  /**
+   * Grava os dados (arquivo temporário + rename)
+   * @private
+   */
+  async _write(data) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, `${JSON.stringify(data, null, 2)}\n`);
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Cria o arquivo de lock, aguardando outros processos; locks abandonados são removidos
+   * @private
+   * @returns {Promise<string>} Identificador deste lock (usado para liberá-lo)
+   */
+  async _acquireFileLock() {
+    const deadline = Date.now() + this.lockTimeoutMs;
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+    await fs.promises.mkdir(path.dirname(this.lockPath), { recursive: true });
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(this.lockPath, 'wx');
+        await handle.writeFile(JSON.stringify({ pid: process.pid, token, acquiredAt: new Date().toISOString() }));
+        await handle.close();
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      if (await this._removeStaleLock()) continue;
+
+      if (Date.now() > deadline) {
+        throw new TaskStoreError(`Tempo esgotado aguardando o lock ${this.lockPath}`, 'TASK_LOCK_TIMEOUT');
+      }
+      await sleep(25);
+    }
+  }
+
+  /**
+   * Remove o lock se estiver abandonado
+   *
+   * Outro processo pode ter removido o mesmo lock abandonado e criado o seu
+   * entre a verificação e a remoção. Por isso o lock é movido (rename
+   * atômico) para um nome exclusivo e conferido: se não for mais o lock
+   * abandonado verificado, é devolvido em vez de removido.
+   * @private
+   * @returns {Promise<boolean>} Verdadeiro se o lock não existe mais
+   */
+  async _removeStaleLock() {
+    let observed;
+    try {
+      observed = await this._readLock(this.lockPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+
+    if (Date.now() - observed.mtimeMs <= this.staleLockMs) return false;
+
+    const stalePath = `${this.lockPath}.${process.pid}.${crypto.randomUUID()}.stale`;
+    try {
+      await fs.promises.rename(this.lockPath, stalePath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return true;
+      throw error;
+    }
+
+    try {
+      const moved = await this._readLock(stalePath);
+
+      if (moved.content !== observed.content || Date.now() - moved.mtimeMs <= this.staleLockMs) {
+        try {
+          await fs.promises.link(stalePath, this.lockPath);
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          this.logger.warn(`Lock ${this.lockPath} substituído durante a remoção de um lock abandonado`);
+        }
+        return false;
+      }
+
+      this.logger.warn(`Removendo lock abandonado: ${this.lockPath}`);
+      return true;
+    } finally {
+      await fs.promises.rm(stalePath, { force: true });
+    }
+  }
+
+  /**
+   * Conteúdo, dono e data de modificação de um arquivo de lock
+   * @private
+   */
+  async _readLock(filePath) {
+    const [{ mtimeMs }, content] = await Promise.all([
+      fs.promises.stat(filePath),
+      fs.promises.readFile(filePath, 'utf8')
+    ]);
+
+    let token = null;
+    try {
+      token = JSON.parse(content).token || null;
+    } catch {
+      // Lock ainda vazio ou gravado por outra versão
+    }
+
+    return { mtimeMs, content, token };
+  }
+
+  /**
+   * Remove o arquivo de lock se ainda pertencer a este processo
+   * @private
+   * @param {string} token - Identificador retornado por _acquireFileLock
+   */
+  async _releaseFileLock(token) {
+    try {
+      const lock = await this._readLock(this.lockPath);
+      if (lock.token !== token) {
+        this.logger.warn(`Lock ${this.lockPath} pertence a outro processo; não foi removido`);
+        return;
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await fs.promises.rm(this.lockPath, { force: true });
+  }
+
+  /**
+   * Monta uma tarefa ou subtarefa validando os campos
+   * @private
+   */
+  _buildTask(data, input, siblings, parent = null) {
+    if (!input.title || typeof input.title !== 'string') {
+      throw new TaskStoreError('O título da tarefa é obrigatório', 'TASK_INVALID');
+    }
+
+    const status = input.status || process.env.TASKMASTER_DEFAULT_STATUS || 'pending';
+    if (!TASK_STATUSES.includes(status)) {
+      throw new TaskStoreError(`Status inválido: ${status}`, 'TASK_INVALID');
+    }
+
+    const priority = input.priority || process.env.TASKMASTER_DEFAULT_PRIORITY || 'medium';
+    if (!TASK_PRIORITIES.includes(priority)) {
+      throw new TaskStoreError(`Prioridade inválida: ${priority} (use ${TASK_PRIORITIES.join(', ')})`, 'TASK_INVALID');
+    }
+
+    const dependencies = parseIdList(input.dependencies)
+      .map(dependency => this._resolveDependency(data, dependency, parent));
+
+    const estimatedHours = parseEstimate(input.estimatedHours);
+
+    return {
+      id: siblings.reduce((max, task) => Math.max(max, Number(task.id) || 0), 0) + 1,
+      title: input.title,
+      description: input.description || '',
+      details: input.details || '',
+      testStrategy: input.testStrategy || '',
+      status,
+      priority,
+      dependencies,
+      ...(estimatedHours !== undefined && { estimatedHours })
+    };
+  }
+
+  /**
+   * Representação de um item como retornado por getTask
+   * @private
+   */
+  _present(task, parent) {
+    return parent ? { ...task, id: `${parent.id}.${task.id}`, parentTaskId: parent.id } : task;
+  }
+
+  /**
+   * Confere o ETag esperado (If-Match); "*" aceita qualquer versão
+   * @private
+   */
+  _assertVersion(task, parent, ifMatch) {
+    if (!ifMatch || ifMatch.trim() === '*') return;
+
+    const current = computeTaskEtag(this._present(task, parent));
+    const expected = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+
+    if (!expected.includes(current)) {
+      throw new TaskStoreError(`A tarefa foi alterada (versão atual ${current})`, 'TASK_PRECONDITION_FAILED');
+    }
+  }
+
+  /**
+   * Percorre tarefas e subtarefas com o ID global de cada item
+   * @private
+   */
+  _forEachItem(data, callback) {
+    for (const task of data.tasks) {
+      callback(task, null, String(task.id));
+      for (const subtask of task.subtasks || []) {
+        callback(subtask, task, `${task.id}.${subtask.id}`);
+      }
+    }
+  }
+
+  /**
+   * Rejeita a alteração se o grafo de dependências passar a ter ciclos
+   * (inclusive via subtarefas, que precedem a tarefa pai)
+   * @private
+   */
+  _assertAcyclic(data) {
+    const [cycle] = findCycles(buildTaskGraph(data.tasks));
+
+    if (cycle) {
+      throw new TaskStoreError(`Dependência circular: ${cycle.join(' -> ')}`, 'TASK_INVALID');
+    }
+  }
+
+  /**
+   * Valida uma dependência (ID global: "3" ou "3.2") e a converte no formato
+   * armazenado: em subtarefas, irmãs são números e as demais referências
+   * são texto; em tarefas, números para tarefas e "3.2" para subtarefas
+   * @private
+   */
+  _resolveDependency(data, dependency, parent) {
+    const id = normalizeId(dependency);
+    const { parent: dependencyParent } = this._find(data, id);
+
+    if (parent) {
+      return dependencyParent && dependencyParent.id === parent.id ? Number(id.split('.')[1]) : id;
+    }
+
+    return id.includes('.') ? id : Number(id);
+  }
+
+  /**
+   * Chave global de uma dependência armazenada ("3" ou "3.2")
+   * @private
+   */
+  _dependencyKey(dependency, parent) {
+    return parent && typeof dependency === 'number' ? `${parent.id}.${dependency}` : String(dependency);
+  }
+
+  /**
+   * IDs (tarefas e subtarefas) concluídos
+   * @private
+   */
+  _completedIds(data) {
+    const completed = new Set();
+
+    for (const task of data.tasks) {
+      if (COMPLETED_STATUSES.includes(task.status)) completed.add(String(task.id));
+      for (const subtask of task.subtasks || []) {
+        if (COMPLETED_STATUSES.includes(subtask.status)) completed.add(`${task.id}.${subtask.id}`);
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Localiza uma tarefa de primeiro nível
+   * @private
+   */
+  _findTask(data, id) {
+    const key = normalizeId(id);
+    const task = data.tasks.find(candidate => String(candidate.id) === key);
+
+    if (!task) {
+      throw new TaskStoreError(`Tarefa não encontrada: ${id}`, 'TASK_NOT_FOUND');
+    }
+
+    return { task, parent: null };
+  }
+
+  /**
+   * Localiza uma tarefa ou subtarefa ("3.2")
+   * @private
+   */
+  _find(data, id) {
+    const key = normalizeId(id);
+    if (!key.includes('.')) {
+      return this._findTask(data, key);
+    }
+
+    const [parentId, subtaskId] = key.split('.');
+    const { task: parent } = this._findTask(data, parentId);
+    const task = (parent.subtasks || []).find(candidate => String(candidate.id) === subtaskId);
+
+    if (!task) {
+      throw new TaskStoreError(`Subtarefa não encontrada: ${id}`, 'TASK_NOT_FOUND');
+    }
+
+    return { task, parent };
+  }
+}
+
+export { TaskStore };
+export default TaskStore;
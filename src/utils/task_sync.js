@@ -0,0 +1,667 @@
+// src/utils/task_sync.js
+
+/**
+ * Sincronização bidirecional entre cartões Kanban e tarefas do TaskMaster
+ *
+ * Cada par tarefa/cartão (vínculo) guarda, por campo sincronizado, o último
+ * valor acordado entre os dois lados (base) e uma versão por lado, que avança
+ * sempre que um lado muda o campo. A cada sincronização os valores atuais são
+ * comparados com a base (merge de três vias):
+ *   - só a tarefa mudou  -> o valor vai para o cartão;
+ *   - só o cartão mudou  -> o valor vai para a tarefa;
+ *   - os dois mudaram para valores diferentes -> conflito (ex.: cartão movido
+ *     enquanto o status da tarefa era alterado pelo CLI), resolvido pela
+ *     política configurada para o campo:
+ *       task-wins  a tarefa prevalece
+ *       card-wins  o cartão prevalece
+ *       latest     prevalece o lado alterado por último (updatedAt dos dois
+ *                  lados; sem datas, o lado que disparou a sincronização)
+ *       manual     nada é alterado até resolveConflict()
+ * Toda alteração propagada, conflito e resolução é registrada no diário
+ * (`journal.jsonl`), que pode ser consultado e reexecutado com replay().
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+export const SYNC_FIELDS = ['title', 'description', 'status', 'priority'];
+export const SYNC_POLICIES = ['task-wins', 'card-wins', 'latest', 'manual'];
+export const SYNC_SIDES = ['task', 'card'];
+
+const DEFAULT_POLICY = 'latest';
+
+/**
+ * Erro da sincronização
+ */
+export class TaskSyncError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} code - SYNC_INVALID_POLICY, SYNC_LINK_NOT_FOUND,
+   *   SYNC_CONFLICT_NOT_FOUND ou SYNC_INVALID
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'TaskSyncError';
+    this.code = code;
+  }
+}
+
+/**
+ * Interpreta a configuração de políticas
+ *
+ * Aceita um objeto ({ default: 'latest', status: 'card-wins' }) ou o formato
+ * de variável de ambiente "latest,status=card-wins".
+ * @param {Object|string} spec - Políticas
+ * @returns {Object} Política por campo, com `default`
+ */
+export function parseSyncPolicies(spec) {
+  let policies = { default: DEFAULT_POLICY };
+
+  if (typeof spec === 'string') {
+    for (const part of spec.split(',').map(item => item.trim()).filter(Boolean)) {
+      const [field, policy] = part.includes('=') ? part.split('=').map(item => item.trim()) : ['default', part];
+      policies[field] = policy;
+    }
+  } else if (spec) {
+    policies = { ...policies, ...spec };
+  }
+
+  for (const [field, policy] of Object.entries(policies)) {
+    if (field !== 'default' && !SYNC_FIELDS.includes(field)) {
+      throw new TaskSyncError(`Campo de sincronização inválido: ${field}`, 'SYNC_INVALID_POLICY');
+    }
+    if (!SYNC_POLICIES.includes(policy)) {
+      throw new TaskSyncError(
+        `Política inválida para ${field}: ${policy}. Use uma destas: ${SYNC_POLICIES.join(', ')}`,
+        'SYNC_INVALID_POLICY'
+      );
+    }
+  }
+
+  return policies;
+}
+
+/**
+ * Chave de um vínculo tarefa/cartão
+ * @param {string|number} taskId - ID da tarefa
+ * @param {string|number} cardId - ID do cartão
+ * @returns {string} Chave do vínculo
+ */
+export function linkKey(taskId, cardId) {
+  return `${taskId}:${cardId}`;
+}
+
+/**
+ * Valor normalizado para comparação (ausente = null)
+ * @private
+ */
+function normalize(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Lado que prevalece em um conflito
+ * @private
+ */
+function resolveWinner(policy, task, card, source) {
+  if (policy === 'task-wins') return 'task';
+  if (policy === 'card-wins') return 'card';
+  if (policy === 'manual') return null;
+
+  const taskTime = Date.parse(task.updatedAt);
+  const cardTime = Date.parse(card.updatedAt);
+  if (Number.isFinite(taskTime) && Number.isFinite(cardTime) && taskTime !== cardTime) {
+    return taskTime > cardTime ? 'task' : 'card';
+  }
+  return source === 'card' ? 'card' : 'task';
+}
+
+const otherSide = side => (side === 'task' ? 'card' : 'task');
+
+/**
+ * Diário de sincronização (JSON Lines, somente acréscimo)
+ */
+export class SyncJournal {
+  /**
+   * @param {Object} options - Opções do diário
+   * @param {string} options.filePath - Arquivo do diário
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.lastSeq = null;
+  }
+
+  /**
+   * Lê todas as entradas
+   * @returns {Promise<Array<Object>>} Entradas em ordem
+   */
+  async read() {
+    let content;
+    try {
+      content = await fs.readFile(this.filePath, 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    return content.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Acrescenta entradas, numerando-as em sequência
+   * @param {Array<Object>} entries - Entradas
+   * @returns {Promise<Array<Object>>} Entradas gravadas (com seq e timestamp)
+   */
+  async append(entries) {
+    if (entries.length === 0) return [];
+
+    if (this.lastSeq === null) {
+      const existing = await this.read();
+      this.lastSeq = existing.length > 0 ? existing[existing.length - 1].seq : 0;
+    }
+
+    const timestamp = new Date().toISOString();
+    const written = entries.map(entry => ({ seq: ++this.lastSeq, timestamp, ...entry }));
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, written.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf-8');
+    return written;
+  }
+
+  /**
+   * Consulta entradas
+   * @param {Object} filters - Filtros ({ taskId, cardId, type, outcome, field, since (seq), limit })
+   * @returns {Promise<Array<Object>>} Entradas (as mais recentes, se houver limit)
+   */
+  async list(filters = {}) {
+    const entries = (await this.read()).filter(entry =>
+      (filters.taskId === undefined || String(entry.taskId) === String(filters.taskId))
+      && (filters.cardId === undefined || String(entry.cardId) === String(filters.cardId))
+      && (!filters.type || entry.type === filters.type)
+      && (!filters.outcome || entry.outcome === filters.outcome)
+      && (!filters.field || entry.field === filters.field)
+      && (filters.since === undefined || entry.seq > filters.since)
+    );
+
+    return filters.limit ? entries.slice(-filters.limit) : entries;
+  }
+}
+
+/**
+ * Motor de sincronização tarefa <-> cartão
+ */
+export class TaskSyncEngine {
+  /**
+   * @param {Object} options - Opções do motor
+   * @param {string} options.directory - Diretório do estado e do diário (padrão TASK_SYNC_DIR ou logs/sync)
+   * @param {Object|string} options.policies - Políticas por campo (padrão TASK_SYNC_POLICIES ou "latest")
+   * @param {Function} options.applyToTask - async (taskId, changes, context) grava campos na tarefa
+   * @param {Function} options.applyToCard - async (cardId, changes, context) grava campos no cartão
+   */
+  constructor(options = {}) {
+    this.logger = createLogger('TaskSync');
+    this.directory = options.directory
+      || process.env.TASK_SYNC_DIR
+      || path.resolve(process.cwd(), 'logs', 'sync');
+    this.policies = parseSyncPolicies(options.policies || process.env.TASK_SYNC_POLICIES);
+    this.applyToTask = options.applyToTask;
+    this.applyToCard = options.applyToCard;
+
+    this.statePath = path.join(this.directory, 'links.json');
+    this.journal = new SyncJournal({ filePath: path.join(this.directory, 'journal.jsonl') });
+
+    this.links = null;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Política aplicada a um campo
+   * @param {string} field - Campo sincronizado
+   * @returns {string} Política
+   */
+  policyFor(field) {
+    return this.policies[field] || this.policies.default;
+  }
+
+  /**
+   * Sincroniza um par tarefa/cartão
+   * @param {Object} params - Parâmetros
+   * @param {Object} params.task - Tarefa ({ id, title, description, status, priority, updatedAt })
+   * @param {Object} params.card - Cartão no formato da tarefa ({ id, title, description, status, priority, updatedAt })
+   * @param {string} params.source - Lado que disparou a sincronização ('task' ou 'card')
+   * @returns {Promise<Object>} { link, changes: { task, card }, conflicts, entries }
+   */
+  async sync({ task, card, source = 'task' }) {
+    if (!task || task.id === undefined || !card || card.id === undefined) {
+      throw new TaskSyncError('Tarefa e cartão (com id) são obrigatórios', 'SYNC_INVALID');
+    }
+    if (!SYNC_SIDES.includes(source)) {
+      throw new TaskSyncError(`Origem inválida: ${source}`, 'SYNC_INVALID');
+    }
+
+    return this._serialized(async () => {
+      const links = await this._loadLinks();
+      const key = linkKey(task.id, card.id);
+      const now = new Date().toISOString();
+      const link = links[key] || { taskId: task.id, cardId: card.id, fields: {}, conflicts: {}, createdAt: now };
+
+      const plan = this.plan(link, task, card, source);
+      const entries = [...plan.conflictEntries];
+
+      const outcomes = await this._applyChanges(link, plan.changes, { source, reason: 'sync' });
+      for (const change of plan.entries) {
+        const outcome = outcomes[change.target];
+        entries.push({ ...change, outcome: outcome.ok ? 'applied' : 'failed', ...(outcome.error ? { error: outcome.error } : {}) });
+      }
+
+      // Base avança apenas para os campos efetivamente gravados (falhas são tentadas de novo)
+      for (const [field, state] of Object.entries(plan.fields)) {
+        const failed = SYNC_SIDES.find(side => field in plan.changes[side] && !outcomes[side].ok);
+        link.fields[field] = failed
+          ? { ...state, base: link.fields[field]?.base, [failed]: normalize(failed === 'task' ? task[field] : card[field]) }
+          : state;
+      }
+      link.conflicts = plan.conflicts;
+      link.updatedAt = now;
+      links[key] = link;
+
+      const written = await this.journal.append(entries.map(entry => ({ taskId: task.id, cardId: card.id, source, ...entry })));
+      await this._saveLinks();
+
+      return {
+        link,
+        changes: plan.changes,
+        conflicts: written.filter(entry => entry.type === 'conflict'),
+        entries: written
+      };
+    });
+  }
+
+  /**
+   * Calcula o que a sincronização de um par faria, sem gravar nada
+   * @param {Object} link - Vínculo atual
+   * @param {Object} task - Tarefa
+   * @param {Object} card - Cartão no formato da tarefa
+   * @param {string} source - Lado que disparou a sincronização
+   * @returns {Object} { changes: { task, card }, fields, conflicts, entries, conflictEntries }
+   */
+  plan(link, task, card, source) {
+    const changes = { task: {}, card: {} };
+    const fields = {};
+    const conflicts = { ...link.conflicts };
+    const entries = [];
+    const conflictEntries = [];
+
+    for (const field of SYNC_FIELDS) {
+      const taskValue = normalize(task[field]);
+      const cardValue = normalize(card[field]);
+      const previous = link.fields[field];
+      const state = {
+        taskVersion: previous?.taskVersion || 0,
+        cardVersion: previous?.cardVersion || 0,
+        base: previous ? previous.base : undefined,
+        task: taskValue,
+        card: cardValue
+      };
+
+      if (previous && taskValue !== previous.task) state.taskVersion += 1;
+      if (previous && cardValue !== previous.card) state.cardVersion += 1;
+
+      const versions = () => ({ task: state.taskVersion, card: state.cardVersion });
+      const propagate = (from, value, extra = {}) => {
+        const target = otherSide(from);
+        changes[target][field] = value;
+        state[target] = value;
+        state.base = value;
+        entries.push({
+          type: 'change',
+          field,
+          target,
+          from: from === 'task' ? cardValue : taskValue,
+          to: value,
+          versions: versions(),
+          ...extra
+        });
+      };
+
+      if (taskValue === cardValue) {
+        state.base = taskValue;
+        delete conflicts[field];
+      } else if (state.base === undefined) {
+        // Primeira sincronização do par: prevalece o lado que a disparou
+        propagate(source, source === 'task' ? taskValue : cardValue, { reason: 'initial' });
+        delete conflicts[field];
+      } else {
+        const taskChanged = taskValue !== state.base;
+        const cardChanged = cardValue !== state.base;
+
+        if (taskChanged && !cardChanged) {
+          propagate('task', taskValue);
+          delete conflicts[field];
+        } else if (cardChanged && !taskChanged) {
+          propagate('card', cardValue);
+          delete conflicts[field];
+        } else {
+          const policy = this.policyFor(field);
+          const winner = resolveWinner(policy, task, card, source);
+          const known = conflicts[field];
+          const isNew = !known || known.task !== taskValue || known.card !== cardValue;
+
+          if (isNew) {
+            conflictEntries.push({
+              type: 'conflict',
+              field,
+              base: state.base,
+              values: { task: taskValue, card: cardValue },
+              versions: versions(),
+              policy,
+              winner,
+              outcome: winner ? 'resolved' : 'pending'
+            });
+          }
+
+          if (winner) {
+            propagate(winner, winner === 'task' ? taskValue : cardValue, { reason: 'conflict', policy });
+            delete conflicts[field];
+          } else {
+            conflicts[field] = {
+              base: state.base,
+              task: taskValue,
+              card: cardValue,
+              detectedAt: isNew ? new Date().toISOString() : known.detectedAt
+            };
+          }
+        }
+      }
+
+      fields[field] = state;
+    }
+
+    return { changes, fields, conflicts, entries, conflictEntries };
+  }
+
+  /**
+   * Resolve um conflito pendente (política manual)
+   * @param {string|number} taskId - ID da tarefa
+   * @param {string|number} cardId - ID do cartão
+   * @param {string} field - Campo em conflito
+   * @param {string|Object} choice - 'task', 'card' ou { value } para um valor próprio
+   * @returns {Promise<Object>} { link, entries }
+   */
+  async resolveConflict(taskId, cardId, field, choice) {
+    return this._serialized(async () => {
+      const links = await this._loadLinks();
+      const link = links[linkKey(taskId, cardId)];
+      if (!link) {
+        throw new TaskSyncError(`Vínculo não encontrado: tarefa ${taskId}, cartão ${cardId}`, 'SYNC_LINK_NOT_FOUND');
+      }
+
+      const conflict = link.conflicts[field];
+      if (!conflict) {
+        throw new TaskSyncError(`Nenhum conflito pendente em ${field}`, 'SYNC_CONFLICT_NOT_FOUND');
+      }
+
+      let value;
+      if (choice === 'task' || choice === 'card') {
+        value = conflict[choice];
+      } else if (choice && 'value' in choice) {
+        value = normalize(choice.value);
+      } else {
+        throw new TaskSyncError("Escolha 'task', 'card' ou { value }", 'SYNC_INVALID');
+      }
+
+      const changes = { task: {}, card: {} };
+      for (const side of SYNC_SIDES) {
+        if (conflict[side] !== value) changes[side][field] = value;
+      }
+
+      const outcomes = await this._applyChanges(link, changes, { source: 'manual', reason: 'resolution' });
+      const failed = SYNC_SIDES.filter(side => !outcomes[side].ok);
+      const entries = [{
+        type: 'resolution',
+        field,
+        choice: typeof choice === 'string' ? choice : 'value',
+        values: { task: conflict.task, card: conflict.card },
+        to: value,
+        outcome: failed.length === 0 ? 'applied' : 'failed'
+      }];
+      for (const side of SYNC_SIDES) {
+        if (!(field in changes[side])) continue;
+        entries.push({
+          type: 'change',
+          field,
+          target: side,
+          from: conflict[side],
+          to: value,
+          reason: 'resolution',
+          outcome: outcomes[side].ok ? 'applied' : 'failed',
+          ...(outcomes[side].error ? { error: outcomes[side].error } : {})
+        });
+      }
+
+      if (failed.length === 0) {
+        const state = link.fields[field] || { taskVersion: 0, cardVersion: 0 };
+        link.fields[field] = { ...state, base: value, task: value, card: value };
+        delete link.conflicts[field];
+      }
+      link.updatedAt = new Date().toISOString();
+
+      const written = await this.journal.append(entries.map(entry => ({ taskId, cardId, source: 'manual', ...entry })));
+      await this._saveLinks();
+      return { link, entries: written };
+    });
+  }
+
+  /**
+   * Reexecuta alterações registradas no diário
+   *
+   * Por padrão reaplica as alterações que falharam. Cada alteração reaplicada
+   * gera uma nova entrada com `replayOf` apontando para a original; a base do
+   * vínculo não é alterada, de modo que a próxima sincronização propaga o
+   * valor reaplicado ao outro lado, se necessário.
+   * @param {Object} options - Seleção
+   * @param {Array<number>} options.seqs - Entradas específicas (ignora outcome)
+   * @param {string} options.outcome - Resultado das entradas a reaplicar (padrão 'failed'; 'all' para todas)
+   * @param {string|number} options.taskId - Apenas de uma tarefa
+   * @param {number} options.since - Apenas entradas com seq maior
+   * @param {boolean} options.dryRun - Apenas lista o que seria reaplicado
+   * @returns {Promise<Array<Object>>} Entradas reaplicadas (ou planejadas, em dryRun)
+   */
+  async replay(options = {}) {
+    const outcome = options.seqs ? undefined : (options.outcome || 'failed');
+    let candidates = await this.journal.list({
+      type: 'change',
+      taskId: options.taskId,
+      since: options.since,
+      outcome: outcome === 'all' ? undefined : outcome
+    });
+
+    if (options.seqs) {
+      const wanted = new Set(options.seqs.map(Number));
+      candidates = candidates.filter(entry => wanted.has(entry.seq));
+    }
+
+    // Cada campo de cada lado recebe apenas o valor mais recente selecionado
+    const latest = new Map();
+    for (const entry of candidates) {
+      latest.set(`${entry.target}|${linkKey(entry.taskId, entry.cardId)}|${entry.field}`, entry);
+    }
+    const selected = [...latest.values()];
+
+    if (options.dryRun) {
+      return selected.map(entry => ({ ...entry, outcome: 'dry-run', replayOf: entry.seq }));
+    }
+
+    return this._serialized(async () => {
+      const groups = new Map();
+      for (const entry of selected) {
+        const groupKey = `${entry.target}|${linkKey(entry.taskId, entry.cardId)}`;
+        if (!groups.has(groupKey)) groups.set(groupKey, []);
+        groups.get(groupKey).push(entry);
+      }
+
+      const results = [];
+      for (const group of groups.values()) {
+        const { target, taskId, cardId } = group[0];
+        const changes = { task: {}, card: {} };
+        for (const entry of group) changes[target][entry.field] = entry.to;
+
+        const outcomes = await this._applyChanges({ taskId, cardId }, changes, { source: 'replay', reason: 'replay' });
+        for (const entry of group) {
+          results.push({
+            taskId,
+            cardId,
+            source: 'replay',
+            type: 'change',
+            field: entry.field,
+            target,
+            from: entry.from,
+            to: entry.to,
+            reason: 'replay',
+            replayOf: entry.seq,
+            outcome: outcomes[target].ok ? 'applied' : 'failed',
+            ...(outcomes[target].error ? { error: outcomes[target].error } : {})
+          });
+        }
+      }
+
+      return this.journal.append(results);
+    });
+  }
+
+  /**
+   * Vínculo de um par tarefa/cartão
+   * @returns {Promise<Object|null>} Vínculo ou null
+   */
+  async getLink(taskId, cardId) {
+    const links = await this._loadLinks();
+    return links[linkKey(taskId, cardId)] || null;
+  }
+
+  /**
+   * Lista os vínculos, opcionalmente de uma tarefa ou cartão
+   * @param {Object} filters - Filtros ({ taskId, cardId })
+   * @returns {Promise<Array<Object>>} Vínculos
+   */
+  async listLinks(filters = {}) {
+    const links = await this._loadLinks();
+    return Object.values(links).filter(link =>
+      (filters.taskId === undefined || String(link.taskId) === String(filters.taskId))
+      && (filters.cardId === undefined || String(link.cardId) === String(filters.cardId))
+    );
+  }
+
+  /**
+   * Remove o vínculo de um par (ex.: cartão ou tarefa excluídos)
+   * @returns {Promise<boolean>} true se existia
+   */
+  async unlink(taskId, cardId) {
+    return this._serialized(async () => {
+      const links = await this._loadLinks();
+      const key = linkKey(taskId, cardId);
+      if (!links[key]) return false;
+      delete links[key];
+      await this._saveLinks();
+      return true;
+    });
+  }
+
+  /**
+   * Conflitos aguardando resolução manual
+   * @returns {Promise<Array<Object>>} [{ taskId, cardId, field, base, task, card, detectedAt }]
+   */
+  async listConflicts() {
+    const links = await this._loadLinks();
+    return Object.values(links).flatMap(link =>
+      Object.entries(link.conflicts || {}).map(([field, conflict]) => ({
+        taskId: link.taskId,
+        cardId: link.cardId,
+        field,
+        ...conflict
+      }))
+    );
+  }
+
+  /**
+   * Consulta o diário de sincronização
+   * @param {Object} filters - Filtros (ver SyncJournal.list)
+   * @returns {Promise<Array<Object>>} Entradas
+   */
+  async getJournal(filters = {}) {
+    return this.journal.list(filters);
+  }
+
+  /**
+   * Grava as alterações em cada lado; falhas não interrompem o outro lado
+   * @private
+   */
+  async _applyChanges(link, changes, context) {
+    const outcomes = {};
+
+    for (const side of SYNC_SIDES) {
+      if (Object.keys(changes[side]).length === 0) {
+        outcomes[side] = { ok: true };
+        continue;
+      }
+
+      const apply = side === 'task' ? this.applyToTask : this.applyToCard;
+      const id = side === 'task' ? link.taskId : link.cardId;
+
+      try {
+        if (typeof apply !== 'function') {
+          throw new TaskSyncError(`Nenhuma função de gravação configurada para ${side}`, 'SYNC_INVALID');
+        }
+        await apply(id, changes[side], { ...context, taskId: link.taskId, cardId: link.cardId });
+        outcomes[side] = { ok: true };
+      } catch (error) {
+        this.logger.warn(`Falha ao sincronizar ${side} ${id}`, { error: error.message, changes: changes[side] });
+        outcomes[side] = { ok: false, error: error.message };
+      }
+    }
+
+    return outcomes;
+  }
+
+  /**
+   * Executa operações uma de cada vez (eventos dos dois lados chegam em paralelo)
+   * @private
+   */
+  _serialized(operation) {
+    const result = this.queue.then(operation);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Carrega os vínculos (uma vez por instância)
+   * @private
+   */
+  async _loadLinks() {
+    if (!this.links) {
+      let links;
+      try {
+        links = JSON.parse(await fs.readFile(this.statePath, 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        links = {};
+      }
+      // Uma chamada concorrente pode ter carregado (e alterado) os vínculos durante a leitura
+      this.links = this.links || links;
+    }
+    return this.links;
+  }
+
+  /**
+   * Grava os vínculos (arquivo temporário + rename)
+   * @private
+   */
+  async _saveLinks() {
+    await fs.mkdir(this.directory, { recursive: true });
+    const temporary = `${this.statePath}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(this.links, null, 2), 'utf-8');
+    await fs.rename(temporary, this.statePath);
+  }
+}
+
+export default TaskSyncEngine;
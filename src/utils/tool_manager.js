@@ -4,25 +4,70 @@
  * ToolManager
  * 
  * Gerencia a ativação e desativação dinâmica de ferramentas no sistema Nexus.
- * Implementa estratégias para respeitar o limite de 50 ferramentas ativas.
+ * Implementa estratégias para respeitar o limite de ferramentas ativas (50 por padrão),
+ * removendo primeiro as de menor prioridade e menos usadas recentemente.
  */
 
 import { EventEmitter } from 'events';
+import defaultConfig from '../config/default.js';
+import { createLogger } from './logger.js';
+import { validateSchema } from './json_schema.js';
+import { builtinTools } from './builtin_tools.js';
+
+// Peso de cada prioridade (maior = desativada por último)
+const PRIORITY_WEIGHTS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  critical: 4
+};
+
+const DEFAULT_MAX_TOOLS = 50;
+
+/**
+ * Erro de execução de uma ferramenta (ver callTool)
+ */
+export class ToolExecutionError extends Error {
+  /**
+   * @param {string} message - Mensagem do erro
+   * @param {string} toolName - Ferramenta executada
+   * @param {Array<string>} validationErrors - Erros de validação dos parâmetros ou do resultado
+   */
+  constructor(message, toolName, validationErrors = []) {
+    super(message);
+    this.name = 'ToolExecutionError';
+    this.code = 'TOOL_EXECUTION_FAILED';
+    this.toolName = toolName;
+    this.validationErrors = validationErrors;
+  }
+}
 
 class ToolManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Opções do gerenciador
+   * @param {number} options.maxTools - Limite de ferramentas ativas (padrão 50)
+   * @param {Object} options.toolsConfig - Categorias de ferramentas (padrão: config.tools)
+   * @param {string} options.defaultPriority - Prioridade de ferramentas sem categoria (padrão 'low')
+   * @param {boolean} options.builtinTools - Registra as ferramentas nativas (padrão true)
+   */
+  constructor(options = {}) {
     super();
     this.tools = new Map();
     this.activeTools = new Set();
     this.activeContexts = new Set(['default']);
     
+    this.maxTools = options.maxTools || DEFAULT_MAX_TOOLS;
+    this.toolsConfig = options.toolsConfig || defaultConfig.tools || {};
+    this.defaultPriority = options.defaultPriority || 'low';
+    
+    // Uso das ferramentas (nome -> { count, lastUsedAt, activatedAt })
+    this.usage = new Map();
+    
+    // Ferramentas fixadas por operações em andamento (nome -> número de fixações)
+    this.pins = new Map();
+    
     // Logger interno
-    this.logger = { 
-      info: console.log,
-      error: console.error,
-      debug: console.debug,
-      warn: console.warn
-    };
+    this.logger = createLogger('ToolManager');
     
     // Ferramentas essenciais que sempre devem estar ativas
     this.essentialTools = [
@@ -55,6 +100,11 @@ class ToolManager extends EventEmitter {
       ]
     };
     
+    // Registrar as ferramentas com implementação nativa
+    if (options.builtinTools !== false) {
+      Object.entries(builtinTools).forEach(([name, definition]) => this.registerTool(name, definition));
+    }
+    
     // Inicializar as ferramentas essenciais como ativas
     this.essentialTools.forEach(tool => this.activeTools.add(tool));
   }
@@ -80,66 +130,269 @@ class ToolManager extends EventEmitter {
     return this;
   }
   
+  /**
+   * Retorna os contextos ativos
+   * @returns {Array<string>} - Lista de contextos ativos
+   */
+  getActiveContexts() {
+    return Array.from(this.activeContexts);
+  }
+  
   /**
    * Atualiza as ferramentas ativas com base nos contextos ativos
    * @private
    */
   _refreshActiveTools() {
+    // Ferramentas fixadas por operações em andamento continuam ativas
+    const pinnedTools = Array.from(this.activeTools).filter(tool => this.isToolPinned(tool));
+    
     // Limpar ferramentas ativas mantendo apenas as essenciais
     this.activeTools.clear();
     this.essentialTools.forEach(tool => this.activeTools.add(tool));
+    pinnedTools.forEach(tool => this.activeTools.add(tool));
     
     // Adicionar ferramentas dos contextos ativos
     for (const context of this.activeContexts) {
       const contextTools = this.contextualTools[context] || [];
-      contextTools.forEach(tool => this.activeTools.add(tool));
+      contextTools.forEach(tool => this._markActivated(tool));
     }
     
-    // Verificar se ultrapassamos o limite de 50 ferramentas
-    this._enforceLimits();
+    // Verificar se ultrapassamos o limite de ferramentas
+    this._enforceLimits('context_refresh');
     
     this.logger.debug(`Ferramentas ativas atualizadas: ${Array.from(this.activeTools).join(', ')}`);
   }
   
   /**
-   * Garante que não ultrapassemos o limite de 50 ferramentas ativas
+   * Garante que não ultrapassemos o limite de ferramentas ativas
+   *
+   * Ferramentas essenciais, fixadas ou a que está sendo ativada nunca são
+   * removidas. As demais são desativadas por ordem de prioridade (menor
+   * primeiro), depois pela utilização menos recente e, em empate, pela
+   * menor frequência de uso. Cada remoção emite o evento 'tool:evicted'.
    * @private
+   * @param {string} trigger - Operação que provocou a verificação
+   * @param {string} protectedTool - Ferramenta que não pode ser removida
    */
-  _enforceLimits() {
-    const MAX_TOOLS = 50;
-    if (this.activeTools.size <= MAX_TOOLS) return;
+  _enforceLimits(trigger = 'activation', protectedTool = null) {
+    if (this.activeTools.size <= this.maxTools) return;
     
-    // Nunca remover ferramentas essenciais
-    const nonEssentialTools = Array.from(this.activeTools)
-      .filter(tool => !this.essentialTools.includes(tool));
+    const candidates = Array.from(this.activeTools)
+      .filter(tool => !this.essentialTools.includes(tool))
+      .filter(tool => tool !== protectedTool && !this.isToolPinned(tool))
+      .map(tool => ({ tool, ...this.getToolStats(tool) }))
+      .sort((a, b) =>
+        PRIORITY_WEIGHTS[a.priority] - PRIORITY_WEIGHTS[b.priority]
+        || a.lastUsedAt - b.lastUsedAt
+        || a.useCount - b.useCount
+      );
     
     // Calcular quantas ferramentas precisam ser removidas
-    const excessTools = this.activeTools.size - MAX_TOOLS;
+    const excessTools = this.activeTools.size - this.maxTools;
+    const toolsToRemove = candidates.slice(0, excessTools);
     
-    // Remover as ferramentas menos prioritárias
-    const toolsToRemove = nonEssentialTools.slice(0, excessTools);
-    toolsToRemove.forEach(tool => {
-      this.activeTools.delete(tool);
-      this.logger.debug(`Ferramenta desativada devido ao limite: ${tool}`);
+    toolsToRemove.forEach(candidate => {
+      this.activeTools.delete(candidate.tool);
+      
+      const eviction = {
+        tool: candidate.tool,
+        reason: 'limit_exceeded',
+        trigger,
+        priority: candidate.priority,
+        useCount: candidate.useCount,
+        lastUsedAt: candidate.lastUsedAt ? new Date(candidate.lastUsedAt).toISOString() : null,
+        limit: this.maxTools,
+        explanation: `Limite de ${this.maxTools} ferramentas atingido; ${candidate.tool} tinha prioridade ${candidate.priority}, `
+          + (candidate.useCount > 0
+            ? `${candidate.useCount} uso(s) e último uso em ${new Date(candidate.lastUsedAt).toISOString()}`
+            : 'nenhum uso desde a ativação')
+      };
+      
+      this.logger.debug(`Ferramenta desativada devido ao limite: ${candidate.tool} (${eviction.explanation})`);
+      this.emit('tool:evicted', eviction);
     });
+    
+    if (this.activeTools.size > this.maxTools) {
+      this.logger.warn(`Limite de ${this.maxTools} ferramentas excedido temporariamente: ${this.activeTools.size} ativas (essenciais ou fixadas)`);
+    }
+  }
+  
+  /**
+   * Marca uma ferramenta como ativa, registrando o momento da ativação
+   * @private
+   */
+  _markActivated(toolName) {
+    if (!this.activeTools.has(toolName)) {
+      const usage = this.usage.get(toolName) || { count: 0, lastUsedAt: 0 };
+      this.usage.set(toolName, { ...usage, activatedAt: Date.now() });
+    }
+    
+    this.activeTools.add(toolName);
+  }
+  
+  /**
+   * Resolve a prioridade de uma ferramenta
+   *
+   * Ordem: prioridade informada no registro da ferramenta, categoria de
+   * config.tools cujo padrão `tools` corresponde ao nome e, por fim, a
+   * prioridade padrão.
+   * @param {string} toolName - Nome da ferramenta
+   * @returns {string} Prioridade (low, medium, high ou critical)
+   */
+  getToolPriority(toolName) {
+    const tool = this.tools.get(toolName);
+    if (tool && PRIORITY_WEIGHTS[tool.priority]) {
+      return tool.priority;
+    }
+    
+    for (const category of Object.values(this.toolsConfig)) {
+      if (!category || category.enabled === false || !PRIORITY_WEIGHTS[category.priority]) continue;
+      
+      const patterns = category.tools || [];
+      const matches = patterns.some(pattern => (
+        pattern.endsWith('*') ? toolName.startsWith(pattern.slice(0, -1)) : toolName === pattern
+      ));
+      
+      if (matches) return category.priority;
+    }
+    
+    return this.defaultPriority;
+  }
+  
+  /**
+   * Retorna as estatísticas de uso de uma ferramenta
+   * @param {string} toolName - Nome da ferramenta
+   * @returns {Object} { priority, useCount, lastUsedAt, pinned, active }
+   */
+  getToolStats(toolName) {
+    const usage = this.usage.get(toolName) || { count: 0, lastUsedAt: 0, activatedAt: 0 };
+    
+    return {
+      priority: this.getToolPriority(toolName),
+      useCount: usage.count,
+      // Ferramentas nunca usadas contam a partir da ativação
+      lastUsedAt: usage.lastUsedAt || usage.activatedAt || 0,
+      pinned: this.isToolPinned(toolName),
+      active: this.activeTools.has(toolName)
+    };
+  }
+  
+  /**
+   * Fixa ferramentas enquanto uma operação está em andamento
+   *
+   * Ferramentas fixadas não são removidas pelo limite nem por mudanças
+   * de contexto. Cada chamada deve ser desfeita com a função retornada.
+   * @param {Array<string>} toolNames - Ferramentas a fixar
+   * @returns {Function} Função que libera as fixações
+   */
+  pinTools(toolNames) {
+    const names = Array.from(new Set(toolNames));
+    names.forEach(tool => this.pins.set(tool, (this.pins.get(tool) || 0) + 1));
+    
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      
+      names.forEach(tool => {
+        const count = (this.pins.get(tool) || 0) - 1;
+        if (count > 0) {
+          this.pins.set(tool, count);
+        } else {
+          this.pins.delete(tool);
+        }
+      });
+      
+      this._enforceLimits('unpin');
+    };
+  }
+  
+  /**
+   * Verifica se uma ferramenta está fixada
+   * @param {string} toolName - Nome da ferramenta
+   * @returns {boolean} Verdadeiro se houver operação em andamento usando a ferramenta
+   */
+  isToolPinned(toolName) {
+    return this.pins.has(toolName);
+  }
+  
+  /**
+   * Retorna as ferramentas associadas a contextos
+   * @param {Array<string>} contexts - Contextos
+   * @returns {Array<string>} Ferramentas dos contextos (sem repetição)
+   */
+  getContextTools(contexts) {
+    return Array.from(new Set(contexts.flatMap(context => this.contextualTools[context] || [])));
   }
   
   /**
    * Registra uma nova ferramenta no gerenciador
+   *
+   * A definição pode conter `handler` (ou `execute`), `description`,
+   * `inputSchema`/`outputSchema` (JSON Schema), `timeoutMs` e `priority`.
+   * Um registro sem handler não substitui uma ferramenta já implementada:
+   * apenas completa a definição existente.
    * @param {string} toolName - Nome da ferramenta a ser registrada
-   * @param {Object} toolHandler - Manipulador da ferramenta ou configurações
+   * @param {Object} definition - Definição da ferramenta
    * @returns {ToolManager} - Instância do gerenciador para encadeamento
    */
-  registerTool(toolName, toolHandler = {}) {
+  registerTool(toolName, definition = {}) {
     if (!toolName) {
       throw new Error('Nome da ferramenta é obrigatório');
     }
     
-    this.tools.set(toolName, toolHandler);
+    const handler = definition.handler || definition.execute;
+    
+    if (handler !== undefined && typeof handler !== 'function') {
+      throw new Error(`Handler da ferramenta ${toolName} deve ser uma função`);
+    }
+    
+    for (const schemaKey of ['inputSchema', 'outputSchema']) {
+      const schema = definition[schemaKey];
+      if (schema !== undefined && (schema === null || typeof schema !== 'object')) {
+        throw new Error(`${schemaKey} da ferramenta ${toolName} deve ser um objeto JSON Schema`);
+      }
+    }
+    
+    if (definition.timeoutMs !== undefined && !(definition.timeoutMs > 0)) {
+      throw new Error(`timeoutMs da ferramenta ${toolName} deve ser um número positivo`);
+    }
+    
+    const existing = this.tools.get(toolName);
+    const tool = {
+      ...(existing && !handler ? existing : {}),
+      ...definition,
+      name: toolName,
+      execute: handler || existing?.execute
+    };
+    delete tool.handler;
+    
+    this.tools.set(toolName, tool);
     this.logger.debug(`Ferramenta registrada: ${toolName}`);
     return this;
   }
   
+  /**
+   * Retorna a definição pública de uma ferramenta
+   * @param {string} toolName - Nome da ferramenta
+   * @returns {Object|null} Definição (sem o handler) ou null se não registrada
+   */
+  getToolDefinition(toolName) {
+    const tool = this.tools.get(toolName);
+    if (!tool) return null;
+    
+    return {
+      name: toolName,
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || { type: 'object' },
+      outputSchema: tool.outputSchema || null,
+      timeoutMs: tool.timeoutMs || null,
+      priority: this.getToolPriority(toolName),
+      implemented: typeof tool.execute === 'function',
+      active: this.activeTools.has(toolName)
+    };
+  }
+  
   /**
    * Remove o registro de uma ferramenta
    * @param {string} toolName - Nome da ferramenta a ser removida
@@ -149,6 +402,7 @@ class ToolManager extends EventEmitter {
     if (this.tools.has(toolName)) {
       this.tools.delete(toolName);
       this.activeTools.delete(toolName);
+      this.usage.delete(toolName);
       this.logger.debug(`Ferramenta removida: ${toolName}`);
     }
     return this;
@@ -166,11 +420,11 @@ class ToolManager extends EventEmitter {
       this.logger.warn(`Ferramenta ${toolName} registrada automaticamente`);
     }
     
-    this.activeTools.add(toolName);
+    this._markActivated(toolName);
     this.logger.debug(`Ferramenta ativada: ${toolName}`);
     
-    // Verificar limite após ativação
-    this._enforceLimits();
+    // Verificar limite após ativação, preservando a ferramenta recém-ativada
+    this._enforceLimits('activation', toolName);
     
     return true;
   }
@@ -216,7 +470,7 @@ class ToolManager extends EventEmitter {
     this.logger.debug(`${activatedCount} ferramentas ativadas`);
     
     // Verificar limite após ativação em massa
-    this._enforceLimits();
+    this._enforceLimits('bulk_activation');
     
     return activatedCount;
   }
@@ -249,6 +503,10 @@ class ToolManager extends EventEmitter {
       return { success: false, error: 'Ferramenta não encontrada' };
     }
     
+    // Registrar uso (frequência e recência) para a política de remoção
+    const usage = this.usage.get(toolName) || { count: 0, activatedAt: Date.now() };
+    this.usage.set(toolName, { ...usage, count: usage.count + 1, lastUsedAt: Date.now() });
+    
     // Simulação para ferramentas não implementadas
     if (!tool.execute) {
       this.logger.warn(`Ferramenta sem implementação de execução: ${toolName} - Usando simulação`);
@@ -259,14 +517,76 @@ class ToolManager extends EventEmitter {
       };
     }
     
+    // Validar parâmetros antes da execução
+    if (tool.inputSchema) {
+      const validationErrors = validateSchema(tool.inputSchema, params, 'params');
+      if (validationErrors.length > 0) {
+        this.logger.warn(`Parâmetros inválidos para ${toolName}: ${validationErrors.join('; ')}`);
+        return { success: false, error: `Parâmetros inválidos: ${validationErrors.join('; ')}`, validationErrors };
+      }
+    }
+    
+    // Fixar a ferramenta durante a execução
+    const release = this.pinTools([toolName]);
+    
     try {
       this.logger.debug(`Executando ferramenta: ${toolName}`, { params });
-      const result = await tool.execute(params);
+      const result = await this._runWithTimeout(toolName, () => tool.execute(params), tool.timeoutMs);
+      
+      if (tool.outputSchema) {
+        const validationErrors = validateSchema(tool.outputSchema, result, 'result');
+        if (validationErrors.length > 0) {
+          this.logger.error(`Resultado inválido da ferramenta ${toolName}: ${validationErrors.join('; ')}`);
+          return { success: false, error: `Resultado inválido: ${validationErrors.join('; ')}`, validationErrors };
+        }
+      }
+      
       return { success: true, result };
     } catch (error) {
       this.logger.error(`Erro ao executar ferramenta ${toolName}:`, error);
       return { success: false, error: error.message };
+    } finally {
+      release();
+    }
+  }
+  
+  /**
+   * Executa uma ferramenta e retorna apenas o resultado, sem o envelope
+   * { success, result } de executeTool
+   * @param {string} toolName - Nome da ferramenta a ser executada
+   * @param {Object} params - Parâmetros para a execução da ferramenta
+   * @returns {Promise<*>} - Resultado da ferramenta
+   * @throws {ToolExecutionError} Se a execução falhar
+   */
+  async callTool(toolName, params = {}) {
+    const execution = await this.executeTool(toolName, params);
+    
+    if (!execution.success) {
+      throw new ToolExecutionError(`Falha na ferramenta ${toolName}: ${execution.error}`, toolName, execution.validationErrors);
     }
+    
+    return execution.result;
+  }
+  
+  /**
+   * Executa o handler respeitando o tempo limite da ferramenta
+   * @private
+   */
+  _runWithTimeout(toolName, operation, timeoutMs) {
+    if (!timeoutMs) {
+      return operation();
+    }
+    
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Tempo limite de ${timeoutMs}ms excedido na ferramenta ${toolName}`)),
+        timeoutMs
+      );
+    });
+    
+    return Promise.race([Promise.resolve().then(operation), timeout])
+      .finally(() => clearTimeout(timer));
   }
   
   /**
@@ -278,11 +598,30 @@ class ToolManager extends EventEmitter {
   }
   
   /**
-   * Retorna a lista de todas as ferramentas registradas
-   * @returns {Array<string>} - Lista de nomes de ferramentas registradas
+   * Retorna as ferramentas registradas com suas definições
+   * @param {Object} options - Opções da listagem
+   * @param {boolean} options.implementedOnly - Apenas ferramentas com handler
+   * @returns {Array<Object>} - Definições (nome, descrição, schemas, timeout, prioridade)
+   */
+  listRegisteredTools(options = {}) {
+    return Array.from(this.tools.keys())
+      .map(toolName => this.getToolDefinition(toolName))
+      .filter(definition => !options.implementedOnly || definition.implemented);
+  }
+  
+  /**
+   * Manifesto das ferramentas implementadas no formato `tools/list` do MCP
+   * @returns {Object} { tools: [{ name, description, inputSchema }] }
    */
-  listRegisteredTools() {
-    return Array.from(this.tools.keys());
+  getToolManifest() {
+    return {
+      tools: this.listRegisteredTools({ implementedOnly: true }).map(definition => ({
+        name: definition.name,
+        description: definition.description,
+        inputSchema: definition.inputSchema,
+        ...(definition.outputSchema ? { outputSchema: definition.outputSchema } : {})
+      }))
+    };
   }
   
   /**
@@ -317,4 +656,5 @@ class ToolManager extends EventEmitter {
   }
 }
 
+export { ToolManager };
 export default ToolManager;
@@ -0,0 +1,360 @@
+// src/utils/tracing.js
+
+/**
+ * Armazenamento e exportação de rastreamentos (traces)
+ *
+ * Persiste os spans registrados pelo OrchestratorAgent em arquivos JSON Lines
+ * (um arquivo por traceId) e os exporta no formato OTLP/JSON do OpenTelemetry.
+ * Os arquivos mais antigos que a retenção (NEXUS_TRACE_RETENTION_DAYS) ou além
+ * do limite de traces (NEXUS_TRACE_MAX_FILES) são removidos periodicamente.
+ * Linhas corrompidas (como a última linha de uma escrita interrompida) são
+ * ignoradas na leitura.
+ * O contexto de rastreamento ativo é propagado entre chamadas assíncronas
+ * através de AsyncLocalStorage.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomBytes } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+// Contexto do span ativo ({ traceId, spanId }) na cadeia assíncrona atual
+export const traceContextStorage = new AsyncLocalStorage();
+
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Gera um ID de trace compatível com OpenTelemetry (16 bytes em hexadecimal)
+ * @returns {string} ID do trace
+ */
+export function generateTraceId() {
+  return randomBytes(16).toString('hex');
+}
+
+/**
+ * Gera um ID de span compatível com OpenTelemetry (8 bytes em hexadecimal)
+ * @returns {string} ID do span
+ */
+export function generateSpanId() {
+  return randomBytes(8).toString('hex');
+}
+
+/**
+ * Retorna o contexto de rastreamento ativo, se houver
+ * @returns {{traceId: string, spanId: string}|undefined} Contexto ativo
+ */
+export function getActiveTraceContext() {
+  return traceContextStorage.getStore();
+}
+
+/**
+ * Converte um valor em atributo OTLP
+ * @private
+ */
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+}
+
+/**
+ * Converte um mapa de tags em atributos OTLP
+ * @private
+ */
+function toOtlpAttributes(tags = {}) {
+  return Object.entries(tags)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toOtlpValue(value) }));
+}
+
+/**
+ * Converte milissegundos em nanossegundos (string, como exige o OTLP/JSON)
+ * @private
+ */
+function toUnixNano(ms) {
+  return ms ? (BigInt(Math.round(ms)) * 1000000n).toString() : undefined;
+}
+
+/**
+ * Converte spans no formato OTLP/JSON (ExportTraceServiceRequest)
+ * @param {Array<Object>} spans - Spans registrados
+ * @param {Object} options - Opções de exportação
+ * @param {string} options.serviceName - Nome do serviço (padrão 'nexus')
+ * @returns {Object} Documento OTLP/JSON
+ */
+export function toOtlpJson(spans, options = {}) {
+  const serviceName = options.serviceName || 'nexus';
+
+  return {
+    resourceSpans: [
+      {
+        resource: {
+          attributes: toOtlpAttributes({ 'service.name': serviceName })
+        },
+        scopeSpans: [
+          {
+            scope: { name: 'nexus.orchestrator' },
+            spans: spans.map(span => {
+              const otlpSpan = {
+                traceId: span.traceId,
+                spanId: span.spanId,
+                name: span.operationName,
+                kind: 1, // SPAN_KIND_INTERNAL
+                startTimeUnixNano: toUnixNano(span.startTime),
+                endTimeUnixNano: toUnixNano(span.endTime),
+                attributes: toOtlpAttributes(span.tags),
+                status: span.status === 'error'
+                  ? { code: 2, message: span.error ? span.error.message : '' }
+                  : { code: span.status === 'success' ? 1 : 0 }
+              };
+
+              if (span.parentSpanId) {
+                otlpSpan.parentSpanId = span.parentSpanId;
+              }
+
+              if (span.error) {
+                otlpSpan.events = [{
+                  name: 'exception',
+                  timeUnixNano: toUnixNano(span.endTime),
+                  attributes: toOtlpAttributes({
+                    'exception.message': span.error.message,
+                    'exception.stacktrace': span.error.stack
+                  })
+                }];
+              }
+
+              return otlpSpan;
+            })
+          }
+        ]
+      }
+    ]
+  };
+}
+
+/**
+ * Armazena spans em arquivos JSON Lines, um por trace
+ */
+export class SpanStore {
+  /**
+   * @param {Object} options - Opções do armazenamento
+   * @param {string} options.directory - Diretório dos arquivos de trace
+   * @param {number} options.retentionMs - Idade máxima de um trace (padrão 7 dias)
+   * @param {number} options.maxTraces - Número máximo de traces mantidos (padrão 1000)
+   * @param {number} options.pruneIntervalMs - Intervalo mínimo entre limpezas (padrão 1 minuto)
+   */
+  constructor(options = {}) {
+    this.directory = options.directory
+      || process.env.NEXUS_TRACE_DIR
+      || path.resolve(process.cwd(), 'logs', 'traces');
+    this.retentionMs = options.retentionMs
+      || parseInt(process.env.NEXUS_TRACE_RETENTION_DAYS || '7', 10) * 24 * 60 * 60 * 1000;
+    this.maxTraces = options.maxTraces || parseInt(process.env.NEXUS_TRACE_MAX_FILES || '1000', 10);
+    this.pruneIntervalMs = options.pruneIntervalMs ?? 60 * 1000;
+    this.lastPruneAt = 0;
+  }
+
+  /**
+   * Caminho do arquivo de um trace
+   * @private
+   */
+  tracePath(traceId) {
+    if (!TRACE_ID_PATTERN.test(traceId)) {
+      throw new Error(`ID de trace inválido: ${traceId}`);
+    }
+
+    return path.join(this.directory, `${traceId}.jsonl`);
+  }
+
+  /**
+   * Acrescenta um registro ao arquivo do trace
+   * @private
+   */
+  async append(traceId, record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.appendFile(this.tracePath(traceId), `${JSON.stringify(record)}\n`, 'utf-8');
+
+    if (Date.now() - this.lastPruneAt >= this.pruneIntervalMs) {
+      this.lastPruneAt = Date.now();
+      await this.prune();
+    }
+  }
+
+  /**
+   * Remove os traces expirados e, acima do limite, os menos recentes
+   * @returns {Promise<number>} Número de traces removidos
+   */
+  async prune() {
+    const now = Date.now();
+    const traces = await this.readTraceFiles();
+    const expired = traces.filter((trace, index) => index >= this.maxTraces || now - trace.mtimeMs > this.retentionMs);
+
+    await Promise.all(expired.map(trace => fs.rm(path.join(this.directory, trace.file), { force: true })));
+    return expired.length;
+  }
+
+  /**
+   * Arquivos de trace com a data de modificação, dos mais recentes aos mais antigos
+   * @private
+   */
+  async readTraceFiles() {
+    let files;
+
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const traces = await Promise.all(
+      files
+        .filter(file => file.endsWith('.jsonl'))
+        .map(async file => {
+          try {
+            const stats = await fs.stat(path.join(this.directory, file));
+            return { file, traceId: path.basename(file, '.jsonl'), mtimeMs: stats.mtimeMs };
+          } catch (error) {
+            // Removido por outra limpeza
+            if (error.code === 'ENOENT') return null;
+            throw error;
+          }
+        })
+    );
+
+    return traces.filter(Boolean).sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  /**
+   * Registra o início de um span
+   * @param {Object} span - Span iniciado
+   * @returns {Promise<void>}
+   */
+  async recordStart(span) {
+    await this.append(span.traceId, { type: 'start', ...span });
+  }
+
+  /**
+   * Registra o fim de um span
+   * @param {Object} span - Span finalizado
+   * @param {Object} data - Dados de finalização (status, endTime, error)
+   * @returns {Promise<void>}
+   */
+  async recordEnd(span, data) {
+    await this.append(span.traceId, { type: 'end', ...span, ...data });
+  }
+
+  /**
+   * Obtém os spans de um trace, ordenados pelo início
+   * @param {string} traceId - ID do trace
+   * @returns {Promise<Array<Object>|null>} Spans ou null se o trace não existir
+   */
+  async getTrace(traceId) {
+    let content;
+
+    try {
+      content = await fs.readFile(this.tracePath(traceId), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    // O registro de fim substitui o de início do mesmo span
+    const spans = new Map();
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (error) {
+        // Linha incompleta ou corrompida: o restante do trace continua legível
+        continue;
+      }
+
+      const { type, ...record } = parsed;
+      const previous = spans.get(record.spanId);
+
+      spans.set(record.spanId, type === 'end'
+        ? { ...previous, ...record }
+        : { status: 'in_progress', ...record, ...previous });
+    }
+
+    return Array.from(spans.values()).sort((a, b) => a.startTime - b.startTime);
+  }
+
+  /**
+   * Resume um trace: início, fim, duração e linha do tempo dos spans
+   * @param {string} traceId - ID do trace
+   * @returns {Promise<Object|null>} Resumo do trace ou null se não existir
+   */
+  async getTraceTimeline(traceId) {
+    const spans = await this.getTrace(traceId);
+
+    if (!spans || spans.length === 0) {
+      return null;
+    }
+
+    const startTime = Math.min(...spans.map(span => span.startTime));
+    const endTime = Math.max(...spans.map(span => span.endTime || span.startTime));
+    const root = spans.find(span => !span.parentSpanId) || spans[0];
+
+    return {
+      traceId,
+      rootOperation: root.operationName,
+      status: spans.some(span => span.status === 'error') ? 'error' : root.status,
+      startTime: new Date(startTime).toISOString(),
+      durationMs: endTime - startTime,
+      spans: spans.map(span => ({
+        ...span,
+        offsetMs: span.startTime - startTime,
+        durationMs: span.endTime ? span.endTime - span.startTime : null
+      }))
+    };
+  }
+
+  /**
+   * Lista os traces mais recentes
+   * @param {Object} options - Opções da listagem
+   * @param {number} options.limit - Número máximo de traces (padrão 50)
+   * @returns {Promise<Array<Object>>} Traces com ID e data de modificação
+   */
+  async listTraces(options = {}) {
+    const traces = await this.readTraceFiles();
+
+    return traces
+      .slice(0, options.limit || 50)
+      .map(trace => ({ traceId: trace.traceId, updatedAt: new Date(trace.mtimeMs).toISOString() }));
+  }
+
+  /**
+   * Exporta um trace no formato OTLP/JSON
+   * @param {string} traceId - ID do trace
+   * @param {Object} options - Opções de exportação (ver toOtlpJson)
+   * @returns {Promise<Object|null>} Documento OTLP/JSON ou null se o trace não existir
+   */
+  async exportOtlp(traceId, options = {}) {
+    const spans = await this.getTrace(traceId);
+    return spans ? toOtlpJson(spans, options) : null;
+  }
+}
+
+let defaultSpanStore = null;
+
+/**
+ * Retorna o armazenamento de spans compartilhado
+ * @returns {SpanStore} Armazenamento padrão
+ */
+export function getSpanStore() {
+  if (!defaultSpanStore) {
+    defaultSpanStore = new SpanStore();
+  }
+
+  return defaultSpanStore;
+}
+
+export default getSpanStore;
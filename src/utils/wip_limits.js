@@ -0,0 +1,32 @@
+// src/utils/wip_limits.js
+
+/**
+ * Limites de WIP (trabalho em andamento) das colunas Kanban
+ *
+ * Regra única usada pelo KanbanAgent (checkWipLimitExceeded) e pelo quadro
+ * do TaskMaster: o limite é excedido quando a coluna tem mais cartões do
+ * que o permitido; limites ausentes, zero ou negativos significam "sem limite".
+ */
+
+/**
+ * Situação de uma coluna em relação ao limite de WIP
+ * @param {number} cardCount - Quantidade de cartões na coluna
+ * @param {number} wipLimit - Limite configurado
+ * @returns {Object} { count, limit, exceeded, atLimit } (limit null se não houver limite)
+ */
+export function getWipStatus(cardCount, wipLimit) {
+  const limit = Number(wipLimit);
+
+  if (wipLimit === null || wipLimit === undefined || !Number.isFinite(limit) || limit <= 0) {
+    return { count: cardCount, limit: null, exceeded: false, atLimit: false };
+  }
+
+  return {
+    count: cardCount,
+    limit,
+    exceeded: cardCount > limit,
+    atLimit: cardCount === limit
+  };
+}
+
+export default getWipStatus;